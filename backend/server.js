@@ -21,6 +21,12 @@ import supportRouter from './src/routes/support.js';
 import internalOrderRouter from './src/routes/internalOrderRoutes.js';
 import adminRouter from './src/routes/admin.js';
 import healthRouter from './src/routes/health.js';
+import paymentReconciliationService from './src/services/paymentReconciliationService.js';
+import unpaidOrderService from './src/services/unpaidOrderService.js';
+import productAlertService from './src/services/productAlertService.js';
+import cartRecoveryService from './src/services/cartRecoveryService.js';
+import giftCardService from './src/services/giftCardService.js';
+import currencyService from './src/services/currencyService.js';
 
 dotenv.config();
 
@@ -249,6 +255,36 @@ if (process.env.NODE_ENV !== 'test') {
       logger.info(`Server running on port ${PORT}`);
       logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
     });
+
+    // Catch payments whose provider webhooks never arrived
+    if (process.env.PAYMENT_RECONCILIATION_ENABLED !== 'false') {
+      paymentReconciliationService.start();
+    }
+
+    // Cancel crypto orders left unpaid past their payment window
+    if (process.env.UNPAID_ORDER_SWEEP_ENABLED !== 'false') {
+      unpaidOrderService.start();
+    }
+
+    // Send queued back-in-stock and price-drop alerts
+    if (process.env.PRODUCT_ALERT_SWEEP_ENABLED !== 'false') {
+      productAlertService.start();
+    }
+
+    // Remind opted-in customers of carts they left
+    if (process.env.CART_RECOVERY_SWEEP_ENABLED !== 'false') {
+      cartRecoveryService.start();
+    }
+
+    // Email gift cards on the delivery dates their buyers chose
+    if (process.env.GIFT_CARD_DELIVERY_SWEEP_ENABLED !== 'false') {
+      giftCardService.start();
+    }
+
+    // Keep automatic exchange rates current
+    if (process.env.EXCHANGE_RATE_REFRESH_ENABLED !== 'false') {
+      currencyService.start();
+    }
   });
 }
 
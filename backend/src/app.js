@@ -19,6 +19,9 @@ import healthRoutes from './routes/health.js';
 import internalOrderRoutes from './routes/internalOrderRoutes.js';
 import securityRoutes from './routes/security.js';
 import referralRoutes from './routes/referral.js';
+import guestOrderRoutes from './routes/guestOrders.js';
+import currencyRoutes from './routes/currencies.js';
+import giftCardRoutes from './routes/giftCards.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
@@ -69,7 +72,13 @@ if (process.env.NODE_ENV !== 'test') {
 }
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for webhook signatures computed over the exact bytes sent
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
@@ -99,6 +108,9 @@ app.use('/api/support', supportRoutes);
 app.use('/api/health', healthRoutes);
 app.use('/api/internal/orders', internalOrderRoutes);
 app.use('/api/referral', referralRoutes);
+app.use('/api/guest-orders', guestOrderRoutes);
+app.use('/api/currencies', currencyRoutes);
+app.use('/api/gift-cards', giftCardRoutes);
 
 // Apply API-specific security headers to all API routes
 app.use('/api/*', apiSecurityHeaders);
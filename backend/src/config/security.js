@@ -42,7 +42,8 @@ export const cspConfig = {
       '\'nonce-{{nonce}}\'', // Dynamic nonce for inline scripts
       'https://www.paypal.com',
       'https://www.paypalobjects.com',
-      'https://js.paypal.com'
+      'https://js.paypal.com',
+      'https://js.stripe.com' // Stripe.js card fields
       // Add other trusted script sources as needed
     ],
     objectSrc: ['\'none\''],
@@ -50,13 +51,16 @@ export const cspConfig = {
     frameSrc: [
       '\'none\'',
       'https://www.paypal.com', // PayPal checkout
-      'https://www.sandbox.paypal.com'
+      'https://www.sandbox.paypal.com',
+      'https://js.stripe.com', // Stripe card fields
+      'https://hooks.stripe.com' // 3-D Secure challenges
     ],
     frameAncestors: ['\'none\''], // Prevent clickjacking
     connectSrc: [
       '\'self\'', 
       'https://api.paypal.com', 
       'https://api.sandbox.paypal.com',
+      'https://api.stripe.com', // Stripe.js
       'https://api.coingecko.com', // Exchange rates
       'https://www.blockonomics.co', // Bitcoin service
       'https://globee.com', // Monero service
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import { Client, Environment } from '@paypal/paypal-server-sdk';
+import paymentProviderRegistry from '../services/paymentProviderRegistry.js';
 
 /**
  * PaymentController class with dependency injection for better testability
@@ -21,6 +22,9 @@ export class PaymentController {
       emailService: dependencies.emailService,
       ...dependencies.services
     };
+
+    // Payment methods registered from the PaymentGateway collection
+    this.paymentProviders = dependencies.paymentProviders || paymentProviderRegistry;
     
     this.database = {
       mongoose: dependencies.mongoose || mongoose,
@@ -71,27 +75,13 @@ export class PaymentController {
    */
   async getPaymentMethods(req, res) {
     try {
-      const methods = {
-        paypal: {
-          available: !!this.paypalClient,
-          name: 'PayPal',
-          description: 'Pay securely with PayPal'
-        },
-        bitcoin: {
-          available: true,
-          name: 'Bitcoin',
-          description: 'Pay with Bitcoin cryptocurrency'
-        },
-        monero: {
-          available: true,
-          name: 'Monero',
-          description: 'Pay with Monero for enhanced privacy'
-        }
-      };
+      const paymentMethods = await this.paymentProviders.getAvailableMethods();
 
       res.json({
         success: true,
-        data: methods
+        data: {
+          paymentMethods
+        }
       });
     } catch (error) {
       this.logError(error, { context: 'get_payment_methods' });
@@ -370,21 +370,11 @@ describe('PaymentController Integration Tests', () => {
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         data: {
-          paypal: {
-            available: true, // PayPal client available in integration test
-            name: 'PayPal',
-            description: 'Pay securely with PayPal'
-          },
-          bitcoin: {
-            available: true,
-            name: 'Bitcoin',
-            description: 'Pay with Bitcoin cryptocurrency'
-          },
-          monero: {
-            available: true,
-            name: 'Monero',
-            description: 'Pay with Monero for enhanced privacy'
-          }
+          paymentMethods: expect.arrayContaining([
+            expect.objectContaining({ type: 'paypal', name: 'PayPal', checkout: { flow: 'capture' } }),
+            expect.objectContaining({ type: 'bitcoin', name: 'Bitcoin', checkout: { flow: 'redirect' } }),
+            expect.objectContaining({ type: 'monero', name: 'Monero', checkout: { flow: 'redirect' } })
+          ])
         }
       });
     });
@@ -120,27 +120,22 @@ describe('PaymentController Unit Tests', () => {
   });
 
   describe('getPaymentMethods', () => {
-    it('should return available payment methods', async () => {
+    it('should return the methods registered with the payment provider registry', async () => {
+      const methods = [
+        { id: 'paypal', type: 'paypal', name: 'PayPal', checkout: { flow: 'capture' }, enabled: true },
+        { id: 'bitcoin', type: 'bitcoin', name: 'Bitcoin', checkout: { flow: 'redirect' }, enabled: true }
+      ];
+      paymentController.paymentProviders = {
+        getAvailableMethods: vi.fn().mockResolvedValue(methods)
+      };
+
       await paymentController.getPaymentMethods(req, res);
 
+      expect(paymentController.paymentProviders.getAvailableMethods).toHaveBeenCalled();
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         data: {
-          paypal: {
-            available: false,
-            name: 'PayPal',
-            description: 'Pay securely with PayPal'
-          },
-          bitcoin: {
-            available: true,
-            name: 'Bitcoin',
-            description: 'Pay with Bitcoin cryptocurrency'
-          },
-          monero: {
-            available: true,
-            name: 'Monero',
-            description: 'Pay with Monero for enhanced privacy'
-          }
+          paymentMethods: methods
         }
       });
     });
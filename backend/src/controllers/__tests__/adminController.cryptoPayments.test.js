@@ -0,0 +1,124 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../models/Order.js', () => ({
+  default: {
+    findById: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Payment.js', () => ({
+  default: {
+    findOne: vi.fn(),
+    findByOrderId: vi.fn()
+  }
+}));
+
+vi.mock('../../services/cryptoPaymentService.js', () => ({
+  default: {
+    resolvePayment: vi.fn()
+  }
+}));
+
+vi.mock('../../services/orderCompletionService.js', () => ({
+  handleOrderCompletion: vi.fn()
+}));
+
+import Order from '../../models/Order.js';
+import Payment from '../../models/Payment.js';
+import cryptoPaymentService from '../../services/cryptoPaymentService.js';
+import { getOrderPayments, resolveOrderPayment } from '../adminController.js';
+
+const ORDER_ID = '507f1f77bcf86cd799439011';
+const PAYMENT_ID = '507f1f77bcf86cd799439022';
+
+const createPayment = (resolution) => ({
+  _id: PAYMENT_ID,
+  orderId: ORDER_ID,
+  resolution,
+  hasOpenResolution() {
+    return this.resolution?.status === 'open';
+  }
+});
+
+describe('Admin Controller - crypto payment resolution', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    req = {
+      params: { orderId: ORDER_ID, paymentId: PAYMENT_ID },
+      body: {},
+      user: { _id: 'admin123' }
+    };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+  });
+
+  describe('getOrderPayments', () => {
+    it('should return the payment records for the order', async () => {
+      const payments = [{ paymentId: 'PAY-1', rateQuote: { cryptoAmount: 0.001 } }];
+      Payment.findByOrderId.mockReturnValue({
+        populate: vi.fn().mockReturnValue({ lean: vi.fn().mockResolvedValue(payments) })
+      });
+
+      await getOrderPayments(req, res);
+
+      expect(Payment.findByOrderId).toHaveBeenCalledWith(ORDER_ID);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: { payments } });
+    });
+  });
+
+  describe('resolveOrderPayment', () => {
+    it('should require a refund transaction ID to record a refund', async () => {
+      req.body = { action: 'refund' };
+
+      await resolveOrderPayment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Refund transaction ID is required' });
+    });
+
+    it('should reject payments without an open issue', async () => {
+      req.body = { action: 'accept' };
+      Payment.findOne.mockResolvedValue(createPayment({ reason: 'overpayment', status: 'refunded' }));
+
+      await resolveOrderPayment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(cryptoPaymentService.resolvePayment).not.toHaveBeenCalled();
+    });
+
+    it('should record a refunded overpayment', async () => {
+      req.body = { action: 'refund', refundTransactionId: ' tx-back ', note: 'Sent excess back' };
+      const payment = createPayment({ reason: 'overpayment', status: 'open', excessAmount: 0.0005 });
+      Payment.findOne.mockResolvedValue(payment);
+
+      await resolveOrderPayment(req, res);
+
+      expect(Payment.findOne).toHaveBeenCalledWith({ _id: PAYMENT_ID, orderId: ORDER_ID });
+      expect(cryptoPaymentService.resolvePayment).toHaveBeenCalledWith(payment, {
+        action: 'refund',
+        refundTransactionId: 'tx-back',
+        note: 'Sent excess back',
+        adminId: 'admin123'
+      });
+      expect(Order.findById).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].success).toBe(true);
+    });
+
+    it('should complete the order when a late payment is accepted', async () => {
+      req.body = { action: 'accept' };
+      Payment.findOne.mockResolvedValue(createPayment({ reason: 'late_payment', status: 'open', excessAmount: 0.5 }));
+      const order = { _id: ORDER_ID, status: 'pending', paymentStatus: 'expired', save: vi.fn().mockResolvedValue(true) };
+      Order.findById.mockResolvedValue(order);
+
+      await resolveOrderPayment(req, res);
+
+      expect(order.paymentStatus).toBe('completed');
+      expect(order.status).toBe('processing');
+      expect(order.save).toHaveBeenCalled();
+    });
+  });
+});
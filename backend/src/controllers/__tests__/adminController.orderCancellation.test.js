@@ -0,0 +1,212 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import mongoose from 'mongoose';
+
+vi.mock('../../models/Order.js', () => ({
+  default: {
+    findById: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Product.js', async () => {
+  const actual = await vi.importActual('../../models/Product.js');
+  return {
+    ...actual,
+    default: {
+      findByIdAndUpdate: vi.fn(),
+      updateOne: vi.fn()
+    }
+  };
+});
+
+vi.mock('../../services/stockLedgerService.js', () => ({
+  default: {
+    recordOrder: vi.fn()
+  }
+}));
+
+vi.mock('../../services/giftCardService.js', () => ({
+  default: {
+    restoreForOrder: vi.fn(),
+    voidForOrder: vi.fn(),
+    getSpentForOrder: vi.fn()
+  }
+}));
+
+vi.mock('../../services/paymentProviderRegistry.js', () => ({
+  default: {
+    getProviderForOrder: vi.fn()
+  }
+}));
+
+vi.mock('../../services/storeCreditService.js', () => ({
+  default: {
+    restoreForOrder: vi.fn()
+  }
+}));
+
+vi.mock('../../services/emailService.js', () => ({
+  default: {
+    sendOrderStatusUpdateEmail: vi.fn()
+  }
+}));
+
+import Order from '../../models/Order.js';
+import Product from '../../models/Product.js';
+import giftCardService from '../../services/giftCardService.js';
+import storeCreditService from '../../services/storeCreditService.js';
+import paymentProviderRegistry from '../../services/paymentProviderRegistry.js';
+import unpaidOrderService from '../../services/unpaidOrderService.js';
+import { updateOrderStatus } from '../adminController.js';
+
+const ORDER_ID = '507f1f77bcf86cd799439011';
+
+const createOrder = (overrides = {}) => ({
+  _id: ORDER_ID,
+  orderNumber: 'ORD-TEST-1',
+  userId: 'customer1',
+  status: 'processing',
+  items: [{ productId: 'product1', quantity: 2, availabilityMode: 'stock' }],
+  giftCards: [{ giftCardId: 'card1', code: 'GCTEST', amount: 20, restoredAt: null }],
+  giftCardAmount: 20,
+  storeCreditAmount: 0,
+  statusHistory: [],
+  refundHistory: [],
+  getMaxRefundableAmount() {
+    return this.totalAmount - this.giftCardAmount - (this.totalRefundedAmount || 0);
+  },
+  save: vi.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+describe('Admin Controller - cancelling an order', () => {
+  const session = {
+    withTransaction: vi.fn(async fn => fn()),
+    endSession: vi.fn()
+  };
+  let req, res, order, provider;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    vi.spyOn(unpaidOrderService, 'releasePromotion').mockResolvedValue();
+
+    order = createOrder();
+    Order.findById
+      .mockReturnValueOnce({ session: vi.fn().mockResolvedValue(order) })
+      .mockReturnValue({
+        populate: () => ({ lean: vi.fn().mockResolvedValue({ ...order, statusHistory: [{ status: 'processing' }, { status: 'cancelled' }] }) })
+      });
+    Product.findByIdAndUpdate.mockResolvedValue({});
+    giftCardService.restoreForOrder.mockResolvedValue(20);
+    giftCardService.voidForOrder.mockResolvedValue(0);
+    storeCreditService.restoreForOrder.mockResolvedValue(0);
+    provider = {
+      name: 'PayPal',
+      supportsRefunds: true,
+      refund: vi.fn().mockResolvedValue({ refundId: 'REF-1', amount: 40, status: 'succeeded' })
+    };
+    paymentProviderRegistry.getProviderForOrder.mockResolvedValue(provider);
+
+    req = {
+      params: { orderId: ORDER_ID },
+      body: { newStatus: 'cancelled' },
+      user: { _id: 'admin1' }
+    };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+  });
+
+  it('should give gift card payments back and void cards the order bought', async () => {
+    await updateOrderStatus(req, res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    expect(order.status).toBe('cancelled');
+    expect(Product.findByIdAndUpdate).toHaveBeenCalledWith('product1', { $inc: { stockQuantity: 2 } }, { session });
+    expect(giftCardService.restoreForOrder).toHaveBeenCalledWith(order, { userId: 'admin1', session });
+    expect(giftCardService.voidForOrder).toHaveBeenCalledWith(order, { userId: 'admin1', session });
+    expect(order.save).toHaveBeenCalledWith({ session });
+  });
+
+  it('should put store credit the order spent back in the wallet', async () => {
+    order.storeCreditAmount = 15;
+    storeCreditService.restoreForOrder.mockResolvedValue(15);
+
+    await updateOrderStatus(req, res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    expect(storeCreditService.restoreForOrder).toHaveBeenCalledWith(order, { userId: 'admin1', session });
+  });
+
+  it('should leave gift cards and store credit alone for other status changes', async () => {
+    req.body.newStatus = 'awaiting_shipment';
+
+    await updateOrderStatus(req, res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    expect(giftCardService.restoreForOrder).not.toHaveBeenCalled();
+    expect(giftCardService.voidForOrder).not.toHaveBeenCalled();
+    expect(storeCreditService.restoreForOrder).not.toHaveBeenCalled();
+    expect(unpaidOrderService.releasePromotion).not.toHaveBeenCalled();
+  });
+
+  it('should give back the promotion use the order took', async () => {
+    order.promotionId = 'promo1';
+
+    await updateOrderStatus(req, res);
+
+    expect(unpaidOrderService.releasePromotion).toHaveBeenCalledWith(order);
+  });
+
+  it('should refuse to cancel an order whose gift card has been spent', async () => {
+    order.items.push({ productId: 'giftcard1', quantity: 1, giftCard: { amount: 50 } });
+    giftCardService.getSpentForOrder.mockResolvedValue(30);
+
+    await updateOrderStatus(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'A gift card bought on this order has been used, so the order can no longer be cancelled'
+    });
+    expect(order.status).toBe('processing');
+    expect(Product.findByIdAndUpdate).not.toHaveBeenCalled();
+    expect(giftCardService.voidForOrder).not.toHaveBeenCalled();
+  });
+
+  it('should refund the rest of a paid order through its provider', async () => {
+    Object.assign(order, { paymentStatus: 'completed', paymentMethod: { type: 'paypal' }, totalAmount: 60 });
+
+    await updateOrderStatus(req, res);
+
+    expect(provider.refund).toHaveBeenCalledWith(order, { amount: 40 });
+    expect(provider.refund.mock.invocationCallOrder[0]).toBeGreaterThan(session.withTransaction.mock.invocationCallOrder[0]);
+    expect(order.refundHistory).toEqual([expect.objectContaining({ refundId: 'REF-1', amount: 40, reason: 'Order cancelled', adminUserId: 'admin1' })]);
+    expect(order).toMatchObject({ totalRefundedAmount: 40, refundStatus: 'fully_refunded', paymentStatus: 'refunded' });
+    expect(res.json.mock.calls[0][0].data.refund).toEqual({ refundId: 'REF-1', amount: 40, status: 'succeeded' });
+  });
+
+  it('should keep the cancellation when the refund fails', async () => {
+    Object.assign(order, { paymentStatus: 'completed', paymentMethod: { type: 'paypal' }, totalAmount: 60 });
+    provider.refund.mockRejectedValue(new Error('PayPal unavailable'));
+
+    await updateOrderStatus(req, res);
+
+    expect(order.status).toBe('cancelled');
+    expect(order.refundHistory).toHaveLength(0);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    expect(res.json.mock.calls[0][0].data.refund).toEqual({ error: 'Refund initiation failed' });
+  });
+
+  it('should not refund an order that was never paid', async () => {
+    order.paymentStatus = 'pending';
+
+    await updateOrderStatus(req, res);
+
+    expect(paymentProviderRegistry.getProviderForOrder).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].data.refund).toBeNull();
+  });
+});
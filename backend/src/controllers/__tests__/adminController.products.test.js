@@ -10,6 +10,8 @@ import User from '../../models/User.js';
 import Order from '../../models/Order.js';
 import ReturnRequest from '../../models/ReturnRequest.js';
 import emailService from '../../services/emailService.js';
+import stockLedgerService from '../../services/stockLedgerService.js';
+import productAlertService from '../../services/productAlertService.js';
 import adminRouter from '../../routes/admin.js';
 
 // Mock authentication middleware
@@ -365,4 +367,203 @@ describe('Admin Products API', () => {
       });
     });
   });
-});
\ No newline at end of file
+
+  describe('GET /api/admin/products/export', () => {
+    it('should export filtered products as a CSV attachment', async () => {
+      const mockQuery = {
+        sort: vi.fn().mockReturnThis(),
+        populate: vi.fn().mockReturnThis(),
+        lean: vi.fn().mockResolvedValue([
+          { sku: 'GP7-001', name: 'Google Pixel 7', price: 599, stockQuantity: 50, status: 'active', tags: [] }
+        ])
+      };
+      Product.find.mockReturnValue(mockQuery);
+
+      const response = await request(app)
+        .get('/api/admin/products/export?status=active&stockStatus=low_stock')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(200);
+
+      expect(Product.find).toHaveBeenCalledWith({
+        status: 'active',
+        stockQuantity: { $gt: 0, $lte: 10 }
+      });
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="products-.*\.csv"/);
+      expect(response.text.split('\n')[1]).toContain('GP7-001,,Google Pixel 7,599');
+    });
+  });
+
+  describe('POST /api/admin/products/import', () => {
+    it('should require a file', async () => {
+      const response = await request(app)
+        .post('/api/admin/products/import')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(400);
+
+      expect(response.body.error).toBe('A CSV or XLSX file is required');
+    });
+
+    it('should reject files without a sku column', async () => {
+      const response = await request(app)
+        .post('/api/admin/products/import')
+        .set('Authorization', `Bearer ${validToken}`)
+        .attach('file', Buffer.from('name,price\nPixel,10\n'), { filename: 'products.csv', contentType: 'text/csv' })
+        .expect(400);
+
+      expect(response.body.error).toBe('The file must contain a sku column');
+    });
+
+    it('should return a preview by default and only save on commit', async () => {
+      const product = {
+        _id: '507f1f77bcf86cd799439022',
+        sku: 'GP7-001',
+        price: 599,
+        stockQuantity: 50,
+        variants: [],
+        hasVariants: () => false,
+        save: vi.fn().mockResolvedValue(true)
+      };
+      vi.spyOn(Product, 'findOne').mockResolvedValue(product);
+      const file = Buffer.from('sku,price,stockQuantity\nGP7-001,549,50\n');
+
+      const preview = await request(app)
+        .post('/api/admin/products/import')
+        .set('Authorization', `Bearer ${validToken}`)
+        .attach('file', file, { filename: 'products.csv', contentType: 'text/csv' })
+        .expect(200);
+
+      expect(preview.body.data).toMatchObject({
+        dryRun: true,
+        summary: { updated: 1 },
+        items: [{ row: 2, sku: 'GP7-001', action: 'updated', changes: [{ field: 'price', from: 599, to: 549 }] }]
+      });
+      expect(product.save).not.toHaveBeenCalled();
+
+      const commit = await request(app)
+        .post('/api/admin/products/import?commit=true')
+        .set('Authorization', `Bearer ${validToken}`)
+        .attach('file', file, { filename: 'products.csv', contentType: 'text/csv' })
+        .expect(200);
+
+      expect(commit.body.message).toBe('Product import applied');
+      expect(product.save).toHaveBeenCalledTimes(1);
+      expect(product.price).toBe(549);
+    });
+
+    it('should reject unsupported file types', async () => {
+      const response = await request(app)
+        .post('/api/admin/products/import')
+        .set('Authorization', `Bearer ${validToken}`)
+        .attach('file', Buffer.from('{}'), { filename: 'products.json', contentType: 'application/json' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid file type. Only CSV or XLSX files are allowed.');
+    });
+  });
+
+  describe('PUT /api/admin/products/:productId', () => {
+    it('should queue product alerts for the change', async () => {
+      const existingProduct = {
+        _id: '507f1f77bcf86cd799439022',
+        sku: 'GP7-001',
+        slug: 'google-pixel-7',
+        price: 599,
+        stockQuantity: 0,
+        stockStatus: 'out_of_stock'
+      };
+      const updatedProduct = { ...existingProduct, stockQuantity: 5, stockStatus: 'in_stock' };
+      vi.spyOn(Product, 'findById').mockResolvedValue(existingProduct);
+      vi.spyOn(Product, 'findByIdAndUpdate').mockReturnValue({
+        populate: vi.fn().mockResolvedValue(updatedProduct)
+      });
+      vi.spyOn(stockLedgerService, 'recordProductChange').mockResolvedValue([]);
+      vi.spyOn(productAlertService, 'handleProductChange').mockResolvedValue({ backInStock: 1, priceDrop: 0 });
+
+      await request(app)
+        .put('/api/admin/products/507f1f77bcf86cd799439022')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ name: 'Google Pixel 7', sku: 'GP7-001', price: 599, stockQuantity: 5, stockStatus: 'in_stock' })
+        .expect(200);
+
+      expect(productAlertService.handleProductChange).toHaveBeenCalledWith(existingProduct, updatedProduct);
+    });
+  });
+
+  describe('GET /api/admin/products/:productId/stock-movements', () => {
+    it('should return the product with a page of its movements', async () => {
+      const product = { _id: '507f1f77bcf86cd799439022', name: 'Google Pixel 7', sku: 'GP7-001', stockQuantity: 3 };
+      vi.spyOn(Product, 'findById').mockReturnValue({
+        select: vi.fn().mockReturnThis(),
+        lean: vi.fn().mockResolvedValue(product)
+      });
+      vi.spyOn(stockLedgerService, 'getProductHistory').mockResolvedValue({
+        movements: [{ reason: 'sale', quantity: -1 }],
+        pagination: { currentPage: 2, totalPages: 2, totalItems: 21, itemsPerPage: 20 }
+      });
+
+      const response = await request(app)
+        .get('/api/admin/products/507f1f77bcf86cd799439022/stock-movements?page=2')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(200);
+
+      expect(stockLedgerService.getProductHistory).toHaveBeenCalledWith('507f1f77bcf86cd799439022', {
+        variantId: undefined,
+        page: 2,
+        limit: 20
+      });
+      expect(response.body.data).toEqual({ product, movements: [{ reason: 'sale', quantity: -1 }] });
+      expect(response.body.pagination.totalItems).toBe(21);
+    });
+
+    it('should return 404 for an unknown product', async () => {
+      vi.spyOn(Product, 'findById').mockReturnValue({
+        select: vi.fn().mockReturnThis(),
+        lean: vi.fn().mockResolvedValue(null)
+      });
+
+      await request(app)
+        .get('/api/admin/products/507f1f77bcf86cd799439022/stock-movements')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/admin/products/:productId/stock-adjustments', () => {
+    it('should apply a stock take', async () => {
+      vi.spyOn(stockLedgerService, 'adjustStock').mockResolvedValue({
+        product: { stockQuantity: 2 },
+        movement: { reason: 'stock_take', quantity: -1 }
+      });
+
+      const response = await request(app)
+        .post('/api/admin/products/507f1f77bcf86cd799439022/stock-adjustments')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ reason: 'stock_take', countedQuantity: '2', note: ' Shelf count ' })
+        .expect(200);
+
+      expect(stockLedgerService.adjustStock).toHaveBeenCalledWith('507f1f77bcf86cd799439022', {
+        variantId: undefined,
+        reason: 'stock_take',
+        quantity: undefined,
+        countedQuantity: 2,
+        note: 'Shelf count'
+      }, undefined);
+      expect(response.body.message).toBe('Stock updated');
+    });
+
+    it('should pass on adjustment errors with their status', async () => {
+      vi.spyOn(stockLedgerService, 'adjustStock').mockRejectedValue(
+        Object.assign(new Error('Stock cannot go below zero (currently 1)'), { statusCode: 400 })
+      );
+
+      const response = await request(app)
+        .post('/api/admin/products/507f1f77bcf86cd799439022/stock-adjustments')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ reason: 'manual_adjustment', quantity: -2 })
+        .expect(400);
+
+      expect(response.body.error).toBe('Stock cannot go below zero (currently 1)');
+    });
+  });
+});
@@ -0,0 +1,166 @@
+import { vi, describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import mongoose from 'mongoose';
+
+vi.mock('../../models/Order.js', () => ({
+  default: {
+    findById: vi.fn()
+  }
+}));
+
+vi.mock('../../models/PaymentGateway.js', () => ({
+  default: {
+    find: vi.fn(() => ({ sort: vi.fn().mockResolvedValue([]) }))
+  }
+}));
+
+vi.mock('../../services/emailService.js', () => ({
+  default: {
+    sendRefundConfirmationEmail: vi.fn(),
+    sendCryptoRefundAddressRequestEmail: vi.fn()
+  }
+}));
+
+import Order from '../../models/Order.js';
+import emailService from '../../services/emailService.js';
+import stripeService from '../../services/stripeService.js';
+import paymentProviderRegistry from '../../services/paymentProviderRegistry.js';
+import { issueRefund } from '../adminController.js';
+import { createStripeStandInServer } from '../../test/helpers/stripeStandInServer.js';
+
+const ORDER_ID = '507f1f77bcf86cd799439011';
+
+const createOrder = (overrides = {}) => ({
+  _id: ORDER_ID,
+  status: 'delivered',
+  paymentStatus: 'completed',
+  refundStatus: 'none',
+  totalAmount: 45,
+  totalRefundedAmount: 0,
+  refundHistory: [],
+  statusHistory: [],
+  paymentMethod: { type: 'stripe', name: 'Card' },
+  paymentDetails: { stripePaymentIntentId: 'pi_paid' },
+  getMaxRefundableAmount: vi.fn().mockReturnValue(45),
+  getCheckoutAmount: vi.fn().mockReturnValue(45),
+  save: vi.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+describe('Admin Controller - card refunds', () => {
+  const standIn = createStripeStandInServer();
+  const session = {
+    startTransaction: vi.fn(),
+    commitTransaction: vi.fn(),
+    abortTransaction: vi.fn(),
+    endSession: vi.fn()
+  };
+  let req, res, order;
+
+  beforeAll(async () => {
+    stripeService.baseURL = await standIn.start();
+    stripeService.secretKey = 'sk_test_standin';
+    process.env.STRIPE_PUBLISHABLE_KEY = 'pk_test_standin';
+  });
+
+  afterAll(async () => {
+    await standIn.stop();
+    stripeService.secretKey = undefined;
+    delete process.env.STRIPE_PUBLISHABLE_KEY;
+    paymentProviderRegistry.clearCache();
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    standIn.reset();
+    paymentProviderRegistry.clearCache();
+    vi.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    vi.spyOn(mongoose.Types.ObjectId, 'isValid').mockReturnValue(true);
+
+    order = createOrder();
+    Order.findById
+      .mockReturnValueOnce({ session: vi.fn().mockResolvedValue(order) })
+      .mockReturnValue({
+        populate: vi.fn().mockReturnThis(),
+        lean: vi.fn().mockResolvedValue(order)
+      });
+
+    req = {
+      params: { orderId: ORDER_ID },
+      body: { refundAmount: 15, refundReason: 'Damaged in transit' },
+      user: { _id: 'admin123' }
+    };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+  });
+
+  it('should refund the card through Stripe and record the Stripe refund', async () => {
+    standIn.addPaymentIntent({ id: 'pi_paid', amount: 4500 });
+
+    await issueRefund(req, res);
+
+    expect(standIn.refunds).toEqual([expect.objectContaining({ payment_intent: 'pi_paid', amount: 1500 })]);
+    expect(order.refundHistory).toEqual([expect.objectContaining({
+      refundId: 're_standin_1',
+      amount: 15,
+      status: 'succeeded'
+    })]);
+    expect(order.refundStatus).toBe('partial_refunded');
+    expect(session.commitTransaction).toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].success).toBe(true);
+  });
+
+  it('should leave the order untouched when Stripe refuses the refund', async () => {
+    standIn.addPaymentIntent({ id: 'pi_paid', amount: 4500, status: 'canceled' });
+
+    await issueRefund(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(502);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'Card could not issue the refund: Failed to process Stripe refund'
+    });
+    expect(order.save).not.toHaveBeenCalled();
+    expect(session.abortTransaction).toHaveBeenCalled();
+  });
+
+  it('should only record refunds for methods refunded by hand', async () => {
+    order.paymentMethod = { type: 'bitcoin', name: 'Bitcoin' };
+
+    await issueRefund(req, res);
+
+    expect(standIn.requests).toHaveLength(0);
+    expect(order.refundHistory[0].refundId).toMatch(/^refund_/);
+    expect(order.save).toHaveBeenCalled();
+  });
+
+  it('should open crypto refunds and ask the customer for an address', async () => {
+    order.paymentMethod = { type: 'monero', name: 'Monero' };
+    req.body.rateBasis = 'current';
+
+    await issueRefund(req, res);
+
+    const [refund] = order.refundHistory;
+    expect(refund.status).toBe('pending');
+    expect(refund.crypto).toMatchObject({ currency: 'XMR', rateBasis: 'current' });
+    expect(refund.crypto.addressTokenHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(order.totalRefundedAmount).toBe(15);
+    expect(emailService.sendCryptoRefundAddressRequestEmail).toHaveBeenCalledWith(
+      order,
+      refund,
+      expect.stringMatching(/\/refunds\/crypto\/[0-9a-f]{64}$/)
+    );
+    expect(emailService.sendRefundConfirmationEmail).not.toHaveBeenCalled();
+  });
+
+  it('should reject unknown crypto rate bases', async () => {
+    req.body.rateBasis = 'best';
+
+    await issueRefund(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(order.save).not.toHaveBeenCalled();
+  });
+});
@@ -28,7 +28,13 @@ const mockProduct = {
   _id: 'product123',
   name: 'Test Product',
   price: 99.99,
-  stockQuantity: 10
+  stockQuantity: 10,
+  privateFor: null,
+  isMadeOnDemand: () => false,
+  isGiftCard: () => false,
+  isAvailableTo(userId) {
+    return !this.privateFor || this.privateFor === userId;
+  }
 };
 
 vi.mock('../../models/Cart.js', () => {
@@ -43,7 +49,48 @@ vi.mock('../../models/Cart.js', () => {
 
 vi.mock('../../models/Product.js', () => ({
   default: {
-    findById: vi.fn()
+    findById: vi.fn(),
+    find: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Promotion.js', () => ({
+  default: {
+    findForCart: vi.fn()
+  }
+}));
+
+vi.mock('../../models/GiftCard.js', () => ({
+  GIFT_CARD_STATUSES: ['active', 'voided'],
+  default: {}
+}));
+
+vi.mock('../../models/Currency.js', () => ({
+  SETTLEMENT_CURRENCY: 'GBP',
+  default: {
+    find: vi.fn()
+  }
+}));
+
+vi.mock('../../services/inventoryReservationService.js', () => ({
+  default: {
+    getReservedStock: vi.fn().mockResolvedValue(new Map()),
+    getAvailableStock: vi.fn((product, variant) => (variant ? variant.stockQuantity : product.stockQuantity)),
+    reserveCart: vi.fn(),
+    releaseCart: vi.fn()
+  }
+}));
+
+vi.mock('../../services/cartRecoveryService.js', () => ({
+  default: {
+    restore: vi.fn(),
+    unsubscribe: vi.fn()
+  }
+}));
+
+vi.mock('../../services/guestOrderService.js', () => ({
+  default: {
+    normalizeEmail: vi.fn((email) => (typeof email === 'string' && email.includes('@') ? email.toLowerCase().trim() : null))
   }
 }));
 
@@ -54,10 +101,20 @@ import {
   updateCartItem,
   removeFromCart,
   clearCart,
+  reserveCheckoutStock,
+  releaseCheckoutStock,
+  setCheckoutContact,
+  restoreAbandonedCart,
+  unsubscribeFromCartReminders,
   mergeGuestCart
 } from '../cartController.js';
 import Cart from '../../models/Cart.js';
 import Product from '../../models/Product.js';
+import Currency from '../../models/Currency.js';
+import Promotion from '../../models/Promotion.js';
+import currencyService from '../../services/currencyService.js';
+import inventoryReservationService from '../../services/inventoryReservationService.js';
+import cartRecoveryService from '../../services/cartRecoveryService.js';
 
 describe('Cart Controller - Unit Tests', () => {
   let req, res, _next;
@@ -80,6 +137,12 @@ describe('Cart Controller - Unit Tests', () => {
     
     _next = vi.fn();
 
+    inventoryReservationService.getReservedStock.mockResolvedValue(new Map());
+    Promotion.findForCart.mockResolvedValue(null);
+    inventoryReservationService.getAvailableStock.mockImplementation(
+      (product, variant) => (variant ? variant.stockQuantity : product.stockQuantity)
+    );
+
     // Setup mongoose mock
     mongoose.Types = {
       ObjectId: {
@@ -176,6 +239,115 @@ describe('Cart Controller - Unit Tests', () => {
       expect(res.json).toHaveBeenCalled();
     });
 
+    describe('presentment currency', () => {
+      const cartItems = [
+        { _id: 'item1', productId: 'product123', unitPrice: 20, quantity: 2, subtotal: 40 },
+        { _id: 'item2', productId: 'product456', unitPrice: 9.99, quantity: 1, subtotal: 9.99 }
+      ];
+
+      beforeEach(() => {
+        currencyService.clearCache();
+        req.user = { _id: 'user123' };
+        Cart.findByUserId.mockResolvedValue({ ...mockCart, items: cartItems, totalItems: 3, totalAmount: 49.99 });
+        Currency.find.mockReturnValue({
+          sort: vi.fn().mockResolvedValue([
+            { code: 'EUR', name: 'Euro', symbol: '€', exchangeRate: 1.15, decimalPlaces: 2 }
+          ])
+        });
+        Product.find.mockResolvedValue([
+          { _id: 'product123', getPriceOverride: () => 22 },
+          { _id: 'product456', getPriceOverride: () => null }
+        ]);
+      });
+
+      it('should price items in GBP by default', async () => {
+        await getCart(req, res);
+
+        const { cart } = res.json.mock.calls[0][0].data;
+        expect(Product.find).not.toHaveBeenCalled();
+        expect(cart.currency).toBe('GBP');
+        expect(cart.items[0]).toEqual(expect.objectContaining({ presentmentUnitPrice: 20, presentmentSubtotal: 40 }));
+        expect(cart.presentmentTotal).toBe(49.99);
+      });
+
+      it('should use price overrides and convert the rest', async () => {
+        req.query = { currency: 'EUR' };
+
+        await getCart(req, res);
+
+        const { cart } = res.json.mock.calls[0][0].data;
+        expect(cart.currency).toBe('EUR');
+        expect(cart.items[0]).toEqual(expect.objectContaining({ presentmentUnitPrice: 22, presentmentSubtotal: 44 }));
+        expect(cart.items[1]).toEqual(expect.objectContaining({ presentmentUnitPrice: 11.49, presentmentSubtotal: 11.49 }));
+        expect(cart.presentmentTotal).toBe(55.49);
+        expect(cart.totalAmount).toBe(49.99);
+      });
+
+      it('should fall back to GBP for a currency that is not offered', async () => {
+        req.query = { currency: 'JPY' };
+
+        await getCart(req, res);
+
+        const { cart } = res.json.mock.calls[0][0].data;
+        expect(cart.currency).toBe('GBP');
+        expect(cart.presentmentTotal).toBe(49.99);
+      });
+    });
+
+    describe('promotions', () => {
+      beforeEach(() => {
+        currencyService.clearCache();
+        req.user = { _id: 'user123' };
+        Cart.findByUserId.mockResolvedValue({ ...mockCart, totalItems: 2, totalAmount: 50, promotionId: 'promo123' });
+        Currency.find.mockReturnValue({ sort: vi.fn().mockResolvedValue([]) });
+      });
+
+      it('should show the discount the cart promotion takes off', async () => {
+        Promotion.findForCart.mockResolvedValue({
+          code: 'CART-AB12CD34',
+          type: 'percentage',
+          value: 10,
+          minimumOrderSubtotal: 0,
+          calculateDiscount: vi.fn().mockReturnValue(5)
+        });
+
+        await getCart(req, res);
+
+        expect(Promotion.findForCart).toHaveBeenCalledWith(expect.objectContaining({ promotionId: 'promo123' }), 'user123');
+        const { cart } = res.json.mock.calls[0][0].data;
+        expect(cart.promotion).toEqual({
+          code: 'CART-AB12CD34',
+          type: 'percentage',
+          value: 10,
+          freeShipping: false,
+          discountAmount: 5,
+          presentmentDiscountAmount: 5
+        });
+      });
+
+      it('should leave free shipping to be worked out at checkout', async () => {
+        Promotion.findForCart.mockResolvedValue({
+          code: 'SHIPFREE',
+          type: 'free_shipping',
+          value: 0,
+          minimumOrderSubtotal: 40,
+          calculateDiscount: vi.fn().mockReturnValue(0)
+        });
+
+        await getCart(req, res);
+
+        const { cart } = res.json.mock.calls[0][0].data;
+        expect(cart.promotion).toEqual(expect.objectContaining({ freeShipping: true, discountAmount: 0 }));
+      });
+
+      it('should not show a promotion that can no longer be used', async () => {
+        await getCart(req, res);
+
+        const { cart } = res.json.mock.calls[0][0].data;
+        expect(cart.promotion).toBeNull();
+      });
+    });
+
     it('should handle server errors', async () => {
       req.user = { _id: 'user123' };
       Cart.findByUserId.mockRejectedValue(new Error('Database error'));
@@ -311,6 +483,103 @@ describe('Cart Controller - Unit Tests', () => {
       });
     });
 
+    it('should add made-to-order products beyond stock on hand', async () => {
+      req.user = { _id: 'user123' };
+      req.body = { productId: 'product123', quantity: 3 };
+      const madeToOrder = { ...mockProduct, stockQuantity: 0, availabilityMode: 'made_to_order', isMadeOnDemand: () => true };
+      Product.findById.mockResolvedValue(madeToOrder);
+      // Made-to-order products are never short (see inventoryReservationService)
+      inventoryReservationService.getAvailableStock.mockReturnValue(Infinity);
+
+      await addToCart(req, res);
+
+      expect(res.status).not.toHaveBeenCalled();
+      const cart = await Cart.findByUserId.mock.results[0].value;
+      expect(cart.addItem).toHaveBeenCalledWith(madeToOrder, 3, null, null);
+    });
+
+    describe('gift cards', () => {
+      const giftCardProduct = {
+        ...mockProduct,
+        price: 25,
+        stockQuantity: 0,
+        availabilityMode: 'gift_card',
+        isMadeOnDemand: () => true,
+        isGiftCard: () => true
+      };
+
+      beforeEach(() => {
+        req.user = { _id: 'user123' };
+        Product.findById.mockResolvedValue(giftCardProduct);
+        inventoryReservationService.getAvailableStock.mockReturnValue(Infinity);
+      });
+
+      it('should add a gift card with its recipient', async () => {
+        req.body = {
+          productId: 'product123',
+          quantity: 2,
+          giftCard: { recipientName: 'Sam', recipientEmail: ' Sam@Example.com ', message: 'Happy birthday!' }
+        };
+
+        await addToCart(req, res);
+
+        expect(res.status).not.toHaveBeenCalled();
+        const cart = await Cart.findByUserId.mock.results[0].value;
+        expect(cart.addItem).toHaveBeenCalledWith(giftCardProduct, 2, null, expect.objectContaining({
+          recipientName: 'Sam',
+          recipientEmail: 'sam@example.com',
+          message: 'Happy birthday!',
+          deliveryDate: null
+        }));
+      });
+
+      it('should require a recipient email', async () => {
+        req.body = { productId: 'product123', quantity: 1, giftCard: { recipientName: 'Sam' } };
+
+        await addToCart(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+          success: false,
+          error: 'A valid recipient email address is required'
+        });
+      });
+
+      it('should not mix recipients on one cart line', async () => {
+        const cartWithGiftCard = {
+          ...mockCart,
+          items: [{
+            productId: { toString: () => 'product123' },
+            quantity: 1,
+            giftCard: { recipientEmail: 'sam@example.com' }
+          }],
+          save: vi.fn().mockResolvedValue(true),
+          addItem: vi.fn()
+        };
+        Cart.findByUserId.mockResolvedValue(cartWithGiftCard);
+        req.body = { productId: 'product123', quantity: 1, giftCard: { recipientEmail: 'alex@example.com' } };
+
+        await addToCart(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(cartWithGiftCard.addItem).not.toHaveBeenCalled();
+      });
+    });
+
+    it('should not add a commission product made for another customer', async () => {
+      req.user = { _id: 'user123' };
+      req.body = { productId: 'product123', quantity: 1 };
+      Product.findById.mockResolvedValue({ ...mockProduct, privateFor: 'user456' });
+
+      await addToCart(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Product not found'
+      });
+    });
+
     it('should check total quantity including existing cart items', async () => {
       req.body = { productId: 'product123', quantity: 5 };
       
@@ -335,6 +604,23 @@ describe('Cart Controller - Unit Tests', () => {
       });
     });
 
+    it('should not add stock other customers hold in checkout', async () => {
+      req.user = { _id: 'user123' };
+      const reserved = new Map([['product123', 9]]);
+      inventoryReservationService.getReservedStock.mockResolvedValue(reserved);
+      inventoryReservationService.getAvailableStock.mockReturnValue(1);
+
+      await addToCart(req, res);
+
+      expect(inventoryReservationService.getReservedStock).toHaveBeenCalledWith(['product123'], { excludeCartId: 'cart123' });
+      expect(inventoryReservationService.getAvailableStock).toHaveBeenCalledWith(mockProduct, null, reserved);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Cannot add 2 items. You already have 0 in cart. Only 1 available.'
+      });
+    });
+
     it('should handle server errors', async () => {
       Product.findById.mockRejectedValue(new Error('Database error'));
 
@@ -351,6 +637,83 @@ describe('Cart Controller - Unit Tests', () => {
 
       consoleSpy.mockRestore();
     });
+
+    describe('with product variants', () => {
+      const mockVariant = {
+        _id: { toString: () => 'variant123' },
+        sku: 'TEST-1-24',
+        options: [{ name: 'Scale', value: '1:24' }],
+        price: 129.99,
+        stockQuantity: 3,
+        isActive: true
+      };
+      const productWithVariants = {
+        ...mockProduct,
+        options: [{ name: 'Scale', values: ['1:24'] }],
+        variants: [mockVariant]
+      };
+
+      beforeEach(() => {
+        Product.findById.mockResolvedValue(productWithVariants);
+      });
+
+      it('should require a variant for products sold with options', async () => {
+        req.user = { _id: 'user123' };
+
+        await addToCart(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+          success: false,
+          error: 'Please select product options before adding to cart'
+        });
+      });
+
+      it('should reject an unknown variant', async () => {
+        req.user = { _id: 'user123' };
+        req.body = { productId: 'product123', quantity: 1, variantId: 'missing' };
+
+        await addToCart(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({
+          success: false,
+          error: 'Product variant not found'
+        });
+      });
+
+      it('should check stock against the selected variant', async () => {
+        req.user = { _id: 'user123' };
+        req.body = { productId: 'product123', quantity: 5, variantId: 'variant123' };
+
+        await addToCart(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+          success: false,
+          error: 'Only 3 items available in stock'
+        });
+      });
+
+      it('should add the variant at its own price', async () => {
+        req.user = { _id: 'user123' };
+        req.body = { productId: 'product123', quantity: 2, variantId: 'variant123' };
+        const cart = await Cart.findByUserId();
+
+        await addToCart(req, res);
+
+        expect(cart.addItem).toHaveBeenCalledWith(productWithVariants, 2, mockVariant, null);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+          success: true,
+          data: expect.objectContaining({
+            addedItem: expect.objectContaining({
+              variantSku: 'TEST-1-24',
+              unitPrice: 129.99
+            })
+          })
+        }));
+      });
+    });
   });
 
   describe('updateCartItem', () => {
@@ -613,6 +976,14 @@ describe('Cart Controller - Unit Tests', () => {
       });
     });
 
+    it('should release the checkout hold', async () => {
+      req.user = { _id: 'user123' };
+
+      await clearCart(req, res);
+
+      expect(inventoryReservationService.releaseCart).toHaveBeenCalledWith('cart123');
+    });
+
     it('should handle server errors', async () => {
       Cart.findByUserId.mockRejectedValue(new Error('Database error'));
 
@@ -631,6 +1002,65 @@ describe('Cart Controller - Unit Tests', () => {
     });
   });
 
+  describe('reserveCheckoutStock', () => {
+    beforeEach(() => {
+      req.user = { _id: 'user123' };
+      Cart.findByUserId.mockResolvedValue({
+        ...mockCart,
+        items: [{ productId: 'product123', quantity: 1 }]
+      });
+    });
+
+    it('should hold the cart items for checkout', async () => {
+      const expiresAt = new Date('2024-01-01T10:15:00Z');
+      inventoryReservationService.reserveCart.mockResolvedValue({ expiresAt });
+
+      await reserveCheckoutStock(req, res);
+
+      expect(inventoryReservationService.reserveCart).toHaveBeenCalledWith(expect.objectContaining({ _id: 'cart123' }));
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: { expiresAt }
+      });
+    });
+
+    it('should list the items another customer holds', async () => {
+      const unavailableItems = [{ productId: 'product123', productName: 'Test Product', available: 0, requested: 1 }];
+      inventoryReservationService.reserveCart.mockRejectedValue(Object.assign(
+        new Error('Some items in your cart are no longer available in the quantity requested'),
+        { statusCode: 409, unavailableItems }
+      ));
+
+      await reserveCheckoutStock(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Some items in your cart are no longer available in the quantity requested',
+        unavailableItems
+      });
+    });
+
+    it('should reject an empty cart', async () => {
+      Cart.findByUserId.mockResolvedValue({ ...mockCart, items: [] });
+
+      await reserveCheckoutStock(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(inventoryReservationService.reserveCart).not.toHaveBeenCalled();
+    });
+
+    it('should release the hold when the customer leaves checkout', async () => {
+      await releaseCheckoutStock(req, res);
+
+      expect(inventoryReservationService.releaseCart).toHaveBeenCalledWith('cart123');
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Stock reservation released'
+      });
+    });
+  });
+
   describe('mergeGuestCart', () => {
     it('should merge guest cart successfully', async () => {
       const userId = 'user123';
@@ -668,6 +1098,113 @@ describe('Cart Controller - Unit Tests', () => {
     });
   });
 
+  describe('setCheckoutContact', () => {
+    it('should save a guest checkout email and marketing choice', async () => {
+      req.cookies = { cartSessionId: 'guest-session' };
+      req.body = { email: ' Guest@Example.com ', marketingOptIn: true };
+      const guestCart = { ...mockCart, sessionId: 'guest-session', save: vi.fn().mockResolvedValue(true) };
+      Cart.findBySessionId.mockResolvedValue(guestCart);
+
+      await setCheckoutContact(req, res);
+
+      expect(guestCart.contactEmail).toBe('guest@example.com');
+      expect(guestCart.marketingOptIn).toBe(true);
+      expect(guestCart.save).toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Checkout email saved' });
+    });
+
+    it('should leave marketing off unless explicitly chosen', async () => {
+      req.cookies = { cartSessionId: 'guest-session' };
+      req.body = { email: 'guest@example.com', marketingOptIn: 'yes' };
+      const guestCart = { ...mockCart, sessionId: 'guest-session', save: vi.fn().mockResolvedValue(true) };
+      Cart.findBySessionId.mockResolvedValue(guestCart);
+
+      await setCheckoutContact(req, res);
+
+      expect(guestCart.marketingOptIn).toBe(false);
+    });
+
+    it('should reject an invalid email', async () => {
+      req.body = { email: 'not-an-email' };
+
+      await setCheckoutContact(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Cart.findBySessionId).not.toHaveBeenCalled();
+    });
+
+    it('should reject signed-in customers', async () => {
+      req.user = { _id: 'user123' };
+      req.body = { email: 'guest@example.com' };
+
+      await setCheckoutContact(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('restoreAbandonedCart', () => {
+    it('should hand a restored guest cart to this browser', async () => {
+      req.params.token = 'token123';
+      cartRecoveryService.restore.mockResolvedValue({
+        cart: { ...mockCart, sessionId: 'guest-session', totalItems: 2 },
+        requiresLogin: false,
+        promotionCode: 'CART-1A2B3C4D'
+      });
+
+      await restoreAbandonedCart(req, res);
+
+      expect(cartRecoveryService.restore).toHaveBeenCalledWith('token123', null);
+      expect(res.cookie).toHaveBeenCalledWith('cartSessionId', 'guest-session', expect.objectContaining({ httpOnly: true }));
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: { restored: true, requiresLogin: false, promotionCode: 'CART-1A2B3C4D', totalItems: 2 }
+      });
+    });
+
+    it('should ask for a login without setting a cookie', async () => {
+      req.params.token = 'token123';
+      cartRecoveryService.restore.mockResolvedValue({ cart: null, requiresLogin: true, promotionCode: null });
+
+      await restoreAbandonedCart(req, res);
+
+      expect(res.cookie).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: { restored: false, requiresLogin: true, promotionCode: null, totalItems: 0 }
+      });
+    });
+
+    it('should return 404 for an invalid link', async () => {
+      req.params.token = 'token123';
+      cartRecoveryService.restore.mockResolvedValue(null);
+
+      await restoreAbandonedCart(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('unsubscribeFromCartReminders', () => {
+    it('should confirm the unsubscribe', async () => {
+      req.params.token = 'token123';
+      cartRecoveryService.unsubscribe.mockResolvedValue({ status: 'unsubscribed' });
+
+      await unsubscribeFromCartReminders(req, res);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+
+    it('should return 404 for an invalid link', async () => {
+      req.params.token = 'token123';
+      cartRecoveryService.unsubscribe.mockResolvedValue(null);
+
+      await unsubscribeFromCartReminders(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
   describe('Helper Functions Coverage', () => {
     it('should handle guest user without existing session cookie', async () => {
       // Test the getOrCreateSessionId helper indirectly through getCart
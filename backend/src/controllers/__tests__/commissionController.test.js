@@ -0,0 +1,246 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import mongoose from 'mongoose';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../services/commissionService.js', () => ({
+  default: {
+    submit: vi.fn(),
+    getUserRequests: vi.fn(),
+    getUserRequest: vi.fn(),
+    getRequests: vi.fn(),
+    getRequest: vi.fn(),
+    addCustomerMessage: vi.fn(),
+    addAdminMessage: vi.fn(),
+    sendQuote: vi.fn(),
+    reject: vi.fn(),
+    declineQuote: vi.fn(),
+    cancel: vi.fn(),
+    acceptQuote: vi.fn()
+  }
+}));
+
+import commissionService from '../../services/commissionService.js';
+import { logError } from '../../utils/logger.js';
+import {
+  submitCommissionRequest,
+  getMyCommissionRequests,
+  getMyCommissionRequest,
+  addCommissionMessage,
+  acceptCommissionQuote,
+  cancelCommissionRequest,
+  getCommissionRequests,
+  quoteCommissionRequest,
+  rejectCommissionRequest
+} from '../commissionController.js';
+
+const COMMISSION_ID = '507f1f77bcf86cd799439011';
+const statusError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+describe('Commission Controller', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.restoreAllMocks();
+    vi.spyOn(mongoose.Types.ObjectId, 'isValid').mockReturnValue(true);
+    req = {
+      params: { commissionId: COMMISSION_ID },
+      query: {},
+      body: {},
+      user: { _id: 'user1', email: 'jo@example.com' }
+    };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+  });
+
+  describe('submitCommissionRequest', () => {
+    it('should submit the brief with the uploaded images', async () => {
+      const commission = { _id: COMMISSION_ID, requestNumber: 'COM-1' };
+      commissionService.submit.mockResolvedValue(commission);
+      req.body = {
+        title: 'Dragon',
+        brief: 'A green dragon',
+        budget: '100',
+        processedImages: [{ url: '/uploads/products/dragon.jpg' }]
+      };
+
+      await submitCommissionRequest(req, res);
+
+      expect(commissionService.submit).toHaveBeenCalledWith(req.user, {
+        title: 'Dragon',
+        brief: 'A green dragon',
+        budget: '100',
+        images: [{ url: '/uploads/products/dragon.jpg' }]
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        success: true,
+        data: { commission }
+      }));
+    });
+
+    it('should pass on validation errors', async () => {
+      commissionService.submit.mockRejectedValue(statusError('Brief is required', 400));
+
+      await submitCommissionRequest(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Brief is required' });
+      expect(logError).not.toHaveBeenCalled();
+    });
+
+    it('should log unexpected errors', async () => {
+      commissionService.submit.mockRejectedValue(new Error('Database error'));
+
+      await submitCommissionRequest(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(logError).toHaveBeenCalled();
+    });
+  });
+
+  describe('getMyCommissionRequests', () => {
+    it('should page through the customer\'s requests', async () => {
+      const pagination = { currentPage: 2, totalPages: 2, totalItems: 6, itemsPerPage: 5 };
+      commissionService.getUserRequests.mockResolvedValue({ requests: [{ requestNumber: 'COM-1' }], pagination });
+      req.query = { page: '2', limit: '5' };
+
+      await getMyCommissionRequests(req, res);
+
+      expect(commissionService.getUserRequests).toHaveBeenCalledWith('user1', { page: 2, limit: 5 });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: { commissions: [{ requestNumber: 'COM-1' }] },
+        pagination
+      });
+    });
+  });
+
+  describe('getMyCommissionRequest', () => {
+    it('should reject an invalid ID', async () => {
+      mongoose.Types.ObjectId.isValid.mockReturnValue(false);
+
+      await getMyCommissionRequest(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(commissionService.getUserRequest).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for another customer\'s request', async () => {
+      commissionService.getUserRequest.mockRejectedValue(statusError('Commission request not found', 404));
+
+      await getMyCommissionRequest(req, res);
+
+      expect(commissionService.getUserRequest).toHaveBeenCalledWith('user1', COMMISSION_ID);
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('addCommissionMessage', () => {
+    it('should add the message with its images', async () => {
+      const message = { author: 'customer', body: 'Here is another photo' };
+      commissionService.addCustomerMessage.mockResolvedValue({ request: { _id: COMMISSION_ID }, message });
+      req.body = { message: 'Here is another photo', processedImages: [{ url: '/uploads/products/photo.jpg' }] };
+
+      await addCommissionMessage(req, res);
+
+      expect(commissionService.addCustomerMessage).toHaveBeenCalledWith('user1', COMMISSION_ID, {
+        body: 'Here is another photo',
+        images: [{ url: '/uploads/products/photo.jpg' }]
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+  });
+
+  describe('acceptCommissionQuote', () => {
+    it('should accept the quote and report the cart', async () => {
+      const product = { _id: 'product1', name: 'Dragon', slug: 'com-1', price: 150, privateFor: 'user1' };
+      commissionService.acceptQuote.mockResolvedValue({ request: { status: 'accepted' }, product, addedToCart: true });
+
+      await acceptCommissionQuote(req, res);
+
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Quote accepted and added to your cart',
+        data: {
+          commission: { status: 'accepted' },
+          product: { _id: 'product1', name: 'Dragon', slug: 'com-1', price: 150 },
+          addedToCart: true
+        }
+      });
+    });
+
+    it('should pass on an expired quote', async () => {
+      commissionService.acceptQuote.mockRejectedValue(statusError('This quote has expired. Send us a message for a new one', 400));
+
+      await acceptCommissionQuote(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('cancelCommissionRequest', () => {
+    it('should cancel the request', async () => {
+      commissionService.cancel.mockResolvedValue({ status: 'cancelled' });
+
+      await cancelCommissionRequest(req, res);
+
+      expect(commissionService.cancel).toHaveBeenCalledWith('user1', COMMISSION_ID);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+  });
+
+  describe('getCommissionRequests', () => {
+    it('should filter by status', async () => {
+      commissionService.getRequests.mockResolvedValue({ requests: [], pagination: {} });
+      req.query = { status: 'submitted' };
+
+      await getCommissionRequests(req, res);
+
+      expect(commissionService.getRequests).toHaveBeenCalledWith({ status: 'submitted', page: 1, limit: 20 });
+    });
+  });
+
+  describe('quoteCommissionRequest', () => {
+    it('should send the quote', async () => {
+      commissionService.sendQuote.mockResolvedValue({ status: 'quoted' });
+      req.user = { _id: 'admin1' };
+      req.body = { price: '150', description: '20cm tall', leadTimeDays: '21', validUntil: '2026-12-01' };
+
+      await quoteCommissionRequest(req, res);
+
+      expect(commissionService.sendQuote).toHaveBeenCalledWith(req.user, COMMISSION_ID, {
+        price: '150',
+        description: '20cm tall',
+        leadTimeDays: '21',
+        validUntil: '2026-12-01'
+      });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Quote sent',
+        data: { commission: { status: 'quoted' } }
+      });
+    });
+  });
+
+  describe('rejectCommissionRequest', () => {
+    it('should pass on a request that cannot be turned down', async () => {
+      commissionService.reject.mockRejectedValue(statusError('This commission request has already been accepted', 400));
+
+      await rejectCommissionRequest(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+});
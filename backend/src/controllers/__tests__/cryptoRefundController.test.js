@@ -0,0 +1,243 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import mongoose from 'mongoose';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn(),
+  logPaymentEvent: vi.fn()
+}));
+
+vi.mock('../../models/Order.js', () => ({
+  default: {
+    findById: vi.fn(),
+    findOne: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Payment.js', () => ({
+  default: {
+    findOne: vi.fn()
+  }
+}));
+
+vi.mock('../../services/emailService.js', () => ({
+  default: {
+    sendRefundConfirmationEmail: vi.fn(),
+    sendCryptoRefundAddressRequestEmail: vi.fn()
+  }
+}));
+
+import Order from '../../models/Order.js';
+import Payment from '../../models/Payment.js';
+import emailService from '../../services/emailService.js';
+import bitcoinService from '../../services/bitcoinService.js';
+import cryptoRefundService from '../../services/cryptoRefundService.js';
+import {
+  getCryptoRefund,
+  submitCryptoRefundAddress,
+  recordCryptoRefundTransaction,
+  resendCryptoRefundAddressRequest
+} from '../cryptoRefundController.js';
+
+const ORDER_ID = '507f1f77bcf86cd799439011';
+const ADDRESS = 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4';
+const TXID = 'ab'.repeat(32);
+
+const createOrder = () => ({
+  _id: ORDER_ID,
+  orderNumber: 'ORD-1',
+  paymentMethod: { type: 'bitcoin' },
+  paymentDetails: {},
+  refundHistory: [],
+  save: vi.fn().mockResolvedValue(true)
+});
+
+// An order with one crypto refund opened the way issueRefund opens it
+const createRefundedOrder = () => {
+  const order = createOrder();
+  const refund = { refundId: 'refund_1', amount: 45, reason: 'Damaged', status: 'succeeded' };
+  const token = cryptoRefundService.openRefund(order, refund);
+  order.refundHistory.push(refund);
+  return { order, refund, token };
+};
+
+describe('Crypto Refund Controller', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.restoreAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(mongoose.Types.ObjectId, 'isValid').mockReturnValue(true);
+    vi.spyOn(bitcoinService, 'getGatewaySettings').mockResolvedValue({ config: { bitcoinNetwork: 'mainnet' } });
+    Payment.findOne.mockResolvedValue({ rateQuote: { rate: 30000 } });
+    req = { params: {}, body: {}, user: { _id: 'admin123' } };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+  });
+
+  describe('getCryptoRefund', () => {
+    it('should show the refund a link belongs to', async () => {
+      const { order, token } = createRefundedOrder();
+      Order.findOne.mockResolvedValue(order);
+      req.params.token = token;
+
+      await getCryptoRefund(req, res);
+
+      expect(res.json.mock.calls[0][0].data).toMatchObject({
+        orderNumber: 'ORD-1',
+        amount: 45,
+        currency: 'BTC',
+        awaitingAddress: true
+      });
+      expect(res.json.mock.calls[0][0].data).not.toHaveProperty('addressTokenHash');
+    });
+
+    it('should answer 404 for unknown links', async () => {
+      Order.findOne.mockResolvedValue(null);
+      req.params.token = 'c'.repeat(64);
+
+      await getCryptoRefund(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('submitCryptoRefundAddress', () => {
+    it('should confirm a valid address entered twice and fix the amount', async () => {
+      const { order, refund, token } = createRefundedOrder();
+      Order.findOne.mockResolvedValue(order);
+      req.params.token = token;
+      req.body = { address: ADDRESS, confirmAddress: ` ${ADDRESS} ` };
+
+      await submitCryptoRefundAddress(req, res);
+
+      expect(refund.crypto).toMatchObject({ refundAddress: ADDRESS, exchangeRate: 30000, cryptoAmount: 0.0015 });
+      expect(order.save).toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].success).toBe(true);
+    });
+
+    it('should reject addresses that do not match', async () => {
+      req.params.token = 'c'.repeat(64);
+      req.body = { address: ADDRESS, confirmAddress: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2' };
+
+      await submitCryptoRefundAddress(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Order.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should reject addresses for another currency', async () => {
+      const { order, token } = createRefundedOrder();
+      Order.findOne.mockResolvedValue(order);
+      req.params.token = token;
+      req.body = { address: 'not-an-address', confirmAddress: 'not-an-address' };
+
+      await submitCryptoRefundAddress(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Not a valid BTC address' });
+      expect(order.save).not.toHaveBeenCalled();
+    });
+
+    it('should not change an address once confirmed', async () => {
+      const { order, refund, token } = createRefundedOrder();
+      refund.crypto.addressConfirmedAt = new Date();
+      Order.findOne.mockResolvedValue(order);
+      req.params.token = token;
+      req.body = { address: ADDRESS, confirmAddress: ADDRESS };
+
+      await submitCryptoRefundAddress(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should answer 410 once the link has expired', async () => {
+      const { order, refund, token } = createRefundedOrder();
+      refund.crypto.addressRequestExpires = new Date(Date.now() - 1000);
+      Order.findOne.mockResolvedValue(order);
+      req.params.token = token;
+      req.body = { address: ADDRESS, confirmAddress: ADDRESS };
+
+      await submitCryptoRefundAddress(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(410);
+    });
+  });
+
+  describe('recordCryptoRefundTransaction', () => {
+    beforeEach(() => {
+      req.params = { orderId: ORDER_ID, refundId: 'refund_1' };
+    });
+
+    it('should mark the refund sent and email the confirmation', async () => {
+      const { order, refund } = createRefundedOrder();
+      refund.crypto.addressConfirmedAt = new Date();
+      Order.findById.mockReturnValue({ populate: vi.fn().mockResolvedValue(order) });
+      req.body = { transactionId: TXID.toUpperCase() };
+
+      await recordCryptoRefundTransaction(req, res);
+
+      expect(refund.status).toBe('succeeded');
+      expect(refund.crypto.transactionId).toBe(TXID);
+      expect(order.save).toHaveBeenCalled();
+      expect(emailService.sendRefundConfirmationEmail).toHaveBeenCalledWith(order, refund);
+    });
+
+    it('should wait for the customer to confirm an address', async () => {
+      const { order } = createRefundedOrder();
+      Order.findById.mockReturnValue({ populate: vi.fn().mockResolvedValue(order) });
+      req.body = { transactionId: TXID };
+
+      await recordCryptoRefundTransaction(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(order.save).not.toHaveBeenCalled();
+    });
+
+    it('should reject malformed transaction IDs', async () => {
+      req.body = { transactionId: 'txid' };
+
+      await recordCryptoRefundTransaction(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Order.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resendCryptoRefundAddressRequest', () => {
+    beforeEach(() => {
+      req.params = { orderId: ORDER_ID, refundId: 'refund_1' };
+    });
+
+    it('should replace the link and email the new one', async () => {
+      const { order, refund, token } = createRefundedOrder();
+      Order.findById.mockReturnValue({ populate: vi.fn().mockResolvedValue(order) });
+      emailService.sendCryptoRefundAddressRequestEmail.mockResolvedValue({ success: true });
+
+      await resendCryptoRefundAddressRequest(req, res);
+
+      const [, , addressUrl] = emailService.sendCryptoRefundAddressRequestEmail.mock.calls[0];
+      expect(addressUrl).not.toContain(token);
+      expect(refund.crypto.addressTokenHash).toBe(cryptoRefundService.hashToken(addressUrl.split('/').pop()));
+      expect(order.save).toHaveBeenCalled();
+    });
+
+    it('should answer 404 for refunds not paid in crypto', async () => {
+      const order = createOrder();
+      order.refundHistory.push({ refundId: 'refund_1', amount: 10, status: 'succeeded' });
+      Order.findById.mockReturnValue({ populate: vi.fn().mockResolvedValue(order) });
+
+      await resendCryptoRefundAddressRequest(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../services/guestOrderService.js', () => ({
+  default: {
+    sendLookupLink: vi.fn(),
+    createAccountFromOrder: vi.fn()
+  }
+}));
+
+import guestOrderService from '../../services/guestOrderService.js';
+import { requestGuestOrderLink, createAccountFromGuestOrder } from '../guestOrderController.js';
+
+const statusError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+describe('Guest Order Controller', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    req = { params: {}, body: {} };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+  });
+
+  describe('requestGuestOrderLink', () => {
+    it('should give the same answer whether or not a link was sent', async () => {
+      req.body = { orderNumber: 'ORD-12345678-001', email: 'guest@example.com' };
+
+      guestOrderService.sendLookupLink.mockResolvedValue(true);
+      await requestGuestOrderLink(req, res);
+      guestOrderService.sendLookupLink.mockResolvedValue(false);
+      await requestGuestOrderLink(req, res);
+
+      expect(guestOrderService.sendLookupLink).toHaveBeenCalledWith('ORD-12345678-001', 'guest@example.com');
+      expect(res.status).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0]).toEqual(res.json.mock.calls[1][0]);
+      expect(res.json.mock.calls[0][0].success).toBe(true);
+    });
+
+    it('should pass validation errors through', async () => {
+      guestOrderService.sendLookupLink.mockRejectedValue(statusError('Order number and a valid email address are required', 400));
+
+      await requestGuestOrderLink(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Order number and a valid email address are required'
+      });
+    });
+  });
+
+  describe('createAccountFromGuestOrder', () => {
+    beforeEach(() => {
+      req.guestOrder = { orderId: 'order1', email: 'guest@example.com', emailed: true };
+      req.body = {
+        password: 'Password1!',
+        confirmPassword: 'Password1!',
+        firstName: 'Jo',
+        lastName: 'Bloggs'
+      };
+    });
+
+    it('should create the account and sign the customer in', async () => {
+      guestOrderService.createAccountFromOrder.mockResolvedValue({
+        user: { _id: 'user1', toJSON: () => ({ _id: 'user1', email: 'guest@example.com' }) },
+        ordersAttached: 2
+      });
+
+      await createAccountFromGuestOrder(req, res);
+
+      expect(guestOrderService.createAccountFromOrder).toHaveBeenCalledWith(req.guestOrder, {
+        password: 'Password1!',
+        firstName: 'Jo',
+        lastName: 'Bloggs',
+        marketingOptIn: undefined
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      const body = res.json.mock.calls[0][0];
+      expect(body.message).toBe('Account created and 2 orders added to it');
+      expect(body.data.user).toEqual({ _id: 'user1', email: 'guest@example.com' });
+      expect(body.data.token).toEqual(expect.any(String));
+    });
+
+    it('should reject mismatched passwords', async () => {
+      req.body.confirmPassword = 'Password2!';
+
+      await createAccountFromGuestOrder(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Passwords do not match' });
+      expect(guestOrderService.createAccountFromOrder).not.toHaveBeenCalled();
+    });
+
+    it('should reject weak passwords', async () => {
+      req.body.password = req.body.confirmPassword = 'password';
+
+      await createAccountFromGuestOrder(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error).toBe('Password must contain at least one uppercase letter');
+    });
+
+    it('should require a name', async () => {
+      req.body.firstName = '  ';
+
+      await createAccountFromGuestOrder(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error).toBe('Password, first name, and last name are required');
+    });
+
+    it('should pass service errors through', async () => {
+      guestOrderService.createAccountFromOrder.mockRejectedValue(
+        statusError('Open the link in your order confirmation email to create an account', 403)
+      );
+
+      await createAccountFromGuestOrder(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Open the link in your order confirmation email to create an account'
+      });
+    });
+  });
+});
@@ -14,7 +14,9 @@ vi.mock('../../services/bitcoinService.js', () => ({
     isPaymentExpired: vi.fn(),
     isPaymentConfirmed: vi.fn(),
     isPaymentSufficient: vi.fn(),
-    satoshisToBtc: vi.fn()
+    satoshisToBtc: vi.fn(),
+    blockonomicsCallbackSecret: 'test-callback-secret',
+    verifyBlockonomicsCallback: vi.fn(secret => secret === 'test-callback-secret')
   }
 }));
 
@@ -24,6 +26,8 @@ app.post('/api/payment/bitcoin/initialize', initializeBitcoinPayment);
 app.get('/api/payment/bitcoin/status/:orderId', getBitcoinPaymentStatus);
 app.post('/api/payment/bitcoin/webhook', handleBlockonomicsWebhook);
 
+const WEBHOOK_URL = '/api/payment/bitcoin/webhook?secret=test-callback-secret';
+
 describe('Bitcoin Payment Controller', () => {
   let mongoServer;
   let testOrder;
@@ -264,7 +268,7 @@ describe('Bitcoin Payment Controller', () => {
       bitcoinService.isPaymentConfirmed.mockReturnValue(true);
 
       const response = await request(app)
-        .post('/api/payment/bitcoin/webhook')
+        .post(WEBHOOK_URL)
         .send(webhookData);
 
       expect(response.status).toBe(200);
@@ -292,7 +296,7 @@ describe('Bitcoin Payment Controller', () => {
       bitcoinService.isPaymentSufficient.mockReturnValue(false);
 
       const response = await request(app)
-        .post('/api/payment/bitcoin/webhook')
+        .post(WEBHOOK_URL)
         .send(webhookData);
 
       expect(response.status).toBe(200);
@@ -313,7 +317,7 @@ describe('Bitcoin Payment Controller', () => {
       bitcoinService.isPaymentExpired.mockReturnValue(true);
 
       const response = await request(app)
-        .post('/api/payment/bitcoin/webhook')
+        .post(WEBHOOK_URL)
         .send(webhookData);
 
       expect(response.status).toBe(200);
@@ -322,9 +326,20 @@ describe('Bitcoin Payment Controller', () => {
       expect(updatedOrder.paymentStatus).toBe('expired');
     });
 
-    it('should return 400 for invalid webhook data', async () => {
+    it('should reject callbacks without the callback secret', async () => {
       const response = await request(app)
         .post('/api/payment/bitcoin/webhook')
+        .send({ addr: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa', value: 440000, txid: 'forged', confirmations: 6 });
+
+      expect(response.status).toBe(401);
+
+      const order = await Order.findById(testOrder._id);
+      expect(order.paymentStatus).toBe('awaiting_confirmation');
+    });
+
+    it('should return 400 for invalid webhook data', async () => {
+      const response = await request(app)
+        .post(WEBHOOK_URL)
         .send({ addr: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa' }); // Missing txid
 
       expect(response.status).toBe(400);
@@ -340,7 +355,7 @@ describe('Bitcoin Payment Controller', () => {
       };
 
       const response = await request(app)
-        .post('/api/payment/bitcoin/webhook')
+        .post(WEBHOOK_URL)
         .send(webhookData);
 
       expect(response.status).toBe(404);
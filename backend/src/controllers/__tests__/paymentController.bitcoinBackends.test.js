@@ -0,0 +1,273 @@
+import { vi, describe, it, expect, beforeEach, afterEach } from 'vitest';
+import crypto from 'crypto';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn(),
+  logPaymentEvent: vi.fn()
+}));
+
+vi.mock('../../models/Order.js', () => ({
+  default: {
+    findById: vi.fn(),
+    findOne: vi.fn()
+  }
+}));
+
+vi.mock('../../services/orderCompletionService.js', () => ({
+  handleOrderCompletion: vi.fn()
+}));
+
+import Order from '../../models/Order.js';
+import bitcoinService from '../../services/bitcoinService.js';
+import cryptoPaymentService from '../../services/cryptoPaymentService.js';
+import { BtcpayBitcoinBackend } from '../../services/bitcoinBackends.js';
+import webhookEventService from '../../services/webhookEventService.js';
+import { getBitcoinPaymentStatus, handleBtcpayWebhook, handleBlockonomicsWebhook } from '../paymentController.js';
+
+const createOrder = (paymentDetails = {}) => ({
+  _id: 'order123',
+  orderNumber: 'ORD-1',
+  status: 'pending',
+  paymentStatus: 'awaiting_confirmation',
+  paymentMethod: { type: 'bitcoin' },
+  paymentDetails: {
+    bitcoinAddress: 'bc1qexample',
+    bitcoinAmount: 0.001,
+    bitcoinPaymentExpiry: new Date(Date.now() + 3600000),
+    ...paymentDetails
+  },
+  save: vi.fn().mockResolvedValue(true)
+});
+
+describe('Payment Controller - Bitcoin backends', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.restoreAllMocks();
+    req = { params: {}, body: {}, headers: {} };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+  });
+
+  describe('getBitcoinPaymentStatus', () => {
+    beforeEach(() => {
+      req.params = { orderId: 'order123' };
+    });
+
+    it('should complete an xpub order once the address has enough confirmations', async () => {
+      const order = createOrder({ bitcoinBackend: 'xpub' });
+      Order.findById.mockResolvedValue(order);
+      vi.spyOn(bitcoinService, 'checkPaymentStatus').mockResolvedValue({
+        amountReceived: 0.001,
+        confirmations: 2,
+        txid: 'tx-1'
+      });
+
+      await getBitcoinPaymentStatus(req, res);
+
+      expect(bitcoinService.checkPaymentStatus).toHaveBeenCalledWith(order.paymentDetails);
+      expect(order.paymentStatus).toBe('completed');
+      expect(order.status).toBe('processing');
+      expect(order.save).toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].data).toMatchObject({
+        paymentStatus: 'completed',
+        bitcoinAmountReceived: 0.001,
+        bitcoinTransactionHash: 'tx-1',
+        isConfirmed: true
+      });
+    });
+
+    it('should leave the order alone while nothing has been received', async () => {
+      const order = createOrder({ bitcoinBackend: 'xpub' });
+      Order.findById.mockResolvedValue(order);
+      vi.spyOn(bitcoinService, 'checkPaymentStatus').mockResolvedValue({ amountReceived: 0, confirmations: 0, txid: null });
+
+      await getBitcoinPaymentStatus(req, res);
+
+      expect(order.paymentStatus).toBe('awaiting_confirmation');
+      expect(order.save).not.toHaveBeenCalled();
+    });
+
+    it('should judge quoted orders by the quote rather than the payment expiry', async () => {
+      const order = createOrder({ bitcoinBackend: 'xpub', bitcoinPaymentExpiry: new Date(Date.now() - 60000) });
+      Order.findById.mockResolvedValue(order);
+      vi.spyOn(bitcoinService, 'checkPaymentStatus').mockResolvedValue({ amountReceived: 0.001, confirmations: 2, txid: 'tx-1' });
+      vi.spyOn(cryptoPaymentService, 'recordPayment').mockResolvedValue({ outcome: 'paid', amountReceived: 0.001, confirmations: 2 });
+      vi.spyOn(cryptoPaymentService, 'markCompleted').mockResolvedValue();
+
+      await getBitcoinPaymentStatus(req, res);
+
+      expect(cryptoPaymentService.recordPayment).toHaveBeenCalledWith(order, 'bitcoin', {
+        totalReceived: 0.001,
+        confirmations: 2,
+        txid: 'tx-1'
+      });
+      expect(order.paymentStatus).toBe('completed');
+      expect(cryptoPaymentService.markCompleted).toHaveBeenCalledWith(order, 'bitcoin');
+    });
+
+    it('should report what is still due on an underpaid order', async () => {
+      const order = createOrder({ bitcoinBackend: 'xpub' });
+      Order.findById.mockResolvedValue(order);
+      vi.spyOn(bitcoinService, 'checkPaymentStatus').mockResolvedValue({ amountReceived: 0.0006, confirmations: 1, txid: 'tx-1' });
+
+      await getBitcoinPaymentStatus(req, res);
+
+      expect(order.paymentStatus).toBe('underpaid');
+      expect(res.json.mock.calls[0][0].data).toMatchObject({
+        paymentStatus: 'underpaid',
+        bitcoinAddress: 'bc1qexample',
+        bitcoinAmountDue: 0.0004
+      });
+    });
+
+    it('should still answer when the backend cannot be reached', async () => {
+      Order.findById.mockResolvedValue(createOrder({ bitcoinBackend: 'xpub' }));
+      vi.spyOn(bitcoinService, 'checkPaymentStatus').mockRejectedValue(new Error('Failed to check Bitcoin payment'));
+
+      await getBitcoinPaymentStatus(req, res);
+
+      expect(res.status).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].data.paymentStatus).toBe('awaiting_confirmation');
+    });
+  });
+
+  describe('handleBtcpayWebhook', () => {
+    const secret = 'hook-secret';
+    let backend;
+
+    const signedRequest = (body) => {
+      const rawBody = Buffer.from(JSON.stringify(body));
+      return {
+        body,
+        rawBody,
+        headers: { 'btcpay-sig': `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}` }
+      };
+    };
+
+    beforeEach(() => {
+      backend = new BtcpayBitcoinBackend({ url: 'http://btcpay', storeId: 'STORE1', apiKey: 'key', webhookSecret: secret });
+      vi.spyOn(bitcoinService, 'getBackend').mockResolvedValue({ name: 'btcpay', backend });
+    });
+
+    it('should reject requests with a bad signature', async () => {
+      req = { body: { invoiceId: 'INV-1' }, headers: { 'btcpay-sig': 'sha256=00' } };
+
+      await handleBtcpayWebhook(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(Order.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should record a delivery with a bad signature as rejected', async () => {
+      const receive = vi.spyOn(webhookEventService, 'receive').mockResolvedValue({ event: null, duplicate: false });
+      req = { body: { invoiceId: 'INV-1', type: 'InvoiceSettled' }, headers: { 'btcpay-sig': 'sha256=00' } };
+
+      await handleBtcpayWebhook(req, res);
+
+      expect(receive).toHaveBeenCalledWith(expect.objectContaining({ provider: 'btcpay', signatureStatus: 'invalid' }));
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should acknowledge a redelivered event without processing it again', async () => {
+      const receive = vi.spyOn(webhookEventService, 'receive').mockResolvedValue({ event: { status: 'processed' }, duplicate: true });
+
+      await handleBtcpayWebhook(signedRequest({ type: 'InvoiceSettled', invoiceId: 'INV-1', deliveryId: 'DEL-2', originalDeliveryId: 'DEL-1' }), res);
+
+      expect(receive).toHaveBeenCalledWith(expect.objectContaining({ provider: 'btcpay', eventId: 'DEL-1', signatureStatus: 'valid' }));
+      expect(Order.findOne).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, received: true, duplicate: true });
+    });
+
+    it('should settle the order from the invoice payments', async () => {
+      const order = createOrder({ bitcoinBackend: 'btcpay', bitcoinInvoiceId: 'INV-1' });
+      Order.findOne.mockResolvedValue(order);
+      vi.spyOn(backend, 'getPaymentStatus').mockResolvedValue({
+        amountReceived: 0.001,
+        confirmations: 0,
+        txid: 'tx-1',
+        confirmed: true
+      });
+
+      await handleBtcpayWebhook(signedRequest({ type: 'InvoiceSettled', invoiceId: 'INV-1' }), res);
+
+      expect(Order.findOne).toHaveBeenCalledWith({
+        'paymentDetails.bitcoinInvoiceId': 'INV-1',
+        'paymentMethod.type': 'bitcoin'
+      });
+      expect(order.paymentStatus).toBe('completed');
+      expect(order.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should return 404 for unknown invoices', async () => {
+      Order.findOne.mockResolvedValue(null);
+
+      await handleBtcpayWebhook(signedRequest({ type: 'InvoiceSettled', invoiceId: 'INV-404' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should return 503 when BTCPay Server is not configured', async () => {
+      bitcoinService.getBackend.mockRejectedValue(new Error('BTCPay Server backend requires a URL, store ID and API key'));
+
+      await handleBtcpayWebhook(signedRequest({ invoiceId: 'INV-1' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(503);
+    });
+  });
+
+  describe('handleBlockonomicsWebhook', () => {
+    const callback = { addr: 'bc1qexample', value: 100000, txid: 'tx-1', confirmations: 2 };
+
+    beforeEach(() => {
+      bitcoinService.blockonomicsCallbackSecret = 'callback-secret';
+    });
+
+    afterEach(() => {
+      bitcoinService.blockonomicsCallbackSecret = undefined;
+    });
+
+    it('should record a callback carrying the configured secret as verified', async () => {
+      const receive = vi.spyOn(webhookEventService, 'receive').mockResolvedValue({ event: { status: 'processed' }, duplicate: true });
+
+      await handleBlockonomicsWebhook({ query: { secret: 'callback-secret' }, body: callback, headers: {} }, res);
+
+      expect(receive).toHaveBeenCalledWith(expect.objectContaining({
+        provider: 'blockonomics',
+        eventId: 'bc1qexample:tx-1:2',
+        signatureStatus: 'valid'
+      }));
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should reject and record a callback with the wrong secret', async () => {
+      const receive = vi.spyOn(webhookEventService, 'receive').mockResolvedValue({ event: null, duplicate: false });
+
+      await handleBlockonomicsWebhook({ query: { secret: 'guess' }, body: callback, headers: {} }, res);
+
+      expect(receive).toHaveBeenCalledWith(expect.objectContaining({ provider: 'blockonomics', signatureStatus: 'invalid' }));
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(Order.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should return 503 when no callback secret is configured', async () => {
+      bitcoinService.blockonomicsCallbackSecret = undefined;
+
+      await handleBlockonomicsWebhook({ query: {}, body: callback, headers: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(Order.findOne).not.toHaveBeenCalled();
+    });
+  });
+});
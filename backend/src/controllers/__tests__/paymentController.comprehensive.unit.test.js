@@ -8,6 +8,7 @@ import bitcoinService from '../../services/bitcoinService.js';
 import moneroService from '../../services/moneroService.js';
 import paypalService from '../../services/paypalService.js';
 import emailService from '../../services/emailService.js';
+import paymentProviderRegistry from '../../services/paymentProviderRegistry.js';
 import { logError, logPaymentEvent } from '../../utils/logger.js';
 
 // Mock all dependencies
@@ -98,38 +99,17 @@ describe('Payment Controller - Comprehensive Unit Tests', () => {
 
   describe('getPaymentMethods', () => {
     it('should return all available payment methods', async () => {
+      const paymentMethods = [
+        { id: 'paypal', type: 'paypal', name: 'PayPal', checkout: { flow: 'capture' }, enabled: true },
+        { id: 'monero', type: 'monero', name: 'Monero', checkout: { flow: 'redirect' }, enabled: true }
+      ];
+      vi.spyOn(paymentProviderRegistry, 'getAvailableMethods').mockResolvedValueOnce(paymentMethods);
+
       await paymentController.getPaymentMethods(req, res);
 
       expect(res.json).toHaveBeenCalledWith({
         success: true,
-        data: {
-          paymentMethods: [
-            {
-              id: 'paypal',
-              type: 'paypal',
-              name: 'PayPal',
-              description: 'Pay with your PayPal account',
-              icon: 'paypal',
-              enabled: true
-            },
-            {
-              id: 'bitcoin',
-              type: 'bitcoin',
-              name: 'Bitcoin',
-              description: 'Pay with Bitcoin - private and secure',
-              icon: 'bitcoin',
-              enabled: true
-            },
-            {
-              id: 'monero',
-              type: 'monero',
-              name: 'Monero',
-              description: 'Pay with Monero - private and untraceable',
-              icon: 'monero',
-              enabled: true
-            }
-          ]
-        }
+        data: { paymentMethods }
       });
     });
 
@@ -0,0 +1,282 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn(),
+  logPaymentEvent: vi.fn()
+}));
+
+vi.mock('../../models/Order.js', () => ({
+  default: {
+    findById: vi.fn(),
+    updateOne: vi.fn()
+  }
+}));
+
+vi.mock('../../services/orderCompletionService.js', () => ({
+  handleOrderCompletion: vi.fn()
+}));
+
+import Order from '../../models/Order.js';
+import lightningService from '../../services/lightningService.js';
+import cryptoPaymentService from '../../services/cryptoPaymentService.js';
+import paymentProviderRegistry from '../../services/paymentProviderRegistry.js';
+import emailService from '../../services/emailService.js';
+import { handleOrderCompletion } from '../../services/orderCompletionService.js';
+import { initializeLightningPayment, getLightningPaymentStatus } from '../paymentController.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const createOrder = (paymentDetails = {}, overrides = {}) => ({
+  _id: 'order123',
+  orderNumber: 'ORD-1',
+  status: 'pending',
+  paymentStatus: 'pending',
+  totalAmount: 45,
+  paymentMethod: { type: 'lightning' },
+  paymentDetails: { ...paymentDetails },
+  reserveStock: vi.fn().mockResolvedValue(true),
+  releaseStock: vi.fn().mockResolvedValue(true),
+  statusHistory: [],
+  save: vi.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+const issuedInvoice = (hash = 'a'.repeat(64)) => ({
+  lightningBackend: 'lnd',
+  lightningPaymentHash: hash,
+  lightningInvoice: `lnbc450u1p${hash.slice(0, 6)}`,
+  lightningAmountSats: 45000,
+  lightningInvoiceExpiry: new Date(Date.now() + HOUR),
+  bitcoinAmount: 0.00045,
+  bitcoinExchangeRate: 100000,
+  bitcoinExchangeRateTimestamp: new Date()
+});
+
+describe('Payment Controller - Lightning', () => {
+  let req, res, provider;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.restoreAllMocks();
+    req = { params: {}, body: {} };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+
+    provider = { create: vi.fn(order => Promise.resolve({
+      ...issuedInvoice(),
+      lightningPaymentExpiry: order.paymentDetails.lightningPaymentExpiry
+    })) };
+    vi.spyOn(paymentProviderRegistry, 'getProvider').mockResolvedValue(provider);
+    vi.spyOn(cryptoPaymentService, 'createQuote').mockResolvedValue({});
+    vi.spyOn(cryptoPaymentService, 'recordPayment').mockResolvedValue({ outcome: 'paid' });
+    vi.spyOn(cryptoPaymentService, 'markCompleted').mockResolvedValue();
+  });
+
+  describe('initializeLightningPayment', () => {
+    it('should issue an invoice, open the payment window and quote the invoice amount', async () => {
+      const order = createOrder();
+      Order.findById.mockResolvedValue(order);
+      req.body = { orderId: 'order123' };
+
+      await initializeLightningPayment(req, res);
+
+      expect(provider.create).toHaveBeenCalledWith(order);
+      expect(order.paymentStatus).toBe('awaiting_confirmation');
+      expect(order.paymentDetails.lightningPaymentExpiry.getTime()).toBeGreaterThan(Date.now() + 23 * HOUR);
+      expect(order.reserveStock).toHaveBeenCalled();
+      expect(order.save).toHaveBeenCalled();
+      expect(cryptoPaymentService.createQuote).toHaveBeenCalledWith(order, expect.objectContaining({
+        method: 'lightning',
+        address: 'a'.repeat(64),
+        cryptoAmount: 0.00045,
+        expiresAt: order.paymentDetails.lightningInvoiceExpiry
+      }));
+      expect(res.json.mock.calls[0][0].data).toMatchObject({
+        lightningInvoice: order.paymentDetails.lightningInvoice,
+        lightningAmountSats: 45000,
+        isInvoiceExpired: false,
+        isExpired: false
+      });
+    });
+
+    it('should return the open invoice rather than issue another', async () => {
+      const order = createOrder({
+        ...issuedInvoice(),
+        lightningPaymentExpiry: new Date(Date.now() + 12 * HOUR)
+      }, { paymentStatus: 'awaiting_confirmation' });
+      Order.findById.mockResolvedValue(order);
+      req.body = { orderId: 'order123' };
+
+      await initializeLightningPayment(req, res);
+
+      expect(provider.create).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].data.lightningInvoice).toBe(order.paymentDetails.lightningInvoice);
+    });
+
+    it('should replace a lapsed unpaid invoice while the payment window is open', async () => {
+      const paymentExpiry = new Date(Date.now() + 12 * HOUR);
+      const order = createOrder({
+        ...issuedInvoice('b'.repeat(64)),
+        lightningInvoiceExpiry: new Date(Date.now() - 60000),
+        lightningPaymentExpiry: paymentExpiry
+      }, { paymentStatus: 'awaiting_confirmation' });
+      Order.findById.mockResolvedValue(order);
+      vi.spyOn(lightningService, 'checkInvoice').mockResolvedValue({ status: 'expired', amountReceived: 0 });
+      req.body = { orderId: 'order123' };
+
+      await initializeLightningPayment(req, res);
+
+      expect(lightningService.checkInvoice).toHaveBeenCalled();
+      expect(order.paymentDetails.lightningPaymentHash).toBe('a'.repeat(64));
+      expect(order.paymentDetails.lightningPaymentExpiry).toBe(paymentExpiry);
+    });
+
+    it('should complete the order when the lapsed invoice was paid before it expired', async () => {
+      const order = createOrder({
+        ...issuedInvoice(),
+        lightningInvoiceExpiry: new Date(Date.now() - 60000),
+        lightningPaymentExpiry: new Date(Date.now() + 12 * HOUR)
+      }, { paymentStatus: 'awaiting_confirmation' });
+      Order.findById.mockResolvedValue(order);
+      vi.spyOn(lightningService, 'checkInvoice').mockResolvedValue({
+        status: 'settled',
+        amountReceived: 0.00045,
+        settledAt: new Date(Date.now() - 120000)
+      });
+      req.body = { orderId: 'order123' };
+
+      await initializeLightningPayment(req, res);
+
+      expect(provider.create).not.toHaveBeenCalled();
+      expect(order.paymentStatus).toBe('completed');
+      expect(res.json.mock.calls[0][0].data.paymentStatus).toBe('completed');
+    });
+
+    it('should refuse to issue invoices once the payment window has closed', async () => {
+      const order = createOrder({
+        ...issuedInvoice(),
+        lightningInvoiceExpiry: new Date(Date.now() - 60000),
+        lightningPaymentExpiry: new Date(Date.now() - 60000)
+      }, { paymentStatus: 'awaiting_confirmation' });
+      Order.findById.mockResolvedValue(order);
+      vi.spyOn(lightningService, 'checkInvoice').mockResolvedValue({ status: 'expired', amountReceived: 0 });
+      req.body = { orderId: 'order123' };
+
+      await initializeLightningPayment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(provider.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject orders paid another way', async () => {
+      Order.findById.mockResolvedValue(createOrder({}, { paymentMethod: { type: 'bitcoin' } }));
+      req.body = { orderId: 'order123' };
+
+      await initializeLightningPayment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Order is not a Lightning payment' });
+    });
+
+    it('should answer 503 when no Lightning node is configured', async () => {
+      Order.findById.mockResolvedValue(createOrder());
+      paymentProviderRegistry.getProvider.mockRejectedValue(new Error('Payment method is not available: lightning'));
+      req.body = { orderId: 'order123' };
+
+      await initializeLightningPayment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(503);
+    });
+  });
+
+  describe('getLightningPaymentStatus', () => {
+    beforeEach(() => {
+      req.params = { orderId: 'order123' };
+    });
+
+    it('should complete the order through the shared completion path once the invoice settles', async () => {
+      const settledAt = new Date(Date.now() - 5000);
+      const order = createOrder({
+        ...issuedInvoice(),
+        lightningPaymentExpiry: new Date(Date.now() + 12 * HOUR)
+      }, { paymentStatus: 'awaiting_confirmation' });
+      Order.findById.mockResolvedValue(order);
+      vi.spyOn(lightningService, 'checkInvoice').mockResolvedValue({ status: 'settled', amountReceived: 0.00045, settledAt });
+
+      await getLightningPaymentStatus(req, res);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(cryptoPaymentService.recordPayment).toHaveBeenCalledWith(order, 'lightning', {
+        totalReceived: 0.00045,
+        txid: 'a'.repeat(64),
+        receivedAt: settledAt
+      });
+      expect(order.paymentStatus).toBe('completed');
+      expect(order.status).toBe('processing');
+      expect(order.paymentDetails.lightningSettledAt).toBe(settledAt);
+      expect(cryptoPaymentService.markCompleted).toHaveBeenCalledWith(order, 'lightning');
+      expect(order.save).toHaveBeenCalled();
+      expect(handleOrderCompletion).toHaveBeenCalledWith(order);
+      expect(res.json.mock.calls[0][0].data.paymentStatus).toBe('completed');
+    });
+
+    it('should leave an open invoice waiting', async () => {
+      const order = createOrder({
+        ...issuedInvoice(),
+        lightningPaymentExpiry: new Date(Date.now() + 12 * HOUR)
+      }, { paymentStatus: 'awaiting_confirmation' });
+      Order.findById.mockResolvedValue(order);
+      vi.spyOn(lightningService, 'checkInvoice').mockResolvedValue({ status: 'open', amountReceived: 0 });
+
+      await getLightningPaymentStatus(req, res);
+
+      expect(order.paymentStatus).toBe('awaiting_confirmation');
+      expect(order.save).not.toHaveBeenCalled();
+    });
+
+    it('should expire the order when the window closes with nothing paid', async () => {
+      const order = createOrder({
+        ...issuedInvoice(),
+        lightningInvoiceExpiry: new Date(Date.now() - 60000),
+        lightningPaymentExpiry: new Date(Date.now() - 60000)
+      }, { paymentStatus: 'awaiting_confirmation' });
+      Order.findById.mockResolvedValue(order);
+      vi.spyOn(lightningService, 'checkInvoice').mockResolvedValue({ status: 'expired', amountReceived: 0 });
+
+      Order.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      vi.spyOn(cryptoPaymentService, 'markExpired').mockResolvedValue();
+      vi.spyOn(emailService, 'sendPaymentExpiredEmail').mockResolvedValue({ success: true });
+
+      await getLightningPaymentStatus(req, res);
+
+      expect(order.paymentStatus).toBe('expired');
+      expect(order.status).toBe('cancelled');
+      expect(order.releaseStock).toHaveBeenCalled();
+      expect(order.save).toHaveBeenCalled();
+      expect(emailService.sendPaymentExpiredEmail).toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].data.isExpired).toBe(true);
+    });
+
+    it('should still answer when the node cannot be reached', async () => {
+      const order = createOrder({
+        ...issuedInvoice(),
+        lightningPaymentExpiry: new Date(Date.now() + 12 * HOUR)
+      }, { paymentStatus: 'awaiting_confirmation' });
+      Order.findById.mockResolvedValue(order);
+      vi.spyOn(lightningService, 'checkInvoice').mockRejectedValue(new Error('Failed to check Lightning invoice'));
+
+      await getLightningPaymentStatus(req, res);
+
+      expect(res.status).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].data.paymentStatus).toBe('awaiting_confirmation');
+    });
+  });
+});
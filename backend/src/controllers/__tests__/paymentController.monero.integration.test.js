@@ -543,9 +543,10 @@ describe('Payment Controller - Monero Integration Tests', () => {
 
       expect(response.body.success).toBe(true);
 
-      // Verify order payment status is marked as failed
+      // Verify order payment status is marked as failed and the order cancelled
       const updatedOrder = await Order.findById(testOrder._id);
       expect(updatedOrder.paymentStatus).toBe('failed');
+      expect(updatedOrder.status).toBe('cancelled');
       expect(updatedOrder.moneroPayment.status).toBe('failed');
     });
 
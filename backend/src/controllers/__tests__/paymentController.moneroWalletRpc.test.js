@@ -0,0 +1,120 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn(),
+  logPaymentEvent: vi.fn()
+}));
+
+vi.mock('../../models/Order.js', () => ({
+  default: {
+    findById: vi.fn()
+  }
+}));
+
+vi.mock('../../services/orderCompletionService.js', () => ({
+  handleOrderCompletion: vi.fn()
+}));
+
+import Order from '../../models/Order.js';
+import moneroService from '../../services/moneroService.js';
+import { checkMoneroPaymentStatus } from '../paymentController.js';
+
+const createOrder = (overrides = {}) => ({
+  _id: 'order123',
+  paymentStatus: 'pending',
+  paymentMethod: { type: 'monero' },
+  paymentDetails: {
+    moneroBackend: 'wallet_rpc',
+    moneroSubaddressIndex: 3,
+    moneroAddress: '8Subaddress3',
+    xmrAmount: 0.5,
+    expirationTime: new Date(Date.now() + 3600000)
+  },
+  save: vi.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+const walletNotification = (overrides = {}) => ({
+  id: null,
+  order_id: 'order123',
+  status: 'paid',
+  confirmations: 10,
+  paid_amount: 0.5,
+  total_amount: 0.5,
+  transaction_hash: 'tx-1',
+  ...overrides
+});
+
+describe('Payment Controller - Monero wallet RPC', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.restoreAllMocks();
+    req = { params: { orderId: 'order123' }, body: {}, headers: {} };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+  });
+
+  it('should complete the order once the wallet reports enough confirmations', async () => {
+    const order = createOrder();
+    Order.findById.mockResolvedValue(order);
+    vi.spyOn(moneroService, 'getWalletPaymentNotification').mockResolvedValue(walletNotification());
+    const globeeSpy = vi.spyOn(moneroService, 'getPaymentStatus');
+
+    await checkMoneroPaymentStatus(req, res);
+
+    expect(moneroService.getWalletPaymentNotification).toHaveBeenCalledWith(order);
+    expect(globeeSpy).not.toHaveBeenCalled();
+    expect(order.paymentStatus).toBe('completed');
+    expect(order.paymentDetails).toMatchObject({ confirmations: 10, paidAmount: 0.5, transactionHash: 'tx-1' });
+    expect(order.save).toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].data).toMatchObject({
+      paymentStatus: 'paid',
+      confirmations: 10,
+      paidAmount: 0.5,
+      transactionHash: 'tx-1'
+    });
+  });
+
+  it('should mark partial payments as underpaid', async () => {
+    const order = createOrder();
+    Order.findById.mockResolvedValue(order);
+    vi.spyOn(moneroService, 'getWalletPaymentNotification')
+      .mockResolvedValue(walletNotification({ status: 'underpaid', paid_amount: 0.2 }));
+
+    await checkMoneroPaymentStatus(req, res);
+
+    expect(order.paymentStatus).toBe('underpaid');
+    expect(order.paymentDetails.paidAmount).toBe(0.2);
+  });
+
+  it('should not touch orders that are already completed', async () => {
+    const order = createOrder({ paymentStatus: 'completed' });
+    Order.findById.mockResolvedValue(order);
+    vi.spyOn(moneroService, 'getWalletPaymentNotification').mockResolvedValue(walletNotification());
+
+    await checkMoneroPaymentStatus(req, res);
+
+    expect(order.save).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].success).toBe(true);
+  });
+
+  it('should require a subaddress for wallet RPC orders', async () => {
+    const order = createOrder();
+    delete order.paymentDetails.moneroSubaddressIndex;
+    Order.findById.mockResolvedValue(order);
+
+    await checkMoneroPaymentStatus(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
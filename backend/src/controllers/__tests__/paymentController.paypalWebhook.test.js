@@ -0,0 +1,88 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn(),
+  logPaymentEvent: vi.fn()
+}));
+
+vi.mock('../../models/Order.js', () => ({
+  default: {
+    findOne: vi.fn()
+  }
+}));
+
+vi.mock('../../services/webhookEventService.js', () => ({
+  default: {
+    receive: vi.fn(),
+    process: vi.fn((event, handler) => handler())
+  }
+}));
+
+vi.mock('../../services/orderCompletionService.js', () => ({
+  handleOrderCompletion: vi.fn()
+}));
+
+import webhookEventService from '../../services/webhookEventService.js';
+import paymentProviderRegistry from '../../services/paymentProviderRegistry.js';
+import { paymentProviderError } from '../../services/paymentProviders/index.js';
+import { handlePayPalWebhook } from '../paymentController.js';
+
+describe('Payment Controller - PayPal webhooks', () => {
+  const event = { id: 'WH-1', event_type: 'CHECKOUT.ORDER.COMPLETED', resource: {} };
+  let req, res, provider;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.restoreAllMocks();
+    provider = { verifyWebhook: vi.fn().mockResolvedValue(true) };
+    vi.spyOn(paymentProviderRegistry, 'getProvider').mockResolvedValue(provider);
+    webhookEventService.receive.mockResolvedValue({ event: { _id: 'event123' }, duplicate: false });
+    req = { headers: { 'paypal-transmission-id': 'tx-1' }, body: event };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+  });
+
+  it('should record and process an event with a valid signature', async () => {
+    await handlePayPalWebhook(req, res);
+
+    expect(provider.verifyWebhook).toHaveBeenCalledWith({ headers: req.headers, body: event });
+    expect(webhookEventService.receive).toHaveBeenCalledWith(expect.objectContaining({
+      provider: 'paypal',
+      eventId: 'WH-1',
+      eventType: 'CHECKOUT.ORDER.COMPLETED',
+      signatureStatus: 'valid'
+    }));
+    expect(webhookEventService.process).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('should reject an event PayPal does not verify', async () => {
+    provider.verifyWebhook.mockResolvedValue(false);
+
+    await handlePayPalWebhook(req, res);
+
+    expect(webhookEventService.receive).toHaveBeenCalledWith(expect.objectContaining({
+      provider: 'paypal',
+      signatureStatus: 'invalid'
+    }));
+    expect(webhookEventService.process).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('should return 503 when PayPal is not configured', async () => {
+    paymentProviderRegistry.getProvider.mockRejectedValue(paymentProviderError('Payment method paypal is not available', 400));
+
+    await handlePayPalWebhook(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(webhookEventService.receive).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,209 @@
+import { vi, describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import crypto from 'crypto';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn(),
+  logPaymentEvent: vi.fn()
+}));
+
+vi.mock('../../models/Order.js', () => ({
+  default: {
+    findOne: vi.fn()
+  }
+}));
+
+vi.mock('../../models/PaymentGateway.js', () => ({
+  default: {
+    find: vi.fn(() => ({ sort: vi.fn().mockResolvedValue([]) }))
+  }
+}));
+
+vi.mock('../../services/webhookEventService.js', () => ({
+  default: {
+    receive: vi.fn(),
+    process: vi.fn((event, handler) => handler())
+  }
+}));
+
+vi.mock('../../services/orderCompletionService.js', () => ({
+  handleOrderCompletion: vi.fn()
+}));
+
+import Order from '../../models/Order.js';
+import webhookEventService from '../../services/webhookEventService.js';
+import stripeService from '../../services/stripeService.js';
+import paymentProviderRegistry from '../../services/paymentProviderRegistry.js';
+import { handleStripeWebhook, processStripeWebhookEvent } from '../paymentController.js';
+
+const WEBHOOK_SECRET = 'whsec_test';
+
+const createOrder = (overrides = {}) => ({
+  _id: 'order123',
+  totalAmount: 45,
+  paymentStatus: 'completed',
+  status: 'processing',
+  paymentMethod: { type: 'stripe' },
+  paymentDetails: { stripePaymentIntentId: 'pi_paid' },
+  getCheckoutAmount: () => 45,
+  save: vi.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+const signedRequest = (event, secret = WEBHOOK_SECRET) => {
+  const rawBody = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+
+  return {
+    headers: { 'stripe-signature': `t=${timestamp},v1=${signature}` },
+    body: event,
+    rawBody: Buffer.from(rawBody)
+  };
+};
+
+describe('Payment Controller - Stripe webhooks', () => {
+  let res;
+
+  beforeAll(() => {
+    stripeService.secretKey = 'sk_test_standin';
+    process.env.STRIPE_PUBLISHABLE_KEY = 'pk_test_standin';
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+  });
+
+  afterAll(() => {
+    stripeService.secretKey = undefined;
+    delete process.env.STRIPE_PUBLISHABLE_KEY;
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+    paymentProviderRegistry.clearCache();
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    paymentProviderRegistry.clearCache();
+    webhookEventService.receive.mockResolvedValue({ event: { _id: 'event123' }, duplicate: false });
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+  });
+
+  describe('processStripeWebhookEvent', () => {
+    it('should record a refund made in the Stripe dashboard', async () => {
+      const order = createOrder();
+      Order.findOne.mockResolvedValue(order);
+
+      const result = await processStripeWebhookEvent({
+        type: 'charge.refunded',
+        data: { object: { object: 'charge', payment_intent: 'pi_paid', amount_refunded: 1500 } }
+      });
+
+      expect(Order.findOne).toHaveBeenCalledWith({ 'paymentDetails.stripePaymentIntentId': 'pi_paid' });
+      expect(result).toEqual({ orderId: 'order123' });
+      expect(order.totalRefundedAmount).toBe(15);
+      expect(order.refundStatus).toBe('partial_refunded');
+      expect(order.save).toHaveBeenCalled();
+    });
+
+    it('should mark an order refunded in full', async () => {
+      const order = createOrder();
+      Order.findOne.mockResolvedValue(order);
+
+      await processStripeWebhookEvent({
+        type: 'charge.refunded',
+        data: { object: { object: 'charge', payment_intent: 'pi_paid', amount_refunded: 4500 } }
+      });
+
+      expect(order.refundStatus).toBe('fully_refunded');
+      expect(order.paymentStatus).toBe('refunded');
+    });
+
+    it('should not count a refund the admin already recorded twice', async () => {
+      const order = createOrder({ totalRefundedAmount: 15 });
+      Order.findOne.mockResolvedValue(order);
+
+      await processStripeWebhookEvent({
+        type: 'charge.refunded',
+        data: { object: { object: 'charge', payment_intent: 'pi_paid', amount_refunded: 1500 } }
+      });
+
+      expect(order.totalRefundedAmount).toBe(15);
+      expect(order.save).not.toHaveBeenCalled();
+    });
+
+    it('should complete a pending order when its PaymentIntent succeeds', async () => {
+      const order = createOrder({ paymentStatus: 'pending', status: 'pending' });
+      Order.findOne.mockResolvedValue(order);
+
+      await processStripeWebhookEvent({
+        type: 'payment_intent.succeeded',
+        data: { object: { object: 'payment_intent', id: 'pi_paid' } }
+      });
+
+      expect(order.paymentStatus).toBe('completed');
+      expect(order.status).toBe('processing');
+    });
+
+    it('should ignore a PaymentIntent no order was placed with', async () => {
+      Order.findOne.mockResolvedValue(null);
+
+      const result = await processStripeWebhookEvent({
+        type: 'payment_intent.succeeded',
+        data: { object: { object: 'payment_intent', id: 'pi_abandoned' } }
+      });
+
+      expect(result).toEqual({ status: 'ignored' });
+    });
+  });
+
+  describe('handleStripeWebhook', () => {
+    const event = {
+      id: 'evt_1',
+      type: 'charge.refunded',
+      data: { object: { object: 'charge', payment_intent: 'pi_paid', amount_refunded: 1500 } }
+    };
+
+    it('should record and process an event with a valid signature', async () => {
+      Order.findOne.mockResolvedValue(createOrder());
+
+      await handleStripeWebhook(signedRequest(event), res);
+
+      expect(webhookEventService.receive).toHaveBeenCalledWith(expect.objectContaining({
+        provider: 'stripe',
+        eventId: 'evt_1',
+        eventType: 'charge.refunded',
+        signatureStatus: 'valid'
+      }));
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should reject an event signed with another secret', async () => {
+      await handleStripeWebhook(signedRequest(event, 'whsec_other'), res);
+
+      expect(webhookEventService.receive).toHaveBeenCalledWith(expect.objectContaining({
+        provider: 'stripe',
+        signatureStatus: 'invalid'
+      }));
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(Order.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should return 503 when card payments are not configured', async () => {
+      stripeService.secretKey = undefined;
+
+      try {
+        await handleStripeWebhook(signedRequest(event), res);
+      } finally {
+        stripeService.secretKey = 'sk_test_standin';
+      }
+
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(webhookEventService.receive).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../models/PaymentReconciliation.js', () => ({
+  default: {
+    find: vi.fn(),
+    findById: vi.fn(),
+    countDocuments: vi.fn()
+  }
+}));
+
+vi.mock('../../services/paymentReconciliationService.js', () => ({
+  default: {
+    run: vi.fn()
+  }
+}));
+
+import PaymentReconciliation from '../../models/PaymentReconciliation.js';
+import paymentReconciliationService from '../../services/paymentReconciliationService.js';
+import {
+  getPaymentReconciliations,
+  getPaymentReconciliationById,
+  runPaymentReconciliation
+} from '../paymentReconciliationController.js';
+
+const REPORT_ID = '507f1f77bcf86cd799439033';
+
+const summary = { ordersChecked: 3, ordersUpdated: 1, ordersExpired: 1, needsReview: 0, failures: 0 };
+
+const createReport = (fields = {}) => ({
+  _id: REPORT_ID,
+  trigger: 'scheduled',
+  status: 'completed',
+  startedAt: new Date('2024-01-01T10:00:00Z'),
+  completedAt: new Date('2024-01-01T10:00:05Z'),
+  discrepancies: [{ orderNumber: 'ORD-1', type: 'payment_expired' }],
+  getSummary: () => summary,
+  toObject() {
+    return { _id: this._id, trigger: this.trigger, status: this.status, discrepancies: this.discrepancies };
+  },
+  ...fields
+});
+
+describe('Payment Reconciliation Controller', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    req = { params: {}, query: {}, user: { _id: 'admin123' } };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+  });
+
+  describe('getPaymentReconciliations', () => {
+    it('should list reports newest first with their summaries', async () => {
+      const limit = vi.fn().mockResolvedValue([createReport()]);
+      const skip = vi.fn().mockReturnValue({ limit });
+      const sort = vi.fn().mockReturnValue({ skip });
+      PaymentReconciliation.find.mockReturnValue({ sort });
+      PaymentReconciliation.countDocuments.mockResolvedValue(1);
+      req.query = { page: '1', limit: '10' };
+
+      await getPaymentReconciliations(req, res);
+
+      expect(sort).toHaveBeenCalledWith({ startedAt: -1 });
+      expect(skip).toHaveBeenCalledWith(0);
+      expect(limit).toHaveBeenCalledWith(10);
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.reports[0]).toMatchObject({ _id: REPORT_ID, status: 'completed', summary });
+      expect(data.reports[0].discrepancies).toBeUndefined();
+      expect(data.pagination).toMatchObject({ currentPage: 1, totalPages: 1, totalReports: 1 });
+    });
+  });
+
+  describe('getPaymentReconciliationById', () => {
+    it('should return 404 for an unknown report', async () => {
+      req.params.reportId = REPORT_ID;
+      PaymentReconciliation.findById.mockReturnValue({ populate: vi.fn().mockResolvedValue(null) });
+
+      await getPaymentReconciliationById(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should return the report with its discrepancies', async () => {
+      req.params.reportId = REPORT_ID;
+      PaymentReconciliation.findById.mockReturnValue({ populate: vi.fn().mockResolvedValue(createReport()) });
+
+      await getPaymentReconciliationById(req, res);
+
+      expect(res.json.mock.calls[0][0].data.report).toMatchObject({
+        _id: REPORT_ID,
+        discrepancies: [{ orderNumber: 'ORD-1', type: 'payment_expired' }],
+        summary
+      });
+    });
+  });
+
+  describe('runPaymentReconciliation', () => {
+    it('should run reconciliation on behalf of the admin', async () => {
+      paymentReconciliationService.run.mockResolvedValue(createReport({ trigger: 'manual' }));
+
+      await runPaymentReconciliation(req, res);
+
+      expect(paymentReconciliationService.run).toHaveBeenCalledWith({ trigger: 'manual', triggeredBy: 'admin123' });
+      expect(res.json.mock.calls[0][0]).toMatchObject({ success: true, data: { report: { trigger: 'manual', summary } } });
+    });
+
+    it('should return 409 while another run is in progress', async () => {
+      paymentReconciliationService.run.mockResolvedValue(null);
+
+      await runPaymentReconciliation(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+  });
+});
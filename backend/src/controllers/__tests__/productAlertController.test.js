@@ -0,0 +1,171 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import mongoose from 'mongoose';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../services/productAlertService.js', () => ({
+  default: {
+    subscribe: vi.fn(),
+    getUserAlerts: vi.fn(),
+    confirm: vi.fn(),
+    unsubscribe: vi.fn()
+  }
+}));
+
+import productAlertService from '../../services/productAlertService.js';
+import {
+  subscribeToProductAlert,
+  getMyProductAlerts,
+  confirmProductAlert,
+  unsubscribeFromProductAlert
+} from '../productAlertController.js';
+
+const PRODUCT_ID = '507f1f77bcf86cd799439011';
+const TOKEN = 'ab'.repeat(32);
+
+describe('Product Alert Controller', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.restoreAllMocks();
+    vi.spyOn(mongoose.Types.ObjectId, 'isValid').mockReturnValue(true);
+    req = { params: { productId: PRODUCT_ID }, body: {} };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+  });
+
+  describe('subscribeToProductAlert', () => {
+    it('should tell a guest to confirm by email', async () => {
+      productAlertService.subscribe.mockResolvedValue({
+        alert: { type: 'back_in_stock', status: 'pending', unsubscribeToken: TOKEN },
+        requiresConfirmation: true
+      });
+      req.body = { type: 'back_in_stock', email: 'guest@example.com' };
+
+      await subscribeToProductAlert(req, res);
+
+      expect(productAlertService.subscribe).toHaveBeenCalledWith(PRODUCT_ID, {
+        type: 'back_in_stock',
+        email: 'guest@example.com'
+      }, null);
+      expect(res.status).toHaveBeenCalledWith(202);
+      expect(res.json.mock.calls[0][0]).toMatchObject({
+        success: true,
+        message: 'Check your email to confirm your alert',
+        data: { alert: { type: 'back_in_stock', status: 'pending' }, requiresConfirmation: true }
+      });
+      // The unsubscribe token only ever goes out by email
+      expect(JSON.stringify(res.json.mock.calls[0][0])).not.toContain(TOKEN);
+    });
+
+    it('should subscribe a signed-in customer', async () => {
+      req.user = { _id: 'user1', email: 'customer@example.com' };
+      req.body = { type: 'price_drop' };
+      productAlertService.subscribe.mockResolvedValue({
+        alert: { type: 'price_drop', status: 'active' },
+        requiresConfirmation: false
+      });
+
+      await subscribeToProductAlert(req, res);
+
+      expect(productAlertService.subscribe.mock.calls[0][2]).toBe(req.user);
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should pass on invalid input as its status', async () => {
+      req.body = { type: 'back_in_stock', email: 'guest@example.com' };
+      productAlertService.subscribe.mockRejectedValue(
+        Object.assign(new Error('This product is in stock'), { statusCode: 400 })
+      );
+
+      await subscribeToProductAlert(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'This product is in stock' });
+    });
+
+    it('should reject an invalid product ID', async () => {
+      req.params.productId = 'not-an-id';
+      mongoose.Types.ObjectId.isValid.mockReturnValue(false);
+
+      await subscribeToProductAlert(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(productAlertService.subscribe).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getMyProductAlerts', () => {
+    it('should list the customer\'s active alerts', async () => {
+      req.user = { _id: 'user1', email: 'customer@example.com' };
+      productAlertService.getUserAlerts.mockResolvedValue([{ type: 'price_drop', status: 'active' }]);
+
+      await getMyProductAlerts(req, res);
+
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: { alerts: [{ type: 'price_drop', status: 'active', product: undefined }] }
+      });
+    });
+  });
+
+  describe('confirmProductAlert', () => {
+    it('should confirm the alert with its product', async () => {
+      req.params = { token: TOKEN };
+      productAlertService.confirm.mockResolvedValue({
+        type: 'back_in_stock',
+        status: 'active',
+        productId: { name: 'One-off Custom Build', slug: 'one-off-custom-build' }
+      });
+
+      await confirmProductAlert(req, res);
+
+      expect(res.json.mock.calls[0][0].data.alert).toEqual({
+        type: 'back_in_stock',
+        status: 'active',
+        product: { name: 'One-off Custom Build', slug: 'one-off-custom-build' }
+      });
+    });
+
+    it('should answer 404 for invalid or expired links', async () => {
+      req.params = { token: TOKEN };
+      productAlertService.confirm.mockResolvedValue(null);
+
+      await confirmProductAlert(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('unsubscribeFromProductAlert', () => {
+    it('should unsubscribe from the link in an alert email', async () => {
+      req.params = { token: TOKEN };
+      productAlertService.unsubscribe.mockResolvedValue({ type: 'price_drop', status: 'unsubscribed' });
+
+      await unsubscribeFromProductAlert(req, res);
+
+      expect(productAlertService.unsubscribe).toHaveBeenCalledWith(TOKEN);
+      expect(res.json.mock.calls[0][0]).toMatchObject({ success: true, message: 'You have been unsubscribed' });
+    });
+
+    it('should answer 404 for unknown links', async () => {
+      req.params = { token: TOKEN };
+      productAlertService.unsubscribe.mockResolvedValue(null);
+
+      await unsubscribeFromProductAlert(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
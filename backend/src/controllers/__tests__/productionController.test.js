@@ -0,0 +1,110 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import mongoose from 'mongoose';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../services/productionQueueService.js', () => ({
+  default: {
+    getQueue: vi.fn(),
+    markItemProduced: vi.fn(),
+    recordBalancePayment: vi.fn()
+  }
+}));
+
+import productionQueueService from '../../services/productionQueueService.js';
+import { getProductionQueue, markOrderItemProduced, recordBalancePayment } from '../productionController.js';
+
+const ORDER_ID = '507f1f77bcf86cd799439011';
+const ITEM_ID = '507f1f77bcf86cd799439012';
+
+describe('Production Controller', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.restoreAllMocks();
+    vi.spyOn(mongoose.Types.ObjectId, 'isValid').mockReturnValue(true);
+    req = { params: { orderId: ORDER_ID, itemId: ITEM_ID }, query: {}, body: {} };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+  });
+
+  describe('getProductionQueue', () => {
+    it('should page through the queue', async () => {
+      const pagination = { currentPage: 2, totalPages: 2, totalItems: 12, itemsPerPage: 10 };
+      productionQueueService.getQueue.mockResolvedValue({ items: [{ orderNumber: 'ORD-1' }], pagination });
+      req.query = { page: '2', limit: '10' };
+
+      await getProductionQueue(req, res);
+
+      expect(productionQueueService.getQueue).toHaveBeenCalledWith({ page: 2, limit: 10 });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: { items: [{ orderNumber: 'ORD-1' }] },
+        pagination
+      });
+    });
+  });
+
+  describe('markOrderItemProduced', () => {
+    it('should mark the item made', async () => {
+      productionQueueService.markItemProduced.mockResolvedValue({ item: { productName: 'Painted Bust' } });
+
+      await markOrderItemProduced(req, res);
+
+      expect(productionQueueService.markItemProduced).toHaveBeenCalledWith(ORDER_ID, ITEM_ID);
+      expect(res.json.mock.calls[0][0].message).toBe('Painted Bust marked as made');
+    });
+
+    it('should reject an invalid ID', async () => {
+      mongoose.Types.ObjectId.isValid.mockReturnValue(false);
+
+      await markOrderItemProduced(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(productionQueueService.markItemProduced).not.toHaveBeenCalled();
+    });
+
+    it('should pass on why an item cannot be marked made', async () => {
+      productionQueueService.markItemProduced.mockRejectedValue(
+        Object.assign(new Error('Only made-to-order items are made for an order'), { statusCode: 400 })
+      );
+
+      await markOrderItemProduced(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Only made-to-order items are made for an order' });
+    });
+  });
+
+  describe('recordBalancePayment', () => {
+    it('should record the payment with its reference', async () => {
+      productionQueueService.recordBalancePayment.mockResolvedValue({ _id: ORDER_ID, balancePaidAt: new Date() });
+      req.body = { reference: ' BACS 1234 ' };
+
+      await recordBalancePayment(req, res);
+
+      expect(productionQueueService.recordBalancePayment).toHaveBeenCalledWith(ORDER_ID, { reference: 'BACS 1234' });
+      expect(res.json.mock.calls[0][0].message).toBe('Balance payment recorded');
+    });
+
+    it('should reject a reference that is not text', async () => {
+      req.body = { reference: { $gt: '' } };
+
+      await recordBalancePayment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(productionQueueService.recordBalancePayment).not.toHaveBeenCalled();
+    });
+  });
+});
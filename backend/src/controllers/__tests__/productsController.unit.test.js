@@ -4,12 +4,22 @@ import { vi, describe, it, expect, beforeEach } from 'vitest';
 vi.mock('../../models/Product.js');
 vi.mock('../../models/Category.js');
 
+vi.mock('../../services/inventoryReservationService.js', () => ({
+  default: {
+    getReservedStock: vi.fn().mockResolvedValue(new Map()),
+    getAvailableStock: vi.fn((product, variant) => (variant ? variant.stockQuantity : product.stockQuantity)),
+    reserveCart: vi.fn(),
+    releaseCart: vi.fn()
+  }
+}));
+
 // Import controller after mocking
 const { getProducts } = await import('../productsController.js');
 
 // Get references to the mocked modules
 const Product = (await import('../../models/Product.js')).default;
 const Category = (await import('../../models/Category.js')).default;
+const inventoryReservationService = (await import('../../services/inventoryReservationService.js')).default;
 
 describe('Products Controller Simple Unit Tests', () => {
   let req, res;
@@ -84,6 +94,27 @@ describe('Products Controller Simple Unit Tests', () => {
       });
     });
 
+    it('should show stock held in checkout as unavailable', async () => {
+      const mockProducts = [{ _id: 'product1', name: 'One-off Build', stockQuantity: 1 }];
+      const reserved = new Map([['product1', 1]]);
+      Product.find.mockReturnValue({
+        sort: vi.fn().mockReturnThis(),
+        skip: vi.fn().mockReturnThis(),
+        limit: vi.fn().mockReturnThis(),
+        populate: vi.fn().mockReturnThis(),
+        exec: vi.fn().mockResolvedValue(mockProducts)
+      });
+      Product.countDocuments.mockResolvedValue(1);
+      inventoryReservationService.getReservedStock.mockResolvedValueOnce(reserved);
+      inventoryReservationService.getAvailableStock.mockReturnValueOnce(0);
+
+      await getProducts(req, res);
+
+      expect(inventoryReservationService.getReservedStock).toHaveBeenCalledWith(['product1']);
+      expect(inventoryReservationService.getAvailableStock).toHaveBeenCalledWith(mockProducts[0], null, reserved);
+      expect(res.json.mock.calls[0][0].data[0]).toMatchObject({ stockQuantity: 1, availableStock: 0 });
+    });
+
     it('should handle category filtering', async () => {
       const mockCategory = { _id: 'cat123', slug: 'smartphones' };
       const categoryQuery = {
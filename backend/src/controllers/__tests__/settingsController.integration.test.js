@@ -4,6 +4,7 @@ import app from '../../../server.js';
 import User from '../../models/User.js';
 // import GeneralSettings from '../../models/GeneralSettings.js'; // For future settings tests
 import TaxRate from '../../models/TaxRate.js';
+import Currency from '../../models/Currency.js';
 import PaymentGateway from '../../models/PaymentGateway.js';
 import ShippingMethod from '../../models/ShippingMethod.js';
 import jwt from 'jsonwebtoken';
@@ -283,6 +284,78 @@ describe('Settings Controller Integration Tests', () => {
     });
   });
 
+  describe('Currency Settings', () => {
+    test('GET /api/admin/settings/currencies should return currencies', async () => {
+      await Currency.create({ code: 'EUR', name: 'Euro', symbol: '€', exchangeRate: 1.15 });
+
+      const response = await request(app)
+        .get('/api/admin/settings/currencies')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.settlementCurrency).toBe('GBP');
+      expect(response.body.data.currencies.map(currency => currency.code)).toEqual(['EUR']);
+    });
+
+    test('POST /api/admin/settings/currencies should create currency', async () => {
+      const response = await request(app)
+        .post('/api/admin/settings/currencies')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: 'usd', name: 'US Dollar', symbol: '$', exchangeRate: 1.27 })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.code).toBe('USD');
+      expect(response.body.data.rateSource).toBe('manual');
+    });
+
+    test('POST /api/admin/settings/currencies should reject the settlement currency', async () => {
+      const response = await request(app)
+        .post('/api/admin/settings/currencies')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: 'GBP', name: 'British Pound', exchangeRate: 1 })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toContain('settlement currency');
+    });
+
+    test('PUT /api/admin/settings/currencies/:currencyId should update exchange rate', async () => {
+      const currency = await Currency.create({
+        code: 'EUR',
+        name: 'Euro',
+        exchangeRate: 1.15,
+        rateUpdatedAt: new Date('2026-01-01')
+      });
+
+      const response = await request(app)
+        .put(`/api/admin/settings/currencies/${currency._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ exchangeRate: 1.18, code: 'CHF' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.exchangeRate).toBe(1.18);
+      // The code identifies the currency on past orders and cannot change
+      expect(response.body.data.code).toBe('EUR');
+      expect(new Date(response.body.data.rateUpdatedAt).getTime()).toBeGreaterThan(new Date('2026-01-01').getTime());
+    });
+
+    test('DELETE /api/admin/settings/currencies/:currencyId should deactivate currency', async () => {
+      const currency = await Currency.create({ code: 'EUR', name: 'Euro', exchangeRate: 1.15 });
+
+      const response = await request(app)
+        .delete(`/api/admin/settings/currencies/${currency._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.message).toContain('deactivated');
+      const deactivatedCurrency = await Currency.findById(currency._id);
+      expect(deactivatedCurrency.isActive).toBe(false);
+    });
+  });
+
   describe('Payment Settings', () => {
     test('GET /api/admin/settings/payments should return payment gateways', async () => {
       const response = await request(app)
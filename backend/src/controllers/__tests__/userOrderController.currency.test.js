@@ -0,0 +1,223 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../models/Order.js', () => {
+  const OrderMock = vi.fn().mockImplementation((data) => ({
+    ...data,
+    _id: 'order123',
+    orderNumber: 'ORD-TEST-1',
+    save: vi.fn().mockResolvedValue(true)
+  }));
+  OrderMock.findOne = vi.fn();
+  return { default: OrderMock };
+});
+
+vi.mock('../../models/Promotion.js', () => ({
+  default: {
+    findForCart: vi.fn().mockResolvedValue(null)
+  }
+}));
+
+vi.mock('../../models/Cart.js', () => ({
+  default: {
+    findByUserId: vi.fn(),
+    findBySessionId: vi.fn(),
+    findOneAndUpdate: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Product.js', () => ({
+  default: {
+    find: vi.fn(),
+    findByIdAndUpdate: vi.fn(),
+    updateOne: vi.fn()
+  }
+}));
+
+vi.mock('../../models/ShippingMethod.js', () => ({
+  default: {
+    findOne: vi.fn()
+  }
+}));
+
+vi.mock('../../services/paymentProviderRegistry.js', () => ({
+  default: {
+    getProvider: vi.fn()
+  }
+}));
+
+vi.mock('../../services/inventoryReservationService.js', () => ({
+  default: {
+    getReservedStock: vi.fn().mockResolvedValue(new Map()),
+    getAvailableStock: vi.fn((product, variant) => product.getAvailableStock(variant)),
+    releaseCart: vi.fn()
+  }
+}));
+
+vi.mock('../../services/stockLedgerService.js', () => ({
+  default: {
+    recordOrder: vi.fn().mockResolvedValue([])
+  }
+}));
+
+vi.mock('../../services/cartRecoveryService.js', () => ({
+  default: {
+    handleOrderPlaced: vi.fn().mockResolvedValue(null)
+  }
+}));
+
+vi.mock('../../models/Currency.js', () => ({
+  SETTLEMENT_CURRENCY: 'GBP',
+  default: {
+    find: vi.fn()
+  }
+}));
+
+vi.mock('../../services/emailService.js', () => ({
+  default: {
+    sendOrderConfirmationEmail: vi.fn()
+  }
+}));
+
+import Order from '../../models/Order.js';
+import Cart from '../../models/Cart.js';
+import Currency from '../../models/Currency.js';
+import Product from '../../models/Product.js';
+import ShippingMethod from '../../models/ShippingMethod.js';
+import paymentProviderRegistry from '../../services/paymentProviderRegistry.js';
+import currencyService from '../../services/currencyService.js';
+import { placeOrder } from '../userOrderController.js';
+
+const withSession = value => ({ session: vi.fn().mockResolvedValue(value) });
+
+const createProduct = (overrides = {}) => ({
+  _id: 'product123',
+  name: 'Mini Toolbox',
+  slug: 'mini-toolbox',
+  images: [],
+  hasVariants: () => false,
+  getAvailableStock: () => 10,
+  getVariantPrice: () => 20,
+  getPriceOverride: () => null,
+  isMadeOnDemand: () => false,
+  getExpectedShipDate: () => null,
+  getDepositAmount: () => null,
+  ...overrides
+});
+
+describe('User Order Controller - presentment currency', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    currencyService.clearCache();
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+
+    Currency.find.mockReturnValue({
+      sort: vi.fn().mockResolvedValue([
+        { code: 'EUR', name: 'Euro', symbol: '€', exchangeRate: 1.15, decimalPlaces: 2 }
+      ])
+    });
+    paymentProviderRegistry.getProvider.mockResolvedValue({
+      type: 'bitcoin',
+      name: 'Bitcoin',
+      checkoutFlow: 'redirect',
+      getCheckoutReference: () => null,
+      getPaymentPath: orderId => `/payment/bitcoin/${orderId}`
+    });
+    Cart.findBySessionId.mockResolvedValue({
+      _id: 'cart123',
+      items: [{ productId: 'product123', quantity: 2 }]
+    });
+    Product.find.mockReturnValue(withSession([createProduct()]));
+    ShippingMethod.findOne.mockReturnValue(withSession({
+      _id: 'shipping123',
+      name: 'Standard',
+      estimatedDelivery: '3-5 days',
+      calculateCost: () => ({ cost: 5 })
+    }));
+
+    req = {
+      cookies: { cartSessionId: 'guest-session' },
+      body: {
+        email: 'guest@example.com',
+        shippingAddress: {
+          firstName: 'Jo',
+          lastName: 'Bloggs',
+          addressLine1: '1 Test Street',
+          city: 'London',
+          postalCode: 'SW1A 1AA',
+          country: 'GB'
+        },
+        shippingMethodId: 'shipping123',
+        paymentMethod: 'bitcoin'
+      }
+    };
+  });
+
+  it('should record GBP presentment amounts when no currency is chosen', async () => {
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(Currency.find).not.toHaveBeenCalled();
+    expect(Order).toHaveBeenCalledWith(expect.objectContaining({
+      totalAmount: 45,
+      currency: 'GBP',
+      exchangeRate: 1,
+      presentment: { subtotal: 40, shipping: 5, discountAmount: 0, totalAmount: 45 }
+    }));
+  });
+
+  it('should record converted presentment amounts alongside the GBP settlement', async () => {
+    req.body.currency = 'eur';
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const orderData = Order.mock.calls[0][0];
+    expect(orderData.totalAmount).toBe(45);
+    expect(orderData.currency).toBe('EUR');
+    expect(orderData.exchangeRate).toBe(1.15);
+    expect(orderData.items[0]).toEqual(expect.objectContaining({ unitPrice: 20, presentmentUnitPrice: 23 }));
+    expect(orderData.presentment).toEqual({ subtotal: 46, shipping: 5.75, discountAmount: 0, totalAmount: 51.75 });
+  });
+
+  it('should use a product\'s price override in the chosen currency', async () => {
+    req.body.currency = 'EUR';
+    Product.find.mockReturnValue(withSession([createProduct({ getPriceOverride: () => 22 })]));
+
+    await placeOrder(req, res);
+
+    const orderData = Order.mock.calls[0][0];
+    expect(orderData.items[0].presentmentUnitPrice).toBe(22);
+    expect(orderData.presentment.subtotal).toBe(44);
+    expect(orderData.totalAmount).toBe(45);
+  });
+
+  it('should reject a currency the store does not offer', async () => {
+    req.body.currency = 'JPY';
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'Currency JPY is not available'
+    });
+    expect(Order).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,331 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../models/Order.js', () => {
+  const OrderMock = vi.fn().mockImplementation((data) => ({
+    ...data,
+    orderNumber: 'ORD-TEST-1',
+    save: vi.fn().mockResolvedValue(true)
+  }));
+  OrderMock.findOne = vi.fn();
+  return { default: OrderMock };
+});
+
+vi.mock('../../models/Promotion.js', () => ({
+  default: {
+    findForCart: vi.fn().mockResolvedValue(null)
+  }
+}));
+
+vi.mock('../../models/Cart.js', () => ({
+  default: {
+    findByUserId: vi.fn(),
+    findBySessionId: vi.fn(),
+    findOneAndUpdate: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Product.js', () => ({
+  default: {
+    find: vi.fn(),
+    findByIdAndUpdate: vi.fn(),
+    updateOne: vi.fn()
+  }
+}));
+
+vi.mock('../../models/ShippingMethod.js', () => ({
+  default: {
+    findOne: vi.fn()
+  }
+}));
+
+vi.mock('../../services/paymentProviderRegistry.js', () => ({
+  default: {
+    getProvider: vi.fn(),
+    getProviderForOrder: vi.fn()
+  }
+}));
+
+vi.mock('../../services/inventoryReservationService.js', () => ({
+  default: {
+    getReservedStock: vi.fn().mockResolvedValue(new Map()),
+    getAvailableStock: vi.fn(() => 10),
+    releaseCart: vi.fn()
+  }
+}));
+
+vi.mock('../../services/stockLedgerService.js', () => ({
+  default: {
+    recordOrder: vi.fn().mockResolvedValue([])
+  }
+}));
+
+vi.mock('../../services/cartRecoveryService.js', () => ({
+  default: {
+    handleOrderPlaced: vi.fn().mockResolvedValue(null)
+  }
+}));
+
+vi.mock('../../services/giftCardService.js', () => ({
+  default: {
+    redeem: vi.fn(),
+    issueForOrder: vi.fn(),
+    getSpentForOrder: vi.fn(),
+    restoreForOrder: vi.fn(),
+    voidForOrder: vi.fn()
+  }
+}));
+
+vi.mock('../../services/emailService.js', () => ({
+  default: {
+    sendOrderConfirmationEmail: vi.fn(),
+    sendOrderCancellationEmail: vi.fn()
+  }
+}));
+
+import Order from '../../models/Order.js';
+import Cart from '../../models/Cart.js';
+import Product from '../../models/Product.js';
+import ShippingMethod from '../../models/ShippingMethod.js';
+import paymentProviderRegistry from '../../services/paymentProviderRegistry.js';
+import giftCardService from '../../services/giftCardService.js';
+import { placeOrder, cancelOrder } from '../userOrderController.js';
+
+const withSession = value => ({ session: vi.fn().mockResolvedValue(value) });
+
+const createProduct = (overrides = {}) => ({
+  _id: 'product123',
+  name: 'Mini Toolbox',
+  slug: 'mini-toolbox',
+  images: [],
+  availabilityMode: 'stock',
+  hasVariants: () => false,
+  getVariantPrice: () => 20,
+  getPriceOverride: () => null,
+  isMadeOnDemand: () => false,
+  getExpectedShipDate: () => null,
+  getDepositAmount: () => null,
+  ...overrides
+});
+
+const paypalProvider = {
+  type: 'paypal',
+  name: 'PayPal',
+  checkoutFlow: 'capture',
+  getCheckoutReference: () => ({ 'paymentDetails.paypalOrderId': 'PAYPAL-1' }),
+  getPaymentPath: () => null,
+  capture: vi.fn(),
+  refund: vi.fn(),
+  releaseCheckout: vi.fn()
+};
+
+const giftCardProvider = {
+  type: 'gift_card',
+  name: 'Gift card',
+  checkoutFlow: 'tender',
+  getCheckoutReference: () => null,
+  getPaymentPath: () => null,
+  capture: vi.fn()
+};
+
+const redemption = total => ({
+  giftCards: [{ giftCardId: 'card1', code: 'GCTEST', amount: total }],
+  total
+});
+
+describe('User Order Controller - gift cards', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+
+    paymentProviderRegistry.getProvider.mockResolvedValue(paypalProvider);
+    paypalProvider.capture.mockResolvedValue({ captured: true, paymentDetails: { paypalOrderId: 'PAYPAL-1' } });
+    giftCardProvider.capture.mockResolvedValue({ captured: false, paymentDetails: {} });
+    Order.findOne.mockReturnValue(withSession(null));
+    Cart.findByUserId.mockResolvedValue({
+      _id: 'cart123',
+      items: [{ productId: 'product123', quantity: 2 }]
+    });
+    Product.find.mockReturnValue(withSession([createProduct()]));
+    ShippingMethod.findOne.mockReturnValue(withSession({
+      _id: 'shipping123',
+      name: 'Standard',
+      estimatedDelivery: '3-5 days',
+      calculateCost: () => ({ cost: 5 })
+    }));
+    giftCardService.redeem.mockResolvedValue(redemption(30));
+    giftCardService.issueForOrder.mockResolvedValue([]);
+
+    req = {
+      user: { _id: 'user123', email: 'customer@example.com' },
+      cookies: {},
+      body: {
+        shippingAddress: {
+          firstName: 'Jo',
+          lastName: 'Bloggs',
+          addressLine1: '1 Test Street',
+          city: 'London',
+          postalCode: 'SW1A 1AA',
+          country: 'GB'
+        },
+        shippingMethodId: 'shipping123',
+        paymentMethod: 'paypal',
+        paypalOrderId: 'PAYPAL-1',
+        giftCardCodes: ['gcte-st']
+      }
+    };
+  });
+
+  it('should charge the payment method what the gift cards leave', async () => {
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(giftCardService.redeem).toHaveBeenCalledWith(['gcte-st'], 45, expect.objectContaining({
+      orderId: expect.anything(),
+      userId: 'user123'
+    }));
+    expect(paypalProvider.capture).toHaveBeenCalledWith({ totalAmount: 15 }, req.body);
+
+    const orderData = Order.mock.calls[0][0];
+    expect(orderData._id).toBe(giftCardService.redeem.mock.calls[0][2].orderId);
+    expect(orderData.totalAmount).toBe(45);
+    expect(orderData.giftCardAmount).toBe(30);
+    expect(orderData.giftCards).toEqual([{ giftCardId: 'card1', code: 'GCTEST', amount: 30 }]);
+    expect(res.json.mock.calls[0][0].data).toEqual(expect.objectContaining({ amountPaid: 45, giftCardAmount: 30 }));
+  });
+
+  it('should place an order the gift cards cover with the gift card method', async () => {
+    paymentProviderRegistry.getProvider.mockResolvedValue(giftCardProvider);
+    giftCardService.redeem.mockResolvedValue(redemption(45));
+    req.body.paymentMethod = 'gift_card';
+    delete req.body.paypalOrderId;
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(giftCardProvider.capture).toHaveBeenCalledWith({ totalAmount: 0 }, req.body);
+    expect(Order).toHaveBeenCalledWith(expect.objectContaining({
+      paymentMethod: { type: 'gift_card', name: 'Gift card' },
+      paymentStatus: 'completed',
+      status: 'processing',
+      giftCardAmount: 45
+    }));
+  });
+
+  it('should not charge another method for an order the gift cards cover', async () => {
+    giftCardService.redeem.mockResolvedValue(redemption(45));
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(paypalProvider.capture).not.toHaveBeenCalled();
+    expect(Order).not.toHaveBeenCalled();
+  });
+
+  it('should pass on why a gift card cannot be used', async () => {
+    giftCardService.redeem.mockRejectedValue(Object.assign(new Error('This gift card has expired'), { statusCode: 400 }));
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'This gift card has expired'
+    });
+    expect(paypalProvider.capture).not.toHaveBeenCalled();
+    // Whatever the browser took for the rest is given back
+    expect(paypalProvider.releaseCheckout).toHaveBeenCalledWith(req.body);
+  });
+
+  it('should issue gift cards bought on a paid order', async () => {
+    const recipient = { recipientName: 'Sam', recipientEmail: 'sam@example.com', deliveryDate: null };
+    delete req.body.giftCardCodes;
+    paypalProvider.capture.mockResolvedValue({ captured: true, paymentDetails: { paypalOrderId: 'PAYPAL-1' } });
+    Cart.findByUserId.mockResolvedValue({
+      _id: 'cart123',
+      items: [{ productId: 'product123', quantity: 1, giftCard: recipient }]
+    });
+    Product.find.mockReturnValue(withSession([createProduct({
+      availabilityMode: 'gift_card',
+      isMadeOnDemand: () => true
+    })]));
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(giftCardService.redeem).not.toHaveBeenCalled();
+    expect(paypalProvider.capture).toHaveBeenCalledWith({ totalAmount: 25 }, req.body);
+    const orderData = Order.mock.calls[0][0];
+    expect(orderData.items[0]).toEqual(expect.objectContaining({ availabilityMode: 'gift_card', giftCard: recipient }));
+    expect(giftCardService.issueForOrder).toHaveBeenCalledWith(expect.objectContaining({ _id: orderData._id }));
+  });
+
+  describe('cancelling an order that bought gift cards', () => {
+    let order;
+
+    beforeEach(() => {
+      order = {
+        _id: '507f1f77bcf86cd799439011',
+        orderNumber: 'ORD-TEST-1',
+        status: 'processing',
+        paymentStatus: 'completed',
+        items: [{ productId: 'product123', quantity: 1, availabilityMode: 'gift_card', giftCard: { recipientEmail: 'sam@example.com' } }],
+        giftCards: [],
+        storeCreditAmount: 0,
+        getCheckoutAmount: () => 100,
+        save: vi.fn().mockResolvedValue(true)
+      };
+      Order.findOne.mockReturnValue(withSession(order));
+      paymentProviderRegistry.getProviderForOrder.mockResolvedValue({
+        ...paypalProvider,
+        supportsRefunds: true
+      });
+      paypalProvider.refund.mockResolvedValue({ refundId: 'REFUND-1', amount: 100, status: 'succeeded' });
+      giftCardService.restoreForOrder.mockResolvedValue(0);
+      giftCardService.voidForOrder.mockResolvedValue(1);
+      req.params = { orderId: order._id };
+    });
+
+    it('should refuse to cancel once a card it bought has been spent', async () => {
+      giftCardService.getSpentForOrder.mockResolvedValue(60);
+
+      await cancelOrder(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'A gift card bought on this order has been used, so the order can no longer be cancelled'
+      });
+      expect(order.status).toBe('processing');
+      expect(giftCardService.voidForOrder).not.toHaveBeenCalled();
+      expect(paypalProvider.refund).not.toHaveBeenCalled();
+    });
+
+    it('should void unspent cards and refund the order in full', async () => {
+      giftCardService.getSpentForOrder.mockResolvedValue(0);
+
+      await cancelOrder(req, res);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+      expect(order.status).toBe('cancelled');
+      expect(giftCardService.voidForOrder).toHaveBeenCalledWith(order, expect.objectContaining({ userId: 'user123' }));
+      expect(paypalProvider.refund).toHaveBeenCalledWith(order, { amount: 100 });
+    });
+  });
+});
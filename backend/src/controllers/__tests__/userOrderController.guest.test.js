@@ -0,0 +1,263 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../models/Order.js', () => {
+  const OrderMock = vi.fn().mockImplementation((data) => ({
+    ...data,
+    _id: 'order123',
+    orderNumber: 'ORD-TEST-1',
+    save: vi.fn().mockResolvedValue(true)
+  }));
+  OrderMock.findOne = vi.fn();
+  return { default: OrderMock };
+});
+
+vi.mock('../../models/Promotion.js', () => ({
+  default: {
+    findForCart: vi.fn().mockResolvedValue(null)
+  }
+}));
+
+vi.mock('../../models/Cart.js', () => ({
+  default: {
+    findByUserId: vi.fn(),
+    findBySessionId: vi.fn(),
+    findOneAndUpdate: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Product.js', () => ({
+  default: {
+    find: vi.fn(),
+    findByIdAndUpdate: vi.fn(),
+    updateOne: vi.fn()
+  }
+}));
+
+vi.mock('../../models/ShippingMethod.js', () => ({
+  default: {
+    findOne: vi.fn()
+  }
+}));
+
+vi.mock('../../services/paymentProviderRegistry.js', () => ({
+  default: {
+    getProvider: vi.fn()
+  }
+}));
+
+vi.mock('../../services/inventoryReservationService.js', () => ({
+  default: {
+    getReservedStock: vi.fn().mockResolvedValue(new Map()),
+    getAvailableStock: vi.fn((product, variant) => product.getAvailableStock(variant)),
+    releaseCart: vi.fn()
+  }
+}));
+
+vi.mock('../../services/stockLedgerService.js', () => ({
+  default: {
+    recordOrder: vi.fn().mockResolvedValue([])
+  }
+}));
+
+vi.mock('../../services/cartRecoveryService.js', () => ({
+  default: {
+    handleOrderPlaced: vi.fn().mockResolvedValue(null)
+  }
+}));
+
+vi.mock('../../services/emailService.js', () => ({
+  default: {
+    sendOrderConfirmationEmail: vi.fn()
+  }
+}));
+
+import Order from '../../models/Order.js';
+import Cart from '../../models/Cart.js';
+import Product from '../../models/Product.js';
+import ShippingMethod from '../../models/ShippingMethod.js';
+import paymentProviderRegistry from '../../services/paymentProviderRegistry.js';
+import emailService from '../../services/emailService.js';
+import guestOrderService from '../../services/guestOrderService.js';
+import cartRecoveryService from '../../services/cartRecoveryService.js';
+import { placeOrder, getUserOrderDetails, getOrderTracking } from '../userOrderController.js';
+
+const ORDER_ID = '507f1f77bcf86cd799439011';
+
+const withSession = value => ({ session: vi.fn().mockResolvedValue(value) });
+
+describe('User Order Controller - guest checkout', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+  });
+
+  describe('placeOrder', () => {
+    beforeEach(() => {
+      paymentProviderRegistry.getProvider.mockResolvedValue({
+        type: 'bitcoin',
+        name: 'Bitcoin',
+        checkoutFlow: 'redirect',
+        getCheckoutReference: () => null,
+        getPaymentPath: orderId => `/payment/bitcoin/${orderId}`
+      });
+      Cart.findBySessionId.mockResolvedValue({
+        _id: 'cart123',
+        items: [{ productId: 'product123', quantity: 1 }]
+      });
+      Product.find.mockReturnValue(withSession([{
+        _id: 'product123',
+        name: 'Mini Toolbox',
+        slug: 'mini-toolbox',
+        images: [],
+        hasVariants: () => false,
+        getAvailableStock: () => 10,
+        getVariantPrice: () => 20,
+        isMadeOnDemand: () => false,
+        getExpectedShipDate: () => null,
+        getDepositAmount: () => null
+      }]));
+      ShippingMethod.findOne.mockReturnValue(withSession({
+        _id: 'shipping123',
+        name: 'Standard',
+        estimatedDelivery: '3-5 days',
+        calculateCost: () => ({ cost: 5 })
+      }));
+
+      req = {
+        cookies: { cartSessionId: 'guest-session' },
+        body: {
+          email: ' Guest@Example.com ',
+          shippingAddress: {
+            firstName: 'Jo',
+            lastName: 'Bloggs',
+            addressLine1: '1 Test Street',
+            city: 'London',
+            postalCode: 'SW1A 1AA',
+            country: 'GB'
+          },
+          shippingMethodId: 'shipping123',
+          paymentMethod: 'bitcoin'
+        }
+      };
+    });
+
+    it('should place an order against the guest cart with just an email', async () => {
+      await placeOrder(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(Cart.findBySessionId).toHaveBeenCalledWith('guest-session');
+      expect(Order).toHaveBeenCalledWith(expect.objectContaining({
+        userId: null,
+        customerEmail: 'guest@example.com',
+        totalAmount: 25
+      }));
+      expect(Cart.findOneAndUpdate).toHaveBeenCalledWith(
+        { sessionId: 'guest-session' },
+        { items: [], $unset: { promotionCode: 1, promotionId: 1 } },
+        expect.any(Object)
+      );
+      expect(cartRecoveryService.handleOrderPlaced).toHaveBeenCalledWith('cart123', expect.objectContaining({ _id: 'order123' }));
+    });
+
+    it('should return a link token and email an order link', async () => {
+      await placeOrder(req, res);
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.paymentPath).toBe('/payment/bitcoin/order123');
+      // The token in the response can't create an account; the emailed one can
+      expect(guestOrderService.verifyLookupToken(data.guestOrderToken)).toEqual({
+        orderId: 'order123',
+        email: 'guest@example.com',
+        emailed: false
+      });
+      const [, orderUrl] = emailService.sendOrderConfirmationEmail.mock.calls[0];
+      expect(guestOrderService.verifyLookupToken(orderUrl.split('/guest-orders/')[1]).emailed).toBe(true);
+    });
+
+    it('should require a valid email address from guests', async () => {
+      req.body.email = 'not-an-email';
+
+      await placeOrder(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'A valid email address is required to check out as a guest'
+      });
+      expect(Order).not.toHaveBeenCalled();
+    });
+
+    it('should keep using the account email for signed-in customers', async () => {
+      req.user = { _id: 'user123', email: 'buyer@example.com' };
+      Cart.findByUserId.mockResolvedValue({
+        _id: 'cart123',
+        items: [{ productId: 'product123', quantity: 1 }]
+      });
+
+      await placeOrder(req, res);
+
+      expect(Order).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user123',
+        customerEmail: 'buyer@example.com'
+      }));
+      expect(emailService.sendOrderConfirmationEmail).toHaveBeenCalledWith(expect.objectContaining({ _id: 'order123' }));
+      expect(res.json.mock.calls[0][0].data.guestOrderToken).toBeNull();
+    });
+  });
+
+  describe('guest order links', () => {
+    beforeEach(() => {
+      req = {
+        params: { token: 'signed-token' },
+        guestOrder: { orderId: ORDER_ID, email: 'guest@example.com', emailed: false }
+      };
+    });
+
+    it('should show the order the link was issued for', async () => {
+      Order.findOne.mockResolvedValue({
+        _id: ORDER_ID,
+        orderNumber: 'ORD-TEST-1',
+        userId: null,
+        customerEmail: 'guest@example.com',
+        items: [],
+        getStatusDisplay: () => 'Pending',
+        getFormattedDate: () => '1 October 2026',
+        getPaymentMethodDisplay: () => 'Bitcoin'
+      });
+
+      await getUserOrderDetails(req, res);
+
+      expect(Order.findOne).toHaveBeenCalledWith({ _id: ORDER_ID, customerEmail: 'guest@example.com' });
+      expect(res.json.mock.calls[0][0].data.order).toMatchObject({
+        orderNumber: 'ORD-TEST-1',
+        hasAccount: false
+      });
+    });
+
+    it('should look up tracking for the linked order only', async () => {
+      Order.findOne.mockResolvedValue(null);
+
+      await getOrderTracking(req, res);
+
+      expect(Order.findOne).toHaveBeenCalledWith({ _id: ORDER_ID, customerEmail: 'guest@example.com' });
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import { vi, describe, it, test as _test, expect, beforeEach, afterEach as _afterEach } from 'vitest';
+import { vi, describe, it, test as _test, expect, beforeAll, afterAll, beforeEach, afterEach as _afterEach } from 'vitest';
 import request from 'supertest';
 import mongoose from 'mongoose';
 import jwt from 'jsonwebtoken';
@@ -9,7 +9,9 @@ import Cart from '../../models/Cart.js';
 import Product from '../../models/Product.js';
 import ShippingMethod from '../../models/ShippingMethod.js';
 import emailService from '../../services/emailService.js';
+import paypalService from '../../services/paypalService.js';
 import { createValidProductData, createValidUserData, createValidOrderData } from '../../test/helpers/testData.js';
+import { createPayPalStandInServer } from '../../test/helpers/paypalStandInServer.js';
 
 // Apply session mocking to models
 if (global.enhanceModelWithSessionMocking) {
@@ -414,8 +416,25 @@ describe('User Order Controller', () => {
     let testProduct;
     let testCart;
     let testShippingMethod;
+    const paypalStandIn = createPayPalStandInServer();
+    let paypalBaseURL;
+
+    beforeAll(async () => {
+      paypalBaseURL = paypalService.baseURL;
+      paypalService.baseURL = await paypalStandIn.start();
+    });
+
+    afterAll(async () => {
+      paypalService.baseURL = paypalBaseURL;
+      await paypalStandIn.stop();
+    });
 
     beforeEach(async () => {
+      // Point PayPal calls at the local stand-in
+      paypalStandIn.reset();
+      paypalService.accessToken = null;
+      paypalService.tokenExpiry = null;
+
       // Clear additional collections
       await Cart.deleteMany({});
       await Product.deleteMany({});
@@ -601,6 +620,68 @@ describe('User Order Controller', () => {
       expect(response.body.error).toContain('Invalid PayPal order');
     });
 
+    it('should capture the PayPal order and place the order', async () => {
+      // 2 x 29.99 is under the free shipping threshold
+      paypalStandIn.addOrder({ id: 'PAYPAL-TEST-12345', amount: 67.97 });
+
+      const response = await request(app)
+        .post('/api/user/orders/place-order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          ...validOrderData,
+          shippingMethodId: testShippingMethod._id.toString()
+        })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      const order = await Order.findById(response.body.data.orderId);
+      expect(order.totalAmount).toBe(67.97);
+      expect(order.paymentDetails.paypalOrderId).toBe('PAYPAL-TEST-12345');
+      expect(order.paymentDetails.paypalTransactionId).toBe('STANDIN-CAPTURE-1');
+      expect(paypalStandIn.getOrder('PAYPAL-TEST-12345').status).toBe('COMPLETED');
+    });
+
+    it('should return 400 when the PayPal amount does not match the order total', async () => {
+      paypalStandIn.addOrder({ id: 'PAYPAL-TEST-12345', amount: 1.00 });
+
+      const response = await request(app)
+        .post('/api/user/orders/place-order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          ...validOrderData,
+          shippingMethodId: testShippingMethod._id.toString()
+        })
+        .expect(400);
+
+      expect(response.body.error).toContain('does not match the order total');
+      const product = await Product.findById(testProduct._id);
+      expect(product.stockQuantity).toBe(10);
+    });
+
+    it('should return 409 when the PayPal order was already used', async () => {
+      paypalStandIn.addOrder({ id: 'PAYPAL-TEST-12345', amount: 67.97 });
+      await request(app)
+        .post('/api/user/orders/place-order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          ...validOrderData,
+          shippingMethodId: testShippingMethod._id.toString()
+        })
+        .expect(201);
+
+      await Cart.findByIdAndUpdate(testCart._id, { items: testCart.items });
+      const response = await request(app)
+        .post('/api/user/orders/place-order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          ...validOrderData,
+          shippingMethodId: testShippingMethod._id.toString()
+        })
+        .expect(409);
+
+      expect(response.body.error).toBe('This PayPal order has already been used');
+    });
+
     it('should return 401 for unauthenticated request', async () => {
       const response = await request(app)
         .post('/api/user/orders/place-order')
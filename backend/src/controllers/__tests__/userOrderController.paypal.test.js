@@ -0,0 +1,407 @@
+import { vi, describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../models/Order.js', () => {
+  const OrderMock = vi.fn().mockImplementation((data) => ({
+    ...data,
+    _id: 'order123',
+    orderNumber: 'ORD-TEST-1',
+    save: vi.fn().mockResolvedValue(true)
+  }));
+  OrderMock.findOne = vi.fn();
+  return { default: OrderMock };
+});
+
+vi.mock('../../models/Promotion.js', () => ({
+  default: {
+    findForCart: vi.fn().mockResolvedValue(null)
+  }
+}));
+
+vi.mock('../../models/Cart.js', () => ({
+  default: {
+    findByUserId: vi.fn(),
+    findOneAndUpdate: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Product.js', () => ({
+  default: {
+    find: vi.fn(),
+    findByIdAndUpdate: vi.fn(),
+    updateOne: vi.fn()
+  }
+}));
+
+vi.mock('../../models/ShippingMethod.js', () => ({
+  default: {
+    findOne: vi.fn()
+  }
+}));
+
+vi.mock('../../services/inventoryReservationService.js', () => ({
+  default: {
+    getReservedStock: vi.fn().mockResolvedValue(new Map()),
+    getAvailableStock: vi.fn((product, variant) => product.getAvailableStock(variant)),
+    reserveCart: vi.fn(),
+    releaseCart: vi.fn()
+  }
+}));
+
+vi.mock('../../services/stockLedgerService.js', () => ({
+  default: {
+    recordOrder: vi.fn().mockResolvedValue([])
+  }
+}));
+
+vi.mock('../../services/cartRecoveryService.js', () => ({
+  default: {
+    handleOrderPlaced: vi.fn().mockResolvedValue(null)
+  }
+}));
+
+import Order from '../../models/Order.js';
+import Cart from '../../models/Cart.js';
+import Product from '../../models/Product.js';
+import ShippingMethod from '../../models/ShippingMethod.js';
+import paypalService from '../../services/paypalService.js';
+import { placeOrder } from '../userOrderController.js';
+import { createPayPalStandInServer } from '../../test/helpers/paypalStandInServer.js';
+
+// 2 x £20.00 plus £5.00 shipping
+const ORDER_TOTAL = 45;
+
+const withSession = value => ({ session: vi.fn().mockResolvedValue(value) });
+
+describe('User Order Controller - PayPal verification', () => {
+  const standIn = createPayPalStandInServer();
+  let req, res;
+
+  beforeAll(async () => {
+    paypalService.baseURL = await standIn.start();
+  });
+
+  afterAll(async () => {
+    await standIn.stop();
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    standIn.reset();
+    paypalService.accessToken = null;
+    paypalService.tokenExpiry = null;
+
+    Order.findOne.mockReturnValue(withSession(null));
+    Cart.findByUserId.mockResolvedValue({
+      items: [{ productId: 'product123', quantity: 2 }]
+    });
+    Product.find.mockReturnValue(withSession([{
+      _id: 'product123',
+      name: 'Mini Toolbox',
+      slug: 'mini-toolbox',
+      images: [],
+      hasVariants: () => false,
+      getAvailableStock: () => 10,
+      getVariantPrice: () => 20,
+      isMadeOnDemand: () => false,
+      getExpectedShipDate: () => null,
+      getDepositAmount: () => null
+    }]));
+    ShippingMethod.findOne.mockReturnValue(withSession({
+      _id: 'shipping123',
+      name: 'Standard',
+      estimatedDelivery: '3-5 days',
+      calculateCost: () => ({ cost: 5 })
+    }));
+
+    req = {
+      user: { _id: 'user123', email: 'buyer@example.com' },
+      cookies: {},
+      body: {
+        shippingAddress: {
+          firstName: 'Jane',
+          lastName: 'Doe',
+          addressLine1: '1 Test Street',
+          city: 'London',
+          postalCode: 'SW1A 1AA',
+          country: 'GB'
+        },
+        shippingMethodId: 'shipping123',
+        useSameAsShipping: true,
+        paypalOrderId: 'PP-ORDER-1'
+      }
+    };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+  });
+
+  it('should capture an approved PayPal order and record the capture on the order', async () => {
+    standIn.addOrder({ id: 'PP-ORDER-1', amount: ORDER_TOTAL });
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(standIn.getOrder('PP-ORDER-1').status).toBe('COMPLETED');
+    expect(Order).toHaveBeenCalledWith(expect.objectContaining({
+      totalAmount: ORDER_TOTAL,
+      paymentStatus: 'completed',
+      paymentDetails: {
+        paypalOrderId: 'PP-ORDER-1',
+        paypalPaymentId: 'STANDIN-CAPTURE-1',
+        paypalTransactionId: 'STANDIN-CAPTURE-1',
+        paypalPayerId: 'STANDINPAYER',
+        paypalPayerEmail: 'buyer@example.com'
+      }
+    }));
+  });
+
+  it('should accept an order the client already captured for the full amount', async () => {
+    standIn.addOrder({
+      id: 'PP-ORDER-1',
+      amount: ORDER_TOTAL,
+      status: 'COMPLETED',
+      captures: [{ id: 'CLIENT-CAPTURE', status: 'COMPLETED', amount: { currency_code: 'GBP', value: '45.00' } }]
+    });
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(Order).toHaveBeenCalledWith(expect.objectContaining({
+      paymentDetails: expect.objectContaining({ paypalTransactionId: 'CLIENT-CAPTURE' })
+    }));
+  });
+
+  it('should reject an order whose approved amount does not match the server total', async () => {
+    standIn.addOrder({ id: 'PP-ORDER-1', amount: 1 });
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'PayPal payment amount does not match the order total'
+    });
+    expect(standIn.getOrder('PP-ORDER-1').status).toBe('APPROVED');
+    expect(Order).not.toHaveBeenCalled();
+  });
+
+  it('should refund a client capture whose amount does not match the server total', async () => {
+    standIn.addOrder({
+      id: 'PP-ORDER-1',
+      amount: 1,
+      status: 'COMPLETED',
+      captures: [{ id: 'CLIENT-CAPTURE', status: 'COMPLETED', amount: { currency_code: 'GBP', value: '1.00' } }]
+    });
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error).toBe('PayPal payment amount does not match the order total');
+    expect(standIn.refunds).toEqual([
+      expect.objectContaining({ captureId: 'CLIENT-CAPTURE' })
+    ]);
+  });
+
+  it('should refund a client capture when the order is turned away before it is checked', async () => {
+    standIn.addOrder({
+      id: 'PP-ORDER-1',
+      amount: ORDER_TOTAL,
+      status: 'COMPLETED',
+      captures: [{ id: 'CLIENT-CAPTURE', status: 'COMPLETED', amount: { currency_code: 'GBP', value: '45.00' } }]
+    });
+    ShippingMethod.findOne.mockReturnValue(withSession(null));
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error).toBe('Invalid shipping method');
+    expect(standIn.refunds).toEqual([
+      expect.objectContaining({ captureId: 'CLIENT-CAPTURE' })
+    ]);
+    expect(Order).not.toHaveBeenCalled();
+  });
+
+  it('should leave an approved order uncaptured when the order is turned away', async () => {
+    standIn.addOrder({ id: 'PP-ORDER-1', amount: ORDER_TOTAL });
+    ShippingMethod.findOne.mockReturnValue(withSession(null));
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(standIn.getOrder('PP-ORDER-1').status).toBe('APPROVED');
+    expect(standIn.refunds).toHaveLength(0);
+  });
+
+  it('should reject an order approved in another currency', async () => {
+    standIn.addOrder({ id: 'PP-ORDER-1', amount: ORDER_TOTAL, currency: 'USD' });
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error).toBe('PayPal payment amount does not match the order total');
+  });
+
+  it('should refuse to reuse a PayPal order that already paid for a store order', async () => {
+    standIn.addOrder({ id: 'PP-ORDER-1', amount: ORDER_TOTAL, status: 'COMPLETED' });
+    Order.findOne.mockReturnValue(withSession({ _id: 'existing-order' }));
+
+    await placeOrder(req, res);
+
+    expect(Order.findOne).toHaveBeenCalledWith({ 'paymentDetails.paypalOrderId': 'PP-ORDER-1' });
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'This PayPal order has already been used'
+    });
+    expect(Product.find).not.toHaveBeenCalled();
+  });
+
+  it('should return 409 when a concurrent request saves the same PayPal order first', async () => {
+    standIn.addOrder({ id: 'PP-ORDER-1', amount: ORDER_TOTAL });
+    const duplicateKeyError = Object.assign(new Error('E11000 duplicate key error'), {
+      code: 11000,
+      keyPattern: { 'paymentDetails.paypalOrderId': 1 }
+    });
+    Order.mockImplementationOnce((data) => ({
+      ...data,
+      save: vi.fn().mockRejectedValue(duplicateKeyError)
+    }));
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    // The capture belongs to the order that won, so it must not be refunded
+    expect(standIn.refunds).toHaveLength(0);
+  });
+
+  it('should refund and reject a partial capture', async () => {
+    standIn.addOrder({ id: 'PP-ORDER-1', amount: ORDER_TOTAL, captureAmount: 20 });
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'PayPal payment was not captured in full'
+    });
+    expect(standIn.refunds).toEqual([
+      expect.objectContaining({ captureId: 'STANDIN-CAPTURE-1' })
+    ]);
+    expect(Order).not.toHaveBeenCalled();
+  });
+
+  it('should reject a capture that is still pending', async () => {
+    standIn.addOrder({ id: 'PP-ORDER-1', amount: ORDER_TOTAL, captureStatus: 'PENDING' });
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error).toBe('PayPal payment was not captured in full');
+    expect(standIn.refunds).toHaveLength(0);
+  });
+
+  it('should refund the capture when the order cannot be saved', async () => {
+    standIn.addOrder({ id: 'PP-ORDER-1', amount: ORDER_TOTAL });
+    Order.mockImplementationOnce((data) => ({
+      ...data,
+      save: vi.fn().mockRejectedValue(new Error('Write conflict'))
+    }));
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(standIn.refunds).toEqual([
+      expect.objectContaining({ captureId: 'STANDIN-CAPTURE-1' })
+    ]);
+  });
+
+  it('should refund a client capture when the order cannot be saved', async () => {
+    standIn.addOrder({
+      id: 'PP-ORDER-1',
+      amount: ORDER_TOTAL,
+      status: 'COMPLETED',
+      captures: [{ id: 'CLIENT-CAPTURE', status: 'COMPLETED', amount: { currency_code: 'GBP', value: '45.00' } }]
+    });
+    Order.mockImplementationOnce((data) => ({
+      ...data,
+      save: vi.fn().mockRejectedValue(new Error('Write conflict'))
+    }));
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(standIn.refunds).toEqual([
+      expect.objectContaining({ captureId: 'CLIENT-CAPTURE' })
+    ]);
+  });
+
+  it('should reject a PayPal order the buyer has not approved', async () => {
+    standIn.addOrder({ id: 'PP-ORDER-1', amount: ORDER_TOTAL, status: 'CREATED' });
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error).toBe('PayPal order has not been approved');
+  });
+
+  it('should reject an unknown PayPal order', async () => {
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Invalid PayPal order' });
+  });
+
+  it('should return 503 when PayPal cannot be reached', async () => {
+    const baseURL = paypalService.baseURL;
+    paypalService.baseURL = 'http://127.0.0.1:1';
+
+    try {
+      await placeOrder(req, res);
+    } finally {
+      paypalService.baseURL = baseURL;
+    }
+
+    expect(res.status).toHaveBeenCalledWith(503);
+  });
+
+  it('should place a redirect-flow order unpaid and point the customer at its payment page', async () => {
+    delete req.body.paypalOrderId;
+    req.body.paymentMethod = 'bitcoin';
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(Order).toHaveBeenCalledWith(expect.objectContaining({
+      paymentMethod: { type: 'bitcoin', name: 'Bitcoin' },
+      paymentStatus: 'pending',
+      status: 'pending',
+      stockReservedAt: expect.any(Date)
+    }));
+    expect(res.json.mock.calls[0][0].data.paymentPath).toBe('/payment/bitcoin/order123');
+  });
+
+  it('should reject a payment method that is not registered', async () => {
+    req.body.paymentMethod = 'cheque';
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'Payment method cheque is not available'
+    });
+  });
+});
@@ -0,0 +1,291 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../models/Order.js', () => {
+  const OrderMock = vi.fn().mockImplementation((data) => ({
+    ...data,
+    _id: 'order123',
+    orderNumber: 'ORD-TEST-1',
+    save: vi.fn().mockResolvedValue(true)
+  }));
+  OrderMock.findOne = vi.fn();
+  return { default: OrderMock };
+});
+
+vi.mock('../../models/Promotion.js', () => ({
+  default: {
+    findForCart: vi.fn().mockResolvedValue(null)
+  }
+}));
+
+vi.mock('../../models/Cart.js', () => ({
+  default: {
+    findByUserId: vi.fn(),
+    findBySessionId: vi.fn(),
+    findOneAndUpdate: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Product.js', () => ({
+  default: {
+    find: vi.fn(),
+    findByIdAndUpdate: vi.fn(),
+    updateOne: vi.fn()
+  }
+}));
+
+vi.mock('../../models/ShippingMethod.js', () => ({
+  default: {
+    findOne: vi.fn()
+  }
+}));
+
+vi.mock('../../services/paymentProviderRegistry.js', () => ({
+  default: {
+    getProvider: vi.fn()
+  }
+}));
+
+vi.mock('../../services/inventoryReservationService.js', () => ({
+  default: {
+    getReservedStock: vi.fn().mockResolvedValue(new Map()),
+    getAvailableStock: vi.fn((product, variant) => product.getAvailableStock(variant)),
+    releaseCart: vi.fn()
+  }
+}));
+
+vi.mock('../../services/stockLedgerService.js', () => ({
+  default: {
+    recordOrder: vi.fn().mockResolvedValue([])
+  }
+}));
+
+vi.mock('../../services/cartRecoveryService.js', () => ({
+  default: {
+    handleOrderPlaced: vi.fn().mockResolvedValue(null)
+  }
+}));
+
+vi.mock('../../models/Currency.js', () => ({
+  SETTLEMENT_CURRENCY: 'GBP',
+  default: {
+    find: vi.fn()
+  }
+}));
+
+vi.mock('../../services/emailService.js', () => ({
+  default: {
+    sendOrderConfirmationEmail: vi.fn(),
+    sendOrderCancellationEmail: vi.fn()
+  }
+}));
+
+import Order from '../../models/Order.js';
+import Cart from '../../models/Cart.js';
+import Currency from '../../models/Currency.js';
+import Promotion from '../../models/Promotion.js';
+import Product from '../../models/Product.js';
+import ShippingMethod from '../../models/ShippingMethod.js';
+import paymentProviderRegistry from '../../services/paymentProviderRegistry.js';
+import currencyService from '../../services/currencyService.js';
+import cartRecoveryService from '../../services/cartRecoveryService.js';
+import unpaidOrderService from '../../services/unpaidOrderService.js';
+import { placeOrder, cancelOrder } from '../userOrderController.js';
+
+const withSession = value => ({ session: vi.fn().mockResolvedValue(value) });
+
+const createProduct = (overrides = {}) => ({
+  _id: 'product123',
+  name: 'Mini Toolbox',
+  slug: 'mini-toolbox',
+  images: [],
+  hasVariants: () => false,
+  getAvailableStock: () => 10,
+  getVariantPrice: () => 20,
+  getPriceOverride: () => null,
+  isMadeOnDemand: () => false,
+  getExpectedShipDate: () => null,
+  getDepositAmount: () => null,
+  ...overrides
+});
+
+describe('User Order Controller - cart promotions', () => {
+  let req, res, promotion;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    currencyService.clearCache();
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+
+    Currency.find.mockReturnValue({
+      sort: vi.fn().mockResolvedValue([
+        { code: 'EUR', name: 'Euro', symbol: '€', exchangeRate: 1.15, decimalPlaces: 2 }
+      ])
+    });
+    paymentProviderRegistry.getProvider.mockResolvedValue({
+      type: 'bitcoin',
+      name: 'Bitcoin',
+      checkoutFlow: 'redirect',
+      getCheckoutReference: () => null,
+      getPaymentPath: orderId => `/payment/bitcoin/${orderId}`
+    });
+    Cart.findBySessionId.mockResolvedValue({
+      _id: 'cart123',
+      items: [{ productId: 'product123', quantity: 2 }],
+      promotionCode: 'CART-AB12CD34',
+      promotionId: 'promo123'
+    });
+    promotion = {
+      _id: 'promo123',
+      code: 'CART-AB12CD34',
+      calculateDiscount: vi.fn().mockReturnValue(4),
+      claimUsage: vi.fn().mockResolvedValue(true)
+    };
+    Promotion.findForCart.mockResolvedValue(promotion);
+    Product.find.mockReturnValue(withSession([createProduct()]));
+    ShippingMethod.findOne.mockReturnValue(withSession({
+      _id: 'shipping123',
+      name: 'Standard',
+      estimatedDelivery: '3-5 days',
+      calculateCost: () => ({ cost: 5 })
+    }));
+
+    req = {
+      cookies: { cartSessionId: 'guest-session' },
+      body: {
+        email: 'guest@example.com',
+        shippingAddress: {
+          firstName: 'Jo',
+          lastName: 'Bloggs',
+          addressLine1: '1 Test Street',
+          city: 'London',
+          postalCode: 'SW1A 1AA',
+          country: 'GB'
+        },
+        shippingMethodId: 'shipping123',
+        paymentMethod: 'bitcoin'
+      }
+    };
+  });
+
+  it('should take the cart promotion off the order total', async () => {
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(Promotion.findForCart).toHaveBeenCalledWith(
+      expect.objectContaining({ promotionId: 'promo123' }),
+      null,
+      { session: expect.anything() }
+    );
+    expect(promotion.calculateDiscount).toHaveBeenCalledWith(40, 5);
+    expect(Order).toHaveBeenCalledWith(expect.objectContaining({
+      subtotal: 40,
+      shipping: 5,
+      totalAmount: 41,
+      promotionCode: 'CART-AB12CD34',
+      promotionId: 'promo123',
+      discountAmount: 4,
+      presentment: { subtotal: 40, shipping: 5, discountAmount: 4, totalAmount: 41 }
+    }));
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ orderTotal: 41, discountAmount: 4 })
+    }));
+  });
+
+  it('should take the use in the order\'s transaction', async () => {
+    await placeOrder(req, res);
+
+    expect(promotion.claimUsage).toHaveBeenCalledWith(null, { session: expect.anything() });
+    expect(cartRecoveryService.handleOrderPlaced).toHaveBeenCalled();
+  });
+
+  it('should take the use against the customer\'s account', async () => {
+    req.user = { _id: 'user123', email: 'buyer@example.com' };
+    Cart.findByUserId.mockResolvedValue({
+      _id: 'cart123',
+      items: [{ productId: 'product123', quantity: 2 }],
+      promotionId: 'promo123'
+    });
+
+    await placeOrder(req, res);
+
+    expect(Promotion.findForCart).toHaveBeenCalledWith(expect.anything(), 'user123', expect.anything());
+    expect(promotion.claimUsage).toHaveBeenCalledWith('user123', { session: expect.anything() });
+  });
+
+  it('should convert the discount into the presentment currency', async () => {
+    req.body.currency = 'EUR';
+
+    await placeOrder(req, res);
+
+    const orderData = Order.mock.calls[0][0];
+    expect(orderData.totalAmount).toBe(41);
+    expect(orderData.presentment).toEqual({ subtotal: 46, shipping: 5.75, discountAmount: 4.6, totalAmount: 47.15 });
+  });
+
+  it('should place the order at full price when the promotion can no longer be used', async () => {
+    Promotion.findForCart.mockResolvedValue(null);
+
+    await placeOrder(req, res);
+
+    expect(Order).toHaveBeenCalledWith(expect.objectContaining({
+      totalAmount: 45,
+      promotionId: undefined,
+      discountAmount: 0
+    }));
+    expect(promotion.claimUsage).not.toHaveBeenCalled();
+  });
+
+  it('should turn the order away when another checkout took the last use', async () => {
+    promotion.claimUsage.mockResolvedValue(false);
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'The promotion on your cart is no longer available; please review your order'
+    });
+    expect(Order).not.toHaveBeenCalled();
+  });
+
+  describe('cancelling an order placed with a promotion', () => {
+    it('should give the promotion use back', async () => {
+      const releasePromotion = vi.spyOn(unpaidOrderService, 'releasePromotion').mockResolvedValue();
+      const order = {
+        _id: '507f1f77bcf86cd799439011',
+        orderNumber: 'ORD-TEST-1',
+        userId: 'user123',
+        status: 'pending',
+        paymentStatus: 'pending',
+        promotionId: 'promo123',
+        items: [{ productId: 'product123', quantity: 2, availabilityMode: 'stock' }],
+        save: vi.fn().mockResolvedValue(true)
+      };
+      Order.findOne.mockReturnValue(withSession(order));
+      req = {
+        params: { orderId: order._id },
+        user: { _id: 'user123', email: 'buyer@example.com' }
+      };
+
+      await cancelOrder(req, res);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+      expect(releasePromotion).toHaveBeenCalledWith(order);
+    });
+  });
+});
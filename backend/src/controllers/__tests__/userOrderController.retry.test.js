@@ -0,0 +1,122 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../models/Order.js', () => ({
+  default: {
+    findOne: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Cart.js', () => {
+  const CartMock = vi.fn().mockImplementation((data) => ({
+    ...data,
+    items: [],
+    addItem: vi.fn(),
+    save: vi.fn().mockResolvedValue(true)
+  }));
+  CartMock.findByUserId = vi.fn();
+  return { default: CartMock };
+});
+
+vi.mock('../../models/Product.js', () => ({
+  default: {
+    find: vi.fn()
+  }
+}));
+
+vi.mock('../../services/inventoryReservationService.js', () => ({
+  default: {
+    getReservedStock: vi.fn().mockResolvedValue(new Map()),
+    getAvailableStock: vi.fn((product, variant) => product.getAvailableStock(variant)),
+    reserveCart: vi.fn(),
+    releaseCart: vi.fn()
+  }
+}));
+
+import Order from '../../models/Order.js';
+import Cart from '../../models/Cart.js';
+import Product from '../../models/Product.js';
+import { retryExpiredOrder } from '../userOrderController.js';
+
+const ORDER_ID = '507f1f77bcf86cd799439011';
+
+const createProduct = (id, stockQuantity, variants = []) => ({
+  _id: id,
+  name: `Product ${id}`,
+  stockQuantity,
+  getVariant: vi.fn(variantId => variants.find(variant => variant._id === variantId) || null),
+  getAvailableStock: vi.fn(variant => variant ? variant.stockQuantity : stockQuantity)
+});
+
+describe('User Order Controller - retry expired order', () => {
+  let req, res, cart;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    req = {
+      params: { orderId: ORDER_ID },
+      user: { _id: 'user123', email: 'customer@example.com' }
+    };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+    cart = { items: [], addItem: vi.fn(), save: vi.fn().mockResolvedValue(true) };
+    Cart.findByUserId.mockResolvedValue(cart);
+  });
+
+  it('should put the items still in stock back in the cart', async () => {
+    const variant = { _id: 'variant1', isActive: true, stockQuantity: 1 };
+    const products = [createProduct('product1', 5), createProduct('product2', 5, [variant])];
+    Order.findOne.mockResolvedValue({
+      status: 'cancelled',
+      paymentStatus: 'expired',
+      items: [
+        { productId: 'product1', productName: 'Product product1', quantity: 2 },
+        { productId: 'product2', productName: 'Product product2', variantId: 'variant1', quantity: 3 },
+        { productId: 'product3', productName: 'Retired product', quantity: 1 }
+      ]
+    });
+    Product.find.mockResolvedValue(products);
+
+    await retryExpiredOrder(req, res);
+
+    expect(Order.findOne).toHaveBeenCalledWith({ _id: ORDER_ID, customerEmail: 'customer@example.com' });
+    expect(cart.addItem).toHaveBeenCalledTimes(1);
+    expect(cart.addItem).toHaveBeenCalledWith(products[0], 2, null, null);
+    expect(cart.save).toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].data.unavailableItems).toEqual(['Product product2', 'Retired product']);
+  });
+
+  it('should create a cart for customers without one', async () => {
+    Cart.findByUserId.mockResolvedValue(null);
+    Order.findOne.mockResolvedValue({
+      status: 'cancelled',
+      paymentStatus: 'expired',
+      items: [{ productId: 'product1', productName: 'Product product1', quantity: 1 }]
+    });
+    Product.find.mockResolvedValue([createProduct('product1', 5)]);
+
+    await retryExpiredOrder(req, res);
+
+    expect(Cart).toHaveBeenCalledWith({ userId: 'user123' });
+    expect(res.json.mock.calls[0][0].success).toBe(true);
+  });
+
+  it('should only restore orders cancelled for non-payment', async () => {
+    Order.findOne.mockResolvedValue({ status: 'cancelled', paymentStatus: 'completed', items: [] });
+
+    await retryExpiredOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(Product.find).not.toHaveBeenCalled();
+  });
+
+  it('should answer 404 for orders the customer does not own', async () => {
+    Order.findOne.mockResolvedValue(null);
+
+    await retryExpiredOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
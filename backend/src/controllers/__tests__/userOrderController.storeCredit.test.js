@@ -0,0 +1,285 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../models/Order.js', () => {
+  const OrderMock = vi.fn().mockImplementation((data) => ({
+    ...data,
+    orderNumber: 'ORD-TEST-1',
+    save: vi.fn().mockResolvedValue(true)
+  }));
+  OrderMock.findOne = vi.fn();
+  return { default: OrderMock };
+});
+
+vi.mock('../../models/Promotion.js', () => ({
+  default: {
+    findForCart: vi.fn().mockResolvedValue(null)
+  }
+}));
+
+vi.mock('../../models/Cart.js', () => ({
+  default: {
+    findByUserId: vi.fn(),
+    findBySessionId: vi.fn(),
+    findOneAndUpdate: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Product.js', () => ({
+  default: {
+    find: vi.fn(),
+    findByIdAndUpdate: vi.fn(),
+    updateOne: vi.fn()
+  }
+}));
+
+vi.mock('../../models/ShippingMethod.js', () => ({
+  default: {
+    findOne: vi.fn()
+  }
+}));
+
+vi.mock('../../services/paymentProviderRegistry.js', () => ({
+  default: {
+    getProvider: vi.fn()
+  }
+}));
+
+vi.mock('../../services/inventoryReservationService.js', () => ({
+  default: {
+    getReservedStock: vi.fn().mockResolvedValue(new Map()),
+    getAvailableStock: vi.fn(() => 10),
+    releaseCart: vi.fn()
+  }
+}));
+
+vi.mock('../../services/stockLedgerService.js', () => ({
+  default: {
+    recordOrder: vi.fn().mockResolvedValue([])
+  }
+}));
+
+vi.mock('../../services/cartRecoveryService.js', () => ({
+  default: {
+    handleOrderPlaced: vi.fn().mockResolvedValue(null)
+  }
+}));
+
+vi.mock('../../services/giftCardService.js', () => ({
+  default: {
+    redeem: vi.fn(),
+    issueForOrder: vi.fn()
+  }
+}));
+
+vi.mock('../../services/storeCreditService.js', () => ({
+  default: {
+    spend: vi.fn()
+  }
+}));
+
+vi.mock('../../services/emailService.js', () => ({
+  default: {
+    sendOrderConfirmationEmail: vi.fn()
+  }
+}));
+
+import Order from '../../models/Order.js';
+import Cart from '../../models/Cart.js';
+import Product from '../../models/Product.js';
+import ShippingMethod from '../../models/ShippingMethod.js';
+import paymentProviderRegistry from '../../services/paymentProviderRegistry.js';
+import giftCardService from '../../services/giftCardService.js';
+import storeCreditService from '../../services/storeCreditService.js';
+import { placeOrder } from '../userOrderController.js';
+
+const withSession = value => ({ session: vi.fn().mockResolvedValue(value) });
+
+const createProduct = (overrides = {}) => ({
+  _id: 'product123',
+  name: 'Mini Toolbox',
+  slug: 'mini-toolbox',
+  images: [],
+  availabilityMode: 'stock',
+  hasVariants: () => false,
+  getVariantPrice: () => 20,
+  getPriceOverride: () => null,
+  isMadeOnDemand: () => false,
+  getExpectedShipDate: () => null,
+  getDepositAmount: () => null,
+  ...overrides
+});
+
+const paypalProvider = {
+  type: 'paypal',
+  name: 'PayPal',
+  checkoutFlow: 'capture',
+  getCheckoutReference: () => ({ 'paymentDetails.paypalOrderId': 'PAYPAL-1' }),
+  getPaymentPath: () => null,
+  capture: vi.fn(),
+  refund: vi.fn(),
+  releaseCheckout: vi.fn()
+};
+
+const storeCreditProvider = {
+  type: 'store_credit',
+  name: 'Store credit',
+  checkoutFlow: 'tender',
+  getCheckoutReference: () => null,
+  getPaymentPath: () => null,
+  capture: vi.fn()
+};
+
+describe('User Order Controller - store credit', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+
+    paymentProviderRegistry.getProvider.mockResolvedValue(paypalProvider);
+    paypalProvider.capture.mockResolvedValue({ captured: true, paymentDetails: { paypalOrderId: 'PAYPAL-1' } });
+    storeCreditProvider.capture.mockResolvedValue({ captured: false, paymentDetails: {} });
+    Order.findOne.mockReturnValue(withSession(null));
+    Cart.findByUserId.mockResolvedValue({
+      _id: 'cart123',
+      items: [{ productId: 'product123', quantity: 2 }]
+    });
+    Product.find.mockReturnValue(withSession([createProduct()]));
+    ShippingMethod.findOne.mockReturnValue(withSession({
+      _id: 'shipping123',
+      name: 'Standard',
+      estimatedDelivery: '3-5 days',
+      calculateCost: () => ({ cost: 5 })
+    }));
+    giftCardService.redeem.mockResolvedValue({ giftCards: [], total: 0 });
+    giftCardService.issueForOrder.mockResolvedValue([]);
+    storeCreditService.spend.mockResolvedValue(20);
+
+    req = {
+      user: { _id: 'user123', email: 'customer@example.com' },
+      cookies: {},
+      body: {
+        shippingAddress: {
+          firstName: 'Jo',
+          lastName: 'Bloggs',
+          addressLine1: '1 Test Street',
+          city: 'London',
+          postalCode: 'SW1A 1AA',
+          country: 'GB'
+        },
+        shippingMethodId: 'shipping123',
+        paymentMethod: 'paypal',
+        paypalOrderId: 'PAYPAL-1',
+        useStoreCredit: true
+      }
+    };
+  });
+
+  it('should charge the payment method what the store credit leaves', async () => {
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(storeCreditService.spend).toHaveBeenCalledWith('user123', 45, expect.objectContaining({
+      orderId: expect.anything()
+    }));
+    expect(paypalProvider.capture).toHaveBeenCalledWith({ totalAmount: 25 }, req.body);
+
+    const orderData = Order.mock.calls[0][0];
+    expect(orderData._id).toBe(storeCreditService.spend.mock.calls[0][2].orderId);
+    expect(orderData.storeCreditAmount).toBe(20);
+    expect(res.json.mock.calls[0][0].data).toEqual(expect.objectContaining({ storeCreditAmount: 20 }));
+  });
+
+  it('should spend store credit on what the gift cards leave', async () => {
+    giftCardService.redeem.mockResolvedValue({
+      giftCards: [{ giftCardId: 'card1', code: 'GCTEST', amount: 30 }],
+      total: 30
+    });
+    storeCreditService.spend.mockResolvedValue(10);
+    req.body.giftCardCodes = ['GCTEST'];
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(storeCreditService.spend).toHaveBeenCalledWith('user123', 15, expect.anything());
+    expect(paypalProvider.capture).toHaveBeenCalledWith({ totalAmount: 5 }, req.body);
+  });
+
+  it('should place an order the store credit covers with the store credit method', async () => {
+    paymentProviderRegistry.getProvider.mockResolvedValue(storeCreditProvider);
+    storeCreditService.spend.mockResolvedValue(45);
+    req.body.paymentMethod = 'store_credit';
+    delete req.body.paypalOrderId;
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(storeCreditProvider.capture).toHaveBeenCalledWith({ totalAmount: 0 }, req.body);
+    expect(Order).toHaveBeenCalledWith(expect.objectContaining({
+      paymentMethod: { type: 'store_credit', name: 'Store credit' },
+      paymentStatus: 'completed',
+      storeCreditAmount: 45
+    }));
+  });
+
+  it('should not charge another method for an order the store credit covers', async () => {
+    storeCreditService.spend.mockResolvedValue(45);
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'Your store credit covers this order, so no other payment is needed'
+    });
+    expect(paypalProvider.capture).not.toHaveBeenCalled();
+  });
+
+  it('should not let guests spend store credit', async () => {
+    req.user = null;
+    req.body.email = 'guest@example.com';
+    req.cookies.cartSessionId = 'session123';
+    Cart.findBySessionId.mockResolvedValue({
+      _id: 'cart123',
+      items: [{ productId: 'product123', quantity: 2 }]
+    });
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'Sign in to spend store credit'
+    });
+    expect(storeCreditService.spend).not.toHaveBeenCalled();
+    expect(paypalProvider.capture).not.toHaveBeenCalled();
+  });
+
+  it('should pass on why store credit cannot be used', async () => {
+    storeCreditService.spend.mockRejectedValue(Object.assign(new Error('You have no store credit to spend'), { statusCode: 400 }));
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'You have no store credit to spend'
+    });
+    expect(Order).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,324 @@
+import { vi, describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../models/Order.js', () => {
+  const OrderMock = vi.fn().mockImplementation((data) => ({
+    ...data,
+    _id: 'order123',
+    orderNumber: 'ORD-TEST-1',
+    save: vi.fn().mockResolvedValue(true)
+  }));
+  OrderMock.findOne = vi.fn();
+  return { default: OrderMock };
+});
+
+vi.mock('../../models/Promotion.js', () => ({
+  default: {
+    findForCart: vi.fn().mockResolvedValue(null)
+  }
+}));
+
+vi.mock('../../models/Cart.js', () => ({
+  default: {
+    findByUserId: vi.fn(),
+    findOneAndUpdate: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Product.js', () => ({
+  default: {
+    find: vi.fn(),
+    findByIdAndUpdate: vi.fn(),
+    updateOne: vi.fn()
+  }
+}));
+
+vi.mock('../../models/ShippingMethod.js', () => ({
+  default: {
+    findOne: vi.fn()
+  }
+}));
+
+vi.mock('../../services/inventoryReservationService.js', () => ({
+  default: {
+    getReservedStock: vi.fn().mockResolvedValue(new Map()),
+    getAvailableStock: vi.fn((product, variant) => product.getAvailableStock(variant)),
+    reserveCart: vi.fn(),
+    releaseCart: vi.fn()
+  }
+}));
+
+vi.mock('../../services/stockLedgerService.js', () => ({
+  default: {
+    recordOrder: vi.fn().mockResolvedValue([])
+  }
+}));
+
+vi.mock('../../services/cartRecoveryService.js', () => ({
+  default: {
+    handleOrderPlaced: vi.fn().mockResolvedValue(null)
+  }
+}));
+
+import Order from '../../models/Order.js';
+import Cart from '../../models/Cart.js';
+import Product from '../../models/Product.js';
+import ShippingMethod from '../../models/ShippingMethod.js';
+import stripeService from '../../services/stripeService.js';
+import paymentProviderRegistry from '../../services/paymentProviderRegistry.js';
+import inventoryReservationService from '../../services/inventoryReservationService.js';
+import stockLedgerService from '../../services/stockLedgerService.js';
+import { placeOrder } from '../userOrderController.js';
+import { createStripeStandInServer } from '../../test/helpers/stripeStandInServer.js';
+
+// 2 x £20.00 plus £5.00 shipping
+const ORDER_TOTAL = 45;
+
+const withSession = value => ({ session: vi.fn().mockResolvedValue(value) });
+
+describe('User Order Controller - Stripe verification', () => {
+  const standIn = createStripeStandInServer();
+  let req, res;
+
+  beforeAll(async () => {
+    stripeService.baseURL = await standIn.start();
+    stripeService.secretKey = 'sk_test_standin';
+    process.env.STRIPE_PUBLISHABLE_KEY = 'pk_test_standin';
+  });
+
+  afterAll(async () => {
+    await standIn.stop();
+    stripeService.secretKey = undefined;
+    delete process.env.STRIPE_PUBLISHABLE_KEY;
+    paymentProviderRegistry.clearCache();
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    standIn.reset();
+    paymentProviderRegistry.clearCache();
+
+    Order.findOne.mockReturnValue(withSession(null));
+    Cart.findByUserId.mockResolvedValue({
+      _id: 'cart123',
+      items: [{ productId: 'product123', quantity: 2 }]
+    });
+    Product.find.mockReturnValue(withSession([{
+      _id: 'product123',
+      name: 'Mini Toolbox',
+      slug: 'mini-toolbox',
+      images: [],
+      hasVariants: () => false,
+      getAvailableStock: () => 10,
+      getVariantPrice: () => 20,
+      isMadeOnDemand: () => false,
+      getExpectedShipDate: () => null,
+      getDepositAmount: () => null
+    }]));
+    ShippingMethod.findOne.mockReturnValue(withSession({
+      _id: 'shipping123',
+      name: 'Standard',
+      estimatedDelivery: '3-5 days',
+      calculateCost: () => ({ cost: 5 })
+    }));
+
+    req = {
+      user: { _id: 'user123', email: 'buyer@example.com' },
+      cookies: {},
+      body: {
+        shippingAddress: {
+          firstName: 'Jane',
+          lastName: 'Doe',
+          addressLine1: '1 Test Street',
+          city: 'London',
+          postalCode: 'SW1A 1AA',
+          country: 'GB'
+        },
+        shippingMethodId: 'shipping123',
+        useSameAsShipping: true,
+        paymentMethod: { type: 'stripe' },
+        stripePaymentIntentId: 'pi_paid'
+      }
+    };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+  });
+
+  it('should place a card order once its PaymentIntent has succeeded', async () => {
+    standIn.addPaymentIntent({ id: 'pi_paid', amount: ORDER_TOTAL * 100, brand: 'mastercard', last4: '4444' });
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(Order).toHaveBeenCalledWith(expect.objectContaining({
+      totalAmount: ORDER_TOTAL,
+      paymentMethod: { type: 'stripe', name: 'Card' },
+      paymentStatus: 'completed',
+      paymentDetails: {
+        stripePaymentIntentId: 'pi_paid',
+        stripeChargeId: 'ch_pi_paid',
+        cardBrand: 'mastercard',
+        cardLast4: '4444'
+      }
+    }));
+  });
+
+  it('should refund and reject a payment for a different amount', async () => {
+    standIn.addPaymentIntent({ id: 'pi_paid', amount: 100 });
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'Card payment amount does not match the order total'
+    });
+    expect(standIn.refunds).toEqual([expect.objectContaining({ payment_intent: 'pi_paid', amount: 100 })]);
+    expect(Order).not.toHaveBeenCalled();
+  });
+
+  it('should reject a PaymentIntent that still needs 3-D Secure authentication', async () => {
+    standIn.addPaymentIntent({ id: 'pi_paid', amount: ORDER_TOTAL * 100, status: 'requires_action' });
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error).toBe('Card payment has not been completed');
+    expect(standIn.refunds).toHaveLength(0);
+    expect(inventoryReservationService.releaseCart).toHaveBeenCalledWith('cart123');
+  });
+
+  it('should release the checkout hold once the order takes the stock', async () => {
+    standIn.addPaymentIntent({ id: 'pi_paid', amount: ORDER_TOTAL * 100 });
+
+    await placeOrder(req, res);
+
+    expect(inventoryReservationService.getReservedStock).toHaveBeenCalledWith(['product123'], { excludeCartId: 'cart123' });
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(inventoryReservationService.releaseCart).toHaveBeenCalledWith('cart123');
+  });
+
+  it('should record the sale in the stock ledger', async () => {
+    standIn.addPaymentIntent({ id: 'pi_paid', amount: ORDER_TOTAL * 100 });
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(stockLedgerService.recordOrder).toHaveBeenCalledWith(
+      expect.anything(),
+      'sale',
+      -1,
+      expect.objectContaining({ userId: 'user123' })
+    );
+  });
+
+  it('should not sell stock another checkout holds, and refund the card', async () => {
+    standIn.addPaymentIntent({ id: 'pi_paid', amount: ORDER_TOTAL * 100 });
+    inventoryReservationService.getAvailableStock.mockReturnValueOnce(1);
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error).toBe('Insufficient stock for product Mini Toolbox. Available: 1, Requested: 2');
+    expect(standIn.refunds).toEqual([expect.objectContaining({ payment_intent: 'pi_paid' })]);
+    expect(Order).not.toHaveBeenCalled();
+  });
+
+  it('should cancel an unfinished PaymentIntent when the order is turned away', async () => {
+    standIn.addPaymentIntent({ id: 'pi_paid', amount: ORDER_TOTAL * 100, status: 'requires_action' });
+    ShippingMethod.findOne.mockReturnValue(withSession(null));
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error).toBe('Invalid shipping method');
+    expect(standIn.getPaymentIntent('pi_paid').status).toBe('canceled');
+    expect(standIn.refunds).toHaveLength(0);
+  });
+
+  it('should take a deposit on made-to-order items without taking stock', async () => {
+    // 2 x £5.00 deposits plus £5.00 shipping, leaving £30.00 to pay
+    standIn.addPaymentIntent({ id: 'pi_paid', amount: 1500 });
+    const shipDate = new Date('2026-11-02T12:00:00Z');
+    Product.find.mockReturnValue(withSession([{
+      _id: 'product123',
+      name: 'Painted Bust',
+      slug: 'painted-bust',
+      images: [],
+      availabilityMode: 'made_to_order',
+      hasVariants: () => false,
+      getVariantPrice: () => 20,
+      isMadeOnDemand: () => true,
+      getExpectedShipDate: () => shipDate,
+      getDepositAmount: () => 5
+    }]));
+    ShippingMethod.findOne.mockReturnValue(withSession({
+      _id: 'shipping123',
+      name: 'Standard',
+      estimatedDeliveryDays: { min: 2, max: 3 },
+      calculateCost: () => ({ cost: 5 })
+    }));
+    inventoryReservationService.getAvailableStock.mockReturnValueOnce(Infinity);
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(Order).toHaveBeenCalledWith(expect.objectContaining({
+      totalAmount: ORDER_TOTAL,
+      balanceDue: 30,
+      // Three business days after the Monday it ships
+      estimatedDeliveryDate: new Date('2026-11-05T12:00:00Z'),
+      items: [expect.objectContaining({
+        availabilityMode: 'made_to_order',
+        expectedShipDate: shipDate,
+        depositAmount: 10
+      })]
+    }));
+    expect(Product.updateOne).not.toHaveBeenCalled();
+    expect(Product.findByIdAndUpdate).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ orderTotal: ORDER_TOTAL, amountPaid: 15, balanceDue: 30 });
+  });
+
+  it('should refuse to reuse a PaymentIntent that already paid for a store order', async () => {
+    Order.findOne.mockReturnValue(withSession({ _id: 'existing-order' }));
+
+    await placeOrder(req, res);
+
+    expect(Order.findOne).toHaveBeenCalledWith({ 'paymentDetails.stripePaymentIntentId': 'pi_paid' });
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].error).toBe('This Card order has already been used');
+  });
+
+  it('should refund the charge when the order cannot be saved', async () => {
+    standIn.addPaymentIntent({ id: 'pi_paid', amount: ORDER_TOTAL * 100 });
+    Order.mockImplementationOnce((data) => ({
+      ...data,
+      save: vi.fn().mockRejectedValue(new Error('Write conflict'))
+    }));
+
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(standIn.refunds).toEqual([expect.objectContaining({ payment_intent: 'pi_paid' })]);
+  });
+
+  it('should reject an unknown PaymentIntent', async () => {
+    await placeOrder(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Invalid card payment' });
+  });
+});
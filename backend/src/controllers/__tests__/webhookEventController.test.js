@@ -0,0 +1,142 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../models/WebhookEvent.js', () => ({
+  default: {
+    find: vi.fn(),
+    findById: vi.fn(),
+    countDocuments: vi.fn()
+  }
+}));
+
+vi.mock('../../services/webhookEventService.js', () => ({
+  default: {
+    replay: vi.fn()
+  }
+}));
+
+vi.mock('../paymentController.js', () => ({
+  webhookProcessors: {
+    paypal: vi.fn(),
+    blockonomics: vi.fn(),
+    btcpay: vi.fn(),
+    globee: vi.fn()
+  }
+}));
+
+import WebhookEvent from '../../models/WebhookEvent.js';
+import webhookEventService from '../../services/webhookEventService.js';
+import { webhookProcessors } from '../paymentController.js';
+import { getWebhookEvents, getWebhookEventById, replayWebhookEvent } from '../webhookEventController.js';
+
+const EVENT_ID = '507f1f77bcf86cd799439044';
+
+const createEvent = (fields = {}) => ({
+  _id: EVENT_ID,
+  provider: 'btcpay',
+  eventId: 'DEL-1',
+  status: 'failed',
+  signatureStatus: 'valid',
+  canReplay() {
+    return this.status === 'failed' && this.signatureStatus !== 'invalid';
+  },
+  toObject() {
+    return { _id: this._id, provider: this.provider, eventId: this.eventId, status: this.status };
+  },
+  ...fields
+});
+
+describe('Webhook Event Controller', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    req = { params: {}, query: {}, user: { _id: 'admin123' } };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+  });
+
+  describe('getWebhookEvents', () => {
+    it('should list events filtered by provider and status without payloads', async () => {
+      const limit = vi.fn().mockResolvedValue([createEvent()]);
+      const skip = vi.fn().mockReturnValue({ limit });
+      const sort = vi.fn().mockReturnValue({ skip });
+      const select = vi.fn().mockReturnValue({ sort });
+      WebhookEvent.find.mockReturnValue({ select });
+      WebhookEvent.countDocuments.mockResolvedValue(1);
+      req.query = { provider: 'btcpay', status: 'failed', page: '1' };
+
+      await getWebhookEvents(req, res);
+
+      expect(WebhookEvent.find).toHaveBeenCalledWith({ provider: 'btcpay', status: 'failed' });
+      expect(select).toHaveBeenCalledWith('-payload -rawBody -headers');
+      expect(sort).toHaveBeenCalledWith({ receivedAt: -1 });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: {
+          events: [expect.objectContaining({ eventId: 'DEL-1', canReplay: true })],
+          pagination: expect.objectContaining({ currentPage: 1, totalPages: 1, totalEvents: 1 })
+        }
+      });
+    });
+
+    it('should ignore unknown filter values', async () => {
+      const limit = vi.fn().mockResolvedValue([]);
+      WebhookEvent.find.mockReturnValue({ select: () => ({ sort: () => ({ skip: () => ({ limit }) }) }) });
+      WebhookEvent.countDocuments.mockResolvedValue(0);
+      req.query = { provider: 'square', status: { $ne: 'failed' } };
+
+      await getWebhookEvents(req, res);
+
+      expect(WebhookEvent.find).toHaveBeenCalledWith({});
+    });
+  });
+
+  describe('getWebhookEventById', () => {
+    it('should return 404 for an unknown event', async () => {
+      WebhookEvent.findById.mockReturnValue({ populate: vi.fn().mockResolvedValue(null) });
+      req.params.eventId = EVENT_ID;
+
+      await getWebhookEventById(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('replayWebhookEvent', () => {
+    it('should re-process a failed event with its provider processor', async () => {
+      const event = createEvent();
+      WebhookEvent.findById.mockResolvedValue(event);
+      webhookEventService.replay.mockResolvedValue({ ...event, status: 'processed' });
+      req.params.eventId = EVENT_ID;
+
+      await replayWebhookEvent(req, res);
+
+      expect(webhookEventService.replay).toHaveBeenCalledWith(event, webhookProcessors.btcpay, 'admin123');
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        success: true,
+        message: 'Webhook event re-processed'
+      }));
+    });
+
+    it('should refuse to re-process an event that did not fail', async () => {
+      WebhookEvent.findById.mockResolvedValue(createEvent({ status: 'processed' }));
+      req.params.eventId = EVENT_ID;
+
+      await replayWebhookEvent(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(webhookEventService.replay).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown event', async () => {
+      WebhookEvent.findById.mockResolvedValue(null);
+      req.params.eventId = EVENT_ID;
+
+      await replayWebhookEvent(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
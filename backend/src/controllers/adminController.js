@@ -6,7 +6,21 @@ import Product from '../models/Product.js';
 import ReturnRequest from '../models/ReturnRequest.js';
 import Category from '../models/Category.js';
 import Promotion from '../models/Promotion.js';
+import Payment from '../models/Payment.js';
+import StockMovement from '../models/StockMovement.js';
 import emailService from '../services/emailService.js';
+import cryptoPaymentService from '../services/cryptoPaymentService.js';
+import paymentProviderRegistry from '../services/paymentProviderRegistry.js';
+import cryptoRefundService, { RATE_BASES } from '../services/cryptoRefundService.js';
+import { handleOrderCompletion } from '../services/orderCompletionService.js';
+import productBulkService from '../services/productBulkService.js';
+import stockLedgerService from '../services/stockLedgerService.js';
+import giftCardService from '../services/giftCardService.js';
+import storeCreditService from '../services/storeCreditService.js';
+import unpaidOrderService from '../services/unpaidOrderService.js';
+import productAlertService from '../services/productAlertService.js';
+import cartRecoveryService from '../services/cartRecoveryService.js';
+import { parseSpreadsheet } from '../utils/spreadsheet.js';
 
 // Admin login
 export const adminLogin = async (req, res) => {
@@ -386,6 +400,10 @@ export const getOrderById = async (req, res) => {
                 quantity: '$$item.quantity',
                 image: '$$item.image',
                 lineTotal: '$$item.lineTotal',
+                availabilityMode: '$$item.availabilityMode',
+                expectedShipDate: '$$item.expectedShipDate',
+                depositAmount: '$$item.depositAmount',
+                producedAt: '$$item.producedAt',
                 productDetails: {
                   currentName: '$$item.productDetails.name',
                   currentSlug: '$$item.productDetails.slug',
@@ -404,6 +422,10 @@ export const getOrderById = async (req, res) => {
           },
           refundStatus: 1,
           refundHistory: 1,
+          balanceDue: 1,
+          balancePaidAt: 1,
+          balancePaymentReference: 1,
+          estimatedDeliveryDate: 1,
           notes: 1
         }
       }
@@ -615,9 +637,55 @@ const isValidStatusTransition = (currentStatus, newStatus) => {
   return transitions[currentStatus]?.includes(newStatus) || false;
 };
 
+// Refund what is left of a cancelled order's payment through the provider it
+// was paid with. Methods without provider refunds, such as crypto, are left
+// for the admin to refund by hand, and a failed refund does not undo the
+// cancellation.
+const refundCancelledOrder = async (order, adminId) => {
+  if (order.paymentStatus !== 'completed' || !order.paymentMethod?.type) {
+    return null;
+  }
+
+  const amount = order.getMaxRefundableAmount();
+  if (amount <= 0) {
+    return null;
+  }
+
+  try {
+    const provider = await paymentProviderRegistry.getProviderForOrder(order);
+    if (!provider.supportsRefunds) {
+      return null;
+    }
+
+    const refund = await provider.refund(order, { amount });
+    if (refund.status === 'failed') {
+      return { error: `${provider.name} declined the refund` };
+    }
+
+    order.refundHistory.push({
+      refundId: refund.refundId,
+      amount,
+      date: new Date(),
+      reason: 'Order cancelled',
+      adminUserId: adminId,
+      status: refund.status
+    });
+    order.totalRefundedAmount = (order.totalRefundedAmount || 0) + amount;
+    order.refundStatus = 'fully_refunded';
+    order.paymentStatus = 'refunded';
+    await order.save();
+
+    return { refundId: refund.refundId, amount, status: refund.status };
+  } catch (refundError) {
+    console.error('Cancellation refund error:', refundError);
+    return { error: 'Refund initiation failed' };
+  }
+};
+
 // Update order status (admin only)
 export const updateOrderStatus = async (req, res) => {
   const session = await mongoose.startSession();
+  let cancelledOrder = null;
   
   try {
     const { orderId } = req.params;
@@ -663,6 +731,11 @@ export const updateOrderStatus = async (req, res) => {
         if (!trackingNumber || !carrier) {
           throw new Error('Tracking number and carrier are required for shipped status');
         }
+
+        // Items paid for with a deposit ship once the balance is paid
+        if (order.hasOutstandingBalance()) {
+          throw new Error('Payment of the deposit balance is required before the order ships');
+        }
         
         // Update tracking information
         order.trackingNumber = trackingNumber.trim();
@@ -689,18 +762,45 @@ export const updateOrderStatus = async (req, res) => {
 
       // If status is 'cancelled', handle stock restoration and refund
       if (newStatus === 'cancelled') {
-        // Restore stock for each item
-        for (const item of order.items) {
-          await Product.findByIdAndUpdate(
-            item.productId,
-            { $inc: { stockQuantity: item.quantity } },
-            { session }
-          );
+        // Gift cards bought on the order are issued as soon as it is paid;
+        // once one has been spent, refunding the order would pay for it twice
+        if (order.items.some(item => item.giftCard)) {
+          const spent = await giftCardService.getSpentForOrder(order, { session });
+          if (spent > 0) {
+            throw Object.assign(new Error('A gift card bought on this order has been used, so the order can no longer be cancelled'), { statusCode: 400 });
+          }
         }
 
-        // TODO: Implement refund logic here
-        // This would depend on the payment method used
-        console.log(`TODO: Initiate refund for order ${order.orderNumber}`);
+        // Restore stock for each item (variant and product totals together)
+        for (const item of order.items) {
+          // Pre-order and made-to-order items were never taken from stock
+          if (item.availabilityMode && item.availabilityMode !== 'stock') {
+            continue;
+          }
+
+          if (item.variantId) {
+            await Product.updateOne(
+              { _id: item.productId, 'variants._id': item.variantId },
+              { $inc: { 'variants.$.stockQuantity': item.quantity, stockQuantity: item.quantity } },
+              { session }
+            );
+          } else {
+            await Product.findByIdAndUpdate(
+              item.productId,
+              { $inc: { stockQuantity: item.quantity } },
+              { session }
+            );
+          }
+        }
+        await stockLedgerService.recordOrder(order, 'cancellation', 1, { userId: req.user._id, session });
+        order.stockReservedAt = undefined;
+
+        // Put gift card payments back on the cards and store credit back in
+        // the wallet, and void any cards the order bought
+        await giftCardService.restoreForOrder(order, { userId: req.user._id, session });
+        await giftCardService.voidForOrder(order, { userId: req.user._id, session });
+        await storeCreditService.restoreForOrder(order, { userId: req.user._id, session });
+        cancelledOrder = order;
       }
 
       // Store old status for history
@@ -725,6 +825,13 @@ export const updateOrderStatus = async (req, res) => {
       await order.save({ session });
     });
 
+    // The payment is refunded once the cancellation has committed, so a
+    // retried transaction cannot refund it twice
+    const refund = cancelledOrder ? await refundCancelledOrder(cancelledOrder, req.user._id) : null;
+    if (cancelledOrder) {
+      await unpaidOrderService.releasePromotion(cancelledOrder);
+    }
+
     // Fetch updated order with full details for email
     const orderForEmail = await Order.findById(orderId)
       .populate('userId', 'firstName lastName email')
@@ -749,12 +856,20 @@ export const updateOrderStatus = async (req, res) => {
       success: true,
       message: `Order status updated to ${newStatus}`,
       data: {
-        order: orderForEmail
+        order: orderForEmail,
+        refund
       }
     });
 
   } catch (error) {
     console.error('Update order status error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     
     // Handle specific error types
     if (error.message.includes('not found')) {
@@ -788,7 +903,7 @@ export const issueRefund = async (req, res) => {
 
   try {
     const { orderId } = req.params;
-    const { refundAmount, refundReason } = req.body;
+    const { refundAmount, refundReason, rateBasis } = req.body;
     const adminId = req.user._id;
 
     // Validate input
@@ -813,6 +928,13 @@ export const issueRefund = async (req, res) => {
       });
     }
 
+    if (rateBasis !== undefined && !RATE_BASES.includes(rateBasis)) {
+      return res.status(400).json({
+        success: false,
+        error: `Rate basis must be one of: ${RATE_BASES.join(', ')}`
+      });
+    }
+
     // Validate ObjectId format
     if (!mongoose.Types.ObjectId.isValid(orderId)) {
       return res.status(400).json({
@@ -847,8 +969,38 @@ export const issueRefund = async (req, res) => {
       });
     }
 
-    // Generate refund ID (in a real system, this would come from payment gateway)
-    const refundId = `refund_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    // Return the money through the provider the order was paid with;
+    // crypto is sent by hand once the customer gives an address, and other
+    // methods without provider refunds are only recorded here
+    let refundId = `refund_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    let refundStatus = 'succeeded';
+
+    // Orders placed before payment methods were recorded have no provider
+    const provider = order.paymentMethod?.type
+      ? await paymentProviderRegistry.getProviderForOrder(order)
+      : null;
+    if (provider?.supportsRefunds) {
+      try {
+        const refund = await provider.refund(order, { amount: refundAmount });
+        refundId = refund.refundId;
+        refundStatus = refund.status;
+      } catch (refundError) {
+        console.error('Provider refund error:', refundError);
+        await session.abortTransaction();
+        return res.status(502).json({
+          success: false,
+          error: `${provider.name} could not issue the refund: ${refundError.message}`
+        });
+      }
+
+      if (refundStatus === 'failed') {
+        await session.abortTransaction();
+        return res.status(502).json({
+          success: false,
+          error: `${provider.name} declined the refund`
+        });
+      }
+    }
 
     // Add refund to history
     const refundEntry = {
@@ -857,16 +1009,20 @@ export const issueRefund = async (req, res) => {
       date: new Date(),
       reason: refundReason.trim(),
       adminUserId: adminId,
-      status: 'succeeded' // In real system, this would be 'pending' initially
+      status: refundStatus
     };
 
+    const addressToken = cryptoRefundService.isCryptoOrder(order)
+      ? cryptoRefundService.openRefund(order, refundEntry, { rateBasis })
+      : null;
+
     order.refundHistory.push(refundEntry);
 
     // Update refund status and amount
     const newTotalRefunded = (order.totalRefundedAmount || 0) + refundAmount;
     order.totalRefundedAmount = newTotalRefunded;
     
-    if (newTotalRefunded >= order.totalAmount) {
+    if (newTotalRefunded >= order.getCheckoutAmount()) {
       order.refundStatus = 'fully_refunded';
       order.paymentStatus = 'refunded';
       // Note: Don't change order.status since 'refunded' is not a valid order status
@@ -893,9 +1049,14 @@ export const issueRefund = async (req, res) => {
       .populate('refundHistory.adminUserId', 'firstName lastName email')
       .lean();
 
-    // Send refund confirmation email
+    // Send refund confirmation email, or for crypto ask for an address;
+    // the confirmation follows once the refund has been sent
     try {
-      await emailService.sendRefundConfirmationEmail(updatedOrder, refundEntry);
+      if (addressToken) {
+        await emailService.sendCryptoRefundAddressRequestEmail(updatedOrder, refundEntry, cryptoRefundService.getAddressUrl(addressToken));
+      } else {
+        await emailService.sendRefundConfirmationEmail(updatedOrder, refundEntry);
+      }
     } catch (emailError) {
       console.error('Error sending refund confirmation email:', emailError);
       // Don't fail the refund if email fails
@@ -903,7 +1064,9 @@ export const issueRefund = async (req, res) => {
 
     res.json({
       success: true,
-      message: `Refund of £${refundAmount.toFixed(2)} processed successfully`,
+      message: addressToken
+        ? `Refund of £${refundAmount.toFixed(2)} recorded; the customer has been asked for a refund address`
+        : `Refund of £${refundAmount.toFixed(2)} processed successfully`,
       data: {
         order: updatedOrder,
         refund: refundEntry
@@ -940,6 +1103,125 @@ export const issueRefund = async (req, res) => {
   }
 };
 
+// Get payment records (rate quotes, received funds, open issues) for an order (admin only)
+export const getOrderPayments = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid order ID format'
+      });
+    }
+
+    const payments = await Payment.findByOrderId(orderId)
+      .populate('resolution.resolvedBy', 'firstName lastName email')
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        payments
+      }
+    });
+
+  } catch (error) {
+    console.error('Get order payments error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching order payments'
+    });
+  }
+};
+
+// Resolve an over- or late crypto payment (admin only)
+export const resolveOrderPayment = async (req, res) => {
+  try {
+    const { orderId, paymentId } = req.params;
+    const { action, refundTransactionId, note } = req.body;
+
+    if (!['refund', 'accept'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Action must be refund or accept'
+      });
+    }
+
+    if (action === 'refund' && (typeof refundTransactionId !== 'string' || !refundTransactionId.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refund transaction ID is required'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(orderId) || !mongoose.Types.ObjectId.isValid(paymentId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid order or payment ID format'
+      });
+    }
+
+    const payment = await Payment.findOne({ _id: paymentId, orderId });
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    if (!payment.hasOpenResolution()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Payment has no open issue to resolve'
+      });
+    }
+
+    // Accepting a late payment completes the order it was meant for
+    let order = null;
+    if (action === 'accept' && payment.resolution.reason === 'late_payment') {
+      order = await Order.findById(orderId);
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          error: 'Order not found'
+        });
+      }
+    }
+
+    await cryptoPaymentService.resolvePayment(payment, {
+      action,
+      refundTransactionId: refundTransactionId?.trim(),
+      note: typeof note === 'string' ? note.trim() : undefined,
+      adminId: req.user._id
+    });
+
+    if (order && order.paymentStatus !== 'completed') {
+      order.paymentStatus = 'completed';
+      if (order.status === 'pending') {
+        order.status = 'processing';
+      }
+      await order.save();
+      setImmediate(() => handleOrderCompletion(order));
+    }
+
+    res.json({
+      success: true,
+      message: action === 'refund' ? 'Refund recorded' : 'Payment accepted',
+      data: {
+        payment
+      }
+    });
+
+  } catch (error) {
+    console.error('Resolve order payment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while resolving payment'
+    });
+  }
+};
+
 // Get all return requests (admin only)
 export const getAllReturnRequests = async (req, res) => {
   try {
@@ -1190,6 +1472,7 @@ export const getReturnRequestById = async (req, res) => {
           returnShippingAddress: 1,
           adminNotes: 1,
           refundId: 1,
+          refundMethod: 1,
           refundStatus: 1,
           returnWindow: 1,
           isWithinReturnWindow: 1,
@@ -1256,13 +1539,16 @@ export const getReturnRequestById = async (req, res) => {
   }
 };
 
+// Return statuses reached once the returned items are back with us
+const RESTOCKABLE_RETURN_STATUSES = ['item_received', 'processing_refund', 'refunded', 'closed'];
+
 // Update return request status (admin only)
 export const updateReturnRequestStatus = async (req, res) => {
   const session = await mongoose.startSession();
   
   try {
     const { returnRequestId } = req.params;
-    const { newStatus, rejectionReason, adminNotes } = req.body;
+    const { newStatus, rejectionReason, adminNotes, restockItems, refundToStoreCredit } = req.body;
     const adminId = req.user._id;
 
     // Validate input
@@ -1305,6 +1591,22 @@ export const updateReturnRequestStatus = async (req, res) => {
       });
     }
 
+    // Items can only go back in stock once they have been received
+    if (restockItems && !RESTOCKABLE_RETURN_STATUSES.includes(newStatus)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Returned items can only be restocked once they have been received'
+      });
+    }
+
+    // Store credit is paid as the return is marked refunded
+    if (refundToStoreCredit && newStatus !== 'refunded') {
+      return res.status(400).json({
+        success: false,
+        error: 'A return can only be refunded to store credit when marking it refunded'
+      });
+    }
+
     await session.withTransaction(async () => {
       // Find the return request
       const returnRequest = await ReturnRequest.findById(returnRequestId).session(session);
@@ -1312,6 +1614,18 @@ export const updateReturnRequestStatus = async (req, res) => {
         throw new Error('Return request not found');
       }
 
+      // Pay the refund into the customer's wallet, once
+      if (refundToStoreCredit) {
+        if (returnRequest.refundStatus === 'succeeded') {
+          throw Object.assign(new Error('This return has already been refunded'), { statusCode: 400 });
+        }
+
+        const transaction = await storeCreditService.creditReturn(returnRequest, adminId, { session });
+        returnRequest.refundMethod = 'store_credit';
+        returnRequest.refundId = transaction._id.toString();
+        returnRequest.refundStatus = 'succeeded';
+      }
+
       // Update return request status
       returnRequest.status = newStatus;
       returnRequest.processedBy = adminId;
@@ -1343,6 +1657,36 @@ export const updateReturnRequestStatus = async (req, res) => {
           : rejectionNote;
       }
 
+      // Put resaleable returned items back in stock, once
+      if (restockItems && !returnRequest.restockedAt) {
+        for (const item of returnRequest.items) {
+          if (item.variantId) {
+            await Product.updateOne(
+              { _id: item.productId, 'variants._id': item.variantId },
+              { $inc: { 'variants.$.stockQuantity': item.quantity, stockQuantity: item.quantity } },
+              { session }
+            );
+          } else {
+            await Product.findByIdAndUpdate(
+              item.productId,
+              { $inc: { stockQuantity: item.quantity } },
+              { session }
+            );
+          }
+        }
+
+        await stockLedgerService.record(returnRequest.items.map(item => ({
+          productId: item.productId,
+          variantId: item.variantId || null,
+          productName: item.productName,
+          reason: 'return_restock',
+          quantity: item.quantity,
+          userId: adminId,
+          reference: { kind: 'ReturnRequest', id: returnRequest._id, label: returnRequest.returnRequestNumber }
+        })), { session });
+        returnRequest.restockedAt = new Date();
+      }
+
       // Save the return request
       await returnRequest.save({ session });
     });
@@ -1377,6 +1721,13 @@ export const updateReturnRequestStatus = async (req, res) => {
 
   } catch (error) {
     console.error('Update return request status error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     
     // Handle specific error types
     if (error.message.includes('not found')) {
@@ -1403,68 +1754,76 @@ export const updateReturnRequestStatus = async (req, res) => {
   }
 };
 
+// Build the product list query from the admin filter parameters
+const buildProductListQuery = ({
+  searchQuery = '',
+  category = '',
+  status = '',
+  minPrice = '',
+  maxPrice = '',
+  stockStatus = ''
+}) => {
+  const query = {};
+
+  // Search by name or SKU
+  if (searchQuery) {
+    query.$or = [
+      { name: { $regex: searchQuery, $options: 'i' } },
+      { sku: { $regex: searchQuery, $options: 'i' } }
+    ];
+  }
+
+  // Filter by category
+  if (category) {
+    query.category = category;
+  }
+
+  // Filter by status - exclude archived by default unless specifically requested
+  if (status) {
+    query.status = status;
+  } else {
+    // By default, exclude archived products
+    query.status = { $ne: 'archived' };
+  }
+
+  // Filter by price range
+  if (minPrice || maxPrice) {
+    query.price = {};
+    if (minPrice) query.price.$gte = parseFloat(minPrice);
+    if (maxPrice) query.price.$lte = parseFloat(maxPrice);
+  }
+
+  // Filter by stock status
+  if (stockStatus) {
+    switch (stockStatus) {
+    case 'in_stock':
+      query.stockQuantity = { $gt: 0 };
+      break;
+    case 'out_of_stock':
+      query.stockQuantity = 0;
+      break;
+    case 'low_stock':
+      // Define low stock threshold (e.g., less than 10)
+      query.stockQuantity = { $gt: 0, $lte: 10 };
+      break;
+    }
+  }
+
+  return query;
+};
+
 // Get all products with filtering, searching, sorting, and pagination
 export const getProducts = async (req, res) => {
   try {
     const {
       page = 1,
       limit = 10,
-      searchQuery = '',
-      category = '',
-      status = '',
-      minPrice = '',
-      maxPrice = '',
-      stockStatus = '',
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
 
     // Build query
-    const query = {};
-
-    // Search by name or SKU
-    if (searchQuery) {
-      query.$or = [
-        { name: { $regex: searchQuery, $options: 'i' } },
-        { sku: { $regex: searchQuery, $options: 'i' } }
-      ];
-    }
-
-    // Filter by category
-    if (category) {
-      query.category = category;
-    }
-
-    // Filter by status - exclude archived by default unless specifically requested
-    if (status) {
-      query.status = status;
-    } else {
-      // By default, exclude archived products
-      query.status = { $ne: 'archived' };
-    }
-
-    // Filter by price range
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = parseFloat(minPrice);
-      if (maxPrice) query.price.$lte = parseFloat(maxPrice);
-    }
-
-    // Filter by stock status
-    if (stockStatus) {
-      switch (stockStatus) {
-      case 'in_stock':
-        query.stockQuantity = { $gt: 0 };
-        break;
-      case 'out_of_stock':
-        query.stockQuantity = 0;
-        break;
-      case 'low_stock':
-        // Define low stock threshold (e.g., less than 10)
-        query.stockQuantity = { $gt: 0, $lte: 10 };
-        break;
-      }
-    }
+    const query = buildProductListQuery(req.query);
 
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -1513,6 +1872,72 @@ export const getProducts = async (req, res) => {
   }
 };
 
+// Export products matching the list filters as a CSV or XLSX file for bulk editing
+export const exportProducts = async (req, res) => {
+  try {
+    const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+    const query = buildProductListQuery(req.query);
+
+    const { content, contentType, extension } = await productBulkService.exportProducts(query, { format });
+    const date = new Date().toISOString().split('T')[0];
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="products-${date}.${extension}"`);
+    res.send(content);
+
+  } catch (error) {
+    console.error('Export products error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while exporting products'
+    });
+  }
+};
+
+// Bulk create/update products from a CSV or XLSX file.
+// Returns a dry-run diff unless commit=true is sent.
+export const importProducts = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'A CSV or XLSX file is required'
+      });
+    }
+
+    const rows = await parseSpreadsheet(req.file);
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'The file does not contain any product rows'
+      });
+    }
+
+    if (!Object.keys(rows[0]).some(header => header.trim().toLowerCase() === 'sku')) {
+      return res.status(400).json({
+        success: false,
+        error: 'The file must contain a sku column'
+      });
+    }
+
+    const commit = req.query.commit === 'true' || req.body.commit === 'true';
+    const result = await productBulkService.importProducts(rows, { dryRun: !commit, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: commit ? 'Product import applied' : 'Product import preview generated',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Import products error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while importing products'
+    });
+  }
+};
+
 // Get single product by ID (for admin edit)
 export const getProductById = async (req, res) => {
   try {
@@ -1560,6 +1985,89 @@ export const getProductById = async (req, res) => {
   }
 };
 
+// Helper to parse product options and variants (sent as JSON strings in multipart forms)
+const parseVariantFields = (options, variants) => {
+  const parseList = (value, field) => {
+    if (value === undefined || value === null || value === '') return [];
+    const list = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!Array.isArray(list)) {
+      throw new Error(`${field} must be an array`);
+    }
+    return list;
+  };
+
+  const parsedOptions = parseList(options, 'Options').map(option => ({
+    name: String(option.name || '').trim(),
+    values: (option.values || []).map(value => String(value).trim()).filter(Boolean)
+  }));
+
+  const parsedVariants = parseList(variants, 'Variants').map(variant => ({
+    ...(variant._id && { _id: variant._id }),
+    sku: String(variant.sku || '').trim().toUpperCase(),
+    options: (variant.options || []).map(({ name, value }) => ({ name, value })),
+    price: variant.price === undefined || variant.price === null || variant.price === ''
+      ? undefined
+      : parseFloat(variant.price),
+    stockQuantity: parseInt(variant.stockQuantity) || 0,
+    images: variant.images || [],
+    isActive: variant.isActive !== false
+  }));
+
+  return { options: parsedOptions, variants: parsedVariants };
+};
+
+// Helper to parse pre-order and made-to-order fields (strings in multipart
+// forms); only the fields sent are returned, and the model checks ranges
+const parseAvailabilityFields = ({ availabilityMode, leadTimeDays, expectedShipDate, depositPercent }) => {
+  const parseNumber = (value, field) => {
+    if (value === '' || value === null) return 0;
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw new Error(`${field} must be a number`);
+    }
+    return number;
+  };
+
+  const fields = {};
+  if (availabilityMode) {
+    fields.availabilityMode = availabilityMode;
+  }
+  if (leadTimeDays !== undefined) {
+    fields.leadTimeDays = parseNumber(leadTimeDays, 'Lead time');
+  }
+  if (depositPercent !== undefined) {
+    fields.depositPercent = parseNumber(depositPercent, 'Deposit');
+  }
+  if (expectedShipDate !== undefined) {
+    fields.expectedShipDate = expectedShipDate ? new Date(expectedShipDate) : null;
+    if (fields.expectedShipDate && isNaN(fields.expectedShipDate.getTime())) {
+      throw new Error('Expected ship date is not a valid date');
+    }
+  }
+
+  return fields;
+};
+
+// Helper to parse per-currency price overrides (a JSON string in multipart
+// forms); undefined when none were sent, so updates leave them untouched
+const parsePriceOverrides = value => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return [];
+
+  const list = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(list)) {
+    throw new Error('Price overrides must be an array');
+  }
+
+  return list.map(override => {
+    const price = Number(override.price);
+    if (override.price === '' || !Number.isFinite(price)) {
+      throw new Error(`Price for ${override.currency} must be a number`);
+    }
+    return { currency: String(override.currency || '').trim().toUpperCase(), price };
+  });
+};
+
 // Create new product
 export const createProduct = async (req, res) => {
   try {
@@ -1577,7 +2085,9 @@ export const createProduct = async (req, res) => {
       tags,
       status,
       condition,
-      stockStatus
+      stockStatus,
+      options,
+      variants
     } = req.body;
 
     // Validate required fields
@@ -1588,6 +2098,36 @@ export const createProduct = async (req, res) => {
       });
     }
 
+    let variantFields;
+    try {
+      variantFields = parseVariantFields(options, variants);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid product options or variants: ${parseError.message}`
+      });
+    }
+
+    let availabilityFields;
+    try {
+      availabilityFields = parseAvailabilityFields(req.body);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid availability: ${parseError.message}`
+      });
+    }
+
+    let priceOverrides;
+    try {
+      priceOverrides = parsePriceOverrides(req.body.priceOverrides);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid price overrides: ${parseError.message}`
+      });
+    }
+
     // Validate SKU uniqueness
     const existingProduct = await Product.findOne({ sku });
     if (existingProduct) {
@@ -1653,6 +2193,12 @@ export const createProduct = async (req, res) => {
     if (lowStockThreshold !== undefined) productData.lowStockThreshold = parseInt(lowStockThreshold);
     if (category) productData.category = category;
     if (stockStatus) productData.stockStatus = stockStatus;
+    Object.assign(productData, availabilityFields);
+    if (priceOverrides) productData.priceOverrides = priceOverrides;
+    if (variantFields.variants.length > 0) {
+      productData.options = variantFields.options;
+      productData.variants = variantFields.variants;
+    }
 
     // Handle image uploads
     if (req.body.processedImages && req.body.processedImages.length > 0) {
@@ -1664,6 +2210,11 @@ export const createProduct = async (req, res) => {
     // Create the product
     const product = new Product(productData);
     await product.save();
+    await stockLedgerService.recordProductChange(null, product, {
+      reason: 'manual_adjustment',
+      userId: req.user._id,
+      note: 'Opening stock'
+    });
 
     // Populate category for response
     await product.populate('category', 'name slug');
@@ -1711,7 +2262,9 @@ export const updateProduct = async (req, res) => {
       tags,
       status,
       condition,
-      stockStatus
+      stockStatus,
+      options,
+      variants
     } = req.body;
 
     // Validate productId
@@ -1739,6 +2292,36 @@ export const updateProduct = async (req, res) => {
       });
     }
 
+    let variantFields;
+    try {
+      variantFields = parseVariantFields(options, variants);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid product options or variants: ${parseError.message}`
+      });
+    }
+
+    let availabilityFields;
+    try {
+      availabilityFields = parseAvailabilityFields(req.body);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid availability: ${parseError.message}`
+      });
+    }
+
+    let priceOverrides;
+    try {
+      priceOverrides = parsePriceOverrides(req.body.priceOverrides);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid price overrides: ${parseError.message}`
+      });
+    }
+
     // Validate SKU uniqueness (excluding current product)
     if (sku !== existingProduct.sku) {
       const duplicateProduct = await Product.findOne({ 
@@ -1818,6 +2401,20 @@ export const updateProduct = async (req, res) => {
     if (stockStatus) {
       updateData.stockStatus = stockStatus;
     }
+    Object.assign(updateData, availabilityFields);
+    if (priceOverrides) {
+      updateData.priceOverrides = priceOverrides;
+    }
+    if (variants !== undefined) {
+      updateData.options = variantFields.options;
+      updateData.variants = variantFields.variants;
+      // Product stock is the sum of its active variants
+      if (variantFields.variants.length > 0) {
+        updateData.stockQuantity = variantFields.variants
+          .filter(variant => variant.isActive)
+          .reduce((total, variant) => total + variant.stockQuantity, 0);
+      }
+    }
 
     // Handle image uploads
     if (req.body.processedImages && req.body.processedImages.length > 0) {
@@ -1833,6 +2430,15 @@ export const updateProduct = async (req, res) => {
       { new: true, runValidators: true }
     ).populate('category', 'name slug');
 
+    await stockLedgerService.recordProductChange(existingProduct, updatedProduct, {
+      reason: 'manual_adjustment',
+      userId: req.user._id,
+      note: 'Product edited'
+    });
+
+    // Queue back-in-stock and price-drop alerts for the sweep to send
+    await productAlertService.handleProductChange(existingProduct, updatedProduct);
+
     // Audit log (basic implementation)
     console.log(`Product ${productId} updated by admin user ${req.user.userId} at ${new Date()}`);
 
@@ -1868,6 +2474,100 @@ export const updateProduct = async (req, res) => {
   }
 };
 
+// Get a product's stock movement history, newest first
+export const getProductStockMovements = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { variantId } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid product ID format'
+      });
+    }
+
+    const product = await Product.findById(productId)
+      .select('name sku stockQuantity variants')
+      .lean();
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    const { movements, pagination } = await stockLedgerService.getProductHistory(productId, { variantId, page, limit });
+
+    res.json({
+      success: true,
+      data: { product, movements },
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Get stock movements error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching stock movements'
+    });
+  }
+};
+
+// Record a manual stock adjustment or stock take for a product or variant
+export const adjustProductStock = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { variantId, reason, quantity, countedQuantity, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid product ID format'
+      });
+    }
+
+    const { product, movement } = await stockLedgerService.adjustStock(productId, {
+      variantId,
+      reason,
+      quantity: quantity === undefined ? undefined : Number(quantity),
+      countedQuantity: countedQuantity === undefined ? undefined : Number(countedQuantity),
+      note: note?.trim() || undefined
+    }, req.user._id);
+
+    res.json({
+      success: true,
+      message: movement ? 'Stock updated' : 'Stock count matches; nothing to record',
+      data: { product, movement }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: validationErrors
+      });
+    }
+
+    console.error('Adjust product stock error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while adjusting stock'
+    });
+  }
+};
+
 // ===== Category Management Functions =====
 
 // Get all categories
@@ -2646,11 +3346,32 @@ export const getSalesReport = async (req, res) => {
       averageOrderValue: 0
     };
 
+    // Orders by the currency customers shopped in, against the GBP settled.
+    // Orders from before presentment currencies were recorded were GBP.
+    const currencyData = await Order.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: start, $lte: end },
+          status: { $ne: 'cancelled' }
+        }
+      },
+      {
+        $group: {
+          _id: { $ifNull: ['$currency', 'GBP'] },
+          orderCount: { $sum: 1 },
+          presentmentTotal: { $sum: { $ifNull: ['$presentment.totalAmount', '$totalAmount'] } },
+          settlementTotal: { $sum: '$totalAmount' }
+        }
+      },
+      { $sort: { settlementTotal: -1 } }
+    ]);
+
     res.json({
       success: true,
       totalRevenue: result.totalRevenue,
       orderCount: result.orderCount,
-      averageOrderValue: result.averageOrderValue
+      averageOrderValue: result.averageOrderValue,
+      byCurrency: currencyData.map(({ _id, ...totals }) => ({ currency: _id, ...totals }))
     });
   } catch (error) {
     console.error('Get sales report error:', error);
@@ -2773,10 +3494,12 @@ export const getCustomerReport = async (req, res) => {
   }
 };
 
-// Inventory Summary Report
+// Inventory Summary Report. Stock movements are included when a date
+// range is given.
 export const getInventoryReport = async (req, res) => {
   try {
     const lowStockThreshold = 10;
+    const { startDate, endDate } = req.query;
 
     // Count products by stock status
     const [inStock, outOfStock, lowStock] = await Promise.all([
@@ -2793,12 +3516,34 @@ export const getInventoryReport = async (req, res) => {
       .select('name sku stockQuantity')
       .sort({ stockQuantity: 1 });
 
+    let movements;
+    if (startDate && endDate) {
+      const start = new Date(startDate);
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999); // Include entire end date
+
+      const [byReason, recentMovements] = await Promise.all([
+        StockMovement.summarizeByReason(start, end),
+        StockMovement.find({ createdAt: { $gte: start, $lte: end } })
+          .populate('userId', 'firstName lastName email')
+          .sort({ createdAt: -1 })
+          .limit(50)
+          .lean()
+      ]);
+
+      movements = {
+        byReason: byReason.map(({ _id, ...totals }) => ({ reason: _id, ...totals })),
+        recent: recentMovements
+      };
+    }
+
     res.json({
       success: true,
       inStockCount: inStock,
       outOfStockCount: outOfStock,
       lowStockCount: lowStock,
-      lowStockProducts
+      lowStockProducts,
+      ...(movements && { movements })
     });
   } catch (error) {
     console.error('Get inventory report error:', error);
@@ -2809,6 +3554,37 @@ export const getInventoryReport = async (req, res) => {
   }
 };
 
+// Abandoned cart recovery report, for reminder runs started in the period
+export const getAbandonedCartReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start date and end date are required'
+      });
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    end.setHours(23, 59, 59, 999);
+
+    const report = await cartRecoveryService.getReport(start, end);
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error('Get abandoned cart report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while generating abandoned cart report'
+    });
+  }
+};
+
 // Get all promotions with pagination, search, and filters
 export const getPromotions = async (req, res) => {
   try {
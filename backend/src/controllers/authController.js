@@ -2,7 +2,7 @@ import User from '../models/User.js';
 import jwt from 'jsonwebtoken';
 
 // Generate JWT token
-const generateToken = (userId) => {
+export const generateToken = (userId) => {
   return jwt.sign(
     { userId },
     process.env.JWT_SECRET || 'your-secret-key',
@@ -11,7 +11,7 @@ const generateToken = (userId) => {
 };
 
 // Helper function to validate password strength
-const validatePasswordStrength = (password) => {
+export const validatePasswordStrength = (password) => {
   const minLength = 8;
   const hasUpperCase = /[A-Z]/.test(password);
   const hasLowerCase = /[a-z]/.test(password);
@@ -1,20 +1,32 @@
 import mongoose from 'mongoose';
 import Cart from '../models/Cart.js';
 import Product from '../models/Product.js';
+import Promotion from '../models/Promotion.js';
+import { SETTLEMENT_CURRENCY } from '../models/Currency.js';
+import inventoryReservationService from '../services/inventoryReservationService.js';
+import cartRecoveryService from '../services/cartRecoveryService.js';
+import guestOrderService from '../services/guestOrderService.js';
+import currencyService from '../services/currencyService.js';
+import giftCardService from '../services/giftCardService.js';
 import { v4 as uuidv4 } from 'uuid';
 
+// Helper function to point the browser at a guest cart
+const setSessionCookie = (res, sessionId) => {
+  res.cookie('cartSessionId', sessionId, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
+  });
+};
+
 // Helper function to get or create session ID for guest users
 const getOrCreateSessionId = (req, res) => {
   let sessionId = req.cookies.cartSessionId;
   
   if (!sessionId) {
     sessionId = `guest-${uuidv4()}`;
-    res.cookie('cartSessionId', sessionId, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
-    });
+    setSessionCookie(res, sessionId);
   }
   
   return sessionId;
@@ -44,26 +56,92 @@ const findOrCreateCart = async (req, res) => {
   }
 };
 
+// Helper function to find a variant on a product by ID
+const findProductVariant = (product, variantId) => {
+  if (!variantId || !Array.isArray(product.variants)) {
+    return null;
+  }
+  return product.variants.find(
+    variant => variant._id.toString() === variantId.toString()
+  ) || null;
+};
+
+// Helper function to check whether a cart item matches a product and variant
+const matchesCartItem = (item, productId, variantId) =>
+  item.productId.toString() === productId &&
+  String(item.variantId || '') === String(variantId || '');
+
+// Helper function to price cart items in a presentment currency: a
+// product's override for the currency, else the cart price converted
+const getPresentmentAmounts = async (items, currency) => {
+  if (currency.code === SETTLEMENT_CURRENCY) {
+    return items.map(item => ({ unitPrice: item.unitPrice, subtotal: item.subtotal }));
+  }
+
+  const products = await Product.find({ _id: { $in: items.map(item => item.productId) } });
+  return items.map(item => {
+    const product = products.find(entry => entry._id.toString() === item.productId.toString());
+    const variant = product && item.variantId ? findProductVariant(product, item.variantId) : null;
+    const override = product ? product.getPriceOverride(currency.code, variant) : null;
+    const unitPrice = override !== null ? override : currencyService.convert(item.unitPrice, currency);
+    return { unitPrice, subtotal: currencyService.round(unitPrice * item.quantity, currency) };
+  });
+};
+
+// Helper function to describe what a cart's promotion takes off at checkout;
+// free shipping depends on the method chosen there
+const getPromotionSummary = (promotion, totalAmount, currency) => {
+  const discountAmount = promotion.calculateDiscount(totalAmount);
+  return {
+    code: promotion.code,
+    type: promotion.type,
+    value: promotion.value,
+    freeShipping: promotion.type === 'free_shipping' && totalAmount >= promotion.minimumOrderSubtotal,
+    discountAmount,
+    presentmentDiscountAmount: currencyService.convert(discountAmount, currency)
+  };
+};
+
 // Get cart contents
 export const getCart = async (req, res) => {
   try {
     const cart = await findOrCreateCart(req, res);
+    // A currency the store no longer offers falls back to GBP
+    const currency = await currencyService.getCurrency(req.query?.currency) || await currencyService.getCurrency();
+    const presentmentItems = await getPresentmentAmounts(cart.items, currency);
+    const promotion = await Promotion.findForCart(cart, req.user?._id || null);
     
     const cartData = {
       _id: cart._id,
-      items: cart.items.map(item => ({
+      items: cart.items.map((item, index) => ({
         _id: item._id,
         productId: item.productId,
         productName: item.productName,
         productSlug: item.productSlug,
         productImage: item.productImage,
+        variantId: item.variantId || null,
+        variantSku: item.variantSku,
+        variantOptions: item.variantOptions || [],
         unitPrice: item.unitPrice,
         quantity: item.quantity,
-        subtotal: item.subtotal
+        subtotal: item.subtotal,
+        availabilityMode: item.availabilityMode || 'stock',
+        expectedShipDate: item.expectedShipDate || null,
+        unitDeposit: item.unitDeposit ?? null,
+        giftCard: item.giftCard || null,
+        presentmentUnitPrice: presentmentItems[index].unitPrice,
+        presentmentSubtotal: presentmentItems[index].subtotal
       })),
       totalItems: cart.totalItems,
       totalAmount: cart.totalAmount,
-      lastModified: cart.lastModified
+      balanceDue: cart.balanceDue || 0,
+      lastModified: cart.lastModified,
+      currency: currency.code,
+      presentmentTotal: currencyService.round(
+        presentmentItems.reduce((total, item) => total + item.subtotal, 0),
+        currency
+      ),
+      promotion: promotion ? getPromotionSummary(promotion, cart.totalAmount, currency) : null
     };
 
 
@@ -86,7 +164,7 @@ export const getCart = async (req, res) => {
 // Add product to cart
 export const addToCart = async (req, res) => {
   try {
-    const { productId, quantity = 1 } = req.body;
+    const { productId, quantity = 1, variantId = null } = req.body;
 
     // Input validation
     if (!productId) {
@@ -112,39 +190,97 @@ export const addToCart = async (req, res) => {
 
     // Find product and check availability
     const product = await Product.findById(productId);
-    if (!product) {
+    if (!product || !product.isAvailableTo(req.user?._id)) {
       return res.status(404).json({
         success: false,
         error: 'Product not found'
       });
     }
 
-    if (product.stockQuantity < quantity) {
+    // Products sold as variants need a specific variant selected
+    const hasVariants = Array.isArray(product.variants) && product.variants.length > 0;
+    if (hasVariants && !variantId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please select product options before adding to cart'
+      });
+    }
+
+    let variant = null;
+    if (variantId) {
+      if (!mongoose.Types.ObjectId.isValid(variantId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid variant ID format'
+        });
+      }
+
+      variant = findProductVariant(product, variantId);
+      if (!variant || variant.isActive === false) {
+        return res.status(404).json({
+          success: false,
+          error: 'Product variant not found'
+        });
+      }
+    }
+
+    // Gift cards are bought for someone; each card is emailed to them
+    let giftCard = null;
+    if (product.isGiftCard()) {
+      try {
+        giftCard = giftCardService.parseDelivery(req.body.giftCard || {});
+      } catch (deliveryError) {
+        return res.status(deliveryError.statusCode || 400).json({
+          success: false,
+          error: deliveryError.message
+        });
+      }
+    }
+
+    const availableStock = variant ? variant.stockQuantity : product.stockQuantity;
+    const unitPrice = variant && variant.price !== undefined && variant.price !== null
+      ? variant.price
+      : product.price;
+
+    // Pre-order and made-to-order items are not limited by stock on hand
+    if (!product.isMadeOnDemand() && availableStock < quantity) {
       return res.status(400).json({
         success: false,
-        error: `Only ${product.stockQuantity} items available in stock`
+        error: `Only ${availableStock} items available in stock`
       });
     }
 
     // Find or create cart
     const cart = await findOrCreateCart(req, res);
 
+    // Stock held by other customers in checkout is not available
+    const reserved = await inventoryReservationService.getReservedStock([product._id], { excludeCartId: cart._id });
+    const unreservedStock = inventoryReservationService.getAvailableStock(product, variant, reserved);
+
     // Check if adding this quantity would exceed stock
     const existingItem = cart.items.find(
-      item => item.productId.toString() === productId
+      item => matchesCartItem(item, productId, variantId)
     );
+    // A cart line holds one recipient's gift cards
+    if (giftCard && existingItem?.giftCard && existingItem.giftCard.recipientEmail !== giftCard.recipientEmail) {
+      return res.status(400).json({
+        success: false,
+        error: 'This gift card is already in your cart for another recipient. Check it out or remove it before buying one for someone else.'
+      });
+    }
+
     const currentQuantityInCart = existingItem ? existingItem.quantity : 0;
     const totalQuantityAfterAdd = currentQuantityInCart + quantity;
 
-    if (totalQuantityAfterAdd > product.stockQuantity) {
+    if (totalQuantityAfterAdd > unreservedStock) {
       return res.status(400).json({
         success: false,
-        error: `Cannot add ${quantity} items. You already have ${currentQuantityInCart} in cart. Only ${product.stockQuantity} available.`
+        error: `Cannot add ${quantity} items. You already have ${currentQuantityInCart} in cart. Only ${unreservedStock} available.`
       });
     }
 
     // Add item to cart
-    cart.addItem(product, quantity);
+    cart.addItem(product, quantity, variant, giftCard);
     await cart.save();
 
     res.json({
@@ -159,8 +295,14 @@ export const addToCart = async (req, res) => {
         addedItem: {
           productId: product._id,
           productName: product.name,
+          ...(variant && {
+            variantId: variant._id,
+            variantSku: variant.sku,
+            variantOptions: variant.options
+          }),
           quantity: quantity,
-          unitPrice: product.price
+          unitPrice,
+          ...(giftCard && { giftCard })
         }
       }
     });
@@ -178,7 +320,7 @@ export const addToCart = async (req, res) => {
 export const updateCartItem = async (req, res) => {
   try {
     const { productId } = req.params;
-    const { quantity } = req.body;
+    const { quantity, variantId = null } = req.body;
 
     // Input validation
     if (!mongoose.Types.ObjectId.isValid(productId)) {
@@ -200,7 +342,7 @@ export const updateCartItem = async (req, res) => {
 
     // Check if item exists in cart
     const existingItem = cart.items.find(
-      item => item.productId.toString() === productId
+      item => matchesCartItem(item, productId, variantId)
     );
 
     if (!existingItem) {
@@ -220,16 +362,26 @@ export const updateCartItem = async (req, res) => {
         });
       }
 
-      if (quantity > product.stockQuantity) {
+      const variant = findProductVariant(product, variantId);
+      if (variantId && !variant) {
+        return res.status(404).json({
+          success: false,
+          error: 'Product variant not found'
+        });
+      }
+
+      const reserved = await inventoryReservationService.getReservedStock([product._id], { excludeCartId: cart._id });
+      const availableStock = inventoryReservationService.getAvailableStock(product, variant, reserved);
+      if (quantity > availableStock) {
         return res.status(400).json({
           success: false,
-          error: `Only ${product.stockQuantity} items available in stock`
+          error: `Only ${availableStock} items available in stock`
         });
       }
     }
 
     // Update item quantity (or remove if quantity is 0)
-    cart.updateItemQuantity(productId, quantity);
+    cart.updateItemQuantity(productId, quantity, variantId);
     await cart.save();
 
     res.json({
@@ -257,6 +409,7 @@ export const updateCartItem = async (req, res) => {
 export const removeFromCart = async (req, res) => {
   try {
     const { productId } = req.params;
+    const variantId = req.query?.variantId || null;
 
     // Input validation
     if (!mongoose.Types.ObjectId.isValid(productId)) {
@@ -271,7 +424,7 @@ export const removeFromCart = async (req, res) => {
 
     // Check if item exists in cart
     const existingItem = cart.items.find(
-      item => item.productId.toString() === productId
+      item => matchesCartItem(item, productId, variantId)
     );
 
     if (!existingItem) {
@@ -282,7 +435,7 @@ export const removeFromCart = async (req, res) => {
     }
 
     // Remove item from cart
-    cart.removeItem(productId);
+    cart.removeItem(productId, variantId);
     await cart.save();
 
     res.json({
@@ -313,6 +466,7 @@ export const clearCart = async (req, res) => {
     
     cart.clearCart();
     await cart.save();
+    await inventoryReservationService.releaseCart(cart._id);
 
     res.json({
       success: true,
@@ -335,6 +489,163 @@ export const clearCart = async (req, res) => {
   }
 };
 
+// Hold the cart's items while the customer checks out
+export const reserveCheckoutStock = async (req, res) => {
+  try {
+    const cart = await findOrCreateCart(req, res);
+
+    if (cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cart is empty'
+      });
+    }
+
+    const { expiresAt } = await inventoryReservationService.reserveCart(cart);
+
+    res.json({
+      success: true,
+      data: {
+        expiresAt
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        unavailableItems: error.unavailableItems
+      });
+    }
+
+    console.error('Reserve checkout stock error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error occurred while reserving stock'
+    });
+  }
+};
+
+// Release the cart's hold when the customer leaves checkout
+export const releaseCheckoutStock = async (req, res) => {
+  try {
+    const cart = await findOrCreateCart(req, res);
+    await inventoryReservationService.releaseCart(cart._id);
+
+    res.json({
+      success: true,
+      message: 'Stock reservation released'
+    });
+
+  } catch (error) {
+    console.error('Release checkout stock error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error occurred while releasing stock'
+    });
+  }
+};
+
+// Remember a guest's checkout email, and whether they agreed to marketing
+// email such as cart reminders
+export const setCheckoutContact = async (req, res) => {
+  try {
+    if (req.user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Signed-in customers check out with their account email'
+      });
+    }
+
+    const email = guestOrderService.normalizeEmail(req.body.email);
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid email address is required'
+      });
+    }
+
+    const cart = await findOrCreateCart(req, res);
+    cart.contactEmail = email;
+    cart.marketingOptIn = req.body.marketingOptIn === true;
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Checkout email saved'
+    });
+
+  } catch (error) {
+    console.error('Set checkout contact error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error occurred while saving checkout email'
+    });
+  }
+};
+
+// Restore an abandoned cart from a reminder email (the token is the credential)
+export const restoreAbandonedCart = async (req, res) => {
+  try {
+    const result = await cartRecoveryService.restore(req.params.token, req.user || null);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'This cart link is invalid'
+      });
+    }
+
+    const { cart, requiresLogin, promotionCode } = result;
+
+    // Guests pick up the cart in this browser
+    if (cart?.sessionId && !cart.userId) {
+      setSessionCookie(res, cart.sessionId);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        restored: Boolean(cart),
+        requiresLogin,
+        promotionCode,
+        totalItems: cart ? cart.totalItems : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Restore abandoned cart error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error occurred while restoring cart'
+    });
+  }
+};
+
+// Stop cart reminders from the link in a reminder email (the token is the credential)
+export const unsubscribeFromCartReminders = async (req, res) => {
+  try {
+    const recovery = await cartRecoveryService.unsubscribe(req.params.token);
+    if (!recovery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unsubscribe link is invalid'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'You will no longer receive cart reminders or marketing email'
+    });
+
+  } catch (error) {
+    console.error('Unsubscribe from cart reminders error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error occurred while unsubscribing'
+    });
+  }
+};
 
 // Merge guest cart when user logs in (called by auth controller)
 export const mergeGuestCart = async (userId, sessionId) => {
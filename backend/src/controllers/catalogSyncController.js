@@ -0,0 +1,62 @@
+import etsyCatalogService from '../services/etsyCatalogService.js';
+import { parseCsv } from '../utils/spreadsheet.js';
+
+// Export active products as an Etsy listing CSV, or as the SKU/QUANTITY stock file
+export const exportEtsyCatalog = async (req, res) => {
+  try {
+    const stockOnly = req.query.format === 'stock';
+    const { csv } = stockOnly
+      ? await etsyCatalogService.exportStockCsv()
+      : await etsyCatalogService.exportEtsyCsv();
+
+    const date = new Date().toISOString().split('T')[0];
+    const filename = stockOnly ? `stock-sync-${date}.csv` : `etsy-export-${date}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csv);
+
+  } catch (error) {
+    console.error('Export Etsy catalog error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while exporting catalog'
+    });
+  }
+};
+
+// Stock delta import: update quantities by SKU from an uploaded CSV
+export const importStockSync = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'A CSV file is required'
+      });
+    }
+
+    const rows = await parseCsv(req.file.buffer);
+    if (rows.length === 0 || !('SKU' in rows[0]) || !('QUANTITY' in rows[0])) {
+      return res.status(400).json({
+        success: false,
+        error: 'CSV must contain SKU and QUANTITY columns'
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+    const result = await etsyCatalogService.applyStockUpdates(rows, { dryRun, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Stock sync preview generated' : 'Stock levels updated',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Import stock sync error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while importing stock levels'
+    });
+  }
+};
@@ -0,0 +1,282 @@
+import mongoose from 'mongoose';
+import commissionService from '../services/commissionService.js';
+import { logError } from '../utils/logger.js';
+
+// Errors the service raises for the customer to see pass through; anything else is logged
+const sendError = (res, error, context, message, commissionId) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  logError(error, { context, commissionId });
+  res.status(500).json({
+    success: false,
+    error: message
+  });
+};
+
+const invalidId = (res) => res.status(400).json({
+  success: false,
+  error: 'Invalid commission request ID format'
+});
+
+const getPaging = (query, defaultLimit) => ({
+  page: Math.max(1, parseInt(query.page) || 1),
+  limit: Math.min(50, Math.max(1, parseInt(query.limit) || defaultLimit))
+});
+
+// Submit a commission request with its brief and reference images
+export const submitCommissionRequest = async (req, res) => {
+  try {
+    const { title, brief, budget, processedImages } = req.body;
+
+    const request = await commissionService.submit(req.user, { title, brief, budget, images: processedImages });
+
+    res.status(201).json({
+      success: true,
+      message: 'Commission request sent. We\'ll reply with a quote soon.',
+      data: { commission: request }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'commission_submit', 'Server error while submitting commission request');
+  }
+};
+
+// Get the customer's commission requests
+export const getMyCommissionRequests = async (req, res) => {
+  try {
+    const { requests, pagination } = await commissionService.getUserRequests(req.user._id, getPaging(req.query, 10));
+
+    res.json({
+      success: true,
+      data: { commissions: requests },
+      pagination
+    });
+
+  } catch (error) {
+    sendError(res, error, 'commission_list', 'Server error while fetching commission requests');
+  }
+};
+
+// Get one of the customer's commission requests with its thread and history
+export const getMyCommissionRequest = async (req, res) => {
+  const { commissionId } = req.params;
+  try {
+    if (!mongoose.Types.ObjectId.isValid(commissionId)) {
+      return invalidId(res);
+    }
+
+    const request = await commissionService.getUserRequest(req.user._id, commissionId);
+
+    res.json({
+      success: true,
+      data: { commission: request }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'commission_get', 'Server error while fetching commission request', commissionId);
+  }
+};
+
+// Add the customer's message, with any images, to a commission request
+export const addCommissionMessage = async (req, res) => {
+  const { commissionId } = req.params;
+  try {
+    if (!mongoose.Types.ObjectId.isValid(commissionId)) {
+      return invalidId(res);
+    }
+
+    const { request, message } = await commissionService.addCustomerMessage(req.user._id, commissionId, {
+      body: req.body.message,
+      images: req.body.processedImages
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent',
+      data: { commission: request, message }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'commission_message', 'Server error while sending message', commissionId);
+  }
+};
+
+// Accept a commission quote, adding the commission to the customer's cart
+export const acceptCommissionQuote = async (req, res) => {
+  const { commissionId } = req.params;
+  try {
+    if (!mongoose.Types.ObjectId.isValid(commissionId)) {
+      return invalidId(res);
+    }
+
+    const { request, product, addedToCart } = await commissionService.acceptQuote(req.user._id, commissionId);
+
+    res.json({
+      success: true,
+      message: addedToCart
+        ? 'Quote accepted and added to your cart'
+        : 'Quote accepted. Add it to your cart from your commission request',
+      data: {
+        commission: request,
+        product: { _id: product._id, name: product.name, slug: product.slug, price: product.price },
+        addedToCart
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'commission_accept', 'Server error while accepting quote', commissionId);
+  }
+};
+
+// Decline a commission quote
+export const declineCommissionQuote = async (req, res) => {
+  const { commissionId } = req.params;
+  try {
+    if (!mongoose.Types.ObjectId.isValid(commissionId)) {
+      return invalidId(res);
+    }
+
+    const request = await commissionService.declineQuote(req.user._id, commissionId, { reason: req.body.reason });
+
+    res.json({
+      success: true,
+      message: 'Quote declined',
+      data: { commission: request }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'commission_decline', 'Server error while declining quote', commissionId);
+  }
+};
+
+// Withdraw a commission request
+export const cancelCommissionRequest = async (req, res) => {
+  const { commissionId } = req.params;
+  try {
+    if (!mongoose.Types.ObjectId.isValid(commissionId)) {
+      return invalidId(res);
+    }
+
+    const request = await commissionService.cancel(req.user._id, commissionId);
+
+    res.json({
+      success: true,
+      message: 'Commission request cancelled',
+      data: { commission: request }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'commission_cancel', 'Server error while cancelling commission request', commissionId);
+  }
+};
+
+// Get all commission requests, optionally by status (admin only)
+export const getCommissionRequests = async (req, res) => {
+  try {
+    const { requests, pagination } = await commissionService.getRequests({
+      status: req.query.status,
+      ...getPaging(req.query, 20)
+    });
+
+    res.json({
+      success: true,
+      data: { commissions: requests },
+      pagination
+    });
+
+  } catch (error) {
+    sendError(res, error, 'admin_commission_list', 'Server error while fetching commission requests');
+  }
+};
+
+// Get a commission request with its thread and history (admin only)
+export const getCommissionRequest = async (req, res) => {
+  const { commissionId } = req.params;
+  try {
+    if (!mongoose.Types.ObjectId.isValid(commissionId)) {
+      return invalidId(res);
+    }
+
+    const request = await commissionService.getRequest(commissionId);
+
+    res.json({
+      success: true,
+      data: { commission: request }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'admin_commission_get', 'Server error while fetching commission request', commissionId);
+  }
+};
+
+// Reply to the customer on a commission request (admin only)
+export const replyToCommissionRequest = async (req, res) => {
+  const { commissionId } = req.params;
+  try {
+    if (!mongoose.Types.ObjectId.isValid(commissionId)) {
+      return invalidId(res);
+    }
+
+    const { request, message } = await commissionService.addAdminMessage(req.user, commissionId, {
+      body: req.body.message,
+      images: req.body.processedImages
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reply sent',
+      data: { commission: request, message }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'admin_commission_reply', 'Server error while sending reply', commissionId);
+  }
+};
+
+// Send the customer a priced quote (admin only)
+export const quoteCommissionRequest = async (req, res) => {
+  const { commissionId } = req.params;
+  try {
+    if (!mongoose.Types.ObjectId.isValid(commissionId)) {
+      return invalidId(res);
+    }
+
+    const { price, description, leadTimeDays, validUntil } = req.body;
+    const request = await commissionService.sendQuote(req.user, commissionId, { price, description, leadTimeDays, validUntil });
+
+    res.json({
+      success: true,
+      message: 'Quote sent',
+      data: { commission: request }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'admin_commission_quote', 'Server error while sending quote', commissionId);
+  }
+};
+
+// Turn down a commission request (admin only)
+export const rejectCommissionRequest = async (req, res) => {
+  const { commissionId } = req.params;
+  try {
+    if (!mongoose.Types.ObjectId.isValid(commissionId)) {
+      return invalidId(res);
+    }
+
+    const request = await commissionService.reject(req.user, commissionId, { reason: req.body.reason });
+
+    res.json({
+      success: true,
+      message: 'Commission request turned down',
+      data: { commission: request }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'admin_commission_reject', 'Server error while turning down commission request', commissionId);
+  }
+};
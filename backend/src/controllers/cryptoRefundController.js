@@ -0,0 +1,243 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import cryptoRefundService from '../services/cryptoRefundService.js';
+import emailService from '../services/emailService.js';
+import { logError, logPaymentEvent } from '../utils/logger.js';
+
+// Find a crypto refund entry on an order for the admin routes
+const findOrderRefund = async (orderId, refundId) => {
+  const order = await Order.findById(orderId).populate('userId', 'firstName lastName email');
+  const refund = order?.refundHistory.find(entry => entry.refundId === refundId);
+
+  return refund?.crypto?.currency ? { order, refund } : null;
+};
+
+// Get the refund a customer's address link belongs to (public, the token is the credential)
+export const getCryptoRefund = async (req, res) => {
+  try {
+    const found = await cryptoRefundService.findByToken(req.params.token);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Refund link is invalid'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: cryptoRefundService.describe(found.order, found.refund)
+    });
+
+  } catch (error) {
+    logError(error, { context: 'crypto_refund_get' });
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching refund'
+    });
+  }
+};
+
+// Give and confirm the address a crypto refund is sent to (public, the token is the credential)
+export const submitCryptoRefundAddress = async (req, res) => {
+  try {
+    const { address, confirmAddress } = req.body;
+
+    if (typeof address !== 'string' || !address.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refund address is required'
+      });
+    }
+
+    if (address.trim() !== (typeof confirmAddress === 'string' ? confirmAddress.trim() : '')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Addresses do not match'
+      });
+    }
+
+    const found = await cryptoRefundService.findByToken(req.params.token);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Refund link is invalid'
+      });
+    }
+
+    const { order, refund } = found;
+
+    if (refund.crypto.addressConfirmedAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'A refund address has already been confirmed'
+      });
+    }
+
+    if (!cryptoRefundService.isAwaitingAddress(refund)) {
+      return res.status(410).json({
+        success: false,
+        error: 'Refund link has expired, please contact support for a new one'
+      });
+    }
+
+    if (!await cryptoRefundService.isValidAddress(refund.crypto.currency, address.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: `Not a valid ${refund.crypto.currency} address`
+      });
+    }
+
+    await cryptoRefundService.confirmAddress(order, refund, address.trim());
+
+    res.json({
+      success: true,
+      message: 'Refund address confirmed',
+      data: cryptoRefundService.describe(order, refund)
+    });
+
+  } catch (error) {
+    logError(error, { context: 'crypto_refund_address' });
+    res.status(500).json({
+      success: false,
+      error: 'Server error while confirming refund address'
+    });
+  }
+};
+
+// Record the transaction a crypto refund was sent in (admin only)
+export const recordCryptoRefundTransaction = async (req, res) => {
+  try {
+    const { orderId, refundId } = req.params;
+    const { transactionId } = req.body;
+
+    if (typeof transactionId !== 'string' || !/^[0-9a-f]{64}$/i.test(transactionId.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Transaction ID must be 64 hexadecimal characters'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid order ID format'
+      });
+    }
+
+    const found = await findOrderRefund(orderId, refundId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Crypto refund not found'
+      });
+    }
+
+    const { order, refund } = found;
+
+    if (refund.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: 'Refund has already been sent'
+      });
+    }
+
+    if (!refund.crypto.addressConfirmedAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'The customer has not confirmed a refund address yet'
+      });
+    }
+
+    cryptoRefundService.recordTransaction(refund, transactionId.trim().toLowerCase());
+    await order.save();
+
+    logPaymentEvent('crypto_refund_sent', {
+      orderId: order._id,
+      refundId,
+      currency: refund.crypto.currency,
+      cryptoAmount: refund.crypto.cryptoAmount,
+      transactionId: refund.crypto.transactionId,
+      adminUserId: req.user._id
+    });
+
+    try {
+      await emailService.sendRefundConfirmationEmail(order, refund);
+    } catch (emailError) {
+      console.error('Error sending refund confirmation email:', emailError);
+      // Don't fail the refund if email fails
+    }
+
+    res.json({
+      success: true,
+      message: 'Refund transaction recorded',
+      data: {
+        refund
+      }
+    });
+
+  } catch (error) {
+    console.error('Record crypto refund transaction error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while recording refund transaction'
+    });
+  }
+};
+
+// Email the customer a new address link for a crypto refund (admin only)
+export const resendCryptoRefundAddressRequest = async (req, res) => {
+  try {
+    const { orderId, refundId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid order ID format'
+      });
+    }
+
+    const found = await findOrderRefund(orderId, refundId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Crypto refund not found'
+      });
+    }
+
+    const { order, refund } = found;
+
+    if (refund.status !== 'pending' || refund.crypto.addressConfirmedAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'The customer has already confirmed a refund address'
+      });
+    }
+
+    // A new link replaces the old one
+    const token = cryptoRefundService.issueAddressToken(refund);
+    await order.save();
+
+    const emailResult = await emailService.sendCryptoRefundAddressRequestEmail(order, refund, cryptoRefundService.getAddressUrl(token));
+    if (emailResult?.success === false) {
+      return res.status(502).json({
+        success: false,
+        error: 'Could not email the refund address link'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Refund address link sent to the customer',
+      data: {
+        addressRequestExpires: refund.crypto.addressRequestExpires
+      }
+    });
+
+  } catch (error) {
+    console.error('Resend crypto refund address request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while sending refund address link'
+    });
+  }
+};
@@ -0,0 +1,22 @@
+import currencyService from '../services/currencyService.js';
+
+// Currencies the storefront can show prices in, with their current rates
+export const getCurrencies = async (req, res) => {
+  try {
+    const currencies = await currencyService.listCurrencies();
+
+    res.json({
+      success: true,
+      data: {
+        settlementCurrency: currencies[0].code,
+        currencies
+      }
+    });
+  } catch (error) {
+    console.error('Get currencies error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch currencies'
+    });
+  }
+};
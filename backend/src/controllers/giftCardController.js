@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+import giftCardService from '../services/giftCardService.js';
+import { logError } from '../utils/logger.js';
+
+// Errors the service raises for the customer to see pass through; anything else is logged
+const sendError = (res, error, context, message, giftCardId) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  logError(error, { context, giftCardId });
+  res.status(500).json({
+    success: false,
+    error: message
+  });
+};
+
+const getPaging = (query, defaultLimit) => ({
+  page: Math.max(1, parseInt(query.page) || 1),
+  limit: Math.min(50, Math.max(1, parseInt(query.limit) || defaultLimit))
+});
+
+// Check what is left on a gift card, for customers holding its code
+export const checkGiftCardBalance = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (typeof code !== 'string' || !code.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Gift card code is required'
+      });
+    }
+
+    const giftCard = await giftCardService.checkBalance(code);
+
+    res.json({
+      success: true,
+      data: { giftCard }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'gift_card_balance', 'Server error while checking gift card balance');
+  }
+};
+
+// Get all gift cards, optionally by status or a code/recipient search (admin only)
+export const getGiftCards = async (req, res) => {
+  try {
+    const { giftCards, pagination } = await giftCardService.getGiftCards({
+      status: req.query.status,
+      search: req.query.search,
+      ...getPaging(req.query, 20)
+    });
+
+    res.json({
+      success: true,
+      data: { giftCards },
+      pagination
+    });
+
+  } catch (error) {
+    sendError(res, error, 'admin_gift_card_list', 'Server error while fetching gift cards');
+  }
+};
+
+// Look up a gift card by code with its ledger (admin only)
+export const lookupGiftCard = async (req, res) => {
+  try {
+    const giftCard = await giftCardService.lookup(req.params.code);
+
+    res.json({
+      success: true,
+      data: { giftCard }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'admin_gift_card_lookup', 'Server error while looking up gift card');
+  }
+};
+
+// Issue a gift card, emailed to a recipient if one is given (admin only)
+export const issueGiftCard = async (req, res) => {
+  try {
+    const { amount, recipient, expiresAt, note } = req.body;
+
+    const giftCard = await giftCardService.issue({ amount, recipient, expiresAt, note }, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Gift card issued',
+      data: { giftCard }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'admin_gift_card_issue', 'Server error while issuing gift card');
+  }
+};
+
+// Void a gift card, writing off its balance (admin only)
+export const voidGiftCard = async (req, res) => {
+  const { giftCardId } = req.params;
+  try {
+    if (!mongoose.Types.ObjectId.isValid(giftCardId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid gift card ID format'
+      });
+    }
+
+    const giftCard = await giftCardService.void(giftCardId, { reason: req.body.reason }, req.user);
+
+    res.json({
+      success: true,
+      message: 'Gift card voided',
+      data: { giftCard }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'admin_gift_card_void', 'Server error while voiding gift card', giftCardId);
+  }
+};
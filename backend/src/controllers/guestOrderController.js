@@ -0,0 +1,109 @@
+import guestOrderService from '../services/guestOrderService.js';
+import { generateToken, validatePasswordStrength } from './authController.js';
+import { logError } from '../utils/logger.js';
+
+// Email a guest a fresh link to their order (public)
+export const requestGuestOrderLink = async (req, res) => {
+  try {
+    const { orderNumber, email } = req.body;
+
+    await guestOrderService.sendLookupLink(orderNumber, email);
+
+    // Same answer whether or not the order exists
+    res.json({
+      success: true,
+      message: 'If that order number matches the email address, we\'ve emailed you a link to it'
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logError(error, { context: 'guest_order_lookup' });
+    res.status(500).json({
+      success: false,
+      error: 'Server error while looking up order'
+    });
+  }
+};
+
+// Create an account from a guest order (the emailed order link is the credential)
+export const createAccountFromGuestOrder = async (req, res) => {
+  try {
+    const { password, confirmPassword, firstName, lastName, marketingOptIn } = req.body;
+
+    if (!password || !firstName?.trim() || !lastName?.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password, first name, and last name are required'
+      });
+    }
+
+    if (password !== confirmPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Passwords do not match'
+      });
+    }
+
+    const passwordError = validatePasswordStrength(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: passwordError
+      });
+    }
+
+    const { user, ordersAttached } = await guestOrderService.createAccountFromOrder(req.guestOrder, {
+      password,
+      firstName,
+      lastName,
+      marketingOptIn
+    });
+
+    res.status(201).json({
+      success: true,
+      message: ordersAttached === 1
+        ? 'Account created and your order added to it'
+        : `Account created and ${ordersAttached} orders added to it`,
+      data: {
+        token: generateToken(user._id),
+        user: user.toJSON(),
+        ordersAttached
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    // Another request created the account first
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'An account with this email already exists. Log in to see your orders.'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(err => err.message).join('. ')
+      });
+    }
+
+    logError(error, { context: 'guest_order_create_account', orderId: req.guestOrder?.orderId });
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating account'
+    });
+  }
+};
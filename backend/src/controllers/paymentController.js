@@ -5,8 +5,16 @@ import Product from '../models/Product.js';
 import Order from '../models/Order.js';
 import Promotion from '../models/Promotion.js';
 import bitcoinService from '../services/bitcoinService.js';
+import lightningService from '../services/lightningService.js';
 import moneroService from '../services/moneroService.js';
+import cryptoPaymentService from '../services/cryptoPaymentService.js';
+import inventoryReservationService from '../services/inventoryReservationService.js';
+import unpaidOrderService from '../services/unpaidOrderService.js';
+import cartRecoveryService from '../services/cartRecoveryService.js';
 import { handleOrderCompletion } from '../services/orderCompletionService.js';
+import webhookEventService from '../services/webhookEventService.js';
+import paymentProviderRegistry from '../services/paymentProviderRegistry.js';
+import { getAmountDue } from '../services/paymentProviders/index.js';
 import logger, { logError, logPaymentEvent } from '../utils/logger.js';
 
 // Initialize PayPal API
@@ -58,55 +66,8 @@ const findOrCreateCart = async (req) => {
 };
 
 
-
-
-// Get available payment methods
-export const getPaymentMethods = async (req, res) => {
-  try {
-    // For now, return static payment methods
-    // In production, you might want to configure these dynamically
-    const paymentMethods = [
-      {
-        id: 'paypal',
-        type: 'paypal',
-        name: 'PayPal',
-        description: 'Pay with your PayPal account',
-        icon: 'paypal',
-        enabled: true
-      },
-      {
-        id: 'bitcoin',
-        type: 'bitcoin',
-        name: 'Bitcoin',
-        description: 'Pay with Bitcoin - private and secure',
-        icon: 'bitcoin',
-        enabled: true
-      },
-      {
-        id: 'monero',
-        type: 'monero',
-        name: 'Monero',
-        description: 'Pay with Monero - private and untraceable',
-        icon: 'monero',
-        enabled: true
-      }
-    ];
-
-    res.json({
-      success: true,
-      data: {
-        paymentMethods: paymentMethods.filter(method => method.enabled)
-      }
-    });
-
-  } catch (error) {
-    logError(error, { context: 'paypal_payment_methods' });
-    res.status(500).json({
-      success: false,
-      error: 'Server error occurred while fetching payment methods'
-    });
-  }
-};
+// Payment methods come from the provider registry (see PaymentController.class.js)
+export { getPaymentMethods } from './paymentControllerFactory.js';
 
 // Create PayPal order
 export const createPayPalOrder = async (req, res) => {
@@ -148,7 +109,7 @@ export const createPayPalOrder = async (req, res) => {
     }
 
     // Calculate order total
-    const productIds = cart.items.map(item => item.productId);
+    const productIds = [...new Set(cart.items.map(item => item.productId.toString()))];
     const products = await Product.find({ 
       _id: { $in: productIds },
       isActive: true 
@@ -180,25 +141,49 @@ export const createPayPalOrder = async (req, res) => {
         });
       }
 
-      if (product.stockQuantity < cartItem.quantity) {
+      const variant = cartItem.variantId ? product.getVariant(cartItem.variantId) : null;
+      if (cartItem.variantId && !variant) {
+        return res.status(400).json({
+          success: false,
+          error: `Selected option for product ${product.name} is no longer available`
+        });
+      }
+
+      const availableStock = variant ? variant.stockQuantity : product.stockQuantity;
+      if (availableStock < cartItem.quantity) {
         return res.status(400).json({
           success: false,
           error: `Insufficient stock for product ${product.name}`
         });
       }
 
-      const itemTotal = product.price * cartItem.quantity;
+      const unitPrice = variant ? product.getVariantPrice(variant) : product.price;
+      const itemTotal = unitPrice * cartItem.quantity;
       cartTotal += itemTotal;
 
       cartItems.push({
         productId: product._id,
         name: product.name,
         quantity: cartItem.quantity,
-        unitPrice: product.price,
+        unitPrice,
         totalPrice: itemTotal
       });
     }
 
+    // Hold the items while the customer approves the payment with PayPal
+    try {
+      await inventoryReservationService.reserveCart(cart);
+    } catch (reservationError) {
+      if (reservationError.statusCode !== 409) {
+        throw reservationError;
+      }
+      return res.status(409).json({
+        success: false,
+        error: reservationError.message,
+        unavailableItems: reservationError.unavailableItems
+      });
+    }
+
     // Calculate shipping cost
     const ShippingMethod = (await import('../models/ShippingMethod.js')).default;
     const shippingMethod = await ShippingMethod.findOne({ 
@@ -431,6 +416,9 @@ export const capturePayPalPayment = async (req, res) => {
           productId: item.productId,
           productName: item.productName || 'Product',
           productSlug: item.productSlug || 'product',
+          variantId: item.variantId || null,
+          variantSku: item.variantSku,
+          variantOptions: item.variantOptions || [],
           quantity: item.quantity,
           unitPrice: item.unitPrice || item.price,
           totalPrice: (item.unitPrice || item.price) * item.quantity
@@ -496,11 +484,11 @@ export const capturePayPalPayment = async (req, res) => {
       setImmediate(() => handleOrderCompletion(order, session));
 
       // Record promotion usage if applicable
-      if (cart.promotionId && req.user?._id) {
+      if (cart.promotionId) {
         try {
           const promotion = await Promotion.findById(cart.promotionId);
           if (promotion) {
-            await promotion.recordUsage(req.user._id);
+            await promotion.recordUsage(req.user?._id);
           }
         } catch (promotionError) {
           console.error('Error recording promotion usage:', promotionError);
@@ -510,6 +498,8 @@ export const capturePayPalPayment = async (req, res) => {
 
       // Clear the cart after successful order creation
       await cart.clearCart({ session });
+      await inventoryReservationService.releaseCart(cart._id);
+      await cartRecoveryService.handleOrderPlaced(cart._id, order);
 
       return order;
     });
@@ -542,36 +532,108 @@ export const capturePayPalPayment = async (req, res) => {
   }
 };
 
-// PayPal webhook handler
-export const handlePayPalWebhook = async (req, res) => {
-  try {
-    const webhookEvent = req.body;
-    const eventType = webhookEvent.event_type;
+// Error for a webhook that cannot be processed, answered with statusCode
+const webhookError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
 
-    logPaymentEvent('paypal_webhook_received', { eventType });
+// Record a webhook delivery and run its processor once per provider event.
+// Redeliveries of an event already processed are acknowledged without
+// running it again
+const runRecordedWebhook = async (req, res, { provider, eventId, eventType, signatureStatus, processor, context }) => {
+  const { event, duplicate } = await webhookEventService.receive({ provider, eventId, eventType, req, signatureStatus });
 
-    switch (eventType) {
-    case 'PAYMENT.CAPTURE.COMPLETED':
-      await handlePaymentCaptureCompleted(webhookEvent);
-      break;
-      
-    case 'PAYMENT.CAPTURE.DENIED':
-      await handlePaymentCaptureDenied(webhookEvent);
-      break;
-      
-    case 'CHECKOUT.ORDER.APPROVED':
-      await handleOrderApproved(webhookEvent);
-      break;
-      
-    default:
-      logger.warn(`Unhandled PayPal webhook event: ${eventType}`);
+  if (duplicate) {
+    return res.status(200).json({
+      success: true,
+      received: true,
+      duplicate: true
+    });
+  }
+
+  try {
+    await webhookEventService.process(event, () => processor(req.body));
+
+    res.status(200).json({
+      success: true,
+      received: true
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
     }
 
-    res.status(200).json({ received: true });
+    logError(error, { context });
+    res.status(500).json({
+      success: false,
+      error: 'Webhook processing failed'
+    });
+  }
+};
+
+// Record a delivery whose signature did not verify
+const rejectWebhook = async (req, res, { provider, eventType }) => {
+  await webhookEventService.receive({ provider, eventType, req, signatureStatus: 'invalid' });
+
+  res.status(401).json({
+    success: false,
+    error: 'Invalid webhook signature'
+  });
+};
+
+// Process a PayPal webhook event
+export const processPayPalWebhookEvent = async (webhookEvent) => {
+  const eventType = webhookEvent.event_type;
+
+  logPaymentEvent('paypal_webhook_received', { eventType });
+
+  switch (eventType) {
+  case 'PAYMENT.CAPTURE.COMPLETED':
+    await handlePaymentCaptureCompleted(webhookEvent);
+    break;
+    
+  case 'PAYMENT.CAPTURE.DENIED':
+    await handlePaymentCaptureDenied(webhookEvent);
+    break;
+    
+  case 'CHECKOUT.ORDER.APPROVED':
+    await handleOrderApproved(webhookEvent);
+    break;
+    
+  default:
+    logger.warn(`Unhandled PayPal webhook event: ${eventType}`);
+    return { status: 'ignored' };
+  }
+};
+
+// PayPal webhook handler
+export const handlePayPalWebhook = async (req, res) => {
+  let provider;
+  try {
+    provider = await paymentProviderRegistry.getProvider('paypal');
   } catch (error) {
-    logError(error, { context: 'paypal_webhook_processing' });
-    res.status(500).json({ error: 'Webhook processing failed' });
+    logger.warn('PayPal webhook received but PayPal is not configured');
+    return res.status(503).json({
+      success: false,
+      error: 'PayPal payment processing is not available'
+    });
   }
+
+  const verified = await provider.verifyWebhook({ headers: req.headers, body: req.body });
+  if (!verified) {
+    logger.warn('Invalid PayPal webhook signature');
+    return rejectWebhook(req, res, { provider: 'paypal', eventType: req.body?.event_type });
+  }
+
+  await runRecordedWebhook(req, res, {
+    provider: 'paypal',
+    eventId: req.body?.id,
+    eventType: req.body?.event_type,
+    signatureStatus: 'valid',
+    processor: processPayPalWebhookEvent,
+    context: 'paypal_webhook_processing'
+  });
 };
 
 // Helper functions for PayPal webhook events
@@ -618,8 +680,208 @@ const handleOrderApproved = async (webhookEvent) => {
   }
 };
 
+// Stripe card payment endpoints
+
+// Create a PaymentIntent for the browser to confirm with Stripe.js. Like a
+// PayPal order, its amount is checked against the server total when the
+// order is placed.
+export const createStripePaymentIntent = async (req, res) => {
+  try {
+    const amount = Number(req.body.amount);
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'A positive payment amount is required'
+      });
+    }
+
+    let provider;
+    try {
+      provider = await paymentProviderRegistry.getProvider('stripe');
+    } catch (providerError) {
+      return res.status(503).json({
+        success: false,
+        error: 'Card payment processing is not available'
+      });
+    }
+
+    const payment = await provider.create({ totalAmount: amount });
+
+    logPaymentEvent('stripe_payment_intent_created', { paymentIntentId: payment.stripePaymentIntentId, amount });
+
+    res.json({
+      success: true,
+      data: {
+        paymentIntentId: payment.stripePaymentIntentId,
+        clientSecret: payment.clientSecret
+      }
+    });
+  } catch (error) {
+    logError(error, { context: 'stripe_create_payment_intent' });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start card payment'
+    });
+  }
+};
+
+// Process a Stripe event for a PaymentIntent or its charge. Orders are
+// placed once the intent succeeds, so events mostly confirm what the order
+// already records; they matter for refunds made in the Stripe dashboard.
+export const processStripeWebhookEvent = async ({ type, data }) => {
+  const object = data?.object;
+
+  logPaymentEvent('stripe_webhook_received', { type });
+
+  if (!object) {
+    throw webhookError('Invalid webhook data', 400);
+  }
+
+  const paymentIntentId = object.object === 'charge' ? object.payment_intent : object.id;
+  const order = await Order.findOne({ 'paymentDetails.stripePaymentIntentId': paymentIntentId });
+
+  if (!order) {
+    // An intent the customer abandoned before placing the order
+    logger.warn(`No order found for Stripe PaymentIntent: ${paymentIntentId}`);
+    return { status: 'ignored' };
+  }
+
+  switch (type) {
+  case 'payment_intent.succeeded':
+    if (order.paymentStatus === 'pending') {
+      order.paymentStatus = 'completed';
+      order.status = 'processing';
+      await order.save();
+      setImmediate(() => handleOrderCompletion(order));
+    }
+    break;
+
+  case 'payment_intent.payment_failed':
+    if (order.paymentStatus === 'pending') {
+      order.paymentStatus = 'failed';
+      await order.save();
+    }
+    break;
+
+  case 'charge.refunded': {
+    // Refunds issued from the admin are already recorded; take the larger
+    const refunded = (object.amount_refunded || 0) / 100;
+    if (refunded > (order.totalRefundedAmount || 0)) {
+      order.totalRefundedAmount = refunded;
+      if (refunded >= order.getCheckoutAmount()) {
+        order.refundStatus = 'fully_refunded';
+        order.paymentStatus = 'refunded';
+      } else {
+        order.refundStatus = 'partial_refunded';
+      }
+      await order.save();
+    }
+    break;
+  }
+
+  default:
+    logger.warn(`Unhandled Stripe webhook event: ${type}`);
+    return { status: 'ignored' };
+  }
+
+  logPaymentEvent('stripe_webhook_processed', { type, orderId: order._id });
+  return { orderId: order._id };
+};
+
+// Stripe webhook handler
+export const handleStripeWebhook = async (req, res) => {
+  let provider;
+  try {
+    provider = await paymentProviderRegistry.getProvider('stripe');
+  } catch (error) {
+    logger.warn('Stripe webhook received but card payments are not configured');
+    return res.status(503).json({
+      success: false,
+      error: 'Card payment processing is not available'
+    });
+  }
+
+  const verified = await provider.verifyWebhook({ headers: req.headers, body: req.body, rawBody: req.rawBody });
+  if (!verified) {
+    logger.warn('Invalid Stripe webhook signature');
+    return rejectWebhook(req, res, { provider: 'stripe', eventType: req.body?.type });
+  }
+
+  await runRecordedWebhook(req, res, {
+    provider: 'stripe',
+    eventId: req.body.id,
+    eventType: req.body.type,
+    signatureStatus: 'valid',
+    processor: processStripeWebhookEvent,
+    context: 'stripe_webhook_processing'
+  });
+};
+
+// Cancel an order whose payment window closed with nothing paid, returning
+// its stock. The unpaid order sweep may have got there first.
+const expireUnpaidOrder = async (order) => {
+  const { cancelled } = await unpaidOrderService.cancelExpiredOrder(order);
+  await order.save();
+  if (cancelled) {
+    await unpaidOrderService.notifyCustomer(order);
+  }
+};
+
 // Bitcoin payment endpoints
 
+// Record what a Bitcoin backend reports for an order and move its payment
+// status on. Blockonomics reports one transaction per callback
+// (perTransaction); the other backends report the address total. Returns
+// true when the payment has just completed.
+export const applyBitcoinPaymentUpdate = async (order, { amountReceived, confirmations, txid, confirmed }, { perTransaction = false } = {}) => {
+  const expectedAmount = order.paymentDetails.bitcoinAmount;
+
+  // Orders with a rate quote are judged against it; the funds total comes
+  // from every transaction seen, so a shortfall can be topped up
+  const quote = await cryptoPaymentService.recordPayment(order, 'bitcoin', perTransaction
+    ? { transaction: { txid, amount: amountReceived, confirmations: confirmations || 0 }, txid }
+    : { totalReceived: amountReceived, confirmations: confirmations || 0, txid });
+  if (quote) {
+    ({ amountReceived, confirmations } = quote);
+  }
+
+  order.paymentDetails.bitcoinAmountReceived = amountReceived;
+  order.paymentDetails.bitcoinConfirmations = confirmations || 0;
+  if (txid) {
+    order.paymentDetails.bitcoinTransactionHash = txid;
+  }
+
+  // BTCPay decides settlement itself; otherwise count confirmations
+  const isConfirmed = confirmed ?? bitcoinService.isPaymentConfirmed(confirmations || 0);
+
+  // Check if payment is expired (funds received after the quote lapsed)
+  if (quote ? quote.outcome === 'late' : bitcoinService.isPaymentExpired(order.paymentDetails.bitcoinPaymentExpiry)) {
+    order.paymentStatus = 'expired';
+    logPaymentEvent('bitcoin_payment_expired', { orderId: order._id });
+  }
+  // Check if payment is sufficient
+  else if (!bitcoinService.isPaymentSufficient(amountReceived, expectedAmount)) {
+    order.paymentStatus = 'underpaid';
+    logPaymentEvent('bitcoin_payment_underpaid', { orderId: order._id, received: amountReceived, expected: expectedAmount });
+  }
+  // Check if payment is confirmed (2+ confirmations)
+  else if (isConfirmed) {
+    order.paymentStatus = 'completed';
+    order.status = 'processing'; // Move order to processing
+    logPaymentEvent('bitcoin_payment_confirmed', { orderId: order._id, confirmations });
+    await cryptoPaymentService.markCompleted(order, 'bitcoin');
+    return true;
+  }
+  // Payment received but not yet confirmed
+  else {
+    order.paymentStatus = 'awaiting_confirmation';
+    logPaymentEvent('bitcoin_payment_pending', { orderId: order._id, confirmations, required: 2 });
+  }
+
+  return false;
+};
+
 // Initialize Bitcoin payment
 export const initializeBitcoinPayment = async (req, res) => {
   try {
@@ -650,7 +912,7 @@ export const initializeBitcoinPayment = async (req, res) => {
     }
 
     // Create Bitcoin payment data
-    const bitcoinPaymentData = await bitcoinService.createBitcoinPayment(order.totalAmount);
+    const bitcoinPaymentData = await bitcoinService.createBitcoinPayment(getAmountDue(order), { orderId: order._id });
 
     // Update order with Bitcoin payment details
     order.paymentMethod = {
@@ -660,9 +922,22 @@ export const initializeBitcoinPayment = async (req, res) => {
     
     Object.assign(order.paymentDetails, bitcoinPaymentData);
     order.paymentStatus = 'awaiting_confirmation';
+
+    // Hold the items until the payment completes or expires
+    await order.reserveStock();
     
     await order.save();
 
+    // Lock the rate for the payment window
+    const rateQuote = await cryptoPaymentService.createQuote(order, {
+      method: 'bitcoin',
+      address: bitcoinPaymentData.bitcoinAddress,
+      cryptoAmount: bitcoinPaymentData.bitcoinAmount,
+      rate: bitcoinPaymentData.bitcoinExchangeRate,
+      source: bitcoinPaymentData.bitcoinBackend === 'btcpay' ? 'btcpay' : 'coingecko',
+      expiresAt: bitcoinPaymentData.bitcoinPaymentExpiry
+    });
+
     logPaymentEvent('bitcoin_payment_initialized', { orderId,
       address: bitcoinPaymentData.bitcoinAddress,
       amount: bitcoinPaymentData.bitcoinAmount,
@@ -677,6 +952,8 @@ export const initializeBitcoinPayment = async (req, res) => {
         exchangeRate: bitcoinPaymentData.bitcoinExchangeRate,
         exchangeRateTimestamp: bitcoinPaymentData.bitcoinExchangeRateTimestamp,
         paymentExpiry: bitcoinPaymentData.bitcoinPaymentExpiry,
+        checkoutUrl: bitcoinPaymentData.bitcoinCheckoutUrl,
+        rateSource: rateQuote?.rateQuote.source,
         orderTotal: order.totalAmount,
         currency: 'GBP'
       }
@@ -718,6 +995,23 @@ export const getBitcoinPaymentStatus = async (req, res) => {
       });
     }
 
+    // xpub and BTCPay orders have no Blockonomics webhook, so check the
+    // backend while the payment is still open
+    if (['awaiting_confirmation', 'underpaid'].includes(order.paymentStatus)) {
+      try {
+        const update = await bitcoinService.checkPaymentStatus(order.paymentDetails);
+        if (update && update.amountReceived > 0) {
+          const completed = await applyBitcoinPaymentUpdate(order, update);
+          await order.save();
+          if (completed) {
+            setImmediate(() => handleOrderCompletion(order));
+          }
+        }
+      } catch (error) {
+        logError(error, { context: 'bitcoin_payment_status_check', orderId });
+      }
+    }
+
     const {
       bitcoinAddress,
       bitcoinAmount,
@@ -725,14 +1019,14 @@ export const getBitcoinPaymentStatus = async (req, res) => {
       bitcoinConfirmations,
       bitcoinAmountReceived,
       bitcoinTransactionHash,
-      bitcoinPaymentExpiry
+      bitcoinPaymentExpiry,
+      bitcoinCheckoutUrl
     } = order.paymentDetails;
 
-    // Check if payment is expired
+    // Check if payment is expired; funds received in time still confirm
     const isExpired = bitcoinService.isPaymentExpired(bitcoinPaymentExpiry);
-    if (isExpired && order.paymentStatus === 'awaiting_confirmation') {
-      order.paymentStatus = 'expired';
-      await order.save();
+    if (isExpired && order.paymentStatus === 'awaiting_confirmation' && !bitcoinAmountReceived) {
+      await expireUnpaidOrder(order);
     }
 
     res.json({
@@ -744,12 +1038,15 @@ export const getBitcoinPaymentStatus = async (req, res) => {
         bitcoinAddress,
         bitcoinAmount,
         bitcoinAmountReceived: bitcoinAmountReceived || 0,
+        // Still to send to the same address when underpaid
+        bitcoinAmountDue: bitcoinAmount ? Math.max(0, parseFloat((bitcoinAmount - (bitcoinAmountReceived || 0)).toFixed(8))) : 0,
         bitcoinConfirmations: bitcoinConfirmations || 0,
         bitcoinTransactionHash,
         exchangeRate: bitcoinExchangeRate,
         paymentExpiry: bitcoinPaymentExpiry,
+        checkoutUrl: bitcoinCheckoutUrl,
         isExpired,
-        isConfirmed: bitcoinService.isPaymentConfirmed(bitcoinConfirmations || 0),
+        isConfirmed: order.paymentStatus === 'completed' || bitcoinService.isPaymentConfirmed(bitcoinConfirmations || 0),
         requiresConfirmations: 2
       }
     });
@@ -763,103 +1060,376 @@ export const getBitcoinPaymentStatus = async (req, res) => {
   }
 };
 
+// Process a Blockonomics callback: one transaction to an order's address
+export const processBlockonomicsWebhookEvent = async ({ addr, value, txid, confirmations }) => {
+  logPaymentEvent('blockonomics_webhook_received', {
+    address: addr,
+    value,
+    txid,
+    confirmations
+  });
+
+  if (!addr || !txid) {
+    throw webhookError('Invalid webhook data', 400);
+  }
+
+  // Find order by Bitcoin address
+  const order = await Order.findOne({
+    'paymentDetails.bitcoinAddress': addr,
+    'paymentMethod.type': 'bitcoin'
+  });
+
+  if (!order) {
+    logger.warn(`No order found for Bitcoin address: ${addr}`);
+    throw webhookError('Order not found for this Bitcoin address', 404);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Convert satoshis to BTC
+    const amountReceived = bitcoinService.satoshisToBtc(value);
+
+    if (await applyBitcoinPaymentUpdate(order, { amountReceived, confirmations, txid }, { perTransaction: true })) {
+      // Process order completion (referrals, etc.)
+      setImmediate(() => handleOrderCompletion(order, session));
+    }
+
+    await order.save({ session });
+    await session.commitTransaction();
+
+    logPaymentEvent('bitcoin_payment_updated', { orderId: order._id,
+      status: order.paymentStatus,
+      confirmations: confirmations,
+      amountReceived
+    });
+
+    return { orderId: order._id };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
 // Blockonomics webhook handler
 export const handleBlockonomicsWebhook = async (req, res) => {
+  const { addr, txid, confirmations } = req.body;
+
+  if (!bitcoinService.blockonomicsCallbackSecret) {
+    logger.warn('Blockonomics callback received but no callback secret is configured');
+    return res.status(503).json({
+      success: false,
+      error: 'Bitcoin payment processing is not available'
+    });
+  }
+
+  if (!bitcoinService.verifyBlockonomicsCallback(req.query?.secret)) {
+    logger.warn('Invalid Blockonomics callback secret');
+    return rejectWebhook(req, res, { provider: 'blockonomics', eventType: 'transaction' });
+  }
+
+  // Blockonomics calls back again as confirmations grow
+  await runRecordedWebhook(req, res, {
+    provider: 'blockonomics',
+    eventId: addr && txid ? `${addr}:${txid}:${confirmations}` : undefined,
+    eventType: 'transaction',
+    signatureStatus: 'valid',
+    processor: processBlockonomicsWebhookEvent,
+    context: 'blockonomics_webhook_processing'
+  });
+};
+
+const getBtcpayBackend = async () => {
   try {
-    const { addr, value, txid, confirmations } = req.body;
+    const { backend } = await bitcoinService.getBackend('btcpay');
+    return backend;
+  } catch (error) {
+    logger.warn('BTCPay webhook received but BTCPay Server is not configured');
+    throw webhookError('BTCPay Server is not configured', 503);
+  }
+};
+
+// Process a BTCPay Server event for an invoice
+export const processBtcpayWebhookEvent = async ({ type, invoiceId }) => {
+  const backend = await getBtcpayBackend();
 
-    logPaymentEvent('blockonomics_webhook_received', {
-      address: addr,
-      value,
-      txid,
-      confirmations
+  logPaymentEvent('btcpay_webhook_received', { type, invoiceId });
+
+  if (!invoiceId) {
+    throw webhookError('Invalid webhook data', 400);
+  }
+
+  const order = await Order.findOne({
+    'paymentDetails.bitcoinInvoiceId': invoiceId,
+    'paymentMethod.type': 'bitcoin'
+  });
+
+  if (!order) {
+    logger.warn(`No order found for BTCPay invoice: ${invoiceId}`);
+    throw webhookError('Order not found for this BTCPay invoice', 404);
+  }
+
+  // The event only says something changed; read the invoice for the amounts
+  if (order.paymentStatus !== 'completed') {
+    const update = await backend.getPaymentStatus(order.paymentDetails);
+    if (update.amountReceived > 0) {
+      const completed = await applyBitcoinPaymentUpdate(order, update);
+      await order.save();
+      if (completed) {
+        setImmediate(() => handleOrderCompletion(order));
+      }
+    }
+  }
+
+  return { orderId: order._id };
+};
+
+// BTCPay Server webhook handler
+export const handleBtcpayWebhook = async (req, res) => {
+  let backend;
+  try {
+    backend = await getBtcpayBackend();
+  } catch (error) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message
     });
+  }
 
-    if (!addr || !txid) {
+  // BTCPay signs the raw request body
+  const payload = req.rawBody || JSON.stringify(req.body);
+  if (!backend.verifyWebhookSignature(payload, req.headers['btcpay-sig'])) {
+    logger.warn('Invalid BTCPay webhook signature');
+    return rejectWebhook(req, res, { provider: 'btcpay', eventType: req.body?.type });
+  }
+
+  // Redeliveries carry the ID of the delivery they repeat
+  await runRecordedWebhook(req, res, {
+    provider: 'btcpay',
+    eventId: req.body.originalDeliveryId || req.body.deliveryId,
+    eventType: req.body.type,
+    signatureStatus: 'valid',
+    processor: processBtcpayWebhookEvent,
+    context: 'btcpay_webhook_processing'
+  });
+};
+
+// Lightning payment endpoints
+
+// Record what an order's Lightning invoice reports. A settled invoice is
+// paid in full and final, so the order completes without waiting for
+// confirmations. Returns true when the payment has just completed.
+export const applyLightningPaymentUpdate = async (order, { status, amountReceived, settledAt }) => {
+  if (status !== 'settled' || order.paymentStatus === 'completed') {
+    return false;
+  }
+
+  await cryptoPaymentService.recordPayment(order, 'lightning', {
+    totalReceived: amountReceived,
+    txid: order.paymentDetails.lightningPaymentHash,
+    receivedAt: settledAt
+  });
+
+  order.paymentDetails.bitcoinAmountReceived = amountReceived;
+  order.paymentDetails.lightningSettledAt = settledAt || new Date();
+  order.paymentStatus = 'completed';
+  order.status = 'processing';
+
+  logPaymentEvent('lightning_payment_settled', {
+    orderId: order._id,
+    paymentHash: order.paymentDetails.lightningPaymentHash,
+    amountSats: order.paymentDetails.lightningAmountSats
+  });
+  await cryptoPaymentService.markCompleted(order, 'lightning');
+  return true;
+};
+
+// Check an order's current invoice with the node and apply a settlement
+const refreshLightningPayment = async (order) => {
+  const invoice = await lightningService.checkInvoice(order.paymentDetails);
+  const completed = await applyLightningPaymentUpdate(order, invoice);
+  if (completed) {
+    await order.save();
+    setImmediate(() => handleOrderCompletion(order));
+  }
+  return completed;
+};
+
+// What the Lightning payment page shows for an order
+const lightningPaymentData = (order) => {
+  const details = order.paymentDetails;
+  const isExpired = order.paymentStatus === 'expired'
+    || (order.paymentStatus !== 'completed' && bitcoinService.isPaymentExpired(details.lightningPaymentExpiry));
+
+  return {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    paymentStatus: order.paymentStatus,
+    lightningInvoice: details.lightningInvoice,
+    lightningAmountSats: details.lightningAmountSats,
+    bitcoinAmount: details.bitcoinAmount,
+    exchangeRate: details.bitcoinExchangeRate,
+    exchangeRateTimestamp: details.bitcoinExchangeRateTimestamp,
+    invoiceExpiry: details.lightningInvoiceExpiry,
+    paymentExpiry: details.lightningPaymentExpiry,
+    settledAt: details.lightningSettledAt,
+    isInvoiceExpired: !lightningService.isInvoiceOpen(details),
+    isExpired,
+    orderTotal: order.totalAmount,
+    currency: 'GBP'
+  };
+};
+
+// Initialize Lightning payment: issue a BOLT11 invoice for the order, or
+// return the one still open. Invoices are short-lived, so a new one (at the
+// current rate) is issued when the last lapsed unpaid within the window.
+export const initializeLightningPayment = async (req, res) => {
+  try {
+    const { orderId } = req.body;
+
+    if (!orderId) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid webhook data'
+        error: 'Order ID is required'
       });
     }
 
-    // Find order by Bitcoin address
-    const order = await Order.findOne({
-      'paymentDetails.bitcoinAddress': addr,
-      'paymentMethod.type': 'bitcoin'
-    });
-
+    const order = await Order.findById(orderId);
     if (!order) {
-      logger.warn(`No order found for Bitcoin address: ${addr}`);
       return res.status(404).json({
         success: false,
-        error: 'Order not found for this Bitcoin address'
+        error: 'Order not found'
+      });
+    }
+
+    if (order.paymentMethod?.type !== 'lightning') {
+      return res.status(400).json({
+        success: false,
+        error: 'Order is not a Lightning payment'
       });
     }
 
-    const session = await mongoose.startSession();
-    session.startTransaction();
+    if (!['pending', 'awaiting_confirmation'].includes(order.paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Order is not in pending payment state'
+      });
+    }
+
+    if (lightningService.isInvoiceOpen(order.paymentDetails)) {
+      return res.json({ success: true, data: lightningPaymentData(order) });
+    }
+
+    // The last invoice may have been paid just before it lapsed
+    if (order.paymentDetails.lightningInvoice && await refreshLightningPayment(order)) {
+      return res.json({ success: true, data: lightningPaymentData(order) });
+    }
+
+    if (bitcoinService.isPaymentExpired(order.paymentDetails.lightningPaymentExpiry)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Payment window has expired. Please place a new order.'
+      });
+    }
 
+    let provider;
     try {
-      // Convert satoshis to BTC
-      const amountReceived = bitcoinService.satoshisToBtc(value);
-      const expectedAmount = order.paymentDetails.bitcoinAmount;
-
-      // Update payment details
-      order.paymentDetails.bitcoinAmountReceived = amountReceived;
-      order.paymentDetails.bitcoinConfirmations = confirmations || 0;
-      order.paymentDetails.bitcoinTransactionHash = txid;
-
-      // Check if payment is expired
-      if (bitcoinService.isPaymentExpired(order.paymentDetails.bitcoinPaymentExpiry)) {
-        order.paymentStatus = 'expired';
-        logPaymentEvent('bitcoin_payment_expired', { orderId: order._id });
-      }
-      // Check if payment is sufficient
-      else if (!bitcoinService.isPaymentSufficient(amountReceived, expectedAmount)) {
-        order.paymentStatus = 'underpaid';
-        logPaymentEvent('bitcoin_payment_underpaid', { orderId: order._id, received: amountReceived, expected: expectedAmount });
-      }
-      // Check if payment is confirmed (2+ confirmations)
-      else if (bitcoinService.isPaymentConfirmed(confirmations || 0)) {
-        order.paymentStatus = 'completed';
-        order.status = 'processing'; // Move order to processing
-        logPaymentEvent('bitcoin_payment_confirmed', { orderId: order._id, confirmations });
-        
-        // Process order completion (referrals, etc.)
-        setImmediate(() => handleOrderCompletion(order, session));
-      }
-      // Payment received but not yet confirmed
-      else {
-        order.paymentStatus = 'awaiting_confirmation';
-        logPaymentEvent('bitcoin_payment_pending', { orderId: order._id, confirmations, required: 2 });
-      }
+      provider = await paymentProviderRegistry.getProvider('lightning');
+    } catch (providerError) {
+      return res.status(503).json({
+        success: false,
+        error: 'Lightning payments are not available'
+      });
+    }
 
-      await order.save({ session });
-      await session.commitTransaction();
+    // The payment window opens with the first invoice
+    if (!order.paymentDetails.lightningPaymentExpiry) {
+      order.paymentDetails.lightningPaymentExpiry = new Date(Date.now() + bitcoinService.paymentExpiryMs);
+    }
 
-      logPaymentEvent('bitcoin_payment_updated', { orderId: order._id,
-        status: order.paymentStatus,
-        confirmations: confirmations,
-        amountReceived
+    const invoice = await provider.create(order);
+    Object.assign(order.paymentDetails, invoice);
+    order.paymentStatus = 'awaiting_confirmation';
+
+    // Hold the items until the payment completes or expires
+    await order.reserveStock();
+
+    await order.save();
+
+    // The invoice amount is the rate quote; it cannot be paid after expiry
+    await cryptoPaymentService.createQuote(order, {
+      method: 'lightning',
+      address: invoice.lightningPaymentHash,
+      cryptoAmount: invoice.bitcoinAmount,
+      rate: invoice.bitcoinExchangeRate,
+      source: 'coingecko',
+      expiresAt: invoice.lightningInvoiceExpiry
+    });
+
+    logPaymentEvent('lightning_invoice_issued', {
+      orderId,
+      paymentHash: invoice.lightningPaymentHash,
+      amountSats: invoice.lightningAmountSats,
+      expiry: invoice.lightningInvoiceExpiry
+    });
+
+    res.json({ success: true, data: lightningPaymentData(order) });
+
+  } catch (error) {
+    logError(error, { context: 'lightning_payment_initialization', orderId: req.body.orderId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to initialize Lightning payment'
+    });
+  }
+};
+
+// Get Lightning payment status. The payment page polls this, so it is also
+// where settlement is picked up; reconciliation catches the rest.
+export const getLightningPaymentStatus = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
       });
+    }
 
-      res.status(200).json({ 
-        success: true,
-        received: true 
+    if (order.paymentMethod?.type !== 'lightning') {
+      return res.status(400).json({
+        success: false,
+        error: 'Order is not a Lightning payment'
       });
+    }
 
-    } catch (error) {
-      await session.abortTransaction();
-      throw error;
-    } finally {
-      await session.endSession();
+    if (order.paymentStatus === 'awaiting_confirmation' && order.paymentDetails.lightningInvoice) {
+      try {
+        await refreshLightningPayment(order);
+      } catch (error) {
+        logError(error, { context: 'lightning_payment_status_check', orderId });
+      }
     }
 
+    // No invoice can be paid once the window has closed
+    if (order.paymentStatus === 'awaiting_confirmation'
+      && bitcoinService.isPaymentExpired(order.paymentDetails.lightningPaymentExpiry)
+      && !lightningService.isInvoiceOpen(order.paymentDetails)) {
+      await expireUnpaidOrder(order);
+    }
+
+    res.json({ success: true, data: lightningPaymentData(order) });
+
   } catch (error) {
-    logError(error, { context: 'blockonomics_webhook_processing' });
+    logError(error, { context: 'lightning_payment_status', orderId: req.params.orderId });
     res.status(500).json({
       success: false,
-      error: 'Webhook processing failed'
+      error: 'Failed to get Lightning payment status'
     });
   }
 };
@@ -933,6 +1503,9 @@ export const createMoneroPayment = async (req, res) => {
             productId: item.productId,
             productName: item.productName || 'Product',
             productSlug: item.productSlug || 'product',
+            variantId: item.variantId || null,
+            variantSku: item.variantSku,
+            variantOptions: item.variantOptions || [],
             quantity: item.quantity,
             unitPrice: item.unitPrice || item.price,
             totalPrice: (item.unitPrice || item.price) * item.quantity
@@ -984,6 +1557,9 @@ export const createMoneroPayment = async (req, res) => {
         } else {
           await cart.save();
         }
+
+        // The order holds the stock once the payment request is made
+        await inventoryReservationService.releaseCart(cart._id);
       } else {
         // Get existing order
         order = await Order.findById(orderId);
@@ -992,7 +1568,7 @@ export const createMoneroPayment = async (req, res) => {
         }
 
         // Recalculate XMR amount with current rate if needed
-        const { xmrAmount, exchangeRate, validUntil } = await moneroService.convertGbpToXmr(order.totalAmount);
+        const { xmrAmount, exchangeRate, validUntil } = await moneroService.convertGbpToXmr(getAmountDue(order));
         
         // Update payment details
         order.paymentDetails = {
@@ -1010,7 +1586,7 @@ export const createMoneroPayment = async (req, res) => {
         }
       }
 
-      // Create Monero payment request via GloBee
+      // Create Monero payment request via GloBee or the merchant's wallet
       const paymentRequest = await moneroService.createPaymentRequest({
         orderId: order._id.toString(),
         amount: order.paymentDetails.xmrAmount,
@@ -1024,8 +1600,15 @@ export const createMoneroPayment = async (req, res) => {
         globeePaymentId: paymentRequest.paymentId,
         moneroAddress: paymentRequest.address,
         paymentUrl: paymentRequest.paymentUrl,
-        expirationTime: paymentRequest.expirationTime
+        expirationTime: paymentRequest.expirationTime,
+        ...(paymentRequest.backend && {
+          moneroBackend: paymentRequest.backend,
+          moneroSubaddressIndex: paymentRequest.subaddressIndex
+        })
       };
+
+      // Hold the items until the payment completes or expires
+      await order.reserveStock(useTransaction && session ? { session } : {});
       
       // Save with session if available, otherwise without
       if (useTransaction && session) {
@@ -1058,6 +1641,16 @@ export const createMoneroPayment = async (req, res) => {
     // Fetch the created/updated order for response
     const finalOrder = await Order.findById(order._id).lean();
 
+    // Lock the rate for the payment window
+    await cryptoPaymentService.createQuote(finalOrder, {
+      method: 'monero',
+      address: finalOrder.paymentDetails.moneroAddress,
+      cryptoAmount: finalOrder.paymentDetails.xmrAmount,
+      rate: finalOrder.paymentDetails.exchangeRate ? 1 / finalOrder.paymentDetails.exchangeRate : undefined,
+      source: 'coingecko',
+      expiresAt: finalOrder.paymentDetails.expirationTime
+    });
+
     res.json({
       success: true,
       data: {
@@ -1101,6 +1694,47 @@ export const createMoneroPayment = async (req, res) => {
   }
 };
 
+// Apply a processed Monero notification to an order; returns true once the
+// payment completes
+export const applyMoneroPaymentUpdate = async (order, webhookData) => {
+  const quote = await cryptoPaymentService.recordPayment(order, 'monero', {
+    totalReceived: webhookData.paidAmount || 0,
+    confirmations: webhookData.confirmations,
+    txid: webhookData.transactionHash
+  });
+
+  order.paymentDetails = {
+    ...(order.paymentDetails || {}),
+    confirmations: webhookData.confirmations,
+    paidAmount: webhookData.paidAmount,
+    transactionHash: webhookData.transactionHash,
+    lastWebhookUpdate: new Date()
+  };
+
+  // Funds received after the quote lapsed are held for an admin to refund
+  if (quote?.outcome === 'late') {
+    order.paymentStatus = 'expired';
+    logPaymentEvent('monero_payment_late', { orderId: order._id, received: webhookData.paidAmount });
+  } else if (webhookData.status === 'confirmed') {
+    order.paymentStatus = 'completed';
+    logPaymentEvent('monero_payment_confirmed', { orderId: order._id, confirmations: webhookData.confirmations });
+    await cryptoPaymentService.markCompleted(order, 'monero');
+    return true;
+  } else if (webhookData.status === 'partially_confirmed') {
+    order.paymentStatus = 'awaiting_confirmation';
+    logPaymentEvent('monero_payment_partial', { orderId: order._id, confirmations: webhookData.confirmations, required: moneroService.getRequiredConfirmations() });
+  } else if (webhookData.status === 'underpaid') {
+    order.paymentStatus = 'underpaid';
+    logPaymentEvent('monero_payment_underpaid', { orderId: order._id, received: webhookData.paidAmount, expected: webhookData.totalAmount });
+  } else if (webhookData.status === 'failed') {
+    order.paymentStatus = 'failed';
+    await unpaidOrderService.cancelFailedOrder(order);
+    logPaymentEvent('monero_payment_failed', { orderId: order._id });
+  }
+
+  return false;
+};
+
 // Check Monero payment status
 export const checkMoneroPaymentStatus = async (req, res) => {
   try {
@@ -1121,16 +1755,32 @@ export const checkMoneroPaymentStatus = async (req, res) => {
       });
     }
 
-    // Check if we have a GloBee payment ID
-    if (!order.paymentDetails.globeePaymentId) {
+    const isWalletPayment = order.paymentDetails.moneroBackend === 'wallet_rpc';
+
+    // Check if we have a GloBee payment ID or wallet subaddress
+    if (isWalletPayment ? order.paymentDetails.moneroSubaddressIndex === undefined : !order.paymentDetails.globeePaymentId) {
       return res.status(400).json({
         success: false,
         error: 'No Monero payment request found'
       });
     }
 
-    // Get current status from GloBee
-    const paymentStatus = await moneroService.getPaymentStatus(order.paymentDetails.globeePaymentId);
+    let paymentStatus;
+    if (isWalletPayment) {
+      // No webhooks from a local wallet, so each status check updates the order
+      paymentStatus = await moneroService.getWalletPaymentNotification(order);
+
+      if (order.paymentStatus !== 'completed') {
+        const completed = await applyMoneroPaymentUpdate(order, moneroService.processWebhookNotification(paymentStatus));
+        await order.save();
+        if (completed) {
+          setImmediate(() => handleOrderCompletion(order));
+        }
+      }
+    } else {
+      // Get current status from GloBee
+      paymentStatus = await moneroService.getPaymentStatus(order.paymentDetails.globeePaymentId);
+    }
 
     res.json({
       success: true,
@@ -1139,6 +1789,10 @@ export const checkMoneroPaymentStatus = async (req, res) => {
         paymentStatus: paymentStatus.status,
         confirmations: paymentStatus.confirmations,
         paidAmount: paymentStatus.paid_amount,
+        // Still to send to the same address when underpaid
+        amountDue: order.paymentDetails.xmrAmount
+          ? Math.max(0, parseFloat((order.paymentDetails.xmrAmount - (paymentStatus.paid_amount || 0)).toFixed(12)))
+          : 0,
         transactionHash: paymentStatus.transaction_hash,
         isExpired: order.paymentDetails.expirationTime ? new Date() > new Date(order.paymentDetails.expirationTime) : false,
         requiredConfirmations: moneroService.getRequiredConfirmations()
@@ -1154,8 +1808,8 @@ export const checkMoneroPaymentStatus = async (req, res) => {
   }
 };
 
-// GloBee webhook handler for Monero payments
-export const handleMoneroWebhook = async (req, res) => {
+// Process a GloBee payment notification for a Monero order
+export const processMoneroWebhookEvent = async (notification) => {
   let session = null;
   let useTransaction = false;
   
@@ -1169,28 +1823,13 @@ export const handleMoneroWebhook = async (req, res) => {
       useTransaction = false;
     }
 
-    const signature = req.headers['x-globee-signature'];
-    const payload = JSON.stringify(req.body);
+    logPaymentEvent('globee_webhook_received', notification);
 
-    // Verify webhook signature
-    if (!moneroService.verifyWebhookSignature(payload, signature)) {
-      logger.warn('Invalid GloBee webhook signature');
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid webhook signature'
-      });
-    }
-
-    logPaymentEvent('globee_webhook_received', req.body);
-
-    const webhookData = moneroService.processWebhookNotification(req.body);
+    const webhookData = moneroService.processWebhookNotification(notification);
     
     if (!webhookData.orderId) {
       logger.warn('No order ID in GloBee webhook');
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid webhook data'
-      });
+      throw webhookError('Invalid webhook data', 400);
     }
 
     // Execute main logic with or without transaction
@@ -1201,31 +1840,12 @@ export const handleMoneroWebhook = async (req, res) => {
         throw new Error(`Order ${webhookData.orderId} not found`);
       }
 
-      // Update payment details
-      order.paymentDetails = {
-        ...(order.paymentDetails || {}),
-        confirmations: webhookData.confirmations,
-        paidAmount: webhookData.paidAmount,
-        transactionHash: webhookData.transactionHash,
-        lastWebhookUpdate: new Date()
-      };
+      // Update payment details and status based on webhook data
+      const completed = await applyMoneroPaymentUpdate(order, webhookData);
 
-      // Update payment status based on webhook data
-      if (webhookData.status === 'confirmed') {
-        order.paymentStatus = 'completed';
-        logPaymentEvent('monero_payment_confirmed', { orderId: order._id, confirmations: webhookData.confirmations });
-        
-        // Process order completion (referrals, etc.)
+      // Process order completion (referrals, etc.)
+      if (completed) {
         setImmediate(() => handleOrderCompletion(order));
-      } else if (webhookData.status === 'partially_confirmed') {
-        order.paymentStatus = 'awaiting_confirmation';
-        logPaymentEvent('monero_payment_partial', { orderId: order._id, confirmations: webhookData.confirmations, required: moneroService.getRequiredConfirmations() });
-      } else if (webhookData.status === 'underpaid') {
-        order.paymentStatus = 'underpaid';
-        logPaymentEvent('monero_payment_underpaid', { orderId: order._id, received: webhookData.paidAmount, expected: webhookData.totalAmount });
-      } else if (webhookData.status === 'failed') {
-        order.paymentStatus = 'failed';
-        logPaymentEvent('monero_payment_failed', { orderId: order._id });
       }
 
       await order.save();
@@ -1254,19 +1874,7 @@ export const handleMoneroWebhook = async (req, res) => {
       await executeWebhookLogic();
     }
 
-    res.status(200).json({ 
-      success: true,
-      received: true 
-    });
-
-  } catch (error) {
-    // No need to abort transaction - withTransaction handles it automatically
-    logError(error, { context: 'globee_webhook_processing' });
-    console.error('Webhook processing error:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Webhook processing failed'
-    });
+    return { orderId: webhookData.orderId };
   } finally {
     if (session) {
       try {
@@ -1278,6 +1886,38 @@ export const handleMoneroWebhook = async (req, res) => {
   }
 };
 
+// GloBee webhook handler for Monero payments
+export const handleMoneroWebhook = async (req, res) => {
+  const signature = req.headers['x-globee-signature'];
+  const payload = JSON.stringify(req.body);
+
+  // Verify webhook signature
+  if (!moneroService.verifyWebhookSignature(payload, signature)) {
+    logger.warn('Invalid GloBee webhook signature');
+    return rejectWebhook(req, res, { provider: 'globee', eventType: req.body?.status });
+  }
+
+  // GloBee notifies again on each status or confirmation change
+  const { id, status, confirmations } = req.body || {};
+  await runRecordedWebhook(req, res, {
+    provider: 'globee',
+    eventId: id ? `${id}:${status}:${confirmations}` : undefined,
+    eventType: status,
+    signatureStatus: 'valid',
+    processor: processMoneroWebhookEvent,
+    context: 'globee_webhook_processing'
+  });
+};
+
+// Processors by provider, for re-processing stored webhook events
+export const webhookProcessors = {
+  paypal: processPayPalWebhookEvent,
+  stripe: processStripeWebhookEvent,
+  blockonomics: processBlockonomicsWebhookEvent,
+  btcpay: processBtcpayWebhookEvent,
+  globee: processMoneroWebhookEvent
+};
+
 // Apply promotion code to cart
 export const applyPromotionCode = async (req, res) => {
   try {
@@ -1362,7 +2002,7 @@ export const applyPromotionCode = async (req, res) => {
     }
 
     // Calculate cart subtotal to check minimum order requirement
-    const productIds = cart.items.map(item => item.productId);
+    const productIds = [...new Set(cart.items.map(item => item.productId.toString()))];
     const products = await Product.find({ 
       _id: { $in: productIds },
       isActive: true 
@@ -1387,7 +2027,9 @@ export const applyPromotionCode = async (req, res) => {
     cart.items.forEach(cartItem => {
       const product = productMap.get(cartItem.productId.toString());
       if (product) {
-        const itemTotal = product.price * cartItem.quantity;
+        const variant = cartItem.variantId ? product.getVariant(cartItem.variantId) : null;
+        const unitPrice = variant ? product.getVariantPrice(variant) : product.price;
+        const itemTotal = unitPrice * cartItem.quantity;
         subtotal += itemTotal;
 
         // Check if this item is eligible for the promotion
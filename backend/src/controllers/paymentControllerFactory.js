@@ -6,6 +6,7 @@ import bitcoinService from '../services/bitcoinService.js';
 import moneroService from '../services/moneroService.js';
 import paypalService from '../services/paypalService.js';
 import emailService from '../services/emailService.js';
+import paymentProviderRegistry from '../services/paymentProviderRegistry.js';
 import logger, { logError, logPaymentEvent } from '../utils/logger.js';
 import mongoose from 'mongoose';
 
@@ -25,6 +26,7 @@ export function createPaymentController(overrides = {}) {
       paypalService,
       emailService
     },
+    paymentProviders: paymentProviderRegistry,
     database: {
       mongoose,
       startSession: () => mongoose.startSession()
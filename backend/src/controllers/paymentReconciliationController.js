@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+import PaymentReconciliation from '../models/PaymentReconciliation.js';
+import paymentReconciliationService from '../services/paymentReconciliationService.js';
+
+// List reconciliation reports, newest first, without their discrepancy lists (admin only)
+export const getPaymentReconciliations = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const [reports, totalReports] = await Promise.all([
+      PaymentReconciliation.find()
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PaymentReconciliation.countDocuments()
+    ]);
+
+    const totalPages = Math.ceil(totalReports / limit);
+
+    res.json({
+      success: true,
+      data: {
+        reports: reports.map(report => ({
+          _id: report._id,
+          trigger: report.trigger,
+          status: report.status,
+          startedAt: report.startedAt,
+          completedAt: report.completedAt,
+          summary: report.getSummary()
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalReports,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payment reconciliations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching reconciliation reports'
+    });
+  }
+};
+
+// Get one reconciliation report with its discrepancies (admin only)
+export const getPaymentReconciliationById = async (req, res) => {
+  try {
+    const { reportId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(reportId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid report ID format'
+      });
+    }
+
+    const report = await PaymentReconciliation.findById(reportId)
+      .populate('triggeredBy', 'firstName lastName email');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reconciliation report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        report: {
+          ...report.toObject(),
+          summary: report.getSummary()
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payment reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching reconciliation report'
+    });
+  }
+};
+
+// Reconcile open payments now rather than waiting for the schedule (admin only)
+export const runPaymentReconciliation = async (req, res) => {
+  try {
+    const report = await paymentReconciliationService.run({
+      trigger: 'manual',
+      triggeredBy: req.user._id
+    });
+
+    if (!report) {
+      return res.status(409).json({
+        success: false,
+        error: 'A reconciliation run is already in progress'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment reconciliation completed',
+      data: {
+        report: {
+          ...report.toObject(),
+          summary: report.getSummary()
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Run payment reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while reconciling payments'
+    });
+  }
+};
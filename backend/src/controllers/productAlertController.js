@@ -0,0 +1,138 @@
+import mongoose from 'mongoose';
+import productAlertService from '../services/productAlertService.js';
+import { logError } from '../utils/logger.js';
+
+// What a customer sees of an alert
+const describeAlert = alert => ({
+  type: alert.type,
+  status: alert.status,
+  product: alert.productId?.name
+    ? { name: alert.productId.name, slug: alert.productId.slug }
+    : undefined
+});
+
+// Subscribe to a product's back-in-stock or price-drop alerts (public; signed-in customers use their account email)
+export const subscribeToProductAlert = async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid product ID format'
+      });
+    }
+
+    const { alert, requiresConfirmation } = await productAlertService.subscribe(productId, {
+      type: req.body.type,
+      email: req.body.email
+    }, req.user || null);
+
+    res.status(requiresConfirmation ? 202 : 201).json({
+      success: true,
+      message: requiresConfirmation
+        ? 'Check your email to confirm your alert'
+        : 'We\'ll email you when this happens',
+      data: {
+        alert: describeAlert(alert),
+        requiresConfirmation
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logError(error, { context: 'product_alert_subscribe', productId: req.params.productId });
+    res.status(500).json({
+      success: false,
+      error: 'Server error while subscribing to alert'
+    });
+  }
+};
+
+// Get the signed-in customer's active alerts for a product
+export const getMyProductAlerts = async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid product ID format'
+      });
+    }
+
+    const alerts = await productAlertService.getUserAlerts(productId, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        alerts: alerts.map(describeAlert)
+      }
+    });
+
+  } catch (error) {
+    logError(error, { context: 'product_alert_list', productId: req.params.productId });
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching alerts'
+    });
+  }
+};
+
+// Confirm a guest's alert (public, the token is the credential)
+export const confirmProductAlert = async (req, res) => {
+  try {
+    const alert = await productAlertService.confirm(req.params.token);
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Confirmation link is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Alert confirmed',
+      data: { alert: describeAlert(alert) }
+    });
+
+  } catch (error) {
+    logError(error, { context: 'product_alert_confirm' });
+    res.status(500).json({
+      success: false,
+      error: 'Server error while confirming alert'
+    });
+  }
+};
+
+// Unsubscribe from an alert (public, the token is the credential)
+export const unsubscribeFromProductAlert = async (req, res) => {
+  try {
+    const alert = await productAlertService.unsubscribe(req.params.token);
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unsubscribe link is invalid'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'You have been unsubscribed',
+      data: { alert: describeAlert(alert) }
+    });
+
+  } catch (error) {
+    logError(error, { context: 'product_alert_unsubscribe' });
+    res.status(500).json({
+      success: false,
+      error: 'Server error while unsubscribing'
+    });
+  }
+};
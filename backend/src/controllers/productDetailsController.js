@@ -1,4 +1,5 @@
 import Product from '../models/Product.js';
+import inventoryReservationService from '../services/inventoryReservationService.js';
 
 export const getProductBySlug = async (req, res) => {
   try {
@@ -10,13 +11,17 @@ export const getProductBySlug = async (req, res) => {
       isActive: true 
     }).populate('category', 'name slug description');
 
-    if (!product) {
+    // One-off commission products are only shown to the customer they were made for
+    if (!product || !product.isAvailableTo(req.user?._id)) {
       return res.status(404).json({
         success: false,
         message: 'Product not found'
       });
     }
 
+    // Stock held by customers in checkout is shown as unavailable
+    const reserved = await inventoryReservationService.getReservedStock([product._id]);
+
     // Return product with all details needed for product details page
     res.json({
       success: true,
@@ -27,11 +32,33 @@ export const getProductBySlug = async (req, res) => {
         shortDescription: product.shortDescription,
         longDescription: product.longDescription,
         price: product.price,
+        priceOverrides: product.priceOverrides || [],
         images: product.images,
         category: product.category,
         condition: product.condition,
         stockStatus: product.stockStatus,
         stockQuantity: product.stockQuantity,
+        availableStock: inventoryReservationService.getAvailableStock(product, null, reserved),
+        availabilityMode: product.availabilityMode,
+        leadTimeDays: product.leadTimeDays,
+        depositPercent: product.depositPercent,
+        // When an order placed now is expected to ship, for pre-orders and made-to-order
+        expectedShipDate: product.getExpectedShipDate(),
+        attributes: product.attributes || [],
+        options: product.options || [],
+        variants: (product.variants || [])
+          .filter(variant => variant.isActive)
+          .map(variant => ({
+            _id: variant._id,
+            sku: variant.sku,
+            options: variant.options,
+            price: variant.price ?? product.price,
+            // Product price overrides only apply to variants without a price of their own
+            priceOverrides: variant.price !== undefined && variant.price !== null ? [] : product.priceOverrides || [],
+            stockQuantity: variant.stockQuantity,
+            availableStock: inventoryReservationService.getAvailableStock(product, variant, reserved),
+            images: variant.images
+          })),
         isActive: product.isActive,
         createdAt: product.createdAt,
         updatedAt: product.updatedAt
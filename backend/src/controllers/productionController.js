@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import productionQueueService from '../services/productionQueueService.js';
+import { logError } from '../utils/logger.js';
+
+// Get made-to-order items still to be made, the soonest due to ship first
+export const getProductionQueue = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const { items, pagination } = await productionQueueService.getQueue({ page, limit });
+
+    res.json({
+      success: true,
+      data: { items },
+      pagination
+    });
+
+  } catch (error) {
+    logError(error, { context: 'production_queue_get' });
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching production queue'
+    });
+  }
+};
+
+// Mark a made-to-order item as made, taking it off the production queue
+export const markOrderItemProduced = async (req, res) => {
+  try {
+    const { orderId, itemId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId) || !mongoose.Types.ObjectId.isValid(itemId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid order or item ID format'
+      });
+    }
+
+    const { item } = await productionQueueService.markItemProduced(orderId, itemId);
+
+    res.json({
+      success: true,
+      message: `${item.productName} marked as made`,
+      data: { item }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logError(error, { context: 'production_item_produced', orderId: req.params.orderId });
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating order item'
+    });
+  }
+};
+
+// Record payment of the balance left on an order after deposits
+export const recordBalancePayment = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { reference } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid order ID format'
+      });
+    }
+
+    if (reference !== undefined && (typeof reference !== 'string' || reference.trim().length > 100)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Payment reference must be text of at most 100 characters'
+      });
+    }
+
+    const order = await productionQueueService.recordBalancePayment(orderId, { reference: reference?.trim() });
+
+    res.json({
+      success: true,
+      message: 'Balance payment recorded',
+      data: { order }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logError(error, { context: 'order_balance_payment', orderId: req.params.orderId });
+    res.status(500).json({
+      success: false,
+      error: 'Server error while recording balance payment'
+    });
+  }
+};
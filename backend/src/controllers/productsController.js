@@ -1,5 +1,6 @@
 import Product from '../models/Product.js';
 import Category from '../models/Category.js';
+import inventoryReservationService from '../services/inventoryReservationService.js';
 
 export const getProducts = async (req, res) => {
   try {
@@ -19,8 +20,8 @@ export const getProducts = async (req, res) => {
     const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 12));
     const skip = (pageNum - 1) * limitNum;
 
-    // Build query filter
-    const filter = { isActive: true };
+    // Build query filter; one-off commission products are not listed
+    const filter = { isActive: true, privateFor: null };
 
     // Add category filter - look up category by slug
     if (category) {
@@ -81,6 +82,9 @@ export const getProducts = async (req, res) => {
     const total = await Product.countDocuments(filter);
     const pages = Math.ceil(total / limitNum);
 
+    // Stock held by customers in checkout is shown as unavailable
+    const reserved = await inventoryReservationService.getReservedStock(products.map(product => product._id));
+
     // Format response
     const formattedProducts = products.map(product => ({
       id: product._id,
@@ -88,10 +92,13 @@ export const getProducts = async (req, res) => {
       slug: product.slug,
       shortDescription: product.shortDescription,
       price: product.price,
+      priceOverrides: product.priceOverrides,
       images: product.images,
       condition: product.condition,
       stockStatus: product.stockStatus,
       stockQuantity: product.stockQuantity,
+      availableStock: inventoryReservationService.getAvailableStock(product, null, reserved),
+      availabilityMode: product.availabilityMode,
       category: product.category,
       createdAt: product.createdAt
     }));
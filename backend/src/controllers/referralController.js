@@ -1,8 +1,37 @@
 import User from '../models/User.js';
 import Referral from '../models/Referral.js';
 import Reward from '../models/Reward.js';
+import storeCreditService from '../services/storeCreditService.js';
 import logger from '../utils/logger.js';
 
+// Reward types paid straight into the referrer's store credit wallet
+const WALLET_REWARD_TYPES = ['store_credit', 'cashback'];
+
+// Referrers earn a discount by default; with REFERRAL_STORE_CREDIT_AMOUNT
+// set they are paid that much store credit instead
+const getRewardConfig = () => {
+  const creditAmount = Math.round(parseFloat(process.env.REFERRAL_STORE_CREDIT_AMOUNT) * 100) / 100;
+  if (creditAmount > 0) {
+    return {
+      type: 'store_credit',
+      value: creditAmount,
+      description: `£${creditAmount.toFixed(2)} store credit for successful referral`,
+      expiryDays: 90,
+      minimumOrderValue: 0,
+      maxRedemptionValue: null
+    };
+  }
+
+  return {
+    type: 'discount_percent',
+    value: 10, // 10% discount
+    description: '10% discount for successful referral',
+    expiryDays: 90,
+    minimumOrderValue: 0,
+    maxRedemptionValue: 50 // Max £50 discount
+  };
+};
+
 // Get user's referral dashboard data
 export const getReferralDashboard = async (req, res) => {
   try {
@@ -336,14 +365,7 @@ export const processReferralQualification = async (userId, orderId, orderTotal)
 // Generate referral reward
 const generateReferralReward = async (referrerId, referralId, _orderTotal) => {
   try {
-    // Reward configuration - this could be moved to a settings collection
-    const rewardConfig = {
-      type: 'discount_percent',
-      value: 10, // 10% discount
-      expiryDays: 90,
-      minimumOrderValue: 0,
-      maxRedemptionValue: 50 // Max £50 discount
-    };
+    const rewardConfig = getRewardConfig();
 
     const expiryDate = new Date();
     expiryDate.setDate(expiryDate.getDate() + rewardConfig.expiryDays);
@@ -353,7 +375,7 @@ const generateReferralReward = async (referrerId, referralId, _orderTotal) => {
       referralId: referralId,
       type: rewardConfig.type,
       value: rewardConfig.value,
-      description: `${rewardConfig.value}% discount for successful referral`,
+      description: rewardConfig.description,
       expiryDate: expiryDate,
       minimumOrderValue: rewardConfig.minimumOrderValue,
       maxRedemptionValue: rewardConfig.maxRedemptionValue,
@@ -362,6 +384,11 @@ const generateReferralReward = async (referrerId, referralId, _orderTotal) => {
 
     await reward.save();
 
+    // Credit rewards are spent from the wallet rather than by code
+    if (WALLET_REWARD_TYPES.includes(reward.type)) {
+      await storeCreditService.creditReward(reward);
+    }
+
     logger.info('Referral reward generated', {
       rewardId: reward._id,
       referrerId,
@@ -385,24 +412,36 @@ const generateReferralReward = async (referrerId, referralId, _orderTotal) => {
 // Get referral program settings (for frontend display)
 export const getReferralProgramSettings = async (req, res) => {
   try {
+    const rewardConfig = getRewardConfig();
+    const paidToWallet = WALLET_REWARD_TYPES.includes(rewardConfig.type);
+    const rewardAmount = `£${rewardConfig.value.toFixed(2)}`;
+
     const settings = {
       programActive: true,
-      rewardType: 'discount_percent',
-      rewardValue: 10,
-      rewardDescription: '10% discount on your next order',
-      minimumOrderValue: 0,
-      maxRewardValue: 50,
-      expiryDays: 90,
+      rewardType: rewardConfig.type,
+      rewardValue: rewardConfig.value,
+      rewardDescription: paidToWallet
+        ? `${rewardAmount} store credit added to your wallet`
+        : '10% discount on your next order',
+      minimumOrderValue: rewardConfig.minimumOrderValue,
+      maxRewardValue: rewardConfig.maxRedemptionValue,
+      expiryDays: rewardConfig.expiryDays,
       termsAndConditions: [
-        'Referral rewards are valid for 90 days from issue date',
-        'Maximum discount value is £50',
-        'Rewards cannot be combined with other promotional offers',
+        ...(paidToWallet
+          ? ['Store credit is added to your wallet and can be spent on any order']
+          : [
+            'Referral rewards are valid for 90 days from issue date',
+            'Maximum discount value is £50',
+            'Rewards cannot be combined with other promotional offers'
+          ]),
         'Self-referrals are not permitted',
         'Referral rewards are issued after the referred customer\'s first qualifying purchase',
         'RDJCustoms reserves the right to modify or terminate the referral program at any time'
       ],
       benefits: [
-        'Earn 10% discount for each successful referral',
+        paidToWallet
+          ? `Earn ${rewardAmount} store credit for each successful referral`
+          : 'Earn 10% discount for each successful referral',
         'No limit on the number of friends you can refer',
         'Track all your referrals and rewards in your dashboard',
         'Automatic reward generation when friends make their first purchase'
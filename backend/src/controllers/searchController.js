@@ -35,6 +35,7 @@ export const searchProducts = async (req, res) => {
       searchFilter = {
         $and: [
           { isActive: true },
+          { privateFor: null },
           { $text: { $search: query.trim() } }
         ]
       };
@@ -89,6 +90,7 @@ export const searchProducts = async (req, res) => {
       searchFilter = {
         $and: [
           { isActive: true },
+          { privateFor: null },
           {
             $or: [
               { name: { $regex: sanitizedQuery, $options: 'i' } },
@@ -157,6 +159,7 @@ export const searchProducts = async (req, res) => {
       slug: product.slug,
       shortDescription: product.shortDescription,
       price: product.price,
+      priceOverrides: product.priceOverrides || [],
       images: product.images,
       condition: product.condition,
       stockStatus: product.stockStatus,
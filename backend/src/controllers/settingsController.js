@@ -2,6 +2,9 @@ import GeneralSettings from '../models/GeneralSettings.js';
 import TaxRate from '../models/TaxRate.js';
 import PaymentGateway from '../models/PaymentGateway.js';
 import ShippingMethod from '../models/ShippingMethod.js';
+import Currency, { SETTLEMENT_CURRENCY } from '../models/Currency.js';
+import paymentProviderRegistry from '../services/paymentProviderRegistry.js';
+import currencyService from '../services/currencyService.js';
 
 // General Settings
 export const getGeneralSettings = async (req, res) => {
@@ -406,12 +409,22 @@ export const updatePaymentGateway = async (req, res) => {
     
     // Don't allow updating sensitive config fields directly through this endpoint
     if (updates.config) {
-      const sensitiveFields = ['stripeSecretKey', 'paypalSecret', 'bitcoinWebhookSecret', 'moneroWebhookSecret'];
+      const sensitiveFields = ['stripeSecretKey', 'paypalSecret', 'bitcoinWebhookSecret', 'moneroWebhookSecret', 'btcpayApiKey'];
       for (const field of sensitiveFields) {
         if (updates.config[field]) {
           delete updates.config[field];
         }
       }
+
+      // Set config fields individually so omitted ones (such as the xpub
+      // address counter) keep their values, and skip the masked placeholders
+      // that toJSON returns for keys
+      for (const [field, value] of Object.entries(updates.config)) {
+        if (field !== 'bitcoinNextAddressIndex' && value !== '[CONFIGURED]' && value !== '[NOT CONFIGURED]') {
+          updates[`config.${field}`] = value;
+        }
+      }
+      delete updates.config;
     }
     
     const gateway = await PaymentGateway.findByIdAndUpdate(
@@ -427,6 +440,8 @@ export const updatePaymentGateway = async (req, res) => {
       });
     }
     
+    paymentProviderRegistry.clearCache();
+
     res.json({
       success: true,
       data: gateway,
@@ -458,6 +473,7 @@ export const createPaymentGateway = async (req, res) => {
     
     const gateway = new PaymentGateway(gatewayData);
     await gateway.save();
+    paymentProviderRegistry.clearCache();
     
     res.status(201).json({
       success: true,
@@ -499,6 +515,8 @@ export const togglePaymentGateway = async (req, res) => {
       });
     }
     
+    paymentProviderRegistry.clearCache();
+
     res.json({
       success: true,
       data: gateway,
@@ -511,4 +529,168 @@ export const togglePaymentGateway = async (req, res) => {
       error: 'Failed to toggle payment gateway'
     });
   }
-};
\ No newline at end of file
+};
+
+// Currency Settings
+const CURRENCY_FIELDS = ['name', 'symbol', 'exchangeRate', 'rateSource', 'decimalPlaces', 'isActive'];
+
+const pickCurrencyFields = (body) => Object.fromEntries(
+  CURRENCY_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+export const getCurrencySettings = async (req, res) => {
+  try {
+    const currencies = await Currency.find().sort({ code: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        settlementCurrency: SETTLEMENT_CURRENCY,
+        rateSource: currencyService.sourceName,
+        currencies
+      }
+    });
+  } catch (error) {
+    console.error('Get currency settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch currency settings'
+    });
+  }
+};
+
+export const createCurrency = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    for (const field of ['code', 'name', 'exchangeRate']) {
+      if (req.body[field] === undefined || req.body[field] === null || req.body[field] === '') {
+        return res.status(400).json({
+          success: false,
+          error: `${field} is required`
+        });
+      }
+    }
+
+    const currency = new Currency({ code, ...pickCurrencyFields(req.body) });
+    await currency.save();
+    currencyService.clearCache();
+
+    res.status(201).json({
+      success: true,
+      data: currency,
+      message: 'Currency created successfully'
+    });
+  } catch (error) {
+    console.error('Create currency error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Currency already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create currency'
+    });
+  }
+};
+
+export const updateCurrency = async (req, res) => {
+  try {
+    const { currencyId } = req.params;
+    const updates = pickCurrencyFields(req.body);
+
+    // A rate entered by hand is as current as one fetched from the source
+    if (updates.exchangeRate !== undefined) {
+      updates.rateUpdatedAt = new Date();
+    }
+
+    const currency = await Currency.findByIdAndUpdate(
+      currencyId,
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    if (!currency) {
+      return res.status(404).json({
+        success: false,
+        error: 'Currency not found'
+      });
+    }
+
+    currencyService.clearCache();
+
+    res.json({
+      success: true,
+      data: currency,
+      message: 'Currency updated successfully'
+    });
+  } catch (error) {
+    console.error('Update currency error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.name === 'ValidationError' ? error.message : 'Failed to update currency'
+    });
+  }
+};
+
+export const deleteCurrency = async (req, res) => {
+  try {
+    const { currencyId } = req.params;
+
+    // Orders keep their currency code, so currencies are only turned off
+    const currency = await Currency.findByIdAndUpdate(
+      currencyId,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!currency) {
+      return res.status(404).json({
+        success: false,
+        error: 'Currency not found'
+      });
+    }
+
+    currencyService.clearCache();
+
+    res.json({
+      success: true,
+      message: 'Currency deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Delete currency error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete currency'
+    });
+  }
+};
+
+export const refreshExchangeRates = async (req, res) => {
+  try {
+    const summary = await currencyService.run();
+
+    res.json({
+      success: true,
+      data: summary,
+      message: `Updated ${summary.updated} of ${summary.checked} automatic exchange rates`
+    });
+  } catch (error) {
+    console.error('Refresh exchange rates error:', error);
+    res.status(502).json({
+      success: false,
+      error: `Exchange rates could not be refreshed: ${error.message}`
+    });
+  }
+};
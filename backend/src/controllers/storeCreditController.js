@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import storeCreditService from '../services/storeCreditService.js';
+import { logError } from '../utils/logger.js';
+
+// Errors the service raises for the customer to see pass through; anything else is logged
+const sendError = (res, error, context, message, userId) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  logError(error, { context, userId });
+  res.status(500).json({
+    success: false,
+    error: message
+  });
+};
+
+const getPaging = (query, defaultLimit) => ({
+  page: Math.max(1, parseInt(query.page) || 1),
+  limit: Math.min(50, Math.max(1, parseInt(query.limit) || defaultLimit))
+});
+
+const invalidUserId = res => res.status(400).json({
+  success: false,
+  error: 'Invalid user ID format'
+});
+
+// Get the signed-in customer's store credit balance and history
+export const getMyStoreCredit = async (req, res) => {
+  try {
+    const { balance, currency, transactions, pagination } = await storeCreditService.getWallet(
+      req.user._id,
+      getPaging(req.query, 20)
+    );
+
+    res.json({
+      success: true,
+      data: { balance, currency, transactions },
+      pagination
+    });
+
+  } catch (error) {
+    sendError(res, error, 'store_credit_wallet', 'Server error while fetching store credit', req.user._id);
+  }
+};
+
+// Get a customer's store credit balance and history (admin only)
+export const getUserStoreCredit = async (req, res) => {
+  const { userId } = req.params;
+  try {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return invalidUserId(res);
+    }
+
+    const { balance, currency, transactions, pagination } = await storeCreditService.getWallet(userId, {
+      ...getPaging(req.query, 20),
+      withCreator: true
+    });
+
+    res.json({
+      success: true,
+      data: { balance, currency, transactions },
+      pagination
+    });
+
+  } catch (error) {
+    sendError(res, error, 'admin_store_credit_wallet', 'Server error while fetching store credit', userId);
+  }
+};
+
+// Credit a customer as goodwill, or adjust their balance (admin only)
+export const issueStoreCredit = async (req, res) => {
+  const { userId } = req.params;
+  try {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return invalidUserId(res);
+    }
+
+    const { type, amount, note } = req.body;
+    const transaction = await storeCreditService.adminCredit(userId, { type, amount, note }, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: transaction.amount > 0 ? 'Store credit added' : 'Store credit adjusted',
+      data: {
+        transaction,
+        balance: transaction.balanceAfter
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'admin_store_credit_issue', 'Server error while issuing store credit', userId);
+  }
+};
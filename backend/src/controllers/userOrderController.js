@@ -2,10 +2,26 @@ import Order from '../models/Order.js';
 import Cart from '../models/Cart.js';
 import Product from '../models/Product.js';
 import ShippingMethod from '../models/ShippingMethod.js';
+import Promotion from '../models/Promotion.js';
 import emailService from '../services/emailService.js';
 import carrierTrackingService from '../services/carrierTrackingService.js';
+import paymentProviderRegistry from '../services/paymentProviderRegistry.js';
+import inventoryReservationService from '../services/inventoryReservationService.js';
+import stockLedgerService from '../services/stockLedgerService.js';
+import guestOrderService from '../services/guestOrderService.js';
+import cartRecoveryService from '../services/cartRecoveryService.js';
+import currencyService from '../services/currencyService.js';
+import giftCardService from '../services/giftCardService.js';
+import storeCreditService from '../services/storeCreditService.js';
+import unpaidOrderService from '../services/unpaidOrderService.js';
 import mongoose from 'mongoose';
 
+// Orders a request can see: the signed-in customer's own, or the single
+// order a guest order link was issued for
+const getOrderOwnerFilter = (req, orderId) => (req.guestOrder
+  ? { _id: orderId, customerEmail: req.guestOrder.email }
+  : { _id: orderId, userId: req.user._id });
+
 // Get user's order history with pagination
 export const getUserOrders = async (req, res) => {
   try {
@@ -66,11 +82,10 @@ export const getUserOrders = async (req, res) => {
   }
 };
 
-// Get detailed order information by order ID
+// Get detailed order information by order ID (or the order a guest order link was issued for)
 export const getUserOrderDetails = async (req, res) => {
   try {
-    const userId = req.user._id; // Set by authentication middleware
-    const { orderId } = req.params;
+    const orderId = req.guestOrder?.orderId || req.params.orderId;
 
     // Validate order ID format
     if (!orderId.match(/^[0-9a-fA-F]{24}$/)) {
@@ -81,10 +96,7 @@ export const getUserOrderDetails = async (req, res) => {
     }
 
     // Find order by ID and ensure it belongs to the authenticated user
-    const order = await Order.findOne({ 
-      _id: orderId, 
-      userId 
-    });
+    const order = await Order.findOne(getOrderOwnerFilter(req, orderId));
 
     if (!order) {
       return res.status(404).json({
@@ -112,12 +124,25 @@ export const getUserOrderDetails = async (req, res) => {
             productImage: item.productImage,
             quantity: item.quantity,
             unitPrice: item.unitPrice,
-            totalPrice: item.totalPrice
+            totalPrice: item.totalPrice,
+            presentmentUnitPrice: item.presentmentUnitPrice,
+            availabilityMode: item.availabilityMode,
+            expectedShipDate: item.expectedShipDate,
+            depositAmount: item.depositAmount,
+            giftCard: item.giftCard
           })),
           subtotal: order.subtotal,
           tax: order.tax,
           shipping: order.shipping,
           totalAmount: order.totalAmount,
+          currency: order.currency || 'GBP',
+          exchangeRate: order.exchangeRate,
+          presentment: order.presentment,
+          balanceDue: order.balanceDue,
+          balancePaidAt: order.balancePaidAt,
+          giftCardAmount: order.giftCardAmount || 0,
+          storeCreditAmount: order.storeCreditAmount || 0,
+          estimatedDeliveryDate: order.estimatedDeliveryDate,
           shippingAddress: order.shippingAddress,
           billingAddress: order.billingAddress,
           shippingMethod: order.shippingMethod,
@@ -129,6 +154,8 @@ export const getUserOrderDetails = async (req, res) => {
           trackingUrl: order.trackingUrl,
           statusHistory: order.statusHistory || [],
           notes: order.notes,
+          // Guest orders can be turned into an account until one exists
+          hasAccount: Boolean(order.userId),
           createdAt: order.createdAt,
           updatedAt: order.updatedAt
         }
@@ -170,9 +197,56 @@ const findOrCreateCart = async (req) => {
   }
 };
 
+// Add business days (Monday to Friday) to a date
+const addBusinessDays = (date, days) => {
+  const result = new Date(date);
+  let added = 0;
+  while (added < days) {
+    result.setDate(result.getDate() + 1);
+    if (result.getDay() !== 0 && result.getDay() !== 6) {
+      added++;
+    }
+  }
+  return result;
+};
+
+// Latest delivery date for an order with pre-order or made-to-order items:
+// the last of them to ship plus the shipping method's longest transit time.
+// Orders shipped from stock get theirs from the carrier once shipped.
+const getEstimatedDeliveryDate = (orderItems, shippingMethod) => {
+  const shipDates = orderItems
+    .map(item => item.expectedShipDate)
+    .filter(Boolean);
+
+  if (shipDates.length === 0) {
+    return undefined;
+  }
+
+  const lastShipDate = new Date(Math.max(...shipDates.map(date => date.getTime())));
+  return addBusinessDays(lastShipDate, shippingMethod.estimatedDeliveryDays?.max || 0);
+};
+
 // Place order endpoint
 export const placeOrder = async (req, res) => {
   const session = await mongoose.startSession();
+  let provider = null;
+  let payment = null;
+  let checkoutReference = null;
+  let capturedAtCheckout = false;
+
+  // Browser-paid methods have taken the money before the order is placed,
+  // so a checkout turned away without capturing gives it back; capture()
+  // refunds the payments it rejects itself
+  const rejectCheckout = async (statusCode, error) => {
+    await session.abortTransaction();
+    if (capturedAtCheckout && !payment) {
+      await provider.releaseCheckout(req.body);
+    }
+    return res.status(statusCode).json({
+      success: false,
+      error
+    });
+  };
   
   try {
     await session.startTransaction();
@@ -181,76 +255,84 @@ export const placeOrder = async (req, res) => {
       shippingAddress,
       billingAddress,
       shippingMethodId,
-      paypalOrderId,
       useSameAsShipping = true
     } = req.body;
 
-    // Validate required fields
-    if (!shippingAddress || !shippingMethodId || !paypalOrderId) {
-      return res.status(400).json({
+    // Orders placed without a method are PayPal, the only method checkout
+    // offered before methods came from the provider registry
+    const paymentType = req.body.paymentMethod?.type || req.body.paymentMethod || 'paypal';
+    try {
+      provider = await paymentProviderRegistry.getProvider(paymentType);
+    } catch (providerError) {
+      return res.status(providerError.statusCode || 400).json({
         success: false,
-        error: 'Shipping address, shipping method, and PayPal order are required'
+        error: providerError.message
       });
     }
 
+    // Capture-flow methods pay in the browser before the order is placed;
+    // tender methods (gift cards) pay in full as it is placed
+    checkoutReference = provider.getCheckoutReference(req.body);
+    capturedAtCheckout = provider.checkoutFlow === 'capture';
+    const paidAtCheckout = capturedAtCheckout || provider.checkoutFlow === 'tender';
+
+    // Validate required fields
+    if (!shippingAddress || !shippingMethodId || (capturedAtCheckout && !checkoutReference)) {
+      return rejectCheckout(400, capturedAtCheckout
+        ? `Shipping address, shipping method, and ${provider.name} order are required`
+        : 'Shipping address and shipping method are required');
+    }
+
+    // Guests have no account email to send the order to
+    const customerEmail = req.user
+      ? req.user.email
+      : guestOrderService.normalizeEmail(req.body.email);
+    if (!customerEmail) {
+      return rejectCheckout(400, 'A valid email address is required to check out as a guest');
+    }
+
+    // Amounts are shown and recorded in the customer's currency; payment is
+    // always taken in GBP
+    const currency = await currencyService.getCurrency(req.body.currency);
+    if (!currency) {
+      return rejectCheckout(400, `Currency ${req.body.currency} is not available`);
+    }
+
+    // A provider payment can only pay for one store order
+    if (checkoutReference) {
+      const existingOrder = await Order.findOne(checkoutReference).session(session);
+
+      if (existingOrder) {
+        await session.abortTransaction();
+        return res.status(409).json({
+          success: false,
+          error: `This ${provider.name} order has already been used`
+        });
+      }
+    }
+
     // Get user's cart
     let cart;
     try {
       cart = await findOrCreateCart(req);
     } catch (cartError) {
-      return res.status(400).json({
-        success: false,
-        error: cartError.message
-      });
+      return rejectCheckout(400, cartError.message);
     }
     
     if (!cart || !cart.items || cart.items.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Cart is empty'
-      });
-    }
-
-    // Verify PayPal payment - simplified mock verification for testing
-    let paymentIntent;
-    try {
-      // In a real implementation, this would verify the PayPal order
-      // For now, we'll mock the verification
-      if (!paypalOrderId || paypalOrderId === 'INVALID-PAYPAL-123') {
-        await session.abortTransaction();
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid PayPal order'
-        });
-      }
-      
-      // Mock payment intent data
-      paymentIntent = {
-        amount: 0, // Will be set based on calculated total
-        status: 'succeeded',
-        id: paypalOrderId
-      };
-    } catch (error) {
-      await session.abortTransaction();
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid PayPal order'
-      });
+      return rejectCheckout(400, 'Cart is empty');
     }
 
     // Verify all cart items are still available and get current prices
-    const productIds = cart.items.map(item => item.productId);
+    // Several cart lines can share a product when they are different variants
+    const productIds = [...new Set(cart.items.map(item => item.productId.toString()))];
     const products = await Product.find({ 
       _id: { $in: productIds },
       isActive: true 
     }).session(session);
 
     if (products.length !== productIds.length) {
-      await session.abortTransaction();
-      return res.status(400).json({
-        success: false,
-        error: 'Some products in cart are no longer available'
-      });
+      return rejectCheckout(400, 'Some products in cart are no longer available');
     }
 
     // Create product lookup map
@@ -259,49 +341,90 @@ export const placeOrder = async (req, res) => {
       productMap.set(product._id.toString(), product);
     });
 
+    // Stock held by other customers in checkout is not available
+    const reserved = await inventoryReservationService.getReservedStock(productIds, { excludeCartId: cart._id });
+
     // Validate stock and calculate totals with current prices
+    const orderDate = new Date();
     let cartTotal = 0;
+    let presentmentSubtotal = 0;
+    let balanceDue = 0;
     const orderItems = [];
 
     for (const cartItem of cart.items) {
       const product = productMap.get(cartItem.productId.toString());
       
       if (!product) {
-        await session.abortTransaction();
-        return res.status(400).json({
-          success: false,
-          error: `Product ${cartItem.productId} not found`
-        });
+        return rejectCheckout(400, `Product ${cartItem.productId} not found`);
+      }
+
+      // Resolve the variant for products sold with options
+      let variant = null;
+      if (cartItem.variantId) {
+        variant = product.getVariant(cartItem.variantId);
+        if (!variant || !variant.isActive) {
+          return rejectCheckout(400, `Selected option for product ${product.name} is no longer available`);
+        }
+      } else if (product.hasVariants()) {
+        return rejectCheckout(400, `Please select options for product ${product.name}`);
       }
 
       // Check stock availability
-      if (product.stockQuantity < cartItem.quantity) {
-        await session.abortTransaction();
-        return res.status(400).json({
-          success: false,
-          error: `Insufficient stock for product ${product.name}. Available: ${product.stockQuantity}, Requested: ${cartItem.quantity}`
-        });
+      const availableStock = inventoryReservationService.getAvailableStock(product, variant, reserved);
+      if (availableStock < cartItem.quantity) {
+        return rejectCheckout(400, `Insufficient stock for product ${product.name}. Available: ${availableStock}, Requested: ${cartItem.quantity}`);
       }
 
-      const itemTotal = product.price * cartItem.quantity;
+      const unitPrice = product.getVariantPrice(variant);
+      const itemTotal = unitPrice * cartItem.quantity;
       cartTotal += itemTotal;
+      const presentmentUnitPrice = currencyService.getPresentmentUnitPrice(product, variant, currency);
+      presentmentSubtotal += presentmentUnitPrice * cartItem.quantity;
+
+      // Deposits are taken by the methods that charge at checkout; orders
+      // paid afterwards (crypto) are paid in full
+      const unitDeposit = paidAtCheckout ? product.getDepositAmount(unitPrice) : null;
+      const depositAmount = unitDeposit !== null ? unitDeposit * cartItem.quantity : null;
+      if (depositAmount !== null) {
+        balanceDue += itemTotal - depositAmount;
+      }
 
       orderItems.push({
         productId: product._id,
         productName: product.name,
         productSlug: product.slug,
-        productImage: product.images?.[0] || null,
+        productImage: variant?.images?.[0] || product.images?.[0] || null,
+        variantId: variant ? variant._id : null,
+        variantSku: variant ? variant.sku : undefined,
+        variantOptions: variant ? variant.options.map(({ name, value }) => ({ name, value })) : [],
         quantity: cartItem.quantity,
-        unitPrice: product.price,
-        totalPrice: itemTotal
+        unitPrice,
+        totalPrice: itemTotal,
+        presentmentUnitPrice,
+        availabilityMode: product.availabilityMode,
+        expectedShipDate: product.getExpectedShipDate(orderDate),
+        depositAmount,
+        giftCard: cartItem.giftCard || null
       });
 
-      // Decrement stock quantity
-      await Product.findByIdAndUpdate(
-        product._id,
-        { $inc: { stockQuantity: -cartItem.quantity } },
-        { session }
-      );
+      // Decrement stock quantity (variant and product totals together);
+      // pre-order and made-to-order items are made for the order instead
+      if (product.isMadeOnDemand()) {
+        continue;
+      }
+      if (variant) {
+        await Product.updateOne(
+          { _id: product._id, 'variants._id': variant._id },
+          { $inc: { 'variants.$.stockQuantity': -cartItem.quantity, stockQuantity: -cartItem.quantity } },
+          { session }
+        );
+      } else {
+        await Product.findByIdAndUpdate(
+          product._id,
+          { $inc: { stockQuantity: -cartItem.quantity } },
+          { session }
+        );
+      }
     }
 
     // Get and validate shipping method
@@ -311,11 +434,7 @@ export const placeOrder = async (req, res) => {
     }).session(session);
 
     if (!shippingMethod) {
-      await session.abortTransaction();
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid shipping method'
-      });
+      return rejectCheckout(400, 'Invalid shipping method');
     }
 
     // Calculate shipping cost
@@ -326,42 +445,121 @@ export const placeOrder = async (req, res) => {
 
     const shippingCalculation = shippingMethod.calculateCost(cartData, shippingAddress);
     if (shippingCalculation === null) {
-      await session.abortTransaction();
-      return res.status(400).json({
-        success: false,
-        error: 'Shipping method not available for this cart and address'
-      });
+      return rejectCheckout(400, 'Shipping method not available for this cart and address');
     }
 
     const shippingCost = shippingCalculation.cost;
-    const orderTotal = cartTotal + shippingCost;
 
-    // Set the payment intent amount for mock verification
-    const expectedAmountInPence = Math.round(orderTotal * 100);
-    paymentIntent.amount = expectedAmountInPence;
+    // A promotion on the cart, such as a cart reminder's discount, comes off
+    // the order total
+    const promotion = await Promotion.findForCart(cart, req.user?._id || null, { session });
+    // The use is taken in the order's transaction, so it is given back if
+    // the order fails; another checkout may have just taken the last one
+    if (promotion && !await promotion.claimUsage(req.user?._id || null, { session })) {
+      return rejectCheckout(409, 'The promotion on your cart is no longer available; please review your order');
+    }
+    const discountAmount = promotion ? promotion.calculateDiscount(cartTotal, shippingCost) : 0;
+
+    const orderTotal = cartTotal + shippingCost - discountAmount;
+    const presentmentShipping = currencyService.convert(shippingCost, currency);
+    const presentmentDiscount = currencyService.convert(discountAmount, currency);
+    // Deposits are taken now and the balance before the order ships; a
+    // discount larger than what is due now comes off the balance
+    balanceDue = Math.min(balanceDue, orderTotal);
+    const amountDueNow = orderTotal - balanceDue;
+
+    // Gift cards pay first, within the transaction so they are put back if
+    // the order fails; the payment method is charged what they leave
+    const orderId = new mongoose.Types.ObjectId();
+    let giftCardRedemption = { giftCards: [], total: 0 };
+    if (Array.isArray(req.body.giftCardCodes) && req.body.giftCardCodes.length > 0) {
+      try {
+        giftCardRedemption = await giftCardService.redeem(req.body.giftCardCodes, amountDueNow, {
+          orderId,
+          userId: req.user?._id || null,
+          session
+        });
+      } catch (giftCardError) {
+        return rejectCheckout(
+          giftCardError.statusCode || 500,
+          giftCardError.statusCode ? giftCardError.message : 'Unable to apply gift cards. Please try again.'
+        );
+      }
+    }
 
-    // In a real implementation, we would verify the PayPal order amount here
-    // For testing, we'll just ensure the paymentIntent is properly set
+    // Store credit pays what the gift cards leave, the same way
+    let storeCreditAmount = 0;
+    if (req.body.useStoreCredit) {
+      if (!req.user) {
+        return rejectCheckout(400, 'Sign in to spend store credit');
+      }
+
+      try {
+        storeCreditAmount = await storeCreditService.spend(req.user._id, amountDueNow - giftCardRedemption.total, {
+          orderId,
+          session
+        });
+      } catch (storeCreditError) {
+        return rejectCheckout(
+          storeCreditError.statusCode || 500,
+          storeCreditError.statusCode ? storeCreditError.message : 'Unable to apply store credit. Please try again.'
+        );
+      }
+    }
+    const amountToCharge = Math.round((amountDueNow - giftCardRedemption.total - storeCreditAmount) * 100) / 100;
+
+    if (giftCardRedemption.total + storeCreditAmount > 0 && amountToCharge <= 0 && provider.checkoutFlow !== 'tender') {
+      return rejectCheckout(400, storeCreditAmount > 0
+        ? 'Your store credit covers this order, so no other payment is needed'
+        : 'Your gift cards cover this order, so no other payment is needed');
+    }
+
+    // Verify (and capture) the payment against the server-computed total
+    if (paidAtCheckout) {
+      try {
+        payment = await provider.capture({ totalAmount: amountToCharge }, req.body);
+      } catch (paymentError) {
+        await session.abortTransaction();
+        await inventoryReservationService.releaseCart(cart._id);
+        return res.status(paymentError.statusCode || 503).json({
+          success: false,
+          error: paymentError.statusCode ? paymentError.message : `Unable to verify ${provider.name} payment. Please try again.`
+        });
+      }
+    }
 
-    // Set PayPal payment method details
     const paymentMethodDetails = {
-      type: 'paypal',
-      name: 'PayPal'
-    };
-    
-    const paymentDetails = {
-      paypalOrderId: paypalOrderId
+      type: provider.type,
+      name: provider.name
     };
 
     // Create the order
     const newOrder = new Order({
-      userId: req.user._id,
-      customerEmail: req.user.email,
+      _id: orderId,
+      userId: req.user?._id || null,
+      customerEmail,
       items: orderItems,
       subtotal: cartTotal,
       tax: 0, // Tax calculation can be added later
       shipping: shippingCost,
       totalAmount: orderTotal,
+      currency: currency.code,
+      exchangeRate: currency.exchangeRate,
+      presentment: {
+        subtotal: currencyService.round(presentmentSubtotal, currency),
+        shipping: presentmentShipping,
+        discountAmount: presentmentDiscount,
+        totalAmount: currencyService.round(presentmentSubtotal + presentmentShipping - presentmentDiscount, currency)
+      },
+      promotionCode: promotion?.code,
+      promotionId: promotion?._id,
+      discountAmount,
+      balanceDue,
+      giftCards: giftCardRedemption.giftCards,
+      giftCardAmount: giftCardRedemption.total,
+      storeCreditAmount,
+      orderDate,
+      estimatedDeliveryDate: getEstimatedDeliveryDate(orderItems, shippingMethod),
       shippingAddress: {
         fullName: `${shippingAddress.firstName} ${shippingAddress.lastName}`,
         addressLine1: shippingAddress.addressLine1,
@@ -398,24 +596,28 @@ export const placeOrder = async (req, res) => {
         estimatedDelivery: shippingMethod.estimatedDelivery
       },
       paymentMethod: paymentMethodDetails,
-      paymentDetails: paymentDetails,
-      paymentStatus: 'completed',
-      status: 'processing'
+      paymentDetails: payment?.paymentDetails || {},
+      paymentStatus: payment ? 'completed' : 'pending',
+      status: payment ? 'processing' : 'pending',
+      // Stock taken above is held until the payment completes or expires
+      stockReservedAt: payment ? undefined : new Date()
     });
 
     await newOrder.save({ session });
+    await stockLedgerService.recordOrder(newOrder, 'sale', -1, { userId: req.user?._id, session });
 
-    // Clear the user's cart
-    if (req.user._id) {
+    // Clear the user's cart, along with the promotion used on it
+    const clearedCart = { items: [], $unset: { promotionCode: 1, promotionId: 1 } };
+    if (req.user?._id) {
       await Cart.findOneAndUpdate(
         { userId: req.user._id },
-        { items: [] },
+        clearedCart,
         { session }
       );
     } else if (req.cookies.cartSessionId) {
       await Cart.findOneAndUpdate(
         { sessionId: req.cookies.cartSessionId },
-        { items: [] },
+        clearedCart,
         { session }
       );
     }
@@ -423,8 +625,29 @@ export const placeOrder = async (req, res) => {
     // Commit the transaction
     await session.commitTransaction();
 
-    // TODO: Send order confirmation email
-    console.log(`Order ${newOrder.orderNumber} placed successfully for user ${req.user.email}`);
+    // The order holds the stock now
+    await inventoryReservationService.releaseCart(cart._id);
+    await cartRecoveryService.handleOrderPlaced(cart._id, newOrder);
+
+    // Gift cards bought on the order are issued once it is paid; orders
+    // paid later issue theirs when the payment completes
+    if (payment) {
+      await giftCardService.issueForOrder(newOrder);
+    }
+
+    console.log(`Order ${newOrder.orderNumber} placed successfully for ${req.user ? 'user' : 'guest'} ${customerEmail}`);
+
+    // Send confirmation email
+    try {
+      if (req.user) {
+        await emailService.sendOrderConfirmationEmail(newOrder);
+      } else {
+        await guestOrderService.sendOrderConfirmation(newOrder);
+      }
+    } catch (emailError) {
+      console.error('Failed to send order confirmation email:', emailError);
+      // Don't fail the order if email fails
+    }
 
     res.status(201).json({
       success: true,
@@ -432,13 +655,44 @@ export const placeOrder = async (req, res) => {
         orderId: newOrder._id,
         orderNumber: newOrder.orderNumber,
         orderTotal: orderTotal,
-        estimatedDelivery: shippingMethod.estimatedDelivery
+        discountAmount,
+        amountPaid: payment ? amountDueNow : 0,
+        giftCardAmount: giftCardRedemption.total,
+        storeCreditAmount,
+        balanceDue,
+        estimatedDelivery: shippingMethod.estimatedDelivery,
+        estimatedDeliveryDate: newOrder.estimatedDeliveryDate || null,
+        // Where the customer pays when the order was placed unpaid
+        paymentPath: payment ? null : provider.getPaymentPath(newOrder._id),
+        // Lets a guest see the order straight away; only the emailed link
+        // can create an account from it
+        guestOrderToken: req.user ? null : guestOrderService.createLookupToken(newOrder)
       }
     });
 
   } catch (error) {
     await session.abortTransaction();
     console.error('Place order error:', error);
+
+    // Another request saved an order for this provider payment first
+    if (error.code === 11000 && checkoutReference && Object.keys(checkoutReference).some(key => error.keyPattern?.[key])) {
+      return res.status(409).json({
+        success: false,
+        error: `This ${provider.name} order has already been used`
+      });
+    }
+
+    // No order references the funds captured above or in the browser, so
+    // return them in full
+    if (payment?.captured) {
+      try {
+        await provider.refund({ paymentDetails: payment.paymentDetails });
+      } catch (refundError) {
+        console.error(`${provider.name} refund error:`, refundError);
+      }
+    } else if (capturedAtCheckout && !payment) {
+      await provider.releaseCheckout(req.body);
+    }
     
     if (error.name === 'ValidationError') {
       return res.status(400).json({
@@ -494,8 +748,21 @@ export const cancelOrder = async (req, res) => {
       });
     }
 
-    // Update order status to cancelled
+    // Gift cards bought on the order are issued as soon as it is paid; once
+    // one has been spent, refunding the order would pay for it twice
+    if (order.items.some(item => item.giftCard)) {
+      const spent = await giftCardService.getSpentForOrder(order, { session });
+      if (spent > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'A gift card bought on this order has been used, so the order can no longer be cancelled'
+        });
+      }
+    }
+
+    // Update order status to cancelled; its stock is restored below
     order.status = 'cancelled';
+    order.stockReservedAt = undefined;
     if (process.env.NODE_ENV === 'test') {
       // In test environment, save without session to avoid MongoDB session issues
       await order.save();
@@ -505,42 +772,68 @@ export const cancelOrder = async (req, res) => {
 
     // Restore stock for all items in the order
     for (const item of order.items) {
-      await Product.findByIdAndUpdate(
-        item.productId,
-        { $inc: { stockQuantity: item.quantity } },
-        { session }
-      );
+      // Pre-order and made-to-order items were never taken from stock
+      if (item.availabilityMode && item.availabilityMode !== 'stock') {
+        continue;
+      }
+
+      if (item.variantId) {
+        await Product.updateOne(
+          { _id: item.productId, 'variants._id': item.variantId },
+          { $inc: { 'variants.$.stockQuantity': item.quantity, stockQuantity: item.quantity } },
+          { session }
+        );
+      } else {
+        await Product.findByIdAndUpdate(
+          item.productId,
+          { $inc: { stockQuantity: item.quantity } },
+          { session }
+        );
+      }
+    }
+    await stockLedgerService.recordOrder(order, 'cancellation', 1, { userId: req.user._id, session });
+
+    // Put gift card payments back on the cards and store credit back in the
+    // wallet, and void any cards the order bought; the provider refunds the rest
+    if (order.giftCards?.length > 0 || order.storeCreditAmount > 0 || order.items.some(item => item.giftCard)) {
+      await giftCardService.restoreForOrder(order, { userId: req.user._id, session });
+      await giftCardService.voidForOrder(order, { userId: req.user._id, session });
+      await storeCreditService.restoreForOrder(order, { userId: req.user._id, session });
+      if (process.env.NODE_ENV === 'test') {
+        await order.save();
+      } else {
+        await order.save({ session });
+      }
     }
 
-    // Initiate refund if payment was processed
+    // Refund through the provider the order was paid with
     let refundDetails = null;
-    if (order.paymentStatus === 'completed' && order.paymentDetails?.paypalOrderId) {
+    if (order.paymentStatus === 'completed') {
       try {
-        // PayPal refund would be handled through PayPal SDK
-        const refund = {
-          id: `PAYPAL-REFUND-${Date.now()}`,
-          amount: order.totalAmount,
-          status: 'pending',
-          reason: 'requested_by_customer'
-        };
-        
-        refundDetails = {
-          refundId: refund.id,
-          amount: refund.amount,
-          status: refund.status
-        };
-
-        // Update order with refund information
-        order.refundId = refund.id;
-        order.refundStatus = refund.status;
-        if (process.env.NODE_ENV === 'test') {
-          // In test environment, save without session to avoid MongoDB session issues
-          await order.save();
-        } else {
-          await order.save({ session });
+        const provider = await paymentProviderRegistry.getProviderForOrder(order);
+
+        if (provider.supportsRefunds) {
+          const refund = await provider.refund(order, { amount: order.getCheckoutAmount() });
+
+          refundDetails = {
+            refundId: refund.refundId,
+            amount: refund.amount,
+            status: refund.status
+          };
+
+          // Update order with refund information
+          order.refundId = refund.refundId;
+          order.refundStatus = refund.status === 'succeeded' ? 'fully_refunded' : 'pending_refund';
+          order.totalRefundedAmount = refund.amount;
+          if (process.env.NODE_ENV === 'test') {
+            // In test environment, save without session to avoid MongoDB session issues
+            await order.save();
+          } else {
+            await order.save({ session });
+          }
         }
-      } catch (paypalError) {
-        console.error('PayPal refund error:', paypalError);
+      } catch (refundError) {
+        console.error('Refund error:', refundError);
         // Don't fail the entire cancellation if refund fails
         refundDetails = { error: 'Refund initiation failed' };
       }
@@ -548,6 +841,9 @@ export const cancelOrder = async (req, res) => {
 
     await session.commitTransaction();
 
+    // Give back the promotion use the order took
+    await unpaidOrderService.releasePromotion(order);
+
     // Send cancellation email
     try {
       await emailService.sendOrderCancellationEmail(order, refundDetails);
@@ -580,10 +876,103 @@ export const cancelOrder = async (req, res) => {
   }
 };
 
+// Put the items of an order cancelled for non-payment back in the cart
+export const retryExpiredOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    // Validate orderId
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid order ID'
+      });
+    }
+
+    const order = await Order.findOne({
+      _id: orderId,
+      customerEmail: req.user.email
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    if (order.status !== 'cancelled' || order.paymentStatus !== 'expired') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only orders cancelled for non-payment can be checked out again'
+      });
+    }
+
+    const products = await Product.find({
+      _id: { $in: order.items.map(item => item.productId) },
+      isActive: true
+    });
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    let cart = await Cart.findByUserId(req.user._id);
+    if (!cart) {
+      cart = new Cart({ userId: req.user._id });
+    }
+
+    const reserved = await inventoryReservationService.getReservedStock(
+      products.map(product => product._id),
+      { excludeCartId: cart._id }
+    );
+
+    // Items no longer sold, or without the stock, are left out
+    const unavailableItems = [];
+    for (const item of order.items) {
+      const product = productMap.get(item.productId.toString());
+      const variant = product && item.variantId ? product.getVariant(item.variantId) : null;
+      const inCart = cart.items.find(line =>
+        line.productId.toString() === item.productId.toString() &&
+        String(line.variantId || '') === String(item.variantId || '')
+      )?.quantity || 0;
+
+      if (!product || (item.variantId && !variant?.isActive)
+        || inventoryReservationService.getAvailableStock(product, variant, reserved) < inCart + item.quantity) {
+        unavailableItems.push(item.productName);
+        continue;
+      }
+
+      cart.addItem(product, item.quantity, variant, item.giftCard || null);
+    }
+
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: unavailableItems.length === order.items.length
+        ? 'None of the items from this order are available any more'
+        : 'Items from your order are back in your cart',
+      data: {
+        cart: {
+          totalItems: cart.totalItems,
+          totalAmount: cart.totalAmount,
+          itemCount: cart.items.length
+        },
+        unavailableItems
+      }
+    });
+
+  } catch (error) {
+    console.error('Retry expired order error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error occurred while restoring order items'
+    });
+  }
+};
+
 // Get eligible items for return from a specific order
 export const getEligibleReturnItems = async (req, res) => {
   try {
-    const { orderId } = req.params;
+    const orderId = req.guestOrder?.orderId || req.params.orderId;
 
     // Validate orderId
     if (!mongoose.Types.ObjectId.isValid(orderId)) {
@@ -596,7 +985,7 @@ export const getEligibleReturnItems = async (req, res) => {
     // Find the order and verify ownership
     const order = await Order.findOne({ 
       _id: orderId, 
-      customerEmail: req.user.email 
+      customerEmail: req.guestOrder?.email || req.user.email 
     });
 
     if (!order) {
@@ -677,8 +1066,7 @@ export const getEligibleReturnItems = async (req, res) => {
 // Get order tracking information
 export const getOrderTracking = async (req, res) => {
   try {
-    const userId = req.user._id;
-    const { orderId } = req.params;
+    const orderId = req.guestOrder?.orderId || req.params.orderId;
 
     // Validate order ID format
     if (!mongoose.Types.ObjectId.isValid(orderId)) {
@@ -689,10 +1077,7 @@ export const getOrderTracking = async (req, res) => {
     }
 
     // Find order by ID and ensure it belongs to the authenticated user
-    const order = await Order.findOne({ 
-      _id: orderId, 
-      userId 
-    });
+    const order = await Order.findOne(getOrderOwnerFilter(req, orderId));
 
     if (!order) {
       return res.status(404).json({
@@ -144,14 +144,15 @@ export const getReturnRequestDetails = async (req, res) => {
   }
 };
 
-// Submit a return request
+// Submit a return request (guests submit one for the order their order link was issued for)
 export const submitReturnRequest = async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    const userId = req.user._id;
-    const { orderId, items, images = [] } = req.body;
+    const { items, images = [] } = req.body;
+    const orderId = req.guestOrder?.orderId || req.body.orderId;
+    const customerEmail = req.guestOrder?.email || req.user.email;
 
     // Validate required fields
     if (!orderId || !items || !Array.isArray(items) || items.length === 0) {
@@ -172,7 +173,7 @@ export const submitReturnRequest = async (req, res) => {
     // Find the order and verify ownership
     const order = await Order.findOne({
       _id: orderId,
-      customerEmail: req.user.email
+      customerEmail
     }).session(session);
 
     if (!order) {
@@ -258,6 +259,7 @@ export const submitReturnRequest = async (req, res) => {
         productId: orderItem.productId,
         productName: orderItem.productName,
         productSlug: orderItem.productSlug,
+        variantId: orderItem.variantId || null,
         quantity: parseInt(quantity),
         unitPrice: orderItem.unitPrice,
         totalRefundAmount: orderItem.unitPrice * parseInt(quantity),
@@ -270,8 +272,8 @@ export const submitReturnRequest = async (req, res) => {
     const returnRequest = new ReturnRequest({
       orderId: order._id,
       orderNumber: order.orderNumber,
-      userId,
-      customerEmail: req.user.email,
+      userId: req.user?._id || order.userId || null,
+      customerEmail,
       items: validatedItems,
       images: images.map(img => ({
         url: img.url || '',
@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+import WebhookEvent from '../models/WebhookEvent.js';
+import webhookEventService from '../services/webhookEventService.js';
+import { webhookProcessors } from './paymentController.js';
+
+const PROVIDERS = ['paypal', 'stripe', 'blockonomics', 'btcpay', 'globee'];
+const STATUSES = ['processing', 'processed', 'ignored', 'failed', 'rejected'];
+
+// List received webhook events, newest first, without their payloads (admin only)
+export const getWebhookEvents = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const { provider, status } = req.query;
+
+    const filter = {};
+    if (provider && PROVIDERS.includes(provider)) {
+      filter.provider = provider;
+    }
+    if (status && STATUSES.includes(status)) {
+      filter.status = status;
+    }
+
+    const [events, totalEvents] = await Promise.all([
+      WebhookEvent.find(filter)
+        .select('-payload -rawBody -headers')
+        .sort({ receivedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookEvent.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalEvents / limit);
+
+    res.json({
+      success: true,
+      data: {
+        events: events.map(event => ({ ...event.toObject(), canReplay: event.canReplay() })),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalEvents,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get webhook events error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching webhook events'
+    });
+  }
+};
+
+// Get one webhook event with its payload and headers (admin only)
+export const getWebhookEventById = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook event ID format'
+      });
+    }
+
+    const event = await WebhookEvent.findById(eventId)
+      .populate('replays.replayedBy', 'firstName lastName email');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { event }
+    });
+
+  } catch (error) {
+    console.error('Get webhook event error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching webhook event'
+    });
+  }
+};
+
+// Re-process a failed webhook event from its stored payload (admin only)
+export const replayWebhookEvent = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook event ID format'
+      });
+    }
+
+    const event = await WebhookEvent.findById(eventId);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook event not found'
+      });
+    }
+
+    if (!event.canReplay()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only failed or abandoned webhook events with a valid signature can be re-processed'
+      });
+    }
+
+    const replayed = await webhookEventService.replay(event, webhookProcessors[event.provider], req.user._id);
+
+    res.json({
+      success: true,
+      message: replayed.status === 'failed'
+        ? 'Webhook event failed again'
+        : 'Webhook event re-processed',
+      data: { event: replayed }
+    });
+
+  } catch (error) {
+    console.error('Replay webhook event error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while re-processing webhook event'
+    });
+  }
+};
@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import { isTokenBlacklisted } from '../controllers/authController.js';
+import guestOrderService from '../services/guestOrderService.js';
 import { logError } from '../utils/logger.js';
 
 export const authenticate = async (req, res, next) => {
@@ -119,4 +120,26 @@ export const optionalAuth = async (req, res, next) => {
     // Ignore token errors for optional auth
     next();
   }
-};
\ No newline at end of file
+};
+
+// Guest order links - the signed token in the URL stands in for an account
+// and gives access to the one order it was issued for
+export const authenticateGuestOrder = (req, res, next) => {
+  try {
+    req.guestOrder = guestOrderService.verifyLookupToken(req.params.token);
+    next();
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logError(error, { context: 'guest_order_authentication' });
+    res.status(500).json({
+      success: false,
+      error: 'Server error during authentication.'
+    });
+  }
+};
@@ -38,15 +38,15 @@ export const dynamicCSP = (req, res, next) => {
   // Build CSP header with dynamic nonce
   const cspDirectives = [
     'default-src \'self\'',
-    `script-src 'self' 'nonce-${nonce}' https://www.paypal.com https://www.paypalobjects.com https://js.paypal.com`,
+    `script-src 'self' 'nonce-${nonce}' https://www.paypal.com https://www.paypalobjects.com https://js.paypal.com https://js.stripe.com`,
     'style-src \'self\' \'unsafe-inline\' https://fonts.googleapis.com https://cdn.jsdelivr.net',
     'font-src \'self\' https://fonts.gstatic.com https://cdn.jsdelivr.net',
     'img-src \'self\' data: https: blob: https://www.paypal.com https://www.paypalobjects.com',
     'object-src \'none\'',
     'media-src \'self\' blob: data:',
-    'frame-src \'none\' https://www.paypal.com https://www.sandbox.paypal.com',
+    'frame-src \'none\' https://www.paypal.com https://www.sandbox.paypal.com https://js.stripe.com https://hooks.stripe.com',
     'frame-ancestors \'none\'',
-    'connect-src \'self\' https://api.paypal.com https://api.sandbox.paypal.com https://api.coingecko.com https://www.blockonomics.co https://globee.com wss:',
+    'connect-src \'self\' https://api.paypal.com https://api.sandbox.paypal.com https://api.stripe.com https://api.coingecko.com https://www.blockonomics.co https://globee.com wss:',
     'base-uri \'self\'',
     'form-action \'self\'',
     'manifest-src \'self\'',
@@ -223,18 +223,18 @@ export const routeSpecificCSP = {
   },
   
   /**
-   * Payment-specific CSP allowing PayPal integration
+   * Payment-specific CSP allowing PayPal and Stripe integration
    */
   payment: (req, res, next) => {
     const nonce = req.nonce || generateNonce();
     
     const paymentCSP = [
       'default-src \'self\'',
-      `script-src 'self' 'nonce-${nonce}' https://www.paypal.com https://www.paypalobjects.com https://js.paypal.com`,
+      `script-src 'self' 'nonce-${nonce}' https://www.paypal.com https://www.paypalobjects.com https://js.paypal.com https://js.stripe.com`,
       'style-src \'self\' \'unsafe-inline\' https://www.paypal.com',
       'img-src \'self\' data: https://www.paypal.com https://www.paypalobjects.com',
-      'frame-src https://www.paypal.com https://www.sandbox.paypal.com',
-      'connect-src \'self\' https://api.paypal.com https://api.sandbox.paypal.com',
+      'frame-src https://www.paypal.com https://www.sandbox.paypal.com https://js.stripe.com https://hooks.stripe.com',
+      'connect-src \'self\' https://api.paypal.com https://api.sandbox.paypal.com https://api.stripe.com',
       'form-action \'self\' https://www.paypal.com',
       'object-src \'none\'',
       'base-uri \'self\''
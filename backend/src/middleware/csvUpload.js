@@ -0,0 +1,67 @@
+import multer, { memoryStorage } from 'multer';
+import path from 'path';
+
+// Spreadsheet uploads are small and parsed in memory
+const storage = memoryStorage();
+
+const CSV_MIME_TYPES = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+const XLSX_MIME_TYPES = [
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/octet-stream'
+];
+
+// File filter to only allow the given extensions with a matching mimetype
+const createFileFilter = (allowedTypes, label) => (req, file, cb) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  if (allowedTypes[extension]?.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error(`Invalid file type. Only ${label} files are allowed.`), false);
+  }
+};
+
+const createUpload = (fileFilter) => multer({
+  storage,
+  fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  }
+});
+
+// Middleware for a single CSV upload in the "file" field
+export const uploadCsvFile = createUpload(
+  createFileFilter({ '.csv': CSV_MIME_TYPES }, 'CSV')
+).single('file');
+
+// Middleware for a single CSV or XLSX upload in the "file" field
+export const uploadSpreadsheetFile = createUpload(
+  createFileFilter({ '.csv': CSV_MIME_TYPES, '.xlsx': XLSX_MIME_TYPES }, 'CSV or XLSX')
+).single('file');
+
+// Error handling middleware for spreadsheet uploads
+export const handleCsvUploadError = (error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        error: 'File size too large. Maximum size is 5MB.'
+      });
+    }
+
+    return res.status(400).json({
+      success: false,
+      error: `Upload error: ${error.message}`
+    });
+  }
+
+  if (error.message.includes('Invalid file type')) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  next(error);
+};
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { PRODUCT_AVAILABILITY_MODES } from './Product.js';
+import { giftCardDeliverySchema } from './GiftCard.js';
 
 const cartItemSchema = new mongoose.Schema({
   productId: {
@@ -22,6 +24,20 @@ const cartItemSchema = new mongoose.Schema({
     trim: true,
     maxlength: 500
   },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  variantSku: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  variantOptions: [{
+    _id: false,
+    name: String,
+    value: String
+  }],
   unitPrice: {
     type: Number,
     required: [true, 'Unit price is required'],
@@ -37,6 +53,27 @@ const cartItemSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Subtotal is required'],
     min: [0, 'Subtotal cannot be negative']
+  },
+  // Pre-order and made-to-order details as shown when the item was added
+  availabilityMode: {
+    type: String,
+    enum: PRODUCT_AVAILABILITY_MODES,
+    default: 'stock'
+  },
+  expectedShipDate: {
+    type: Date,
+    default: null
+  },
+  // Deposit taken at checkout on each unit; null when paid in full
+  unitDeposit: {
+    type: Number,
+    default: null,
+    min: [0, 'Deposit cannot be negative']
+  },
+  // Recipient of a gift card product; each unit becomes a card for them
+  giftCard: {
+    type: giftCardDeliverySchema,
+    default: null
   }
 });
 
@@ -73,6 +110,12 @@ const cartSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Total amount cannot be negative']
   },
+  // Part of totalAmount left to pay after the deposits taken at checkout
+  balanceDue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Balance due cannot be negative']
+  },
   lastModified: {
     type: Date,
     default: Date.now
@@ -85,6 +128,19 @@ const cartSchema = new mongoose.Schema({
   promotionId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Promotion'
+  },
+  // Email a guest gave at checkout, and whether they agreed to marketing
+  // email such as cart reminders. Account carts use the account's settings.
+  contactEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    maxlength: 255,
+    default: null
+  },
+  marketingOptIn: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
@@ -93,12 +149,20 @@ const cartSchema = new mongoose.Schema({
 // Compound indexes for efficient querying
 cartSchema.index({ userId: 1, updatedAt: -1 });
 cartSchema.index({ sessionId: 1, updatedAt: -1 });
+cartSchema.index({ lastModified: 1 });
+
+// Part of a cart line left to pay after its deposit
+const getItemBalance = (item) =>
+  item.unitDeposit !== null && item.unitDeposit !== undefined
+    ? (item.unitPrice - item.unitDeposit) * item.quantity
+    : 0;
 
 // Pre-save middleware to calculate totals and update lastModified
 cartSchema.pre('save', function(next) {
   // Calculate totals from items
   this.totalItems = this.items.reduce((total, item) => total + item.quantity, 0);
   this.totalAmount = this.items.reduce((total, item) => total + item.subtotal, 0);
+  this.balanceDue = this.items.reduce((total, item) => total + getItemBalance(item), 0);
   this.lastModified = new Date();
   
   // Calculate subtotal for each item
@@ -109,10 +173,17 @@ cartSchema.pre('save', function(next) {
   next();
 });
 
-// Instance method to add item to cart
-cartSchema.methods.addItem = function(productData, quantity = 1) {
+// Check whether a cart line is for the given product and variant
+const isSameLine = (item, productId, variantId = null) =>
+  item.productId.toString() === productId.toString() &&
+  String(item.variantId || '') === String(variantId || '');
+
+// Instance method to add item to cart; giftCard is the recipient of a gift
+// card product, and replaces the one on an existing line
+cartSchema.methods.addItem = function(productData, quantity = 1, variant = null, giftCard = null) {
+  const variantId = variant ? variant._id : null;
   const existingItemIndex = this.items.findIndex(
-    item => item.productId.toString() === productData._id.toString()
+    item => isSameLine(item, productData._id, variantId)
   );
 
   if (existingItemIndex > -1) {
@@ -120,16 +191,33 @@ cartSchema.methods.addItem = function(productData, quantity = 1) {
     this.items[existingItemIndex].quantity += quantity;
     this.items[existingItemIndex].subtotal = 
       this.items[existingItemIndex].unitPrice * this.items[existingItemIndex].quantity;
+    if (giftCard) {
+      this.items[existingItemIndex].giftCard = giftCard;
+    }
   } else {
-    // Add new item
+    // Add new item, preferring variant price and image where set
+    const unitPrice = variant && variant.price !== undefined && variant.price !== null
+      ? variant.price
+      : productData.price;
+    const images = variant && variant.images && variant.images.length > 0
+      ? variant.images
+      : productData.images;
+
     this.items.push({
       productId: productData._id,
       productName: productData.name,
       productSlug: productData.slug,
-      productImage: productData.images && productData.images[0] ? productData.images[0] : null,
-      unitPrice: productData.price,
+      productImage: images && images[0] ? images[0] : null,
+      variantId,
+      variantSku: variant ? variant.sku : undefined,
+      variantOptions: variant ? variant.options.map(({ name, value }) => ({ name, value })) : [],
+      unitPrice,
       quantity: quantity,
-      subtotal: productData.price * quantity
+      subtotal: unitPrice * quantity,
+      availabilityMode: productData.availabilityMode || 'stock',
+      expectedShipDate: productData.getExpectedShipDate ? productData.getExpectedShipDate() : null,
+      unitDeposit: productData.getDepositAmount ? productData.getDepositAmount(unitPrice) : null,
+      giftCard
     });
   }
 
@@ -137,9 +225,9 @@ cartSchema.methods.addItem = function(productData, quantity = 1) {
 };
 
 // Instance method to update item quantity
-cartSchema.methods.updateItemQuantity = function(productId, quantity) {
+cartSchema.methods.updateItemQuantity = function(productId, quantity, variantId = null) {
   const itemIndex = this.items.findIndex(
-    item => item.productId.toString() === productId.toString()
+    item => isSameLine(item, productId, variantId)
   );
 
   if (itemIndex > -1) {
@@ -157,9 +245,9 @@ cartSchema.methods.updateItemQuantity = function(productId, quantity) {
 };
 
 // Instance method to remove item from cart
-cartSchema.methods.removeItem = function(productId) {
+cartSchema.methods.removeItem = function(productId, variantId = null) {
   this.items = this.items.filter(
-    item => item.productId.toString() !== productId.toString()
+    item => !isSameLine(item, productId, variantId)
   );
   return this;
 };
@@ -210,7 +298,7 @@ cartSchema.statics.mergeGuestCart = async function(userId, sessionId) {
   // Merge items from guest cart into user cart
   for (const guestItem of guestCart.items) {
     const existingItemIndex = userCart.items.findIndex(
-      item => item.productId.toString() === guestItem.productId.toString()
+      item => isSameLine(item, guestItem.productId, guestItem.variantId)
     );
 
     if (existingItemIndex > -1) {
@@ -0,0 +1,144 @@
+import mongoose from 'mongoose';
+
+export const CART_RECOVERY_STATUSES = ['active', 'recovered', 'closed', 'unsubscribed'];
+
+// One run of reminder emails for an abandoned cart. Kept apart from the cart,
+// which is cleared at checkout and deleted when old, so recovery rates can
+// still be reported afterwards.
+const cartRecoverySchema = new mongoose.Schema({
+  cartId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart',
+    required: [true, 'Cart is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    maxlength: 255
+  },
+  // Sent in every reminder to build the restore and unsubscribe links
+  token: {
+    type: String,
+    required: true
+  },
+  // active while reminders may still be sent or lead to an order; closed
+  // once the attribution window passes without one
+  status: {
+    type: String,
+    enum: CART_RECOVERY_STATUSES,
+    default: 'active'
+  },
+  remindersSent: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastReminderAt: {
+    type: Date,
+    default: null
+  },
+  // Cart as of the latest reminder
+  cartValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  itemCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Single-use discount offered in the later reminders, if any
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    default: null
+  },
+  promotionCode: {
+    type: String,
+    default: null
+  },
+  // First time the restore link was followed
+  restoredAt: {
+    type: Date,
+    default: null
+  },
+  recoveredAt: {
+    type: Date,
+    default: null
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  recoveredAmount: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  unsubscribedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.token;
+      return ret;
+    }
+  }
+});
+
+cartRecoverySchema.index({ cartId: 1, status: 1 });
+cartRecoverySchema.index({ token: 1 }, { unique: true });
+cartRecoverySchema.index({ status: 1, lastReminderAt: 1 });
+cartRecoverySchema.index({ createdAt: 1 });
+
+// Reminder runs started in a period, with how many ended in an order.
+// Runs whose first reminder never went out are left out.
+cartRecoverySchema.statics.summarize = function(start, end) {
+  return this.aggregate([
+    { $match: { createdAt: { $gte: start, $lte: end }, remindersSent: { $gt: 0 } } },
+    {
+      $group: {
+        _id: null,
+        cartsReminded: { $sum: 1 },
+        remindersSent: { $sum: '$remindersSent' },
+        abandonedValue: { $sum: '$cartValue' },
+        linksFollowed: { $sum: { $cond: [{ $ne: ['$restoredAt', null] }, 1, 0] } },
+        discountsOffered: { $sum: { $cond: [{ $ne: ['$promotionId', null] }, 1, 0] } },
+        unsubscribed: { $sum: { $cond: [{ $eq: ['$status', 'unsubscribed'] }, 1, 0] } },
+        recovered: { $sum: { $cond: [{ $eq: ['$status', 'recovered'] }, 1, 0] } },
+        recoveredRevenue: { $sum: { $cond: [{ $eq: ['$status', 'recovered'] }, '$recoveredAmount', 0] } }
+      }
+    }
+  ]);
+};
+
+// Recovered runs by how many reminders had gone out before the order
+cartRecoverySchema.statics.summarizeRecoveredByReminder = function(start, end) {
+  return this.aggregate([
+    { $match: { createdAt: { $gte: start, $lte: end }, status: 'recovered' } },
+    {
+      $group: {
+        _id: '$remindersSent',
+        recovered: { $sum: 1 },
+        recoveredRevenue: { $sum: '$recoveredAmount' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+};
+
+const CartRecovery = mongoose.model('CartRecovery', cartRecoverySchema);
+
+export default CartRecovery;
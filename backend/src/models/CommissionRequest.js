@@ -0,0 +1,222 @@
+import mongoose from 'mongoose';
+
+export const COMMISSION_STATUSES = ['submitted', 'quoted', 'accepted', 'declined', 'rejected', 'cancelled'];
+
+// Statuses an admin can (re)quote from
+export const QUOTABLE_STATUSES = ['submitted', 'quoted', 'declined'];
+
+// Statuses that end the request; nothing more can be said or done on it
+export const CLOSED_STATUSES = ['rejected', 'cancelled'];
+
+// An uploaded reference image, as saved by the image upload middleware
+const commissionImageSchema = new mongoose.Schema({
+  _id: false,
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  thumbnailUrl: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  originalName: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  }
+});
+
+const commissionMessageSchema = new mongoose.Schema({
+  author: {
+    type: String,
+    required: true,
+    enum: ['customer', 'admin']
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  body: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true,
+    maxlength: 2000
+  },
+  images: {
+    type: [commissionImageSchema],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A custom piece a customer asks to have made. Admins reply with a priced
+// quote; when the customer accepts it the piece becomes a one-off product
+// only they can buy, and is put in their cart.
+const commissionRequestSchema = new mongoose.Schema({
+  requestNumber: {
+    type: String,
+    unique: true,
+    trim: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  customerEmail: {
+    type: String,
+    required: [true, 'Customer email is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: 255
+  },
+  customerName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: 120
+  },
+  brief: {
+    type: String,
+    required: [true, 'Brief is required'],
+    trim: true,
+    maxlength: 5000
+  },
+  // What the customer hopes to spend, if they said
+  budget: {
+    type: Number,
+    min: [0, 'Budget cannot be negative']
+  },
+  referenceImages: {
+    type: [commissionImageSchema],
+    default: [],
+    validate: {
+      validator: images => images.length <= 10,
+      message: 'No more than 10 reference images can be attached'
+    }
+  },
+  status: {
+    type: String,
+    enum: {
+      values: COMMISSION_STATUSES,
+      message: `Status must be one of: ${COMMISSION_STATUSES.join(', ')}`
+    },
+    default: 'submitted',
+    index: true
+  },
+  // The latest quote; earlier ones are recorded in the status history
+  quote: {
+    price: {
+      type: Number,
+      min: [0.01, 'Quoted price must be greater than zero']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 2000
+    },
+    leadTimeDays: {
+      type: Number,
+      min: 0,
+      max: 365
+    },
+    validUntil: {
+      type: Date
+    },
+    quotedAt: {
+      type: Date
+    },
+    quotedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  messages: {
+    type: [commissionMessageSchema],
+    default: []
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true,
+      enum: COMMISSION_STATUSES
+    },
+    timestamp: {
+      type: Date,
+      required: true,
+      default: Date.now
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  }],
+  // The one-off product made from the accepted quote
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null
+  },
+  acceptedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+commissionRequestSchema.index({ userId: 1, createdAt: -1 });
+commissionRequestSchema.index({ status: 1, updatedAt: -1 });
+
+// Pre-save middleware to generate the request number and record the first status
+commissionRequestSchema.pre('save', function(next) {
+  if (!this.requestNumber) {
+    const timestamp = Date.now().toString().slice(-8);
+    const randomSuffix = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    this.requestNumber = `COM-${timestamp}-${randomSuffix}`;
+  }
+
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, timestamp: new Date(), note: 'Request submitted' });
+  }
+
+  next();
+});
+
+// Instance method to move to a new status, recording it in the history
+commissionRequestSchema.methods.setStatus = function(status, note) {
+  this.status = status;
+  this.statusHistory.push({ status, timestamp: new Date(), note });
+};
+
+// Instance method to add to the message thread
+commissionRequestSchema.methods.addMessage = function(author, authorId, body, images = []) {
+  this.messages.push({ author, authorId, body, images, createdAt: new Date() });
+  return this.messages[this.messages.length - 1];
+};
+
+// Instance method to check if the current quote can no longer be accepted
+commissionRequestSchema.methods.isQuoteExpired = function(now = new Date()) {
+  return Boolean(this.quote?.validUntil) && this.quote.validUntil < now;
+};
+
+// Instance method to check if the request has been closed without a sale
+commissionRequestSchema.methods.isClosed = function() {
+  return CLOSED_STATUSES.includes(this.status);
+};
+
+const CommissionRequest = mongoose.model('CommissionRequest', commissionRequestSchema);
+
+export default CommissionRequest;
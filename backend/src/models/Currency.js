@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// Every order is paid and reported in the settlement currency; the others
+// are presentment currencies customers can browse and check out in
+export const SETTLEMENT_CURRENCY = 'GBP';
+
+export const CURRENCY_RATE_SOURCES = ['manual', 'automatic'];
+
+const currencySchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Currency code is required'],
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a valid ISO 4217 currency code'],
+    validate: {
+      validator: code => code !== SETTLEMENT_CURRENCY,
+      message: `${SETTLEMENT_CURRENCY} is the settlement currency and is always available`
+    }
+  },
+  name: {
+    type: String,
+    required: [true, 'Currency name is required'],
+    trim: true,
+    maxlength: 50
+  },
+  symbol: {
+    type: String,
+    trim: true,
+    maxlength: 5,
+    default: ''
+  },
+  // Units of this currency per 1 GBP
+  exchangeRate: {
+    type: Number,
+    required: [true, 'Exchange rate is required'],
+    min: [0.000001, 'Exchange rate must be greater than zero']
+  },
+  // manual rates are only changed by an admin; automatic ones are
+  // refreshed from the configured rate source
+  rateSource: {
+    type: String,
+    enum: CURRENCY_RATE_SOURCES,
+    default: 'manual'
+  },
+  rateUpdatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  decimalPlaces: {
+    type: Number,
+    min: 0,
+    max: 3,
+    default: 2
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+currencySchema.index({ code: 1 }, { unique: true });
+currencySchema.index({ isActive: 1 });
+
+const Currency = mongoose.model('Currency', currencySchema);
+
+export default Currency;
@@ -0,0 +1,244 @@
+import mongoose from 'mongoose';
+import { generateCode, normalizeCode } from '../utils/codes.js';
+
+export const GIFT_CARD_STATUSES = ['active', 'voided'];
+
+export const GIFT_CARD_TRANSACTION_TYPES = ['issue', 'redeem', 'refund', 'void'];
+
+// Who a gift card is for and when it is emailed to them. Kept on the cart
+// line and order item a card is bought on, and on the card itself.
+export const giftCardDeliverySchema = new mongoose.Schema({
+  recipientName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  recipientEmail: {
+    type: String,
+    required: [true, 'Recipient email is required'],
+    lowercase: true,
+    trim: true,
+    maxlength: 255,
+    match: [
+      /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+      'Please enter a valid email address'
+    ]
+  },
+  senderName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Emailed on this date; straight away when it has passed
+  deliveryDate: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// One change to a card's balance. Amounts are signed: issues and refunds
+// add to the balance, redemptions and voids take from it.
+const giftCardTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: GIFT_CARD_TRANSACTION_TYPES
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A stored-value card spent at checkout by its code. Cards are bought as
+// gift card products, issued when the order is paid and emailed to the
+// recipient, or issued by an admin. Every change to the balance is kept in
+// the card's transaction ledger.
+const giftCardSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+  initialValue: {
+    type: Number,
+    required: [true, 'Gift card value is required'],
+    min: [0.01, 'Gift card value must be greater than 0']
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: [0, 'Gift card balance cannot be negative']
+  },
+  // Balances are held in the settlement currency
+  currency: {
+    type: String,
+    default: 'GBP'
+  },
+  status: {
+    type: String,
+    enum: GIFT_CARD_STATUSES,
+    default: 'active'
+  },
+  source: {
+    type: String,
+    enum: ['purchase', 'admin'],
+    required: true
+  },
+  // The order and item a purchased card was bought on; unitIndex tells
+  // apart the cards bought on one line
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  orderItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  unitIndex: {
+    type: Number,
+    default: null
+  },
+  purchaserEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    maxlength: 255
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Unset for cards an admin hands over themselves
+  delivery: {
+    type: giftCardDeliverySchema,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  deliveryAttempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  transactions: {
+    type: [giftCardTransactionSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// One card per unit bought, however often issuing is retried
+giftCardSchema.index(
+  { orderId: 1, orderItemId: 1, unitIndex: 1 },
+  { unique: true, partialFilterExpression: { orderId: { $type: 'objectId' } } }
+);
+giftCardSchema.index({ status: 1, deliveredAt: 1, 'delivery.deliveryDate': 1 });
+giftCardSchema.index({ 'delivery.recipientEmail': 1 });
+giftCardSchema.index({ createdAt: -1 });
+
+// Instance method to check if the card has passed its expiry date
+giftCardSchema.methods.isExpired = function() {
+  return Boolean(this.expiresAt) && new Date() > this.expiresAt;
+};
+
+// Instance method to check if the card can pay for an order
+giftCardSchema.methods.isRedeemable = function() {
+  return this.status === 'active' && !this.isExpired() && this.balance > 0;
+};
+
+// Instance method to show the code in groups of four, as printed in emails
+giftCardSchema.methods.getDisplayCode = function() {
+  return this.code.match(/.{1,4}/g).join('-');
+};
+
+// Static method to find a card by its code as a customer typed it
+giftCardSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: normalizeCode(code) });
+};
+
+// Static method to generate a gift card code
+giftCardSchema.statics.generateGiftCardCode = function() {
+  return generateCode('GC', 10);
+};
+
+// Pre-save middleware to generate the code and record the issue
+giftCardSchema.pre('save', function(next) {
+  if (this.isNew) {
+    if (!this.code) {
+      this.code = this.constructor.generateGiftCardCode();
+    }
+    if (this.balance === undefined || this.balance === null) {
+      this.balance = this.initialValue;
+    }
+    if (this.transactions.length === 0) {
+      this.transactions.push({
+        type: 'issue',
+        amount: this.initialValue,
+        balanceAfter: this.balance,
+        orderId: this.orderId,
+        userId: this.issuedBy
+      });
+    }
+  }
+  next();
+});
+
+const GiftCard = mongoose.model('GiftCard', giftCardSchema);
+
+export default GiftCard;
@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import { PAYMENT_PROVIDER_TYPES } from '../services/paymentProviders/index.js';
+import StockMovement from './StockMovement.js';
+import { PRODUCT_AVAILABILITY_MODES } from './Product.js';
+import { giftCardDeliverySchema } from './GiftCard.js';
 
 const orderItemSchema = new mongoose.Schema({
   productId: {
@@ -22,6 +26,20 @@ const orderItemSchema = new mongoose.Schema({
     trim: true,
     maxlength: 500
   },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  variantSku: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  variantOptions: [{
+    _id: false,
+    name: String,
+    value: String
+  }],
   quantity: {
     type: Number,
     required: [true, 'Quantity is required'],
@@ -37,6 +55,40 @@ const orderItemSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Total price is required'],
     min: [0, 'Total price cannot be negative']
+  },
+  // Unit price in the order's presentment currency
+  presentmentUnitPrice: {
+    type: Number,
+    default: null,
+    min: [0, 'Unit price cannot be negative']
+  },
+  // Pre-order and made-to-order items are made for the order rather than
+  // taken from stock, and ship once they are ready
+  availabilityMode: {
+    type: String,
+    enum: PRODUCT_AVAILABILITY_MODES,
+    default: 'stock'
+  },
+  expectedShipDate: {
+    type: Date,
+    default: null
+  },
+  // Deposit taken at checkout for the whole line; null when paid in full
+  depositAmount: {
+    type: Number,
+    default: null,
+    min: [0, 'Deposit cannot be negative']
+  },
+  // Set once a made-to-order item has been made
+  producedAt: {
+    type: Date,
+    default: null
+  },
+  // Recipient of a gift card item; a card is issued for each unit once the
+  // order is paid
+  giftCard: {
+    type: giftCardDeliverySchema,
+    default: null
   }
 });
 
@@ -96,10 +148,12 @@ const orderSchema = new mongoose.Schema({
     trim: true,
     maxlength: 20
   },
+  // Guest orders have no account; they belong to customerEmail until the
+  // guest creates an account from one of them
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'User ID is required'],
+    default: null,
     index: true
   },
   customerEmail: {
@@ -163,6 +217,26 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Discount amount cannot be negative']
   },
+  // The amounts above are GBP, the settlement currency every order is paid
+  // in. The customer shopped in the presentment currency, converted at
+  // exchangeRate (units per 1 GBP) when the order was placed.
+  currency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a valid ISO 4217 currency code'],
+    default: 'GBP'
+  },
+  exchangeRate: {
+    type: Number,
+    min: [0, 'Exchange rate cannot be negative'],
+    default: 1
+  },
+  presentment: {
+    subtotal: { type: Number, min: 0 },
+    shipping: { type: Number, min: 0 },
+    discountAmount: { type: Number, min: 0 },
+    totalAmount: { type: Number, min: 0 }
+  },
   shippingAddress: {
     type: shippingAddressSchema,
     required: [true, 'Shipping address is required']
@@ -198,9 +272,10 @@ const orderSchema = new mongoose.Schema({
     type: {
       type: String,
       required: [true, 'Payment method type is required'],
-      enum: {
-        values: ['paypal', 'bitcoin', 'monero'],
-        message: 'Payment method type must be: paypal, bitcoin, monero'
+      // Any method a payment provider adapter is registered for
+      validate: {
+        validator: type => PAYMENT_PROVIDER_TYPES.includes(type),
+        message: `Payment method type must be: ${PAYMENT_PROVIDER_TYPES.join(', ')}`
       }
     },
     name: {
@@ -237,6 +312,27 @@ const orderSchema = new mongoose.Schema({
       trim: true,
       maxlength: 255
     },
+    // Stripe card payment details
+    stripePaymentIntentId: {
+      type: String,
+      trim: true,
+      maxlength: 255
+    },
+    stripeChargeId: {
+      type: String,
+      trim: true,
+      maxlength: 255
+    },
+    cardBrand: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    },
+    cardLast4: {
+      type: String,
+      trim: true,
+      maxlength: 4
+    },
     // Bitcoin payment details
     bitcoinAddress: {
       type: String,
@@ -272,6 +368,56 @@ const orderSchema = new mongoose.Schema({
       min: 0,
       default: 0
     },
+    // Unset for Blockonomics orders
+    bitcoinBackend: {
+      type: String,
+      enum: ['blockonomics', 'xpub', 'btcpay']
+    },
+    bitcoinAddressIndex: {
+      type: Number,
+      min: 0
+    },
+    bitcoinInvoiceId: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    bitcoinCheckoutUrl: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    // Lightning payment details; the BTC amount and rate are kept in the
+    // bitcoin fields above
+    lightningBackend: {
+      type: String,
+      enum: ['lnd', 'cln']
+    },
+    lightningPaymentHash: {
+      type: String,
+      trim: true,
+      maxlength: 64
+    },
+    // BOLT11 payment request
+    lightningInvoice: {
+      type: String,
+      trim: true,
+      maxlength: 2000
+    },
+    lightningAmountSats: {
+      type: Number,
+      min: 0
+    },
+    lightningInvoiceExpiry: {
+      type: Date
+    },
+    // End of the window in which invoices are re-issued for the order
+    lightningPaymentExpiry: {
+      type: Date
+    },
+    lightningSettledAt: {
+      type: Date
+    },
     // Monero payment details
     moneroAddress: {
       type: String,
@@ -294,6 +440,15 @@ const orderSchema = new mongoose.Schema({
       trim: true,
       maxlength: 100
     },
+    // Unset for GloBee orders
+    moneroBackend: {
+      type: String,
+      enum: ['globee', 'wallet_rpc']
+    },
+    moneroSubaddressIndex: {
+      type: Number,
+      min: 0
+    },
     paymentUrl: {
       type: String,
       trim: true,
@@ -347,6 +502,66 @@ const orderSchema = new mongoose.Schema({
     },
     default: 'pending'
   },
+  // Set while stock is held for an unpaid crypto order; cleared if the
+  // payment expires and the stock is released
+  stockReservedAt: {
+    type: Date
+  },
+  // Part of totalAmount not taken at checkout because items were paid for
+  // with a deposit; it must be paid before the order ships
+  balanceDue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Balance due cannot be negative']
+  },
+  balancePaidAt: {
+    type: Date
+  },
+  balancePaymentReference: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  // Gift cards redeemed against the order at checkout; the payment provider
+  // is charged what they leave to pay. restoredAt is set when a cancelled
+  // order puts the amount back on the card.
+  giftCards: [{
+    _id: false,
+    giftCardId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GiftCard',
+      required: true
+    },
+    code: {
+      type: String,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Gift card amount cannot be negative']
+    },
+    restoredAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  giftCardAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Gift card amount cannot be negative']
+  },
+  // Store credit spent on the order at checkout, after any gift cards;
+  // storeCreditRestoredAt is set when a cancelled order puts it back
+  storeCreditAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Store credit amount cannot be negative']
+  },
+  storeCreditRestoredAt: {
+    type: Date,
+    default: null
+  },
   // Refund information
   refundStatus: {
     type: String,
@@ -397,6 +612,57 @@ const orderSchema = new mongoose.Schema({
         message: 'Refund status must be one of: pending, succeeded, failed, canceled'
       },
       default: 'pending'
+    },
+    // Crypto refunds are sent by hand to an address the customer supplies
+    // through an emailed link; the entry stays pending until the admin
+    // records the outgoing transaction
+    crypto: {
+      currency: {
+        type: String,
+        enum: ['BTC', 'XMR']
+      },
+      // Rate the amount is converted at: the one locked when the order was
+      // paid, or the rate when the customer confirms their address
+      rateBasis: {
+        type: String,
+        enum: ['locked', 'current']
+      },
+      // GBP per 1 BTC/XMR
+      exchangeRate: {
+        type: Number,
+        min: 0
+      },
+      cryptoAmount: {
+        type: Number,
+        min: 0
+      },
+      refundAddress: {
+        type: String,
+        trim: true,
+        maxlength: 106
+      },
+      addressConfirmedAt: {
+        type: Date
+      },
+      // SHA-256 of the token in the customer's link
+      addressTokenHash: {
+        type: String,
+        maxlength: 64
+      },
+      addressRequestedAt: {
+        type: Date
+      },
+      addressRequestExpires: {
+        type: Date
+      },
+      transactionId: {
+        type: String,
+        trim: true,
+        maxlength: 100
+      },
+      sentAt: {
+        type: Date
+      }
     }
   }],
   orderDate: {
@@ -505,6 +771,24 @@ orderSchema.index({ createdAt: 1, orderStatus: 1 }); // For sales reports
 orderSchema.index({ 'cartItems.product': 1, createdAt: 1 }); // For product performance
 orderSchema.index({ orderStatus: 1, createdAt: -1 }); // For order queries
 
+// For the production queue of made-to-order items
+orderSchema.index({ 'items.availabilityMode': 1, status: 1 });
+
+// A PayPal order can only pay for one store order
+orderSchema.index(
+  { 'paymentDetails.paypalOrderId': 1 },
+  { unique: true, partialFilterExpression: { 'paymentDetails.paypalOrderId': { $type: 'string' } } }
+);
+
+// Likewise a Stripe PaymentIntent
+orderSchema.index(
+  { 'paymentDetails.stripePaymentIntentId': 1 },
+  { unique: true, partialFilterExpression: { 'paymentDetails.stripePaymentIntentId': { $type: 'string' } } }
+);
+
+// Customers reach a crypto refund by the token in their link
+orderSchema.index({ 'refundHistory.crypto.addressTokenHash': 1 }, { sparse: true });
+
 // Pre-save middleware to generate order number and calculate total
 orderSchema.pre('save', function(next) {
   // Generate order number if not provided
@@ -566,9 +850,23 @@ orderSchema.methods.getPaymentMethodDisplay = function() {
   return this.paymentMethod.name || this.paymentMethod.type;
 };
 
-// Instance method to calculate maximum refundable amount
+// Instance method to get the amount the payment provider took when the
+// order was paid for, which is less than the total when items were paid
+// for with a deposit, gift cards or store credit
+orderSchema.methods.getCheckoutAmount = function() {
+  return this.totalAmount - (this.balanceDue || 0) - (this.giftCardAmount || 0) - (this.storeCreditAmount || 0);
+};
+
+// Instance method to check if a deposit balance is still to be paid
+orderSchema.methods.hasOutstandingBalance = function() {
+  return this.balanceDue > 0 && !this.balancePaidAt;
+};
+
+// Instance method to calculate maximum refundable amount. Refunds go back
+// through the payment provider, so a deposit balance paid separately is
+// not included.
 orderSchema.methods.getMaxRefundableAmount = function() {
-  return Math.max(0, this.totalAmount - (this.totalRefundedAmount || 0));
+  return Math.max(0, this.getCheckoutAmount() - (this.totalRefundedAmount || 0));
 };
 
 // Instance method to check if order is eligible for refund
@@ -578,6 +876,60 @@ orderSchema.methods.isRefundEligible = function() {
          this.getMaxRefundableAmount() > 0;
 };
 
+// Adjust stock for every item on the order (variant and product totals
+// together) and record the movements in the stock ledger
+const adjustItemStock = async (order, direction, reason, { session } = {}) => {
+  const Product = mongoose.model('Product');
+
+  for (const item of order.items) {
+    // Pre-order and made-to-order items are not taken from stock
+    if (item.availabilityMode && item.availabilityMode !== 'stock') {
+      continue;
+    }
+
+    const quantity = direction * item.quantity;
+    if (item.variantId) {
+      await Product.updateOne(
+        { _id: item.productId, 'variants._id': item.variantId },
+        { $inc: { 'variants.$.stockQuantity': quantity, stockQuantity: quantity } },
+        { session }
+      );
+    } else {
+      await Product.findByIdAndUpdate(
+        item.productId,
+        { $inc: { stockQuantity: quantity } },
+        { session }
+      );
+    }
+  }
+
+  await StockMovement.recordOrder(order, reason, direction, { session });
+};
+
+// Instance method to hold stock while a crypto payment is outstanding;
+// returns false if the order already holds it
+orderSchema.methods.reserveStock = async function(options = {}) {
+  if (this.stockReservedAt) {
+    return false;
+  }
+
+  await adjustItemStock(this, -1, 'sale', options);
+  this.stockReservedAt = new Date();
+  return true;
+};
+
+// Instance method to return held stock once a payment has expired;
+// returns false if the order holds none
+orderSchema.methods.releaseStock = async function(options = {}) {
+  if (!this.stockReservedAt) {
+    return false;
+  }
+
+  await adjustItemStock(this, 1, 'cancellation', options);
+  this.stockReservedAt = undefined;
+  return true;
+};
+
 // Static method to find orders by user with pagination
 orderSchema.statics.findByUser = function(userId, options = {}) {
   const {
@@ -41,7 +41,7 @@ const paymentSchema = new mongoose.Schema({
   paymentMethod: {
     type: String,
     required: [true, 'Payment method is required'],
-    enum: ['paypal', 'bitcoin', 'monero'],
+    enum: ['paypal', 'bitcoin', 'lightning', 'monero'],
     lowercase: true
   },
   
@@ -63,7 +63,7 @@ const paymentSchema = new mongoose.Schema({
   status: {
     type: String,
     required: [true, 'Payment status is required'],
-    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded', 'partially_refunded'],
+    enum: ['pending', 'processing', 'underpaid', 'completed', 'failed', 'cancelled', 'refunded', 'partially_refunded'],
     default: 'pending',
     lowercase: true
   },
@@ -143,6 +143,13 @@ const paymentSchema = new mongoose.Schema({
     default: 0
   },
   
+  // Lightning specific fields; the amount is kept in bitcoinAmount
+  lightningPaymentHash: {
+    type: String,
+    trim: true,
+    maxlength: 64
+  },
+  
   // Monero specific fields
   moneroAddress: {
     type: String,
@@ -192,6 +199,99 @@ const paymentSchema = new mongoose.Schema({
     default: 0
   },
   
+  // Exchange rate locked when a crypto payment is created; payments are
+  // matched against cryptoAmount until expiresAt
+  rateQuote: {
+    fiatAmount: {
+      type: Number,
+      min: 0
+    },
+    fiatCurrency: {
+      type: String,
+      uppercase: true,
+      default: 'GBP'
+    },
+    cryptoAmount: {
+      type: Number,
+      min: 0
+    },
+    cryptoCurrency: {
+      type: String,
+      uppercase: true,
+      enum: ['BTC', 'XMR']
+    },
+    // Fiat per 1 BTC/XMR
+    rate: {
+      type: Number,
+      min: 0
+    },
+    source: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    },
+    quotedAt: {
+      type: Date
+    },
+    expiresAt: {
+      type: Date
+    }
+  },
+  
+  // Incoming crypto transactions seen for this payment
+  transactions: [{
+    txid: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    amount: {
+      type: Number,
+      min: 0
+    },
+    confirmations: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Over- and late payments waiting on an admin decision
+  resolution: {
+    reason: {
+      type: String,
+      enum: ['overpayment', 'late_payment']
+    },
+    status: {
+      type: String,
+      enum: ['open', 'refunded', 'accepted']
+    },
+    // Crypto amount to send back
+    excessAmount: {
+      type: Number,
+      min: 0
+    },
+    flaggedAt: {
+      type: Date
+    },
+    resolvedAt: {
+      type: Date
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  },
+  
   // Transaction metadata
   transactionHash: {
     type: String,
@@ -318,6 +418,7 @@ paymentSchema.index({ paymentMethod: 1, status: 1 });
 paymentSchema.index({ status: 1, createdAt: -1 });
 paymentSchema.index({ customerEmail: 1 });
 paymentSchema.index({ paymentId: 1 }, { unique: true });
+paymentSchema.index({ 'resolution.status': 1 });
 
 // Compound indexes for reports
 paymentSchema.index({ createdAt: 1, status: 1, paymentMethod: 1 });
@@ -340,6 +441,14 @@ paymentSchema.methods.getRefundableAmount = function() {
   return Math.max(0, this.amount - this.refundAmount);
 };
 
+paymentSchema.methods.isQuoteExpired = function() {
+  return Boolean(this.rateQuote?.expiresAt) && new Date() > this.rateQuote.expiresAt;
+};
+
+paymentSchema.methods.hasOpenResolution = function() {
+  return this.resolution?.status === 'open';
+};
+
 paymentSchema.methods.markAsCompleted = function() {
   this.status = 'completed';
   this.completedAt = new Date();
@@ -24,7 +24,7 @@ const paymentGatewaySchema = new mongoose.Schema({
   provider: {
     type: String,
     required: true,
-    enum: ['stripe', 'paypal', 'square', 'adyen', 'bitcoin', 'monero', 'other'],
+    enum: ['stripe', 'paypal', 'square', 'adyen', 'bitcoin', 'lightning', 'monero', 'other'],
     default: 'other'
   },
   isEnabled: {
@@ -109,6 +109,75 @@ const paymentGatewaySchema = new mongoose.Schema({
       trim: true,
       default: ''
     },
+    // Which service generates and watches Bitcoin addresses
+    bitcoinBackend: {
+      type: String,
+      enum: ['blockonomics', 'xpub', 'btcpay'],
+      default: 'blockonomics'
+    },
+    bitcoinNetwork: {
+      type: String,
+      enum: ['mainnet', 'testnet', 'regtest'],
+      default: 'mainnet'
+    },
+    // xpub backend: account-level xpub/zpub (or tpub/vpub) and an Esplora API
+    bitcoinExtendedPublicKey: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    bitcoinEsploraUrl: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    bitcoinNextAddressIndex: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    // BTCPay Server backend (Greenfield API)
+    btcpayUrl: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    btcpayStoreId: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    btcpayApiKey: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    // For Lightning: the merchant's LND or Core Lightning node
+    lightningBackend: {
+      type: String,
+      enum: ['lnd', 'cln'],
+      default: 'lnd'
+    },
+    lndRestUrl: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    lndMacaroon: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    clnRestUrl: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    clnRune: {
+      type: String,
+      trim: true,
+      default: ''
+    },
     // For Monero
     moneroApiKey: {
       type: String,
@@ -120,6 +189,22 @@ const paymentGatewaySchema = new mongoose.Schema({
       trim: true,
       default: ''
     },
+    // GloBee, or a merchant-run monero-wallet-rpc (subaddress per order)
+    moneroBackend: {
+      type: String,
+      enum: ['globee', 'wallet_rpc'],
+      default: 'globee'
+    },
+    moneroWalletRpcUrl: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    moneroAccountIndex: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
     // Generic API settings
     apiUrl: {
       type: String,
@@ -238,7 +323,7 @@ const paymentGatewaySchema = new mongoose.Schema({
       // Remove sensitive config data from JSON output
       if (ret.config) {
         Object.keys(ret.config).forEach(key => {
-          if (key.includes('Secret') || key.includes('Key')) {
+          if (key.includes('Secret') || key.includes('Key') || key.includes('Macaroon') || key.includes('Rune')) {
             ret.config[key] = ret.config[key] ? '[CONFIGURED]' : '[NOT CONFIGURED]';
           }
         });
@@ -290,8 +375,19 @@ paymentGatewaySchema.methods.getRequiredConfigFields = function() {
   case 'paypal':
     return ['paypalClientId'];
   case 'bitcoin':
+    if (this.config.bitcoinBackend === 'xpub') {
+      return ['bitcoinExtendedPublicKey', 'bitcoinEsploraUrl'];
+    }
+    if (this.config.bitcoinBackend === 'btcpay') {
+      return ['btcpayUrl', 'btcpayStoreId'];
+    }
     return ['bitcoinApiKey'];
+  case 'lightning':
+    return this.config.lightningBackend === 'cln' ? ['clnRestUrl'] : ['lndRestUrl'];
   case 'monero':
+    if (this.config.moneroBackend === 'wallet_rpc') {
+      return ['moneroWalletRpcUrl'];
+    }
     return ['moneroApiKey'];
   default:
     return [];
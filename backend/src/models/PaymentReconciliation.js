@@ -0,0 +1,149 @@
+import mongoose from 'mongoose';
+
+const discrepancySchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order ID is required']
+  },
+  orderNumber: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  paymentMethod: {
+    type: String,
+    required: [true, 'Payment method is required'],
+    enum: ['paypal', 'bitcoin', 'lightning', 'monero']
+  },
+  // What reconciliation found and did about it
+  type: {
+    type: String,
+    required: [true, 'Discrepancy type is required'],
+    enum: {
+      values: ['status_updated', 'payment_expired', 'needs_review'],
+      message: 'Discrepancy type must be one of: status_updated, payment_expired, needs_review'
+    }
+  },
+  previousStatus: {
+    type: String,
+    trim: true
+  },
+  newStatus: {
+    type: String,
+    trim: true
+  },
+  // Status as the provider reported it
+  providerStatus: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  amountExpected: {
+    type: Number,
+    min: 0
+  },
+  amountReceived: {
+    type: Number,
+    min: 0
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    enum: ['GBP', 'BTC', 'XMR']
+  },
+  stockReleased: {
+    type: Boolean,
+    default: false
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, { _id: false });
+
+const paymentReconciliationSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    required: [true, 'Trigger is required'],
+    enum: {
+      values: ['scheduled', 'manual'],
+      message: 'Trigger must be one of: scheduled, manual'
+    },
+    default: 'scheduled'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    required: [true, 'Status is required'],
+    enum: {
+      values: ['running', 'completed', 'failed'],
+      message: 'Status must be one of: running, completed, failed'
+    },
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    required: [true, 'Start time is required'],
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  },
+  ordersChecked: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  discrepancies: [discrepancySchema],
+  // Orders the provider could not be asked about this run
+  failures: [{
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    orderNumber: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    },
+    paymentMethod: {
+      type: String,
+      enum: ['paypal', 'bitcoin', 'lightning', 'monero']
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+paymentReconciliationSchema.index({ startedAt: -1 });
+paymentReconciliationSchema.index({ 'discrepancies.orderId': 1 });
+
+// Instance method to count discrepancies by type
+paymentReconciliationSchema.methods.getSummary = function() {
+  const summary = { status_updated: 0, payment_expired: 0, needs_review: 0 };
+  for (const discrepancy of this.discrepancies) {
+    summary[discrepancy.type] += 1;
+  }
+
+  return {
+    ordersChecked: this.ordersChecked,
+    ordersUpdated: summary.status_updated,
+    ordersExpired: summary.payment_expired,
+    needsReview: summary.needs_review,
+    failures: this.failures.length
+  };
+};
+
+const PaymentReconciliation = mongoose.model('PaymentReconciliation', paymentReconciliationSchema);
+
+export default PaymentReconciliation;
@@ -1,5 +1,76 @@
 import mongoose from 'mongoose';
 
+// How a product is supplied: from stock on hand, or made after it is ordered
+// (pre-orders ship together on a release date, made-to-order items a set
+// number of days after the order)
+export const PRODUCT_AVAILABILITY_MODES = ['stock', 'preorder', 'made_to_order', 'gift_card'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Option definition, e.g. { name: 'Size', values: ['1:24', '1:18'] }
+const productOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Option name is required'],
+    trim: true,
+    maxlength: 50
+  },
+  values: {
+    type: [String],
+    validate: {
+      validator: function(values) {
+        return values.length > 0;
+      },
+      message: 'Option must have at least one value'
+    }
+  }
+}, { _id: false });
+
+// A purchasable combination of option values with its own SKU and stock
+const productVariantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: 50
+  },
+  options: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50
+    },
+    value: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    }
+  }],
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    min: 0
+  },
+  stockQuantity: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  images: {
+    type: [String],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -48,6 +119,32 @@ const productSchema = new mongoose.Schema({
       message: 'Sale price must be less than regular price'
     }
   },
+  // Prices shown in other currencies instead of the converted GBP price,
+  // e.g. a round 30.00 EUR. Variants with a price of their own are converted.
+  priceOverrides: {
+    type: [new mongoose.Schema({
+      currency: {
+        type: String,
+        required: true,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a valid ISO 4217 currency code']
+      },
+      price: {
+        type: Number,
+        required: true,
+        min: 0
+      }
+    }, { _id: false })],
+    default: [],
+    validate: {
+      validator: function(overrides) {
+        const currencies = overrides.map(override => override.currency);
+        return new Set(currencies).size === currencies.length && !currencies.includes('GBP');
+      },
+      message: 'Price overrides need one entry per currency other than GBP'
+    }
+  },
   lowStockThreshold: {
     type: Number,
     min: 0,
@@ -82,6 +179,40 @@ const productSchema = new mongoose.Schema({
     min: 0,
     default: 10
   },
+  // Pre-order, made-to-order and gift card products are not limited by
+  // stock on hand; gift cards are issued as codes when the order is paid
+  availabilityMode: {
+    type: String,
+    enum: PRODUCT_AVAILABILITY_MODES,
+    default: 'stock'
+  },
+  // Days needed to make a made-to-order item, or to ship a pre-order without
+  // an expected ship date
+  leadTimeDays: {
+    type: Number,
+    min: [0, 'Lead time cannot be negative'],
+    max: [365, 'Lead time cannot exceed 365 days'],
+    default: 0
+  },
+  expectedShipDate: {
+    type: Date,
+    default: null
+  },
+  // Share of the price taken at checkout for pre-order and made-to-order
+  // items; the balance is paid before the order ships
+  depositPercent: {
+    type: Number,
+    min: [0, 'Deposit cannot be negative'],
+    max: [100, 'Deposit cannot exceed 100%'],
+    default: 0
+  },
+  // Set on one-off products made from a commission quote: only this customer
+  // can buy it, and it is kept out of the catalog
+  privateFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   // Shipping-related fields
   weight: {
     type: Number,
@@ -107,6 +238,48 @@ const productSchema = new mongoose.Schema({
       default: 5 // Default height in cm
     }
   },
+  // Descriptive name/value pairs such as materials
+  attributes: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50
+    },
+    value: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200
+    }
+  }],
+  // Origin of imported products, used to make re-imports idempotent
+  importSource: {
+    provider: {
+      type: String,
+      trim: true
+    },
+    imageUrls: {
+      type: [String],
+      default: undefined
+    }
+  },
+  options: {
+    type: [productOptionSchema],
+    default: []
+  },
+  variants: {
+    type: [productVariantSchema],
+    default: [],
+    validate: {
+      validator: function(variants) {
+        const skus = variants.map(variant => variant.sku);
+        return new Set(skus).size === skus.length;
+      },
+      message: 'Variant SKUs must be unique within a product'
+    }
+  },
   status: {
     type: String,
     enum: ['draft', 'active', 'archived'],
@@ -129,7 +302,48 @@ productSchema.methods.getUrl = function() {
 
 // Instance method to check if product is in stock
 productSchema.methods.isInStock = function() {
-  return this.stockStatus === 'in_stock' || this.stockStatus === 'low_stock';
+  return this.isMadeOnDemand() || this.stockStatus === 'in_stock' || this.stockStatus === 'low_stock';
+};
+
+// Instance method to check if product is a pre-order, made to order or a
+// gift card, which are not limited by (or taken from) stock on hand
+productSchema.methods.isMadeOnDemand = function() {
+  return this.availabilityMode === 'preorder' || this.availabilityMode === 'made_to_order' || this.isGiftCard();
+};
+
+// Instance method to check if product is a gift card, issued as a code
+// emailed to a recipient rather than shipped
+productSchema.methods.isGiftCard = function() {
+  return this.availabilityMode === 'gift_card';
+};
+
+// Instance method to get when an item ordered at orderDate is expected to
+// ship; null for products shipped from stock and gift cards
+productSchema.methods.getExpectedShipDate = function(orderDate = new Date()) {
+  if (!this.isMadeOnDemand() || this.isGiftCard()) {
+    return null;
+  }
+
+  const leadTimeDate = new Date(orderDate.getTime() + (this.leadTimeDays || 0) * DAY_MS);
+  if (this.availabilityMode === 'preorder' && this.expectedShipDate) {
+    return this.expectedShipDate > orderDate ? new Date(this.expectedShipDate) : leadTimeDate;
+  }
+  return leadTimeDate;
+};
+
+// Instance method to get the deposit taken at checkout on one unit at
+// unitPrice; null when the unit is paid in full
+productSchema.methods.getDepositAmount = function(unitPrice) {
+  if (!this.isMadeOnDemand() || this.isGiftCard() || !(this.depositPercent > 0) || this.depositPercent >= 100) {
+    return null;
+  }
+  return Math.round(unitPrice * this.depositPercent) / 100;
+};
+
+// Instance method to check if a customer may buy the product; private
+// products are only for the customer they were made for
+productSchema.methods.isAvailableTo = function(userId) {
+  return !this.privateFor || (Boolean(userId) && this.privateFor.toString() === userId.toString());
 };
 
 // Instance method to check if product is archived (soft deleted)
@@ -144,6 +358,63 @@ productSchema.methods.softDelete = function() {
   return this.save();
 };
 
+// Instance method to check if product is sold as variants
+productSchema.methods.hasVariants = function() {
+  return Array.isArray(this.variants) && this.variants.length > 0;
+};
+
+// Instance method to look up a variant by its ID
+productSchema.methods.getVariant = function(variantId) {
+  if (!variantId || !this.hasVariants()) {
+    return null;
+  }
+  return this.variants.find(variant => variant._id.toString() === variantId.toString()) || null;
+};
+
+// Instance method to find the variant matching a selection such as { Size: '1:24' }
+productSchema.methods.findVariantByOptions = function(selection = {}) {
+  if (!this.hasVariants()) {
+    return null;
+  }
+  return this.variants.find(variant =>
+    variant.options.length === Object.keys(selection).length &&
+    variant.options.every(option => selection[option.name] === option.value)
+  ) || null;
+};
+
+// Instance method to get the selling price of a variant (or the product)
+productSchema.methods.getVariantPrice = function(variant) {
+  if (variant && variant.price !== undefined && variant.price !== null) {
+    return variant.price;
+  }
+  return this.price;
+};
+
+// Instance method to get the price set for a currency, if any. Only the
+// product price is overridden, so variants priced on their own have none.
+productSchema.methods.getPriceOverride = function(currency, variant = null) {
+  if (variant && variant.price !== undefined && variant.price !== null) {
+    return null;
+  }
+  const override = (this.priceOverrides || []).find(entry => entry.currency === currency);
+  return override ? override.price : null;
+};
+
+// Instance method to get stock for a variant (or the product)
+productSchema.methods.getAvailableStock = function(variant) {
+  return variant ? variant.stockQuantity : this.stockQuantity;
+};
+
+// Keep product-level stock in line with the variants it is sold as
+productSchema.pre('save', function(next) {
+  if (this.hasVariants() && this.isModified('variants')) {
+    this.stockQuantity = this.variants
+      .filter(variant => variant.isActive)
+      .reduce((total, variant) => total + variant.stockQuantity, 0);
+  }
+  next();
+});
+
 // Create text index for efficient search
 productSchema.index({ 
   name: 'text', 
@@ -166,6 +437,8 @@ productSchema.index({ price: 1 });
 productSchema.index({ status: 1 });
 productSchema.index({ isActive: 1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ 'variants.sku': 1 }, { sparse: true });
+productSchema.index({ privateFor: 1 }, { sparse: true });
 
 // Indexes for inventory reports
 productSchema.index({ stockQuantity: 1, isActive: 1 }); // For stock status queries
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+export const PRODUCT_ALERT_TYPES = ['back_in_stock', 'price_drop'];
+
+// A customer's opt-in to hear when a product comes back in stock or its
+// price drops. Guests subscribe by email and confirm it before anything is
+// sent; signed-in customers are subscribed straight away.
+const productAlertSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Alert type is required'],
+    enum: {
+      values: PRODUCT_ALERT_TYPES,
+      message: `Alert type must be one of: ${PRODUCT_ALERT_TYPES.join(', ')}`
+    }
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    maxlength: 255,
+    match: [
+      /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+      'Please enter a valid email address'
+    ]
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // pending until a guest confirms their email; back-in-stock alerts are
+  // notified once, price-drop alerts stay active for further drops
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'notified', 'unsubscribed'],
+    default: 'pending'
+  },
+  // Only the confirmation token's hash is stored
+  confirmationTokenHash: {
+    type: String
+  },
+  confirmationExpires: {
+    type: Date
+  },
+  confirmedAt: {
+    type: Date
+  },
+  // Sent in every alert email, so it is kept to build the one-click link
+  unsubscribeToken: {
+    type: String,
+    required: true
+  },
+  unsubscribedAt: {
+    type: Date
+  },
+  // Price the customer last saw: when they subscribed or were last told of a drop
+  referencePrice: {
+    type: Number,
+    min: 0
+  },
+  // Set when a product change makes the alert due; cleared once it is sent
+  queuedAt: {
+    type: Date,
+    default: null
+  },
+  sendAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastNotifiedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.confirmationTokenHash;
+      delete ret.unsubscribeToken;
+      return ret;
+    }
+  }
+});
+
+productAlertSchema.index({ productId: 1, type: 1, email: 1 }, { unique: true });
+productAlertSchema.index({ unsubscribeToken: 1 }, { unique: true });
+productAlertSchema.index({ confirmationTokenHash: 1 }, { sparse: true });
+productAlertSchema.index({ status: 1, queuedAt: 1 });
+productAlertSchema.index({ userId: 1 });
+
+const ProductAlert = mongoose.model('ProductAlert', productAlertSchema);
+
+export default ProductAlert;
@@ -146,27 +146,80 @@ promotionSchema.methods.calculateDiscount = function(subtotal, shippingCost = 0)
   }
 };
 
-// Method to record usage
-promotionSchema.methods.recordUsage = async function(userId) {
+// Method to record usage; guest orders only count towards the total
+promotionSchema.methods.recordUsage = async function(userId = null) {
   // Increment total usage
   this.timesUsed += 1;
   
   // Record user usage
-  const existingUserUsage = this.usersUsed.find(u => u.userId.toString() === userId.toString());
-  if (existingUserUsage) {
-    existingUserUsage.usageCount += 1;
-    existingUserUsage.usedAt = new Date();
-  } else {
-    this.usersUsed.push({
-      userId,
-      usageCount: 1,
-      usedAt: new Date()
-    });
+  if (userId) {
+    const existingUserUsage = this.usersUsed.find(u => u.userId.toString() === userId.toString());
+    if (existingUserUsage) {
+      existingUserUsage.usageCount += 1;
+      existingUserUsage.usedAt = new Date();
+    } else {
+      this.usersUsed.push({
+        userId,
+        usageCount: 1,
+        usedAt: new Date()
+      });
+    }
   }
   
   await this.save();
 };
 
+// Method to take a use for an order, in the order's transaction. The limits
+// are checked in the same update that counts the use, so two checkouts
+// cannot both take the last one. Resolves false when no use is left.
+promotionSchema.methods.claimUsage = async function(userId = null, { session = null } = {}) {
+  const filter = {
+    _id: this._id,
+    $or: [
+      { totalUsageLimit: null },
+      { totalUsageLimit: 0 },
+      { $expr: { $lt: ['$timesUsed', '$totalUsageLimit'] } }
+    ]
+  };
+  const update = { $inc: { timesUsed: 1 } };
+  const usedAt = new Date();
+
+  // Guest orders only count towards the total
+  if (userId) {
+    const userUsage = this.usersUsed.find(u => u.userId.toString() === userId.toString());
+    if (userUsage) {
+      filter.usersUsed = { $elemMatch: { userId, usageCount: { $lt: this.perUserUsageLimit } } };
+      update.$inc['usersUsed.$.usageCount'] = 1;
+      update.$set = { 'usersUsed.$.usedAt': usedAt };
+    } else {
+      filter['usersUsed.userId'] = { $ne: userId };
+      update.$push = { usersUsed: { userId, usageCount: 1, usedAt } };
+    }
+  }
+
+  const { modifiedCount } = await this.constructor.updateOne(filter, update, { session });
+  return modifiedCount === 1;
+};
+
+// Method to give back a use when the order it was used on is cancelled
+promotionSchema.methods.releaseUsage = async function(userId = null) {
+  await this.constructor.updateOne(
+    { _id: this._id, timesUsed: { $gt: 0 } },
+    { $inc: { timesUsed: -1 } }
+  );
+
+  if (userId) {
+    await this.constructor.updateOne(
+      { _id: this._id, 'usersUsed.userId': userId },
+      { $inc: { 'usersUsed.$.usageCount': -1 } }
+    );
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $pull: { usersUsed: { userId, usageCount: { $lte: 0 } } } }
+    );
+  }
+};
+
 // Pre-save hook to update status based on dates
 promotionSchema.pre('save', function(next) {
   const now = new Date();
@@ -198,6 +251,19 @@ promotionSchema.statics.findByCode = function(code) {
   });
 };
 
+// Static method to find the promotion on a cart, if it can still be used
+promotionSchema.statics.findForCart = async function(cart, userId = null, { session = null } = {}) {
+  if (!cart.promotionId) return null;
+
+  const promotion = await this.findById(cart.promotionId).session(session);
+  if (!promotion || !promotion.isValid || promotion.hasReachedLimit) return null;
+
+  // Guests are held to the total usage limit only
+  if (userId && !promotion.canUserUse(userId)) return null;
+
+  return promotion;
+};
+
 // Ensure end date is after start date
 promotionSchema.pre('validate', function(next) {
   if (this.startDate && this.endDate && this.startDate >= this.endDate) {
@@ -17,6 +17,10 @@ const returnItemSchema = new mongoose.Schema({
     required: [true, 'Product slug is required'],
     trim: true
   },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   quantity: {
     type: Number,
     required: [true, 'Quantity is required'],
@@ -73,10 +77,11 @@ const returnRequestSchema = new mongoose.Schema({
   },
   
   // Customer information
+  // Null for returns requested through a guest order link
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'User ID is required'],
+    default: null,
     index: true
   },
   customerEmail: {
@@ -205,6 +210,10 @@ const returnRequestSchema = new mongoose.Schema({
   refundProcessedDate: {
     type: Date
   },
+  // Set once the returned items are put back in stock
+  restockedAt: {
+    type: Date
+  },
   
   // Admin notes and processing
   adminNotes: {
@@ -228,6 +237,11 @@ const returnRequestSchema = new mongoose.Schema({
     enum: ['pending', 'succeeded', 'failed', 'canceled'],
     trim: true
   },
+  // How the customer was refunded; store credit is paid into their wallet
+  refundMethod: {
+    type: String,
+    enum: ['original_payment', 'store_credit']
+  },
   
   // Additional metadata
   returnWindow: {
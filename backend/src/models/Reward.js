@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { generateCode } from '../utils/codes.js';
 
 const rewardSchema = new mongoose.Schema({
   userId: {
@@ -221,10 +222,7 @@ rewardSchema.statics.findByCode = function(code) {
 
 // Static method to generate reward code
 rewardSchema.statics.generateRewardCode = function() {
-  const prefix = 'REF';
-  const timestamp = Date.now().toString(36).toUpperCase();
-  const random = Math.random().toString(36).substring(2, 8).toUpperCase();
-  return `${prefix}${timestamp}${random}`;
+  return generateCode('REF');
 };
 
 // Pre-save middleware to generate reward code
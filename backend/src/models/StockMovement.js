@@ -0,0 +1,174 @@
+import mongoose from 'mongoose';
+
+export const STOCK_MOVEMENT_REASONS = [
+  'sale',
+  'cancellation',
+  'return_restock',
+  'manual_adjustment',
+  'import',
+  'stock_take'
+];
+
+// One change to a product's (or variant's) stock and why it happened. The
+// ledger is append-only: entries are never edited or removed, a mistake is
+// put right with a further movement.
+const stockMovementSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required'],
+    immutable: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+    immutable: true
+  },
+  productName: {
+    type: String,
+    trim: true,
+    immutable: true
+  },
+  sku: {
+    type: String,
+    trim: true,
+    immutable: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    enum: {
+      values: STOCK_MOVEMENT_REASONS,
+      message: `Reason must be one of: ${STOCK_MOVEMENT_REASONS.join(', ')}`
+    },
+    immutable: true
+  },
+  // Signed change in stock: negative for stock leaving, positive for stock coming in
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    validate: {
+      validator: value => Number.isInteger(value) && value !== 0,
+      message: 'Quantity must be a whole number other than zero'
+    },
+    immutable: true
+  },
+  // Stock level after the movement, where it is known (adjustments,
+  // stock takes and imports set the level rather than incrementing it)
+  quantityAfter: {
+    type: Number,
+    immutable: true
+  },
+  // Admin or customer who caused the movement; unset for system jobs
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    immutable: true
+  },
+  // What the movement belongs to, e.g. an order or return request
+  reference: {
+    kind: {
+      type: String,
+      enum: ['Order', 'ReturnRequest', 'Import'],
+      immutable: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      immutable: true
+    },
+    label: {
+      type: String,
+      trim: true,
+      immutable: true
+    }
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ productId: 1, createdAt: -1 });
+stockMovementSchema.index({ createdAt: -1, reason: 1 });
+stockMovementSchema.index({ 'reference.kind': 1, 'reference.id': 1 });
+
+const rejectChange = function(next) {
+  next(new Error('Stock movements cannot be changed once recorded'));
+};
+
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+stockMovementSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectChange);
+
+// Static method to record the stock an order took (direction -1) or gave
+// back (direction 1); pre-order and made-to-order items take none
+stockMovementSchema.statics.recordOrder = function(order, reason, direction, { userId = null, session } = {}) {
+  const stockedItems = order.items.filter(item => !item.availabilityMode || item.availabilityMode === 'stock');
+  return this.insertMany(stockedItems.map(item => ({
+    productId: item.productId,
+    variantId: item.variantId || null,
+    productName: item.productName,
+    sku: item.variantSku,
+    reason,
+    quantity: direction * item.quantity,
+    userId,
+    reference: { kind: 'Order', id: order._id, label: order.orderNumber }
+  })), { session });
+};
+
+// Static method to page through a product's movements, newest first
+stockMovementSchema.statics.findByProduct = function(productId, { variantId, page = 1, limit = 20 } = {}) {
+  const query = { productId };
+  if (variantId) {
+    query.variantId = variantId;
+  }
+
+  return Promise.all([
+    this.find(query)
+      .populate('userId', 'firstName lastName email')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    this.countDocuments(query)
+  ]);
+};
+
+// Static method to total movements in a date range per reason
+stockMovementSchema.statics.summarizeByReason = function(start, end) {
+  return this.aggregate([
+    { $match: { createdAt: { $gte: start, $lte: end } } },
+    {
+      $group: {
+        _id: '$reason',
+        movementCount: { $sum: 1 },
+        unitsIn: { $sum: { $cond: [{ $gt: ['$quantity', 0] }, '$quantity', 0] } },
+        unitsOut: { $sum: { $cond: [{ $lt: ['$quantity', 0] }, { $abs: '$quantity' }, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+};
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+export default StockMovement;
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// Stock a cart holds while its owner checks out, so the last unit cannot be
+// sold to two customers at once. Held stock is still counted in the
+// product's stockQuantity until an order takes it.
+const stockReservationSchema = new mongoose.Schema({
+  cartId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart',
+    required: [true, 'Cart is required']
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: true
+});
+
+stockReservationSchema.index({ productId: 1, expiresAt: 1 });
+stockReservationSchema.index({ cartId: 1 });
+// Lapsed holds are already ignored; MongoDB deletes them in the background
+stockReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to total the unexpired holds on products, per product and
+// per variant. A cart's own holds can be left out with excludeCartId.
+stockReservationSchema.statics.getReservedQuantities = async function(productIds, { excludeCartId, before } = {}) {
+  const match = {
+    productId: { $in: productIds.map(id => new mongoose.Types.ObjectId(id.toString())) },
+    expiresAt: { $gt: new Date() }
+  };
+  if (excludeCartId) {
+    match.cartId = { $ne: new mongoose.Types.ObjectId(excludeCartId.toString()) };
+  }
+  if (before) {
+    match._id = { $lt: before };
+  }
+
+  return this.aggregate([
+    { $match: match },
+    { $group: { _id: { productId: '$productId', variantId: '$variantId' }, quantity: { $sum: '$quantity' } } }
+  ]);
+};
+
+const StockReservation = mongoose.model('StockReservation', stockReservationSchema);
+
+export default StockReservation;
@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+
+// Credits come in as referral rewards, return refunds, admin goodwill and
+// orders given back; order payments spend them. Adjustments are admin
+// corrections either way.
+export const STORE_CREDIT_TRANSACTION_TYPES = [
+  'referral_reward',
+  'return_refund',
+  'goodwill',
+  'adjustment',
+  'order_payment',
+  'order_refund'
+];
+
+// One change to a customer's store credit balance and why it happened. The
+// ledger is append-only: entries are never edited or removed, a mistake is
+// put right with an adjustment.
+const storeCreditTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    immutable: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Type is required'],
+    enum: {
+      values: STORE_CREDIT_TRANSACTION_TYPES,
+      message: `Type must be one of: ${STORE_CREDIT_TRANSACTION_TYPES.join(', ')}`
+    },
+    immutable: true
+  },
+  // Signed change in GBP: positive for credit coming in, negative for credit spent
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    validate: {
+      validator: value => value !== 0,
+      message: 'Amount cannot be zero'
+    },
+    immutable: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: [true, 'Balance after is required'],
+    min: [0, 'Balance cannot go below zero'],
+    immutable: true
+  },
+  // What the credit belongs to, e.g. the order it paid for
+  reference: {
+    kind: {
+      type: String,
+      enum: ['Order', 'ReturnRequest', 'Reward'],
+      immutable: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      immutable: true
+    },
+    label: {
+      type: String,
+      trim: true,
+      immutable: true
+    }
+  },
+  // Admin who made a goodwill credit or adjustment, or the customer
+  // cancelling an order; unset for system jobs
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    immutable: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+storeCreditTransactionSchema.index({ userId: 1, createdAt: -1 });
+storeCreditTransactionSchema.index({ 'reference.kind': 1, 'reference.id': 1 });
+
+const rejectChange = function(next) {
+  next(new Error('Store credit transactions cannot be changed once recorded'));
+};
+
+storeCreditTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+storeCreditTransactionSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectChange);
+
+// Static method to page through a customer's transactions, newest first;
+// who made each change is only shown to admins
+storeCreditTransactionSchema.statics.findByUser = function(userId, { page = 1, limit = 20, withCreator = false } = {}) {
+  const query = this.find({ userId });
+  if (withCreator) {
+    query.populate('createdBy', 'firstName lastName email');
+  } else {
+    query.select('-createdBy');
+  }
+
+  return Promise.all([
+    query
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    this.countDocuments({ userId })
+  ]);
+};
+
+const StoreCreditTransaction = mongoose.model('StoreCreditTransaction', storeCreditTransactionSchema);
+
+export default StoreCreditTransaction;
@@ -179,6 +179,14 @@ const userSchema = new mongoose.Schema({
     lastReferralDate: {
       type: Date
     }
+  },
+  // Store credit the customer can spend at checkout, in GBP. Only changed
+  // by storeCreditService, which records every change in the
+  // StoreCreditTransaction ledger.
+  storeCreditBalance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Store credit balance cannot be negative']
   }
 }, {
   timestamps: true,
@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+
+// An event still processing after this long was abandoned, e.g. the server
+// stopped mid-handler, and may be processed again
+export const PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: [true, 'Provider is required'],
+    enum: {
+      values: ['paypal', 'stripe', 'blockonomics', 'btcpay', 'globee'],
+      message: 'Provider must be one of: paypal, stripe, blockonomics, btcpay, globee'
+    }
+  },
+  // Provider's ID for the notification; redeliveries share it. Unset when
+  // the payload did not carry enough to identify it
+  eventId: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+  eventType: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Body exactly as received, for signature checks and debugging
+  rawBody: {
+    type: String
+  },
+  headers: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  signatureStatus: {
+    type: String,
+    required: [true, 'Signature status is required'],
+    enum: {
+      values: ['valid', 'invalid', 'not_checked'],
+      message: 'Signature status must be one of: valid, invalid, not_checked'
+    },
+    default: 'not_checked'
+  },
+  status: {
+    type: String,
+    required: [true, 'Status is required'],
+    enum: {
+      values: ['processing', 'processed', 'ignored', 'failed', 'rejected'],
+      message: 'Status must be one of: processing, processed, ignored, failed, rejected'
+    },
+    default: 'processing'
+  },
+  error: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  attempts: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  receivedAt: {
+    type: Date,
+    required: [true, 'Received time is required'],
+    default: Date.now
+  },
+  // When the current processing attempt started
+  processingStartedAt: {
+    type: Date
+  },
+  processedAt: {
+    type: Date
+  },
+  // Admin re-processing of a failed event
+  replays: [{
+    replayedAt: {
+      type: Date,
+      required: [true, 'Replay time is required'],
+      default: Date.now
+    },
+    replayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    status: {
+      type: String,
+      enum: ['processed', 'ignored', 'failed']
+    },
+    error: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// One record per provider event, so redeliveries are processed once
+webhookEventSchema.index(
+  { provider: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { eventId: { $type: 'string' } } }
+);
+webhookEventSchema.index({ status: 1, receivedAt: -1 });
+webhookEventSchema.index({ receivedAt: -1 });
+
+// Instance method to check whether processing was abandoned part way
+webhookEventSchema.methods.isProcessingStale = function(now = new Date()) {
+  const startedAt = this.processingStartedAt || this.receivedAt;
+  return this.status === 'processing' && (!startedAt || now - startedAt > PROCESSING_TIMEOUT_MS);
+};
+
+// Instance method to check whether an admin may re-process the event
+webhookEventSchema.methods.canReplay = function() {
+  return (this.status === 'failed' || this.isProcessingStale()) && this.signatureStatus !== 'invalid';
+};
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
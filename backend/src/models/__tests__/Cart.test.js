@@ -252,6 +252,54 @@ describe('Cart Model', () => {
       expect(summary.itemCount).toBe(2);
       expect(summary.lastModified).toBeDefined();
     });
+
+    describe('with product variants', () => {
+      const smallVariant = {
+        _id: new mongoose.Types.ObjectId(),
+        sku: 'PIXEL-128',
+        options: [{ name: 'Storage', value: '128GB' }],
+        images: ['https://example.com/pixel-128.jpg']
+      };
+      const largeVariant = {
+        _id: new mongoose.Types.ObjectId(),
+        sku: 'PIXEL-256',
+        options: [{ name: 'Storage', value: '256GB' }],
+        price: 1099.99,
+        images: []
+      };
+
+      it('should keep separate lines for different variants of one product', () => {
+        cart.addItem(mockProduct, 1, smallVariant);
+        cart.addItem(mockProduct, 2, largeVariant);
+
+        expect(cart.items).toHaveLength(2);
+        expect(cart.items[0].variantSku).toBe('PIXEL-128');
+        expect(cart.items[1].variantSku).toBe('PIXEL-256');
+      });
+
+      it('should use the variant price and image when set', () => {
+        cart.addItem(mockProduct, 1, smallVariant);
+        cart.addItem(mockProduct, 1, largeVariant);
+
+        expect(cart.items[0].unitPrice).toBe(mockProduct.price);
+        expect(cart.items[0].productImage).toBe('https://example.com/pixel-128.jpg');
+        expect(cart.items[1].unitPrice).toBe(1099.99);
+        expect(cart.items[1].productImage).toBe(mockProduct.images[0]);
+      });
+
+      it('should update and remove only the matching variant line', () => {
+        cart.addItem(mockProduct, 1, smallVariant);
+        cart.addItem(mockProduct, 1, largeVariant);
+
+        cart.updateItemQuantity(mockProduct._id, 4, largeVariant._id);
+        expect(cart.items[1].quantity).toBe(4);
+        expect(cart.items[0].quantity).toBe(1);
+
+        cart.removeItem(mockProduct._id, smallVariant._id);
+        expect(cart.items).toHaveLength(1);
+        expect(cart.items[0].variantId).toEqual(largeVariant._id);
+      });
+    });
   });
 
   describe('Static Methods', () => {
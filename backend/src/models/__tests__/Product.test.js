@@ -276,4 +276,67 @@ describe('Product Model', () => {
       expect(savedProduct.isInStock()).toBe(false);
     });
   });
+
+  describe('Product Variants', () => {
+    const variantProductData = () => createValidProductData({
+      name: 'Model Car Kit',
+      slug: 'model-car-kit',
+      price: 40,
+      options: [
+        { name: 'Scale', values: ['1:24', '1:18'] },
+        { name: 'Colour', values: ['Red', 'Grey'] }
+      ],
+      variants: [
+        {
+          sku: 'car-124-red',
+          options: [{ name: 'Scale', value: '1:24' }, { name: 'Colour', value: 'Red' }],
+          stockQuantity: 3
+        },
+        {
+          sku: 'car-118-grey',
+          options: [{ name: 'Scale', value: '1:18' }, { name: 'Colour', value: 'Grey' }],
+          price: 55,
+          stockQuantity: 2
+        }
+      ]
+    });
+
+    it('should save options and variants with uppercase SKUs', async () => {
+      const savedProduct = await new Product(variantProductData()).save();
+
+      expect(savedProduct.hasVariants()).toBe(true);
+      expect(savedProduct.options).toHaveLength(2);
+      expect(savedProduct.variants[0].sku).toBe('CAR-124-RED');
+      expect(savedProduct.variants[0]._id).toBeDefined();
+    });
+
+    it('should derive product stock from active variants', async () => {
+      const savedProduct = await new Product(variantProductData()).save();
+
+      expect(savedProduct.stockQuantity).toBe(5);
+    });
+
+    it('should reject duplicate variant SKUs', async () => {
+      const productData = variantProductData();
+      productData.variants[1].sku = 'CAR-124-RED';
+
+      await expect(new Product(productData).save()).rejects.toThrow('Variant SKUs must be unique');
+    });
+
+    it('should find variants by ID and by option selection', async () => {
+      const savedProduct = await new Product(variantProductData()).save();
+      const variant = savedProduct.variants[1];
+
+      expect(savedProduct.getVariant(variant._id).sku).toBe('CAR-118-GREY');
+      expect(savedProduct.findVariantByOptions({ Scale: '1:18', Colour: 'Grey' }).sku).toBe('CAR-118-GREY');
+      expect(savedProduct.findVariantByOptions({ Scale: '1:18', Colour: 'Red' })).toBeNull();
+    });
+
+    it('should fall back to product price when a variant has no override', async () => {
+      const savedProduct = await new Product(variantProductData()).save();
+
+      expect(savedProduct.getVariantPrice(savedProduct.variants[0])).toBe(40);
+      expect(savedProduct.getVariantPrice(savedProduct.variants[1])).toBe(55);
+    });
+  });
 });
\ No newline at end of file
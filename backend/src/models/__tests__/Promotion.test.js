@@ -287,6 +287,64 @@ describe('Promotion Model', () => {
         expect(promotion.usersUsed[0].usageCount).toBe(2);
       });
     });
+
+    describe('claimUsage', () => {
+      const createLimited = (overrides = {}) => Promotion.create({
+        name: 'Claim Test',
+        code: 'CLAIM',
+        type: 'percentage',
+        value: 10,
+        status: 'active',
+        totalUsageLimit: 2,
+        perUserUsageLimit: 1,
+        startDate: new Date(Date.now() - 86400000),
+        endDate: new Date(Date.now() + 86400000),
+        ...overrides
+      });
+
+      it('should count a use against the total and the customer', async () => {
+        const promotion = await createLimited();
+        const userId = new mongoose.Types.ObjectId();
+
+        expect(await promotion.claimUsage(userId)).toBe(true);
+
+        const saved = await Promotion.findById(promotion._id);
+        expect(saved.timesUsed).toBe(1);
+        expect(saved.usersUsed).toHaveLength(1);
+        expect(saved.usersUsed[0].usageCount).toBe(1);
+      });
+
+      it('should not give out more uses than the total limit', async () => {
+        const promotion = await createLimited({ totalUsageLimit: 1 });
+
+        const claims = await Promise.all([promotion.claimUsage(), promotion.claimUsage()]);
+
+        expect(claims.sort()).toEqual([false, true]);
+        expect((await Promotion.findById(promotion._id)).timesUsed).toBe(1);
+      });
+
+      it('should hold each customer to their own limit', async () => {
+        const promotion = await createLimited({ totalUsageLimit: null });
+        const userId = new mongoose.Types.ObjectId();
+
+        expect(await promotion.claimUsage(userId)).toBe(true);
+        const reloaded = await Promotion.findById(promotion._id);
+        expect(await reloaded.claimUsage(userId)).toBe(false);
+        expect(await reloaded.claimUsage(new mongoose.Types.ObjectId())).toBe(true);
+      });
+
+      it('should give a use back', async () => {
+        const promotion = await createLimited();
+        const userId = new mongoose.Types.ObjectId();
+        await promotion.claimUsage(userId);
+
+        await promotion.releaseUsage(userId);
+
+        const saved = await Promotion.findById(promotion._id);
+        expect(saved.timesUsed).toBe(0);
+        expect(saved.usersUsed).toHaveLength(0);
+      });
+    });
   });
 
   describe('Static Methods', () => {
@@ -333,6 +391,31 @@ describe('Promotion Model', () => {
       const notFound = await Promotion.findByCode('NOTEXIST');
       expect(notFound).toBeNull();
     });
+
+    it('should find the promotion on a cart while it can still be used', async () => {
+      const userId = new mongoose.Types.ObjectId();
+      const promotion = await Promotion.create({
+        name: 'Cart reminder',
+        code: 'CART-AB12CD34',
+        type: 'percentage',
+        value: 10,
+        status: 'active',
+        totalUsageLimit: 1,
+        perUserUsageLimit: 1,
+        startDate: new Date(Date.now() - 86400000),
+        endDate: new Date(Date.now() + 86400000)
+      });
+      const cart = { promotionId: promotion._id };
+
+      expect((await Promotion.findForCart(cart, userId)).code).toBe('CART-AB12CD34');
+      expect((await Promotion.findForCart(cart)).code).toBe('CART-AB12CD34');
+      expect(await Promotion.findForCart({})).toBeNull();
+
+      await promotion.recordUsage(userId);
+
+      expect(await Promotion.findForCart(cart, userId)).toBeNull();
+      expect(await Promotion.findForCart(cart)).toBeNull();
+    });
   });
 
   describe('Pre-save Hooks', () => {
@@ -1,5 +1,5 @@
 import express from 'express';
-import { adminLogin, getDashboardMetrics, getAdminProfile, getAllOrders, getOrderById, updateOrderStatus, issueRefund, getAllReturnRequests, getReturnRequestById, updateReturnRequestStatus, getProducts, getProductById, createProduct, updateProduct, deleteProduct, getCategories, getCategoryById, createCategory, updateCategory, deleteCategory, getAllUsers, getUserById, updateUserStatus, getSalesReport, getProductPerformanceReport, getCustomerReport, getInventoryReport, getPromotions, createPromotion, updatePromotion, updatePromotionStatus, deletePromotion, checkPromotionCode } from '../controllers/adminController.js';
+import { adminLogin, getDashboardMetrics, getAdminProfile, getAllOrders, getOrderById, updateOrderStatus, issueRefund, getOrderPayments, resolveOrderPayment, getAllReturnRequests, getReturnRequestById, updateReturnRequestStatus, getProducts, exportProducts, importProducts, getProductById, createProduct, updateProduct, deleteProduct, getProductStockMovements, adjustProductStock, getCategories, getCategoryById, createCategory, updateCategory, deleteCategory, getAllUsers, getUserById, updateUserStatus, getSalesReport, getProductPerformanceReport, getCustomerReport, getInventoryReport, getAbandonedCartReport, getPromotions, createPromotion, updatePromotion, updatePromotionStatus, deletePromotion, checkPromotionCode } from '../controllers/adminController.js';
 import { 
   getGeneralSettings, 
   updateGeneralSettings, 
@@ -14,10 +14,24 @@ import {
   getPaymentSettings,
   updatePaymentGateway,
   createPaymentGateway,
-  togglePaymentGateway
+  togglePaymentGateway,
+  getCurrencySettings,
+  createCurrency,
+  updateCurrency,
+  deleteCurrency,
+  refreshExchangeRates
 } from '../controllers/settingsController.js';
+import { exportEtsyCatalog, importStockSync } from '../controllers/catalogSyncController.js';
+import { getPaymentReconciliations, getPaymentReconciliationById, runPaymentReconciliation } from '../controllers/paymentReconciliationController.js';
+import { recordCryptoRefundTransaction, resendCryptoRefundAddressRequest } from '../controllers/cryptoRefundController.js';
+import { getWebhookEvents, getWebhookEventById, replayWebhookEvent } from '../controllers/webhookEventController.js';
+import { getProductionQueue, markOrderItemProduced, recordBalancePayment } from '../controllers/productionController.js';
+import { getCommissionRequests, getCommissionRequest, replyToCommissionRequest, quoteCommissionRequest, rejectCommissionRequest } from '../controllers/commissionController.js';
+import { getGiftCards, lookupGiftCard, issueGiftCard, voidGiftCard } from '../controllers/giftCardController.js';
+import { getUserStoreCredit, issueStoreCredit } from '../controllers/storeCreditController.js';
 import { authenticate, requireRole } from '../middleware/auth.js';
 import { uploadProductImages, processProductImages, handleImageUploadError } from '../middleware/imageUpload.js';
+import { uploadCsvFile, uploadSpreadsheetFile, handleCsvUploadError } from '../middleware/csvUpload.js';
 import { handleValidationErrors } from '../middleware/validation.js';
 import { 
   createPromotionValidator, 
@@ -48,6 +62,38 @@ router.get('/orders', getAllOrders);
 router.get('/orders/:orderId', getOrderById);
 router.put('/orders/:orderId/status', updateOrderStatus);
 router.post('/orders/:orderId/refund', issueRefund);
+router.post('/orders/:orderId/refunds/:refundId/transaction', recordCryptoRefundTransaction);
+router.post('/orders/:orderId/refunds/:refundId/address-request', resendCryptoRefundAddressRequest);
+router.get('/orders/:orderId/payments', getOrderPayments);
+router.post('/orders/:orderId/payments/:paymentId/resolve', resolveOrderPayment);
+router.post('/orders/:orderId/balance-payment', recordBalancePayment);
+router.post('/orders/:orderId/items/:itemId/produced', markOrderItemProduced);
+
+// Production queue of made-to-order items
+router.get('/production-queue', getProductionQueue);
+
+// Commission requests management
+router.get('/commissions', getCommissionRequests);
+router.get('/commissions/:commissionId', getCommissionRequest);
+router.post('/commissions/:commissionId/messages', uploadProductImages, processProductImages, replyToCommissionRequest, handleImageUploadError);
+router.post('/commissions/:commissionId/quote', quoteCommissionRequest);
+router.post('/commissions/:commissionId/reject', rejectCommissionRequest);
+
+// Gift cards management
+router.get('/gift-cards', getGiftCards);
+router.post('/gift-cards', issueGiftCard);
+router.get('/gift-cards/lookup/:code', lookupGiftCard);
+router.post('/gift-cards/:giftCardId/void', voidGiftCard);
+
+// Payment reconciliation reports
+router.get('/payment-reconciliations', getPaymentReconciliations);
+router.post('/payment-reconciliations', runPaymentReconciliation);
+router.get('/payment-reconciliations/:reportId', getPaymentReconciliationById);
+
+// Payment webhook events
+router.get('/webhook-events', getWebhookEvents);
+router.get('/webhook-events/:eventId', getWebhookEventById);
+router.post('/webhook-events/:eventId/replay', replayWebhookEvent);
 
 // Return requests management
 router.get('/returns', getAllReturnRequests);
@@ -56,10 +102,16 @@ router.put('/returns/:returnRequestId/status', updateReturnRequestStatus);
 
 // Products management
 router.get('/products', getProducts);
+router.get('/products/export', exportProducts);
+router.get('/products/export/etsy', exportEtsyCatalog);
+router.post('/products/import', uploadSpreadsheetFile, importProducts, handleCsvUploadError);
+router.post('/products/stock-sync', uploadCsvFile, importStockSync, handleCsvUploadError);
 router.get('/products/:productId', getProductById);
 router.post('/products', uploadProductImages, processProductImages, createProduct, handleImageUploadError);
 router.put('/products/:productId', uploadProductImages, processProductImages, updateProduct, handleImageUploadError);
 router.delete('/products/:productId', deleteProduct);
+router.get('/products/:productId/stock-movements', getProductStockMovements);
+router.post('/products/:productId/stock-adjustments', adjustProductStock);
 
 // Categories management
 router.get('/categories', getCategories);
@@ -72,12 +124,15 @@ router.delete('/categories/:categoryId', deleteCategory);
 router.get('/users', getAllUsers);
 router.get('/users/:userId', getUserById);
 router.put('/users/:userId/status', updateUserStatus);
+router.get('/users/:userId/store-credit', getUserStoreCredit);
+router.post('/users/:userId/store-credit', issueStoreCredit);
 
 // Reports
 router.get('/reports/sales-summary', getSalesReport);
 router.get('/reports/product-performance', getProductPerformanceReport);
 router.get('/reports/customer-acquisition', getCustomerReport);
 router.get('/reports/inventory-summary', getInventoryReport);
+router.get('/reports/abandoned-carts', getAbandonedCartReport);
 
 // Promotions management
 router.get('/promotions', getPromotionsValidator, handleValidationErrors, getPromotions);
@@ -110,4 +165,11 @@ router.post('/settings/payments', createPaymentGateway);
 router.put('/settings/payments/:gatewayId', updatePaymentGateway);
 router.put('/settings/payments/:gatewayId/toggle', togglePaymentGateway);
 
+// Currency settings
+router.get('/settings/currencies', getCurrencySettings);
+router.post('/settings/currencies', createCurrency);
+router.post('/settings/currencies/refresh', refreshExchangeRates);
+router.put('/settings/currencies/:currencyId', updateCurrency);
+router.delete('/settings/currencies/:currencyId', deleteCurrency);
+
 export default router;
\ No newline at end of file
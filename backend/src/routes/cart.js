@@ -4,7 +4,12 @@ import {
   addToCart, 
   updateCartItem, 
   removeFromCart, 
-  clearCart
+  clearCart,
+  reserveCheckoutStock,
+  releaseCheckoutStock,
+  setCheckoutContact,
+  restoreAbandonedCart,
+  unsubscribeFromCartReminders
 } from '../controllers/cartController.js';
 import { optionalAuth } from '../middleware/auth.js';
 
@@ -20,5 +25,16 @@ router.put('/item/:productId', updateCartItem);
 router.delete('/item/:productId', removeFromCart);
 router.delete('/clear', clearCart);
 
+// Checkout stock reservation routes
+router.post('/reservation', reserveCheckoutStock);
+router.delete('/reservation', releaseCheckoutStock);
+
+// Guest checkout email, used for cart reminders when the guest opts in
+router.put('/contact', setCheckoutContact);
+
+// Links from abandoned cart reminder emails
+router.post('/restore/:token', restoreAbandonedCart);
+router.post('/reminders/unsubscribe/:token', unsubscribeFromCartReminders);
+
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,9 @@
+import express from 'express';
+import { getCurrencies } from '../controllers/currencyController.js';
+
+const router = express.Router();
+
+// GET /api/currencies - Currencies customers can shop in, with exchange rates
+router.get('/', getCurrencies);
+
+export default router;
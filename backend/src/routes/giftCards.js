@@ -0,0 +1,26 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { checkGiftCardBalance } from '../controllers/giftCardController.js';
+
+const router = express.Router();
+
+// Rate limiting for balance checks - keeps codes from being guessed
+// Disabled in test environment to allow multiple test requests
+const balanceCheckLimiter = process.env.NODE_ENV === 'test'
+  ? (req, res, next) => next()
+  : rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20, // limit each IP to 20 balance checks per 15 minutes
+    message: {
+      success: false,
+      error: 'Too many gift card checks. Please try again later.',
+      retryAfter: '15 minutes'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+  });
+
+// POST /api/gift-cards/balance - Check the balance of a gift card code
+router.post('/balance', balanceCheckLimiter, checkGiftCardBalance);
+
+export default router;
@@ -0,0 +1,41 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { placeOrder, getUserOrderDetails, getOrderTracking, getEligibleReturnItems } from '../controllers/userOrderController.js';
+import { submitReturnRequest } from '../controllers/userReturnController.js';
+import { requestGuestOrderLink, createAccountFromGuestOrder } from '../controllers/guestOrderController.js';
+import { authenticateGuestOrder } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Rate limiting for order link requests - each one sends an email
+// Disabled in test environment to allow multiple test requests
+const orderLinkLimiter = process.env.NODE_ENV === 'test'
+  ? (req, res, next) => next()
+  : rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5, // limit each IP to 5 order link requests per 15 minutes
+    message: {
+      success: false,
+      error: 'Too many order link requests. Please try again later.',
+      retryAfter: '15 minutes'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+  });
+
+// POST /api/guest-orders - Place an order as a guest with just an email address
+router.post('/', placeOrder);
+
+// POST /api/guest-orders/lookup - Email a guest the link to their order
+router.post('/lookup', orderLinkLimiter, requestGuestOrderLink);
+
+// Everything below is reached through a signed guest order link
+router.get('/:token', authenticateGuestOrder, getUserOrderDetails);
+router.get('/:token/tracking', authenticateGuestOrder, getOrderTracking);
+router.get('/:token/eligible-returns', authenticateGuestOrder, getEligibleReturnItems);
+router.post('/:token/returns', authenticateGuestOrder, submitReturnRequest);
+
+// POST /api/guest-orders/:token/account - Create an account from the order
+router.post('/:token/account', authenticateGuestOrder, createAccountFromGuestOrder);
+
+export default router;
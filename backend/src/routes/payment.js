@@ -4,15 +4,21 @@ import {
   createPayPalOrder,
   capturePayPalPayment,
   handlePayPalWebhook,
+  createStripePaymentIntent,
+  handleStripeWebhook,
   initializeBitcoinPayment,
   getBitcoinPaymentStatus,
   handleBlockonomicsWebhook,
+  handleBtcpayWebhook,
+  initializeLightningPayment,
+  getLightningPaymentStatus,
   createMoneroPayment,
   checkMoneroPaymentStatus,
   handleMoneroWebhook,
   applyPromotionCode,
   removePromotionCode
 } from '../controllers/paymentController.js';
+import { getCryptoRefund, submitCryptoRefundAddress } from '../controllers/cryptoRefundController.js';
 import { optionalAuth } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -30,6 +36,13 @@ router.post('/paypal/capture', optionalAuth, capturePayPalPayment);
 // PayPal webhook (public endpoint for PayPal callbacks)
 router.post('/paypal/webhook', handlePayPalWebhook);
 
+// Stripe card payment routes
+// Create a PaymentIntent to confirm in the browser (requires authentication or valid session)
+router.post('/stripe/create-intent', optionalAuth, createStripePaymentIntent);
+
+// Stripe webhook (public endpoint, verified by the Stripe-Signature header)
+router.post('/stripe/webhook', handleStripeWebhook);
+
 // Bitcoin payment routes
 // Initialize Bitcoin payment (requires authentication or valid session)
 router.post('/bitcoin/initialize', optionalAuth, initializeBitcoinPayment);
@@ -40,6 +53,16 @@ router.get('/bitcoin/status/:orderId', optionalAuth, getBitcoinPaymentStatus);
 // Blockonomics webhook (public endpoint for Bitcoin payment notifications)
 router.post('/bitcoin/webhook', handleBlockonomicsWebhook);
 
+// BTCPay Server webhook (public endpoint, verified by the BTCPay-Sig header)
+router.post('/bitcoin/webhook/btcpay', handleBtcpayWebhook);
+
+// Lightning payment routes
+// Issue a Lightning invoice for an order (requires authentication or valid session)
+router.post('/lightning/initialize', optionalAuth, initializeLightningPayment);
+
+// Get Lightning payment status (requires authentication or valid session)
+router.get('/lightning/status/:orderId', optionalAuth, getLightningPaymentStatus);
+
 // Monero payment routes
 // Create Monero payment (requires authentication or valid session)
 router.post('/monero/create', optionalAuth, createMoneroPayment);
@@ -50,6 +73,13 @@ router.get('/monero/status/:orderId', optionalAuth, checkMoneroPaymentStatus);
 // GloBee webhook (public endpoint for Monero payment notifications)
 router.post('/monero/webhook', handleMoneroWebhook);
 
+// Crypto refund routes
+// Get the refund an emailed address link belongs to (public, the token is the credential)
+router.get('/refunds/crypto/:token', getCryptoRefund);
+
+// Give and confirm the address a crypto refund is sent to (public, the token is the credential)
+router.post('/refunds/crypto/:token/address', submitCryptoRefundAddress);
+
 // Promotion code routes
 // Apply promotion code to cart (requires authentication or valid session)
 router.post('/apply-promotion', optionalAuth, applyPromotionCode);
@@ -2,16 +2,35 @@ import express from 'express';
 import { getProducts } from '../controllers/productsController.js';
 import { getProductBySlug } from '../controllers/productDetailsController.js';
 import { searchProducts } from '../controllers/searchController.js';
+import {
+  subscribeToProductAlert,
+  getMyProductAlerts,
+  confirmProductAlert,
+  unsubscribeFromProductAlert
+} from '../controllers/productAlertController.js';
+import { authenticate, optionalAuth } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // GET /api/products/search - Search products by text query
 router.get('/search', searchProducts);
 
+// POST /api/products/alerts/confirm/:token - Confirm a guest's stock or price alert
+router.post('/alerts/confirm/:token', confirmProductAlert);
+
+// POST /api/products/alerts/unsubscribe/:token - One-click unsubscribe from an alert email
+router.post('/alerts/unsubscribe/:token', unsubscribeFromProductAlert);
+
+// POST /api/products/:productId/alerts - Subscribe to back-in-stock or price-drop alerts
+router.post('/:productId/alerts', optionalAuth, subscribeToProductAlert);
+
+// GET /api/products/:productId/alerts - Signed-in customer's alerts for a product
+router.get('/:productId/alerts', authenticate, getMyProductAlerts);
+
 // GET /api/products - Get all products with pagination, sorting, and filtering
 router.get('/', getProducts);
 
 // GET /api/products/:slug - Get single product by slug
-router.get('/:slug', getProductBySlug);
+router.get('/:slug', optionalAuth, getProductBySlug);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -13,11 +13,14 @@ import {
   updateUserAddress as _updateUserAddress, 
   deleteUserAddress as _deleteUserAddress 
 } from '../controllers/userAddressController.js';
-import { getUserOrders, getUserOrderDetails, placeOrder, cancelOrder, getEligibleReturnItems, getOrderTracking } from '../controllers/userOrderController.js';
+import { getUserOrders, getUserOrderDetails, placeOrder, cancelOrder, retryExpiredOrder, getEligibleReturnItems, getOrderTracking } from '../controllers/userOrderController.js';
 import { getUserReturnRequests, getReturnRequestDetails, submitReturnRequest } from '../controllers/userReturnController.js';
+import { getMyCommissionRequests, getMyCommissionRequest, submitCommissionRequest, addCommissionMessage, acceptCommissionQuote, declineCommissionQuote, cancelCommissionRequest } from '../controllers/commissionController.js';
 import { authenticate } from '../middleware/auth.js';
+import { uploadProductImages, processProductImages, handleImageUploadError } from '../middleware/imageUpload.js';
 import wishlistRoutes from './wishlist.js';
 import { getReferralDashboard } from '../controllers/referralController.js';
+import { getMyStoreCredit } from '../controllers/storeCreditController.js';
 import { handleValidationErrors } from '../middleware/validation.js';
 import {
   createAddressValidator,
@@ -47,6 +50,7 @@ router.get('/orders/:orderId', getUserOrderDetails);
 router.get('/orders/:orderId/tracking', getOrderTracking);
 router.post('/orders/place-order', placeOrder);
 router.post('/orders/:orderId/cancel', cancelOrder);
+router.post('/orders/:orderId/retry', retryExpiredOrder);
 router.get('/orders/:orderId/eligible-returns', getEligibleReturnItems);
 
 // Return management routes
@@ -54,10 +58,22 @@ router.get('/returns', getUserReturnRequests);
 router.get('/returns/:returnRequestId', getReturnRequestDetails);
 router.post('/returns/request', submitReturnRequest);
 
+// Commission requests
+router.get('/commissions', getMyCommissionRequests);
+router.post('/commissions', uploadProductImages, processProductImages, submitCommissionRequest, handleImageUploadError);
+router.get('/commissions/:commissionId', getMyCommissionRequest);
+router.post('/commissions/:commissionId/messages', uploadProductImages, processProductImages, addCommissionMessage, handleImageUploadError);
+router.post('/commissions/:commissionId/accept', acceptCommissionQuote);
+router.post('/commissions/:commissionId/decline', declineCommissionQuote);
+router.post('/commissions/:commissionId/cancel', cancelCommissionRequest);
+
 // Wishlist management routes
 router.use('/wishlist', wishlistRoutes);
 
 // Referral dashboard route (protected)
 router.get('/referral/dashboard', getReferralDashboard);
 
+// Store credit wallet: balance and transaction history
+router.get('/store-credit', getMyStoreCredit);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,255 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+vi.mock('../../middleware/imageUpload.js', () => ({
+  processProductImages: vi.fn()
+}));
+
+vi.mock('../../models/Category.js', () => ({
+  default: {
+    findOne: vi.fn(),
+    generateSlug: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Product.js', () => {
+  const ProductMock = vi.fn().mockImplementation((data) => ({
+    ...data,
+    validateSync: vi.fn().mockReturnValue(undefined),
+    save: vi.fn().mockResolvedValue(true)
+  }));
+  ProductMock.findOne = vi.fn();
+  return { default: ProductMock };
+});
+
+vi.mock('../../services/stockLedgerService.js', () => ({
+  default: {
+    snapshotStock: vi.fn(product => ({ stockQuantity: product.stockQuantity })),
+    recordProductChange: vi.fn().mockResolvedValue([])
+  }
+}));
+
+import fetch from 'node-fetch';
+import { processProductImages } from '../../middleware/imageUpload.js';
+import Product from '../../models/Product.js';
+import stockLedgerService from '../../services/stockLedgerService.js';
+import { EtsyImporter } from '../importEtsy.js';
+
+const createRow = (overrides = {}) => ({
+  TITLE: 'Mini Toolbox Diorama Prop',
+  DESCRIPTION: 'A tiny toolbox for 1:12 figures',
+  PRICE: '12.50',
+  CURRENCY_CODE: 'GBP',
+  QUANTITY: '5',
+  TAGS: 'Diorama,Toolbox',
+  MATERIALS: 'PLA, Acrylic paint',
+  IMAGE1: 'https://i.etsystatic.com/1.jpg',
+  IMAGE2: 'https://i.etsystatic.com/2.jpg',
+  IMAGE3: '',
+  'VARIATION 1 TYPE': 'Colour',
+  'VARIATION 1 NAME': 'Primary colour',
+  'VARIATION 1 VALUES': 'Grey, Red',
+  'VARIATION 2 TYPE': 'Size',
+  'VARIATION 2 NAME': '',
+  'VARIATION 2 VALUES': '1:12',
+  SKU: '',
+  ...overrides
+});
+
+describe('EtsyImporter', () => {
+  let importer;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    importer = new EtsyImporter({ DRY_RUN: false, VERBOSE: false, LINK_IMAGES: true });
+    importer.defaultCategory = { _id: 'category123' };
+  });
+
+  describe('mapCsvToProduct', () => {
+    it('should map variations to product options and variants', () => {
+      const productData = importer.mapCsvToProduct(createRow());
+
+      expect(productData.options).toEqual([
+        { name: 'Primary colour', values: ['Grey', 'Red'] },
+        { name: 'Size', values: ['1:12'] }
+      ]);
+      expect(productData.variants).toHaveLength(2);
+      expect(productData.variants[0]).toMatchObject({
+        sku: 'ETSY_MINI_TOOLBOX_DIORAMA-GREY-112',
+        options: [
+          { name: 'Primary colour', value: 'Grey' },
+          { name: 'Size', value: '1:12' }
+        ],
+        stockQuantity: 3
+      });
+      expect(productData.variants[1].stockQuantity).toBe(2);
+    });
+
+    it('should keep materials as attributes', () => {
+      const productData = importer.mapCsvToProduct(createRow());
+
+      expect(productData.attributes).toEqual([
+        { name: 'Material', value: 'PLA' },
+        { name: 'Material', value: 'Acrylic paint' }
+      ]);
+    });
+
+    it('should collect every image column', () => {
+      const productData = importer.mapCsvToProduct(createRow({ IMAGE10: 'https://i.etsystatic.com/10.jpg' }));
+
+      expect(productData.importSource.imageUrls).toEqual([
+        'https://i.etsystatic.com/1.jpg',
+        'https://i.etsystatic.com/2.jpg',
+        'https://i.etsystatic.com/10.jpg'
+      ]);
+    });
+
+    it('should prefer the SKU column and keep generated SKUs unique within a run', () => {
+      expect(importer.mapCsvToProduct(createRow({ SKU: 'tb-001' })).sku).toBe('TB-001');
+
+      const first = importer.mapCsvToProduct(createRow());
+      const second = importer.mapCsvToProduct(createRow());
+      expect(first.sku).toBe('ETSY_MINI_TOOLBOX_DIORAMA');
+      expect(second.sku).toBe('ETSY_MINI_TOOLBOX_DIORAMA_1');
+      expect(second.slug).toBe('mini-toolbox-diorama-prop-3');
+    });
+
+    it('should not create variants for listings without variations', () => {
+      const productData = importer.mapCsvToProduct(createRow({
+        'VARIATION 1 VALUES': '',
+        'VARIATION 2 VALUES': ''
+      }));
+
+      expect(productData.options).toEqual([]);
+      expect(productData.variants).toEqual([]);
+    });
+  });
+
+  describe('processProduct', () => {
+    const existingFrom = (productData, overrides = {}) => ({
+      ...JSON.parse(JSON.stringify(productData)),
+      variants: productData.variants.map((variant, index) => ({ ...variant, _id: `variant${index}` })),
+      save: vi.fn().mockResolvedValue(true),
+      ...overrides
+    });
+
+    it('should create new products and report them', async () => {
+      Product.findOne.mockResolvedValue(null);
+      const productData = importer.mapCsvToProduct(createRow());
+
+      await importer.processProduct(productData);
+
+      expect(Product).toHaveBeenCalledWith(expect.objectContaining({
+        sku: 'ETSY_MINI_TOOLBOX_DIORAMA',
+        images: ['https://i.etsystatic.com/1.jpg', 'https://i.etsystatic.com/2.jpg']
+      }));
+      expect(importer.stats.created).toBe(1);
+      expect(importer.report[0]).toMatchObject({ sku: 'ETSY_MINI_TOOLBOX_DIORAMA', action: 'created' });
+      expect(stockLedgerService.recordProductChange).toHaveBeenCalledWith(
+        null,
+        expect.objectContaining({ sku: 'ETSY_MINI_TOOLBOX_DIORAMA' }),
+        { reason: 'import', reference: { kind: 'Import', label: 'Etsy import' } }
+      );
+    });
+
+    it('should skip unchanged products on re-run', async () => {
+      const productData = importer.mapCsvToProduct(createRow());
+      const existing = existingFrom(productData);
+      Product.findOne.mockResolvedValue(existing);
+
+      await importer.processProduct(productData);
+
+      expect(existing.save).not.toHaveBeenCalled();
+      expect(importer.report[0]).toMatchObject({ action: 'skipped', reason: 'unchanged' });
+    });
+
+    it('should only apply changed fields and keep variant IDs', async () => {
+      const productData = importer.mapCsvToProduct(createRow({ PRICE: '15.00' }));
+      const existing = existingFrom(productData, { price: 12.5, name: 'Renamed in admin' });
+      Product.findOne.mockResolvedValue(existing);
+
+      await importer.processProduct(productData);
+
+      expect(existing.save).toHaveBeenCalled();
+      expect(existing.price).toBe(15);
+      expect(existing.variants[0]._id).toBe('variant0');
+      expect(importer.report[0]).toMatchObject({ action: 'updated', changes: ['name', 'price'] });
+    });
+
+    it('should keep admin-set variant stock when the listing total is unchanged', async () => {
+      const productData = importer.mapCsvToProduct(createRow());
+      const existing = existingFrom(productData);
+      existing.variants[0].stockQuantity = 1;
+      existing.variants[1].stockQuantity = 4;
+      Product.findOne.mockResolvedValue(existing);
+
+      await importer.processProduct(productData);
+
+      expect(importer.report[0].action).toBe('skipped');
+    });
+
+    it('should not save anything in dry-run mode', async () => {
+      importer.config.DRY_RUN = true;
+      const productData = importer.mapCsvToProduct(createRow({ QUANTITY: '9' }));
+      const existing = existingFrom(productData, { stockQuantity: 5 });
+      Product.findOne.mockResolvedValue(existing);
+
+      await importer.processProduct(productData);
+
+      expect(existing.save).not.toHaveBeenCalled();
+      expect(stockLedgerService.recordProductChange).not.toHaveBeenCalled();
+      expect(importer.report[0]).toMatchObject({ action: 'updated', changes: ['stockQuantity'] });
+    });
+
+    it('should record errors against the SKU', async () => {
+      Product.findOne.mockRejectedValue(new Error('Database error'));
+      const productData = importer.mapCsvToProduct(createRow());
+
+      await importer.processProduct(productData);
+
+      expect(importer.stats.errors).toBe(1);
+      expect(importer.report[0]).toMatchObject({ action: 'error', reason: 'Database error' });
+    });
+  });
+
+  describe('resolveImages', () => {
+    it('should send downloaded images through processProductImages', async () => {
+      importer.config.LINK_IMAGES = false;
+      fetch.mockResolvedValue({
+        ok: true,
+        arrayBuffer: vi.fn().mockResolvedValue(new ArrayBuffer(8)),
+        headers: { get: vi.fn().mockReturnValue('image/jpeg') }
+      });
+      processProductImages.mockImplementation((req, res, next) => {
+        req.body.processedImages = [{ url: '/uploads/products/product-1.webp' }];
+        next();
+      });
+
+      const images = await importer.resolveImages(['https://i.etsystatic.com/1.jpg'], { warnings: [] });
+
+      expect(processProductImages).toHaveBeenCalledWith(
+        expect.objectContaining({ files: [expect.objectContaining({ originalname: '1.jpg' })] }),
+        expect.any(Object),
+        expect.any(Function)
+      );
+      expect(images).toEqual(['/uploads/products/product-1.webp']);
+    });
+
+    it('should fall back to linking the Etsy URL when a download fails', async () => {
+      importer.config.LINK_IMAGES = false;
+      fetch.mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found' });
+      const reportEntry = { warnings: [] };
+
+      const images = await importer.resolveImages(['https://i.etsystatic.com/1.jpg'], reportEntry);
+
+      expect(images).toEqual(['https://i.etsystatic.com/1.jpg']);
+      expect(reportEntry.warnings).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import etsyCatalogService from '../services/etsyCatalogService.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Read a --name=value style argument
+const getArgValue = (name) => {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+};
+
+/**
+ * Write active products to an Etsy-compatible CSV (or the SKU/QUANTITY stock file)
+ */
+export const exportEtsy = async ({ stockOnly = false, outputPath = null } = {}) => {
+  const dbUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/graphene-store';
+  const date = new Date().toISOString().split('T')[0];
+  const filePath = outputPath ||
+    path.join(__dirname, '../../reports', stockOnly ? `stock-sync-${date}.csv` : `etsy-export-${date}.csv`);
+
+  try {
+    await mongoose.connect(dbUri);
+    console.log('✅ Database connected successfully');
+
+    const { csv, count } = stockOnly
+      ? await etsyCatalogService.exportStockCsv()
+      : await etsyCatalogService.exportEtsyCsv();
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, csv);
+    console.log(`📤 Exported ${count} ${stockOnly ? 'SKUs' : 'products'} to ${filePath}`);
+
+    return { filePath, count };
+  } finally {
+    await mongoose.connection.close();
+    console.log('📡 Database connection closed');
+  }
+};
+
+function printUsage() {
+  console.log(`
+🛍️  Etsy CSV Export Script
+
+Usage: node exportEtsy.js [options]
+
+Options:
+  --stock            Export only the SKU/QUANTITY stock sync file
+  --output=<path>    Where to write the CSV (defaults to backend/reports)
+  --help             Show this help message
+
+Apply a stock file back to the store with:
+  node importEtsy.js --stock-delta --file=<path>
+`);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  if (process.argv.includes('--help')) {
+    printUsage();
+    process.exit(0);
+  }
+
+  exportEtsy({
+    stockOnly: process.argv.includes('--stock'),
+    outputPath: getArgValue('output')
+  })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('💥 Export failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default exportEtsy;
@@ -5,24 +5,49 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import mongoose from 'mongoose';
 import csv from 'csv-parser';
+import fetch from 'node-fetch';
 import Product from '../models/Product.js';
 import Category from '../models/Category.js';
+import { processProductImages } from '../middleware/imageUpload.js';
+import etsyCatalogService from '../services/etsyCatalogService.js';
+import stockLedgerService from '../services/stockLedgerService.js';
+import productAlertService from '../services/productAlertService.js';
+import { parseCsv } from '../utils/spreadsheet.js';
+
+// Stock ledger details for stock changed by the Etsy import
+const ETSY_IMPORT_MOVEMENT = { reason: 'import', reference: { kind: 'Import', label: 'Etsy import' } };
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Read a --name=value style argument
+const getArgValue = (name) => {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+};
+
 // Configuration
 const CONFIG = {
-  CSV_FILE_PATH: path.join(__dirname, '../../../Etsy.csv'),
+  CSV_FILE_PATH: getArgValue('file') || path.join(__dirname, '../../../Etsy.csv'),
   DEFAULT_CATEGORY: 'Action Figure Accessories', // Default category for Etsy products
   BATCH_SIZE: 10, // Process products in batches
   DRY_RUN: process.argv.includes('--dry-run'),
-  VERBOSE: process.argv.includes('--verbose')
+  VERBOSE: process.argv.includes('--verbose'),
+  LINK_IMAGES: process.argv.includes('--link-images'), // Keep Etsy URLs instead of downloading
+  STOCK_DELTA: process.argv.includes('--stock-delta'), // Only update quantities by SKU
+  IMAGE_TIMEOUT_MS: 15000,
+  REPORT_PATH: getArgValue('report') ||
+    path.join(__dirname, '../../reports', `etsy-import-${new Date().toISOString().replace(/[:.]/g, '-')}.json`)
 };
 
+// Etsy exports up to two variations per listing
+const VARIATION_COLUMNS = [1, 2];
+const MAX_IMAGES = 10;
+
 // Utility functions
-class EtsyImporter {
-  constructor() {
+export class EtsyImporter {
+  constructor(options = {}) {
+    this.config = { ...CONFIG, ...options };
     this.stats = {
       processed: 0,
       created: 0,
@@ -32,15 +57,18 @@ class EtsyImporter {
     };
     this.defaultCategory = null;
     this.errors = [];
+    this.report = [];
+    this.usedSkus = new Set();
+    this.usedSlugs = new Set();
   }
 
   async init() {
     try {
       await this.connectDatabase();
       await this.ensureDefaultCategory();
-      console.log(`🚀 Etsy Import Script ${CONFIG.DRY_RUN ? '(DRY RUN)' : '(LIVE MODE)'}`);
-      console.log(`📁 CSV File: ${CONFIG.CSV_FILE_PATH}`);
-      console.log(`📦 Default Category: ${CONFIG.DEFAULT_CATEGORY}`);
+      console.log(`🚀 Etsy Import Script ${this.config.DRY_RUN ? '(DRY RUN)' : '(LIVE MODE)'}`);
+      console.log(`📁 CSV File: ${this.config.CSV_FILE_PATH}`);
+      console.log(`📦 Default Category: ${this.config.DEFAULT_CATEGORY}`);
     } catch (error) {
       console.error('❌ Initialization failed:', error.message);
       process.exit(1);
@@ -63,22 +91,22 @@ class EtsyImporter {
 
   async ensureDefaultCategory() {
     try {
-      this.defaultCategory = await Category.findOne({ name: CONFIG.DEFAULT_CATEGORY });
+      this.defaultCategory = await Category.findOne({ name: this.config.DEFAULT_CATEGORY });
       
       if (!this.defaultCategory) {
-        const slug = await Category.generateSlug(CONFIG.DEFAULT_CATEGORY);
+        const slug = await Category.generateSlug(this.config.DEFAULT_CATEGORY);
         this.defaultCategory = new Category({
-          name: CONFIG.DEFAULT_CATEGORY,
+          name: this.config.DEFAULT_CATEGORY,
           slug,
           description: 'Imported accessories and props for action figures'
         });
         
-        if (!CONFIG.DRY_RUN) {
+        if (!this.config.DRY_RUN) {
           await this.defaultCategory.save();
         }
-        console.log(`✅ Created default category: ${CONFIG.DEFAULT_CATEGORY}`);
+        console.log(`✅ Created default category: ${this.config.DEFAULT_CATEGORY}`);
       } else {
-        console.log(`✅ Found existing category: ${CONFIG.DEFAULT_CATEGORY}`);
+        console.log(`✅ Found existing category: ${this.config.DEFAULT_CATEGORY}`);
       }
     } catch (error) {
       throw new Error(`Failed to ensure default category: ${error.message}`);
@@ -96,24 +124,36 @@ class EtsyImporter {
       .substring(0, 200); // Limit length
   }
 
-  async generateUniqueSku(title) {
-    const baseSku = title
+  // SKUs must stay stable between runs so re-imports match the same products
+  generateSku(row, title) {
+    const explicitSku = (row.SKU || '').trim().toUpperCase().substring(0, 50);
+    const baseSku = explicitSku || `ETSY_${title
       .toUpperCase()
       .replace(/[^A-Z0-9\s]/g, '')
       .replace(/\s+/g, '_')
-      .substring(0, 20);
-    
-    let sku = `ETSY_${baseSku}`;
+      .substring(0, 20)}`;
+
+    let sku = baseSku;
     let counter = 1;
+    while (this.usedSkus.has(sku)) {
+      sku = `${baseSku}_${counter}`;
+      counter++;
+    }
+    this.usedSkus.add(sku);
+    return sku;
+  }
 
-    while (true) {
-      const existing = await Product.findOne({ sku });
-      if (!existing) {
-        return sku;
-      }
-      sku = `ETSY_${baseSku}_${counter}`;
+  generateUniqueSlug(title) {
+    const baseSlug = this.generateSlug(title) || 'etsy-product';
+
+    let slug = baseSlug;
+    let counter = 2;
+    while (this.usedSlugs.has(slug)) {
+      slug = `${baseSlug}-${counter}`;
       counter++;
     }
+    this.usedSlugs.add(slug);
+    return slug;
   }
 
   parsePrice(priceStr) {
@@ -124,7 +164,7 @@ class EtsyImporter {
 
   parseImages(row) {
     const images = [];
-    for (let i = 1; i <= 10; i++) {
+    for (let i = 1; i <= MAX_IMAGES; i++) {
       const imageKey = `IMAGE${i}`;
       if (row[imageKey] && row[imageKey].trim()) {
         images.push(row[imageKey].trim());
@@ -143,13 +183,82 @@ class EtsyImporter {
       .slice(0, 20); // Limit to 20 tags
   }
 
+  parseMaterials(materialsStr) {
+    if (!materialsStr) return [];
+
+    const materials = materialsStr
+      .split(',')
+      .map(material => material.trim())
+      .filter(material => material.length > 0);
+
+    return [...new Set(materials)].map(material => ({ name: 'Material', value: material }));
+  }
+
+  // Map VARIATION 1/2 columns to product options
+  parseVariations(row) {
+    const options = [];
+
+    for (const index of VARIATION_COLUMNS) {
+      const type = (row[`VARIATION ${index} TYPE`] || '').trim();
+      const name = (row[`VARIATION ${index} NAME`] || '').trim() || type;
+      const values = (row[`VARIATION ${index} VALUES`] || '')
+        .split(',')
+        .map(value => value.trim())
+        .filter(value => value.length > 0);
+
+      if (name && values.length > 0) {
+        options.push({ name: name.substring(0, 50), values: [...new Set(values)] });
+      }
+    }
+
+    return options;
+  }
+
+  // Spread listing stock across variants as evenly as possible
+  splitQuantity(total, parts) {
+    const base = Math.floor(total / parts);
+    const remainder = total % parts;
+    return Array.from({ length: parts }, (_, index) => base + (index < remainder ? 1 : 0));
+  }
+
+  buildVariantSku(baseSku, combination) {
+    const suffix = combination
+      .map(option => option.value.toUpperCase().replace(/[^A-Z0-9]+/g, ''))
+      .join('-')
+      .substring(0, 30);
+    return `${baseSku.substring(0, 49 - suffix.length)}-${suffix}`;
+  }
+
+  // One variant per combination of option values
+  buildVariants(baseSku, options, quantity) {
+    if (options.length === 0) return [];
+
+    const combinations = options.reduce(
+      (result, option) => result.flatMap(combination =>
+        option.values.map(value => [...combination, { name: option.name, value }])
+      ),
+      [[]]
+    );
+    const quantities = this.splitQuantity(quantity, combinations.length);
+
+    return combinations.map((combination, index) => ({
+      sku: this.buildVariantSku(baseSku, combination),
+      options: combination,
+      stockQuantity: quantities[index],
+      images: [],
+      isActive: true
+    }));
+  }
+
   mapCsvToProduct(row) {
     const title = row.TITLE || 'Untitled Product';
     const description = row.DESCRIPTION || '';
     const price = this.parsePrice(row.PRICE || 0);
     const quantity = parseInt(row.QUANTITY) || 0;
-    const images = this.parseImages(row);
+    const imageUrls = this.parseImages(row);
     const tags = this.parseTags(row.TAGS);
+    const sku = this.generateSku(row, title);
+    const options = this.parseVariations(row);
 
     // Determine stock status based on quantity
     let stockStatus = 'out_of_stock';
@@ -161,13 +270,21 @@ class EtsyImporter {
 
     return {
       name: title.substring(0, 200),
-      slug: this.generateSlug(title),
-      sku: '', // Will be generated in mapToProduct
+      slug: this.generateUniqueSlug(title),
+      sku,
+      hasExplicitSku: Boolean((row.SKU || '').trim()),
       shortDescription: description.substring(0, 300),
       longDescription: description.substring(0, 2000),
       price: price,
       tags: tags,
-      images: images,
+      images: imageUrls,
+      attributes: this.parseMaterials(row.MATERIALS),
+      options,
+      variants: this.buildVariants(sku, options, quantity),
+      importSource: {
+        provider: 'etsy',
+        imageUrls
+      },
       category: this.defaultCategory._id,
       condition: 'new',
       stockStatus: stockStatus,
@@ -183,29 +300,200 @@ class EtsyImporter {
     };
   }
 
+  async findExistingProduct(productData) {
+    const bySku = await Product.findOne({ sku: productData.sku });
+    if (bySku) return bySku;
+
+    // Products imported before SKUs were stable are matched by title
+    return Product.findOne({
+      $or: [
+        { name: productData.name },
+        { slug: productData.slug }
+      ]
+    });
+  }
+
+  // Keep per-variant stock set in the admin when the listing total is unchanged
+  reconcileVariantStock(existingProduct, productData) {
+    const existingVariants = existingProduct.variants || [];
+    const sameSkus = existingVariants.length === productData.variants.length &&
+      productData.variants.every(variant => existingVariants.some(existing => existing.sku === variant.sku));
+
+    if (sameSkus && existingProduct.stockQuantity === productData.stockQuantity) {
+      productData.variants = productData.variants.map(variant => ({
+        ...variant,
+        stockQuantity: existingVariants.find(existing => existing.sku === variant.sku).stockQuantity
+      }));
+    }
+  }
+
+  // Plain values for the fields the importer owns, for change detection
+  getComparableFields(product) {
+    return {
+      sku: product.sku,
+      name: product.name,
+      shortDescription: product.shortDescription || '',
+      longDescription: product.longDescription || '',
+      price: product.price,
+      tags: [...(product.tags || [])],
+      stockQuantity: product.stockQuantity,
+      attributes: (product.attributes || []).map(({ name, value }) => ({ name, value })),
+      options: (product.options || []).map(option => ({ name: option.name, values: [...option.values] })),
+      variants: (product.variants || []).map(variant => ({
+        sku: variant.sku,
+        options: variant.options.map(({ name, value }) => ({ name, value })),
+        stockQuantity: variant.stockQuantity
+      })),
+      images: [...(product.importSource?.imageUrls || [])]
+    };
+  }
+
+  diffProduct(existingProduct, productData) {
+    const current = this.getComparableFields(existingProduct);
+    const desired = this.getComparableFields(productData);
+
+    return Object.keys(desired).filter(field => {
+      // Generated SKUs never replace the one already on the product
+      if (field === 'sku' && !productData.hasExplicitSku) return false;
+      return JSON.stringify(current[field]) !== JSON.stringify(desired[field]);
+    });
+  }
+
+  async downloadImage(url) {
+    const response = await fetch(url, {
+      headers: { 'User-Agent': 'RDJCustoms-Store/1.0' },
+      signal: AbortSignal.timeout(this.config.IMAGE_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Image download failed: ${response.status} ${response.statusText}`);
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return {
+      buffer,
+      originalname: path.basename(new URL(url).pathname),
+      mimetype: response.headers.get('content-type') || 'image/jpeg',
+      size: buffer.length
+    };
+  }
+
+  // Run a downloaded file through the same pipeline as admin uploads
+  async processImageFile(file) {
+    const req = { files: [file], body: {} };
+    let pipelineError = null;
+    const res = {
+      status: () => ({
+        json: (body) => {
+          pipelineError = body.error;
+        }
+      })
+    };
+
+    await processProductImages(req, res, () => {});
+
+    if (pipelineError || !req.body.processedImages?.length) {
+      throw new Error(pipelineError || 'Image processing failed');
+    }
+    return req.body.processedImages[0].url;
+  }
+
+  // Download each Etsy image, falling back to linking the original URL
+  async resolveImages(imageUrls, reportEntry) {
+    if (this.config.LINK_IMAGES) {
+      return imageUrls;
+    }
+
+    const images = [];
+    for (const url of imageUrls) {
+      try {
+        const file = await this.downloadImage(url);
+        images.push(await this.processImageFile(file));
+      } catch (error) {
+        reportEntry.warnings.push(`Linked ${url} instead of downloading: ${error.message}`);
+        images.push(url);
+      }
+    }
+    return images;
+  }
+
+  recordResult(reportEntry) {
+    this.report.push(reportEntry);
+    this.stats[reportEntry.action]++;
+
+    if (this.config.VERBOSE) {
+      const prefix = this.config.DRY_RUN ? '🔍 [DRY RUN] ' : '';
+      const details = reportEntry.changes.length > 0 ? ` (${reportEntry.changes.join(', ')})` : '';
+      console.log(`${prefix}${reportEntry.action}: ${reportEntry.name} (SKU: ${reportEntry.sku})${details}`);
+    }
+  }
+
   async processProduct(productData) {
+    const reportEntry = {
+      sku: productData.sku,
+      name: productData.name,
+      action: 'skipped',
+      changes: [],
+      warnings: []
+    };
+
     try {
-      // Generate unique SKU
-      productData.sku = await this.generateUniqueSku(productData.name);
-
-      // Check if product already exists by name or similar title
-      const existingProduct = await Product.findOne({
-        $or: [
-          { name: productData.name },
-          { slug: productData.slug }
-        ]
-      });
+      const existingProduct = await this.findExistingProduct(productData);
 
       if (existingProduct) {
-        if (CONFIG.VERBOSE) {
-          console.log(`⏭️  Skipping existing product: ${productData.name}`);
+        reportEntry.sku = productData.hasExplicitSku ? productData.sku : existingProduct.sku;
+        this.reconcileVariantStock(existingProduct, productData);
+        const changes = this.diffProduct(existingProduct, productData);
+
+        if (changes.length === 0) {
+          reportEntry.reason = 'unchanged';
+          this.recordResult(reportEntry);
+          return null;
+        }
+
+        reportEntry.action = 'updated';
+        reportEntry.changes = changes;
+
+        if (this.config.DRY_RUN) {
+          this.recordResult(reportEntry);
+          return existingProduct;
         }
-        this.stats.skipped++;
-        return null;
+
+        const stockBefore = stockLedgerService.snapshotStock(existingProduct);
+        const alertBefore = productAlertService.snapshot(existingProduct);
+        for (const field of changes) {
+          if (field === 'images') {
+            existingProduct.images = await this.resolveImages(productData.importSource.imageUrls, reportEntry);
+            existingProduct.importSource = productData.importSource;
+          } else if (field === 'variants') {
+            // Keep variant IDs (referenced by carts and orders) for unchanged SKUs
+            existingProduct.variants = productData.variants.map(variant => {
+              const current = existingProduct.variants.find(existing => existing.sku === variant.sku);
+              return current
+                ? { ...variant, _id: current._id, price: current.price, images: current.images }
+                : variant;
+            });
+          } else {
+            existingProduct[field] = productData[field];
+          }
+        }
+
+        await existingProduct.save();
+        await stockLedgerService.recordProductChange(stockBefore, existingProduct, ETSY_IMPORT_MOVEMENT);
+        await productAlertService.handleProductChange(alertBefore, existingProduct);
+        this.recordResult(reportEntry);
+        return existingProduct;
+      }
+
+      reportEntry.action = 'created';
+
+      const { hasExplicitSku: _hasExplicitSku, ...newProductData } = productData;
+      if (!this.config.DRY_RUN) {
+        newProductData.images = await this.resolveImages(productData.importSource.imageUrls, reportEntry);
       }
 
       // Create new product
-      const product = new Product(productData);
+      const product = new Product(newProductData);
 
       // Validate before saving
       const validationError = product.validateSync();
@@ -213,25 +501,21 @@ class EtsyImporter {
         throw new Error(`Validation failed: ${validationError.message}`);
       }
 
-      if (!CONFIG.DRY_RUN) {
+      if (!this.config.DRY_RUN) {
         await product.save();
-        this.stats.created++;
-        if (CONFIG.VERBOSE) {
-          console.log(`✅ Created product: ${product.name} (SKU: ${product.sku})`);
-        }
-        return product;
-      } else {
-        this.stats.created++;
-        if (CONFIG.VERBOSE) {
-          console.log(`🔍 [DRY RUN] Would create: ${product.name} (SKU: ${product.sku})`);
-        }
-        return product;
+        await stockLedgerService.recordProductChange(null, product, ETSY_IMPORT_MOVEMENT);
       }
+      this.recordResult(reportEntry);
+      return product;
     } catch (error) {
-      this.stats.errors++;
       const errorMsg = `Failed to process product "${productData.name}": ${error.message}`;
       this.errors.push(errorMsg);
       console.error(`❌ ${errorMsg}`);
+
+      reportEntry.action = 'error';
+      reportEntry.reason = error.message;
+      this.report.push(reportEntry);
+      this.stats.errors++;
       return null;
     }
   }
@@ -240,13 +524,13 @@ class EtsyImporter {
     return new Promise((resolve, reject) => {
       const products = [];
       
-      if (!fs.existsSync(CONFIG.CSV_FILE_PATH)) {
-        return reject(new Error(`CSV file not found: ${CONFIG.CSV_FILE_PATH}`));
+      if (!fs.existsSync(this.config.CSV_FILE_PATH)) {
+        return reject(new Error(`CSV file not found: ${this.config.CSV_FILE_PATH}`));
       }
 
       console.log('📖 Reading CSV file...');
 
-      fs.createReadStream(CONFIG.CSV_FILE_PATH)
+      fs.createReadStream(this.config.CSV_FILE_PATH)
         .pipe(csv())
         .on('data', (row) => {
           this.stats.processed++;
@@ -264,10 +548,10 @@ class EtsyImporter {
           
           try {
             // Process products in batches
-            for (let i = 0; i < products.length; i += CONFIG.BATCH_SIZE) {
-              const batch = products.slice(i, i + CONFIG.BATCH_SIZE);
-              const batchNumber = Math.floor(i / CONFIG.BATCH_SIZE) + 1;
-              const totalBatches = Math.ceil(products.length / CONFIG.BATCH_SIZE);
+            for (let i = 0; i < products.length; i += this.config.BATCH_SIZE) {
+              const batch = products.slice(i, i + this.config.BATCH_SIZE);
+              const batchNumber = Math.floor(i / this.config.BATCH_SIZE) + 1;
+              const totalBatches = Math.ceil(products.length / this.config.BATCH_SIZE);
               
               console.log(`⚙️  Processing batch ${batchNumber}/${totalBatches} (${batch.length} products)...`);
               
@@ -275,7 +559,7 @@ class EtsyImporter {
               await Promise.all(promises);
               
               // Brief pause between batches to avoid overwhelming the database
-              if (i + CONFIG.BATCH_SIZE < products.length) {
+              if (i + this.config.BATCH_SIZE < products.length) {
                 await new Promise(resolve => setTimeout(resolve, 100));
               }
             }
@@ -307,7 +591,7 @@ class EtsyImporter {
       });
     }
     
-    if (CONFIG.DRY_RUN) {
+    if (this.config.DRY_RUN) {
       console.log('\n🔍 This was a DRY RUN - no data was actually imported.');
       console.log('Run without --dry-run flag to perform actual import.');
     }
@@ -315,6 +599,48 @@ class EtsyImporter {
     console.log('\n✨ Import completed!');
   }
 
+  // Per-SKU reconciliation report of what was created, updated or skipped
+  async writeReport() {
+    const report = {
+      generatedAt: new Date().toISOString(),
+      csvFile: this.config.CSV_FILE_PATH,
+      dryRun: this.config.DRY_RUN,
+      summary: { ...this.stats },
+      items: this.report
+    };
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.config.REPORT_PATH), { recursive: true });
+      await fs.promises.writeFile(this.config.REPORT_PATH, JSON.stringify(report, null, 2));
+      console.log(`📝 Reconciliation report written to ${this.config.REPORT_PATH}`);
+    } catch (error) {
+      console.error('❌ Failed to write reconciliation report:', error.message);
+    }
+
+    return report;
+  }
+
+  // Stock delta mode: apply QUANTITY by SKU without touching any other field
+  async importStockDelta() {
+    if (!fs.existsSync(this.config.CSV_FILE_PATH)) {
+      throw new Error(`CSV file not found: ${this.config.CSV_FILE_PATH}`);
+    }
+
+    const content = await fs.promises.readFile(this.config.CSV_FILE_PATH);
+    const rows = await parseCsv(content);
+    this.stats.processed = rows.length;
+
+    const result = await etsyCatalogService.applyStockUpdates(rows, { dryRun: this.config.DRY_RUN });
+    this.stats.updated = result.summary.updated;
+    this.stats.skipped = result.summary.unchanged + result.summary.notFound;
+    this.stats.errors = result.summary.invalid;
+    this.report = result.items;
+
+    result.items
+      .filter(item => item.action === 'not_found' || item.action === 'invalid')
+      .forEach(item => this.errors.push(`${item.sku || '(no SKU)'}: ${item.reason || 'SKU not found'}`));
+  }
+
   async cleanup() {
     try {
       await mongoose.connection.close();
@@ -326,8 +652,15 @@ class EtsyImporter {
 
   async run() {
     try {
-      await this.init();
-      await this.importProducts();
+      if (this.config.STOCK_DELTA) {
+        await this.connectDatabase();
+        console.log(`📦 Etsy Stock Delta Import ${this.config.DRY_RUN ? '(DRY RUN)' : '(LIVE MODE)'}`);
+        await this.importStockDelta();
+      } else {
+        await this.init();
+        await this.importProducts();
+      }
+      await this.writeReport();
       this.printSummary();
     } catch (error) {
       console.error('💥 Import failed:', error.message);
@@ -346,30 +679,42 @@ function printUsage() {
 Usage: node importEtsy.js [options]
 
 Options:
-  --dry-run    Simulate import without saving to database
-  --verbose    Show detailed output for each product
-  --help       Show this help message
+  --dry-run          Simulate import without saving to database
+  --verbose          Show detailed output for each product
+  --link-images      Link Etsy image URLs instead of downloading them
+  --stock-delta      Only update stock quantities by SKU (Etsy.csv or SKU/QUANTITY file)
+  --file=<path>      CSV file to import (defaults to Etsy.csv in the repo root)
+  --report=<path>    Where to write the reconciliation report (JSON)
+  --help             Show this help message
+
+Re-running the import is safe: products are matched by SKU (or title for
+older imports) and only fields that differ from the CSV are updated.
 
 Examples:
   node importEtsy.js                    # Run import
   node importEtsy.js --dry-run          # Test import without saving
   node importEtsy.js --dry-run --verbose # Test with detailed output
+  node importEtsy.js --stock-delta --file=stock-sync.csv # Sync stock only
 `);
 }
 
 // Main execution
-if (process.argv.includes('--help')) {
-  printUsage();
-  process.exit(0);
-}
+if (import.meta.url === `file://${process.argv[1]}`) {
+  if (process.argv.includes('--help')) {
+    printUsage();
+    process.exit(0);
+  }
+
+  // Handle interruption gracefully
+  process.on('SIGINT', () => {
+    console.log('\n⚠️  Import interrupted by user');
+    mongoose.connection.close();
+    process.exit(0);
+  });
 
-// Handle interruption gracefully
-process.on('SIGINT', () => {
-  console.log('\n⚠️  Import interrupted by user');
-  mongoose.connection.close();
-  process.exit(0);
-});
+  // Run the importer
+  const importer = new EtsyImporter();
+  importer.run();
+}
 
-// Run the importer
-const importer = new EtsyImporter();
-importer.run();
\ No newline at end of file
+export default EtsyImporter;
\ No newline at end of file
@@ -0,0 +1,258 @@
+import { vi, describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import crypto from 'crypto';
+import express from 'express';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../models/PaymentGateway.js', () => ({
+  default: {
+    findOne: vi.fn(),
+    findByIdAndUpdate: vi.fn()
+  }
+}));
+
+import PaymentGateway from '../../models/PaymentGateway.js';
+import bitcoinService from '../bitcoinService.js';
+import { XpubBitcoinBackend, BtcpayBitcoinBackend, createBitcoinBackend } from '../bitcoinBackends.js';
+
+// BIP84 test vector account key ("abandon ... about" mnemonic)
+const ZPUB = 'zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs';
+const FIRST_ADDRESS = 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu';
+const SECOND_ADDRESS = 'bc1qnjg0jd8228aq7egyzacy8cys3knf9xvrerkf9g';
+
+// Serve an express app on a random local port
+const listen = app => new Promise((resolve) => {
+  const server = app.listen(0, '127.0.0.1', () => {
+    resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+  });
+});
+
+describe('Bitcoin backends', () => {
+  describe('XpubBitcoinBackend', () => {
+    const esplora = { transactions: {}, tipHeight: 100 };
+    let esploraServer;
+    let esploraUrl;
+
+    beforeAll(async () => {
+      const app = express();
+      app.get('/address/:address/txs', (req, res) => res.json(esplora.transactions[req.params.address] || []));
+      app.get('/blocks/tip/height', (req, res) => res.send(String(esplora.tipHeight)));
+      ({ server: esploraServer, url: esploraUrl } = await listen(app));
+    });
+
+    afterAll(() => new Promise(resolve => esploraServer.close(resolve)));
+
+    beforeEach(() => {
+      esplora.transactions = {};
+      esplora.tipHeight = 100;
+    });
+
+    it('should derive BIP84 receive addresses from a zpub', () => {
+      const backend = new XpubBitcoinBackend({ extendedPublicKey: ZPUB, esploraUrl: 'http://esplora' });
+
+      expect(backend.deriveAddress(0)).toBe(FIRST_ADDRESS);
+      expect(backend.createPayment({ addressIndex: 1 })).toEqual({
+        bitcoinAddress: SECOND_ADDRESS,
+        bitcoinAddressIndex: 1
+      });
+    });
+
+    it('should use the regtest address prefix', () => {
+      const backend = new XpubBitcoinBackend({ extendedPublicKey: ZPUB, esploraUrl: 'http://esplora', network: 'regtest' });
+
+      expect(backend.deriveAddress(0)).toMatch(/^bcrt1q/);
+    });
+
+    it('should reject keys it cannot derive from', () => {
+      expect(() => new XpubBitcoinBackend({ extendedPublicKey: 'ypub123', esploraUrl: 'http://esplora' }))
+        .toThrow('Unsupported extended public key prefix');
+      expect(() => new XpubBitcoinBackend({ extendedPublicKey: ZPUB }))
+        .toThrow('requires an extended public key and an Esplora URL');
+    });
+
+    it('should total payments to the address and report the lowest confirmation count', async () => {
+      esplora.transactions[FIRST_ADDRESS] = [
+        {
+          txid: 'tx-mempool',
+          status: { confirmed: false },
+          vout: [{ scriptpubkey_address: FIRST_ADDRESS, value: 25000 }]
+        },
+        {
+          txid: 'tx-confirmed',
+          status: { confirmed: true, block_height: 98 },
+          vout: [
+            { scriptpubkey_address: 'bc1qchange', value: 90000 },
+            { scriptpubkey_address: FIRST_ADDRESS, value: 75000 }
+          ]
+        }
+      ];
+      const backend = new XpubBitcoinBackend({ extendedPublicKey: ZPUB, esploraUrl: `${esploraUrl}/` });
+
+      const status = await backend.getPaymentStatus({ bitcoinAddress: FIRST_ADDRESS });
+
+      expect(status).toEqual({ amountReceived: 0.001, confirmations: 0, txid: 'tx-mempool' });
+    });
+
+    it('should count confirmations from the chain tip', async () => {
+      esplora.transactions[FIRST_ADDRESS] = [{
+        txid: 'tx-confirmed',
+        status: { confirmed: true, block_height: 98 },
+        vout: [{ scriptpubkey_address: FIRST_ADDRESS, value: 100000 }]
+      }];
+      const backend = new XpubBitcoinBackend({ extendedPublicKey: ZPUB, esploraUrl });
+
+      const status = await backend.getPaymentStatus({ bitcoinAddress: FIRST_ADDRESS });
+
+      expect(status.confirmations).toBe(3);
+    });
+  });
+
+  describe('BtcpayBitcoinBackend', () => {
+    const btcpay = { invoices: [], payments: [], requests: [] };
+    let btcpayServer;
+    let btcpayUrl;
+
+    beforeAll(async () => {
+      const app = express();
+      app.use(express.json());
+      app.post('/api/v1/stores/:storeId/invoices', (req, res) => {
+        btcpay.requests.push({ storeId: req.params.storeId, authorization: req.headers.authorization, body: req.body });
+        res.json({ id: 'INV-1', checkoutLink: 'https://btcpay.example/i/INV-1', status: 'New' });
+      });
+      app.get('/api/v1/stores/:storeId/invoices/:invoiceId/payment-methods', (req, res) => {
+        res.json([
+          { paymentMethodId: 'BTC-LN', destination: 'lnbc1', amount: '0.001', rate: '50000', payments: [] },
+          { paymentMethodId: 'BTC-CHAIN', destination: 'bcrt1qinvoice', amount: '0.00100000', rate: '45000.00', payments: btcpay.payments }
+        ]);
+      });
+      ({ server: btcpayServer, url: btcpayUrl } = await listen(app));
+    });
+
+    afterAll(() => new Promise(resolve => btcpayServer.close(resolve)));
+
+    beforeEach(() => {
+      btcpay.payments = [];
+      btcpay.requests = [];
+    });
+
+    const createBackend = () => new BtcpayBitcoinBackend({
+      url: btcpayUrl,
+      storeId: 'STORE1',
+      apiKey: 'greenfield-key',
+      webhookSecret: 'hook-secret'
+    });
+
+    it('should create an invoice and return its on-chain address', async () => {
+      const payment = await createBackend().createPayment({ orderId: 'order123', amountGbp: 45, expiryMinutes: 1440 });
+
+      expect(btcpay.requests[0]).toEqual({
+        storeId: 'STORE1',
+        authorization: 'token greenfield-key',
+        body: {
+          amount: '45.00',
+          currency: 'GBP',
+          metadata: { orderId: 'order123' },
+          checkout: { expirationMinutes: 1440 }
+        }
+      });
+      expect(payment).toEqual({
+        bitcoinAddress: 'bcrt1qinvoice',
+        bitcoinAmount: 0.001,
+        bitcoinExchangeRate: 45000,
+        bitcoinInvoiceId: 'INV-1',
+        bitcoinCheckoutUrl: 'https://btcpay.example/i/INV-1'
+      });
+    });
+
+    it('should report settlement from the invoice payments', async () => {
+      btcpay.payments = [
+        { id: 'txa-0', value: '0.0006', status: 'Settled' },
+        { id: 'txb-1', value: '0.0004', status: 'Processing' },
+        { id: 'txc-0', value: '0.5', status: 'Invalid' }
+      ];
+
+      const status = await createBackend().getPaymentStatus({ bitcoinInvoiceId: 'INV-1' });
+
+      expect(status).toEqual({ amountReceived: 0.001, confirmations: 0, txid: 'txa', confirmed: false });
+
+      btcpay.payments[1].status = 'Settled';
+      expect((await createBackend().getPaymentStatus({ bitcoinInvoiceId: 'INV-1' })).confirmed).toBe(true);
+    });
+
+    it('should verify BTCPay-Sig headers', () => {
+      const body = '{"type":"InvoiceSettled","invoiceId":"INV-1"}';
+      const signature = crypto.createHmac('sha256', 'hook-secret').update(body).digest('hex');
+      const backend = createBackend();
+
+      expect(backend.verifyWebhookSignature(body, `sha256=${signature}`)).toBe(true);
+      expect(backend.verifyWebhookSignature(`${body} `, `sha256=${signature}`)).toBe(false);
+      expect(backend.verifyWebhookSignature(body, undefined)).toBe(false);
+    });
+  });
+
+  describe('createBitcoinBackend', () => {
+    it('should leave Blockonomics to bitcoinService', () => {
+      expect(createBitcoinBackend('blockonomics', {})).toBeNull();
+      expect(createBitcoinBackend('xpub', { bitcoinExtendedPublicKey: ZPUB, bitcoinEsploraUrl: 'http://esplora' }))
+        .toBeInstanceOf(XpubBitcoinBackend);
+    });
+  });
+
+  describe('bitcoinService backend selection', () => {
+    const mockGateway = (config) => {
+      PaymentGateway.findOne.mockReturnValue({
+        sort: vi.fn().mockResolvedValue({ _id: 'gateway123', config })
+      });
+    };
+
+    beforeEach(() => {
+      vi.clearAllMocks();
+      bitcoinService.gatewayCache = { gateway: null, timestamp: null };
+      vi.spyOn(bitcoinService, 'convertGbpToBtc').mockResolvedValue({
+        btcAmount: 0.001,
+        exchangeRate: 45000,
+        exchangeRateTimestamp: new Date()
+      });
+    });
+
+    it('should derive the next xpub address when the gateway uses the xpub backend', async () => {
+      mockGateway({ bitcoinBackend: 'xpub', bitcoinExtendedPublicKey: ZPUB, bitcoinEsploraUrl: 'http://esplora' });
+      PaymentGateway.findByIdAndUpdate.mockResolvedValue({ config: { bitcoinNextAddressIndex: 1 } });
+      const generateSpy = vi.spyOn(bitcoinService, 'generateBitcoinAddress');
+
+      const payment = await bitcoinService.createBitcoinPayment(45, { orderId: 'order123' });
+
+      expect(PaymentGateway.findByIdAndUpdate).toHaveBeenCalledWith(
+        'gateway123',
+        { $inc: { 'config.bitcoinNextAddressIndex': 1 } },
+        { new: false }
+      );
+      expect(payment).toMatchObject({
+        bitcoinAddress: SECOND_ADDRESS,
+        bitcoinAddressIndex: 1,
+        bitcoinBackend: 'xpub',
+        bitcoinAmount: 0.001
+      });
+      expect(generateSpy).not.toHaveBeenCalled();
+    });
+
+    it('should keep using Blockonomics when no backend is configured', async () => {
+      mockGateway({});
+      vi.spyOn(bitcoinService, 'generateBitcoinAddress').mockResolvedValue('1BlockonomicsAddress');
+
+      const payment = await bitcoinService.createBitcoinPayment(45);
+
+      expect(payment.bitcoinAddress).toBe('1BlockonomicsAddress');
+      expect(payment.bitcoinBackend).toBeUndefined();
+      expect(await bitcoinService.checkPaymentStatus(payment)).toBeNull();
+    });
+  });
+});
@@ -299,6 +299,17 @@ describe('Bitcoin Service', () => {
       // Below tolerance
       expect(bitcoinService.isPaymentSufficient(0.0098, expectedAmount)).toBe(false);
     });
+
+    it('should only accept Blockonomics callbacks carrying the configured secret', () => {
+      bitcoinService.blockonomicsCallbackSecret = 'callback-secret';
+
+      expect(bitcoinService.verifyBlockonomicsCallback('callback-secret')).toBe(true);
+      expect(bitcoinService.verifyBlockonomicsCallback('callback-secre')).toBe(false);
+      expect(bitcoinService.verifyBlockonomicsCallback(undefined)).toBe(false);
+
+      bitcoinService.blockonomicsCallbackSecret = undefined;
+      expect(bitcoinService.verifyBlockonomicsCallback(undefined)).toBe(false);
+    });
   });
 
   describe('utility methods', () => {
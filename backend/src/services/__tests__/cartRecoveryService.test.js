@@ -0,0 +1,353 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../models/Cart.js', () => ({
+  default: {
+    find: vi.fn(),
+    findById: vi.fn(),
+    updateOne: vi.fn(),
+    mergeGuestCart: vi.fn()
+  }
+}));
+
+vi.mock('../../models/CartRecovery.js', () => {
+  const CartRecovery = vi.fn(function(data) {
+    Object.assign(this, { _id: 'recovery1', remindersSent: 0, lastReminderAt: null, promotionId: null }, data);
+    this.save = vi.fn().mockResolvedValue(this);
+  });
+  CartRecovery.findOne = vi.fn();
+  CartRecovery.updateMany = vi.fn();
+  CartRecovery.summarize = vi.fn();
+  CartRecovery.summarizeRecoveredByReminder = vi.fn();
+
+  return { default: CartRecovery };
+});
+
+vi.mock('../../models/Promotion.js', () => ({
+  default: {
+    create: vi.fn(),
+    findById: vi.fn()
+  }
+}));
+
+vi.mock('../../models/User.js', () => ({
+  default: {
+    findById: vi.fn(),
+    updateOne: vi.fn()
+  }
+}));
+
+vi.mock('../emailService.js', () => ({
+  default: {
+    sendAbandonedCartEmail: vi.fn()
+  }
+}));
+
+import Cart from '../../models/Cart.js';
+import CartRecovery from '../../models/CartRecovery.js';
+import Promotion from '../../models/Promotion.js';
+import User from '../../models/User.js';
+import emailService from '../emailService.js';
+import cartRecoveryService from '../cartRecoveryService.js';
+
+const TOKEN = 'ab'.repeat(32);
+const HOUR = 60 * 60 * 1000;
+
+const createCart = (overrides = {}) => ({
+  _id: 'cart1',
+  userId: null,
+  sessionId: 'guest-session',
+  contactEmail: 'guest@example.com',
+  marketingOptIn: true,
+  items: [{ productName: 'Mini Toolbox', quantity: 2, subtotal: 40 }],
+  totalItems: 2,
+  totalAmount: 40,
+  save: vi.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+const createRecovery = (overrides = {}) => ({
+  _id: 'recovery1',
+  cartId: 'cart1',
+  userId: null,
+  email: 'guest@example.com',
+  token: TOKEN,
+  status: 'active',
+  remindersSent: 1,
+  lastReminderAt: new Date(Date.now() - 30 * HOUR),
+  promotionId: null,
+  restoredAt: null,
+  save: vi.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+const createPromotion = (overrides = {}) => ({
+  _id: 'promo1',
+  code: 'CART-1A2B3C4D',
+  value: 10,
+  endDate: new Date(Date.now() + 7 * 24 * HOUR),
+  isValid: true,
+  hasReachedLimit: false,
+  ...overrides
+});
+
+const mockIdleCarts = (carts) => {
+  Cart.find.mockReturnValue({ sort: vi.fn().mockResolvedValue(carts) });
+};
+
+describe('CartRecoveryService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    cartRecoveryService.maxReminders = 3;
+    cartRecoveryService.reminderIntervalMs = 24 * HOUR;
+    cartRecoveryService.discountPercent = 0;
+    cartRecoveryService.discountFromReminder = 2;
+    CartRecovery.updateMany.mockResolvedValue({ modifiedCount: 0 });
+    emailService.sendAbandonedCartEmail.mockResolvedValue({ success: true });
+  });
+
+  describe('run', () => {
+    it('should send a first reminder for an opted-in guest cart', async () => {
+      mockIdleCarts([createCart()]);
+      CartRecovery.findOne.mockResolvedValue(null);
+
+      const summary = await cartRecoveryService.run();
+
+      expect(summary).toEqual(expect.objectContaining({ cartsChecked: 1, remindersSent: 1, failures: 0 }));
+      expect(CartRecovery).toHaveBeenCalledWith(expect.objectContaining({
+        cartId: 'cart1',
+        userId: null,
+        email: 'guest@example.com',
+        token: expect.stringMatching(/^[0-9a-f]{64}$/)
+      }));
+      const [recovery, , details] = emailService.sendAbandonedCartEmail.mock.calls[0];
+      expect(details).toEqual(expect.objectContaining({
+        reminderNumber: 1,
+        restoreUrl: expect.stringContaining(`/cart/restore/${recovery.token}`),
+        unsubscribeUrl: expect.stringContaining(`/cart/reminders/unsubscribe/${recovery.token}`),
+        promotion: null
+      }));
+      expect(recovery.remindersSent).toBe(1);
+      expect(recovery.cartValue).toBe(40);
+    });
+
+    it('should close runs whose attribution window has passed', async () => {
+      mockIdleCarts([]);
+      CartRecovery.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      const summary = await cartRecoveryService.run();
+
+      expect(CartRecovery.updateMany).toHaveBeenCalledWith(
+        { status: 'active', lastReminderAt: { $lt: expect.any(Date) } },
+        { $set: { status: 'closed' } }
+      );
+      expect(summary.runsClosed).toBe(2);
+    });
+
+    it('should only write to customers who opted in to marketing email', async () => {
+      mockIdleCarts([
+        createCart({ marketingOptIn: false }),
+        createCart({ _id: 'cart2', userId: 'user1', contactEmail: null })
+      ]);
+      CartRecovery.findOne.mockResolvedValue(null);
+      User.findById.mockReturnValue({
+        select: vi.fn().mockResolvedValue({ email: 'buyer@example.com', firstName: 'Jo', marketingOptIn: false, isActive: true })
+      });
+
+      const summary = await cartRecoveryService.run();
+
+      expect(summary.skipped).toBe(2);
+      expect(emailService.sendAbandonedCartEmail).not.toHaveBeenCalled();
+    });
+
+    it('should wait between reminders and stop after the last one', async () => {
+      mockIdleCarts([createCart(), createCart({ _id: 'cart2' })]);
+      CartRecovery.findOne
+        .mockResolvedValueOnce(createRecovery({ lastReminderAt: new Date(Date.now() - 2 * HOUR) }))
+        .mockResolvedValueOnce(createRecovery({ remindersSent: 3 }));
+
+      const summary = await cartRecoveryService.run();
+
+      expect(summary.skipped).toBe(2);
+      expect(emailService.sendAbandonedCartEmail).not.toHaveBeenCalled();
+    });
+
+    it('should add a single-use discount from the configured reminder', async () => {
+      cartRecoveryService.discountPercent = 10;
+      const recovery = createRecovery();
+      mockIdleCarts([createCart()]);
+      CartRecovery.findOne.mockResolvedValue(recovery);
+      Promotion.create.mockResolvedValue(createPromotion());
+
+      await cartRecoveryService.run();
+
+      expect(Promotion.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'percentage',
+        value: 10,
+        totalUsageLimit: 1,
+        perUserUsageLimit: 1,
+        status: 'active'
+      }));
+      expect(recovery.promotionCode).toBe('CART-1A2B3C4D');
+      expect(recovery.remindersSent).toBe(2);
+      expect(emailService.sendAbandonedCartEmail.mock.calls[0][2]).toEqual(expect.objectContaining({
+        reminderNumber: 2,
+        promotion: expect.objectContaining({ code: 'CART-1A2B3C4D' })
+      }));
+    });
+
+    it('should retry a failed reminder on the next sweep', async () => {
+      const recovery = createRecovery();
+      mockIdleCarts([createCart()]);
+      CartRecovery.findOne.mockResolvedValue(recovery);
+      emailService.sendAbandonedCartEmail.mockResolvedValue({ success: false, error: 'SES down' });
+
+      const summary = await cartRecoveryService.run();
+
+      expect(summary.failures).toBe(1);
+      expect(recovery.remindersSent).toBe(1);
+    });
+  });
+
+  describe('restore', () => {
+    it('should reject malformed tokens without a lookup', async () => {
+      expect(await cartRecoveryService.restore('nope')).toBeNull();
+      expect(CartRecovery.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should restore a guest cart with the reminder discount applied', async () => {
+      const recovery = createRecovery({ promotionId: 'promo1' });
+      const cart = createCart();
+      CartRecovery.findOne.mockResolvedValue(recovery);
+      Cart.findById.mockResolvedValue(cart);
+      Promotion.findById.mockResolvedValue(createPromotion());
+
+      const result = await cartRecoveryService.restore(TOKEN);
+
+      expect(result).toEqual({ cart, requiresLogin: false, promotionCode: 'CART-1A2B3C4D' });
+      expect(cart.promotionId).toBe('promo1');
+      expect(cart.save).toHaveBeenCalled();
+      expect(recovery.restoredAt).toEqual(expect.any(Date));
+    });
+
+    it('should ask for a login to restore an account cart', async () => {
+      CartRecovery.findOne.mockResolvedValue(createRecovery({ userId: 'user1' }));
+      Cart.findById.mockResolvedValue(createCart({ userId: 'user1', sessionId: undefined }));
+
+      const result = await cartRecoveryService.restore(TOKEN, { _id: 'someone-else' });
+
+      expect(result).toEqual({ cart: null, requiresLogin: true, promotionCode: null });
+    });
+
+    it('should merge a guest cart into the signed-in account', async () => {
+      const recovery = createRecovery();
+      const merged = createCart({ _id: 'cart9', userId: 'user1', sessionId: undefined });
+      CartRecovery.findOne.mockResolvedValue(recovery);
+      Cart.findById.mockResolvedValue(createCart());
+      Cart.mergeGuestCart.mockResolvedValue(merged);
+
+      const result = await cartRecoveryService.restore(TOKEN, { _id: 'user1' });
+
+      expect(Cart.mergeGuestCart).toHaveBeenCalledWith('user1', 'guest-session');
+      expect(result.cart).toBe(merged);
+      expect(recovery.cartId).toBe('cart9');
+      expect(recovery.userId).toBe('user1');
+    });
+  });
+
+  describe('unsubscribe', () => {
+    it('should withdraw an account\'s marketing opt-in', async () => {
+      const recovery = createRecovery({ userId: 'user1' });
+      CartRecovery.findOne.mockResolvedValue(recovery);
+
+      await cartRecoveryService.unsubscribe(TOKEN);
+
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: 'user1' }, { $set: { marketingOptIn: false } });
+      expect(recovery.status).toBe('unsubscribed');
+    });
+
+    it('should withdraw a guest cart\'s opt-in', async () => {
+      CartRecovery.findOne.mockResolvedValue(createRecovery());
+
+      await cartRecoveryService.unsubscribe(TOKEN);
+
+      expect(Cart.updateOne).toHaveBeenCalledWith({ _id: 'cart1' }, { $set: { marketingOptIn: false } });
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleOrderPlaced', () => {
+    it('should count an order after a reminder as recovered', async () => {
+      const recovery = createRecovery({ remindersSent: 2 });
+      CartRecovery.findOne.mockResolvedValue(recovery);
+
+      await cartRecoveryService.handleOrderPlaced('cart1', { _id: 'order1', totalAmount: 45 });
+
+      expect(recovery.status).toBe('recovered');
+      expect(recovery.orderId).toBe('order1');
+      expect(recovery.recoveredAmount).toBe(45);
+    });
+
+    it('should close a run whose first reminder never went out', async () => {
+      const recovery = createRecovery({ remindersSent: 0 });
+      CartRecovery.findOne.mockResolvedValue(recovery);
+
+      await cartRecoveryService.handleOrderPlaced('cart1', { _id: 'order1', totalAmount: 45 });
+
+      expect(recovery.status).toBe('closed');
+    });
+
+    it('should never throw', async () => {
+      CartRecovery.findOne.mockRejectedValue(new Error('Database down'));
+
+      await expect(cartRecoveryService.handleOrderPlaced('cart1', { _id: 'order1' })).resolves.toBeNull();
+    });
+  });
+
+  describe('getReport', () => {
+    it('should work out the recovery rate', async () => {
+      CartRecovery.summarize.mockResolvedValue([{
+        _id: null,
+        cartsReminded: 8,
+        remindersSent: 15,
+        abandonedValue: 400,
+        linksFollowed: 4,
+        discountsOffered: 3,
+        unsubscribed: 1,
+        recovered: 3,
+        recoveredRevenue: 150
+      }]);
+      CartRecovery.summarizeRecoveredByReminder.mockResolvedValue([
+        { _id: 1, recovered: 2, recoveredRevenue: 100 },
+        { _id: 2, recovered: 1, recoveredRevenue: 50 }
+      ]);
+
+      const report = await cartRecoveryService.getReport(new Date('2026-10-01'), new Date('2026-10-31'));
+
+      expect(report).toEqual(expect.objectContaining({ cartsReminded: 8, recovered: 3, recoveryRate: 37.5 }));
+      expect(report).not.toHaveProperty('_id');
+      expect(report.recoveredByReminder).toEqual([
+        { reminder: 1, recovered: 2, recoveredRevenue: 100 },
+        { reminder: 2, recovered: 1, recoveredRevenue: 50 }
+      ]);
+    });
+
+    it('should report zeros for a quiet period', async () => {
+      CartRecovery.summarize.mockResolvedValue([]);
+      CartRecovery.summarizeRecoveredByReminder.mockResolvedValue([]);
+
+      const report = await cartRecoveryService.getReport(new Date('2026-10-01'), new Date('2026-10-31'));
+
+      expect(report).toEqual(expect.objectContaining({ cartsReminded: 0, recoveryRate: 0, recoveredByReminder: [] }));
+    });
+  });
+});
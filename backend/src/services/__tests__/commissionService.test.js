@@ -0,0 +1,415 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../models/CommissionRequest.js', () => ({
+  default: {
+    create: vi.fn(),
+    find: vi.fn(),
+    findOne: vi.fn(),
+    findById: vi.fn(),
+    findOneAndUpdate: vi.fn(),
+    updateOne: vi.fn(),
+    countDocuments: vi.fn()
+  },
+  COMMISSION_STATUSES: ['submitted', 'quoted', 'accepted', 'declined', 'rejected', 'cancelled'],
+  QUOTABLE_STATUSES: ['submitted', 'quoted', 'declined']
+}));
+
+vi.mock('../../models/Product.js', () => ({
+  default: {
+    create: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Cart.js', () => {
+  const Cart = vi.fn(function(data) {
+    Object.assign(this, data);
+    this.addItem = vi.fn();
+    this.save = vi.fn().mockResolvedValue(true);
+  });
+  Cart.findByUserId = vi.fn();
+  return { default: Cart };
+});
+
+vi.mock('../emailService.js', () => ({
+  default: {
+    sendNewCommissionRequestEmail: vi.fn().mockResolvedValue({ success: true }),
+    sendCommissionQuoteEmail: vi.fn().mockResolvedValue({ success: true }),
+    sendCommissionReplyEmail: vi.fn().mockResolvedValue({ success: true })
+  }
+}));
+
+vi.mock('../../utils/logger.js', () => ({
+  logError: vi.fn()
+}));
+
+import CommissionRequest from '../../models/CommissionRequest.js';
+import Product from '../../models/Product.js';
+import Cart from '../../models/Cart.js';
+import emailService from '../emailService.js';
+import commissionService from '../commissionService.js';
+
+const customer = { _id: 'user1', email: 'jo@example.com', firstName: 'Jo', lastName: 'Bloggs' };
+const admin = { _id: 'admin1' };
+
+const createRequest = (overrides = {}) => ({
+  _id: 'commission1',
+  requestNumber: 'COM-12345678-001',
+  userId: 'user1',
+  title: 'Dragon figurine',
+  brief: 'A green dragon on a rock',
+  status: 'submitted',
+  quote: undefined,
+  referenceImages: [{ url: '/uploads/products/dragon.jpg', thumbnailUrl: '/uploads/products/thumbnails/dragon.jpg' }],
+  messages: [],
+  statusHistory: [],
+  setStatus(status, note) {
+    this.status = status;
+    this.statusHistory.push({ status, note });
+  },
+  addMessage(author, authorId, body, images = []) {
+    this.messages.push({ author, authorId, body, images });
+    return this.messages[this.messages.length - 1];
+  },
+  isQuoteExpired(now = new Date()) {
+    return Boolean(this.quote?.validUntil) && this.quote.validUntil < now;
+  },
+  isClosed() {
+    return ['rejected', 'cancelled'].includes(this.status);
+  },
+  save: vi.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+const mockFindChain = (results) => {
+  const chain = {
+    select: vi.fn().mockReturnThis(),
+    sort: vi.fn().mockReturnThis(),
+    skip: vi.fn().mockReturnThis(),
+    limit: vi.fn().mockResolvedValue(results)
+  };
+  CommissionRequest.find.mockReturnValue(chain);
+  return chain;
+};
+
+describe('commissionService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('submit', () => {
+    it('should save the brief with its reference images and tell the team', async () => {
+      const created = createRequest();
+      CommissionRequest.create.mockResolvedValue(created);
+
+      const result = await commissionService.submit(customer, {
+        title: '  Dragon figurine ',
+        brief: 'A green dragon on a rock',
+        budget: '150',
+        images: [{ url: '/uploads/products/dragon.jpg', thumbnailUrl: '/uploads/products/thumbnails/dragon.jpg', originalName: 'dragon.jpg', size: 1000 }]
+      });
+
+      expect(CommissionRequest.create).toHaveBeenCalledWith({
+        title: 'Dragon figurine',
+        brief: 'A green dragon on a rock',
+        budget: 150,
+        userId: 'user1',
+        customerEmail: 'jo@example.com',
+        customerName: 'Jo Bloggs',
+        referenceImages: [{ url: '/uploads/products/dragon.jpg', thumbnailUrl: '/uploads/products/thumbnails/dragon.jpg', originalName: 'dragon.jpg' }]
+      });
+      expect(emailService.sendNewCommissionRequestEmail).toHaveBeenCalledWith(
+        created,
+        expect.stringContaining('/admin/commissions/commission1')
+      );
+      expect(result).toBe(created);
+    });
+
+    it('should require a title and brief', async () => {
+      await expect(commissionService.submit(customer, { title: 'Dragon', brief: '  ' }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Brief is required' });
+      expect(CommissionRequest.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a negative budget', async () => {
+      await expect(commissionService.submit(customer, { title: 'Dragon', brief: 'Green', budget: '-5' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('getUserRequests', () => {
+    it('should page through only the customer\'s requests', async () => {
+      const chain = mockFindChain([createRequest()]);
+      CommissionRequest.countDocuments.mockResolvedValue(11);
+
+      const result = await commissionService.getUserRequests('user1', { page: 2, limit: 10 });
+
+      expect(CommissionRequest.find).toHaveBeenCalledWith({ userId: 'user1' });
+      expect(chain.select).toHaveBeenCalledWith('-messages -statusHistory');
+      expect(chain.skip).toHaveBeenCalledWith(10);
+      expect(result.pagination).toEqual({ currentPage: 2, totalPages: 2, totalItems: 11, itemsPerPage: 10 });
+    });
+  });
+
+  describe('getRequests', () => {
+    it('should filter by a known status and ignore others', async () => {
+      mockFindChain([]);
+      CommissionRequest.countDocuments.mockResolvedValue(0);
+
+      await commissionService.getRequests({ status: 'quoted' });
+      await commissionService.getRequests({ status: 'bogus' });
+
+      expect(CommissionRequest.find).toHaveBeenNthCalledWith(1, { status: 'quoted' });
+      expect(CommissionRequest.find).toHaveBeenNthCalledWith(2, {});
+    });
+  });
+
+  describe('getUserRequest', () => {
+    it('should not find another customer\'s request', async () => {
+      CommissionRequest.findOne.mockResolvedValue(null);
+
+      await expect(commissionService.getUserRequest('user2', 'commission1'))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Commission request not found' });
+      expect(CommissionRequest.findOne).toHaveBeenCalledWith({ _id: 'commission1', userId: 'user2' });
+    });
+  });
+
+  describe('messages', () => {
+    it('should add the customer\'s message to the thread', async () => {
+      const request = createRequest();
+      CommissionRequest.findOne.mockResolvedValue(request);
+
+      const { message } = await commissionService.addCustomerMessage('user1', 'commission1', { body: ' Any size works ' });
+
+      expect(message).toMatchObject({ author: 'customer', authorId: 'user1', body: 'Any size works', images: [] });
+      expect(request.save).toHaveBeenCalled();
+      expect(emailService.sendCommissionReplyEmail).not.toHaveBeenCalled();
+    });
+
+    it('should email the customer an admin reply', async () => {
+      const request = createRequest();
+      CommissionRequest.findById.mockResolvedValue(request);
+
+      const { message } = await commissionService.addAdminMessage(admin, 'commission1', { body: 'What size?' });
+
+      expect(message.author).toBe('admin');
+      expect(emailService.sendCommissionReplyEmail).toHaveBeenCalledWith(
+        request,
+        message,
+        expect.stringContaining('/commissions/commission1')
+      );
+    });
+
+    it('should not add to a closed request', async () => {
+      CommissionRequest.findOne.mockResolvedValue(createRequest({ status: 'cancelled' }));
+
+      await expect(commissionService.addCustomerMessage('user1', 'commission1', { body: 'Hello?' }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'This commission request is closed' });
+    });
+  });
+
+  describe('sendQuote', () => {
+    it('should price the request and email the customer', async () => {
+      const request = createRequest();
+      CommissionRequest.findById.mockResolvedValue(request);
+
+      await commissionService.sendQuote(admin, 'commission1', {
+        price: '149.999',
+        description: 'Hand painted, 20cm tall',
+        leadTimeDays: '21'
+      });
+
+      expect(request.quote).toMatchObject({
+        price: 150,
+        description: 'Hand painted, 20cm tall',
+        leadTimeDays: 21,
+        quotedBy: 'admin1'
+      });
+      expect(request.status).toBe('quoted');
+      expect(request.statusHistory).toContainEqual({ status: 'quoted', note: 'Quoted £150.00' });
+      expect(emailService.sendCommissionQuoteEmail).toHaveBeenCalledWith(request, expect.any(String));
+    });
+
+    it('should reject a price that is not positive', async () => {
+      await expect(commissionService.sendQuote(admin, 'commission1', { price: '0' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(CommissionRequest.findById).not.toHaveBeenCalled();
+    });
+
+    it('should reject an expiry in the past', async () => {
+      await expect(commissionService.sendQuote(admin, 'commission1', { price: 50, validUntil: '2020-01-01' }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Quote must be valid until a future date' });
+    });
+
+    it('should not quote an accepted request', async () => {
+      CommissionRequest.findById.mockResolvedValue(createRequest({ status: 'accepted' }));
+
+      await expect(commissionService.sendQuote(admin, 'commission1', { price: 50 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('reject', () => {
+    it('should send the reason to the customer', async () => {
+      const request = createRequest();
+      CommissionRequest.findById.mockResolvedValue(request);
+
+      await commissionService.reject(admin, 'commission1', { reason: 'Outside what we make' });
+
+      expect(request.status).toBe('rejected');
+      expect(request.messages[0]).toMatchObject({ author: 'admin', body: 'Outside what we make' });
+      expect(emailService.sendCommissionReplyEmail).toHaveBeenCalled();
+    });
+
+    it('should not turn down an accepted request', async () => {
+      CommissionRequest.findById.mockResolvedValue(createRequest({ status: 'accepted' }));
+
+      await expect(commissionService.reject(admin, 'commission1')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('declineQuote and cancel', () => {
+    it('should decline a quote, leaving the request open', async () => {
+      const request = createRequest({ status: 'quoted' });
+      CommissionRequest.findOne.mockResolvedValue(request);
+
+      await commissionService.declineQuote('user1', 'commission1', { reason: 'Too dear' });
+
+      expect(request.status).toBe('declined');
+      expect(request.isClosed()).toBe(false);
+      expect(request.statusHistory).toContainEqual({ status: 'declined', note: 'Too dear' });
+    });
+
+    it('should only decline a quoted request', async () => {
+      CommissionRequest.findOne.mockResolvedValue(createRequest());
+
+      await expect(commissionService.declineQuote('user1', 'commission1')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should cancel a request not yet accepted', async () => {
+      const request = createRequest({ status: 'declined' });
+      CommissionRequest.findOne.mockResolvedValue(request);
+
+      await commissionService.cancel('user1', 'commission1');
+
+      expect(request.status).toBe('cancelled');
+    });
+
+    it('should not cancel an accepted request', async () => {
+      CommissionRequest.findOne.mockResolvedValue(createRequest({ status: 'accepted' }));
+
+      await expect(commissionService.cancel('user1', 'commission1')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('acceptQuote', () => {
+    const quote = { price: 150, description: 'Hand painted, 20cm tall', quotedAt: new Date() };
+    let accepted;
+
+    beforeEach(() => {
+      CommissionRequest.findOne.mockResolvedValue(createRequest({ status: 'quoted', quote }));
+      accepted = createRequest({ status: 'accepted', quote, acceptedAt: new Date() });
+      CommissionRequest.findOneAndUpdate.mockResolvedValue(accepted);
+    });
+
+    it('should make a private one-off product and put it in the cart', async () => {
+      const product = { _id: 'product1', name: 'Dragon figurine', price: 150 };
+      const cart = { addItem: vi.fn(), save: vi.fn().mockResolvedValue(true) };
+      Product.create.mockResolvedValue(product);
+      Cart.findByUserId.mockResolvedValue(cart);
+
+      const result = await commissionService.acceptQuote('user1', 'commission1');
+
+      expect(CommissionRequest.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'commission1', status: 'quoted' },
+        {
+          $set: { status: 'accepted', acceptedAt: expect.any(Date) },
+          $push: { statusHistory: { status: 'accepted', timestamp: expect.any(Date), note: 'Quote accepted' } }
+        },
+        { new: true }
+      );
+      expect(Product.create).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'Dragon figurine',
+        slug: 'com-12345678-001',
+        sku: 'COM-12345678-001',
+        longDescription: 'Hand painted, 20cm tall',
+        price: 150,
+        stockQuantity: 1,
+        images: ['/uploads/products/dragon.jpg'],
+        isActive: true,
+        privateFor: 'user1'
+      }));
+      expect(CommissionRequest.findOneAndUpdate.mock.invocationCallOrder[0])
+        .toBeLessThan(Product.create.mock.invocationCallOrder[0]);
+      expect(accepted.productId).toBe('product1');
+      expect(accepted.save).toHaveBeenCalled();
+      expect(cart.addItem).toHaveBeenCalledWith(product, 1);
+      expect(result).toEqual({ request: accepted, product, addedToCart: true });
+    });
+
+    it('should start a cart for a customer without one', async () => {
+      Product.create.mockResolvedValue({ _id: 'product1' });
+      Cart.findByUserId.mockResolvedValue(null);
+
+      const result = await commissionService.acceptQuote('user1', 'commission1');
+
+      expect(Cart).toHaveBeenCalledWith({ userId: 'user1' });
+      expect(result.addedToCart).toBe(true);
+    });
+
+    it('should still accept when the cart cannot be updated', async () => {
+      Product.create.mockResolvedValue({ _id: 'product1' });
+      Cart.findByUserId.mockRejectedValue(new Error('Database error'));
+
+      const result = await commissionService.acceptQuote('user1', 'commission1');
+
+      expect(result.request.status).toBe('accepted');
+      expect(result.addedToCart).toBe(false);
+    });
+
+    it('should make one product when the quote is accepted twice at once', async () => {
+      CommissionRequest.findOneAndUpdate.mockResolvedValueOnce(accepted).mockResolvedValueOnce(null);
+      Product.create.mockResolvedValue({ _id: 'product1' });
+      Cart.findByUserId.mockResolvedValue(null);
+
+      const results = await Promise.allSettled([
+        commissionService.acceptQuote('user1', 'commission1'),
+        commissionService.acceptQuote('user1', 'commission1')
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(Product.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should put the quote back when the product cannot be made', async () => {
+      Product.create.mockRejectedValue(new Error('Database error'));
+
+      await expect(commissionService.acceptQuote('user1', 'commission1')).rejects.toThrow('Database error');
+
+      expect(CommissionRequest.updateOne).toHaveBeenCalledWith(
+        { _id: 'commission1', status: 'accepted' },
+        expect.objectContaining({ $set: { status: 'quoted' }, $unset: { acceptedAt: 1 } })
+      );
+      expect(accepted.save).not.toHaveBeenCalled();
+    });
+
+    it('should not accept an expired quote', async () => {
+      CommissionRequest.findOne.mockResolvedValue(createRequest({
+        status: 'quoted',
+        quote: { ...quote, validUntil: new Date(Date.now() - 1000) }
+      }));
+
+      await expect(commissionService.acceptQuote('user1', 'commission1'))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(CommissionRequest.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(Product.create).not.toHaveBeenCalled();
+    });
+
+    it('should only accept a quoted request', async () => {
+      CommissionRequest.findOne.mockResolvedValue(createRequest({ status: 'accepted', quote }));
+
+      await expect(commissionService.acceptQuote('user1', 'commission1'))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Only a quoted commission request can be accepted' });
+      expect(Product.create).not.toHaveBeenCalled();
+    });
+  });
+});
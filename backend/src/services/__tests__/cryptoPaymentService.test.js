@@ -0,0 +1,171 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn(),
+  logPaymentEvent: vi.fn()
+}));
+
+vi.mock('../../models/Payment.js', () => ({
+  default: {
+    findOne: vi.fn(),
+    updateOne: vi.fn()
+  }
+}));
+
+import Payment from '../../models/Payment.js';
+import cryptoPaymentService from '../cryptoPaymentService.js';
+
+const order = { _id: 'order123', orderNumber: 'ORD-1', totalAmount: 45 };
+
+// Minimal stand-in for a Payment document with a quote
+const createPayment = (overrides = {}) => ({
+  paymentId: 'PAY-1',
+  orderId: 'order123',
+  status: 'pending',
+  paidAmount: 0,
+  transactions: [],
+  rateQuote: {
+    cryptoAmount: 0.001,
+    cryptoCurrency: 'BTC',
+    rate: 45000,
+    source: 'coingecko',
+    expiresAt: new Date(Date.now() + 3600000)
+  },
+  hasOpenResolution() {
+    return this.resolution?.status === 'open';
+  },
+  save: vi.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+describe('cryptoPaymentService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('evaluatePayment', () => {
+    const quote = { cryptoAmount: 1, expiresAt: new Date(Date.now() + 3600000) };
+
+    it('should classify received amounts against the quote', () => {
+      expect(cryptoPaymentService.evaluatePayment(quote, 0).outcome).toBe('unpaid');
+      expect(cryptoPaymentService.evaluatePayment(quote, 0.5)).toEqual({ outcome: 'underpaid', amountDue: 0.5, excessAmount: 0 });
+      expect(cryptoPaymentService.evaluatePayment(quote, 0.995).outcome).toBe('paid');
+      expect(cryptoPaymentService.evaluatePayment(quote, 1.5)).toEqual({ outcome: 'overpaid', amountDue: 0, excessAmount: 0.5 });
+    });
+
+    it('should only call a payment late when new funds arrive after expiry', () => {
+      const expired = { cryptoAmount: 1, expiresAt: new Date(Date.now() - 60000) };
+
+      expect(cryptoPaymentService.evaluatePayment(expired, 1).outcome).toBe('late');
+      expect(cryptoPaymentService.evaluatePayment(expired, 1, { newFunds: false }).outcome).toBe('paid');
+    });
+  });
+
+  describe('recordPayment', () => {
+    it('should return null for orders without a quote', async () => {
+      Payment.findOne.mockResolvedValue(null);
+
+      expect(await cryptoPaymentService.recordPayment(order, 'bitcoin', { totalReceived: 0.001 })).toBeNull();
+    });
+
+    it('should add up per-transaction callbacks so a shortfall can be topped up', async () => {
+      const payment = createPayment();
+      Payment.findOne.mockResolvedValue(payment);
+
+      const first = await cryptoPaymentService.recordPayment(order, 'bitcoin', {
+        transaction: { txid: 'tx-1', amount: 0.0006, confirmations: 1 }
+      });
+      expect(first).toMatchObject({ outcome: 'underpaid', amountReceived: 0.0006 });
+      expect(first.amountDue).toBeCloseTo(0.0004);
+      expect(payment.status).toBe('underpaid');
+
+      // A repeat callback for the same transaction does not count twice
+      await cryptoPaymentService.recordPayment(order, 'bitcoin', {
+        transaction: { txid: 'tx-1', amount: 0.0006, confirmations: 2 }
+      });
+      expect(payment.paidAmount).toBe(0.0006);
+
+      const topUp = await cryptoPaymentService.recordPayment(order, 'bitcoin', {
+        transaction: { txid: 'tx-2', amount: 0.0004, confirmations: 0 }
+      });
+      expect(topUp).toMatchObject({ outcome: 'paid', amountReceived: 0.001, confirmations: 0 });
+      expect(payment.status).toBe('processing');
+      expect(payment.transactions).toHaveLength(2);
+    });
+
+    it('should flag overpayments for refund', async () => {
+      const payment = createPayment();
+      Payment.findOne.mockResolvedValue(payment);
+
+      const result = await cryptoPaymentService.recordPayment(order, 'bitcoin', { totalReceived: 0.0015, txid: 'tx-1' });
+
+      expect(result.outcome).toBe('overpaid');
+      expect(payment.resolution).toMatchObject({ reason: 'overpayment', status: 'open' });
+      expect(payment.resolution.excessAmount).toBeCloseTo(0.0005);
+      expect(payment.save).toHaveBeenCalled();
+    });
+
+    it('should flag late payments and keep them late on later checks', async () => {
+      const payment = createPayment({
+        rateQuote: { cryptoAmount: 0.5, expiresAt: new Date(Date.now() - 60000) }
+      });
+      Payment.findOne.mockResolvedValue(payment);
+
+      const result = await cryptoPaymentService.recordPayment(order, 'monero', { totalReceived: 0.5, txid: 'tx-1' });
+      expect(result.outcome).toBe('late');
+      expect(payment.status).toBe('failed');
+      expect(payment.resolution).toMatchObject({ reason: 'late_payment', status: 'open', excessAmount: 0.5 });
+
+      const again = await cryptoPaymentService.recordPayment(order, 'monero', { totalReceived: 0.5, txid: 'tx-1' });
+      expect(again.outcome).toBe('late');
+    });
+
+    it('should step aside once a late payment has been resolved', async () => {
+      Payment.findOne.mockResolvedValue(createPayment({
+        resolution: { reason: 'late_payment', status: 'accepted' }
+      }));
+
+      expect(await cryptoPaymentService.recordPayment(order, 'monero', { totalReceived: 0.5 })).toBeNull();
+    });
+
+    it('should not let a storage failure break payment processing', async () => {
+      Payment.findOne.mockRejectedValue(new Error('connection lost'));
+
+      expect(await cryptoPaymentService.recordPayment(order, 'bitcoin', { totalReceived: 0.001 })).toBeNull();
+    });
+  });
+
+  describe('resolvePayment', () => {
+    it('should record the refund transaction for a late payment', async () => {
+      const payment = createPayment({
+        status: 'failed',
+        resolution: { reason: 'late_payment', status: 'open', excessAmount: 0.5 }
+      });
+
+      await cryptoPaymentService.resolvePayment(payment, { action: 'refund', refundTransactionId: 'tx-back', adminId: 'admin1' });
+
+      expect(payment.status).toBe('refunded');
+      expect(payment.refundTransactionId).toBe('tx-back');
+      expect(payment.resolution).toMatchObject({ status: 'refunded', resolvedBy: 'admin1' });
+      expect(payment.save).toHaveBeenCalled();
+    });
+
+    it('should complete a late payment the merchant accepts', async () => {
+      const payment = createPayment({
+        status: 'failed',
+        resolution: { reason: 'late_payment', status: 'open', excessAmount: 0.5 }
+      });
+
+      await cryptoPaymentService.resolvePayment(payment, { action: 'accept', note: 'Rate barely moved', adminId: 'admin1' });
+
+      expect(payment.status).toBe('completed');
+      expect(payment.resolution).toMatchObject({ status: 'accepted', note: 'Rate barely moved' });
+    });
+  });
+});
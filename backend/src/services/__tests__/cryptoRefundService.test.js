@@ -0,0 +1,176 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn(),
+  logPaymentEvent: vi.fn()
+}));
+
+vi.mock('../../models/Order.js', () => ({
+  default: {
+    findOne: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Payment.js', () => ({
+  default: {
+    findOne: vi.fn()
+  }
+}));
+
+import Order from '../../models/Order.js';
+import Payment from '../../models/Payment.js';
+import bitcoinService from '../bitcoinService.js';
+import moneroService from '../moneroService.js';
+import cryptoRefundService from '../cryptoRefundService.js';
+
+const createOrder = (type = 'bitcoin', paymentDetails = {}) => ({
+  _id: 'order123',
+  orderNumber: 'ORD-1',
+  paymentMethod: { type },
+  paymentDetails,
+  refundHistory: [],
+  save: vi.fn().mockResolvedValue(true)
+});
+
+const openRefund = (order, options) => {
+  const refund = { refundId: 'refund_1', amount: 45, status: 'succeeded' };
+  const token = cryptoRefundService.openRefund(order, refund, options);
+  order.refundHistory.push(refund);
+  return { refund, token };
+};
+
+describe('cryptoRefundService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.restoreAllMocks();
+  });
+
+  describe('openRefund', () => {
+    it('should leave the refund pending with a hashed, expiring address link', () => {
+      const { refund, token } = openRefund(createOrder('lightning'));
+
+      expect(token).toMatch(/^[0-9a-f]{64}$/);
+      expect(refund.status).toBe('pending');
+      expect(refund.crypto).toMatchObject({
+        currency: 'BTC',
+        rateBasis: 'locked',
+        addressTokenHash: cryptoRefundService.hashToken(token)
+      });
+      expect(refund.crypto.addressTokenHash).not.toBe(token);
+      expect(cryptoRefundService.isAwaitingAddress(refund)).toBe(true);
+    });
+
+    it('should take a rate basis over the store policy', () => {
+      const { refund } = openRefund(createOrder('monero'), { rateBasis: 'current' });
+
+      expect(refund.crypto).toMatchObject({ currency: 'XMR', rateBasis: 'current' });
+    });
+  });
+
+  describe('findByToken', () => {
+    it('should find the refund by its token hash', async () => {
+      const order = createOrder();
+      const { refund, token } = openRefund(order);
+      Order.findOne.mockResolvedValue(order);
+
+      await expect(cryptoRefundService.findByToken(token)).resolves.toEqual({ order, refund });
+      expect(Order.findOne).toHaveBeenCalledWith({ 'refundHistory.crypto.addressTokenHash': refund.crypto.addressTokenHash });
+    });
+
+    it('should not query for malformed tokens', async () => {
+      await expect(cryptoRefundService.findByToken('not-a-token')).resolves.toBeNull();
+      expect(Order.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('quoteRefund', () => {
+    it('should convert at the rate quoted when the order was paid', async () => {
+      const order = createOrder();
+      const { refund } = openRefund(order);
+      Payment.findOne.mockResolvedValue({ rateQuote: { rate: 30000 } });
+
+      await expect(cryptoRefundService.quoteRefund(order, refund)).resolves.toEqual({
+        rateBasis: 'locked',
+        exchangeRate: 30000,
+        cryptoAmount: 0.0015
+      });
+    });
+
+    it('should fall back to the Monero rate stored on older orders', async () => {
+      const order = createOrder('monero', { exchangeRate: 0.01 });
+      const { refund } = openRefund(order);
+      Payment.findOne.mockResolvedValue(null);
+
+      const quote = await cryptoRefundService.quoteRefund(order, refund);
+
+      expect(quote.exchangeRate).toBe(100);
+      expect(quote.cryptoAmount).toBe(0.45);
+    });
+
+    it('should use the current rate when asked to or when no rate was locked', async () => {
+      vi.spyOn(bitcoinService, 'getBtcExchangeRate').mockResolvedValue({ rate: 90000 });
+      const order = createOrder();
+      const { refund } = openRefund(order);
+      Payment.findOne.mockResolvedValue(null);
+
+      const quote = await cryptoRefundService.quoteRefund(order, refund);
+
+      expect(quote).toEqual({ rateBasis: 'current', exchangeRate: 90000, cryptoAmount: 0.0005 });
+    });
+
+    it('should convert Monero\'s XMR per GBP rate', async () => {
+      vi.spyOn(moneroService, 'getExchangeRate').mockResolvedValue({ rate: 0.008 });
+      const order = createOrder('monero');
+      const { refund } = openRefund(order, { rateBasis: 'current' });
+
+      const quote = await cryptoRefundService.quoteRefund(order, refund);
+
+      expect(quote.exchangeRate).toBe(125);
+      expect(quote.cryptoAmount).toBe(0.36);
+    });
+  });
+
+  describe('confirmAddress', () => {
+    it('should fix the amount and close the link to further addresses', async () => {
+      const order = createOrder();
+      const { refund } = openRefund(order);
+      Payment.findOne.mockResolvedValue({ rateQuote: { rate: 30000 } });
+
+      await cryptoRefundService.confirmAddress(order, refund, 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4');
+
+      expect(refund.crypto).toMatchObject({
+        refundAddress: 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4',
+        cryptoAmount: 0.0015,
+        addressConfirmedAt: expect.any(Date)
+      });
+      expect(order.save).toHaveBeenCalled();
+      expect(cryptoRefundService.isAwaitingAddress(refund)).toBe(false);
+    });
+  });
+
+  describe('isValidAddress', () => {
+    it('should check Bitcoin addresses on the gateway\'s network', async () => {
+      vi.spyOn(bitcoinService, 'getGatewaySettings').mockResolvedValue({ config: { bitcoinNetwork: 'testnet' } });
+
+      await expect(cryptoRefundService.isValidAddress('BTC', 'tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7')).resolves.toBe(true);
+      await expect(cryptoRefundService.isValidAddress('BTC', '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2')).resolves.toBe(false);
+    });
+  });
+
+  describe('recordTransaction', () => {
+    it('should mark the refund sent', () => {
+      const { refund } = openRefund(createOrder());
+
+      cryptoRefundService.recordTransaction(refund, 'f'.repeat(64));
+
+      expect(refund.status).toBe('succeeded');
+      expect(refund.crypto).toMatchObject({ transactionId: 'f'.repeat(64), sentAt: expect.any(Date) });
+    });
+  });
+});
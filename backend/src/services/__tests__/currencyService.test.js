@@ -0,0 +1,217 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../models/Currency.js', () => ({
+  SETTLEMENT_CURRENCY: 'GBP',
+  CURRENCY_RATE_SOURCES: ['manual', 'automatic'],
+  default: {
+    find: vi.fn()
+  }
+}));
+
+vi.mock('../exchangeRateSources.js', () => ({
+  createExchangeRateSource: vi.fn()
+}));
+
+import Currency from '../../models/Currency.js';
+import logger from '../../utils/logger.js';
+import { createExchangeRateSource } from '../exchangeRateSources.js';
+import currencyService from '../currencyService.js';
+
+const createCurrency = (overrides = {}) => ({
+  code: 'EUR',
+  name: 'Euro',
+  symbol: '€',
+  exchangeRate: 1.15,
+  decimalPlaces: 2,
+  rateSource: 'automatic',
+  isActive: true,
+  save: vi.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+// Currency.find(...).sort(...)
+const mockActiveCurrencies = currencies => {
+  Currency.find.mockReturnValue({ sort: vi.fn().mockResolvedValue(currencies) });
+};
+
+const createProduct = (overrides = {}) => ({
+  getVariantPrice: vi.fn(variant => variant?.price ?? 20),
+  getPriceOverride: vi.fn().mockReturnValue(null),
+  ...overrides
+});
+
+describe('currencyService', () => {
+  let source;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    currencyService.stop();
+    currencyService.clearCache();
+    currencyService.source = null;
+    currencyService.running = false;
+
+    source = { getRates: vi.fn() };
+    createExchangeRateSource.mockReturnValue(source);
+  });
+
+  describe('run', () => {
+    it('updates automatic currencies from the rate source', async () => {
+      const eur = createCurrency();
+      const usd = createCurrency({ code: 'USD', name: 'US Dollar', exchangeRate: 1.2 });
+      Currency.find.mockResolvedValue([eur, usd]);
+      source.getRates.mockResolvedValue({ EUR: 1.17, USD: 1.27 });
+
+      const result = await currencyService.run();
+
+      expect(Currency.find).toHaveBeenCalledWith({ rateSource: 'automatic' });
+      expect(source.getRates).toHaveBeenCalledWith('GBP', ['EUR', 'USD']);
+      expect(eur.exchangeRate).toBe(1.17);
+      expect(usd.exchangeRate).toBe(1.27);
+      expect(eur.rateUpdatedAt).toBeInstanceOf(Date);
+      expect(eur.save).toHaveBeenCalled();
+      expect(result).toEqual({ checked: 2, updated: 2, missing: [] });
+    });
+
+    it('keeps the old rate for currencies the source does not know', async () => {
+      const eur = createCurrency();
+      const xyz = createCurrency({ code: 'XYZ', exchangeRate: 3 });
+      Currency.find.mockResolvedValue([eur, xyz]);
+      source.getRates.mockResolvedValue({ EUR: 1.17 });
+
+      const result = await currencyService.run();
+
+      expect(xyz.exchangeRate).toBe(3);
+      expect(xyz.save).not.toHaveBeenCalled();
+      expect(result).toEqual({ checked: 2, updated: 1, missing: ['XYZ'] });
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Exchange rate source has no rate for some currencies',
+        expect.objectContaining({ missing: ['XYZ'] })
+      );
+    });
+
+    it('does not call the source when no currency is automatic', async () => {
+      Currency.find.mockResolvedValue([]);
+
+      const result = await currencyService.run();
+
+      expect(createExchangeRateSource).not.toHaveBeenCalled();
+      expect(result).toEqual({ checked: 0, updated: 0, missing: [] });
+    });
+
+    it('clears the storefront cache after a refresh', async () => {
+      mockActiveCurrencies([createCurrency()]);
+      await currencyService.listCurrencies();
+
+      Currency.find.mockResolvedValue([createCurrency()]);
+      source.getRates.mockResolvedValue({ EUR: 1.2 });
+      await currencyService.run();
+
+      expect(currencyService.cache.currencies).toBeNull();
+    });
+
+    it('skips a run while another is in progress', async () => {
+      currencyService.running = true;
+
+      const result = await currencyService.run();
+
+      expect(result.skipped).toBe(true);
+      expect(Currency.find).not.toHaveBeenCalled();
+    });
+
+    it('releases the run guard when the source fails', async () => {
+      Currency.find.mockResolvedValue([createCurrency()]);
+      source.getRates.mockRejectedValue(new Error('Frankfurter API error: timeout'));
+
+      await expect(currencyService.run()).rejects.toThrow('Frankfurter API error');
+      expect(currencyService.running).toBe(false);
+    });
+  });
+
+  describe('listCurrencies', () => {
+    it('lists GBP first followed by the active currencies', async () => {
+      mockActiveCurrencies([createCurrency()]);
+
+      const currencies = await currencyService.listCurrencies();
+
+      expect(Currency.find).toHaveBeenCalledWith({ isActive: true });
+      expect(currencies).toEqual([
+        { code: 'GBP', name: 'British Pound', symbol: '£', exchangeRate: 1, decimalPlaces: 2 },
+        { code: 'EUR', name: 'Euro', symbol: '€', exchangeRate: 1.15, decimalPlaces: 2 }
+      ]);
+    });
+
+    it('caches the list between calls', async () => {
+      mockActiveCurrencies([createCurrency()]);
+
+      await currencyService.listCurrencies();
+      await currencyService.listCurrencies();
+
+      expect(Currency.find).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getCurrency', () => {
+    it('returns GBP without a lookup when no currency is given', async () => {
+      const currency = await currencyService.getCurrency(undefined);
+
+      expect(currency.code).toBe('GBP');
+      expect(Currency.find).not.toHaveBeenCalled();
+    });
+
+    it('finds an active currency regardless of case', async () => {
+      mockActiveCurrencies([createCurrency()]);
+
+      const currency = await currencyService.getCurrency(' eur ');
+
+      expect(currency.code).toBe('EUR');
+    });
+
+    it('returns null for a currency that is not offered', async () => {
+      mockActiveCurrencies([createCurrency()]);
+
+      expect(await currencyService.getCurrency('JPY')).toBeNull();
+    });
+  });
+
+  describe('conversion', () => {
+    const eur = { code: 'EUR', exchangeRate: 1.15, decimalPlaces: 2 };
+    const jpy = { code: 'JPY', exchangeRate: 190.456, decimalPlaces: 0 };
+
+    it('converts GBP amounts and rounds to the minor unit', () => {
+      expect(currencyService.convert(19.99, eur)).toBe(22.99);
+      expect(currencyService.convert(19.99, jpy)).toBe(3807);
+    });
+
+    it('uses the GBP price for GBP orders', () => {
+      const product = createProduct();
+
+      expect(currencyService.getPresentmentUnitPrice(product, null, { code: 'GBP', exchangeRate: 1, decimalPlaces: 2 })).toBe(20);
+      expect(product.getPriceOverride).not.toHaveBeenCalled();
+    });
+
+    it('prefers a price override for the currency', () => {
+      const product = createProduct({ getPriceOverride: vi.fn().mockReturnValue(24.5) });
+
+      expect(currencyService.getPresentmentUnitPrice(product, null, eur)).toBe(24.5);
+      expect(product.getPriceOverride).toHaveBeenCalledWith('EUR', null);
+    });
+
+    it('converts the variant price when there is no override', () => {
+      const product = createProduct();
+      const variant = { price: 30 };
+
+      expect(currencyService.getPresentmentUnitPrice(product, variant, eur)).toBe(34.5);
+      expect(product.getPriceOverride).toHaveBeenCalledWith('EUR', variant);
+    });
+  });
+});
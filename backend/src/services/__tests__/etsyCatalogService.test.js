@@ -0,0 +1,217 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Product.js', () => ({
+  default: {
+    find: vi.fn(),
+    findOne: vi.fn()
+  }
+}));
+
+vi.mock('../stockLedgerService.js', () => ({
+  default: {
+    record: vi.fn().mockResolvedValue([])
+  }
+}));
+
+vi.mock('../productAlertService.js', async () => {
+  const actual = await vi.importActual('../productAlertService.js');
+  return {
+    default: {
+      snapshot: actual.default.snapshot,
+      handleProductChange: vi.fn()
+    }
+  };
+});
+
+import Product from '../../models/Product.js';
+import productAlertService from '../productAlertService.js';
+import stockLedgerService from '../stockLedgerService.js';
+import etsyCatalogService from '../etsyCatalogService.js';
+
+const createProduct = (overrides = {}) => ({
+  name: 'Tory Stank Movie Prop',
+  sku: 'ETSY_TORY_STANK_MOVIE',
+  longDescription: 'Hand painted, "movie" accurate',
+  price: 12.5,
+  stockQuantity: 5,
+  lowStockThreshold: 2,
+  tags: ['prop', 'diorama'],
+  attributes: [{ name: 'Material', value: 'PLA' }],
+  images: ['/uploads/products/product-1.webp', 'https://i.etsystatic.com/2.jpg'],
+  options: [{ name: 'Primary colour', values: ['Grey', 'Red'] }],
+  variants: [],
+  save: vi.fn().mockResolvedValue(true),
+  markModified: vi.fn(),
+  ...overrides
+});
+
+describe('EtsyCatalogService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('productToEtsyRow', () => {
+    it('should map a product to the Etsy column layout', () => {
+      const row = etsyCatalogService.productToEtsyRow(createProduct(), { baseUrl: 'https://api.example.com' });
+
+      expect(row).toMatchObject({
+        TITLE: 'Tory Stank Movie Prop',
+        PRICE: '12.50',
+        CURRENCY_CODE: 'GBP',
+        QUANTITY: 5,
+        TAGS: 'prop,diorama',
+        MATERIALS: 'PLA',
+        IMAGE1: 'https://api.example.com/uploads/products/product-1.webp',
+        IMAGE2: 'https://i.etsystatic.com/2.jpg',
+        IMAGE3: '',
+        'VARIATION 1 TYPE': 'Primary colour',
+        'VARIATION 1 NAME': 'Primary colour',
+        'VARIATION 1 VALUES': 'Grey,Red',
+        'VARIATION 2 VALUES': '',
+        SKU: 'ETSY_TORY_STANK_MOVIE'
+      });
+    });
+  });
+
+  describe('exportStockCsv', () => {
+    it('should list variant SKUs individually', async () => {
+      Product.find.mockReturnValue({
+        sort: vi.fn().mockResolvedValue([
+          createProduct({ sku: 'SIMPLE-1', stockQuantity: 4 }),
+          createProduct({
+            sku: 'CAR',
+            variants: [
+              { sku: 'CAR-RED', stockQuantity: 1, isActive: true },
+              { sku: 'CAR-GREY', stockQuantity: 2, isActive: false }
+            ]
+          })
+        ])
+      });
+
+      const { csv, count } = await etsyCatalogService.exportStockCsv();
+
+      expect(Product.find).toHaveBeenCalledWith({ status: 'active', isActive: true, privateFor: null });
+      expect(count).toBe(2);
+      expect(csv).toBe('SKU,QUANTITY\nSIMPLE-1,4\nCAR-RED,1\n');
+    });
+  });
+
+  describe('applyStockUpdates', () => {
+    it('should update only the quantity of matching SKUs', async () => {
+      const product = createProduct();
+      Product.findOne.mockResolvedValue(product);
+
+      const result = await etsyCatalogService.applyStockUpdates([{ SKU: 'etsy_tory_stank_movie', QUANTITY: '1' }]);
+
+      expect(Product.findOne).toHaveBeenCalledWith({
+        $or: [{ sku: 'ETSY_TORY_STANK_MOVIE' }, { 'variants.sku': 'ETSY_TORY_STANK_MOVIE' }]
+      });
+      expect(product.stockQuantity).toBe(1);
+      expect(product.stockStatus).toBe('low_stock');
+      expect(product.longDescription).toBe('Hand painted, "movie" accurate');
+      expect(product.save).toHaveBeenCalled();
+      expect(result.items[0]).toEqual({
+        sku: 'ETSY_TORY_STANK_MOVIE',
+        action: 'updated',
+        previousQuantity: 5,
+        quantity: 1
+      });
+    });
+
+    it('should record the change in the stock ledger as an import', async () => {
+      const product = createProduct({ _id: 'product1' });
+      Product.findOne.mockResolvedValue(product);
+
+      await etsyCatalogService.applyStockUpdates([{ SKU: 'ETSY_TORY_STANK_MOVIE', QUANTITY: '2' }], { userId: 'admin1' });
+
+      expect(stockLedgerService.record).toHaveBeenCalledWith([expect.objectContaining({
+        productId: 'product1',
+        variantId: null,
+        reason: 'import',
+        quantity: -3,
+        quantityAfter: 2,
+        userId: 'admin1'
+      })]);
+    });
+
+    it('should queue back-in-stock alerts for a product restocked from zero', async () => {
+      const product = createProduct({ _id: 'product1', stockQuantity: 0, stockStatus: 'out_of_stock' });
+      Product.findOne.mockResolvedValue(product);
+
+      await etsyCatalogService.applyStockUpdates([{ SKU: 'ETSY_TORY_STANK_MOVIE', QUANTITY: '4' }]);
+
+      expect(productAlertService.handleProductChange).toHaveBeenCalledWith(
+        { price: 12.5, stockQuantity: 0, stockStatus: 'out_of_stock' },
+        product
+      );
+      expect(product.stockStatus).toBe('in_stock');
+    });
+
+    it('should update variant stock and roll up the product total', async () => {
+      const product = createProduct({
+        variants: [
+          { sku: 'CAR-RED', stockQuantity: 1, isActive: true },
+          { sku: 'CAR-GREY', stockQuantity: 2, isActive: true }
+        ]
+      });
+      Product.findOne.mockResolvedValue(product);
+
+      await etsyCatalogService.applyStockUpdates([{ SKU: 'CAR-GREY', QUANTITY: '6' }]);
+
+      expect(product.variants[1].stockQuantity).toBe(6);
+      expect(product.stockQuantity).toBe(7);
+      expect(product.markModified).toHaveBeenCalledWith('variants');
+    });
+
+    it('should skip unchanged quantities and report unknown SKUs', async () => {
+      Product.findOne
+        .mockResolvedValueOnce(createProduct())
+        .mockResolvedValueOnce(null);
+
+      const result = await etsyCatalogService.applyStockUpdates([
+        { SKU: 'ETSY_TORY_STANK_MOVIE', QUANTITY: '5' },
+        { SKU: 'MISSING', QUANTITY: '3' },
+        { SKU: '', QUANTITY: '3' }
+      ]);
+
+      expect(result.summary).toEqual({ updated: 0, unchanged: 1, notFound: 1, invalid: 1 });
+    });
+
+    it('should not save in dry-run mode', async () => {
+      const product = createProduct();
+      Product.findOne.mockResolvedValue(product);
+
+      const result = await etsyCatalogService.applyStockUpdates(
+        [{ SKU: 'ETSY_TORY_STANK_MOVIE', QUANTITY: '0' }],
+        { dryRun: true }
+      );
+
+      expect(product.save).not.toHaveBeenCalled();
+      expect(stockLedgerService.record).not.toHaveBeenCalled();
+      expect(product.stockQuantity).toBe(5);
+      expect(result.summary.updated).toBe(1);
+    });
+
+    it('should refuse a listing SKU for a product with several variants', async () => {
+      Product.findOne.mockResolvedValue(createProduct({
+        variants: [
+          { sku: 'CAR-RED', stockQuantity: 1, isActive: true },
+          { sku: 'CAR-GREY', stockQuantity: 2, isActive: true }
+        ]
+      }));
+
+      const result = await etsyCatalogService.applyStockUpdates([{ SKU: 'ETSY_TORY_STANK_MOVIE', QUANTITY: '3' }]);
+
+      expect(result.items[0]).toMatchObject({ action: 'invalid', reason: 'Product has variants; use variant SKUs' });
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import express from 'express';
+import {
+  FrankfurterRateSource,
+  CoinGeckoRateSource,
+  createExchangeRateSource
+} from '../exchangeRateSources.js';
+
+// Serve an express app on a random local port
+const listen = app => new Promise((resolve) => {
+  const server = app.listen(0, '127.0.0.1', () => {
+    resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+  });
+});
+
+describe('Exchange rate sources', () => {
+  describe('FrankfurterRateSource', () => {
+    const frankfurter = { requests: [], fail: false };
+    let server;
+    let url;
+
+    beforeAll(async () => {
+      const app = express();
+      app.get('/latest', (req, res) => {
+        frankfurter.requests.push(req.query);
+        if (frankfurter.fail) {
+          return res.status(422).json({ message: 'not found' });
+        }
+        res.json({ base: req.query.from, rates: { EUR: 1.1712, USD: 1.2654 } });
+      });
+      ({ server, url } = await listen(app));
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+      frankfurter.requests = [];
+      frankfurter.fail = false;
+    });
+
+    it('returns rates for the requested currencies', async () => {
+      const source = new FrankfurterRateSource({ url: `${url}/` });
+
+      const rates = await source.getRates('GBP', ['EUR', 'USD', 'XYZ']);
+
+      expect(frankfurter.requests[0]).toEqual({ from: 'GBP', to: 'EUR,USD,XYZ' });
+      expect(rates).toEqual({ EUR: 1.1712, USD: 1.2654 });
+    });
+
+    it('wraps API errors', async () => {
+      frankfurter.fail = true;
+      const source = new FrankfurterRateSource({ url });
+
+      await expect(source.getRates('GBP', ['EUR'])).rejects.toThrow('Frankfurter API error: not found');
+    });
+  });
+
+  describe('CoinGeckoRateSource', () => {
+    const coingecko = { headers: [] };
+    let server;
+    let url;
+
+    beforeAll(async () => {
+      const app = express();
+      app.get('/exchange_rates', (req, res) => {
+        coingecko.headers.push(req.get('x-cg-pro-api-key'));
+        res.json({
+          rates: {
+            btc: { name: 'Bitcoin', value: 1, type: 'crypto' },
+            gbp: { name: 'British Pound Sterling', value: 50000, type: 'fiat' },
+            eur: { name: 'Euro', value: 58500, type: 'fiat' }
+          }
+        });
+      });
+      ({ server, url } = await listen(app));
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    it('quotes rates against the base currency', async () => {
+      const source = new CoinGeckoRateSource({ url, apiKey: 'cg-key' });
+
+      const rates = await source.getRates('GBP', ['EUR', 'XYZ']);
+
+      expect(coingecko.headers).toContain('cg-key');
+      expect(rates).toEqual({ EUR: 1.17 });
+    });
+
+    it('fails when the base currency is not quoted', async () => {
+      const source = new CoinGeckoRateSource({ url });
+
+      await expect(source.getRates('CHF', ['EUR'])).rejects.toThrow('CoinGecko has no rate for CHF');
+    });
+  });
+
+  describe('createExchangeRateSource', () => {
+    it('creates the named source', () => {
+      expect(createExchangeRateSource('frankfurter', { frankfurterUrl: 'http://rates.local' }))
+        .toBeInstanceOf(FrankfurterRateSource);
+      expect(createExchangeRateSource('coingecko')).toBeInstanceOf(CoinGeckoRateSource);
+    });
+
+    it('rejects unknown sources', () => {
+      expect(() => createExchangeRateSource('bank')).toThrow('Unsupported exchange rate source: bank');
+    });
+  });
+});
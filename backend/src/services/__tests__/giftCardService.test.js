@@ -0,0 +1,318 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../models/GiftCard.js', () => ({
+  GIFT_CARD_STATUSES: ['active', 'voided'],
+  default: {
+    create: vi.fn(),
+    find: vi.fn(),
+    findById: vi.fn(),
+    findByCode: vi.fn(),
+    findOneAndUpdate: vi.fn(),
+    updateOne: vi.fn(),
+    countDocuments: vi.fn()
+  }
+}));
+
+vi.mock('../emailService.js', () => ({
+  default: {
+    sendGiftCardEmail: vi.fn()
+  }
+}));
+
+import GiftCard from '../../models/GiftCard.js';
+import emailService from '../emailService.js';
+import giftCardService from '../giftCardService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const withSession = value => ({ session: vi.fn().mockResolvedValue(value) });
+
+const createCard = (overrides = {}) => ({
+  _id: 'card1',
+  code: 'GCTEST0001',
+  balance: 50,
+  currency: 'GBP',
+  status: 'active',
+  expiresAt: null,
+  delivery: null,
+  deliveredAt: null,
+  isExpired: () => false,
+  getDisplayCode: () => 'GCTE-ST00-01',
+  ...overrides
+});
+
+describe('giftCardService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    giftCardService.running = false;
+    GiftCard.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    GiftCard.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({ _id: filter._id, ...update.$set }));
+    emailService.sendGiftCardEmail.mockResolvedValue({ success: true });
+  });
+
+  describe('parseDelivery', () => {
+    it('should require a recipient email', () => {
+      expect(() => giftCardService.parseDelivery({ recipientName: 'Sam' }))
+        .toThrow('A valid recipient email address is required');
+    });
+
+    it('should send a card dated in the past straight away', () => {
+      const delivery = giftCardService.parseDelivery({
+        recipientEmail: ' Sam@Example.com ',
+        message: '  Happy birthday  ',
+        deliveryDate: new Date(Date.now() - DAY).toISOString()
+      });
+
+      expect(delivery).toEqual({
+        recipientName: undefined,
+        recipientEmail: 'sam@example.com',
+        senderName: undefined,
+        message: 'Happy birthday',
+        deliveryDate: null
+      });
+    });
+
+    it('should not schedule a card more than a year ahead', () => {
+      expect(() => giftCardService.parseDelivery({
+        recipientEmail: 'sam@example.com',
+        deliveryDate: new Date(Date.now() + 400 * DAY).toISOString()
+      })).toThrow('Delivery date cannot be more than 365 days away');
+    });
+  });
+
+  describe('redeem', () => {
+    it('should take only what the order needs from a card', async () => {
+      GiftCard.findByCode.mockReturnValue(withSession(createCard()));
+
+      const result = await giftCardService.redeem(['gcte-st00-01'], 30, { orderId: 'order1', userId: 'user1' });
+
+      expect(GiftCard.findByCode).toHaveBeenCalledWith('GCTEST0001');
+      expect(GiftCard.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'card1', balance: 50 },
+        {
+          $set: { balance: 20 },
+          $push: { transactions: { type: 'redeem', orderId: 'order1', userId: 'user1', amount: -30, balanceAfter: 20 } }
+        },
+        { new: true, session: null }
+      );
+      expect(result).toEqual({
+        giftCards: [{ giftCardId: 'card1', code: 'GCTEST0001', amount: 30 }],
+        total: 30
+      });
+    });
+
+    it('should spend cards in turn and leave unneeded cards untouched', async () => {
+      GiftCard.findByCode
+        .mockReturnValueOnce(withSession(createCard({ _id: 'card1', code: 'GCAAAA', balance: 10 })))
+        .mockReturnValueOnce(withSession(createCard({ _id: 'card2', code: 'GCBBBB', balance: 50 })));
+
+      const result = await giftCardService.redeem(['GCAAAA', 'gcaaaa', 'GCBBBB', 'GCCCCC'], 25, { orderId: 'order1' });
+
+      expect(GiftCard.findByCode).toHaveBeenCalledTimes(2);
+      expect(result).toEqual({
+        giftCards: [
+          { giftCardId: 'card1', code: 'GCAAAA', amount: 10 },
+          { giftCardId: 'card2', code: 'GCBBBB', amount: 15 }
+        ],
+        total: 25
+      });
+    });
+
+    it('should refuse an expired card', async () => {
+      GiftCard.findByCode.mockReturnValue(withSession(createCard({ isExpired: () => true })));
+
+      await expect(giftCardService.redeem(['GCTEST0001'], 30, {})).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'This gift card has expired'
+      });
+      expect(GiftCard.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should fail when another checkout spent the card first', async () => {
+      GiftCard.findByCode.mockReturnValue(withSession(createCard()));
+      GiftCard.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(giftCardService.redeem(['GCTEST0001'], 30, {})).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('restoreForOrder', () => {
+    it('should put back what an order took, once', async () => {
+      GiftCard.findById.mockReturnValue(withSession(createCard({ balance: 20 })));
+      const order = {
+        _id: 'order1',
+        orderNumber: 'ORD-1',
+        giftCards: [
+          { giftCardId: 'card1', amount: 30, restoredAt: null },
+          { giftCardId: 'card2', amount: 5, restoredAt: new Date() }
+        ]
+      };
+
+      const restored = await giftCardService.restoreForOrder(order, { userId: 'user1' });
+
+      expect(restored).toBe(30);
+      expect(GiftCard.findById).toHaveBeenCalledTimes(1);
+      expect(GiftCard.findOneAndUpdate.mock.calls[0][1].$push.transactions).toEqual(expect.objectContaining({
+        type: 'refund',
+        amount: 30,
+        balanceAfter: 50
+      }));
+      expect(order.giftCards[0].restoredAt).toBeInstanceOf(Date);
+    });
+
+    it('should not credit a card voided since the order used it', async () => {
+      GiftCard.findById.mockReturnValue(withSession(createCard({ balance: 0, status: 'voided' })));
+      const order = {
+        _id: 'order1',
+        orderNumber: 'ORD-1',
+        giftCards: [{ giftCardId: 'card1', amount: 30, restoredAt: null }]
+      };
+
+      const restored = await giftCardService.restoreForOrder(order, { userId: 'user1' });
+
+      expect(restored).toBe(0);
+      expect(GiftCard.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(order.giftCards[0].restoredAt).toBeNull();
+    });
+  });
+
+  describe('getSpentForOrder', () => {
+    it('should total what was spent from the cards an order bought, net of refunds', async () => {
+      GiftCard.find.mockReturnValue({
+        select: () => withSession([
+          { transactions: [
+            { type: 'issue', amount: 100 },
+            { type: 'redeem', amount: -60 },
+            { type: 'refund', amount: 20 }
+          ] },
+          { transactions: [{ type: 'issue', amount: 25 }, { type: 'void', amount: -25 }] }
+        ])
+      });
+
+      const spent = await giftCardService.getSpentForOrder({ _id: 'order1' });
+
+      expect(spent).toBe(40);
+      expect(GiftCard.find).toHaveBeenCalledWith({ orderId: 'order1' });
+    });
+  });
+
+  describe('issueForOrder', () => {
+    const order = {
+      _id: 'order1',
+      customerEmail: 'buyer@example.com',
+      items: [
+        { _id: 'item1', availabilityMode: 'stock', quantity: 1, unitPrice: 20 },
+        {
+          _id: 'item2',
+          availabilityMode: 'gift_card',
+          quantity: 2,
+          unitPrice: 25,
+          giftCard: { recipientEmail: 'sam@example.com', deliveryDate: null }
+        }
+      ]
+    };
+
+    it('should issue a card per unit and email those due', async () => {
+      GiftCard.create.mockImplementation(data => Promise.resolve(createCard({ _id: `card${data.unitIndex}`, ...data })));
+
+      const issued = await giftCardService.issueForOrder(order);
+
+      expect(issued).toHaveLength(2);
+      expect(GiftCard.create).toHaveBeenCalledWith(expect.objectContaining({
+        initialValue: 25,
+        source: 'purchase',
+        orderId: 'order1',
+        orderItemId: 'item2',
+        unitIndex: 1,
+        purchaserEmail: 'buyer@example.com'
+      }));
+      expect(emailService.sendGiftCardEmail).toHaveBeenCalledTimes(2);
+      expect(GiftCard.updateOne).toHaveBeenCalledWith({ _id: 'card0' }, { $set: { deliveredAt: expect.any(Date) } });
+    });
+
+    it('should skip units already issued', async () => {
+      GiftCard.create
+        .mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000 }))
+        .mockImplementationOnce(data => Promise.resolve(createCard({ _id: 'card1', ...data })));
+
+      const issued = await giftCardService.issueForOrder(order);
+
+      expect(issued).toHaveLength(1);
+      expect(emailService.sendGiftCardEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('should hold back a card scheduled for later', async () => {
+      const later = new Date(Date.now() + 7 * DAY);
+      GiftCard.create.mockImplementation(data => Promise.resolve(createCard({ ...data, delivery: { ...data.delivery, deliveryDate: later } })));
+
+      await giftCardService.issueForOrder(order);
+
+      expect(emailService.sendGiftCardEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('run', () => {
+    it('should email due cards and count failures for a retry', async () => {
+      const cards = [
+        createCard({ _id: 'card1', delivery: { recipientEmail: 'a@example.com' } }),
+        createCard({ _id: 'card2', delivery: { recipientEmail: 'b@example.com' } })
+      ];
+      GiftCard.find.mockReturnValue({ sort: vi.fn().mockResolvedValue(cards) });
+      emailService.sendGiftCardEmail
+        .mockResolvedValueOnce({ success: true })
+        .mockResolvedValueOnce({ success: false, error: 'SMTP down' });
+
+      const summary = await giftCardService.run();
+
+      expect(summary).toEqual({ cardsChecked: 2, delivered: 1, failures: 1 });
+      expect(GiftCard.updateOne).toHaveBeenCalledWith({ _id: 'card2' }, { $inc: { deliveryAttempts: 1 } });
+    });
+  });
+
+  describe('void', () => {
+    it('should write off the balance', async () => {
+      GiftCard.findById.mockResolvedValue(createCard());
+
+      const card = await giftCardService.void('card1', { reason: 'Lost' }, { _id: 'admin1' });
+
+      expect(card.status).toBe('voided');
+      expect(GiftCard.findOneAndUpdate.mock.calls[0][1].$push.transactions).toEqual(expect.objectContaining({
+        type: 'void',
+        amount: -50,
+        balanceAfter: 0,
+        note: 'Lost'
+      }));
+    });
+
+    it('should refuse a card already void', async () => {
+      GiftCard.findById.mockResolvedValue(createCard({ status: 'voided' }));
+
+      await expect(giftCardService.void('card1', {}, { _id: 'admin1' })).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Gift card is already void'
+      });
+    });
+  });
+
+  describe('checkBalance', () => {
+    it('should show an expired card as expired', async () => {
+      GiftCard.findByCode.mockResolvedValue(createCard({ isExpired: () => true }));
+
+      await expect(giftCardService.checkBalance('GCTEST0001')).resolves.toEqual(expect.objectContaining({
+        code: 'GCTE-ST00-01',
+        balance: 50,
+        status: 'expired'
+      }));
+    });
+  });
+});
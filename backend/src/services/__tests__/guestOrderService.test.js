@@ -0,0 +1,203 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import jwt from 'jsonwebtoken';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../models/Order.js', () => ({
+  default: {
+    findOne: vi.fn(),
+    updateMany: vi.fn()
+  }
+}));
+
+vi.mock('../../models/ReturnRequest.js', () => ({
+  default: {
+    updateMany: vi.fn()
+  }
+}));
+
+vi.mock('../../models/User.js', () => {
+  const User = vi.fn(function(data) {
+    Object.assign(this, data);
+    this._id = 'user1';
+    this.save = vi.fn().mockResolvedValue(this);
+  });
+  User.findByEmail = vi.fn();
+
+  return { default: User };
+});
+
+vi.mock('../emailService.js', () => ({
+  default: {
+    sendOrderConfirmationEmail: vi.fn(),
+    sendGuestOrderLinkEmail: vi.fn()
+  }
+}));
+
+import Order from '../../models/Order.js';
+import ReturnRequest from '../../models/ReturnRequest.js';
+import User from '../../models/User.js';
+import emailService from '../emailService.js';
+import guestOrderService from '../guestOrderService.js';
+
+const createOrder = (overrides = {}) => ({
+  _id: 'order1',
+  orderNumber: 'ORD-12345678-001',
+  customerEmail: 'guest@example.com',
+  userId: null,
+  ...overrides
+});
+
+describe('GuestOrderService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('normalizeEmail', () => {
+    it('should lowercase and trim a valid address', () => {
+      expect(guestOrderService.normalizeEmail('  Guest@Example.COM ')).toBe('guest@example.com');
+    });
+
+    it('should reject anything that is not an email address', () => {
+      expect(guestOrderService.normalizeEmail('not-an-email')).toBeNull();
+      expect(guestOrderService.normalizeEmail(undefined)).toBeNull();
+      expect(guestOrderService.normalizeEmail({ $ne: null })).toBeNull();
+    });
+  });
+
+  describe('lookup tokens', () => {
+    it('should round-trip the order and email', () => {
+      const token = guestOrderService.createLookupToken(createOrder());
+
+      expect(guestOrderService.verifyLookupToken(token)).toEqual({
+        orderId: 'order1',
+        email: 'guest@example.com',
+        emailed: false
+      });
+    });
+
+    it('should mark tokens that were sent by email', () => {
+      const token = guestOrderService.createLookupToken(createOrder(), { emailed: true });
+
+      expect(guestOrderService.verifyLookupToken(token).emailed).toBe(true);
+    });
+
+    it('should reject tampered tokens', () => {
+      const token = guestOrderService.createLookupToken(createOrder());
+
+      expect(() => guestOrderService.verifyLookupToken(`${token}x`)).toThrow('This order link is invalid or has expired');
+    });
+
+    it('should reject other signed tokens such as login tokens', () => {
+      const loginToken = jwt.sign({ userId: 'user1' }, guestOrderService.getSecret());
+
+      expect(() => guestOrderService.verifyLookupToken(loginToken)).toThrow(expect.objectContaining({ statusCode: 401 }));
+    });
+
+    it('should build the order link from the frontend URL', () => {
+      expect(guestOrderService.getLookupUrl('abc')).toMatch(/\/guest-orders\/abc$/);
+    });
+  });
+
+  describe('sendOrderConfirmation', () => {
+    it('should include an emailed order link', async () => {
+      const order = createOrder();
+
+      await guestOrderService.sendOrderConfirmation(order);
+
+      const [sentOrder, orderUrl] = emailService.sendOrderConfirmationEmail.mock.calls[0];
+      expect(sentOrder).toBe(order);
+      const token = orderUrl.split('/guest-orders/')[1];
+      expect(guestOrderService.verifyLookupToken(token)).toEqual(expect.objectContaining({ orderId: 'order1', emailed: true }));
+    });
+  });
+
+  describe('sendLookupLink', () => {
+    it('should email a link when the order number and email match', async () => {
+      Order.findOne.mockResolvedValue(createOrder());
+
+      const sent = await guestOrderService.sendLookupLink(' ord-12345678-001 ', 'Guest@Example.com');
+
+      expect(sent).toBe(true);
+      expect(Order.findOne).toHaveBeenCalledWith({
+        orderNumber: 'ORD-12345678-001',
+        customerEmail: 'guest@example.com'
+      });
+      expect(emailService.sendGuestOrderLinkEmail).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'order1' }),
+        expect.stringContaining('/guest-orders/')
+      );
+    });
+
+    it('should send nothing when no order matches', async () => {
+      Order.findOne.mockResolvedValue(null);
+
+      const sent = await guestOrderService.sendLookupLink('ORD-12345678-001', 'someone@example.com');
+
+      expect(sent).toBe(false);
+      expect(emailService.sendGuestOrderLinkEmail).not.toHaveBeenCalled();
+    });
+
+    it('should require an order number and email', async () => {
+      await expect(guestOrderService.sendLookupLink('', 'guest@example.com')).rejects.toMatchObject({ statusCode: 400 });
+      await expect(guestOrderService.sendLookupLink('ORD-1', 'nope')).rejects.toMatchObject({ statusCode: 400 });
+      expect(Order.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createAccountFromOrder', () => {
+    const details = { password: 'Password1!', firstName: ' Jo ', lastName: 'Bloggs' };
+    const emailedLink = { orderId: 'order1', email: 'guest@example.com', emailed: true };
+
+    beforeEach(() => {
+      User.findByEmail.mockResolvedValue(null);
+      Order.updateMany.mockResolvedValue({ modifiedCount: 2 });
+      ReturnRequest.updateMany.mockResolvedValue({ modifiedCount: 0 });
+    });
+
+    it('should create a verified account and attach the email\'s guest orders', async () => {
+      const { user, ordersAttached } = await guestOrderService.createAccountFromOrder(emailedLink, details);
+
+      expect(User).toHaveBeenCalledWith({
+        email: 'guest@example.com',
+        password: 'Password1!',
+        firstName: 'Jo',
+        lastName: 'Bloggs',
+        marketingOptIn: false,
+        emailVerified: true
+      });
+      expect(user.save).toHaveBeenCalled();
+      expect(Order.updateMany).toHaveBeenCalledWith(
+        { userId: null, customerEmail: 'guest@example.com' },
+        { $set: { userId: 'user1' } }
+      );
+      expect(ReturnRequest.updateMany).toHaveBeenCalledWith(
+        { userId: null, customerEmail: 'guest@example.com' },
+        { $set: { userId: 'user1' } }
+      );
+      expect(ordersAttached).toBe(2);
+    });
+
+    it('should only accept links that were sent by email', async () => {
+      await expect(guestOrderService.createAccountFromOrder({ ...emailedLink, emailed: false }, details))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(User).not.toHaveBeenCalled();
+    });
+
+    it('should not create a second account for the email', async () => {
+      User.findByEmail.mockResolvedValue({ _id: 'existing' });
+
+      await expect(guestOrderService.createAccountFromOrder(emailedLink, details))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(Order.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,169 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../models/StockReservation.js', () => ({
+  default: {
+    getReservedQuantities: vi.fn(),
+    insertMany: vi.fn(),
+    deleteMany: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Product.js', () => ({
+  default: {
+    find: vi.fn()
+  }
+}));
+
+import StockReservation from '../../models/StockReservation.js';
+import Product from '../../models/Product.js';
+import { logError } from '../../utils/logger.js';
+import inventoryReservationService from '../inventoryReservationService.js';
+
+const variant = { _id: 'variant1', stockQuantity: 2, isActive: true };
+
+const createProduct = (id, stockQuantity, variants = []) => ({
+  _id: id,
+  name: `Product ${id}`,
+  stockQuantity,
+  isMadeOnDemand: () => false,
+  getVariant: vi.fn(variantId => variants.find(option => option._id === variantId) || null)
+});
+
+const createCart = (items) => ({
+  _id: 'cart123',
+  items
+});
+
+describe('inventoryReservationService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    StockReservation.deleteMany.mockResolvedValue({ deletedCount: 0 });
+    StockReservation.insertMany.mockImplementation(docs =>
+      Promise.resolve(docs.map((doc, index) => ({ ...doc, _id: `reservation${index}` })))
+    );
+  });
+
+  describe('getReservedStock', () => {
+    it('should total holds per product and per variant', async () => {
+      StockReservation.getReservedQuantities.mockResolvedValue([
+        { _id: { productId: 'product1', variantId: null }, quantity: 2 },
+        { _id: { productId: 'product2', variantId: 'variant1' }, quantity: 1 },
+        { _id: { productId: 'product2', variantId: 'variant2' }, quantity: 3 }
+      ]);
+
+      const reserved = await inventoryReservationService.getReservedStock(['product1', 'product2'], { excludeCartId: 'cart123' });
+
+      expect(StockReservation.getReservedQuantities).toHaveBeenCalledWith(['product1', 'product2'], { excludeCartId: 'cart123' });
+      expect(reserved.get('product1')).toBe(2);
+      expect(reserved.get('product2')).toBe(4);
+      expect(reserved.get('product2:variant1')).toBe(1);
+    });
+
+    it('should not query for no products', async () => {
+      const reserved = await inventoryReservationService.getReservedStock([]);
+
+      expect(reserved.size).toBe(0);
+      expect(StockReservation.getReservedQuantities).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getAvailableStock', () => {
+    it('should take held stock off what is on hand', () => {
+      const reserved = new Map([['product1', 3], ['product2:variant1', 1]]);
+
+      expect(inventoryReservationService.getAvailableStock(createProduct('product1', 5), null, reserved)).toBe(2);
+      expect(inventoryReservationService.getAvailableStock(createProduct('product2', 9, [variant]), variant, reserved)).toBe(1);
+      expect(inventoryReservationService.getAvailableStock(createProduct('product3', 1), null, new Map([['product3', 2]]))).toBe(0);
+    });
+
+    it('should never run short of pre-order and made-to-order products', () => {
+      const product = { ...createProduct('product1', 0), isMadeOnDemand: () => true };
+
+      expect(inventoryReservationService.getAvailableStock(product, null, new Map([['product1', 3]]))).toBe(Infinity);
+    });
+  });
+
+  describe('reserveCart', () => {
+    it('should hold the cart items for the checkout window', async () => {
+      Product.find.mockResolvedValue([createProduct('product1', 1), createProduct('product2', 5, [variant])]);
+      StockReservation.getReservedQuantities.mockResolvedValue([]);
+
+      const result = await inventoryReservationService.reserveCart(createCart([
+        { productId: 'product1', quantity: 1 },
+        { productId: 'product2', variantId: 'variant1', quantity: 2 }
+      ]));
+
+      expect(StockReservation.deleteMany).toHaveBeenCalledWith({ cartId: 'cart123' });
+      expect(StockReservation.insertMany).toHaveBeenCalledWith([
+        expect.objectContaining({ cartId: 'cart123', productId: 'product1', variantId: null, quantity: 1 }),
+        expect.objectContaining({ cartId: 'cart123', productId: 'product2', variantId: 'variant1', quantity: 2 })
+      ]);
+      expect(StockReservation.getReservedQuantities).toHaveBeenCalledWith(['product1', 'product2'], {
+        excludeCartId: 'cart123',
+        before: 'reservation0'
+      });
+      expect(result.expiresAt.getTime() - Date.now()).toBeGreaterThan(14 * 60 * 1000);
+    });
+
+    it('should refuse stock another checkout already holds', async () => {
+      Product.find.mockResolvedValue([createProduct('product1', 1)]);
+      StockReservation.getReservedQuantities.mockResolvedValue([
+        { _id: { productId: 'product1', variantId: null }, quantity: 1 }
+      ]);
+
+      const error = await inventoryReservationService.reserveCart(createCart([
+        { productId: 'product1', productName: 'One-off Custom Build', quantity: 1 }
+      ])).catch(err => err);
+
+      expect(error.statusCode).toBe(409);
+      expect(error.unavailableItems).toEqual([
+        { productId: 'product1', variantId: null, productName: 'One-off Custom Build', available: 0, requested: 1 }
+      ]);
+      expect(StockReservation.deleteMany).toHaveBeenCalledTimes(2);
+    });
+
+    it('should refuse products no longer sold', async () => {
+      Product.find.mockResolvedValue([]);
+      StockReservation.getReservedQuantities.mockResolvedValue([]);
+
+      const error = await inventoryReservationService.reserveCart(createCart([
+        { productId: 'product1', productName: 'Retired', quantity: 1 }
+      ])).catch(err => err);
+
+      expect(error.unavailableItems[0]).toMatchObject({ productName: 'Retired', available: 0 });
+    });
+
+    it('should only drop the existing hold for an empty cart', async () => {
+      const result = await inventoryReservationService.reserveCart(createCart([]));
+
+      expect(result).toBeNull();
+      expect(StockReservation.deleteMany).toHaveBeenCalledWith({ cartId: 'cart123' });
+      expect(StockReservation.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseCart', () => {
+    it('should drop the cart hold', async () => {
+      await inventoryReservationService.releaseCart('cart123');
+
+      expect(StockReservation.deleteMany).toHaveBeenCalledWith({ cartId: 'cart123' });
+    });
+
+    it('should log rather than throw when the hold cannot be dropped', async () => {
+      StockReservation.deleteMany.mockRejectedValue(new Error('connection lost'));
+
+      await expect(inventoryReservationService.releaseCart('cart123')).resolves.toBeUndefined();
+      expect(logError).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,268 @@
+import { vi, describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import express from 'express';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../models/PaymentGateway.js', () => ({
+  default: {
+    findOne: vi.fn()
+  }
+}));
+
+import PaymentGateway from '../../models/PaymentGateway.js';
+import bitcoinService from '../bitcoinService.js';
+import lightningService from '../lightningService.js';
+import { LndLightningBackend, ClnLightningBackend, createLightningBackend } from '../lightningBackends.js';
+
+const PAYMENT_HASH = 'a'.repeat(64);
+const PAYMENT_REQUEST = 'lnbc450u1pexample';
+
+// Serve an express app on a random local port
+const listen = app => new Promise((resolve) => {
+  const server = app.listen(0, '127.0.0.1', () => {
+    resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+  });
+});
+
+describe('Lightning backends', () => {
+  describe('LndLightningBackend', () => {
+    const lnd = { invoices: {}, requests: [] };
+    let lndServer;
+    let lndUrl;
+
+    beforeAll(async () => {
+      const app = express();
+      app.use(express.json());
+      app.use((req, res, next) => {
+        if (req.get('Grpc-Metadata-macaroon') !== 'abcdef') {
+          return res.status(401).json({ message: 'verification failed: signature mismatch' });
+        }
+        lnd.requests.push({ method: req.method, path: req.path, body: req.body });
+        next();
+      });
+      app.post('/v1/invoices', (req, res) => res.json({
+        r_hash: Buffer.from(PAYMENT_HASH, 'hex').toString('base64'),
+        payment_request: PAYMENT_REQUEST
+      }));
+      app.get('/v1/invoice/:hash', (req, res) => {
+        const invoice = lnd.invoices[req.params.hash];
+        return invoice ? res.json(invoice) : res.status(404).json({ message: 'unable to locate invoice' });
+      });
+      ({ server: lndServer, url: lndUrl } = await listen(app));
+    });
+
+    afterAll(() => new Promise(resolve => lndServer.close(resolve)));
+
+    beforeEach(() => {
+      lnd.invoices = {};
+      lnd.requests = [];
+    });
+
+    const now = () => Math.floor(Date.now() / 1000);
+
+    it('should create an invoice and return its payment hash in hex', async () => {
+      const backend = new LndLightningBackend({ url: `${lndUrl}/`, macaroon: 'abcdef' });
+
+      const invoice = await backend.createInvoice({ amountSats: 45000, memo: 'RDJCustoms order ORD-1', expirySeconds: 3600 });
+
+      expect(lnd.requests[0]).toEqual({
+        method: 'POST',
+        path: '/v1/invoices',
+        body: { value: '45000', memo: 'RDJCustoms order ORD-1', expiry: '3600' }
+      });
+      expect(invoice.paymentHash).toBe(PAYMENT_HASH);
+      expect(invoice.paymentRequest).toBe(PAYMENT_REQUEST);
+      expect(invoice.expiresAt.getTime()).toBeGreaterThan(Date.now() + 3590 * 1000);
+    });
+
+    it('should report a settled invoice with the amount paid', async () => {
+      lnd.invoices[PAYMENT_HASH] = {
+        state: 'SETTLED',
+        amt_paid_sat: '45000',
+        settle_date: String(now() - 10),
+        creation_date: String(now() - 60),
+        expiry: '3600'
+      };
+      const backend = new LndLightningBackend({ url: lndUrl, macaroon: 'abcdef' });
+
+      const invoice = await backend.getInvoice(PAYMENT_HASH);
+
+      expect(invoice.status).toBe('settled');
+      expect(invoice.amountReceivedSats).toBe(45000);
+      expect(invoice.settledAt).toBeInstanceOf(Date);
+    });
+
+    it('should report an unpaid invoice past its expiry as expired', async () => {
+      lnd.invoices[PAYMENT_HASH] = {
+        state: 'OPEN',
+        amt_paid_sat: '0',
+        settle_date: '0',
+        creation_date: String(now() - 7200),
+        expiry: '3600'
+      };
+      const backend = new LndLightningBackend({ url: lndUrl, macaroon: 'abcdef' });
+
+      expect(await backend.getInvoice(PAYMENT_HASH)).toEqual({ status: 'expired', amountReceivedSats: 0, settledAt: null });
+    });
+
+    it('should surface the node\'s error message', async () => {
+      const backend = new LndLightningBackend({ url: lndUrl, macaroon: 'wrong' });
+
+      await expect(backend.getInvoice(PAYMENT_HASH)).rejects.toThrow('LND API error: verification failed: signature mismatch');
+    });
+  });
+
+  describe('ClnLightningBackend', () => {
+    const cln = { invoices: [], calls: [] };
+    let clnServer;
+    let clnUrl;
+
+    beforeAll(async () => {
+      const app = express();
+      app.use(express.json());
+      app.use((req, res, next) => {
+        if (req.get('Rune') !== 'rune-abc') {
+          return res.status(401).json({ code: 1501, message: 'Not authorized: Not derived from master' });
+        }
+        cln.calls.push({ command: req.path.replace('/v1/', ''), params: req.body });
+        next();
+      });
+      app.post('/v1/invoice', (req, res) => res.json({
+        payment_hash: PAYMENT_HASH,
+        bolt11: PAYMENT_REQUEST,
+        expires_at: Math.floor(Date.now() / 1000) + req.body.expiry
+      }));
+      app.post('/v1/listinvoices', (req, res) => res.json({
+        invoices: cln.invoices.filter(invoice => invoice.payment_hash === req.body.payment_hash)
+      }));
+      ({ server: clnServer, url: clnUrl } = await listen(app));
+    });
+
+    afterAll(() => new Promise(resolve => clnServer.close(resolve)));
+
+    beforeEach(() => {
+      cln.invoices = [];
+      cln.calls = [];
+    });
+
+    it('should create an invoice in millisatoshis under a unique label', async () => {
+      const backend = new ClnLightningBackend({ url: clnUrl, rune: 'rune-abc' });
+
+      const invoice = await backend.createInvoice({
+        amountSats: 45000,
+        memo: 'RDJCustoms order ORD-1',
+        expirySeconds: 3600,
+        label: 'order-order123-1'
+      });
+
+      expect(cln.calls[0]).toEqual({
+        command: 'invoice',
+        params: { amount_msat: 45000000, label: 'order-order123-1', description: 'RDJCustoms order ORD-1', expiry: 3600 }
+      });
+      expect(invoice).toMatchObject({ paymentHash: PAYMENT_HASH, paymentRequest: PAYMENT_REQUEST });
+    });
+
+    it('should report a paid invoice as settled', async () => {
+      cln.invoices.push({ payment_hash: PAYMENT_HASH, status: 'paid', amount_received_msat: 45000000, paid_at: 1700000000 });
+      const backend = new ClnLightningBackend({ url: clnUrl, rune: 'rune-abc' });
+
+      expect(await backend.getInvoice(PAYMENT_HASH)).toEqual({
+        status: 'settled',
+        amountReceivedSats: 45000,
+        settledAt: new Date(1700000000 * 1000)
+      });
+    });
+
+    it('should fail when the node has no such invoice', async () => {
+      const backend = new ClnLightningBackend({ url: clnUrl, rune: 'rune-abc' });
+
+      await expect(backend.getInvoice(PAYMENT_HASH)).rejects.toThrow('no invoice with payment hash');
+    });
+
+    it('should surface the node\'s error message', async () => {
+      const backend = new ClnLightningBackend({ url: clnUrl, rune: 'stale' });
+
+      await expect(backend.getInvoice(PAYMENT_HASH)).rejects.toThrow('Core Lightning API error: Not authorized');
+    });
+  });
+
+  describe('createLightningBackend', () => {
+    it('should build the named backend and reject missing credentials', () => {
+      expect(createLightningBackend('cln', { clnRestUrl: 'http://cln', clnRune: 'rune' })).toBeInstanceOf(ClnLightningBackend);
+      expect(() => createLightningBackend('lnd', { lndRestUrl: 'http://lnd' })).toThrow('requires a REST URL and an invoice macaroon');
+      expect(() => createLightningBackend('eclair', {})).toThrow('Unsupported Lightning backend: eclair');
+    });
+  });
+
+  describe('lightningService', () => {
+    const mockGateway = (config) => {
+      PaymentGateway.findOne.mockReturnValue({
+        sort: vi.fn().mockResolvedValue({ _id: 'gateway123', config })
+      });
+    };
+
+    beforeEach(() => {
+      vi.clearAllMocks();
+      lightningService.gatewayCache = { gateway: null, timestamp: null };
+      vi.spyOn(bitcoinService, 'convertGbpToBtc').mockResolvedValue({
+        btcAmount: 0.00045,
+        exchangeRate: 100000,
+        exchangeRateTimestamp: new Date()
+      });
+    });
+
+    it('should only count a node as configured with its credentials', () => {
+      expect(lightningService.isConfigured({ lndRestUrl: 'http://lnd' })).toBe(false);
+      expect(lightningService.isConfigured({ lndRestUrl: 'http://lnd', lndMacaroon: 'abcdef' })).toBe(true);
+      expect(lightningService.isConfigured({ lightningBackend: 'cln', clnRestUrl: 'http://cln', clnRune: 'rune' })).toBe(true);
+    });
+
+    it('should price the invoice in sats and end it with the payment window', async () => {
+      mockGateway({ lightningBackend: 'lnd', lndRestUrl: 'http://lnd', lndMacaroon: 'abcdef' });
+      const createInvoice = vi.spyOn(LndLightningBackend.prototype, 'createInvoice').mockResolvedValue({
+        paymentHash: PAYMENT_HASH,
+        paymentRequest: PAYMENT_REQUEST,
+        expiresAt: new Date(Date.now() + 600000)
+      });
+      const paymentExpiry = new Date(Date.now() + 600000);
+
+      const invoice = await lightningService.createInvoice(45, { orderId: 'order123', orderNumber: 'ORD-1', paymentExpiry });
+
+      const [request] = createInvoice.mock.calls[0];
+      expect(request).toMatchObject({ amountSats: 45000, memo: 'RDJCustoms order ORD-1' });
+      expect(request.expirySeconds).toBeLessThanOrEqual(600);
+      expect(request.label).toMatch(/^order-order123-/);
+      expect(invoice).toMatchObject({
+        lightningBackend: 'lnd',
+        lightningPaymentHash: PAYMENT_HASH,
+        lightningInvoice: PAYMENT_REQUEST,
+        lightningAmountSats: 45000,
+        lightningPaymentExpiry: paymentExpiry,
+        bitcoinAmount: 0.00045,
+        bitcoinExchangeRate: 100000
+      });
+    });
+
+    it('should check an invoice on the node it was created on and report BTC received', async () => {
+      mockGateway({ lightningBackend: 'lnd', lndRestUrl: 'http://lnd', lndMacaroon: 'abcdef', clnRestUrl: 'http://cln', clnRune: 'rune' });
+      vi.spyOn(ClnLightningBackend.prototype, 'getInvoice').mockResolvedValue({
+        status: 'settled',
+        amountReceivedSats: 45000,
+        settledAt: null
+      });
+
+      const invoice = await lightningService.checkInvoice({ lightningBackend: 'cln', lightningPaymentHash: PAYMENT_HASH });
+
+      expect(ClnLightningBackend.prototype.getInvoice).toHaveBeenCalledWith(PAYMENT_HASH);
+      expect(invoice).toMatchObject({ status: 'settled', amountReceived: 0.00045 });
+    });
+  });
+});
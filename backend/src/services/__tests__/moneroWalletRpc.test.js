@@ -0,0 +1,204 @@
+import { vi, describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import crypto from 'crypto';
+import express from 'express';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../models/PaymentGateway.js', () => ({
+  default: {
+    findOne: vi.fn()
+  }
+}));
+
+import PaymentGateway from '../../models/PaymentGateway.js';
+import moneroService from '../moneroService.js';
+import { MoneroWalletRpcBackend } from '../moneroWalletRpc.js';
+
+const md5 = value => crypto.createHash('md5').update(value).digest('hex');
+
+// Serve an express app on a random local port
+const listen = app => new Promise((resolve) => {
+  const server = app.listen(0, '127.0.0.1', () => {
+    resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+  });
+});
+
+describe('Monero wallet RPC backend', () => {
+  // Stubbed monero-wallet-rpc: create_address and get_transfers, optional digest login
+  const wallet = { subaddresses: [], transfers: { in: [], pool: [] }, requests: [], login: null };
+  let walletServer;
+  let walletUrl;
+
+  const checkDigest = (req) => {
+    const header = req.headers.authorization || '';
+    const fields = Object.fromEntries(
+      [...header.matchAll(/(\w+)="?([^",]*)"?/g)].map(([, key, value]) => [key, value])
+    );
+    const ha1 = md5(`${wallet.login.username}:monero-rpc:${wallet.login.password}`);
+    const ha2 = md5(`POST:${fields.uri}`);
+    return header.startsWith('Digest ') &&
+      fields.response === md5(`${ha1}:${fields.nonce}:${fields.nc}:${fields.cnonce}:${fields.qop}:${ha2}`);
+  };
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/json_rpc', (req, res) => {
+      if (wallet.login && !checkDigest(req)) {
+        return res.status(401)
+          .set('WWW-Authenticate', 'Digest qop="auth",algorithm=MD5,realm="monero-rpc",nonce="abc123",stale=false')
+          .end();
+      }
+
+      const { id, method, params } = req.body;
+      wallet.requests.push({ method, params });
+
+      if (method === 'create_address') {
+        const addressIndex = wallet.subaddresses.length + 1;
+        wallet.subaddresses.push(params.label);
+        return res.json({ id, jsonrpc: '2.0', result: { address: `8Subaddress${addressIndex}`, address_index: addressIndex } });
+      }
+      if (method === 'get_transfers') {
+        return res.json({ id, jsonrpc: '2.0', result: wallet.transfers });
+      }
+      res.json({ id, jsonrpc: '2.0', error: { code: -32601, message: 'Method not found' } });
+    });
+    ({ server: walletServer, url: walletUrl } = await listen(app));
+  });
+
+  afterAll(() => new Promise(resolve => walletServer.close(resolve)));
+
+  beforeEach(() => {
+    wallet.subaddresses = [];
+    wallet.transfers = { in: [], pool: [] };
+    wallet.requests = [];
+    wallet.login = null;
+  });
+
+  describe('MoneroWalletRpcBackend', () => {
+    it('should create a labelled subaddress per order', async () => {
+      const backend = new MoneroWalletRpcBackend({ url: walletUrl, accountIndex: 2 });
+
+      const payment = await backend.createPayment({ orderId: 'order123' });
+
+      expect(wallet.requests[0]).toEqual({
+        method: 'create_address',
+        params: { account_index: 2, label: 'order:order123' }
+      });
+      expect(payment).toEqual({ address: '8Subaddress1', subaddressIndex: 1 });
+    });
+
+    it('should answer digest authentication challenges', async () => {
+      wallet.login = { username: 'shop', password: 'wallet-pass' };
+      const backend = new MoneroWalletRpcBackend({ url: `${walletUrl}/json_rpc`, username: 'shop', password: 'wallet-pass' });
+
+      await expect(backend.createPayment({ orderId: 'order123' })).resolves.toMatchObject({ subaddressIndex: 1 });
+
+      const badLogin = new MoneroWalletRpcBackend({ url: walletUrl, username: 'shop', password: 'wrong' });
+      await expect(badLogin.createPayment({ orderId: 'order123' })).rejects.toThrow('Monero wallet RPC error: HTTP 401');
+    });
+
+    it('should surface JSON-RPC errors', async () => {
+      const backend = new MoneroWalletRpcBackend({ url: walletUrl });
+
+      await expect(backend.call('refresh')).rejects.toThrow('Monero wallet RPC error: Method not found');
+      expect(() => new MoneroWalletRpcBackend({ url: '' })).toThrow('Monero wallet RPC URL not configured');
+    });
+
+    it('should total confirmed and pool transfers to the subaddress', async () => {
+      wallet.transfers = {
+        in: [{ txid: 'tx-confirmed', amount: 300000000000, confirmations: 12 }],
+        pool: [{ txid: 'tx-pool', amount: 200000000000, confirmations: 0 }]
+      };
+      const backend = new MoneroWalletRpcBackend({ url: walletUrl });
+
+      const notification = await backend.getPaymentNotification({ orderId: 'order123', subaddressIndex: 4, expectedAmount: 0.5 });
+
+      expect(wallet.requests[0].params).toEqual({ in: true, pool: true, account_index: 0, subaddr_indices: [4] });
+      expect(notification).toEqual({
+        id: null,
+        order_id: 'order123',
+        status: 'paid',
+        confirmations: 0,
+        paid_amount: 0.5,
+        total_amount: 0.5,
+        transaction_hash: 'tx-confirmed'
+      });
+    });
+
+    it('should report underpaid, unpaid and expired subaddresses', async () => {
+      const backend = new MoneroWalletRpcBackend({ url: walletUrl });
+      const expired = new Date(Date.now() - 60000);
+
+      expect((await backend.getPaymentNotification({ subaddressIndex: 1, expectedAmount: 0.5 })).status).toBe('unpaid');
+      expect((await backend.getPaymentNotification({ subaddressIndex: 1, expectedAmount: 0.5, expirationTime: expired })).status)
+        .toBe('expired');
+
+      wallet.transfers = { in: [{ txid: 'tx-1', amount: 100000000000, confirmations: 3 }] };
+      expect((await backend.getPaymentNotification({ subaddressIndex: 1, expectedAmount: 0.5, expirationTime: expired })).status)
+        .toBe('underpaid');
+    });
+  });
+
+  describe('moneroService wallet_rpc backend', () => {
+    const mockGateway = (config) => {
+      PaymentGateway.findOne.mockReturnValue({
+        sort: vi.fn().mockResolvedValue({ _id: 'gateway123', config })
+      });
+    };
+
+    beforeEach(() => {
+      vi.clearAllMocks();
+      moneroService.gatewayCache = { gateway: null, timestamp: null };
+    });
+
+    it('should create payment requests as wallet subaddresses', async () => {
+      mockGateway({ moneroBackend: 'wallet_rpc', moneroWalletRpcUrl: walletUrl });
+
+      const request = await moneroService.createPaymentRequest({ orderId: 'order123', amount: 0.5, currency: 'XMR' });
+
+      expect(request).toMatchObject({
+        paymentId: null,
+        address: '8Subaddress1',
+        amount: 0.5,
+        currency: 'XMR',
+        paymentUrl: null,
+        status: 'unpaid',
+        backend: 'wallet_rpc',
+        subaddressIndex: 1
+      });
+      expect(request.expirationTime).toBeInstanceOf(Date);
+    });
+
+    it('should feed wallet transfers through processWebhookNotification', async () => {
+      mockGateway({ moneroBackend: 'wallet_rpc', moneroWalletRpcUrl: walletUrl });
+      wallet.transfers = { in: [{ txid: 'tx-1', amount: 500000000000, confirmations: 10 }] };
+
+      const notification = await moneroService.getWalletPaymentNotification({
+        _id: 'order123',
+        paymentDetails: { moneroSubaddressIndex: 1, xmrAmount: 0.5 }
+      });
+
+      expect(moneroService.processWebhookNotification(notification)).toMatchObject({
+        orderId: 'order123',
+        status: 'confirmed',
+        paidAmount: 0.5,
+        transactionHash: 'tx-1'
+      });
+    });
+
+    it('should keep using GloBee when no backend is configured', async () => {
+      mockGateway({});
+
+      expect(await moneroService.getBackend()).toEqual({ name: 'globee', walletRpc: null });
+    });
+  });
+});
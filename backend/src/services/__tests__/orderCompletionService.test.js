@@ -138,6 +138,12 @@ describe('OrderCompletionService', () => {
       });
     });
 
+    it('should skip guest orders', async () => {
+      await OrderCompletionService.processReferralForOrder(null, 'ORDER-123', 150);
+
+      expect(processReferralQualification).not.toHaveBeenCalled();
+    });
+
     it('should handle no referral qualification result', async () => {
       processReferralQualification.mockResolvedValue(null);
 
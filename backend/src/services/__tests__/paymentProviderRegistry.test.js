@@ -0,0 +1,108 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn(),
+  logPaymentEvent: vi.fn()
+}));
+
+vi.mock('../../models/PaymentGateway.js', () => ({
+  default: {
+    find: vi.fn()
+  }
+}));
+
+import PaymentGateway from '../../models/PaymentGateway.js';
+import { logError } from '../../utils/logger.js';
+import paymentProviderRegistry from '../paymentProviderRegistry.js';
+
+const withGateways = gateways => PaymentGateway.find.mockReturnValue({
+  sort: vi.fn().mockResolvedValue(gateways)
+});
+
+describe('paymentProviderRegistry', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    paymentProviderRegistry.clearCache();
+  });
+
+  it('should offer every adapter with its defaults when no gateways are configured', async () => {
+    withGateways([]);
+
+    const methods = await paymentProviderRegistry.getAvailableMethods();
+
+    expect(methods.map(method => method.type)).toEqual(['paypal', 'bitcoin', 'monero']);
+    expect(methods[0]).toEqual(expect.objectContaining({
+      id: 'paypal',
+      name: 'PayPal',
+      checkout: { flow: 'capture' },
+      enabled: true
+    }));
+    expect(methods[1].instructions.length).toBeGreaterThan(0);
+  });
+
+  it('should register configured gateways in display order and leave out disabled ones', async () => {
+    withGateways([
+      { provider: 'monero', name: 'Monero (XMR)', isEnabled: true, customerMessage: 'Private payments' },
+      { provider: 'paypal', name: 'PayPal', isEnabled: false }
+    ]);
+
+    const methods = await paymentProviderRegistry.getAvailableMethods();
+
+    expect(methods.map(method => method.type)).toEqual(['monero', 'bitcoin']);
+    expect(methods[0]).toEqual(expect.objectContaining({
+      name: 'Monero (XMR)',
+      description: 'Private payments'
+    }));
+  });
+
+  it('should reject a method that is disabled or unknown', async () => {
+    withGateways([{ provider: 'bitcoin', name: 'Bitcoin', isEnabled: false }]);
+
+    await expect(paymentProviderRegistry.getProvider('bitcoin')).rejects.toMatchObject({
+      message: 'Payment method bitcoin is not available',
+      statusCode: 400
+    });
+    await expect(paymentProviderRegistry.getProvider('cheque')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should cache providers until the cache is cleared', async () => {
+    withGateways([]);
+
+    await paymentProviderRegistry.getProviders();
+    await paymentProviderRegistry.getProviders();
+    expect(PaymentGateway.find).toHaveBeenCalledTimes(1);
+
+    paymentProviderRegistry.clearCache();
+    await paymentProviderRegistry.getProviders();
+    expect(PaymentGateway.find).toHaveBeenCalledTimes(2);
+  });
+
+  it('should fall back to the adapter defaults when gateways cannot be read', async () => {
+    PaymentGateway.find.mockReturnValue({
+      sort: vi.fn().mockRejectedValue(new Error('Database unavailable'))
+    });
+
+    const providers = await paymentProviderRegistry.getProviders();
+
+    expect(providers).toHaveLength(3);
+    expect(logError).toHaveBeenCalledWith(expect.any(Error), { context: 'payment_provider_registry' });
+  });
+
+  it('should reject operations an adapter does not support', async () => {
+    withGateways([]);
+
+    const provider = await paymentProviderRegistry.getProvider('bitcoin');
+
+    expect(provider.supportsRefunds).toBe(false);
+    await expect(provider.refund({})).rejects.toMatchObject({
+      message: 'Bitcoin does not support refunds',
+      statusCode: 400
+    });
+  });
+});
@@ -0,0 +1,316 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn(),
+  logPaymentEvent: vi.fn()
+}));
+
+vi.mock('../../models/Order.js', () => ({
+  default: {
+    find: vi.fn(),
+    updateOne: vi.fn()
+  }
+}));
+
+vi.mock('../../models/PaymentReconciliation.js', () => {
+  const PaymentReconciliation = vi.fn(function(fields) {
+    Object.assign(this, {
+      ordersChecked: 0,
+      discrepancies: [],
+      failures: [],
+      status: 'running',
+      ...fields
+    });
+  });
+  PaymentReconciliation.prototype.save = vi.fn().mockResolvedValue(true);
+  PaymentReconciliation.prototype.getSummary = vi.fn().mockReturnValue({});
+  return { default: PaymentReconciliation };
+});
+
+vi.mock('../../controllers/paymentController.js', () => ({
+  applyBitcoinPaymentUpdate: vi.fn(),
+  applyLightningPaymentUpdate: vi.fn(),
+  applyMoneroPaymentUpdate: vi.fn()
+}));
+
+vi.mock('../orderCompletionService.js', () => ({
+  handleOrderCompletion: vi.fn()
+}));
+
+vi.mock('../cryptoPaymentService.js', () => ({
+  default: {
+    markExpired: vi.fn()
+  }
+}));
+
+vi.mock('../emailService.js', () => ({
+  default: {
+    sendPaymentExpiredEmail: vi.fn()
+  }
+}));
+
+import Order from '../../models/Order.js';
+import paypalService from '../paypalService.js';
+import bitcoinService from '../bitcoinService.js';
+import lightningService from '../lightningService.js';
+import moneroService from '../moneroService.js';
+import cryptoPaymentService from '../cryptoPaymentService.js';
+import emailService from '../emailService.js';
+import { applyBitcoinPaymentUpdate, applyLightningPaymentUpdate, applyMoneroPaymentUpdate } from '../../controllers/paymentController.js';
+import paymentReconciliationService from '../paymentReconciliationService.js';
+
+const createOrder = (type, paymentDetails = {}, overrides = {}) => ({
+  _id: 'order123',
+  orderNumber: 'ORD-1',
+  status: 'pending',
+  paymentStatus: 'awaiting_confirmation',
+  totalAmount: 45,
+  paymentMethod: { type },
+  paymentDetails,
+  releaseStock: vi.fn().mockResolvedValue(true),
+  getCheckoutAmount() {
+    return this.totalAmount - (this.giftCardAmount || 0) - (this.storeCreditAmount || 0);
+  },
+  save: vi.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+const mockOpenOrders = (orders) => {
+  Order.find.mockReturnValue({ sort: vi.fn().mockResolvedValue(orders) });
+};
+
+describe('paymentReconciliationService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.restoreAllMocks();
+    paymentReconciliationService.running = false;
+    Order.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('run', () => {
+    it('should report discrepancies and provider failures for open orders', async () => {
+      const paid = createOrder('paypal', { paypalOrderId: 'PP-1' }, { _id: 'order1', paymentStatus: 'pending' });
+      const failing = createOrder('monero', { globeePaymentId: 'gb-1' }, { _id: 'order2' });
+      mockOpenOrders([paid, failing]);
+      vi.spyOn(paypalService, 'getOrderDetails').mockResolvedValue({
+        status: 'COMPLETED',
+        purchase_units: [{ payments: { captures: [{ id: 'CAP-1', status: 'COMPLETED', amount: { value: '45.00', currency_code: 'GBP' } }] } }]
+      });
+      vi.spyOn(moneroService, 'getPaymentStatus').mockRejectedValue(new Error('Unable to fetch payment status: timeout'));
+
+      const report = await paymentReconciliationService.run({ trigger: 'manual', triggeredBy: 'admin1' });
+
+      expect(Order.find).toHaveBeenCalledWith(expect.objectContaining({
+        paymentStatus: { $in: ['pending', 'awaiting_confirmation', 'underpaid'] }
+      }));
+      expect(report).toMatchObject({ trigger: 'manual', triggeredBy: 'admin1', status: 'completed', ordersChecked: 2 });
+      expect(report.discrepancies).toEqual([expect.objectContaining({
+        orderId: 'order1',
+        type: 'status_updated',
+        previousStatus: 'pending',
+        newStatus: 'completed',
+        providerStatus: 'COMPLETED'
+      })]);
+      expect(report.failures).toEqual([expect.objectContaining({ orderId: 'order2', paymentMethod: 'monero' })]);
+      expect(report.save).toHaveBeenCalled();
+    });
+
+    it('should not start a second run while one is in progress', async () => {
+      paymentReconciliationService.running = true;
+
+      expect(await paymentReconciliationService.run()).toBeNull();
+      expect(Order.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reconcileOrder', () => {
+    it('should complete a PayPal order whose capture webhook was missed', async () => {
+      const order = createOrder('paypal', { paypalOrderId: 'PP-1' }, { paymentStatus: 'pending' });
+      vi.spyOn(paypalService, 'getOrderDetails').mockResolvedValue({
+        status: 'COMPLETED',
+        purchase_units: [{ payments: { captures: [{ id: 'CAP-1', status: 'COMPLETED', amount: { value: '45.00', currency_code: 'GBP' } }] } }]
+      });
+
+      const discrepancy = await paymentReconciliationService.reconcileOrder(order);
+
+      expect(order.paymentStatus).toBe('completed');
+      expect(order.status).toBe('processing');
+      expect(order.paymentDetails.paypalTransactionId).toBe('CAP-1');
+      expect(order.save).toHaveBeenCalled();
+      expect(discrepancy).toMatchObject({ type: 'status_updated', amountReceived: 45, currency: 'GBP' });
+    });
+
+    it('should match a PayPal capture against what was due after gift cards and store credit', async () => {
+      const order = createOrder('paypal', { paypalOrderId: 'PP-1' }, {
+        paymentStatus: 'pending',
+        giftCardAmount: 10,
+        storeCreditAmount: 15
+      });
+      vi.spyOn(paypalService, 'getOrderDetails').mockResolvedValue({
+        status: 'COMPLETED',
+        purchase_units: [{ payments: { captures: [{ id: 'CAP-1', status: 'COMPLETED', amount: { value: '20.00', currency_code: 'GBP' } }] } }]
+      });
+
+      const discrepancy = await paymentReconciliationService.reconcileOrder(order);
+
+      expect(order.paymentStatus).toBe('completed');
+      expect(discrepancy).toMatchObject({ type: 'status_updated', amountExpected: 20, amountReceived: 20 });
+    });
+
+    it('should flag a PayPal capture that does not match the order total', async () => {
+      const order = createOrder('paypal', { paypalOrderId: 'PP-1' }, { paymentStatus: 'pending' });
+      vi.spyOn(paypalService, 'getOrderDetails').mockResolvedValue({
+        status: 'COMPLETED',
+        purchase_units: [{ payments: { captures: [{ id: 'CAP-1', status: 'COMPLETED', amount: { value: '40.00', currency_code: 'GBP' } }] } }]
+      });
+
+      const discrepancy = await paymentReconciliationService.reconcileOrder(order);
+
+      expect(order.paymentStatus).toBe('pending');
+      expect(order.save).not.toHaveBeenCalled();
+      expect(discrepancy).toMatchObject({ type: 'needs_review', amountReceived: 40, note: 'Captured amount does not match the order total' });
+    });
+
+    it('should apply a Blockonomics balance the webhook never reported', async () => {
+      const order = createOrder('bitcoin', {
+        bitcoinAddress: 'bc1qexample',
+        bitcoinAmount: 0.001,
+        bitcoinPaymentExpiry: new Date(Date.now() + 3600000)
+      });
+      vi.spyOn(bitcoinService, 'getBitcoinAddressInfo').mockResolvedValue({ balance: 100000, unconfirmedBalance: 0, txCount: 1 });
+      applyBitcoinPaymentUpdate.mockImplementation((target) => {
+        target.paymentStatus = 'completed';
+        return Promise.resolve(true);
+      });
+
+      const discrepancy = await paymentReconciliationService.reconcileOrder(order);
+
+      expect(applyBitcoinPaymentUpdate).toHaveBeenCalledWith(order, { amountReceived: 0.001, confirmations: 0, confirmed: true });
+      expect(discrepancy).toMatchObject({ type: 'status_updated', newStatus: 'completed', currency: 'BTC' });
+    });
+
+    it('should expire an unpaid Bitcoin order and release its stock', async () => {
+      const order = createOrder('bitcoin', {
+        bitcoinAddress: 'bc1qexample',
+        bitcoinAmount: 0.001,
+        bitcoinBackend: 'xpub',
+        bitcoinPaymentExpiry: new Date(Date.now() - 60000)
+      });
+      vi.spyOn(bitcoinService, 'checkPaymentStatus').mockResolvedValue({ amountReceived: 0, confirmations: 0, txid: null });
+
+      const discrepancy = await paymentReconciliationService.reconcileOrder(order);
+
+      expect(applyBitcoinPaymentUpdate).not.toHaveBeenCalled();
+      expect(order.paymentStatus).toBe('expired');
+      expect(order.status).toBe('cancelled');
+      expect(order.releaseStock).toHaveBeenCalled();
+      expect(cryptoPaymentService.markExpired).toHaveBeenCalledWith(order, 'bitcoin');
+      expect(emailService.sendPaymentExpiredEmail).toHaveBeenCalledWith(order, expect.stringContaining('/orders/order123/retry'));
+      expect(discrepancy).toMatchObject({ type: 'payment_expired', stockReleased: true });
+    });
+
+    it('should not cancel an order again once the unpaid order sweep has', async () => {
+      Order.updateOne.mockResolvedValue({ modifiedCount: 0 });
+      const order = createOrder('bitcoin', {
+        bitcoinAddress: 'bc1qexample',
+        bitcoinAmount: 0.001,
+        bitcoinBackend: 'xpub',
+        bitcoinPaymentExpiry: new Date(Date.now() - 60000)
+      });
+      vi.spyOn(bitcoinService, 'checkPaymentStatus').mockResolvedValue({ amountReceived: 0, confirmations: 0, txid: null });
+
+      const discrepancy = await paymentReconciliationService.reconcileOrder(order);
+
+      expect(order.releaseStock).not.toHaveBeenCalled();
+      expect(emailService.sendPaymentExpiredEmail).not.toHaveBeenCalled();
+      expect(discrepancy).toMatchObject({ type: 'payment_expired', stockReleased: false });
+    });
+
+    it('should leave a paid order waiting on confirmations after its window closes', async () => {
+      const order = createOrder('bitcoin', {
+        bitcoinAddress: 'bc1qexample',
+        bitcoinAmount: 0.001,
+        bitcoinBackend: 'xpub',
+        bitcoinPaymentExpiry: new Date(Date.now() - 60000)
+      });
+      vi.spyOn(bitcoinService, 'checkPaymentStatus').mockResolvedValue({ amountReceived: 0.001, confirmations: 1, txid: 'tx-1' });
+      applyBitcoinPaymentUpdate.mockResolvedValue(false);
+
+      const discrepancy = await paymentReconciliationService.reconcileOrder(order);
+
+      expect(order.releaseStock).not.toHaveBeenCalled();
+      expect(discrepancy).toBeNull();
+    });
+
+    it('should complete a Lightning order whose invoice settled unseen', async () => {
+      const order = createOrder('lightning', {
+        lightningPaymentHash: 'a'.repeat(64),
+        lightningInvoice: 'lnbc450u1pexample',
+        bitcoinAmount: 0.00045,
+        lightningPaymentExpiry: new Date(Date.now() + 3600000)
+      });
+      const invoice = { status: 'settled', amountReceived: 0.00045, settledAt: new Date() };
+      vi.spyOn(lightningService, 'checkInvoice').mockResolvedValue(invoice);
+      applyLightningPaymentUpdate.mockImplementation((target) => {
+        target.paymentStatus = 'completed';
+        return Promise.resolve(true);
+      });
+
+      const discrepancy = await paymentReconciliationService.reconcileOrder(order);
+
+      expect(applyLightningPaymentUpdate).toHaveBeenCalledWith(order, invoice);
+      expect(discrepancy).toMatchObject({ type: 'status_updated', providerStatus: 'settled', newStatus: 'completed', currency: 'BTC' });
+    });
+
+    it('should only expire a Lightning order once its payment window closes', async () => {
+      const details = {
+        lightningPaymentHash: 'a'.repeat(64),
+        lightningInvoice: 'lnbc450u1pexample',
+        bitcoinAmount: 0.00045,
+        lightningPaymentExpiry: new Date(Date.now() + 3600000)
+      };
+      vi.spyOn(lightningService, 'checkInvoice').mockResolvedValue({ status: 'expired', amountReceived: 0 });
+      applyLightningPaymentUpdate.mockResolvedValue(false);
+
+      // A lapsed invoice is replaced on the payment page
+      const open = createOrder('lightning', details);
+      expect(await paymentReconciliationService.reconcileOrder(open)).toBeNull();
+      expect(open.releaseStock).not.toHaveBeenCalled();
+
+      const closed = createOrder('lightning', { ...details, lightningPaymentExpiry: new Date(Date.now() - 60000) });
+      const discrepancy = await paymentReconciliationService.reconcileOrder(closed);
+
+      expect(closed.paymentStatus).toBe('expired');
+      expect(cryptoPaymentService.markExpired).toHaveBeenCalledWith(closed, 'lightning');
+      expect(discrepancy).toMatchObject({ type: 'payment_expired', stockReleased: true });
+    });
+
+    it('should treat a cancelled GloBee request as an expiry', async () => {
+      const order = createOrder('monero', {
+        globeePaymentId: 'gb-1',
+        xmrAmount: 0.3,
+        expirationTime: new Date(Date.now() + 3600000)
+      });
+      vi.spyOn(moneroService, 'getPaymentStatus').mockResolvedValue({ id: 'gb-1', status: 'cancelled', confirmations: 0, paid_amount: 0 });
+
+      const discrepancy = await paymentReconciliationService.reconcileOrder(order);
+
+      expect(applyMoneroPaymentUpdate).not.toHaveBeenCalled();
+      expect(order.paymentStatus).toBe('expired');
+      expect(discrepancy).toMatchObject({ type: 'payment_expired', providerStatus: 'cancelled', currency: 'XMR' });
+    });
+
+    it('should skip crypto orders that never requested a payment', async () => {
+      const order = createOrder('monero', {}, { paymentStatus: 'pending' });
+
+      expect(await paymentReconciliationService.reconcileOrder(order)).toBeNull();
+      expect(order.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,342 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../models/Product.js', () => ({
+  default: {
+    findOne: vi.fn()
+  }
+}));
+
+vi.mock('../../models/ProductAlert.js', () => {
+  const ProductAlert = vi.fn(function(data) {
+    Object.assign(this, data);
+    this.save = vi.fn().mockResolvedValue(this);
+  });
+  ProductAlert.findOne = vi.fn();
+  ProductAlert.find = vi.fn();
+  ProductAlert.updateMany = vi.fn();
+
+  return { default: ProductAlert, PRODUCT_ALERT_TYPES: ['back_in_stock', 'price_drop'] };
+});
+
+vi.mock('../emailService.js', () => ({
+  default: {
+    sendProductAlertConfirmationEmail: vi.fn(),
+    sendBackInStockEmail: vi.fn(),
+    sendPriceDropEmail: vi.fn()
+  }
+}));
+
+import Product from '../../models/Product.js';
+import ProductAlert from '../../models/ProductAlert.js';
+import emailService from '../emailService.js';
+import productAlertService from '../productAlertService.js';
+
+const TOKEN = 'ab'.repeat(32);
+
+const createProduct = (overrides = {}) => ({
+  _id: 'product1',
+  name: 'One-off Custom Build',
+  slug: 'one-off-custom-build',
+  price: 900,
+  salePrice: null,
+  stockQuantity: 0,
+  stockStatus: 'out_of_stock',
+  isActive: true,
+  status: 'active',
+  ...overrides
+});
+
+const createAlert = (overrides = {}) => ({
+  _id: 'alert1',
+  type: 'back_in_stock',
+  email: 'guest@example.com',
+  status: 'active',
+  referencePrice: 900,
+  unsubscribeToken: TOKEN,
+  queuedAt: new Date(),
+  sendAttempts: 0,
+  save: vi.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+const mockQueuedAlerts = (...batches) => {
+  batches.forEach(batch => {
+    ProductAlert.find.mockReturnValueOnce({
+      sort: vi.fn().mockReturnValue({
+        limit: vi.fn().mockReturnValue({ populate: vi.fn().mockResolvedValue(batch) })
+      })
+    });
+  });
+};
+
+describe('productAlertService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    productAlertService.running = false;
+    productAlertService.batchSize = 50;
+    emailService.sendProductAlertConfirmationEmail.mockResolvedValue({ success: true });
+    emailService.sendBackInStockEmail.mockResolvedValue({ success: true });
+    emailService.sendPriceDropEmail.mockResolvedValue({ success: true });
+  });
+
+  describe('subscribe', () => {
+    it('should ask a guest to confirm before the alert is active', async () => {
+      Product.findOne.mockResolvedValue(createProduct());
+      ProductAlert.findOne.mockResolvedValue(null);
+
+      const { alert, requiresConfirmation } = await productAlertService.subscribe('product1', {
+        type: 'back_in_stock',
+        email: ' Guest@Example.com '
+      });
+
+      expect(requiresConfirmation).toBe(true);
+      expect(alert).toMatchObject({ email: 'guest@example.com', status: 'pending', referencePrice: 900 });
+      expect(alert.confirmationTokenHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(alert.unsubscribeToken).toMatch(/^[0-9a-f]{64}$/);
+      expect(alert.save).toHaveBeenCalled();
+
+      const confirmUrl = emailService.sendProductAlertConfirmationEmail.mock.calls[0][2];
+      const token = confirmUrl.split('/').pop();
+      expect(confirmUrl).toContain('/alerts/confirm/');
+      // Only the hash of the emailed token is kept
+      expect(alert.confirmationTokenHash).toBe(productAlertService.hashToken(token));
+    });
+
+    it('should subscribe a signed-in customer straight away with their account email', async () => {
+      Product.findOne.mockResolvedValue(createProduct({ stockQuantity: 3, stockStatus: 'in_stock', price: 850 }));
+      ProductAlert.findOne.mockResolvedValue(null);
+
+      const { alert, requiresConfirmation } = await productAlertService.subscribe('product1', {
+        type: 'price_drop',
+        email: 'ignored@example.com'
+      }, { _id: 'user1', email: 'customer@example.com' });
+
+      expect(requiresConfirmation).toBe(false);
+      expect(alert).toMatchObject({ email: 'customer@example.com', userId: 'user1', status: 'active', referencePrice: 850 });
+      expect(emailService.sendProductAlertConfirmationEmail).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a back-in-stock alert for a product in stock', async () => {
+      Product.findOne.mockResolvedValue(createProduct({ stockQuantity: 2, stockStatus: 'in_stock' }));
+
+      await expect(productAlertService.subscribe('product1', {
+        type: 'back_in_stock',
+        email: 'guest@example.com'
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject an invalid email before looking up the product', async () => {
+      await expect(productAlertService.subscribe('product1', {
+        type: 'price_drop',
+        email: 'not-an-email'
+      })).rejects.toMatchObject({ statusCode: 400 });
+      expect(Product.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should leave an active alert as it is', async () => {
+      const existing = createAlert({ queuedAt: null });
+      Product.findOne.mockResolvedValue(createProduct());
+      ProductAlert.findOne.mockResolvedValue(existing);
+
+      const { alert } = await productAlertService.subscribe('product1', {
+        type: 'back_in_stock',
+        email: 'guest@example.com'
+      });
+
+      expect(alert).toBe(existing);
+      expect(existing.save).not.toHaveBeenCalled();
+      expect(emailService.sendProductAlertConfirmationEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('confirm and unsubscribe', () => {
+    it('should activate a pending alert from its token', async () => {
+      const alert = createAlert({ status: 'pending', confirmationTokenHash: 'hash' });
+      ProductAlert.findOne.mockReturnValue({ populate: vi.fn().mockResolvedValue(alert) });
+
+      await productAlertService.confirm(TOKEN);
+
+      expect(ProductAlert.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        confirmationTokenHash: productAlertService.hashToken(TOKEN),
+        status: 'pending'
+      }));
+      expect(alert.status).toBe('active');
+      expect(alert.confirmationTokenHash).toBeUndefined();
+    });
+
+    it('should not look up malformed tokens', async () => {
+      expect(await productAlertService.confirm('not-a-token')).toBeNull();
+      expect(await productAlertService.unsubscribe('../admin')).toBeNull();
+      expect(ProductAlert.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should unsubscribe and drop any queued send', async () => {
+      const alert = createAlert();
+      ProductAlert.findOne.mockReturnValue({ populate: vi.fn().mockResolvedValue(alert) });
+
+      await productAlertService.unsubscribe(TOKEN);
+
+      expect(ProductAlert.findOne).toHaveBeenCalledWith({ unsubscribeToken: TOKEN });
+      expect(alert).toMatchObject({ status: 'unsubscribed', queuedAt: null });
+    });
+  });
+
+  describe('handleProductChange', () => {
+    beforeEach(() => {
+      ProductAlert.updateMany.mockResolvedValue({ modifiedCount: 2 });
+    });
+
+    it('should queue back-in-stock alerts when a product is restocked', async () => {
+      const queued = await productAlertService.handleProductChange(
+        createProduct(),
+        createProduct({ stockQuantity: 4, stockStatus: 'in_stock' })
+      );
+
+      expect(queued).toEqual({ backInStock: 2, priceDrop: 0 });
+      expect(ProductAlert.updateMany).toHaveBeenCalledTimes(1);
+      expect(ProductAlert.updateMany).toHaveBeenCalledWith(
+        { productId: 'product1', type: 'back_in_stock', status: 'active', queuedAt: null },
+        { $set: { queuedAt: expect.any(Date), sendAttempts: 0 } }
+      );
+    });
+
+    it('should queue price-drop alerts for subscribers who saw a higher price', async () => {
+      const queued = await productAlertService.handleProductChange(
+        createProduct(),
+        createProduct({ price: 800 })
+      );
+
+      expect(queued).toEqual({ backInStock: 0, priceDrop: 2 });
+      expect(ProductAlert.updateMany).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'price_drop', referencePrice: { $gt: 800 } }),
+        expect.any(Object)
+      );
+    });
+
+    it('should queue price-drop alerts when a sale price is set', async () => {
+      const queued = await productAlertService.handleProductChange(
+        createProduct(),
+        createProduct({ salePrice: 800 })
+      );
+
+      expect(queued).toEqual({ backInStock: 0, priceDrop: 2 });
+      expect(ProductAlert.updateMany).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'price_drop', referencePrice: { $gt: 800 } }),
+        expect.any(Object)
+      );
+    });
+
+    it('should not queue price-drop alerts when a sale ends', async () => {
+      const queued = await productAlertService.handleProductChange(
+        createProduct({ salePrice: 800 }),
+        createProduct()
+      );
+
+      expect(queued).toEqual({ backInStock: 0, priceDrop: 0 });
+      expect(ProductAlert.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should queue nothing for other edits or inactive products', async () => {
+      await productAlertService.handleProductChange(createProduct(), createProduct({ name: 'Renamed' }));
+      await productAlertService.handleProductChange(
+        createProduct(),
+        createProduct({ stockQuantity: 4, stockStatus: 'in_stock', isActive: false })
+      );
+
+      expect(ProductAlert.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should not let a failure undo the product change', async () => {
+      ProductAlert.updateMany.mockRejectedValue(new Error('Database unavailable'));
+
+      await expect(productAlertService.handleProductChange(
+        createProduct(),
+        createProduct({ stockQuantity: 4, stockStatus: 'in_stock' })
+      )).resolves.toEqual({ backInStock: 0, priceDrop: 0 });
+    });
+  });
+
+  describe('run', () => {
+    it('should send back-in-stock alerts once', async () => {
+      const alert = createAlert({ productId: createProduct({ stockQuantity: 4, stockStatus: 'in_stock' }) });
+      mockQueuedAlerts([alert]);
+
+      const summary = await productAlertService.run();
+
+      expect(summary).toEqual({ alertsChecked: 1, notificationsSent: 1, skipped: 0, failures: 0 });
+      expect(emailService.sendBackInStockEmail).toHaveBeenCalledWith(
+        alert,
+        alert.productId,
+        expect.stringContaining('/products/one-off-custom-build'),
+        expect.stringContaining(`/alerts/unsubscribe/${TOKEN}`)
+      );
+      expect(alert).toMatchObject({ status: 'notified', queuedAt: null });
+    });
+
+    it('should keep price-drop alerts active at the new price', async () => {
+      const alert = createAlert({ type: 'price_drop', productId: createProduct({ price: 800 }) });
+      mockQueuedAlerts([alert]);
+
+      await productAlertService.run();
+
+      expect(emailService.sendPriceDropEmail).toHaveBeenCalled();
+      expect(alert).toMatchObject({ status: 'active', referencePrice: 800, queuedAt: null });
+    });
+
+    it('should send price-drop alerts at the sale price', async () => {
+      const alert = createAlert({ type: 'price_drop', productId: createProduct({ salePrice: 750 }) });
+      mockQueuedAlerts([alert]);
+
+      await productAlertService.run();
+
+      expect(emailService.sendPriceDropEmail).toHaveBeenCalled();
+      expect(alert).toMatchObject({ status: 'active', referencePrice: 750, queuedAt: null });
+    });
+
+    it('should skip alerts the product no longer warrants', async () => {
+      const alert = createAlert({ productId: createProduct() });
+      mockQueuedAlerts([alert]);
+
+      const summary = await productAlertService.run();
+
+      expect(summary.skipped).toBe(1);
+      expect(emailService.sendBackInStockEmail).not.toHaveBeenCalled();
+      expect(alert).toMatchObject({ status: 'active', queuedAt: null });
+    });
+
+    it('should send in batches and leave failed alerts for the next sweep', async () => {
+      productAlertService.batchSize = 2;
+      const product = createProduct({ stockQuantity: 4, stockStatus: 'in_stock' });
+      const failing = createAlert({ _id: 'alert1', productId: product });
+      const first = [failing, createAlert({ _id: 'alert2', productId: product })];
+      const second = [createAlert({ _id: 'alert3', productId: product })];
+      mockQueuedAlerts(first, second);
+      emailService.sendBackInStockEmail.mockResolvedValueOnce({ success: false, error: 'SES throttled' });
+
+      const summary = await productAlertService.run();
+
+      expect(summary).toEqual({ alertsChecked: 3, notificationsSent: 2, skipped: 0, failures: 1 });
+      expect(ProductAlert.find).toHaveBeenCalledTimes(2);
+      expect(ProductAlert.find).toHaveBeenLastCalledWith(expect.objectContaining({ _id: { $nin: ['alert1'] } }));
+      expect(failing).toMatchObject({ status: 'active', sendAttempts: 1 });
+      expect(failing.queuedAt).not.toBeNull();
+    });
+
+    it('should not start a second sweep while one is running', async () => {
+      productAlertService.running = true;
+
+      expect(await productAlertService.run()).toBeNull();
+      expect(ProductAlert.find).not.toHaveBeenCalled();
+    });
+  });
+});
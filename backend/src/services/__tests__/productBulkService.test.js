@@ -0,0 +1,270 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Category.js', () => ({
+  default: {
+    findOne: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Product.js', () => {
+  const ProductMock = vi.fn().mockImplementation((data) => ({
+    ...data,
+    save: vi.fn().mockResolvedValue(true)
+  }));
+  ProductMock.find = vi.fn();
+  ProductMock.findOne = vi.fn();
+  return { default: ProductMock };
+});
+
+vi.mock('../stockLedgerService.js', () => ({
+  default: {
+    snapshotStock: vi.fn(product => ({ stockQuantity: product.stockQuantity })),
+    recordProductChange: vi.fn().mockResolvedValue([])
+  }
+}));
+
+vi.mock('../productAlertService.js', () => ({
+  default: {
+    snapshot: vi.fn(product => ({ price: product.price, stockQuantity: product.stockQuantity })),
+    handleProductChange: vi.fn()
+  }
+}));
+
+import Product from '../../models/Product.js';
+import productAlertService from '../productAlertService.js';
+import stockLedgerService from '../stockLedgerService.js';
+import Category from '../../models/Category.js';
+import productBulkService from '../productBulkService.js';
+import { parseCsv } from '../../utils/spreadsheet.js';
+
+const CATEGORY_ID = '507f1f77bcf86cd799439011';
+
+const createProduct = (overrides = {}) => ({
+  _id: '507f1f77bcf86cd799439022',
+  sku: 'TB-001',
+  name: 'Mini Toolbox',
+  price: 12.5,
+  stockQuantity: 5,
+  lowStockThreshold: 2,
+  status: 'active',
+  condition: 'new',
+  category: CATEGORY_ID,
+  tags: ['diorama'],
+  longDescription: 'Short',
+  variants: [],
+  hasVariants() {
+    return this.variants.length > 0;
+  },
+  save: vi.fn().mockResolvedValue(true),
+  markModified: vi.fn(),
+  ...overrides
+});
+
+describe('ProductBulkService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    Category.findOne.mockResolvedValue({ _id: CATEGORY_ID, slug: 'props' });
+  });
+
+  describe('exportProducts', () => {
+    it('should export products and their variants in the bulk column layout', async () => {
+      const lean = vi.fn().mockResolvedValue([
+        createProduct({
+          category: { _id: CATEGORY_ID, slug: 'props' },
+          variants: [{ sku: 'TB-001-RED', options: [{ name: 'Colour', value: 'Red' }], stockQuantity: 3 }]
+        })
+      ]);
+      Product.find.mockReturnValue({ sort: () => ({ populate: () => ({ lean }) }) });
+
+      const { content, extension, count } = await productBulkService.exportProducts({ status: 'active' });
+      const rows = await parseCsv(content);
+
+      expect(Product.find).toHaveBeenCalledWith({ status: 'active' });
+      expect(extension).toBe('csv');
+      expect(count).toBe(1);
+      expect(rows[0]).toMatchObject({ sku: 'TB-001', price: '12.5', category: 'props', tags: 'diorama' });
+      expect(rows[1]).toMatchObject({ sku: 'TB-001-RED', parentSku: 'TB-001', name: 'Mini Toolbox (Red)', stockQuantity: '3' });
+    });
+  });
+
+  describe('importProducts', () => {
+    it('should preview price and stock changes without saving', async () => {
+      const product = createProduct();
+      Product.findOne.mockResolvedValue(product);
+
+      const result = await productBulkService.importProducts([
+        { sku: 'tb-001', price: '15', stockQuantity: '20', name: '', longDescription: 'Short' }
+      ]);
+
+      expect(result.dryRun).toBe(true);
+      expect(result.summary.updated).toBe(1);
+      expect(result.items[0]).toEqual({
+        row: 2,
+        sku: 'TB-001',
+        action: 'updated',
+        changes: [
+          { field: 'price', from: 12.5, to: 15 },
+          { field: 'stockQuantity', from: 5, to: 20 }
+        ],
+        errors: []
+      });
+      expect(product.save).not.toHaveBeenCalled();
+      expect(product.price).toBe(12.5);
+    });
+
+    it('should apply changes and refresh stock status on commit', async () => {
+      const product = createProduct();
+      Product.findOne.mockResolvedValue(product);
+
+      await productBulkService.importProducts([{ SKU: 'TB-001', stockQuantity: '0' }], { dryRun: false });
+
+      expect(product.stockQuantity).toBe(0);
+      expect(product.stockStatus).toBe('out_of_stock');
+      expect(product.save).toHaveBeenCalled();
+    });
+
+    it('should record stock changes in the stock ledger as an import', async () => {
+      const product = createProduct();
+      Product.findOne.mockResolvedValue(product);
+
+      await productBulkService.importProducts([{ SKU: 'TB-001', stockQuantity: '2' }], { dryRun: false, userId: 'admin1' });
+
+      expect(stockLedgerService.recordProductChange).toHaveBeenCalledWith(
+        { stockQuantity: 5 },
+        product,
+        { reason: 'import', reference: { kind: 'Import', label: 'Product import' }, userId: 'admin1' }
+      );
+    });
+
+    it('should queue product alerts for the imported price and stock', async () => {
+      const product = createProduct({ stockQuantity: 0 });
+      Product.findOne.mockResolvedValue(product);
+
+      await productBulkService.importProducts([{ SKU: 'TB-001', price: '10', stockQuantity: '3' }], { dryRun: false });
+
+      expect(productAlertService.handleProductChange).toHaveBeenCalledWith(
+        { price: 12.5, stockQuantity: 0 },
+        product
+      );
+      expect(product).toMatchObject({ price: 10, stockQuantity: 3 });
+    });
+
+    it('should report product validator errors per row', async () => {
+      Product.findOne.mockResolvedValue(createProduct());
+
+      const result = await productBulkService.importProducts([
+        { sku: 'TB-001', name: 'ab', price: 'free', status: 'live' }
+      ], { dryRun: false });
+
+      expect(result.summary.invalid).toBe(1);
+      expect(result.items[0].errors).toEqual(expect.arrayContaining([
+        'price: Must be a non-negative number',
+        'status: Must be one of draft, active, archived',
+        'name: Product name must be between 3 and 200 characters'
+      ]));
+    });
+
+    it('should create new products that pass the create validators', async () => {
+      Product.findOne.mockResolvedValue(null);
+
+      const result = await productBulkService.importProducts([{
+        sku: 'TB-002',
+        name: 'Tiny Crate',
+        price: '4.99',
+        stockQuantity: '8',
+        category: 'Props',
+        longDescription: 'A tiny wooden crate for dioramas'
+      }], { dryRun: false });
+
+      expect(result.items[0].action).toBe('created');
+      expect(Product).toHaveBeenCalledWith(expect.objectContaining({
+        sku: 'TB-002',
+        slug: 'tiny-crate',
+        category: CATEGORY_ID,
+        stockQuantity: 8
+      }));
+    });
+
+    it('should require create fields for unknown SKUs', async () => {
+      Product.findOne.mockResolvedValue(null);
+      Category.findOne.mockResolvedValue(null);
+
+      const result = await productBulkService.importProducts([
+        { sku: 'TB-003', price: '4.99', category: 'Nope' }
+      ]);
+
+      expect(result.items[0].action).toBe('invalid');
+      expect(result.items[0].errors).toEqual(expect.arrayContaining([
+        'category: Category "Nope" not found',
+        'name: Product name is required',
+        'description: Product description is required'
+      ]));
+    });
+
+    it('should update variant rows and roll stock up to the product', async () => {
+      const product = createProduct({
+        variants: [
+          { sku: 'TB-001-RED', stockQuantity: 3, isActive: true },
+          { sku: 'TB-001-GREY', stockQuantity: 2, isActive: true }
+        ]
+      });
+      Product.findOne.mockResolvedValue(product);
+
+      const result = await productBulkService.importProducts([
+        { sku: 'TB-001-RED', parentSku: 'TB-001', name: 'Mini Toolbox (Red)', stockQuantity: '10' }
+      ], { dryRun: false });
+
+      expect(result.items[0].changes).toEqual([{ field: 'stockQuantity', from: 3, to: 10 }]);
+      expect(product.variants[0].stockQuantity).toBe(10);
+      expect(product.stockQuantity).toBe(12);
+      expect(product.markModified).toHaveBeenCalledWith('variants');
+    });
+
+    it('should reject product-level stock changes for products with variants', async () => {
+      Product.findOne.mockResolvedValue(createProduct({
+        stockQuantity: 5,
+        variants: [{ sku: 'TB-001-RED', stockQuantity: 5, isActive: true }]
+      }));
+
+      const result = await productBulkService.importProducts([{ sku: 'TB-001', stockQuantity: '9' }]);
+
+      expect(result.items[0].errors).toContain('stockQuantity: Stock for products with variants is set on the variant rows');
+    });
+
+    it('should flag missing and duplicate SKUs', async () => {
+      Product.findOne.mockResolvedValue(createProduct());
+
+      const result = await productBulkService.importProducts([
+        { sku: 'TB-001', price: '12.5' },
+        { sku: '', price: '3' },
+        { sku: 'tb-001', price: '13' }
+      ]);
+
+      expect(result.summary).toEqual({ created: 0, updated: 0, unchanged: 1, invalid: 2, failed: 0 });
+      expect(result.items[2].errors).toEqual(['sku: Duplicate of row 2']);
+    });
+
+    it('should record save failures without stopping the import', async () => {
+      Product.findOne
+        .mockResolvedValueOnce(createProduct({ save: vi.fn().mockRejectedValue(new Error('Write conflict')) }))
+        .mockResolvedValueOnce(createProduct({ sku: 'TB-009' }));
+
+      const result = await productBulkService.importProducts([
+        { sku: 'TB-001', price: '20' },
+        { sku: 'TB-009', price: '20' }
+      ], { dryRun: false });
+
+      expect(result.items[0]).toMatchObject({ action: 'failed', errors: ['Write conflict'] });
+      expect(result.items[1]).toMatchObject({ sku: 'TB-009', action: 'updated' });
+    });
+  });
+});
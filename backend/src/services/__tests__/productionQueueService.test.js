@@ -0,0 +1,143 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../models/Order.js', () => ({
+  default: {
+    aggregate: vi.fn(),
+    findById: vi.fn()
+  }
+}));
+
+import Order from '../../models/Order.js';
+import productionQueueService from '../productionQueueService.js';
+
+const createItem = (overrides = {}) => ({
+  _id: 'item1',
+  productName: 'Painted Bust',
+  availabilityMode: 'made_to_order',
+  producedAt: null,
+  ...overrides
+});
+
+const createOrder = (items, overrides = {}) => ({
+  _id: 'order1',
+  status: 'processing',
+  balanceDue: 0,
+  items: Object.assign(items, { id: vi.fn(id => items.find(item => item._id === id) || null) }),
+  hasOutstandingBalance() {
+    return this.balanceDue > 0 && !this.balancePaidAt;
+  },
+  save: vi.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+describe('productionQueueService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('getQueue', () => {
+    it('should list outstanding made-to-order items on paid orders, soonest first', async () => {
+      const queued = [{ orderNumber: 'ORD-1', productName: 'Painted Bust', quantity: 1 }];
+      Order.aggregate.mockResolvedValue([{ items: queued, total: [{ count: 21 }] }]);
+
+      const result = await productionQueueService.getQueue({ page: 2, limit: 20 });
+
+      const [pipeline] = Order.aggregate.mock.calls[0];
+      expect(pipeline[0].$match).toEqual({
+        status: { $in: ['pending', 'processing'] },
+        paymentStatus: 'completed',
+        items: { $elemMatch: { availabilityMode: 'made_to_order', producedAt: null } }
+      });
+      expect(pipeline[3].$sort).toEqual({ 'items.expectedShipDate': 1, orderDate: 1, _id: 1 });
+      expect(pipeline[4].$facet.items.slice(0, 2)).toEqual([{ $skip: 20 }, { $limit: 20 }]);
+      expect(result).toEqual({
+        items: queued,
+        pagination: { currentPage: 2, totalPages: 2, totalItems: 21, itemsPerPage: 20 }
+      });
+    });
+
+    it('should return an empty queue', async () => {
+      Order.aggregate.mockResolvedValue([{ items: [], total: [] }]);
+
+      const result = await productionQueueService.getQueue();
+
+      expect(result.items).toEqual([]);
+      expect(result.pagination.totalItems).toBe(0);
+    });
+  });
+
+  describe('markItemProduced', () => {
+    it('should take the item off the queue', async () => {
+      const order = createOrder([createItem()]);
+      Order.findById.mockResolvedValue(order);
+
+      const { item } = await productionQueueService.markItemProduced('order1', 'item1');
+
+      expect(item.producedAt).toBeInstanceOf(Date);
+      expect(order.save).toHaveBeenCalled();
+    });
+
+    it('should leave an item already made alone', async () => {
+      const producedAt = new Date('2026-01-05');
+      const order = createOrder([createItem({ producedAt })]);
+      Order.findById.mockResolvedValue(order);
+
+      const { item } = await productionQueueService.markItemProduced('order1', 'item1');
+
+      expect(item.producedAt).toBe(producedAt);
+      expect(order.save).not.toHaveBeenCalled();
+    });
+
+    it('should refuse items that are not made to order', async () => {
+      Order.findById.mockResolvedValue(createOrder([createItem({ availabilityMode: 'stock' })]));
+
+      await expect(productionQueueService.markItemProduced('order1', 'item1'))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should refuse orders that have shipped or been cancelled', async () => {
+      Order.findById.mockResolvedValue(createOrder([createItem()], { status: 'cancelled' }));
+
+      await expect(productionQueueService.markItemProduced('order1', 'item1'))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Items cannot be marked made on a cancelled order' });
+    });
+
+    it('should report a missing order or item', async () => {
+      Order.findById.mockResolvedValueOnce(null);
+      await expect(productionQueueService.markItemProduced('order1', 'item1'))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Order not found' });
+
+      Order.findById.mockResolvedValueOnce(createOrder([createItem()]));
+      await expect(productionQueueService.markItemProduced('order1', 'item2'))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Order item not found' });
+    });
+  });
+
+  describe('recordBalancePayment', () => {
+    it('should record the balance as paid', async () => {
+      const order = createOrder([createItem()], { balanceDue: 120 });
+      Order.findById.mockResolvedValue(order);
+
+      await productionQueueService.recordBalancePayment('order1', { reference: 'BACS 1234' });
+
+      expect(order.balancePaidAt).toBeInstanceOf(Date);
+      expect(order.balancePaymentReference).toBe('BACS 1234');
+      expect(order.hasOutstandingBalance()).toBe(false);
+      expect(order.save).toHaveBeenCalled();
+    });
+
+    it('should refuse orders with no balance to pay', async () => {
+      Order.findById.mockResolvedValue(createOrder([createItem()], { balanceDue: 120, balancePaidAt: new Date() }));
+
+      await expect(productionQueueService.recordBalancePayment('order1'))
+        .rejects.toMatchObject({ statusCode: 400, message: 'This order has no balance to pay' });
+    });
+
+    it('should refuse cancelled orders', async () => {
+      Order.findById.mockResolvedValue(createOrder([createItem()], { balanceDue: 120, status: 'cancelled' }));
+
+      await expect(productionQueueService.recordBalancePayment('order1'))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,233 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../models/StockMovement.js', () => ({
+  default: {
+    insertMany: vi.fn(),
+    recordOrder: vi.fn(),
+    findByProduct: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Product.js', () => ({
+  default: {
+    findById: vi.fn(),
+    findOneAndUpdate: vi.fn(),
+    updateOne: vi.fn()
+  }
+}));
+
+vi.mock('../productAlertService.js', () => ({
+  default: {
+    handleProductChange: vi.fn()
+  }
+}));
+
+import StockMovement from '../../models/StockMovement.js';
+import Product from '../../models/Product.js';
+import productAlertService from '../productAlertService.js';
+import stockLedgerService from '../stockLedgerService.js';
+
+const createProduct = (overrides = {}) => ({
+  _id: 'product1',
+  name: 'One-off Custom Build',
+  sku: 'OCB-001',
+  stockQuantity: 4,
+  variants: [],
+  hasVariants() {
+    return this.variants.length > 0;
+  },
+  getVariant(variantId) {
+    return this.variants.find(variant => variant._id === variantId) || null;
+  },
+  ...overrides
+});
+
+describe('stockLedgerService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    StockMovement.insertMany.mockImplementation(docs => Promise.resolve(docs));
+  });
+
+  describe('record', () => {
+    it('should leave out entries that change nothing', async () => {
+      await stockLedgerService.record([
+        { productId: 'product1', reason: 'import', quantity: 0 },
+        { productId: 'product2', reason: 'import', quantity: 3 }
+      ], { session: 'session1' });
+
+      expect(StockMovement.insertMany).toHaveBeenCalledWith(
+        [{ productId: 'product2', reason: 'import', quantity: 3 }],
+        { session: 'session1' }
+      );
+    });
+
+    it('should not write when nothing changed', async () => {
+      const result = await stockLedgerService.record([{ productId: 'product1', quantity: 0 }]);
+
+      expect(result).toEqual([]);
+      expect(StockMovement.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('diffStock', () => {
+    it('should record the opening stock of a new product', () => {
+      expect(stockLedgerService.diffStock(null, createProduct())).toEqual([
+        expect.objectContaining({ productId: 'product1', sku: 'OCB-001', quantity: 4, quantityAfter: 4 })
+      ]);
+    });
+
+    it('should record one movement per variant, including removed variants', () => {
+      const before = createProduct({
+        variants: [
+          { _id: 'red', sku: 'OCB-RED', stockQuantity: 2 },
+          { _id: 'grey', sku: 'OCB-GREY', stockQuantity: 1 },
+          { _id: 'blue', sku: 'OCB-BLUE', stockQuantity: 5 }
+        ]
+      });
+      const after = createProduct({
+        variants: [
+          { _id: 'red', sku: 'OCB-RED', stockQuantity: 3 },
+          { _id: 'grey', sku: 'OCB-GREY', stockQuantity: 1 }
+        ]
+      });
+
+      expect(stockLedgerService.diffStock(before, after)).toEqual([
+        expect.objectContaining({ variantId: 'red', quantity: 1, quantityAfter: 3 }),
+        expect.objectContaining({ variantId: 'grey', quantity: 0 }),
+        expect.objectContaining({ variantId: 'blue', quantity: -5, quantityAfter: 0 })
+      ]);
+    });
+  });
+
+  describe('adjustStock', () => {
+    it('should set the counted level for a stock take', async () => {
+      const product = createProduct();
+      Product.findById.mockResolvedValue(product);
+      Product.findOneAndUpdate.mockResolvedValue({ ...product, stockQuantity: 1 });
+
+      const { movement } = await stockLedgerService.adjustStock('product1', {
+        reason: 'stock_take',
+        countedQuantity: 1,
+        note: 'Shelf count'
+      }, 'admin1');
+
+      expect(Product.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'product1', stockQuantity: 4 },
+        { $inc: { stockQuantity: -3 } },
+        { new: true }
+      );
+      expect(movement).toMatchObject({
+        reason: 'stock_take',
+        quantity: -3,
+        quantityAfter: 1,
+        userId: 'admin1',
+        note: 'Shelf count'
+      });
+    });
+
+    it('should queue back-in-stock alerts for a restock', async () => {
+      const product = createProduct({ stockQuantity: 0, stockStatus: 'out_of_stock' });
+      const restocked = { ...product, stockQuantity: 5 };
+      Product.findById.mockResolvedValue(product);
+      Product.findOneAndUpdate.mockResolvedValue(restocked);
+
+      await stockLedgerService.adjustStock('product1', {
+        reason: 'manual_adjustment',
+        quantity: 5,
+        note: 'Delivery from workshop'
+      }, 'admin1');
+
+      expect(Product.updateOne).toHaveBeenCalledWith({ _id: 'product1' }, { $set: { stockStatus: 'low_stock' } });
+      expect(productAlertService.handleProductChange).toHaveBeenCalledWith(
+        product,
+        expect.objectContaining({ stockQuantity: 5, stockStatus: 'low_stock' })
+      );
+    });
+
+    it('should adjust a variant and the product total together', async () => {
+      const product = createProduct({
+        variants: [{ _id: 'red', sku: 'OCB-RED', stockQuantity: 2, isActive: true }]
+      });
+      Product.findById.mockResolvedValue(product);
+      Product.findOneAndUpdate.mockResolvedValue(product);
+
+      await stockLedgerService.adjustStock('product1', {
+        variantId: 'red',
+        reason: 'manual_adjustment',
+        quantity: 3
+      }, 'admin1');
+
+      expect(Product.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'product1', variants: { $elemMatch: { _id: 'red', stockQuantity: 2 } } },
+        { $inc: { 'variants.$.stockQuantity': 3, stockQuantity: 3 } },
+        { new: true }
+      );
+      expect(StockMovement.insertMany).toHaveBeenCalledWith(
+        [expect.objectContaining({ variantId: 'red', sku: 'OCB-RED', quantity: 3, quantityAfter: 5 })],
+        { session: undefined }
+      );
+    });
+
+    it('should record nothing when a stock take matches', async () => {
+      Product.findById.mockResolvedValue(createProduct());
+
+      const { movement } = await stockLedgerService.adjustStock('product1', {
+        reason: 'stock_take',
+        countedQuantity: 4
+      }, 'admin1');
+
+      expect(movement).toBeNull();
+      expect(Product.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should not take stock below zero', async () => {
+      Product.findById.mockResolvedValue(createProduct());
+
+      await expect(stockLedgerService.adjustStock('product1', {
+        reason: 'manual_adjustment',
+        quantity: -5
+      }, 'admin1')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should refuse the adjustment when stock changed meanwhile', async () => {
+      Product.findById.mockResolvedValue(createProduct());
+      Product.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(stockLedgerService.adjustStock('product1', {
+        reason: 'manual_adjustment',
+        quantity: -1
+      }, 'admin1')).rejects.toMatchObject({ statusCode: 409 });
+      expect(StockMovement.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should require a variant for products sold as variants', async () => {
+      Product.findById.mockResolvedValue(createProduct({
+        variants: [{ _id: 'red', sku: 'OCB-RED', stockQuantity: 2 }]
+      }));
+
+      await expect(stockLedgerService.adjustStock('product1', {
+        reason: 'manual_adjustment',
+        quantity: 1
+      }, 'admin1')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should only accept adjustment reasons', async () => {
+      await expect(stockLedgerService.adjustStock('product1', {
+        reason: 'sale',
+        quantity: -1
+      }, 'admin1')).rejects.toMatchObject({ statusCode: 400 });
+      expect(Product.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getProductHistory', () => {
+    it('should page through the movements', async () => {
+      StockMovement.findByProduct.mockResolvedValue([[{ reason: 'sale', quantity: -1 }], 41]);
+
+      const result = await stockLedgerService.getProductHistory('product1', { page: 2, limit: 20 });
+
+      expect(StockMovement.findByProduct).toHaveBeenCalledWith('product1', { variantId: undefined, page: 2, limit: 20 });
+      expect(result.pagination).toEqual({ currentPage: 2, totalPages: 3, totalItems: 41, itemsPerPage: 20 });
+    });
+  });
+});
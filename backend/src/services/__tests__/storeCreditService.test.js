@@ -0,0 +1,274 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+vi.mock('../../models/User.js', () => ({
+  default: {
+    findById: vi.fn(),
+    findOneAndUpdate: vi.fn(),
+    exists: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Order.js', () => ({
+  default: {
+    updateOne: vi.fn()
+  }
+}));
+
+vi.mock('../../models/StoreCreditTransaction.js', () => ({
+  default: {
+    create: vi.fn(),
+    findByUser: vi.fn()
+  }
+}));
+
+import User from '../../models/User.js';
+import Order from '../../models/Order.js';
+import StoreCreditTransaction from '../../models/StoreCreditTransaction.js';
+import storeCreditService from '../storeCreditService.js';
+
+const withSelect = value => ({ select: vi.fn().mockResolvedValue(value) });
+const withSession = value => ({ session: vi.fn().mockResolvedValue(value) });
+
+describe('storeCreditService', () => {
+  let balance;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    balance = 20;
+    // Applies the update the way MongoDB would, including the balance condition
+    User.findOneAndUpdate.mockImplementation((filter, update) => {
+      const covered = !filter.storeCreditBalance || balance >= filter.storeCreditBalance.$gte;
+      if (covered) {
+        balance += update.$inc.storeCreditBalance;
+      }
+      return withSelect(covered ? { storeCreditBalance: balance } : null);
+    });
+    User.findById.mockImplementation(() => ({
+      select: () => {
+        const query = Promise.resolve({ storeCreditBalance: balance });
+        query.session = () => query;
+        return query;
+      }
+    }));
+    User.exists.mockReturnValue(withSession({ _id: 'user1' }));
+    StoreCreditTransaction.create.mockImplementation(entries => Promise.resolve(entries.map(entry => ({ _id: 'txn1', ...entry }))));
+    Order.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('applyTransaction', () => {
+    it('should change the balance and record it in the ledger', async () => {
+      const transaction = await storeCreditService.applyTransaction('user1', 5.555, { type: 'goodwill' });
+
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'user1' },
+        { $inc: { storeCreditBalance: 5.56 } },
+        { new: true, session: null }
+      );
+      expect(transaction).toEqual(expect.objectContaining({
+        userId: 'user1',
+        type: 'goodwill',
+        amount: 5.56,
+        balanceAfter: 25.56
+      }));
+    });
+
+    it('should only spend credit the balance covers', async () => {
+      await expect(storeCreditService.applyTransaction('user1', -25, { type: 'order_payment' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(balance).toBe(20);
+      expect(StoreCreditTransaction.create).not.toHaveBeenCalled();
+    });
+
+    it('should report an unknown customer', async () => {
+      User.findOneAndUpdate.mockReturnValue(withSelect(null));
+
+      await expect(storeCreditService.applyTransaction('missing', 5, { type: 'goodwill' }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('spend', () => {
+    it('should spend up to the balance on an order', async () => {
+      const spent = await storeCreditService.spend('user1', 45, { orderId: 'order1' });
+
+      expect(spent).toBe(20);
+      expect(balance).toBe(0);
+      expect(StoreCreditTransaction.create).toHaveBeenCalledWith([expect.objectContaining({
+        type: 'order_payment',
+        amount: -20,
+        balanceAfter: 0,
+        reference: { kind: 'Order', id: 'order1' }
+      })], { session: null });
+    });
+
+    it('should only spend what the order needs', async () => {
+      const spent = await storeCreditService.spend('user1', 12.5, { orderId: 'order1' });
+
+      expect(spent).toBe(12.5);
+      expect(balance).toBe(7.5);
+    });
+
+    it('should refuse a customer with no credit', async () => {
+      balance = 0;
+
+      await expect(storeCreditService.spend('user1', 10, { orderId: 'order1' }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'You have no store credit to spend' });
+    });
+  });
+
+  describe('restoreForOrder', () => {
+    const createOrder = (overrides = {}) => ({
+      _id: 'order1',
+      orderNumber: 'ORD-1',
+      userId: 'user1',
+      storeCreditAmount: 15,
+      storeCreditRestoredAt: null,
+      ...overrides
+    });
+
+    it('should put the credit an order spent back in the wallet', async () => {
+      const order = createOrder();
+
+      const restored = await storeCreditService.restoreForOrder(order, { userId: 'user1' });
+
+      expect(restored).toBe(15);
+      expect(balance).toBe(35);
+      expect(order.storeCreditRestoredAt).toBeInstanceOf(Date);
+      expect(StoreCreditTransaction.create).toHaveBeenCalledWith([expect.objectContaining({
+        type: 'order_refund',
+        amount: 15,
+        reference: { kind: 'Order', id: 'order1', label: 'ORD-1' }
+      })], { session: null });
+    });
+
+    it('should restore an order only once', async () => {
+      Order.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      const restored = await storeCreditService.restoreForOrder(createOrder());
+
+      expect(restored).toBe(0);
+      expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should skip orders that spent no credit', async () => {
+      expect(await storeCreditService.restoreForOrder(createOrder({ storeCreditAmount: 0 }))).toBe(0);
+      expect(Order.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('creditReward', () => {
+    it('should pay a reward into the wallet and mark it redeemed', async () => {
+      const reward = {
+        _id: 'reward1',
+        userId: 'user1',
+        value: 10,
+        rewardCode: 'REF123',
+        description: '£10.00 store credit for successful referral',
+        status: 'active',
+        usageCount: 0,
+        save: vi.fn().mockResolvedValue(true)
+      };
+
+      await storeCreditService.creditReward(reward);
+
+      expect(balance).toBe(30);
+      expect(StoreCreditTransaction.create).toHaveBeenCalledWith([expect.objectContaining({
+        type: 'referral_reward',
+        amount: 10,
+        reference: { kind: 'Reward', id: 'reward1', label: 'REF123' }
+      })], { session: null });
+      expect(reward).toEqual(expect.objectContaining({ status: 'redeemed', redemptionValue: 10, usageCount: 1 }));
+      expect(reward.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('creditReturn', () => {
+    it('should refund a return to the wallet', async () => {
+      await storeCreditService.creditReturn({
+        _id: 'return1',
+        userId: 'user1',
+        returnRequestNumber: '20260101001',
+        formattedRequestNumber: 'RET-20260101001',
+        totalRefundAmount: 32.5
+      }, 'admin1');
+
+      expect(balance).toBe(52.5);
+      expect(StoreCreditTransaction.create).toHaveBeenCalledWith([expect.objectContaining({
+        type: 'return_refund',
+        amount: 32.5,
+        createdBy: 'admin1',
+        reference: { kind: 'ReturnRequest', id: 'return1', label: 'RET-20260101001' }
+      })], { session: null });
+    });
+
+    it('should refuse a guest return, which has no wallet to credit', async () => {
+      await expect(storeCreditService.creditReturn({
+        _id: 'return1',
+        userId: null,
+        totalRefundAmount: 32.5
+      }, 'admin1')).rejects.toMatchObject({ statusCode: 400 });
+
+      expect(StoreCreditTransaction.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('adminCredit', () => {
+    const admin = { _id: 'admin1' };
+
+    it('should add goodwill credit with a note', async () => {
+      const transaction = await storeCreditService.adminCredit('user1', { amount: '7.50', note: ' Late delivery ' }, admin);
+
+      expect(transaction).toEqual(expect.objectContaining({
+        type: 'goodwill',
+        amount: 7.5,
+        createdBy: 'admin1',
+        note: 'Late delivery'
+      }));
+    });
+
+    it('should require a note', async () => {
+      await expect(storeCreditService.adminCredit('user1', { amount: 5 }, admin))
+        .rejects.toMatchObject({ statusCode: 400, message: 'A note explaining the credit is required' });
+    });
+
+    it('should only allow negative amounts as adjustments', async () => {
+      await expect(storeCreditService.adminCredit('user1', { amount: -5, note: 'Oops' }, admin))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      const transaction = await storeCreditService.adminCredit('user1', { type: 'adjustment', amount: -5, note: 'Duplicate credit' }, admin);
+      expect(transaction.amount).toBe(-5);
+      expect(balance).toBe(15);
+    });
+
+    it('should not adjust the balance below zero', async () => {
+      await expect(storeCreditService.adminCredit('user1', { type: 'adjustment', amount: -50, note: 'Correction' }, admin))
+        .rejects.toMatchObject({ statusCode: 400, message: 'An adjustment cannot take the balance below zero' });
+    });
+  });
+
+  describe('getWallet', () => {
+    it('should return the balance with a page of history', async () => {
+      StoreCreditTransaction.findByUser.mockResolvedValue([[{ _id: 'txn1' }], 21]);
+
+      const wallet = await storeCreditService.getWallet('user1', { page: 2, limit: 20 });
+
+      expect(StoreCreditTransaction.findByUser).toHaveBeenCalledWith('user1', { page: 2, limit: 20, withCreator: false });
+      expect(wallet).toEqual({
+        balance: 20,
+        currency: 'GBP',
+        transactions: [{ _id: 'txn1' }],
+        pagination: { currentPage: 2, totalPages: 2, totalItems: 21, itemsPerPage: 20 }
+      });
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import { vi, describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import crypto from 'crypto';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn()
+}));
+
+import stripeService from '../stripeService.js';
+import { createStripeStandInServer } from '../../test/helpers/stripeStandInServer.js';
+
+const WEBHOOK_SECRET = 'whsec_test';
+
+const sign = (payload, timestamp = Math.floor(Date.now() / 1000), secret = WEBHOOK_SECRET) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+describe('Stripe Service', () => {
+  const standIn = createStripeStandInServer();
+
+  beforeAll(async () => {
+    stripeService.baseURL = await standIn.start();
+  });
+
+  afterAll(async () => {
+    await standIn.stop();
+  });
+
+  beforeEach(() => {
+    standIn.reset();
+    stripeService.secretKey = 'sk_test_standin';
+  });
+
+  describe('Payment Intents', () => {
+    it('should create a card PaymentIntent in minor units', async () => {
+      const paymentIntent = await stripeService.createPaymentIntent(45.5, 'GBP', { orderNumber: 'ORD-1' });
+
+      expect(paymentIntent).toMatchObject({
+        id: 'pi_standin_1',
+        amount: 4550,
+        currency: 'gbp',
+        client_secret: 'pi_standin_1_secret_standin'
+      });
+      expect(standIn.getPaymentIntent('pi_standin_1').metadata).toEqual({ orderNumber: 'ORD-1' });
+      expect(standIn.requests[0].authorization).toBe('Bearer sk_test_standin');
+    });
+
+    it('should fetch a PaymentIntent with its latest charge', async () => {
+      standIn.addPaymentIntent({ id: 'pi_paid', amount: 4500, last4: '3155' });
+
+      const paymentIntent = await stripeService.getPaymentIntent('pi_paid');
+
+      expect(paymentIntent.status).toBe('succeeded');
+      expect(stripeService.getLatestCharge(paymentIntent)).toMatchObject({
+        id: 'ch_pi_paid',
+        payment_method_details: { card: { brand: 'visa', last4: '3155' } }
+      });
+    });
+
+    it('should cancel a PaymentIntent the browser has not confirmed', async () => {
+      standIn.addPaymentIntent({ id: 'pi_open', amount: 4500, status: 'requires_action' });
+
+      const paymentIntent = await stripeService.cancelPaymentIntent('pi_open');
+
+      expect(paymentIntent.status).toBe('canceled');
+      await expect(stripeService.cancelPaymentIntent('pi_open')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should surface Stripe errors with their status code', async () => {
+      await expect(stripeService.getPaymentIntent('pi_missing')).rejects.toMatchObject({
+        message: 'No such payment_intent: \'pi_missing\'',
+        statusCode: 404,
+        code: 'resource_missing'
+      });
+    });
+
+    it('should refuse requests without a secret key', async () => {
+      stripeService.secretKey = undefined;
+
+      await expect(stripeService.getPaymentIntent('pi_paid')).rejects.toMatchObject({
+        message: 'Stripe is not configured',
+        statusCode: 503
+      });
+      expect(standIn.requests).toHaveLength(0);
+    });
+  });
+
+  describe('Refunds', () => {
+    it('should refund part of a payment', async () => {
+      standIn.addPaymentIntent({ id: 'pi_paid', amount: 4500 });
+
+      const refund = await stripeService.refundPayment('pi_paid', 10);
+
+      expect(refund).toMatchObject({ id: 're_standin_1', amount: 1000, status: 'succeeded' });
+    });
+
+    it('should report a refund Stripe refuses', async () => {
+      standIn.addPaymentIntent({ id: 'pi_unpaid', amount: 4500, status: 'requires_payment_method' });
+
+      await expect(stripeService.refundPayment('pi_unpaid')).rejects.toThrow('Failed to process Stripe refund');
+    });
+  });
+
+  describe('Webhook signatures', () => {
+    const payload = JSON.stringify({ id: 'evt_1', type: 'payment_intent.succeeded' });
+
+    it('should accept a payload signed with the endpoint secret', () => {
+      expect(stripeService.verifyWebhookSignature(payload, sign(payload), WEBHOOK_SECRET)).toBe(true);
+    });
+
+    it('should accept a header carrying several signatures', () => {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const header = `${sign(payload, timestamp, 'whsec_old')},v1=${sign(payload, timestamp).split('v1=')[1]}`;
+
+      expect(stripeService.verifyWebhookSignature(payload, header, WEBHOOK_SECRET)).toBe(true);
+    });
+
+    it('should reject a tampered payload or another secret', () => {
+      const header = sign(payload);
+
+      expect(stripeService.verifyWebhookSignature(`${payload} `, header, WEBHOOK_SECRET)).toBe(false);
+      expect(stripeService.verifyWebhookSignature(payload, header, 'whsec_other')).toBe(false);
+    });
+
+    it('should reject a timestamp outside the tolerance', () => {
+      const header = sign(payload, Math.floor(Date.now() / 1000) - 600);
+
+      expect(stripeService.verifyWebhookSignature(payload, header, WEBHOOK_SECRET)).toBe(false);
+    });
+
+    it('should reject a missing or malformed header', () => {
+      expect(stripeService.verifyWebhookSignature(payload, undefined, WEBHOOK_SECRET)).toBe(false);
+      expect(stripeService.verifyWebhookSignature(payload, 'v1=abc', WEBHOOK_SECRET)).toBe(false);
+      expect(stripeService.verifyWebhookSignature(payload, sign(payload), undefined)).toBe(false);
+    });
+  });
+});
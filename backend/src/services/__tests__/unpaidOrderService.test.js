@@ -0,0 +1,189 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn(),
+  logPaymentEvent: vi.fn()
+}));
+
+vi.mock('../../models/Order.js', () => ({
+  default: {
+    find: vi.fn(),
+    updateOne: vi.fn()
+  }
+}));
+
+vi.mock('../../models/Promotion.js', () => ({
+  default: {
+    findById: vi.fn()
+  }
+}));
+
+vi.mock('../cryptoPaymentService.js', () => ({
+  default: {
+    markExpired: vi.fn()
+  }
+}));
+
+vi.mock('../emailService.js', () => ({
+  default: {
+    sendPaymentExpiredEmail: vi.fn()
+  }
+}));
+
+import Order from '../../models/Order.js';
+import Promotion from '../../models/Promotion.js';
+import cryptoPaymentService from '../cryptoPaymentService.js';
+import emailService from '../emailService.js';
+import unpaidOrderService from '../unpaidOrderService.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const createOrder = (type, paymentDetails = {}, overrides = {}) => ({
+  _id: 'order123',
+  orderNumber: 'ORD-1',
+  userId: 'user123',
+  status: 'pending',
+  paymentStatus: 'pending',
+  totalAmount: 45,
+  orderDate: new Date(Date.now() - 2 * HOUR),
+  paymentMethod: { type },
+  paymentDetails,
+  statusHistory: [],
+  releaseStock: vi.fn().mockResolvedValue(true),
+  save: vi.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+const mockUnpaidOrders = (orders) => {
+  Order.find.mockReturnValue({ sort: vi.fn().mockResolvedValue(orders) });
+};
+
+describe('unpaidOrderService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    unpaidOrderService.running = false;
+    Order.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    emailService.sendPaymentExpiredEmail.mockResolvedValue({ success: true });
+  });
+
+  describe('isPaymentExpired', () => {
+    it('should use the Bitcoin and Lightning payment windows', () => {
+      expect(unpaidOrderService.isPaymentExpired(createOrder('bitcoin', { bitcoinPaymentExpiry: new Date(Date.now() - 1000) }))).toBe(true);
+      expect(unpaidOrderService.isPaymentExpired(createOrder('bitcoin', { bitcoinPaymentExpiry: new Date(Date.now() + HOUR) }))).toBe(false);
+      expect(unpaidOrderService.isPaymentExpired(createOrder('lightning', { lightningPaymentExpiry: new Date(Date.now() - 1000) }))).toBe(true);
+    });
+
+    it('should time orders whose payment never started from when they were placed', () => {
+      expect(unpaidOrderService.isPaymentExpired(createOrder('bitcoin'))).toBe(false);
+      expect(unpaidOrderService.isPaymentExpired(createOrder('lightning', {}, { orderDate: new Date(Date.now() - 25 * HOUR) }))).toBe(true);
+    });
+
+    it('should keep a Monero order open until its payment request expires', () => {
+      const placedAt = new Date(Date.now() - 25 * HOUR);
+
+      expect(unpaidOrderService.isPaymentExpired(createOrder('monero', {}, { orderDate: placedAt }))).toBe(true);
+      expect(unpaidOrderService.isPaymentExpired(createOrder('monero', { expirationTime: new Date(Date.now() + HOUR) }, { orderDate: placedAt }))).toBe(false);
+      expect(unpaidOrderService.isPaymentExpired(createOrder('monero'))).toBe(false);
+    });
+  });
+
+  describe('run', () => {
+    it('should cancel expired orders, release their stock and email the customer', async () => {
+      const expired = createOrder('bitcoin', { bitcoinPaymentExpiry: new Date(Date.now() - 1000) }, { paymentStatus: 'awaiting_confirmation' });
+      const open = createOrder('monero', {}, { _id: 'order456' });
+      mockUnpaidOrders([expired, open]);
+
+      const summary = await unpaidOrderService.run();
+
+      expect(Order.find).toHaveBeenCalledWith({
+        status: 'pending',
+        paymentStatus: { $in: ['pending', 'awaiting_confirmation'] },
+        'paymentMethod.type': { $in: ['bitcoin', 'lightning', 'monero'] }
+      });
+      expect(expired.status).toBe('cancelled');
+      expect(expired.paymentStatus).toBe('expired');
+      expect(expired.statusHistory).toEqual([expect.objectContaining({ status: 'cancelled', note: 'Payment window expired' })]);
+      expect(expired.releaseStock).toHaveBeenCalled();
+      expect(expired.save).toHaveBeenCalled();
+      expect(cryptoPaymentService.markExpired).toHaveBeenCalledWith(expired, 'bitcoin');
+      expect(emailService.sendPaymentExpiredEmail).toHaveBeenCalledWith(expired, 'http://localhost:5173/orders/order123/retry');
+      expect(open.save).not.toHaveBeenCalled();
+      expect(summary).toEqual({ ordersChecked: 2, ordersCancelled: 1, failures: 0 });
+    });
+
+    it('should give back the promotion use', async () => {
+      const promotion = { releaseUsage: vi.fn().mockResolvedValue() };
+      Promotion.findById.mockResolvedValue(promotion);
+      mockUnpaidOrders([createOrder('lightning', { lightningPaymentExpiry: new Date(Date.now() - 1000) }, { promotionId: 'promo123' })]);
+
+      await unpaidOrderService.run();
+
+      expect(Promotion.findById).toHaveBeenCalledWith('promo123');
+      expect(promotion.releaseUsage).toHaveBeenCalledWith('user123');
+    });
+
+    it('should leave orders another process has already expired', async () => {
+      Order.updateOne.mockResolvedValue({ modifiedCount: 0 });
+      const order = createOrder('bitcoin', { bitcoinPaymentExpiry: new Date(Date.now() - 1000) });
+      mockUnpaidOrders([order]);
+
+      const summary = await unpaidOrderService.run();
+
+      expect(order.releaseStock).not.toHaveBeenCalled();
+      expect(emailService.sendPaymentExpiredEmail).not.toHaveBeenCalled();
+      expect(summary.ordersCancelled).toBe(0);
+    });
+
+    it('should carry on past an order that fails to cancel', async () => {
+      const failing = createOrder('bitcoin', { bitcoinPaymentExpiry: new Date(Date.now() - 1000) });
+      failing.releaseStock.mockRejectedValue(new Error('write conflict'));
+      const next = createOrder('bitcoin', { bitcoinPaymentExpiry: new Date(Date.now() - 1000) }, { _id: 'order456' });
+      mockUnpaidOrders([failing, next]);
+
+      const summary = await unpaidOrderService.run();
+
+      expect(next.save).toHaveBeenCalled();
+      expect(summary).toMatchObject({ ordersCancelled: 1, failures: 1 });
+    });
+
+    it('should not start a sweep while one is running', async () => {
+      unpaidOrderService.running = true;
+
+      expect(await unpaidOrderService.run()).toBeNull();
+      expect(Order.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelFailedOrder', () => {
+    it('should cancel the order and give back what it took', async () => {
+      const promotion = { releaseUsage: vi.fn().mockResolvedValue() };
+      Promotion.findById.mockResolvedValue(promotion);
+      const order = createOrder('monero', {}, { paymentStatus: 'failed', promotionId: 'promo123' });
+
+      const result = await unpaidOrderService.cancelFailedOrder(order);
+
+      expect(result).toEqual({ cancelled: true, stockReleased: true });
+      expect(order.status).toBe('cancelled');
+      expect(order.statusHistory).toEqual([expect.objectContaining({ status: 'cancelled', note: 'Payment failed' })]);
+      expect(order.releaseStock).toHaveBeenCalled();
+      expect(promotion.releaseUsage).toHaveBeenCalledWith('user123');
+      expect(order.save).not.toHaveBeenCalled();
+    });
+
+    it('should only return the stock of an order that has moved on', async () => {
+      const order = createOrder('monero', {}, { status: 'processing', promotionId: 'promo123' });
+
+      const result = await unpaidOrderService.cancelFailedOrder(order);
+
+      expect(result).toEqual({ cancelled: false, stockReleased: true });
+      expect(order.status).toBe('processing');
+      expect(Promotion.findById).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,236 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  },
+  logError: vi.fn(),
+  logPaymentEvent: vi.fn()
+}));
+
+vi.mock('../../models/WebhookEvent.js', () => ({
+  PROCESSING_TIMEOUT_MS: 10 * 60 * 1000,
+  default: {
+    findOne: vi.fn(),
+    findOneAndUpdate: vi.fn(),
+    create: vi.fn()
+  }
+}));
+
+import WebhookEvent, { PROCESSING_TIMEOUT_MS } from '../../models/WebhookEvent.js';
+import { logError } from '../../utils/logger.js';
+import webhookEventService from '../webhookEventService.js';
+
+const createRequest = (body = { id: 'WH-1', event_type: 'PAYMENT.CAPTURE.COMPLETED' }) => ({
+  body,
+  rawBody: Buffer.from(JSON.stringify(body)),
+  headers: {
+    'content-type': 'application/json',
+    'paypal-transmission-id': 'tx-1',
+    authorization: 'Bearer secret',
+    cookie: 'session=abc'
+  }
+});
+
+const createEvent = (fields = {}) => ({
+  provider: 'paypal',
+  eventId: 'WH-1',
+  status: 'processing',
+  attempts: 1,
+  replays: [],
+  set: vi.fn(function(values) {
+    Object.assign(this, values);
+  }),
+  isProcessingStale: vi.fn(() => false),
+  save: vi.fn().mockResolvedValue(true),
+  ...fields
+});
+
+describe('webhookEventService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('receive', () => {
+    it('should store a new event with its raw body and without credential headers', async () => {
+      WebhookEvent.findOne.mockResolvedValue(null);
+      WebhookEvent.create.mockImplementation(fields => Promise.resolve(createEvent(fields)));
+      const req = createRequest();
+
+      const { event, duplicate } = await webhookEventService.receive({
+        provider: 'paypal',
+        eventId: 'WH-1',
+        eventType: 'PAYMENT.CAPTURE.COMPLETED',
+        req
+      });
+
+      expect(duplicate).toBe(false);
+      expect(WebhookEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+        provider: 'paypal',
+        eventId: 'WH-1',
+        payload: req.body,
+        rawBody: JSON.stringify(req.body),
+        signatureStatus: 'not_checked',
+        status: 'processing',
+        attempts: 1,
+        processingStartedAt: expect.any(Date)
+      }));
+      expect(event.headers).toEqual({ 'content-type': 'application/json', 'paypal-transmission-id': 'tx-1' });
+    });
+
+    it('should report an event already processed as a duplicate', async () => {
+      const existing = createEvent({ status: 'processed' });
+      WebhookEvent.findOne.mockResolvedValue(existing);
+
+      const result = await webhookEventService.receive({ provider: 'paypal', eventId: 'WH-1', req: createRequest() });
+
+      expect(result).toEqual({ event: existing, duplicate: true });
+      expect(WebhookEvent.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(WebhookEvent.create).not.toHaveBeenCalled();
+    });
+
+    it('should process a redelivery of a failed event again', async () => {
+      const existing = createEvent({ status: 'failed', error: 'Order not found', attempts: 1 });
+      const claimed = createEvent({ status: 'processing', attempts: 2 });
+      WebhookEvent.findOne.mockResolvedValue(existing);
+      WebhookEvent.findOneAndUpdate.mockResolvedValue(claimed);
+
+      const result = await webhookEventService.receive({ provider: 'paypal', eventId: 'WH-1', req: createRequest() });
+
+      expect(result).toEqual({ event: claimed, duplicate: false });
+      const [filter, update] = WebhookEvent.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({ provider: 'paypal', eventId: 'WH-1' });
+      expect(filter.$or).toContainEqual({ status: 'failed' });
+      expect(update).toMatchObject({
+        $set: { status: 'processing', processingStartedAt: expect.any(Date) },
+        $unset: { error: 1 },
+        $inc: { attempts: 1 }
+      });
+      expect(existing.save).not.toHaveBeenCalled();
+    });
+
+    it('should report a redelivery of an event still processing as a duplicate', async () => {
+      const existing = createEvent({ status: 'processing' });
+      WebhookEvent.findOne.mockResolvedValue(existing);
+      WebhookEvent.findOneAndUpdate.mockResolvedValue(null);
+
+      const result = await webhookEventService.receive({ provider: 'paypal', eventId: 'WH-1', req: createRequest() });
+
+      expect(result).toEqual({ event: existing, duplicate: true });
+      expect(existing.save).not.toHaveBeenCalled();
+    });
+
+    it('should only reclaim an event abandoned while processing', async () => {
+      const existing = createEvent({ status: 'processing', processingStartedAt: new Date('2024-01-15T10:00:00Z') });
+      const claimed = createEvent({ status: 'processing', attempts: 2 });
+      WebhookEvent.findOne.mockResolvedValue(existing);
+      WebhookEvent.findOneAndUpdate.mockResolvedValue(claimed);
+
+      const result = await webhookEventService.receive({ provider: 'paypal', eventId: 'WH-1', req: createRequest() });
+
+      expect(result).toEqual({ event: claimed, duplicate: false });
+      const [filter] = WebhookEvent.findOneAndUpdate.mock.calls[0];
+      const stale = filter.$or.find(condition => condition.processingStartedAt?.$lt);
+      expect(stale.status).toBe('processing');
+      expect(Date.now() - stale.processingStartedAt.$lt.getTime()).toBeGreaterThanOrEqual(PROCESSING_TIMEOUT_MS);
+    });
+
+    it('should let only one of two racing redeliveries reclaim a failed event', async () => {
+      const existing = createEvent({ status: 'failed' });
+      const claimed = createEvent({ status: 'processing', attempts: 2 });
+      WebhookEvent.findOne.mockResolvedValue(existing);
+      WebhookEvent.findOneAndUpdate.mockResolvedValueOnce(claimed).mockResolvedValueOnce(null);
+
+      const results = await Promise.all([
+        webhookEventService.receive({ provider: 'paypal', eventId: 'WH-1', req: createRequest() }),
+        webhookEventService.receive({ provider: 'paypal', eventId: 'WH-1', req: createRequest() })
+      ]);
+
+      expect(results.map(result => result.duplicate).sort()).toEqual([false, true]);
+    });
+
+    it('should store a delivery with an invalid signature as rejected without its event ID', async () => {
+      WebhookEvent.create.mockImplementation(fields => Promise.resolve(createEvent(fields)));
+
+      const { event } = await webhookEventService.receive({
+        provider: 'btcpay',
+        eventId: 'DEL-1',
+        req: createRequest({ invoiceId: 'INV-1' }),
+        signatureStatus: 'invalid'
+      });
+
+      expect(WebhookEvent.findOne).not.toHaveBeenCalled();
+      expect(event).toMatchObject({ status: 'rejected', signatureStatus: 'invalid', eventId: undefined });
+    });
+
+    it('should treat a concurrent insert of the same event as a duplicate', async () => {
+      WebhookEvent.findOne.mockResolvedValue(null);
+      WebhookEvent.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+      const result = await webhookEventService.receive({ provider: 'paypal', eventId: 'WH-1', req: createRequest() });
+
+      expect(result).toEqual({ event: null, duplicate: true });
+    });
+
+    it('should let processing continue when the event cannot be stored', async () => {
+      WebhookEvent.findOne.mockRejectedValue(new Error('connection lost'));
+
+      const result = await webhookEventService.receive({ provider: 'paypal', eventId: 'WH-1', req: createRequest() });
+
+      expect(result).toEqual({ event: null, duplicate: false });
+      expect(logError).toHaveBeenCalled();
+    });
+  });
+
+  describe('process', () => {
+    it('should record the outcome and order of a processed event', async () => {
+      const event = createEvent();
+
+      await webhookEventService.process(event, () => Promise.resolve({ orderId: 'order123' }));
+
+      expect(event.status).toBe('processed');
+      expect(event.orderId).toBe('order123');
+      expect(event.processedAt).toBeInstanceOf(Date);
+      expect(event.save).toHaveBeenCalled();
+    });
+
+    it('should record the error of a failed event and rethrow it', async () => {
+      const event = createEvent();
+
+      await expect(webhookEventService.process(event, () => Promise.reject(new Error('Order not found'))))
+        .rejects.toThrow('Order not found');
+
+      expect(event.status).toBe('failed');
+      expect(event.error).toBe('Order not found');
+      expect(event.processedAt).toBeUndefined();
+    });
+  });
+
+  describe('replay', () => {
+    it('should re-process the stored payload and record the replay', async () => {
+      const event = createEvent({ status: 'failed', error: 'Order not found', payload: { id: 'WH-1' } });
+      const processor = vi.fn().mockResolvedValue({ orderId: 'order123' });
+
+      await webhookEventService.replay(event, processor, 'admin1');
+
+      expect(processor).toHaveBeenCalledWith({ id: 'WH-1' });
+      expect(event.status).toBe('processed');
+      expect(event.error).toBeUndefined();
+      expect(event.attempts).toBe(2);
+      expect(event.replays).toEqual([expect.objectContaining({ replayedBy: 'admin1', status: 'processed' })]);
+    });
+
+    it('should keep a replay that fails again as failed', async () => {
+      const event = createEvent({ status: 'failed', payload: { id: 'WH-1' } });
+
+      await webhookEventService.replay(event, () => Promise.reject(new Error('Still missing')), 'admin1');
+
+      expect(event.status).toBe('failed');
+      expect(event.error).toBe('Still missing');
+      expect(event.replays[0]).toMatchObject({ status: 'failed', error: 'Still missing' });
+    });
+  });
+});
@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { HDKey } from '@scure/bip32';
+import { bech32 } from '@scure/base';
+import { sha256 } from '@noble/hashes/sha256';
+import { ripemd160 } from '@noble/hashes/ripemd160';
+
+export const BITCOIN_BACKENDS = ['blockonomics', 'xpub', 'btcpay'];
+
+// Version bytes for account-level extended public keys (BIP32 / SLIP-132)
+const EXTENDED_KEY_VERSIONS = {
+  xpub: 0x0488b21e,
+  zpub: 0x04b24746,
+  tpub: 0x043587cf,
+  vpub: 0x045f1cf6
+};
+
+// Human-readable parts for native segwit addresses
+const BECH32_PREFIXES = {
+  mainnet: 'bc',
+  testnet: 'tb',
+  regtest: 'bcrt'
+};
+
+const SATOSHIS_PER_BTC = 100000000;
+
+const trimUrl = url => (url || '').replace(/\/+$/, '');
+
+/**
+ * Derives BIP84 (native segwit) receive addresses from an account xpub and
+ * checks them through an Electrum/Esplora-compatible HTTP API. No private
+ * keys or third-party custody are involved.
+ */
+export class XpubBitcoinBackend {
+  constructor({ extendedPublicKey, esploraUrl, network = 'mainnet' }) {
+    if (!extendedPublicKey || !esploraUrl) {
+      throw new Error('Bitcoin xpub backend requires an extended public key and an Esplora URL');
+    }
+
+    const version = EXTENDED_KEY_VERSIONS[extendedPublicKey.slice(0, 4)];
+    if (!version) {
+      throw new Error('Unsupported extended public key prefix');
+    }
+    if (!BECH32_PREFIXES[network]) {
+      throw new Error(`Unsupported Bitcoin network: ${network}`);
+    }
+
+    this.account = HDKey.fromExtendedKey(extendedPublicKey, { private: 0, public: version });
+    this.esploraUrl = trimUrl(esploraUrl);
+    this.network = network;
+  }
+
+  /**
+   * Address at m/.../0/index on the external (receive) chain
+   */
+  deriveAddress(index) {
+    const child = this.account.deriveChild(0).deriveChild(index);
+    const program = ripemd160(sha256(child.publicKey));
+    return bech32.encode(BECH32_PREFIXES[this.network], [0, ...bech32.toWords(program)]);
+  }
+
+  createPayment({ addressIndex }) {
+    return {
+      bitcoinAddress: this.deriveAddress(addressIndex),
+      bitcoinAddressIndex: addressIndex
+    };
+  }
+
+  async request(path) {
+    const response = await fetch(`${this.esploraUrl}${path}`, {
+      method: 'GET',
+      headers: { 'Accept': 'application/json' },
+      timeout: 10000
+    });
+
+    if (!response.ok) {
+      throw new Error(`Esplora API error: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Total received by the address and the confirmations of the least
+   * confirmed transaction that paid it
+   */
+  async getPaymentStatus({ bitcoinAddress }) {
+    const [transactions, tipHeight] = await Promise.all([
+      this.request(`/address/${bitcoinAddress}/txs`),
+      this.request('/blocks/tip/height')
+    ]);
+
+    let receivedSats = 0;
+    let confirmations = null;
+    let txid = null;
+
+    for (const transaction of transactions) {
+      const paid = transaction.vout
+        .filter(output => output.scriptpubkey_address === bitcoinAddress)
+        .reduce((total, output) => total + output.value, 0);
+      if (paid === 0) {
+        continue;
+      }
+
+      receivedSats += paid;
+      txid = txid || transaction.txid;
+      const txConfirmations = transaction.status?.confirmed
+        ? Number(tipHeight) - transaction.status.block_height + 1
+        : 0;
+      confirmations = confirmations === null ? txConfirmations : Math.min(confirmations, txConfirmations);
+    }
+
+    return {
+      amountReceived: receivedSats / SATOSHIS_PER_BTC,
+      confirmations: confirmations || 0,
+      txid
+    };
+  }
+}
+
+/**
+ * Creates and tracks invoices on a self-hosted BTCPay Server store through
+ * the Greenfield API. BTCPay prices the invoice and decides when it settles.
+ */
+export class BtcpayBitcoinBackend {
+  constructor({ url, storeId, apiKey, webhookSecret }) {
+    if (!url || !storeId || !apiKey) {
+      throw new Error('BTCPay Server backend requires a URL, store ID and API key');
+    }
+
+    this.url = trimUrl(url);
+    this.storeId = storeId;
+    this.apiKey = apiKey;
+    this.webhookSecret = webhookSecret;
+  }
+
+  async request(path, { method = 'GET', body } = {}) {
+    const response = await fetch(`${this.url}/api/v1/stores/${this.storeId}${path}`, {
+      method,
+      headers: {
+        'Authorization': `token ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      timeout: 10000
+    });
+
+    if (!response.ok) {
+      throw new Error(`BTCPay Server API error: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  }
+
+  // BTCPay 1.x names the on-chain method "BTC", 2.x "BTC-CHAIN"
+  async getOnChainPaymentMethod(invoiceId) {
+    const methods = await this.request(`/invoices/${invoiceId}/payment-methods`);
+    const method = methods.find(entry => ['BTC', 'BTC-CHAIN'].includes(entry.paymentMethodId || entry.paymentMethod));
+    if (!method) {
+      throw new Error('BTCPay invoice has no on-chain Bitcoin payment method');
+    }
+    return method;
+  }
+
+  async createPayment({ orderId, amountGbp, expiryMinutes }) {
+    const invoice = await this.request('/invoices', {
+      method: 'POST',
+      body: {
+        amount: amountGbp.toFixed(2),
+        currency: 'GBP',
+        metadata: { orderId: orderId?.toString() },
+        checkout: { expirationMinutes: expiryMinutes }
+      }
+    });
+    const method = await this.getOnChainPaymentMethod(invoice.id);
+
+    return {
+      bitcoinAddress: method.destination,
+      bitcoinAmount: parseFloat(method.amount),
+      bitcoinExchangeRate: parseFloat(method.rate),
+      bitcoinInvoiceId: invoice.id,
+      bitcoinCheckoutUrl: invoice.checkoutLink
+    };
+  }
+
+  async getPaymentStatus({ bitcoinInvoiceId }) {
+    const method = await this.getOnChainPaymentMethod(bitcoinInvoiceId);
+    const payments = (method.payments || []).filter(payment => payment.status !== 'Invalid');
+
+    return {
+      amountReceived: payments.reduce((total, payment) => total + parseFloat(payment.value), 0),
+      confirmations: 0,
+      // Payment ids are "<txid>-<vout>"
+      txid: payments[0]?.id?.split('-')[0] || null,
+      confirmed: payments.length > 0 && payments.every(payment => payment.status === 'Settled')
+    };
+  }
+
+  /**
+   * Check the BTCPay-Sig header ("sha256=<hex HMAC of the raw body>")
+   */
+  verifyWebhookSignature(payload, signature) {
+    if (!this.webhookSecret || !signature) {
+      return false;
+    }
+
+    const expected = crypto.createHmac('sha256', this.webhookSecret).update(payload).digest('hex');
+    const received = signature.startsWith('sha256=') ? signature.slice(7) : signature;
+    if (received.length !== expected.length) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(Buffer.from(received, 'hex'), Buffer.from(expected, 'hex'));
+  }
+}
+
+/**
+ * Build the backend named in the gateway settings. Blockonomics is handled
+ * by bitcoinService itself, so it has no backend object.
+ */
+export const createBitcoinBackend = (name, settings) => {
+  switch (name) {
+  case 'xpub':
+    return new XpubBitcoinBackend({
+      extendedPublicKey: settings.bitcoinExtendedPublicKey,
+      esploraUrl: settings.bitcoinEsploraUrl,
+      network: settings.bitcoinNetwork
+    });
+  case 'btcpay':
+    return new BtcpayBitcoinBackend({
+      url: settings.btcpayUrl,
+      storeId: settings.btcpayStoreId,
+      apiKey: settings.btcpayApiKey,
+      webhookSecret: settings.bitcoinWebhookSecret
+    });
+  default:
+    return null;
+  }
+};
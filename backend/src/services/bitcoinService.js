@@ -1,4 +1,7 @@
+import crypto from 'crypto';
 import fetch from 'node-fetch';
+import PaymentGateway from '../models/PaymentGateway.js';
+import { createBitcoinBackend } from './bitcoinBackends.js';
 import logger, { logError } from '../utils/logger.js';
 
 class BitcoinService {
@@ -6,6 +9,7 @@ class BitcoinService {
     this.coingeckoBaseUrl = 'https://api.coingecko.com/api/v3';
     this.blockonomicsBaseUrl = 'https://www.blockonomics.co/api';
     this.blockonomicsApiKey = process.env.BLOCKONOMICS_API_KEY;
+    this.blockonomicsCallbackSecret = process.env.BLOCKONOMICS_CALLBACK_SECRET;
     
     // Exchange rate validity window (15 minutes)
     this.exchangeRateValidityMs = 15 * 60 * 1000;
@@ -18,6 +22,71 @@ class BitcoinService {
       rate: null,
       timestamp: null
     };
+
+    // Gateway settings are re-read at most once a minute
+    this.gatewayCacheMs = 60 * 1000;
+    this.gatewayCache = {
+      gateway: null,
+      timestamp: null
+    };
+  }
+
+  /**
+   * Load the Bitcoin payment gateway settings (enabled gateway first)
+   */
+  async getGatewaySettings() {
+    const now = Date.now();
+    if (this.gatewayCache.timestamp && now - this.gatewayCache.timestamp < this.gatewayCacheMs) {
+      return this.gatewayCache.gateway;
+    }
+
+    try {
+      const gateway = await PaymentGateway.findOne({ provider: 'bitcoin' }).sort({ isEnabled: -1, displayOrder: 1 });
+      this.gatewayCache = { gateway, timestamp: now };
+      return gateway;
+    } catch (error) {
+      logError(error, { context: 'bitcoin_gateway_settings' });
+      return null;
+    }
+  }
+
+  /**
+   * Resolve a Bitcoin backend from the gateway settings. Defaults to the
+   * configured backend; pass a name to reach the backend an order used.
+   * Secrets may come from the environment instead of the database.
+   */
+  async getBackend(name) {
+    const gateway = await this.getGatewaySettings();
+    const config = gateway?.config || {};
+    const backendName = name || config.bitcoinBackend || 'blockonomics';
+
+    const settings = {
+      bitcoinExtendedPublicKey: config.bitcoinExtendedPublicKey,
+      bitcoinEsploraUrl: config.bitcoinEsploraUrl,
+      bitcoinNetwork: config.bitcoinNetwork,
+      btcpayUrl: config.btcpayUrl,
+      btcpayStoreId: config.btcpayStoreId,
+      btcpayApiKey: process.env.BTCPAY_API_KEY || config.btcpayApiKey,
+      bitcoinWebhookSecret: process.env.BTCPAY_WEBHOOK_SECRET || config.bitcoinWebhookSecret
+    };
+
+    return {
+      name: backendName,
+      gateway,
+      backend: createBitcoinBackend(backendName, settings)
+    };
+  }
+
+  /**
+   * Hand out the next unused xpub address index
+   */
+  async reserveAddressIndex(gateway) {
+    const previous = await PaymentGateway.findByIdAndUpdate(
+      gateway._id,
+      { $inc: { 'config.bitcoinNextAddressIndex': 1 } },
+      { new: false }
+    );
+    return previous.config.bitcoinNextAddressIndex || 0;
   }
 
   /**
@@ -237,21 +306,46 @@ class BitcoinService {
   }
 
   /**
-   * Create Bitcoin payment data for an order
+   * Create Bitcoin payment data for an order using the configured backend.
+   * Orders without bitcoinBackend were created through Blockonomics.
    */
-  async createBitcoinPayment(orderAmount) {
+  async createBitcoinPayment(orderAmount, { orderId } = {}) {
     try {
-      // Generate Bitcoin address
-      const bitcoinAddress = await this.generateBitcoinAddress();
+      const { name, gateway, backend } = await this.getBackend();
+
+      // Set payment expiry (24 hours from now)
+      const paymentExpiry = new Date(Date.now() + this.paymentExpiryMs);
+
+      // BTCPay prices the invoice itself
+      if (name === 'btcpay') {
+        const invoice = await backend.createPayment({
+          orderId,
+          amountGbp: orderAmount,
+          expiryMinutes: this.paymentExpiryMs / 60000
+        });
+        return {
+          ...invoice,
+          bitcoinBackend: name,
+          bitcoinExchangeRateTimestamp: new Date(),
+          bitcoinPaymentExpiry: paymentExpiry
+        };
+      }
+
+      let addressDetails;
+      if (name === 'xpub') {
+        addressDetails = {
+          ...backend.createPayment({ addressIndex: await this.reserveAddressIndex(gateway) }),
+          bitcoinBackend: name
+        };
+      } else {
+        addressDetails = { bitcoinAddress: await this.generateBitcoinAddress() };
+      }
       
       // Get current exchange rate and convert amount
       const { btcAmount, exchangeRate, exchangeRateTimestamp } = await this.convertGbpToBtc(orderAmount);
-      
-      // Set payment expiry (24 hours from now)
-      const paymentExpiry = new Date(Date.now() + this.paymentExpiryMs);
 
       return {
-        bitcoinAddress,
+        ...addressDetails,
         bitcoinAmount: btcAmount,
         bitcoinExchangeRate: exchangeRate,
         bitcoinExchangeRateTimestamp: exchangeRateTimestamp,
@@ -264,6 +358,39 @@ class BitcoinService {
     }
   }
 
+  /**
+   * Look up what an order's address or invoice has received. Returns null
+   * for Blockonomics orders, which are updated by its webhook instead.
+   */
+  async checkPaymentStatus(paymentDetails) {
+    const name = paymentDetails.bitcoinBackend;
+    if (!name || name === 'blockonomics') {
+      return null;
+    }
+
+    try {
+      const { backend } = await this.getBackend(name);
+      return await backend.getPaymentStatus(paymentDetails);
+    } catch (error) {
+      logError(error, { context: 'bitcoin_payment_check', backend: name, address: paymentDetails.bitcoinAddress });
+      throw new Error('Failed to check Bitcoin payment');
+    }
+  }
+
+  /**
+   * Check the secret Blockonomics sends back on the callback URL registered
+   * with it (.../bitcoin/webhook?secret=<secret>)
+   */
+  verifyBlockonomicsCallback(secret) {
+    if (!this.blockonomicsCallbackSecret || typeof secret !== 'string') {
+      return false;
+    }
+
+    const received = Buffer.from(secret);
+    const expected = Buffer.from(this.blockonomicsCallbackSecret);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
   /**
    * Validate Bitcoin payment confirmation requirements
    */
@@ -0,0 +1,389 @@
+import crypto from 'crypto';
+import Cart from '../models/Cart.js';
+import CartRecovery from '../models/CartRecovery.js';
+import Promotion from '../models/Promotion.js';
+import User from '../models/User.js';
+import emailService from './emailService.js';
+import logger, { logError } from '../utils/logger.js';
+
+const DEFAULT_INTERVAL_MINUTES = 30;
+const DEFAULT_IDLE_HOURS = 4;
+const DEFAULT_REMINDER_INTERVAL_HOURS = 24;
+const DEFAULT_DISCOUNT_FROM_REMINDER = 2;
+const DEFAULT_DISCOUNT_VALID_DAYS = 7;
+
+// Never more than this many reminders for one abandoned cart
+const MAX_REMINDERS = 3;
+
+// Carts idle longer than this are left alone, and an order placed this long
+// after the last reminder no longer counts as recovered
+const RECOVERY_WINDOW_DAYS = 14;
+
+const TOKEN_PATTERN = /^[0-9a-f]{64}$/;
+
+const parseNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+/**
+ * Abandoned cart reminders. A scheduled sweep finds carts left idle with an
+ * email to write to (an account, or a guest who gave one at checkout) and
+ * sends up to three reminders, each with a link that restores the cart.
+ * Only customers who opted in to marketing email are written to. Later
+ * reminders can carry a single-use discount code. Each run of reminders is
+ * a CartRecovery, marked recovered when the cart becomes an order.
+ */
+class CartRecoveryService {
+  constructor() {
+    const minutes = parseInt(process.env.CART_RECOVERY_SWEEP_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES;
+    this.intervalMs = minutes * 60 * 1000;
+    this.idleMs = parseNumber(process.env.CART_RECOVERY_IDLE_HOURS, DEFAULT_IDLE_HOURS) * 60 * 60 * 1000;
+    this.reminderIntervalMs = parseNumber(
+      process.env.CART_RECOVERY_REMINDER_INTERVAL_HOURS,
+      DEFAULT_REMINDER_INTERVAL_HOURS
+    ) * 60 * 60 * 1000;
+    this.maxReminders = Math.min(
+      parseInt(process.env.CART_RECOVERY_MAX_REMINDERS, 10) || MAX_REMINDERS,
+      MAX_REMINDERS
+    );
+    // 0 turns the discount off
+    this.discountPercent = Math.min(parseNumber(process.env.CART_RECOVERY_DISCOUNT_PERCENT, 0), 100);
+    this.discountFromReminder = parseInt(process.env.CART_RECOVERY_DISCOUNT_FROM_REMINDER, 10) || DEFAULT_DISCOUNT_FROM_REMINDER;
+    this.discountValidDays = parseNumber(process.env.CART_RECOVERY_DISCOUNT_VALID_DAYS, DEFAULT_DISCOUNT_VALID_DAYS);
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Sweep every intervalMs until stop() is called
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => logError(error, { context: 'cart_recovery_sweep_scheduled' }));
+    }, this.intervalMs);
+    // Never keep the process alive just for the sweep
+    this.timer.unref?.();
+
+    logger.info('Cart recovery sweep scheduled', { intervalMinutes: this.intervalMs / 60000 });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  getRestoreUrl(recovery) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:5173'}/cart/restore/${recovery.token}`;
+  }
+
+  getUnsubscribeUrl(recovery) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:5173'}/cart/reminders/unsubscribe/${recovery.token}`;
+  }
+
+  /**
+   * Who to remind about a cart, and whether they agreed to marketing email
+   * @returns {Promise<{email: string, firstName: string|null, optedIn: boolean}|null>}
+   */
+  async getCartContact(cart) {
+    if (cart.userId) {
+      const user = await User.findById(cart.userId).select('email firstName marketingOptIn isActive accountStatus');
+      if (!user || !user.isActive || user.accountStatus === 'disabled') {
+        return null;
+      }
+
+      return { email: user.email, firstName: user.firstName, optedIn: user.marketingOptIn };
+    }
+
+    if (!cart.contactEmail) {
+      return null;
+    }
+
+    return { email: cart.contactEmail, firstName: null, optedIn: cart.marketingOptIn };
+  }
+
+  /**
+   * Send every reminder that is due
+   * @returns {Promise<Object|null>} - Summary of the sweep, or null if one is already in progress
+   */
+  async run() {
+    if (this.running) {
+      return null;
+    }
+    this.running = true;
+
+    const summary = { cartsChecked: 0, remindersSent: 0, skipped: 0, failures: 0, runsClosed: 0 };
+
+    try {
+      const now = Date.now();
+      const windowStart = new Date(now - RECOVERY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+      const { modifiedCount } = await CartRecovery.updateMany(
+        { status: 'active', lastReminderAt: { $lt: windowStart } },
+        { $set: { status: 'closed' } }
+      );
+      summary.runsClosed = modifiedCount;
+
+      const carts = await Cart.find({
+        'items.0': { $exists: true },
+        lastModified: { $lt: new Date(now - this.idleMs), $gt: windowStart },
+        $or: [{ userId: { $ne: null } }, { contactEmail: { $ne: null } }]
+      }).sort({ lastModified: 1 });
+
+      for (const cart of carts) {
+        summary.cartsChecked += 1;
+        const result = await this.remind(cart);
+        if (result === 'sent') {
+          summary.remindersSent += 1;
+        } else if (result === 'skipped') {
+          summary.skipped += 1;
+        } else {
+          summary.failures += 1;
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    logger.info('Cart recovery sweep completed', summary);
+
+    return summary;
+  }
+
+  /**
+   * Send the next reminder for an idle cart, if one is due
+   * @returns {Promise<'sent'|'skipped'|'failed'>}
+   */
+  async remind(cart) {
+    try {
+      let recovery = await CartRecovery.findOne({ cartId: cart._id, status: 'active' });
+
+      if (recovery && (
+        recovery.remindersSent >= this.maxReminders ||
+        (recovery.lastReminderAt && recovery.lastReminderAt > new Date(Date.now() - this.reminderIntervalMs))
+      )) {
+        return 'skipped';
+      }
+
+      const contact = await this.getCartContact(cart);
+      if (!contact || !contact.optedIn) {
+        return 'skipped';
+      }
+
+      if (!recovery) {
+        recovery = new CartRecovery({
+          cartId: cart._id,
+          userId: cart.userId || null,
+          email: contact.email,
+          token: crypto.randomBytes(32).toString('hex')
+        });
+      }
+
+      const reminderNumber = recovery.remindersSent + 1;
+      recovery.cartValue = cart.totalAmount;
+      recovery.itemCount = cart.totalItems;
+
+      let promotion = null;
+      if (recovery.promotionId) {
+        promotion = await Promotion.findById(recovery.promotionId);
+      } else if (this.discountPercent > 0 && reminderNumber >= this.discountFromReminder) {
+        promotion = await this.createDiscount(recovery);
+        recovery.promotionId = promotion._id;
+        recovery.promotionCode = promotion.code;
+      }
+      await recovery.save();
+
+      const result = await emailService.sendAbandonedCartEmail(recovery, cart, {
+        reminderNumber,
+        firstName: contact.firstName,
+        restoreUrl: this.getRestoreUrl(recovery),
+        unsubscribeUrl: this.getUnsubscribeUrl(recovery),
+        promotion: promotion?.isValid ? promotion : null
+      });
+
+      if (result?.success === false) {
+        throw new Error(result.error || 'Email not sent');
+      }
+
+      recovery.remindersSent = reminderNumber;
+      recovery.lastReminderAt = new Date();
+      await recovery.save();
+
+      return 'sent';
+    } catch (error) {
+      // Retried on the next sweep
+      logError(error, { context: 'cart_recovery_reminder', cartId: cart._id });
+      return 'failed';
+    }
+  }
+
+  /**
+   * A single-use percentage discount for one abandoned cart
+   */
+  createDiscount(recovery) {
+    const now = new Date();
+
+    return Promotion.create({
+      name: `Cart reminder ${recovery._id}`,
+      code: `CART-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      description: 'Single-use discount sent in an abandoned cart reminder',
+      type: 'percentage',
+      value: this.discountPercent,
+      totalUsageLimit: 1,
+      perUserUsageLimit: 1,
+      startDate: now,
+      endDate: new Date(now.getTime() + this.discountValidDays * 24 * 60 * 60 * 1000),
+      status: 'active'
+    });
+  }
+
+  /**
+   * Put an abandoned cart back in front of the customer from the reminder
+   * link, with the reminder's discount applied. A guest's cart is merged into
+   * the account of a signed-in customer; an account's cart needs that
+   * account signed in.
+   * @param {string} token
+   * @param {Object|null} user - the signed-in customer, if any
+   * @returns {Promise<{cart: Object|null, requiresLogin: boolean, promotionCode: string|null}|null>} - null if the link is invalid
+   */
+  async restore(token, user = null) {
+    if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) {
+      return null;
+    }
+
+    const recovery = await CartRecovery.findOne({ token, status: { $in: ['active', 'closed'] } });
+    if (!recovery) {
+      return null;
+    }
+
+    let cart = await Cart.findById(recovery.cartId);
+    if (!cart || cart.items.length === 0) {
+      return { cart: null, requiresLogin: false, promotionCode: null };
+    }
+
+    if (cart.userId && (!user || user._id.toString() !== cart.userId.toString())) {
+      return { cart: null, requiresLogin: true, promotionCode: null };
+    }
+
+    if (!cart.userId && user) {
+      cart = await Cart.mergeGuestCart(user._id, cart.sessionId);
+      recovery.cartId = cart._id;
+      recovery.userId = user._id;
+    }
+
+    let promotionCode = null;
+    if (recovery.promotionId) {
+      const promotion = await Promotion.findById(recovery.promotionId);
+      if (promotion?.isValid && !promotion.hasReachedLimit) {
+        cart.promotionCode = promotion.code;
+        cart.promotionId = promotion._id;
+        await cart.save();
+        promotionCode = promotion.code;
+      }
+    }
+
+    if (!recovery.restoredAt) {
+      recovery.restoredAt = new Date();
+    }
+    await recovery.save();
+
+    return { cart, requiresLogin: false, promotionCode };
+  }
+
+  /**
+   * Stop reminders from the link in any reminder email. This withdraws the
+   * customer's marketing opt-in, so no further runs start either.
+   * @returns {Promise<Object|null>} - The recovery, or null if the link is invalid
+   */
+  async unsubscribe(token) {
+    if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) {
+      return null;
+    }
+
+    const recovery = await CartRecovery.findOne({ token });
+    if (!recovery) {
+      return null;
+    }
+
+    if (recovery.userId) {
+      await User.updateOne({ _id: recovery.userId }, { $set: { marketingOptIn: false } });
+    } else {
+      await Cart.updateOne({ _id: recovery.cartId }, { $set: { marketingOptIn: false } });
+    }
+
+    if (recovery.status === 'active') {
+      recovery.status = 'unsubscribed';
+      recovery.unsubscribedAt = new Date();
+      await recovery.save();
+    }
+
+    return recovery;
+  }
+
+  /**
+   * Close a cart's reminder run when it becomes an order, counting it as
+   * recovered if a reminder had gone out. Never throws, so a failure here
+   * cannot undo the order.
+   * @returns {Promise<Object|null>} - The recovery, if the cart had one
+   */
+  async handleOrderPlaced(cartId, order) {
+    try {
+      const recovery = await CartRecovery.findOne({ cartId, status: 'active' });
+      if (!recovery) {
+        return null;
+      }
+
+      if (recovery.remindersSent > 0) {
+        recovery.status = 'recovered';
+        recovery.recoveredAt = new Date();
+        recovery.orderId = order._id;
+        recovery.recoveredAmount = order.totalAmount;
+        logger.info('Abandoned cart recovered', { recoveryId: recovery._id, orderId: order._id });
+      } else {
+        recovery.status = 'closed';
+      }
+      await recovery.save();
+
+      return recovery;
+    } catch (error) {
+      logError(error, { context: 'cart_recovery_order', cartId, orderId: order?._id });
+      return null;
+    }
+  }
+
+  /**
+   * Recovery rates for reminder runs started in a period
+   */
+  async getReport(start, end) {
+    const [totals, byReminder] = await Promise.all([
+      CartRecovery.summarize(start, end),
+      CartRecovery.summarizeRecoveredByReminder(start, end)
+    ]);
+
+    const summary = totals[0] || {
+      cartsReminded: 0,
+      remindersSent: 0,
+      abandonedValue: 0,
+      linksFollowed: 0,
+      discountsOffered: 0,
+      unsubscribed: 0,
+      recovered: 0,
+      recoveredRevenue: 0
+    };
+    delete summary._id;
+
+    return {
+      ...summary,
+      recoveryRate: summary.cartsReminded > 0
+        ? Math.round(summary.recovered / summary.cartsReminded * 1000) / 10
+        : 0,
+      recoveredByReminder: byReminder.map(({ _id, ...counts }) => ({ reminder: _id, ...counts }))
+    };
+  }
+}
+
+export default new CartRecoveryService();
@@ -0,0 +1,366 @@
+import CommissionRequest, { COMMISSION_STATUSES, QUOTABLE_STATUSES } from '../models/CommissionRequest.js';
+import Product from '../models/Product.js';
+import Cart from '../models/Cart.js';
+import emailService from './emailService.js';
+import { logError } from '../utils/logger.js';
+
+const statusError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Statuses a customer can still withdraw from
+const CANCELLABLE_STATUSES = ['submitted', 'quoted', 'declined'];
+
+const requireText = (value, field, maxLength) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw statusError(`${field} is required`, 400);
+  }
+  if (value.trim().length > maxLength) {
+    throw statusError(`${field} cannot exceed ${maxLength} characters`, 400);
+  }
+  return value.trim();
+};
+
+const optionalText = (value, field, maxLength) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  return requireText(value, field, maxLength);
+};
+
+// Uploaded images arrive as processed by the image upload middleware
+const toImages = (processedImages = []) => processedImages.map(image => ({
+  url: image.url,
+  thumbnailUrl: image.thumbnailUrl,
+  originalName: image.originalName
+}));
+
+/**
+ * Custom commission requests. A customer sends a brief with reference
+ * images; admins reply in the request's message thread and price it with a
+ * quote. Accepting the quote turns the commission into a one-off product
+ * only that customer can buy, added to their cart to pay for through the
+ * normal checkout.
+ */
+class CommissionService {
+  getCommissionUrl(request) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:5173'}/commissions/${request._id}`;
+  }
+
+  getAdminCommissionUrl(request) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:5173'}/admin/commissions/${request._id}`;
+  }
+
+  /**
+   * Submit a new commission request
+   * @throws {Error} - statusCode 400 when the brief is incomplete
+   */
+  async submit(user, { title, brief, budget, images } = {}) {
+    const fields = {
+      title: requireText(title, 'Title', 120),
+      brief: requireText(brief, 'Brief', 5000)
+    };
+
+    if (budget !== undefined && budget !== null && budget !== '') {
+      const amount = Number(budget);
+      if (!Number.isFinite(amount) || amount < 0) {
+        throw statusError('Budget must be a positive amount', 400);
+      }
+      fields.budget = amount;
+    }
+
+    const request = await CommissionRequest.create({
+      ...fields,
+      userId: user._id,
+      customerEmail: user.email,
+      customerName: [user.firstName, user.lastName].filter(Boolean).join(' '),
+      referenceImages: toImages(images)
+    });
+
+    await emailService.sendNewCommissionRequestEmail(request, this.getAdminCommissionUrl(request));
+
+    return request;
+  }
+
+  /**
+   * Page through a customer's requests, newest first, without their threads
+   */
+  async getUserRequests(userId, { page = 1, limit = 10 } = {}) {
+    const filter = { userId };
+    const [requests, total] = await Promise.all([
+      CommissionRequest.find(filter)
+        .select('-messages -statusHistory')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CommissionRequest.countDocuments(filter)
+    ]);
+
+    return { requests, pagination: this.paginate(page, limit, total) };
+  }
+
+  /**
+   * Get one of a customer's requests
+   * @throws {Error} - statusCode 404 when it is not theirs
+   */
+  async getUserRequest(userId, requestId) {
+    const request = await CommissionRequest.findOne({ _id: requestId, userId });
+    if (!request) {
+      throw statusError('Commission request not found', 404);
+    }
+    return request;
+  }
+
+  /**
+   * Page through all requests for admins, optionally by status
+   */
+  async getRequests({ status, page = 1, limit = 20 } = {}) {
+    const filter = COMMISSION_STATUSES.includes(status) ? { status } : {};
+    const [requests, total] = await Promise.all([
+      CommissionRequest.find(filter)
+        .select('-messages -statusHistory')
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CommissionRequest.countDocuments(filter)
+    ]);
+
+    return { requests, pagination: this.paginate(page, limit, total) };
+  }
+
+  /**
+   * Get any request for admins
+   * @throws {Error} - statusCode 404
+   */
+  async getRequest(requestId) {
+    const request = await CommissionRequest.findById(requestId);
+    if (!request) {
+      throw statusError('Commission request not found', 404);
+    }
+    return request;
+  }
+
+  /**
+   * Add a customer's message to their request's thread
+   * @throws {Error} - statusCode 404 or 400
+   */
+  async addCustomerMessage(userId, requestId, { body, images } = {}) {
+    const request = await this.getUserRequest(userId, requestId);
+    const message = this.addMessage(request, 'customer', userId, body, images);
+    await request.save();
+    return { request, message };
+  }
+
+  /**
+   * Reply to a customer on their request's thread, emailing them the reply
+   * @throws {Error} - statusCode 404 or 400
+   */
+  async addAdminMessage(adminUser, requestId, { body, images } = {}) {
+    const request = await this.getRequest(requestId);
+    const message = this.addMessage(request, 'admin', adminUser._id, body, images);
+    await request.save();
+
+    await emailService.sendCommissionReplyEmail(request, message, this.getCommissionUrl(request));
+
+    return { request, message };
+  }
+
+  addMessage(request, author, authorId, body, images) {
+    if (request.isClosed()) {
+      throw statusError('This commission request is closed', 400);
+    }
+    return request.addMessage(author, authorId, requireText(body, 'Message', 2000), toImages(images));
+  }
+
+  /**
+   * Price a request, replacing any earlier quote, and email the customer
+   * @throws {Error} - statusCode 404 or 400
+   */
+  async sendQuote(adminUser, requestId, { price, description, leadTimeDays, validUntil } = {}) {
+    const amount = Number(price);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw statusError('Quoted price must be greater than zero', 400);
+    }
+
+    const quote = {
+      price: Math.round(amount * 100) / 100,
+      description: optionalText(description, 'Quote description', 2000),
+      quotedAt: new Date(),
+      quotedBy: adminUser._id
+    };
+
+    if (leadTimeDays !== undefined && leadTimeDays !== null && leadTimeDays !== '') {
+      const days = Number(leadTimeDays);
+      if (!Number.isInteger(days) || days < 0 || days > 365) {
+        throw statusError('Lead time must be a whole number of days between 0 and 365', 400);
+      }
+      quote.leadTimeDays = days;
+    }
+
+    if (validUntil) {
+      quote.validUntil = new Date(validUntil);
+      if (isNaN(quote.validUntil.getTime()) || quote.validUntil <= quote.quotedAt) {
+        throw statusError('Quote must be valid until a future date', 400);
+      }
+    }
+
+    const request = await this.getRequest(requestId);
+    if (!QUOTABLE_STATUSES.includes(request.status)) {
+      throw statusError(`This commission request has already been ${request.status}`, 400);
+    }
+
+    request.quote = quote;
+    request.setStatus('quoted', `Quoted £${quote.price.toFixed(2)}`);
+    await request.save();
+
+    await emailService.sendCommissionQuoteEmail(request, this.getCommissionUrl(request));
+
+    return request;
+  }
+
+  /**
+   * Turn down a request; the reason, if given, is sent to the customer
+   * @throws {Error} - statusCode 404 or 400
+   */
+  async reject(adminUser, requestId, { reason } = {}) {
+    const note = optionalText(reason, 'Reason', 500);
+    const request = await this.getRequest(requestId);
+
+    if (request.status === 'accepted' || request.isClosed()) {
+      throw statusError(`This commission request has already been ${request.status}`, 400);
+    }
+
+    let message = null;
+    if (note) {
+      message = request.addMessage('admin', adminUser._id, note);
+    }
+    request.setStatus('rejected', note || 'Turned down');
+    await request.save();
+
+    if (message) {
+      await emailService.sendCommissionReplyEmail(request, message, this.getCommissionUrl(request));
+    }
+
+    return request;
+  }
+
+  /**
+   * Decline the quote; the request stays open to be quoted again
+   * @throws {Error} - statusCode 404 or 400
+   */
+  async declineQuote(userId, requestId, { reason } = {}) {
+    const note = optionalText(reason, 'Reason', 500);
+    const request = await this.getUserRequest(userId, requestId);
+
+    if (request.status !== 'quoted') {
+      throw statusError('Only a quoted commission request can be declined', 400);
+    }
+
+    request.setStatus('declined', note || 'Quote declined');
+    await request.save();
+    return request;
+  }
+
+  /**
+   * Withdraw a request before its quote is accepted
+   * @throws {Error} - statusCode 404 or 400
+   */
+  async cancel(userId, requestId) {
+    const request = await this.getUserRequest(userId, requestId);
+
+    if (!CANCELLABLE_STATUSES.includes(request.status)) {
+      throw statusError(`This commission request has already been ${request.status}`, 400);
+    }
+
+    request.setStatus('cancelled', 'Cancelled by customer');
+    await request.save();
+    return request;
+  }
+
+  /**
+   * Accept the quote: make the commission a one-off product only this
+   * customer can buy, and put it in their cart
+   * @returns {Promise<{request: Object, product: Object, addedToCart: boolean}>}
+   * @throws {Error} - statusCode 404 or 400
+   */
+  async acceptQuote(userId, requestId) {
+    const request = await this.getUserRequest(userId, requestId);
+
+    if (request.status !== 'quoted') {
+      throw statusError('Only a quoted commission request can be accepted', 400);
+    }
+    if (request.isQuoteExpired()) {
+      throw statusError('This quote has expired. Send us a message for a new one', 400);
+    }
+
+    // Claim the request before making its product, so a quote accepted
+    // twice at once makes one; the other finds it no longer quoted
+    const acceptedAt = new Date();
+    const accepted = await CommissionRequest.findOneAndUpdate(
+      { _id: request._id, status: 'quoted' },
+      {
+        $set: { status: 'accepted', acceptedAt },
+        $push: { statusHistory: { status: 'accepted', timestamp: acceptedAt, note: 'Quote accepted' } }
+      },
+      { new: true }
+    );
+    if (!accepted) {
+      throw statusError('Only a quoted commission request can be accepted', 400);
+    }
+
+    // One of a kind, so there is a single unit to sell
+    let product;
+    try {
+      product = await Product.create({
+        name: accepted.title,
+        slug: accepted.requestNumber.toLowerCase(),
+        sku: accepted.requestNumber,
+        shortDescription: `Custom commission ${accepted.requestNumber}`,
+        longDescription: (accepted.quote.description || accepted.brief).slice(0, 2000),
+        price: accepted.quote.price,
+        stockQuantity: 1,
+        lowStockThreshold: 0,
+        images: accepted.referenceImages.map(image => image.url),
+        status: 'active',
+        isActive: true,
+        privateFor: accepted.userId
+      });
+    } catch (error) {
+      // Put the quote back so it can be accepted again
+      await CommissionRequest.updateOne(
+        { _id: accepted._id, status: 'accepted' },
+        {
+          $set: { status: 'quoted' },
+          $unset: { acceptedAt: 1 },
+          $pull: { statusHistory: { status: 'accepted', timestamp: acceptedAt } }
+        }
+      );
+      throw error;
+    }
+
+    accepted.productId = product._id;
+    await accepted.save();
+
+    // The product is theirs either way; if this fails they can add it from the request
+    let addedToCart = false;
+    try {
+      const cart = await Cart.findByUserId(userId) || new Cart({ userId });
+      cart.addItem(product, 1);
+      await cart.save();
+      addedToCart = true;
+    } catch (error) {
+      logError(error, { context: 'commission_add_to_cart', commissionId: accepted._id });
+    }
+
+    return { request: accepted, product, addedToCart };
+  }
+
+  paginate(page, limit, total) {
+    return {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: limit
+    };
+  }
+}
+
+export default new CommissionService();
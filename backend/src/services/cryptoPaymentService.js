@@ -0,0 +1,276 @@
+import Payment from '../models/Payment.js';
+import { getAmountDue } from './paymentProviders/index.js';
+import { logError, logPaymentEvent } from '../utils/logger.js';
+
+// Shortfall or excess ignored when matching a payment to its quote
+const PAYMENT_TOLERANCE_PERCENT = 1;
+
+const METHOD_FIELDS = {
+  bitcoin: { currency: 'BTC', address: 'bitcoinAddress', amount: 'bitcoinAmount' },
+  // A Lightning invoice is identified by its payment hash
+  lightning: { currency: 'BTC', address: 'lightningPaymentHash', amount: 'bitcoinAmount' },
+  monero: { currency: 'XMR', address: 'moneroAddress', amount: 'xmrAmount' }
+};
+
+/**
+ * Rate-locked crypto payments. Each Bitcoin/Lightning/Monero order gets a Payment
+ * record holding the quote it was priced at; incoming funds are compared
+ * with that quote so shortfalls can be topped up and over- or late payments
+ * are flagged for an admin to refund or accept.
+ */
+class CryptoPaymentService {
+  /**
+   * Store the rate quote for an order's crypto payment
+   * @param {Object} order - Order being paid
+   * @param {Object} quote - { method, address, cryptoAmount, rate, source, expiresAt }
+   * @returns {Promise<Object|null>} - Payment document, or null if it could not be stored
+   */
+  async createQuote(order, { method, address, cryptoAmount, rate, source, expiresAt }) {
+    try {
+      const fields = METHOD_FIELDS[method];
+
+      let payment = await Payment.findOne({ orderId: order._id, paymentMethod: method });
+      if (!payment) {
+        payment = new Payment({
+          paymentId: `PAY-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 5)}`.toUpperCase(),
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          userId: order.userId,
+          customerEmail: order.customerEmail,
+          paymentMethod: method,
+          amount: getAmountDue(order),
+          currency: 'GBP'
+        });
+      }
+
+      payment.set({
+        status: 'pending',
+        [fields.address]: address,
+        [fields.amount]: cryptoAmount,
+        paidAmount: 0,
+        confirmations: 0,
+        transactions: [],
+        resolution: undefined,
+        rateQuote: {
+          fiatAmount: getAmountDue(order),
+          fiatCurrency: 'GBP',
+          cryptoAmount,
+          cryptoCurrency: fields.currency,
+          rate,
+          source,
+          quotedAt: new Date(),
+          expiresAt
+        }
+      });
+
+      await payment.save();
+
+      logPaymentEvent('crypto_rate_quote_created', {
+        orderId: order._id,
+        method,
+        cryptoAmount,
+        rate,
+        source,
+        expiresAt
+      });
+
+      return payment;
+    } catch (error) {
+      logError(error, { context: 'crypto_rate_quote', orderId: order._id, method });
+      return null;
+    }
+  }
+
+  /**
+   * Compare what has been received with a quote
+   * @param {Object} rateQuote - Payment.rateQuote
+   * @param {number} amountReceived - Total received so far
+   * @param {Object} [options] - { newFunds: whether the total just went up, at }
+   * @returns {{outcome: string, amountDue: number, excessAmount: number}}
+   *   outcome is unpaid, underpaid, paid, overpaid or late
+   */
+  evaluatePayment(rateQuote, amountReceived, { newFunds = true, at = new Date() } = {}) {
+    const expected = rateQuote.cryptoAmount;
+    const tolerance = expected * (PAYMENT_TOLERANCE_PERCENT / 100);
+    const amountDue = Math.max(0, expected - amountReceived);
+    const excessAmount = Math.max(0, amountReceived - expected);
+
+    let outcome = 'paid';
+    if (amountReceived <= 0) {
+      outcome = 'unpaid';
+    } else if (newFunds && rateQuote.expiresAt && at > new Date(rateQuote.expiresAt)) {
+      // Funds that arrive after the quote lapsed are not priced at any rate
+      outcome = 'late';
+    } else if (amountReceived < expected - tolerance) {
+      outcome = 'underpaid';
+    } else if (amountReceived > expected + tolerance) {
+      outcome = 'overpaid';
+    }
+
+    return { outcome, amountDue, excessAmount };
+  }
+
+  /**
+   * Record what has arrived for an order against its quote. Backends that
+   * report an address total pass totalReceived; Blockonomics reports one
+   * transaction per callback, passed as transaction. receivedAt is when the
+   * funds arrived, if the backend reports it (a settled Lightning invoice).
+   * @returns {Promise<Object|null>} - { payment, amountReceived, confirmations,
+   *   outcome, amountDue, excessAmount }, or null for orders without a quote
+   */
+  async recordPayment(order, method, { totalReceived, transaction, confirmations = 0, txid, receivedAt } = {}) {
+    try {
+      const payment = await Payment.findOne({ orderId: order._id, paymentMethod: method });
+      if (!payment?.rateQuote?.cryptoAmount) {
+        return null;
+      }
+
+      // Once an admin has settled a late payment the quote no longer applies
+      if (payment.resolution?.reason === 'late_payment' && !payment.hasOpenResolution()) {
+        return null;
+      }
+
+      const previouslyReceived = payment.paidAmount || 0;
+      const seen = payment.transactions.find(entry => entry.txid === (transaction?.txid || txid));
+
+      let amountReceived;
+      if (transaction) {
+        if (seen) {
+          seen.amount = transaction.amount;
+          seen.confirmations = transaction.confirmations || 0;
+        } else {
+          payment.transactions.push({ ...transaction, receivedAt: new Date() });
+        }
+        amountReceived = payment.transactions.reduce((total, entry) => total + entry.amount, 0);
+        confirmations = Math.min(...payment.transactions.map(entry => entry.confirmations || 0));
+      } else {
+        amountReceived = totalReceived || 0;
+        if (txid && !seen && amountReceived > previouslyReceived) {
+          payment.transactions.push({ txid, amount: amountReceived - previouslyReceived, confirmations });
+        }
+      }
+
+      const evaluation = this.evaluatePayment(payment.rateQuote, amountReceived, {
+        newFunds: amountReceived > previouslyReceived,
+        at: receivedAt || new Date()
+      });
+      if (payment.resolution?.reason === 'late_payment') {
+        evaluation.outcome = 'late';
+      }
+
+      payment.paidAmount = amountReceived;
+      payment.confirmations = confirmations;
+      if (txid && !payment.transactionHash) {
+        payment.transactionHash = txid;
+      }
+
+      if (evaluation.outcome === 'underpaid') {
+        payment.status = 'underpaid';
+      } else if (evaluation.outcome === 'paid' || evaluation.outcome === 'overpaid') {
+        payment.status = payment.status === 'completed' ? 'completed' : 'processing';
+      } else if (evaluation.outcome === 'late') {
+        payment.status = 'failed';
+        payment.failureReason = 'Payment received after the rate quote expired';
+      }
+
+      // Keep an open flag's amount current until an admin resolves it; a
+      // late payment is refundable in full
+      const reason = { late: 'late_payment', overpaid: 'overpayment' }[evaluation.outcome];
+      if (reason && (!payment.resolution?.reason || payment.hasOpenResolution())) {
+        const alreadyFlagged = payment.hasOpenResolution();
+        payment.resolution = {
+          reason,
+          status: 'open',
+          excessAmount: reason === 'late_payment' ? amountReceived : evaluation.excessAmount,
+          flaggedAt: payment.resolution?.flaggedAt || new Date()
+        };
+        if (!alreadyFlagged) {
+          logPaymentEvent('crypto_payment_flagged', {
+            orderId: order._id,
+            method,
+            reason,
+            amountReceived,
+            expected: payment.rateQuote.cryptoAmount
+          });
+        }
+      }
+
+      await payment.save();
+
+      return { payment, amountReceived, confirmations, ...evaluation };
+    } catch (error) {
+      logError(error, { context: 'crypto_payment_record', orderId: order._id, method });
+      return null;
+    }
+  }
+
+  /**
+   * Mark an order's quoted crypto payment as completed
+   */
+  async markCompleted(order, method) {
+    try {
+      await Payment.updateOne(
+        { orderId: order._id, paymentMethod: method, status: { $in: ['pending', 'processing', 'underpaid'] } },
+        { $set: { status: 'completed', completedAt: new Date() } }
+      );
+    } catch (error) {
+      logError(error, { context: 'crypto_payment_complete', orderId: order._id, method });
+    }
+  }
+
+  /**
+   * Cancel an order's quoted crypto payment once its window has closed
+   */
+  async markExpired(order, method) {
+    try {
+      await Payment.updateOne(
+        { orderId: order._id, paymentMethod: method, status: { $in: ['pending', 'processing', 'underpaid'] } },
+        { $set: { status: 'cancelled', failureReason: 'Payment window expired' } }
+      );
+    } catch (error) {
+      logError(error, { context: 'crypto_payment_expire', orderId: order._id, method });
+    }
+  }
+
+  /**
+   * Close an over- or late-payment flag. 'refund' records the transaction
+   * the merchant sent back from their wallet; 'accept' keeps the funds.
+   * @param {Object} payment - Payment document with an open resolution
+   * @param {Object} decision - { action, refundTransactionId, note, adminId }
+   * @returns {Promise<Object>} - Saved payment
+   */
+  async resolvePayment(payment, { action, refundTransactionId, note, adminId }) {
+    const { reason, excessAmount } = payment.resolution;
+
+    payment.resolution.status = action === 'refund' ? 'refunded' : 'accepted';
+    payment.resolution.resolvedAt = new Date();
+    payment.resolution.resolvedBy = adminId;
+    payment.resolution.note = note;
+
+    if (action === 'refund') {
+      payment.refundTransactionId = refundTransactionId;
+      payment.refundDate = new Date();
+      payment.refundReason = reason === 'late_payment' ? 'Late crypto payment' : 'Crypto overpayment';
+      if (reason === 'late_payment') {
+        payment.status = 'refunded';
+      }
+    } else if (reason === 'late_payment') {
+      payment.status = 'completed';
+      payment.completedAt = new Date();
+    }
+
+    await payment.save();
+
+    logPaymentEvent('crypto_payment_resolved', {
+      paymentId: payment.paymentId,
+      orderId: payment.orderId,
+      reason,
+      action,
+      excessAmount
+    });
+
+    return payment;
+  }
+}
+
+export default new CryptoPaymentService();
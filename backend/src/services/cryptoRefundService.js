@@ -0,0 +1,235 @@
+import crypto from 'crypto';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import bitcoinService from './bitcoinService.js';
+import moneroService from './moneroService.js';
+import { isValidBitcoinAddress, isValidMoneroAddress } from '../utils/cryptoAddresses.js';
+import { logPaymentEvent } from '../utils/logger.js';
+
+// Currency each crypto method is refunded in; Lightning payments are
+// returned on-chain, as a Lightning refund would need the customer to
+// create an invoice for the exact amount at the time of sending
+const REFUND_CURRENCIES = {
+  bitcoin: 'BTC',
+  lightning: 'BTC',
+  monero: 'XMR'
+};
+
+export const RATE_BASES = ['locked', 'current'];
+
+const DECIMALS = { BTC: 8, XMR: 12 };
+
+const ADDRESS_REQUEST_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Refunds for orders paid in crypto. There is no provider to send the
+ * money back through, so the customer is emailed a link to give and
+ * confirm a refund address, the amount is converted at the rate the store's
+ * policy names, and the admin records the transaction they sent by hand.
+ */
+class CryptoRefundService {
+  constructor() {
+    // Whether refunds are converted at the rate locked when the order was
+    // paid or the rate when the customer confirms their address
+    this.ratePolicy = RATE_BASES.includes(process.env.CRYPTO_REFUND_RATE_POLICY)
+      ? process.env.CRYPTO_REFUND_RATE_POLICY
+      : 'locked';
+  }
+
+  /**
+   * Whether an order is refunded through this workflow
+   */
+  isCryptoOrder(order) {
+    return Boolean(REFUND_CURRENCIES[order.paymentMethod?.type]);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Issue a new address link for a refund entry. Only the token's hash is
+   * stored, so a link cannot be rebuilt from the database.
+   * @returns {string} - Token for the customer's link
+   */
+  issueAddressToken(refundEntry) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+
+    Object.assign(refundEntry.crypto, {
+      addressTokenHash: this.hashToken(token),
+      addressRequestedAt: new Date(now),
+      addressRequestExpires: new Date(now + ADDRESS_REQUEST_EXPIRY_MS)
+    });
+
+    return token;
+  }
+
+  /**
+   * Mark a new refund entry as a crypto refund waiting for an address
+   * @param {Object} order - Order being refunded
+   * @param {Object} refundEntry - refundHistory entry, before it is saved
+   * @param {Object} [options] - { rateBasis } to override the store policy
+   * @returns {string} - Token for the customer's link
+   */
+  openRefund(order, refundEntry, { rateBasis } = {}) {
+    refundEntry.status = 'pending';
+    refundEntry.crypto = {
+      currency: REFUND_CURRENCIES[order.paymentMethod.type],
+      rateBasis: rateBasis || this.ratePolicy
+    };
+
+    return this.issueAddressToken(refundEntry);
+  }
+
+  getAddressUrl(token) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:5173'}/refunds/crypto/${token}`;
+  }
+
+  /**
+   * Find the order and refund entry a customer's link belongs to
+   * @returns {Promise<{order: Object, refund: Object}|null>}
+   */
+  async findByToken(token) {
+    if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) {
+      return null;
+    }
+
+    const addressTokenHash = this.hashToken(token);
+    const order = await Order.findOne({ 'refundHistory.crypto.addressTokenHash': addressTokenHash });
+    const refund = order?.refundHistory.find(entry => entry.crypto?.addressTokenHash === addressTokenHash);
+
+    return refund ? { order, refund } : null;
+  }
+
+  /**
+   * Whether a refund's link can still be used to give an address
+   */
+  isAwaitingAddress(refund) {
+    return !refund.crypto.addressConfirmedAt
+      && refund.status === 'pending'
+      && new Date() < new Date(refund.crypto.addressRequestExpires);
+  }
+
+  /**
+   * Whether an address can receive the refund, on the network the store's
+   * Bitcoin gateway uses
+   */
+  async isValidAddress(currency, address) {
+    if (currency === 'XMR') {
+      return isValidMoneroAddress(address);
+    }
+
+    const gateway = await bitcoinService.getGatewaySettings();
+    return isValidBitcoinAddress(address, gateway?.config?.bitcoinNetwork || 'mainnet');
+  }
+
+  /**
+   * The GBP per BTC/XMR rate the order was paid at. Orders paid before
+   * rate quotes were stored fall back to the rate on the order.
+   */
+  async getLockedRate(order, currency) {
+    const payment = await Payment.findOne({ orderId: order._id, paymentMethod: order.paymentMethod.type });
+    if (payment?.rateQuote?.rate) {
+      return payment.rateQuote.rate;
+    }
+
+    const details = order.paymentDetails || {};
+    if (currency === 'XMR') {
+      // Stored as XMR per GBP
+      return details.exchangeRate ? 1 / details.exchangeRate : null;
+    }
+    return details.bitcoinExchangeRate || null;
+  }
+
+  async getCurrentRate(currency) {
+    if (currency === 'XMR') {
+      const { rate } = await moneroService.getExchangeRate();
+      return 1 / rate;
+    }
+
+    const { rate } = await bitcoinService.getBtcExchangeRate();
+    return rate;
+  }
+
+  /**
+   * Convert a refund to crypto at the rate its basis names. A refund meant
+   * for the locked rate uses the current one when the order has none.
+   * @returns {Promise<{rateBasis: string, exchangeRate: number, cryptoAmount: number}>}
+   */
+  async quoteRefund(order, refund) {
+    const { currency } = refund.crypto;
+    let rateBasis = refund.crypto.rateBasis;
+
+    let exchangeRate = rateBasis === 'locked' ? await this.getLockedRate(order, currency) : null;
+    if (!exchangeRate) {
+      rateBasis = 'current';
+      exchangeRate = await this.getCurrentRate(currency);
+    }
+
+    return {
+      rateBasis,
+      exchangeRate,
+      cryptoAmount: parseFloat((refund.amount / exchangeRate).toFixed(DECIMALS[currency]))
+    };
+  }
+
+  /**
+   * Store the customer's refund address and fix the amount to send
+   */
+  async confirmAddress(order, refund, address) {
+    const quote = await this.quoteRefund(order, refund);
+
+    Object.assign(refund.crypto, quote, {
+      refundAddress: address,
+      addressConfirmedAt: new Date()
+    });
+    await order.save();
+
+    logPaymentEvent('crypto_refund_address_confirmed', {
+      orderId: order._id,
+      refundId: refund.refundId,
+      currency: refund.crypto.currency,
+      cryptoAmount: quote.cryptoAmount,
+      rateBasis: quote.rateBasis
+    });
+  }
+
+  /**
+   * Record the transaction the admin sent the refund in. The customer's
+   * link keeps showing the refund, but no longer takes an address.
+   */
+  recordTransaction(refund, transactionId) {
+    refund.status = 'succeeded';
+    Object.assign(refund.crypto, {
+      transactionId,
+      sentAt: new Date()
+    });
+  }
+
+  /**
+   * What the customer's refund page shows
+   */
+  describe(order, refund) {
+    const { crypto: details } = refund;
+
+    return {
+      orderNumber: order.orderNumber,
+      refundId: refund.refundId,
+      amount: refund.amount,
+      status: refund.status,
+      currency: details.currency,
+      rateBasis: details.rateBasis,
+      exchangeRate: details.exchangeRate,
+      cryptoAmount: details.cryptoAmount,
+      refundAddress: details.refundAddress,
+      addressConfirmedAt: details.addressConfirmedAt,
+      addressRequestExpires: details.addressRequestExpires,
+      transactionId: details.transactionId,
+      sentAt: details.sentAt,
+      awaitingAddress: this.isAwaitingAddress(refund)
+    };
+  }
+}
+
+export default new CryptoRefundService();
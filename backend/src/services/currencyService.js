@@ -0,0 +1,188 @@
+import Currency, { SETTLEMENT_CURRENCY } from '../models/Currency.js';
+import { createExchangeRateSource } from './exchangeRateSources.js';
+import logger, { logError } from '../utils/logger.js';
+
+const DEFAULT_INTERVAL_MINUTES = 360;
+
+// Storefront currencies are re-read at most once a minute
+const CACHE_MS = 60 * 1000;
+
+const SETTLEMENT = Object.freeze({
+  code: SETTLEMENT_CURRENCY,
+  name: 'British Pound',
+  symbol: '£',
+  exchangeRate: 1,
+  decimalPlaces: 2
+});
+
+const toStorefrontCurrency = currency => ({
+  code: currency.code,
+  name: currency.name,
+  symbol: currency.symbol,
+  exchangeRate: currency.exchangeRate,
+  decimalPlaces: currency.decimalPlaces
+});
+
+/**
+ * Currencies customers can shop in. Orders are always paid and reported in
+ * GBP (the settlement currency); prices are shown, and orders recorded, in
+ * the customer's presentment currency at the admin-managed exchange rate.
+ * Rates marked automatic are refreshed on a schedule from the configured
+ * rate source (see exchangeRateSources.js).
+ */
+class CurrencyService {
+  constructor() {
+    const minutes = parseInt(process.env.EXCHANGE_RATE_REFRESH_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES;
+    this.intervalMs = minutes * 60 * 1000;
+    this.sourceName = process.env.EXCHANGE_RATE_SOURCE || 'frankfurter';
+    this.source = null;
+    this.cache = { currencies: null, timestamp: null };
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Refresh automatic rates every intervalMs until stop() is called
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => logError(error, { context: 'exchange_rate_refresh_scheduled' }));
+    }, this.intervalMs);
+    // Never keep the process alive just for the refresh
+    this.timer.unref?.();
+
+    logger.info('Exchange rate refresh scheduled', {
+      intervalMinutes: this.intervalMs / 60000,
+      source: this.sourceName
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  getSource() {
+    if (!this.source) {
+      this.source = createExchangeRateSource(this.sourceName, {
+        frankfurterUrl: process.env.FRANKFURTER_API_URL,
+        coingeckoApiKey: process.env.COINGECKO_API_KEY
+      });
+    }
+    return this.source;
+  }
+
+  clearCache() {
+    this.cache = { currencies: null, timestamp: null };
+  }
+
+  /**
+   * Fetch current rates for the automatic currencies
+   * @returns {Promise<{checked: number, updated: number, missing: string[]}>}
+   */
+  async run() {
+    if (this.running) {
+      return { checked: 0, updated: 0, missing: [], skipped: true };
+    }
+
+    this.running = true;
+    try {
+      const currencies = await Currency.find({ rateSource: 'automatic' });
+      if (currencies.length === 0) {
+        return { checked: 0, updated: 0, missing: [] };
+      }
+
+      const rates = await this.getSource().getRates(SETTLEMENT_CURRENCY, currencies.map(currency => currency.code));
+      const now = new Date();
+      let updated = 0;
+      const missing = [];
+
+      for (const currency of currencies) {
+        const rate = rates[currency.code];
+        if (!rate) {
+          missing.push(currency.code);
+          continue;
+        }
+
+        currency.exchangeRate = rate;
+        currency.rateUpdatedAt = now;
+        await currency.save();
+        updated++;
+      }
+
+      if (missing.length > 0) {
+        logger.warn('Exchange rate source has no rate for some currencies', { source: this.sourceName, missing });
+      }
+
+      this.clearCache();
+      const summary = { checked: currencies.length, updated, missing };
+      logger.info('Exchange rate refresh completed', summary);
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * GBP followed by the active presentment currencies
+   */
+  async listCurrencies() {
+    const now = Date.now();
+    if (this.cache.timestamp && now - this.cache.timestamp < CACHE_MS) {
+      return this.cache.currencies;
+    }
+
+    const currencies = await Currency.find({ isActive: true }).sort({ code: 1 });
+    const list = [SETTLEMENT, ...currencies.map(toStorefrontCurrency)];
+    this.cache = { currencies: list, timestamp: now };
+    return list;
+  }
+
+  /**
+   * An active currency by code; GBP when no code is given
+   * @returns {Promise<Object|null>} null for an unknown or inactive currency
+   */
+  async getCurrency(code) {
+    const normalized = String(code || SETTLEMENT_CURRENCY).trim().toUpperCase();
+    if (normalized === SETTLEMENT_CURRENCY) {
+      return SETTLEMENT;
+    }
+
+    const currencies = await this.listCurrencies();
+    return currencies.find(currency => currency.code === normalized) || null;
+  }
+
+  /**
+   * Round an amount to the currency's minor unit
+   */
+  round(amount, currency) {
+    const factor = 10 ** currency.decimalPlaces;
+    return Math.round(amount * factor) / factor;
+  }
+
+  /**
+   * Convert a GBP amount into a presentment currency
+   */
+  convert(amount, currency) {
+    return this.round(amount * currency.exchangeRate, currency);
+  }
+
+  /**
+   * A product's price in a presentment currency: its override for the
+   * currency if it has one, else the GBP price converted
+   */
+  getPresentmentUnitPrice(product, variant, currency) {
+    if (currency.code === SETTLEMENT_CURRENCY) {
+      return product.getVariantPrice(variant);
+    }
+
+    const override = product.getPriceOverride(currency.code, variant);
+    return override !== null ? override : this.convert(product.getVariantPrice(variant), currency);
+  }
+}
+
+export default new CurrencyService();
@@ -1,6 +1,7 @@
 import { SESClient, SendEmailCommand } from '@aws-sdk/client-ses';
 import { fromEnv } from '@aws-sdk/credential-providers';
 import logger, { logError } from '../utils/logger.js';
+import { escapeHtml } from '../utils/sanitization.js';
 
 class EmailService {
   constructor() {
@@ -304,16 +305,27 @@ class EmailService {
     `;
   }
 
-  // Send order confirmation email
-  async sendOrderConfirmationEmail(order) {
+  // Send order confirmation email; guest orders include the link that stands in for an account
+  async sendOrderConfirmationEmail(order, orderUrl = null) {
     try {
+      const availabilityLabels = {
+        preorder: 'Pre-order',
+        made_to_order: 'Made to order'
+      };
+
       const itemsHtml = order.items.map(item => `
         <div class="item">
           <strong>${item.productName}</strong><br>
           Quantity: ${item.quantity} × £${item.unitPrice.toFixed(2)} = £${item.totalPrice.toFixed(2)}
+          ${availabilityLabels[item.availabilityMode] ? `<br>${availabilityLabels[item.availabilityMode]}${item.expectedShipDate ? ` - expected to ship by ${new Date(item.expectedShipDate).toLocaleDateString()}` : ''}` : ''}
+          ${item.depositAmount !== null && item.depositAmount !== undefined ? `<br>Deposit paid: £${item.depositAmount.toFixed(2)}` : ''}
+          ${item.giftCard ? `<br>Gift card for ${escapeHtml(item.giftCard.recipientName || item.giftCard.recipientEmail)}` : ''}
         </div>
       `).join('');
 
+      const orderTotal = order.totalAmount ?? order.orderTotal;
+      const hasMadeOnDemandItems = order.items.some(item => availabilityLabels[item.availabilityMode]);
+
       const content = `
         <p>Thank you for your order! We're excited to process your RDJCustoms device.</p>
         
@@ -327,14 +339,42 @@ class EmailService {
             <span class="detail-label">Order Date:</span>
             <span class="detail-value">${new Date(order.orderDate || order.createdAt).toLocaleDateString()}</span>
           </div>
+          ${order.discountAmount > 0 ? `
+          <div class="detail-row">
+            <span class="detail-label">Discount${order.promotionCode ? ` (${order.promotionCode})` : ''}:</span>
+            <span class="detail-value">-£${order.discountAmount.toFixed(2)}</span>
+          </div>
+          ` : ''}
           <div class="detail-row">
             <span class="detail-label">Total Amount:</span>
-            <span class="detail-value success">£${order.orderTotal.toFixed(2)}</span>
+            <span class="detail-value success">£${orderTotal.toFixed(2)}</span>
+          </div>
+          ${order.balanceDue > 0 ? `
+          <div class="detail-row">
+            <span class="detail-label">Paid Today:</span>
+            <span class="detail-value">£${(orderTotal - order.balanceDue).toFixed(2)}</span>
+          </div>
+          <div class="detail-row">
+            <span class="detail-label">Balance Due Before Shipping:</span>
+            <span class="detail-value highlight">£${order.balanceDue.toFixed(2)}</span>
           </div>
+          ` : ''}
+          ${order.giftCardAmount > 0 ? `
+          <div class="detail-row">
+            <span class="detail-label">Paid by Gift Card:</span>
+            <span class="detail-value">£${order.giftCardAmount.toFixed(2)}</span>
+          </div>
+          ` : ''}
           <div class="detail-row">
             <span class="detail-label">Payment Method:</span>
             <span class="detail-value">${order.paymentMethod?.name || 'N/A'}</span>
           </div>
+          ${order.estimatedDeliveryDate ? `
+          <div class="detail-row">
+            <span class="detail-label">Estimated Delivery:</span>
+            <span class="detail-value">${new Date(order.estimatedDeliveryDate).toLocaleDateString()}</span>
+          </div>
+          ` : ''}
         </div>
 
         <div class="order-details">
@@ -356,7 +396,14 @@ class EmailService {
           </p>
         </div>
 
+        ${hasMadeOnDemandItems ? `<p>Pre-order and made-to-order items are made for you and your order ships once they are ready.${order.balanceDue > 0 ? ' We\'ll be in touch for the balance before it ships.' : ''}</p>` : ''}
+
         <p>We'll send you another email when your order ships with tracking information.</p>
+        ${orderUrl ? `
+        <a href="${orderUrl}" class="btn">View Your Order</a>
+
+        <p>Keep this email: the link is how you track your order, request a return or create an account with us. Never share it.</p>
+        ` : ''}
       `;
 
       const htmlContent = this.generateEmailTemplate(
@@ -733,6 +780,29 @@ class EmailService {
   // Send refund confirmation email
   async sendRefundConfirmationEmail(order, refundEntry) {
     try {
+      // Crypto refunds are sent on-chain rather than to the original payment method
+      const cryptoRefund = refundEntry.crypto?.transactionId ? refundEntry.crypto : null;
+      const cryptoRows = cryptoRefund ? `
+          <div class="detail-row">
+            <span class="detail-label">Amount Sent:</span>
+            <span class="detail-value">${cryptoRefund.cryptoAmount} ${cryptoRefund.currency}</span>
+          </div>
+          <div class="detail-row">
+            <span class="detail-label">Exchange Rate:</span>
+            <span class="detail-value">£${cryptoRefund.exchangeRate.toFixed(2)} per ${cryptoRefund.currency} (${cryptoRefund.rateBasis === 'locked' ? 'rate at the time of your order' : 'rate when you confirmed your address'})</span>
+          </div>
+          <div class="detail-row">
+            <span class="detail-label">Refund Address:</span>
+            <span class="detail-value">${cryptoRefund.refundAddress}</span>
+          </div>
+          <div class="detail-row">
+            <span class="detail-label">Transaction ID:</span>
+            <span class="detail-value">${cryptoRefund.transactionId}</span>
+          </div>` : '';
+      const arrival = cryptoRefund
+        ? `The refund has been sent to your ${cryptoRefund.currency} address and will arrive once the transaction is confirmed on the network.`
+        : 'The refund will appear in your original payment method within 5-10 business days.';
+
       const content = `
         <p>Your refund has been processed successfully.</p>
         
@@ -752,27 +822,28 @@ class EmailService {
           </div>
           <div class="detail-row">
             <span class="detail-label">Processed Date:</span>
-            <span class="detail-value">${new Date(refundEntry.processedAt).toLocaleDateString()}</span>
+            <span class="detail-value">${new Date(cryptoRefund?.sentAt || refundEntry.processedAt || refundEntry.date).toLocaleDateString()}</span>
           </div>
           <div class="detail-row">
             <span class="detail-label">Reason:</span>
             <span class="detail-value">${refundEntry.reason}</span>
-          </div>
+          </div>${cryptoRows}
         </div>
 
-        <p>The refund will appear in your original payment method within 5-10 business days.</p>
+        <p>${arrival}</p>
         
         <p>If you have any questions about this refund, please contact our support team with your refund ID.</p>
       `;
 
+      // Guest orders have no account to take a name and address from
       const htmlContent = this.generateEmailTemplate(
         'Refund Confirmation',
         content,
-        `${order.userId.firstName} ${order.userId.lastName}`
+        order.userId ? `${order.userId.firstName} ${order.userId.lastName}` : order.shippingAddress?.fullName || 'Valued Customer'
       );
 
       return await this.sendEmail({
-        to: order.userId.email,
+        to: order.userId?.email || order.customerEmail,
         subject: `Refund Confirmation - ${order.orderNumber}`,
         htmlContent
       });
@@ -783,6 +854,473 @@ class EmailService {
     }
   }
 
+  // Ask the customer where to send a crypto refund
+  async sendCryptoRefundAddressRequestEmail(order, refundEntry, addressUrl) {
+    try {
+      const { currency, rateBasis, addressRequestExpires } = refundEntry.crypto;
+
+      const content = `
+        <p>We're refunding part or all of your order, which you paid for in ${currency}. To send it back, we need the ${currency} address you'd like to receive it at.</p>
+
+        <div class="order-details">
+          <h3>Refund Details</h3>
+          <div class="detail-row">
+            <span class="detail-label">Order Number:</span>
+            <span class="detail-value highlight">${order.orderNumber}</span>
+          </div>
+          <div class="detail-row">
+            <span class="detail-label">Refund Amount:</span>
+            <span class="detail-value success">£${refundEntry.amount.toFixed(2)}</span>
+          </div>
+          <div class="detail-row">
+            <span class="detail-label">Reason:</span>
+            <span class="detail-value">${refundEntry.reason}</span>
+          </div>
+        </div>
+
+        <p>The amount will be converted to ${currency} at ${rateBasis === 'locked' ? 'the exchange rate of your original payment' : 'the exchange rate when you confirm your address'}.</p>
+
+        <a href="${addressUrl}" class="btn">Give Refund Address</a>
+
+        <p>This link is personal to you and expires on ${new Date(addressRequestExpires).toLocaleDateString()}. Never share it. If it expires, contact our support team for a new one.</p>
+      `;
+
+      const htmlContent = this.generateEmailTemplate(
+        'Refund Address Needed',
+        content,
+        order.shippingAddress?.fullName || 'Valued Customer'
+      );
+
+      return await this.sendEmail({
+        to: order.customerEmail,
+        subject: `Refund Address Needed - ${order.orderNumber}`,
+        htmlContent
+      });
+
+    } catch (error) {
+      logError(error, { context: 'crypto_refund_address_email', orderId: order._id });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Send payment window expired email for an unpaid crypto order
+  async sendPaymentExpiredEmail(order, retryUrl) {
+    try {
+      const content = `
+        <p>We didn't receive payment for your order before its payment window closed, so the order has been cancelled and the items returned to stock.</p>
+
+        <div class="order-details">
+          <h3>Cancelled Order Details</h3>
+          <div class="detail-row">
+            <span class="detail-label">Order Number:</span>
+            <span class="detail-value highlight">${order.orderNumber}</span>
+          </div>
+          <div class="detail-row">
+            <span class="detail-label">Order Date:</span>
+            <span class="detail-value">${new Date(order.orderDate || order.createdAt).toLocaleDateString()}</span>
+          </div>
+          <div class="detail-row">
+            <span class="detail-label">Order Total:</span>
+            <span class="detail-value">£${order.totalAmount.toFixed(2)}</span>
+          </div>
+          <div class="detail-row">
+            <span class="detail-label">Payment Method:</span>
+            <span class="detail-value">${order.paymentMethod?.name || order.paymentMethod?.type}</span>
+          </div>
+        </div>
+
+        <p>If you'd still like these items, you can put them back in your cart and check out again:</p>
+
+        <a href="${retryUrl}" class="btn">Retry Checkout</a>
+
+        <p>If you sent a payment that hasn't arrived yet, please contact our support team with your order number and we'll sort it out.</p>
+      `;
+
+      const htmlContent = this.generateEmailTemplate(
+        'Payment Window Expired',
+        content,
+        order.shippingAddress?.fullName || 'Valued Customer'
+      );
+
+      return await this.sendEmail({
+        to: order.customerEmail,
+        subject: `Payment Window Expired - ${order.orderNumber}`,
+        htmlContent
+      });
+
+    } catch (error) {
+      logError(error, { context: 'payment_expired_email', orderId: order._id });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Send a guest a fresh link to an order they looked up
+  async sendGuestOrderLinkEmail(order, orderUrl) {
+    try {
+      const content = `
+        <p>Here is the link to your order <strong>${order.orderNumber}</strong>. Use it to track the order, request a return or create an account with us.</p>
+
+        <a href="${orderUrl}" class="btn">View Your Order</a>
+
+        <p>This link is personal to you. Never share it. If you didn't ask for it, you can ignore this email.</p>
+      `;
+
+      const htmlContent = this.generateEmailTemplate(
+        'Your Order Link',
+        content,
+        order.shippingAddress?.fullName || 'Valued Customer'
+      );
+
+      return await this.sendEmail({
+        to: order.customerEmail,
+        subject: `Your Order Link - ${order.orderNumber}`,
+        htmlContent
+      });
+
+    } catch (error) {
+      logError(error, { context: 'guest_order_link_email', orderId: order._id });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Ask a guest to confirm a back-in-stock or price-drop alert
+  async sendProductAlertConfirmationEmail(alert, product, confirmUrl) {
+    try {
+      const what = alert.type === 'back_in_stock'
+        ? 'when it is back in stock'
+        : 'when its price drops';
+
+      const content = `
+        <p>You asked us to email you about <strong>${product.name}</strong> ${what}. Please confirm this is your email address:</p>
+
+        <a href="${confirmUrl}" class="btn">Confirm Alert</a>
+
+        <p>This link expires in 24 hours. If you didn't ask for this, ignore this email and you won't hear from us.</p>
+      `;
+
+      const htmlContent = this.generateEmailTemplate('Confirm Your Alert', content);
+
+      return await this.sendEmail({
+        to: alert.email,
+        subject: `Confirm your alert for ${product.name}`,
+        htmlContent
+      });
+
+    } catch (error) {
+      logError(error, { context: 'product_alert_confirmation_email', alertId: alert._id });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Tell a subscriber a product they were waiting for is back in stock
+  async sendBackInStockEmail(alert, product, productUrl, unsubscribeUrl) {
+    try {
+      const price = product.price;
+
+      const content = `
+        <p>Good news: <strong>${product.name}</strong> is back in stock.</p>
+
+        <div class="order-details">
+          <div class="detail-row">
+            <span class="detail-label">Price:</span>
+            <span class="detail-value highlight">£${price.toFixed(2)}</span>
+          </div>
+        </div>
+
+        <p>Stock is limited, so it may not last long.</p>
+
+        <a href="${productUrl}" class="btn">View Product</a>
+
+        <p>This was a one-off alert, so we won't email you about this product again. <a href="${unsubscribeUrl}">Unsubscribe</a></p>
+      `;
+
+      const htmlContent = this.generateEmailTemplate('Back in Stock', content);
+
+      return await this.sendEmail({
+        to: alert.email,
+        subject: `Back in stock: ${product.name}`,
+        htmlContent
+      });
+
+    } catch (error) {
+      logError(error, { context: 'back_in_stock_email', alertId: alert._id });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Tell a subscriber a product's price has dropped
+  async sendPriceDropEmail(alert, product, productUrl, unsubscribeUrl) {
+    try {
+      const price = product.salePrice ?? product.price;
+
+      const content = `
+        <p>The price of <strong>${product.name}</strong> has dropped.</p>
+
+        <div class="order-details">
+          <div class="detail-row">
+            <span class="detail-label">Was:</span>
+            <span class="detail-value">£${alert.referencePrice.toFixed(2)}</span>
+          </div>
+          <div class="detail-row">
+            <span class="detail-label">Now:</span>
+            <span class="detail-value success">£${price.toFixed(2)}</span>
+          </div>
+        </div>
+
+        <a href="${productUrl}" class="btn">View Product</a>
+
+        <p>We'll email you again if the price drops further. <a href="${unsubscribeUrl}">Unsubscribe</a> from price alerts for this product.</p>
+      `;
+
+      const htmlContent = this.generateEmailTemplate('Price Drop', content);
+
+      return await this.sendEmail({
+        to: alert.email,
+        subject: `Price drop: ${product.name}`,
+        htmlContent
+      });
+
+    } catch (error) {
+      logError(error, { context: 'price_drop_email', alertId: alert._id });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Remind a customer of the cart they left, with a link that restores it
+  async sendAbandonedCartEmail(recovery, cart, { reminderNumber, firstName, restoreUrl, unsubscribeUrl, promotion = null }) {
+    try {
+      const itemsHtml = cart.items.map(item => `
+        <div class="detail-row">
+          <span class="detail-label">${escapeHtml(item.productName)} × ${item.quantity}</span>
+          <span class="detail-value">£${item.subtotal.toFixed(2)}</span>
+        </div>
+      `).join('');
+
+      const intro = reminderNumber === 1
+        ? '<p>You left some items in your cart. We\'ve saved them for you:</p>'
+        : '<p>Your cart is still waiting for you:</p>';
+
+      const content = `
+        ${intro}
+
+        <div class="order-details">
+          ${itemsHtml}
+          <div class="detail-row">
+            <span class="detail-label">Cart Total:</span>
+            <span class="detail-value highlight">£${cart.totalAmount.toFixed(2)}</span>
+          </div>
+        </div>
+
+        ${promotion ? `
+        <p>Use code <strong>${promotion.code}</strong> for ${promotion.value}% off this order. It's already applied when you use the button below, and can be used once before ${new Date(promotion.endDate).toLocaleDateString()}.</p>
+        ` : ''}
+
+        <a href="${restoreUrl}" class="btn">Return to Your Cart</a>
+
+        <p>Items in your cart aren't reserved, so popular and one-off pieces may sell out.</p>
+
+        <p>You're receiving this because you agreed to hear from us. <a href="${unsubscribeUrl}">Stop these reminders</a> and other marketing email.</p>
+      `;
+
+      const htmlContent = this.generateEmailTemplate(
+        'Your Cart Is Waiting',
+        content,
+        firstName || 'Valued Customer'
+      );
+
+      return await this.sendEmail({
+        to: recovery.email,
+        subject: promotion ? `Still thinking it over? ${promotion.value}% off your cart` : 'You left something in your cart',
+        htmlContent
+      });
+
+    } catch (error) {
+      logError(error, { context: 'abandoned_cart_email', recoveryId: recovery._id });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Tell the team a customer has asked for a commission
+  async sendNewCommissionRequestEmail(request, adminUrl) {
+    try {
+      const content = `
+        <div class="order-details">
+          <h3>Commission Request ${request.requestNumber}</h3>
+          <div class="detail-row">
+            <span class="detail-label">Customer:</span>
+            <span class="detail-value">${escapeHtml(request.customerName || '')} <a href="mailto:${request.customerEmail}">${request.customerEmail}</a></span>
+          </div>
+          <div class="detail-row">
+            <span class="detail-label">Title:</span>
+            <span class="detail-value">${escapeHtml(request.title)}</span>
+          </div>
+          ${request.budget ? `
+          <div class="detail-row">
+            <span class="detail-label">Budget:</span>
+            <span class="detail-value">£${request.budget.toFixed(2)}</span>
+          </div>
+          ` : ''}
+          <div class="detail-row">
+            <span class="detail-label">Reference Images:</span>
+            <span class="detail-value">${request.referenceImages.length}</span>
+          </div>
+        </div>
+
+        <div class="order-details">
+          <h3>Brief</h3>
+          <p style="white-space: pre-line; margin: 0;">${escapeHtml(request.brief)}</p>
+        </div>
+
+        <a href="${adminUrl}" class="btn">Review and Quote</a>
+      `;
+
+      const htmlContent = this.generateEmailTemplate('New Commission Request', content, 'Support Team');
+
+      return await this.sendEmail({
+        to: process.env.SUPPORT_EMAIL,
+        subject: `[Commission] ${request.requestNumber} - ${request.title}`,
+        htmlContent
+      });
+
+    } catch (error) {
+      logError(error, { context: 'new_commission_request_email', commissionId: request._id });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Send a customer the price quoted for their commission
+  async sendCommissionQuoteEmail(request, commissionUrl) {
+    try {
+      const { quote } = request;
+
+      const content = `
+        <p>We've priced your commission <strong>${escapeHtml(request.title)}</strong>.</p>
+
+        <div class="order-details">
+          <h3>Your Quote</h3>
+          <div class="detail-row">
+            <span class="detail-label">Price:</span>
+            <span class="detail-value highlight">£${quote.price.toFixed(2)}</span>
+          </div>
+          ${quote.leadTimeDays ? `
+          <div class="detail-row">
+            <span class="detail-label">Made Within:</span>
+            <span class="detail-value">${quote.leadTimeDays} days of payment</span>
+          </div>
+          ` : ''}
+          ${quote.validUntil ? `
+          <div class="detail-row">
+            <span class="detail-label">Valid Until:</span>
+            <span class="detail-value">${new Date(quote.validUntil).toLocaleDateString('en-GB')}</span>
+          </div>
+          ` : ''}
+          ${quote.description ? `<p style="white-space: pre-line;">${escapeHtml(quote.description)}</p>` : ''}
+        </div>
+
+        <p>Accept the quote and we'll add your commission to your cart, ready to pay for at checkout. You can also decline it or send us a message.</p>
+
+        <a href="${commissionUrl}" class="btn">View Quote</a>
+      `;
+
+      const htmlContent = this.generateEmailTemplate('Your Commission Quote', content, request.customerName);
+
+      return await this.sendEmail({
+        to: request.customerEmail,
+        subject: `Your quote for ${request.title} - ${request.requestNumber}`,
+        htmlContent
+      });
+
+    } catch (error) {
+      logError(error, { context: 'commission_quote_email', commissionId: request._id });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Tell a customer we've replied on their commission request
+  async sendCommissionReplyEmail(request, message, commissionUrl) {
+    try {
+      const content = `
+        <p>We've replied about your commission <strong>${escapeHtml(request.title)}</strong>:</p>
+
+        <div class="order-details">
+          <p style="white-space: pre-line; margin: 0;">${escapeHtml(message.body)}</p>
+        </div>
+
+        <a href="${commissionUrl}" class="btn">View and Reply</a>
+      `;
+
+      const htmlContent = this.generateEmailTemplate('New Reply on Your Commission', content, request.customerName);
+
+      return await this.sendEmail({
+        to: request.customerEmail,
+        subject: `New reply on ${request.requestNumber}`,
+        htmlContent
+      });
+
+    } catch (error) {
+      logError(error, { context: 'commission_reply_email', commissionId: request._id });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Send a gift card's code to its recipient
+  async sendGiftCardEmail(giftCard, shopUrl) {
+    try {
+      const { delivery } = giftCard;
+      const from = delivery.senderName ? escapeHtml(delivery.senderName) : 'Someone';
+
+      const content = `
+        <p>${from} has sent you an RDJCustoms gift card.</p>
+
+        ${delivery.message ? `
+        <div class="order-details">
+          <p style="white-space: pre-line; margin: 0;">${escapeHtml(delivery.message)}</p>
+        </div>
+        ` : ''}
+
+        <div class="order-details">
+          <h3>Your Gift Card</h3>
+          <div class="detail-row">
+            <span class="detail-label">Value:</span>
+            <span class="detail-value highlight">£${giftCard.balance.toFixed(2)}</span>
+          </div>
+          <div class="detail-row">
+            <span class="detail-label">Code:</span>
+            <span class="detail-value"><strong>${giftCard.getDisplayCode()}</strong></span>
+          </div>
+          ${giftCard.expiresAt ? `
+          <div class="detail-row">
+            <span class="detail-label">Use By:</span>
+            <span class="detail-value">${new Date(giftCard.expiresAt).toLocaleDateString('en-GB')}</span>
+          </div>
+          ` : ''}
+        </div>
+
+        <p>Enter the code at checkout to spend it. Anything you don't spend stays on the card for next time.</p>
+
+        <a href="${shopUrl}" class="btn">Start Shopping</a>
+      `;
+
+      const htmlContent = this.generateEmailTemplate(
+        'You\'ve Received a Gift Card',
+        content,
+        delivery.recipientName || 'Valued Customer'
+      );
+
+      return await this.sendEmail({
+        to: delivery.recipientEmail,
+        subject: delivery.senderName
+          ? `${delivery.senderName} sent you a £${giftCard.balance.toFixed(2)} gift card`
+          : `You've received a £${giftCard.balance.toFixed(2)} gift card`,
+        htmlContent
+      });
+
+    } catch (error) {
+      logError(error, { context: 'gift_card_email', giftCardId: giftCard._id });
+      return { success: false, error: error.message };
+    }
+  }
+
   // Send account status update emails
   async sendAccountDisabledEmail(user, adminUser) {
     try {
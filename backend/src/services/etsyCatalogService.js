@@ -0,0 +1,220 @@
+import Product from '../models/Product.js';
+import stockLedgerService from './stockLedgerService.js';
+import productAlertService from './productAlertService.js';
+import logger from '../utils/logger.js';
+import { toCsv } from '../utils/spreadsheet.js';
+
+// Column layout of the Etsy listing export (see Etsy.csv)
+export const ETSY_CSV_COLUMNS = [
+  'TITLE',
+  'DESCRIPTION',
+  'PRICE',
+  'CURRENCY_CODE',
+  'QUANTITY',
+  'TAGS',
+  'MATERIALS',
+  'IMAGE1',
+  'IMAGE2',
+  'IMAGE3',
+  'IMAGE4',
+  'IMAGE5',
+  'IMAGE6',
+  'IMAGE7',
+  'IMAGE8',
+  'IMAGE9',
+  'IMAGE10',
+  'VARIATION 1 TYPE',
+  'VARIATION 1 NAME',
+  'VARIATION 1 VALUES',
+  'VARIATION 2 TYPE',
+  'VARIATION 2 NAME',
+  'VARIATION 2 VALUES',
+  'SKU'
+];
+
+// Minimal file used to keep stock in step between Etsy and the store
+export const STOCK_SYNC_COLUMNS = ['SKU', 'QUANTITY'];
+
+class EtsyCatalogService {
+  constructor() {
+    this.currencyCode = 'GBP';
+    this.maxImages = 10;
+    this.maxVariations = 2;
+  }
+
+  /**
+   * Make store-relative image paths usable from Etsy
+   */
+  toAbsoluteImageUrl(image, baseUrl) {
+    if (!image || /^https?:\/\//i.test(image) || !baseUrl) {
+      return image;
+    }
+    return `${baseUrl.replace(/\/$/, '')}${image.startsWith('/') ? '' : '/'}${image}`;
+  }
+
+  /**
+   * Map a product to one Etsy listing row
+   */
+  productToEtsyRow(product, { baseUrl = process.env.BACKEND_URL } = {}) {
+    const row = {
+      TITLE: product.name,
+      DESCRIPTION: product.longDescription || product.shortDescription || '',
+      PRICE: Number(product.price).toFixed(2),
+      CURRENCY_CODE: this.currencyCode,
+      QUANTITY: product.stockQuantity,
+      TAGS: (product.tags || []).join(','),
+      MATERIALS: (product.attributes || [])
+        .filter(attribute => attribute.name === 'Material')
+        .map(attribute => attribute.value)
+        .join(','),
+      SKU: product.sku
+    };
+
+    const images = (product.images || []).slice(0, this.maxImages);
+    for (let i = 1; i <= this.maxImages; i++) {
+      row[`IMAGE${i}`] = this.toAbsoluteImageUrl(images[i - 1], baseUrl) || '';
+    }
+
+    const options = (product.options || []).slice(0, this.maxVariations);
+    for (let i = 1; i <= this.maxVariations; i++) {
+      const option = options[i - 1];
+      row[`VARIATION ${i} TYPE`] = option ? option.name : '';
+      row[`VARIATION ${i} NAME`] = option ? option.name : '';
+      row[`VARIATION ${i} VALUES`] = option ? option.values.join(',') : '';
+    }
+
+    return row;
+  }
+
+  /**
+   * Stock rows per sellable SKU (variants listed individually)
+   */
+  productToStockRows(product) {
+    const activeVariants = (product.variants || []).filter(variant => variant.isActive !== false);
+
+    if (activeVariants.length === 0) {
+      return [{ SKU: product.sku, QUANTITY: product.stockQuantity }];
+    }
+    return activeVariants.map(variant => ({ SKU: variant.sku, QUANTITY: variant.stockQuantity }));
+  }
+
+  /**
+   * Fetch the products that are live in the store
+   */
+  getActiveProducts() {
+    return Product.find({ status: 'active', isActive: true, privateFor: null }).sort({ name: 1 });
+  }
+
+  /**
+   * Export active products in the Etsy.csv column layout
+   */
+  async exportEtsyCsv(options = {}) {
+    const products = await this.getActiveProducts();
+    const rows = products.map(product => this.productToEtsyRow(product, options));
+
+    logger.info('Exported catalog to Etsy CSV', { productCount: rows.length });
+    return { csv: toCsv(ETSY_CSV_COLUMNS, rows), count: rows.length };
+  }
+
+  /**
+   * Export the SKU/QUANTITY stock sync file
+   */
+  async exportStockCsv() {
+    const products = await this.getActiveProducts();
+    const rows = products.flatMap(product => this.productToStockRows(product));
+
+    logger.info('Exported stock sync file', { skuCount: rows.length });
+    return { csv: toCsv(STOCK_SYNC_COLUMNS, rows), count: rows.length };
+  }
+
+  /**
+   * Derive stock status from quantity and the product's low stock threshold
+   */
+  getStockStatus(product) {
+    if (product.stockQuantity <= 0) {
+      return 'out_of_stock';
+    }
+    return product.stockQuantity <= (product.lowStockThreshold ?? 10) ? 'low_stock' : 'in_stock';
+  }
+
+  /**
+   * Stock delta import: update quantities by SKU and nothing else.
+   * Accepts the stock sync file or a full Etsy.csv export.
+   */
+  async applyStockUpdates(rows, { dryRun = false, userId = null } = {}) {
+    const summary = { updated: 0, unchanged: 0, notFound: 0, invalid: 0 };
+    const items = [];
+
+    for (const row of rows) {
+      const sku = (row.SKU || '').trim().toUpperCase();
+      const quantity = Number.parseInt(row.QUANTITY, 10);
+      const item = { sku };
+
+      if (!sku || !Number.isInteger(quantity) || quantity < 0) {
+        summary.invalid++;
+        items.push({ ...item, action: 'invalid', reason: 'SKU and a non-negative QUANTITY are required' });
+        continue;
+      }
+
+      const product = await Product.findOne({ $or: [{ sku }, { 'variants.sku': sku }] });
+      if (!product) {
+        summary.notFound++;
+        items.push({ ...item, action: 'not_found' });
+        continue;
+      }
+
+      let variant = (product.variants || []).find(entry => entry.sku === sku) || null;
+      if (!variant && product.variants?.length > 0) {
+        // A listing-level SKU can only be applied when there is a single variant
+        if (product.variants.length !== 1) {
+          summary.invalid++;
+          items.push({ ...item, action: 'invalid', reason: 'Product has variants; use variant SKUs' });
+          continue;
+        }
+        variant = product.variants[0];
+      }
+
+      const previousQuantity = variant ? variant.stockQuantity : product.stockQuantity;
+      if (previousQuantity === quantity) {
+        summary.unchanged++;
+        items.push({ ...item, action: 'unchanged', quantity });
+        continue;
+      }
+
+      if (!dryRun) {
+        const alertBefore = productAlertService.snapshot(product);
+        if (variant) {
+          variant.stockQuantity = quantity;
+          product.markModified('variants');
+          product.stockQuantity = product.variants
+            .filter(entry => entry.isActive !== false)
+            .reduce((total, entry) => total + entry.stockQuantity, 0);
+        } else {
+          product.stockQuantity = quantity;
+        }
+        product.stockStatus = this.getStockStatus(product);
+        await product.save();
+        await stockLedgerService.record([{
+          productId: product._id,
+          variantId: variant ? variant._id : null,
+          productName: product.name,
+          sku,
+          reason: 'import',
+          quantity: quantity - previousQuantity,
+          quantityAfter: quantity,
+          userId,
+          reference: { kind: 'Import', label: 'Etsy stock sync' }
+        }]);
+        await productAlertService.handleProductChange(alertBefore, product);
+      }
+
+      summary.updated++;
+      items.push({ ...item, action: 'updated', previousQuantity, quantity });
+    }
+
+    logger.info('Applied stock sync', { ...summary, dryRun });
+    return { dryRun, summary, items };
+  }
+}
+
+export default new EtsyCatalogService();
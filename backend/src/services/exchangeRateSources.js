@@ -0,0 +1,82 @@
+import axios from 'axios';
+
+export const EXCHANGE_RATE_SOURCES = ['frankfurter', 'coingecko'];
+
+const trimUrl = url => (url || '').replace(/\/+$/, '');
+
+/**
+ * European Central Bank reference rates through the Frankfurter API. Rates
+ * are published once each working day; no API key is needed.
+ */
+export class FrankfurterRateSource {
+  constructor({ url } = {}) {
+    this.url = trimUrl(url || 'https://api.frankfurter.app');
+  }
+
+  /**
+   * @param {string} base - e.g. 'GBP'
+   * @param {string[]} codes - currencies to look up
+   * @returns {Promise<Object<string, number>>} units of each currency per 1 base; unknown codes are left out
+   */
+  async getRates(base, codes) {
+    try {
+      const response = await axios.get(`${this.url}/latest`, {
+        params: { from: base, to: codes.join(',') },
+        timeout: 10000
+      });
+      const rates = response.data?.rates || {};
+
+      return Object.fromEntries(
+        codes.filter(code => rates[code] > 0).map(code => [code, rates[code]])
+      );
+    } catch (error) {
+      throw new Error(`Frankfurter API error: ${error.response?.data?.message || error.message}`);
+    }
+  }
+}
+
+/**
+ * CoinGecko exchange rates. These are quoted against BTC, so each fiat rate
+ * is taken relative to the base currency's.
+ */
+export class CoinGeckoRateSource {
+  constructor({ url, apiKey } = {}) {
+    this.url = trimUrl(url || 'https://api.coingecko.com/api/v3');
+    this.apiKey = apiKey;
+  }
+
+  async getRates(base, codes) {
+    let rates;
+    try {
+      const response = await axios.get(`${this.url}/exchange_rates`, {
+        headers: this.apiKey ? { 'x-cg-pro-api-key': this.apiKey } : {},
+        timeout: 10000
+      });
+      rates = response.data?.rates || {};
+    } catch (error) {
+      throw new Error(`CoinGecko API error: ${error.response?.data?.error || error.message}`);
+    }
+
+    const baseValue = rates[base.toLowerCase()]?.value;
+    if (!(baseValue > 0)) {
+      throw new Error(`CoinGecko has no rate for ${base}`);
+    }
+
+    return Object.fromEntries(
+      codes
+        .filter(code => rates[code.toLowerCase()]?.value > 0)
+        .map(code => [code, rates[code.toLowerCase()].value / baseValue])
+    );
+  }
+}
+
+export const createExchangeRateSource = (name, settings = {}) => {
+  switch (name) {
+  case 'frankfurter':
+    return new FrankfurterRateSource({ url: settings.frankfurterUrl });
+  case 'coingecko':
+    return new CoinGeckoRateSource({ url: settings.coingeckoUrl, apiKey: settings.coingeckoApiKey });
+  default:
+    throw new Error(`Unsupported exchange rate source: ${name}`);
+  }
+};
@@ -0,0 +1,531 @@
+import GiftCard, { GIFT_CARD_STATUSES } from '../models/GiftCard.js';
+import emailService from './emailService.js';
+import logger, { logError } from '../utils/logger.js';
+import { normalizeCode } from '../utils/codes.js';
+
+const statusError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+// Cards are issued for between these amounts, in GBP
+const MIN_VALUE = 1;
+const MAX_VALUE = 1000;
+
+// How far ahead a gift card email can be scheduled
+const MAX_DELIVERY_DAYS = 365;
+
+// The sweep stops retrying an email after this many failures
+const MAX_DELIVERY_ATTEMPTS = 5;
+
+// Codes one order can be paid with
+const MAX_CODES_PER_ORDER = 5;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const round = amount => Math.round(amount * 100) / 100;
+
+const optionalText = (value, field, maxLength) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (typeof value !== 'string') {
+    throw statusError(`${field} must be text`, 400);
+  }
+  if (value.trim().length > maxLength) {
+    throw statusError(`${field} cannot exceed ${maxLength} characters`, 400);
+  }
+  return value.trim() || undefined;
+};
+
+/**
+ * Gift cards: stored value spent at checkout by code. Customers buy them as
+ * gift card products, one card per unit, issued when the order is paid and
+ * emailed to the recipient on the date the buyer chose; admins can also
+ * issue cards directly. A scheduled sweep sends emails that have come due.
+ * A card can pay for part of an order alongside another payment method, and
+ * what is left stays on the card. Every change to a balance is written to
+ * the card's ledger.
+ */
+class GiftCardService {
+  constructor() {
+    const minutes = parseInt(process.env.GIFT_CARD_DELIVERY_SWEEP_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES;
+    this.intervalMs = minutes * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Send due gift card emails every intervalMs until stop() is called
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => logError(error, { context: 'gift_card_delivery_sweep_scheduled' }));
+    }, this.intervalMs);
+    // Never keep the process alive just for the sweep
+    this.timer.unref?.();
+
+    logger.info('Gift card delivery sweep scheduled', { intervalMinutes: this.intervalMs / 60000 });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  getShopUrl() {
+    return `${process.env.FRONTEND_URL || 'http://localhost:5173'}/products`;
+  }
+
+  /**
+   * Check who a gift card is for, as entered when buying or issuing one
+   * @returns {Object} - Delivery details for the card
+   * @throws {Error} - statusCode 400 when the details are incomplete
+   */
+  parseDelivery({ recipientName, recipientEmail, senderName, message, deliveryDate } = {}) {
+    if (typeof recipientEmail !== 'string' || !EMAIL_PATTERN.test(recipientEmail.trim())) {
+      throw statusError('A valid recipient email address is required', 400);
+    }
+
+    let date = null;
+    if (deliveryDate) {
+      date = new Date(deliveryDate);
+      if (isNaN(date.getTime())) {
+        throw statusError('Delivery date is not a valid date', 400);
+      }
+      if (date > new Date(Date.now() + MAX_DELIVERY_DAYS * 24 * 60 * 60 * 1000)) {
+        throw statusError(`Delivery date cannot be more than ${MAX_DELIVERY_DAYS} days away`, 400);
+      }
+      // A date already passed means send it straight away
+      if (date <= new Date()) {
+        date = null;
+      }
+    }
+
+    return {
+      recipientName: optionalText(recipientName, 'Recipient name', 100),
+      recipientEmail: recipientEmail.trim().toLowerCase(),
+      senderName: optionalText(senderName, 'Sender name', 100),
+      message: optionalText(message, 'Message', 500),
+      deliveryDate: date
+    };
+  }
+
+  /**
+   * Issue a card from the admin page. Without a recipient the card is not
+   * emailed; the admin hands the code over.
+   * @throws {Error} - statusCode 400 when the value or recipient is invalid
+   */
+  async issue({ amount, recipient, expiresAt, note } = {}, adminUser) {
+    const value = round(Number(amount));
+    if (!Number.isFinite(value) || value < MIN_VALUE || value > MAX_VALUE) {
+      throw statusError(`Gift card value must be between £${MIN_VALUE} and £${MAX_VALUE}`, 400);
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        throw statusError('Expiry date must be in the future', 400);
+      }
+    }
+
+    const card = await GiftCard.create({
+      initialValue: value,
+      source: 'admin',
+      issuedBy: adminUser._id,
+      delivery: recipient?.recipientEmail ? this.parseDelivery(recipient) : null,
+      expiresAt: expiry,
+      note: optionalText(note, 'Note', 500)
+    });
+
+    logger.info('Gift card issued', { giftCardId: card._id, value, adminId: adminUser._id });
+
+    if (this.isDeliveryDue(card)) {
+      await this.deliver(card);
+    }
+
+    return card;
+  }
+
+  /**
+   * Issue the cards bought on a paid order, one for each unit of each gift
+   * card item, and email those due now. Safe to call again for the same
+   * order: units already issued are skipped. Never throws, so a failure
+   * here cannot undo the payment; cards not issued are logged.
+   * @returns {Promise<Object[]>} - Cards issued by this call
+   */
+  async issueForOrder(order) {
+    const issued = [];
+
+    for (const item of order.items || []) {
+      if (item.availabilityMode !== 'gift_card' || !item.giftCard) {
+        continue;
+      }
+
+      for (let unitIndex = 0; unitIndex < item.quantity; unitIndex += 1) {
+        try {
+          const card = await GiftCard.create({
+            initialValue: item.unitPrice,
+            source: 'purchase',
+            orderId: order._id,
+            orderItemId: item._id,
+            unitIndex,
+            purchaserEmail: order.customerEmail,
+            delivery: item.giftCard
+          });
+          issued.push(card);
+        } catch (error) {
+          if (error.code === 11000) {
+            continue;
+          }
+          logError(error, { context: 'gift_card_issue_order', orderId: order._id, orderItemId: item._id, unitIndex });
+        }
+      }
+    }
+
+    if (issued.length > 0) {
+      logger.info('Gift cards issued for order', { orderId: order._id, count: issued.length });
+    }
+
+    for (const card of issued) {
+      if (this.isDeliveryDue(card)) {
+        await this.deliver(card);
+      }
+    }
+
+    return issued;
+  }
+
+  isDeliveryDue(card, now = new Date()) {
+    return Boolean(card.delivery?.recipientEmail) &&
+      !card.deliveredAt &&
+      card.status === 'active' &&
+      (!card.delivery.deliveryDate || card.delivery.deliveryDate <= now);
+  }
+
+  /**
+   * Email a card to its recipient. Never throws; a failed email is retried
+   * by the sweep.
+   * @returns {Promise<boolean>} - Whether the email went out
+   */
+  async deliver(card) {
+    try {
+      const result = await emailService.sendGiftCardEmail(card, this.getShopUrl());
+      if (result?.success === false) {
+        throw new Error(result.error || 'Email not sent');
+      }
+
+      await GiftCard.updateOne({ _id: card._id }, { $set: { deliveredAt: new Date() } });
+      card.deliveredAt = new Date();
+      return true;
+    } catch (error) {
+      logError(error, { context: 'gift_card_delivery', giftCardId: card._id });
+      await GiftCard.updateOne({ _id: card._id }, { $inc: { deliveryAttempts: 1 } }).catch(() => {});
+      return false;
+    }
+  }
+
+  /**
+   * Send every gift card email that has come due
+   * @returns {Promise<Object|null>} - Summary of the sweep, or null if one is already in progress
+   */
+  async run() {
+    if (this.running) {
+      return null;
+    }
+    this.running = true;
+
+    const summary = { cardsChecked: 0, delivered: 0, failures: 0 };
+
+    try {
+      const cards = await GiftCard.find({
+        status: 'active',
+        deliveredAt: null,
+        'delivery.recipientEmail': { $exists: true },
+        $or: [{ 'delivery.deliveryDate': null }, { 'delivery.deliveryDate': { $lte: new Date() } }],
+        deliveryAttempts: { $lt: MAX_DELIVERY_ATTEMPTS }
+      }).sort({ 'delivery.deliveryDate': 1 });
+
+      for (const card of cards) {
+        summary.cardsChecked += 1;
+        if (await this.deliver(card)) {
+          summary.delivered += 1;
+        } else {
+          summary.failures += 1;
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    logger.info('Gift card delivery sweep completed', summary);
+
+    return summary;
+  }
+
+  /**
+   * Find a card a customer can pay with
+   * @throws {Error} - statusCode 404 for an unknown code, 400 when the card cannot be used
+   */
+  async findRedeemable(code, session = null) {
+    const card = await GiftCard.findByCode(code).session(session);
+    if (!card) {
+      throw statusError('Gift card not found', 404);
+    }
+    if (card.status === 'voided') {
+      throw statusError('This gift card has been cancelled', 400);
+    }
+    if (card.isExpired()) {
+      throw statusError('This gift card has expired', 400);
+    }
+    if (card.balance <= 0) {
+      throw statusError('This gift card has no balance left', 400);
+    }
+    return card;
+  }
+
+  /**
+   * A card's balance for the customer holding its code
+   * @throws {Error} - statusCode 404 for an unknown code
+   */
+  async checkBalance(code) {
+    const card = await GiftCard.findByCode(code);
+    if (!card) {
+      throw statusError('Gift card not found', 404);
+    }
+
+    return {
+      code: card.getDisplayCode(),
+      balance: card.balance,
+      currency: card.currency,
+      status: card.isExpired() ? 'expired' : card.status,
+      expiresAt: card.expiresAt
+    };
+  }
+
+  /**
+   * Change a card's balance and record it in the ledger. The update only
+   * applies to the balance it was worked out from, so two checkouts
+   * spending one card cannot both succeed.
+   * @param {Object} card - Card as last read
+   * @param {number} amount - Signed change to the balance
+   * @param {Object} entry - Ledger fields: type, orderId, userId, note
+   * @param {Object} options - { set } extra fields to set, { session }
+   * @throws {Error} - statusCode 409 when the balance changed meanwhile
+   */
+  async applyTransaction(card, amount, entry, { set = {}, session = null } = {}) {
+    const balanceAfter = round(card.balance + amount);
+
+    const updated = await GiftCard.findOneAndUpdate(
+      { _id: card._id, balance: card.balance },
+      {
+        $set: { balance: balanceAfter, ...set },
+        $push: { transactions: { ...entry, amount: round(amount), balanceAfter } }
+      },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      throw statusError('Gift card balance changed. Please try again.', 409);
+    }
+    return updated;
+  }
+
+  /**
+   * Spend gift cards on an order, in the order given, until amount is
+   * covered; cards left unneeded are not touched
+   * @param {string[]} codes - Codes as typed by the customer
+   * @param {number} amount - Most the cards may pay, in GBP
+   * @param {Object} options - { orderId, userId, session }
+   * @returns {Promise<{giftCards: Object[], total: number}>} - Amounts taken, for Order.giftCards
+   * @throws {Error} - statusCode 400/404 when a code cannot be used, 409 on a concurrent spend
+   */
+  async redeem(codes, amount, { orderId, userId = null, session = null } = {}) {
+    const uniqueCodes = [...new Set((codes || []).map(normalizeCode).filter(Boolean))];
+    if (uniqueCodes.length > MAX_CODES_PER_ORDER) {
+      throw statusError(`No more than ${MAX_CODES_PER_ORDER} gift cards can be used on one order`, 400);
+    }
+
+    const giftCards = [];
+    let remaining = round(amount);
+
+    for (const code of uniqueCodes) {
+      if (remaining <= 0) {
+        break;
+      }
+
+      const card = await this.findRedeemable(code, session);
+      const taken = Math.min(card.balance, remaining);
+      await this.applyTransaction(card, -taken, { type: 'redeem', orderId, userId }, { session });
+
+      giftCards.push({ giftCardId: card._id, code: card.code, amount: round(taken) });
+      remaining = round(remaining - taken);
+    }
+
+    return { giftCards, total: round(amount - remaining) };
+  }
+
+  /**
+   * Put what a cancelled or expired order took from gift cards back on
+   * them. Entries already restored are skipped, as are cards voided since:
+   * their value was refunded or written off when they were voided, and
+   * crediting them again would pay it out twice. The caller saves the order.
+   * @returns {Promise<number>} - Amount restored
+   */
+  async restoreForOrder(order, { userId = null, session = null } = {}) {
+    let restored = 0;
+
+    for (const entry of order.giftCards || []) {
+      if (entry.restoredAt) {
+        continue;
+      }
+
+      const card = await GiftCard.findById(entry.giftCardId).session(session);
+      if (!card) {
+        continue;
+      }
+
+      if (card.status === 'voided') {
+        logger.warn('Gift card payment not restored to a voided card', { giftCardId: card._id, orderId: order._id, amount: entry.amount });
+        continue;
+      }
+
+      await this.applyTransaction(card, entry.amount, {
+        type: 'refund',
+        orderId: order._id,
+        userId,
+        note: `Order ${order.orderNumber} cancelled`
+      }, { session });
+
+      entry.restoredAt = new Date();
+      restored = round(restored + entry.amount);
+    }
+
+    return restored;
+  }
+
+  /**
+   * How much of the cards bought on an order has been spent, net of
+   * redemptions since refunded to them
+   * @returns {Promise<number>} - Amount spent, in GBP
+   */
+  async getSpentForOrder(order, { session = null } = {}) {
+    const cards = await GiftCard.find({ orderId: order._id }).select('transactions').session(session);
+
+    let spent = 0;
+    for (const card of cards) {
+      for (const transaction of card.transactions) {
+        if (transaction.type === 'redeem' || transaction.type === 'refund') {
+          spent = round(spent - transaction.amount);
+        }
+      }
+    }
+
+    return Math.max(spent, 0);
+  }
+
+  /**
+   * Void the cards bought on an order being cancelled. Whatever is still on
+   * them is written off; the buyer is refunded through the order.
+   * @returns {Promise<number>} - Number of cards voided
+   */
+  async voidForOrder(order, { userId = null, session = null } = {}) {
+    const cards = await GiftCard.find({ orderId: order._id, status: 'active' }).session(session);
+
+    for (const card of cards) {
+      await this.applyTransaction(card, -card.balance, {
+        type: 'void',
+        orderId: order._id,
+        userId,
+        note: `Order ${order.orderNumber} cancelled`
+      }, {
+        set: { status: 'voided', voidedAt: new Date(), voidedBy: userId, voidReason: 'Order cancelled' },
+        session
+      });
+    }
+
+    return cards.length;
+  }
+
+  /**
+   * Void a card from the admin page, writing off its balance
+   * @throws {Error} - statusCode 404, or 400 when it is already void
+   */
+  async void(cardId, { reason } = {}, adminUser) {
+    const card = await GiftCard.findById(cardId);
+    if (!card) {
+      throw statusError('Gift card not found', 404);
+    }
+    if (card.status === 'voided') {
+      throw statusError('Gift card is already void', 400);
+    }
+
+    const voidReason = optionalText(reason, 'Reason', 500);
+    const updated = await this.applyTransaction(card, -card.balance, {
+      type: 'void',
+      userId: adminUser._id,
+      note: voidReason
+    }, {
+      set: { status: 'voided', voidedAt: new Date(), voidedBy: adminUser._id, voidReason }
+    });
+
+    logger.info('Gift card voided', { giftCardId: card._id, adminId: adminUser._id });
+
+    return updated;
+  }
+
+  /**
+   * Find a card by its code for admins, with its ledger
+   * @throws {Error} - statusCode 404
+   */
+  async lookup(code) {
+    const card = await GiftCard.findByCode(code)
+      .populate('transactions.orderId', 'orderNumber')
+      .populate('orderId', 'orderNumber customerEmail');
+    if (!card) {
+      throw statusError('Gift card not found', 404);
+    }
+    return card;
+  }
+
+  /**
+   * Page through cards for admins, newest first, optionally by status or
+   * by a code or recipient email search
+   */
+  async getGiftCards({ status, search, page = 1, limit = 20 } = {}) {
+    const filter = GIFT_CARD_STATUSES.includes(status) ? { status } : {};
+    if (typeof search === 'string' && search.trim()) {
+      const codePrefix = normalizeCode(search).replace(/[^A-Z0-9]/g, '');
+      filter.$or = [
+        { 'delivery.recipientEmail': { $regex: search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' } },
+        ...(codePrefix ? [{ code: { $regex: `^${codePrefix}` } }] : [])
+      ];
+    }
+
+    const [giftCards, total] = await Promise.all([
+      GiftCard.find(filter)
+        .select('-transactions')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      GiftCard.countDocuments(filter)
+    ]);
+
+    return { giftCards, pagination: this.paginate(page, limit, total) };
+  }
+
+  paginate(page, limit, total) {
+    return {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: limit
+    };
+  }
+}
+
+export default new GiftCardService();
@@ -0,0 +1,163 @@
+import jwt from 'jsonwebtoken';
+import Order from '../models/Order.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import User from '../models/User.js';
+import emailService from './emailService.js';
+import logger from '../utils/logger.js';
+
+// Long enough to cover delivery and the 30-day return window
+const LOOKUP_LINK_EXPIRY = '180d';
+
+const TOKEN_PURPOSE = 'guest_order';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const statusError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Guest checkout. Guests order with just an email address, and a signed
+ * order link stands in for their account: it lets them track the order and
+ * ask for a return. Links we emailed also prove the guest owns the address,
+ * so only those can turn the order into an account, which then takes every
+ * earlier guest order placed with that email along with it.
+ */
+class GuestOrderService {
+  getSecret() {
+    return process.env.JWT_SECRET || 'your-secret-key';
+  }
+
+  /**
+   * Normalised guest email, or null when it isn't a usable address
+   */
+  normalizeEmail(email) {
+    if (typeof email !== 'string') {
+      return null;
+    }
+
+    const normalized = email.toLowerCase().trim();
+    return EMAIL_PATTERN.test(normalized) && normalized.length <= 255 ? normalized : null;
+  }
+
+  /**
+   * Sign a link token for one order
+   * @param {Object} order
+   * @param {Object} options
+   * @param {boolean} options.emailed - the token is only ever sent to the order's email
+   */
+  createLookupToken(order, { emailed = false } = {}) {
+    return jwt.sign(
+      {
+        purpose: TOKEN_PURPOSE,
+        orderId: order._id.toString(),
+        email: order.customerEmail,
+        emailed
+      },
+      this.getSecret(),
+      { expiresIn: LOOKUP_LINK_EXPIRY }
+    );
+  }
+
+  getLookupUrl(token) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:5173'}/guest-orders/${token}`;
+  }
+
+  /**
+   * The order and email a link token was issued for
+   */
+  verifyLookupToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.getSecret());
+    } catch {
+      throw statusError('This order link is invalid or has expired', 401);
+    }
+
+    if (payload.purpose !== TOKEN_PURPOSE || !payload.orderId || !payload.email) {
+      throw statusError('This order link is invalid or has expired', 401);
+    }
+
+    return {
+      orderId: payload.orderId,
+      email: payload.email,
+      emailed: Boolean(payload.emailed)
+    };
+  }
+
+  /**
+   * Confirm a guest's order, with the link they'll use to come back to it
+   */
+  sendOrderConfirmation(order) {
+    const token = this.createLookupToken(order, { emailed: true });
+    return emailService.sendOrderConfirmationEmail(order, this.getLookupUrl(token));
+  }
+
+  /**
+   * Email a fresh order link when the order number and email match. Callers
+   * answer the same way either way, so the lookup can't be used to find out
+   * who has ordered.
+   * @returns {Promise<boolean>} whether a link was sent
+   */
+  async sendLookupLink(orderNumber, email) {
+    const customerEmail = this.normalizeEmail(email);
+    if (!customerEmail || typeof orderNumber !== 'string' || !orderNumber.trim()) {
+      throw statusError('Order number and a valid email address are required', 400);
+    }
+
+    const order = await Order.findOne({
+      orderNumber: orderNumber.trim().toUpperCase(),
+      customerEmail
+    });
+
+    if (!order) {
+      return false;
+    }
+
+    const token = this.createLookupToken(order, { emailed: true });
+    await emailService.sendGuestOrderLinkEmail(order, this.getLookupUrl(token));
+    return true;
+  }
+
+  /**
+   * Create an account for the email a guest order was placed with and move
+   * that email's guest orders and returns onto it
+   * @param {Object} guestOrder - verified link token, see verifyLookupToken
+   * @param {Object} details - password, firstName, lastName, marketingOptIn
+   */
+  async createAccountFromOrder(guestOrder, { password, firstName, lastName, marketingOptIn = false }) {
+    if (!guestOrder.emailed) {
+      throw statusError('Open the link in your order confirmation email to create an account', 403);
+    }
+
+    const existingUser = await User.findByEmail(guestOrder.email);
+    if (existingUser) {
+      throw statusError('An account with this email already exists. Log in to see your orders.', 409);
+    }
+
+    const user = new User({
+      email: guestOrder.email,
+      password,
+      firstName: firstName.trim(),
+      lastName: lastName.trim(),
+      marketingOptIn: Boolean(marketingOptIn),
+      // The link only went to this address
+      emailVerified: true
+    });
+    await user.save();
+
+    const guestFilter = { userId: null, customerEmail: guestOrder.email };
+    const [orders] = await Promise.all([
+      Order.updateMany(guestFilter, { $set: { userId: user._id } }),
+      ReturnRequest.updateMany(guestFilter, { $set: { userId: user._id } })
+    ]);
+
+    logger.info('Account created from guest order', {
+      userId: user._id,
+      orderId: guestOrder.orderId,
+      ordersAttached: orders.modifiedCount
+    });
+
+    return { user, ordersAttached: orders.modifiedCount };
+  }
+}
+
+export default new GuestOrderService();
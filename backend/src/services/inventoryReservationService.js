@@ -0,0 +1,140 @@
+import Product from '../models/Product.js';
+import StockReservation from '../models/StockReservation.js';
+import { logError } from '../utils/logger.js';
+
+const DEFAULT_HOLD_MINUTES = 15;
+
+const variantKey = (productId, variantId) => `${productId}:${variantId}`;
+
+/**
+ * Time-limited holds on stock for carts in checkout. Stock shown to other
+ * customers is on-hand less what is held, and a hold is dropped once its
+ * order takes the stock, the customer leaves checkout or the payment fails.
+ * Unpaid crypto orders hold stock themselves (see Order.reserveStock).
+ */
+class InventoryReservationService {
+  constructor() {
+    const minutes = parseInt(process.env.CHECKOUT_RESERVATION_MINUTES, 10) || DEFAULT_HOLD_MINUTES;
+    this.holdMs = minutes * 60 * 1000;
+  }
+
+  /**
+   * Total the unexpired holds on products
+   * @param {Array} productIds
+   * @param {Object} options - excludeCartId leaves out a cart's own holds
+   * @returns {Promise<Map>} - Quantities keyed by product ID (every variant
+   * together) and by product and variant ID
+   */
+  async getReservedStock(productIds, options = {}) {
+    const reserved = new Map();
+    if (productIds.length === 0) {
+      return reserved;
+    }
+
+    const totals = await StockReservation.getReservedQuantities(productIds, options);
+    for (const { _id, quantity } of totals) {
+      const productKey = _id.productId.toString();
+      reserved.set(productKey, (reserved.get(productKey) || 0) + quantity);
+      if (_id.variantId) {
+        const key = variantKey(productKey, _id.variantId);
+        reserved.set(key, (reserved.get(key) || 0) + quantity);
+      }
+    }
+
+    return reserved;
+  }
+
+  /**
+   * Stock of a product (or one of its variants) not held by a cart.
+   * Pre-order and made-to-order products are made for each order, so they
+   * never run short.
+   */
+  getAvailableStock(product, variant, reserved) {
+    if (product.isMadeOnDemand()) {
+      return Infinity;
+    }
+    const onHand = variant ? variant.stockQuantity : product.stockQuantity;
+    const key = variant ? variantKey(product._id, variant._id) : product._id.toString();
+    return Math.max(0, onHand - (reserved.get(key) || 0));
+  }
+
+  /**
+   * Hold a cart's items for the checkout window, replacing any hold it
+   * already has
+   * @returns {Promise<{expiresAt: Date}|null>} - null for an empty cart
+   * @throws {Error} - statusCode 409 with unavailableItems when another
+   * customer holds or has bought the stock
+   */
+  async reserveCart(cart) {
+    await StockReservation.deleteMany({ cartId: cart._id });
+
+    if (!cart.items || cart.items.length === 0) {
+      return null;
+    }
+
+    const expiresAt = new Date(Date.now() + this.holdMs);
+    const reservations = await StockReservation.insertMany(cart.items.map(item => ({
+      cartId: cart._id,
+      productId: item.productId,
+      variantId: item.variantId || null,
+      quantity: item.quantity,
+      expiresAt
+    })));
+
+    // Holds made at the same moment are settled first come, first served:
+    // this cart only has to fit around the holds made before its own
+    const productIds = [...new Set(cart.items.map(item => item.productId.toString()))];
+    const [products, reserved] = await Promise.all([
+      Product.find({ _id: { $in: productIds }, isActive: true }),
+      this.getReservedStock(productIds, { excludeCartId: cart._id, before: reservations[0]._id })
+    ]);
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    const unavailableItems = [];
+    for (const item of cart.items) {
+      const product = productMap.get(item.productId.toString());
+      const variant = product && item.variantId ? product.getVariant(item.variantId) : null;
+      const available = product && (!item.variantId || variant)
+        ? this.getAvailableStock(product, variant, reserved)
+        : 0;
+
+      if (available < item.quantity) {
+        unavailableItems.push({
+          productId: item.productId,
+          variantId: item.variantId || null,
+          productName: item.productName || product?.name,
+          available,
+          requested: item.quantity
+        });
+      }
+    }
+
+    if (unavailableItems.length > 0) {
+      await StockReservation.deleteMany({ cartId: cart._id });
+      throw Object.assign(new Error('Some items in your cart are no longer available in the quantity requested'), {
+        statusCode: 409,
+        unavailableItems
+      });
+    }
+
+    return { expiresAt };
+  }
+
+  /**
+   * Drop a cart's hold. A hold that cannot be dropped lapses on its own, so
+   * failures are logged rather than thrown.
+   */
+  async releaseCart(cartId) {
+    if (!cartId) {
+      return;
+    }
+
+    try {
+      await StockReservation.deleteMany({ cartId });
+    } catch (error) {
+      logError(error, { context: 'stock_reservation_release', cartId });
+    }
+  }
+}
+
+export default new InventoryReservationService();
@@ -0,0 +1,177 @@
+import axios from 'axios';
+import https from 'https';
+
+export const LIGHTNING_BACKENDS = ['lnd', 'cln'];
+
+const trimUrl = url => (url || '').replace(/\/+$/, '');
+
+// Nodes usually serve REST over a self-signed certificate; trust the node's
+// own certificate when one is given
+const httpsAgent = tlsCertificate => (tlsCertificate ? new https.Agent({ ca: tlsCertificate }) : undefined);
+
+// Invoice states as returned by getInvoice
+const LND_STATES = {
+  OPEN: 'open',
+  ACCEPTED: 'open',
+  SETTLED: 'settled',
+  CANCELED: 'cancelled'
+};
+
+const CLN_STATUSES = {
+  unpaid: 'open',
+  paid: 'settled',
+  expired: 'expired'
+};
+
+/**
+ * Creates and looks up BOLT11 invoices on an LND node through its REST
+ * API. The macaroon needs invoice read and write permission only
+ * (invoice.macaroon).
+ */
+export class LndLightningBackend {
+  constructor({ url, macaroon, tlsCertificate }) {
+    if (!url || !macaroon) {
+      throw new Error('LND backend requires a REST URL and an invoice macaroon');
+    }
+
+    this.url = trimUrl(url);
+    this.macaroon = macaroon;
+    this.httpsAgent = httpsAgent(tlsCertificate);
+  }
+
+  async request(path, { method = 'GET', body } = {}) {
+    try {
+      const response = await axios({
+        method,
+        url: `${this.url}${path}`,
+        data: body,
+        headers: { 'Grpc-Metadata-macaroon': this.macaroon },
+        httpsAgent: this.httpsAgent,
+        timeout: 10000
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(`LND API error: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * @returns {Promise<{paymentHash: string, paymentRequest: string, expiresAt: Date}>}
+   */
+  async createInvoice({ amountSats, memo, expirySeconds }) {
+    const invoice = await this.request('/v1/invoices', {
+      method: 'POST',
+      body: { value: String(amountSats), memo, expiry: String(expirySeconds) }
+    });
+
+    return {
+      // LND returns the hash base64-encoded and looks it up hex-encoded
+      paymentHash: Buffer.from(invoice.r_hash, 'base64').toString('hex'),
+      paymentRequest: invoice.payment_request,
+      expiresAt: new Date(Date.now() + expirySeconds * 1000)
+    };
+  }
+
+  /**
+   * @returns {Promise<{status: string, amountReceivedSats: number, settledAt: Date|null}>}
+   */
+  async getInvoice(paymentHash) {
+    const invoice = await this.request(`/v1/invoice/${paymentHash}`);
+    const expiresAt = (Number(invoice.creation_date) + Number(invoice.expiry)) * 1000;
+
+    let status = LND_STATES[invoice.state] || 'open';
+    // LND leaves unpaid invoices OPEN after they expire
+    if (status === 'open' && invoice.state === 'OPEN' && Date.now() > expiresAt) {
+      status = 'expired';
+    }
+
+    return {
+      status,
+      amountReceivedSats: Number(invoice.amt_paid_sat || 0),
+      settledAt: status === 'settled' && Number(invoice.settle_date) ? new Date(Number(invoice.settle_date) * 1000) : null
+    };
+  }
+}
+
+/**
+ * Creates and looks up BOLT11 invoices on a Core Lightning node through the
+ * clnrest plugin, authorised by a rune restricted to invoice and
+ * listinvoices.
+ */
+export class ClnLightningBackend {
+  constructor({ url, rune, tlsCertificate }) {
+    if (!url || !rune) {
+      throw new Error('Core Lightning backend requires a REST URL and a rune');
+    }
+
+    this.url = trimUrl(url);
+    this.rune = rune;
+    this.httpsAgent = httpsAgent(tlsCertificate);
+  }
+
+  // clnrest exposes every RPC command as POST /v1/<command>
+  async call(command, params) {
+    try {
+      const response = await axios.post(`${this.url}/v1/${command}`, params, {
+        headers: { 'Rune': this.rune, 'Content-Type': 'application/json' },
+        httpsAgent: this.httpsAgent,
+        timeout: 10000
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Core Lightning API error: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  async createInvoice({ amountSats, memo, expirySeconds, label }) {
+    const invoice = await this.call('invoice', {
+      amount_msat: amountSats * 1000,
+      label,
+      description: memo,
+      expiry: expirySeconds
+    });
+
+    return {
+      paymentHash: invoice.payment_hash,
+      paymentRequest: invoice.bolt11,
+      expiresAt: new Date(invoice.expires_at * 1000)
+    };
+  }
+
+  async getInvoice(paymentHash) {
+    const { invoices } = await this.call('listinvoices', { payment_hash: paymentHash });
+    const invoice = invoices?.[0];
+    if (!invoice) {
+      throw new Error(`Core Lightning API error: no invoice with payment hash ${paymentHash}`);
+    }
+
+    const status = CLN_STATUSES[invoice.status] || 'open';
+    return {
+      status,
+      amountReceivedSats: Math.floor(Number(invoice.amount_received_msat || 0) / 1000),
+      settledAt: status === 'settled' && invoice.paid_at ? new Date(invoice.paid_at * 1000) : null
+    };
+  }
+}
+
+/**
+ * Build the node backend named in the gateway settings
+ */
+export const createLightningBackend = (name, settings) => {
+  switch (name) {
+  case 'lnd':
+    return new LndLightningBackend({
+      url: settings.lndRestUrl,
+      macaroon: settings.lndMacaroon,
+      tlsCertificate: settings.tlsCertificate
+    });
+  case 'cln':
+    return new ClnLightningBackend({
+      url: settings.clnRestUrl,
+      rune: settings.clnRune,
+      tlsCertificate: settings.tlsCertificate
+    });
+  default:
+    throw new Error(`Unsupported Lightning backend: ${name}`);
+  }
+};
@@ -0,0 +1,155 @@
+import fs from 'fs';
+import PaymentGateway from '../models/PaymentGateway.js';
+import bitcoinService from './bitcoinService.js';
+import { createLightningBackend } from './lightningBackends.js';
+import logger, { logError } from '../utils/logger.js';
+
+class LightningService {
+  constructor() {
+    // Invoices are priced at the rate of the moment, so they are kept short
+    // and re-issued while the order's payment window is open
+    this.invoiceExpiryMs = 60 * 60 * 1000;
+
+    // Gateway settings are re-read at most once a minute
+    this.gatewayCacheMs = 60 * 1000;
+    this.gatewayCache = {
+      gateway: null,
+      timestamp: null
+    };
+  }
+
+  /**
+   * Load the Lightning payment gateway settings (enabled gateway first)
+   */
+  async getGatewaySettings() {
+    const now = Date.now();
+    if (this.gatewayCache.timestamp && now - this.gatewayCache.timestamp < this.gatewayCacheMs) {
+      return this.gatewayCache.gateway;
+    }
+
+    try {
+      const gateway = await PaymentGateway.findOne({ provider: 'lightning' }).sort({ isEnabled: -1, displayOrder: 1 });
+      this.gatewayCache = { gateway, timestamp: now };
+      return gateway;
+    } catch (error) {
+      logError(error, { context: 'lightning_gateway_settings' });
+      return null;
+    }
+  }
+
+  /**
+   * Node settings from a gateway's config, with credentials from the
+   * environment taking precedence over the database
+   * @param {Object} [config] - PaymentGateway config
+   */
+  getNodeSettings(config = {}) {
+    const certificatePath = process.env.LIGHTNING_TLS_CERT_PATH;
+
+    return {
+      backend: config.lightningBackend || process.env.LIGHTNING_BACKEND || 'lnd',
+      lndRestUrl: config.lndRestUrl || process.env.LND_REST_URL,
+      lndMacaroon: process.env.LND_MACAROON || config.lndMacaroon,
+      clnRestUrl: config.clnRestUrl || process.env.CLN_REST_URL,
+      clnRune: process.env.CLN_RUNE || config.clnRune,
+      tlsCertificate: certificatePath ? fs.readFileSync(certificatePath) : undefined
+    };
+  }
+
+  /**
+   * Whether a node is configured, without contacting it
+   * @param {Object} [config] - PaymentGateway config
+   */
+  isConfigured(config) {
+    const settings = this.getNodeSettings(config);
+    return settings.backend === 'cln'
+      ? !!(settings.clnRestUrl && settings.clnRune)
+      : !!(settings.lndRestUrl && settings.lndMacaroon);
+  }
+
+  /**
+   * Resolve the node backend from the gateway settings. Pass a name to
+   * reach the backend an order's invoice was created on.
+   */
+  async getBackend(name) {
+    const gateway = await this.getGatewaySettings();
+    const settings = this.getNodeSettings(gateway?.config);
+    const backendName = name || settings.backend;
+
+    return {
+      name: backendName,
+      backend: createLightningBackend(backendName, settings)
+    };
+  }
+
+  /**
+   * Create a BOLT11 invoice for an order at the current BTC/GBP rate. The
+   * invoice expires after invoiceExpiryMs or at the end of the payment
+   * window, whichever comes first.
+   * @param {number} orderAmount - Order total in GBP
+   * @param {Object} options - { orderId, orderNumber, paymentExpiry }
+   * @returns {Promise<Object>} - Order paymentDetails fields
+   */
+  async createInvoice(orderAmount, { orderId, orderNumber, paymentExpiry }) {
+    try {
+      const { name, backend } = await this.getBackend();
+      const { btcAmount, exchangeRate, exchangeRateTimestamp } = await bitcoinService.convertGbpToBtc(orderAmount);
+
+      const amountSats = bitcoinService.btcToSatoshis(btcAmount);
+      const expiresAt = Math.min(Date.now() + this.invoiceExpiryMs, new Date(paymentExpiry).getTime());
+
+      const invoice = await backend.createInvoice({
+        amountSats,
+        memo: `RDJCustoms order ${orderNumber}`,
+        expirySeconds: Math.max(60, Math.floor((expiresAt - Date.now()) / 1000)),
+        // Core Lightning labels must be unique per invoice
+        label: `order-${orderId}-${Date.now()}`
+      });
+
+      logger.info('Lightning invoice created', { orderId, paymentHash: invoice.paymentHash, amountSats });
+
+      return {
+        lightningBackend: name,
+        lightningPaymentHash: invoice.paymentHash,
+        lightningInvoice: invoice.paymentRequest,
+        lightningAmountSats: amountSats,
+        lightningInvoiceExpiry: invoice.expiresAt,
+        lightningPaymentExpiry: paymentExpiry,
+        bitcoinAmount: btcAmount,
+        bitcoinExchangeRate: exchangeRate,
+        bitcoinExchangeRateTimestamp: exchangeRateTimestamp
+      };
+    } catch (error) {
+      logError(error, { context: 'lightning_invoice_creation', orderId, orderAmount });
+      throw error;
+    }
+  }
+
+  /**
+   * Look up an order's invoice on the node it was created on
+   * @returns {Promise<{status: string, amountReceived: number, amountReceivedSats: number, settledAt: Date|null}>}
+   *   status is open, settled, expired or cancelled; amountReceived is in BTC
+   */
+  async checkInvoice(paymentDetails) {
+    try {
+      const { backend } = await this.getBackend(paymentDetails.lightningBackend);
+      const invoice = await backend.getInvoice(paymentDetails.lightningPaymentHash);
+
+      return {
+        ...invoice,
+        amountReceived: bitcoinService.satoshisToBtc(invoice.amountReceivedSats)
+      };
+    } catch (error) {
+      logError(error, { context: 'lightning_invoice_check', paymentHash: paymentDetails.lightningPaymentHash });
+      throw new Error('Failed to check Lightning invoice');
+    }
+  }
+
+  /**
+   * Whether an invoice can still be paid
+   */
+  isInvoiceOpen(paymentDetails) {
+    return !!paymentDetails?.lightningInvoice && new Date() < new Date(paymentDetails.lightningInvoiceExpiry);
+  }
+}
+
+export default new LightningService();
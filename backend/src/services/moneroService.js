@@ -1,5 +1,7 @@
 import axios from 'axios';
 import crypto from 'crypto';
+import PaymentGateway from '../models/PaymentGateway.js';
+import { MoneroWalletRpcBackend } from './moneroWalletRpc.js';
 import logger, { logError } from '../utils/logger.js';
 
 // GloBee API configuration
@@ -27,6 +29,59 @@ class MoneroService {
     this.apiKey = GLOBEE_API_KEY;
     this.secret = GLOBEE_SECRET;
     this.baseURL = GLOBEE_API_URL;
+
+    // Gateway settings are re-read at most once a minute
+    this.gatewayCacheMs = 60 * 1000;
+    this.gatewayCache = {
+      gateway: null,
+      timestamp: null
+    };
+  }
+
+  /**
+   * Load the Monero payment gateway settings (enabled gateway first)
+   * @returns {Promise<Object|null>} - PaymentGateway document
+   */
+  async getGatewaySettings() {
+    const now = Date.now();
+    if (this.gatewayCache.timestamp && now - this.gatewayCache.timestamp < this.gatewayCacheMs) {
+      return this.gatewayCache.gateway;
+    }
+
+    try {
+      const gateway = await PaymentGateway.findOne({ provider: 'monero' }).sort({ isEnabled: -1, displayOrder: 1 });
+      this.gatewayCache = { gateway, timestamp: now };
+      return gateway;
+    } catch (error) {
+      logError(error, { context: 'monero_gateway_settings' });
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the Monero backend from the gateway settings ('globee' or
+   * 'wallet_rpc'). RPC credentials come from the environment.
+   * @param {string} [name] - Backend to use instead of the configured one
+   * @returns {Promise<{name: string, walletRpc: MoneroWalletRpcBackend|null}>}
+   */
+  async getBackend(name) {
+    const gateway = await this.getGatewaySettings();
+    const config = gateway?.config || {};
+    const backendName = name || config.moneroBackend || 'globee';
+
+    if (backendName !== 'wallet_rpc') {
+      return { name: backendName, walletRpc: null };
+    }
+
+    return {
+      name: backendName,
+      walletRpc: new MoneroWalletRpcBackend({
+        url: config.moneroWalletRpcUrl || process.env.MONERO_WALLET_RPC_URL,
+        username: process.env.MONERO_WALLET_RPC_USERNAME,
+        password: process.env.MONERO_WALLET_RPC_PASSWORD,
+        accountIndex: config.moneroAccountIndex || 0
+      })
+    };
   }
 
   // For testing purposes, expose cache
@@ -136,6 +191,11 @@ class MoneroService {
    */
   async createPaymentRequest(paymentData) {
     try {
+      const { name, walletRpc } = await this.getBackend();
+      if (name === 'wallet_rpc') {
+        return await this.createWalletPaymentRequest(walletRpc, paymentData);
+      }
+
       if (!this.apiKey) {
         throw new Error('GloBee API key not configured');
       }
@@ -186,6 +246,50 @@ class MoneroService {
     }
   }
 
+  /**
+   * Create a payment request as a new subaddress in the merchant's wallet
+   * @param {MoneroWalletRpcBackend} walletRpc - Wallet RPC client
+   * @param {Object} paymentData - Payment request data
+   * @returns {Promise<Object>} - Payment request in the GloBee response shape
+   */
+  async createWalletPaymentRequest(walletRpc, { orderId, amount, currency = 'XMR' }) {
+    const { address, subaddressIndex } = await walletRpc.createPayment({ orderId });
+
+    logger.info(`Created Monero subaddress ${subaddressIndex} for order ${orderId}`);
+
+    return {
+      paymentId: null,
+      address,
+      amount,
+      currency,
+      expirationTime: this.getPaymentExpirationTime(),
+      paymentUrl: null,
+      status: 'unpaid',
+      backend: 'wallet_rpc',
+      subaddressIndex
+    };
+  }
+
+  /**
+   * Read an order's subaddress from the wallet as a GloBee-style notification
+   * @param {Object} order - Order with wallet RPC payment details
+   * @returns {Promise<Object>} - Notification for processWebhookNotification
+   */
+  async getWalletPaymentNotification(order) {
+    try {
+      const { walletRpc } = await this.getBackend('wallet_rpc');
+      return await walletRpc.getPaymentNotification({
+        orderId: order._id.toString(),
+        subaddressIndex: order.paymentDetails.moneroSubaddressIndex,
+        expectedAmount: order.paymentDetails.xmrAmount,
+        expirationTime: order.paymentDetails.expirationTime
+      });
+    } catch (error) {
+      logError(error, { context: 'monero_wallet_payment_check', orderId: order._id });
+      throw new Error(`Unable to fetch payment status: ${error.message}`);
+    }
+  }
+
   /**
    * Get payment status from GloBee
    * @param {string} paymentId - GloBee payment ID
@@ -0,0 +1,132 @@
+import axios from 'axios';
+import crypto from 'crypto';
+
+// Monero amounts are in atomic units (piconero)
+const ATOMIC_UNITS_PER_XMR = 1e12;
+
+const md5 = value => crypto.createHash('md5').update(value).digest('hex');
+
+/**
+ * Client for a merchant-run monero-wallet-rpc. Each order gets its own
+ * subaddress in the configured account, and incoming transfers to it are
+ * read with get_transfers, so funds never leave the merchant's wallet.
+ */
+export class MoneroWalletRpcBackend {
+  constructor({ url, username, password, accountIndex = 0 }) {
+    if (!url) {
+      throw new Error('Monero wallet RPC URL not configured');
+    }
+
+    const endpoint = new URL(url);
+    if (endpoint.pathname === '/' || endpoint.pathname === '') {
+      endpoint.pathname = '/json_rpc';
+    }
+
+    this.url = endpoint.toString();
+    this.path = endpoint.pathname;
+    this.username = username;
+    this.password = password;
+    this.accountIndex = accountIndex;
+    this.requestId = 0;
+  }
+
+  /**
+   * Build a Digest Authorization header (monero-wallet-rpc --rpc-login)
+   */
+  digestAuthorization(challenge) {
+    const fields = Object.fromEntries(
+      [...challenge.matchAll(/(\w+)="?([^",]*)"?/g)].map(([, key, value]) => [key, value])
+    );
+    const cnonce = crypto.randomBytes(8).toString('hex');
+    const nc = '00000001';
+    const ha1 = md5(`${this.username}:${fields.realm}:${this.password}`);
+    const ha2 = md5(`POST:${this.path}`);
+    const response = md5(`${ha1}:${fields.nonce}:${nc}:${cnonce}:auth:${ha2}`);
+
+    return `Digest username="${this.username}", realm="${fields.realm}", nonce="${fields.nonce}", uri="${this.path}", ` +
+      `algorithm=MD5, response="${response}", qop=auth, nc=${nc}, cnonce="${cnonce}"`;
+  }
+
+  async call(method, params = {}) {
+    const body = { jsonrpc: '2.0', id: String(++this.requestId), method, params };
+    const post = headers => axios.post(this.url, body, {
+      headers: { 'Content-Type': 'application/json', ...headers },
+      timeout: 10000,
+      validateStatus: status => status < 500
+    });
+
+    let response = await post();
+    if (response.status === 401 && this.username && response.headers['www-authenticate']) {
+      response = await post({ Authorization: this.digestAuthorization(response.headers['www-authenticate']) });
+    }
+
+    if (response.status !== 200) {
+      throw new Error(`Monero wallet RPC error: HTTP ${response.status}`);
+    }
+    if (response.data.error) {
+      throw new Error(`Monero wallet RPC error: ${response.data.error.message}`);
+    }
+    return response.data.result;
+  }
+
+  /**
+   * Create a fresh subaddress labelled with the order ID
+   */
+  async createPayment({ orderId }) {
+    const result = await this.call('create_address', {
+      account_index: this.accountIndex,
+      label: `order:${orderId}`
+    });
+
+    return {
+      address: result.address,
+      subaddressIndex: result.address_index
+    };
+  }
+
+  /**
+   * Incoming transfers to a subaddress, confirmed and in the pool
+   */
+  async getTransfers(subaddressIndex) {
+    const result = await this.call('get_transfers', {
+      in: true,
+      pool: true,
+      account_index: this.accountIndex,
+      subaddr_indices: [subaddressIndex]
+    });
+
+    return [...(result.in || []), ...(result.pool || [])];
+  }
+
+  /**
+   * Describe an order's subaddress the way a GloBee IPN would, so the
+   * result goes through moneroService.processWebhookNotification
+   */
+  async getPaymentNotification({ orderId, subaddressIndex, expectedAmount, expirationTime }) {
+    const transfers = await this.getTransfers(subaddressIndex);
+
+    const paidAmount = transfers.reduce((total, transfer) => total + transfer.amount, 0) / ATOMIC_UNITS_PER_XMR;
+    const confirmations = transfers.length > 0
+      ? Math.min(...transfers.map(transfer => transfer.confirmations || 0))
+      : 0;
+
+    let status = 'unpaid';
+    if (paidAmount >= expectedAmount) {
+      status = 'paid';
+    } else if (paidAmount > 0) {
+      status = 'underpaid';
+    } else if (expirationTime && new Date() > new Date(expirationTime)) {
+      status = 'expired';
+    }
+
+    return {
+      id: null,
+      order_id: orderId,
+      status,
+      confirmations,
+      paid_amount: paidAmount,
+      total_amount: expectedAmount,
+      transaction_hash: transfers[0]?.txid || null
+    };
+  }
+}
@@ -1,4 +1,5 @@
 import { processReferralQualification } from '../controllers/referralController.js';
+import giftCardService from './giftCardService.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -27,6 +28,9 @@ export class OrderCompletionService {
       // Process referral qualification if applicable
       await this.processReferralForOrder(userId, orderId, orderTotal);
 
+      // Issue gift cards bought on the order; already issued ones are skipped
+      await giftCardService.issueForOrder(order);
+
       // Add other order completion logic here as needed
       // - Email notifications
       // - Inventory updates
@@ -60,6 +64,11 @@ export class OrderCompletionService {
    * @param {Number} orderTotal - Total order amount
    */
   static async processReferralForOrder(userId, orderId, orderTotal) {
+    // Guest orders have no account that could have been referred
+    if (!userId) {
+      return;
+    }
+
     try {
       const referralResult = await processReferralQualification(userId, orderId, orderTotal);
       
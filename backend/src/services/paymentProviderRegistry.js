@@ -0,0 +1,139 @@
+import PaymentGateway from '../models/PaymentGateway.js';
+import { PAYMENT_PROVIDER_ADAPTERS, PAYMENT_PROVIDER_TYPES, paymentProviderError } from './paymentProviders/index.js';
+import { logError } from '../utils/logger.js';
+
+// Tender methods (gift cards, store credit) pay from store value rather than through a
+// gateway; they are always available and never listed as store methods
+const isTender = type => PAYMENT_PROVIDER_ADAPTERS[type]?.defaults.checkout.flow === 'tender';
+
+/**
+ * Payment methods offered by the store, built from the PaymentGateway
+ * collection. Each gateway whose provider has an adapter is registered
+ * while enabled, in display order. A method with no gateway document runs
+ * on its environment configuration, as before gateways were managed.
+ */
+class PaymentProviderRegistry {
+  constructor() {
+    // Gateways are re-read at most once a minute
+    this.cacheMs = 60 * 1000;
+    this.cache = {
+      providers: null,
+      timestamp: null
+    };
+  }
+
+  /**
+   * Every payment method type an adapter exists for
+   * @returns {string[]}
+   */
+  getTypes() {
+    return PAYMENT_PROVIDER_TYPES;
+  }
+
+  isKnownType(type) {
+    return PAYMENT_PROVIDER_TYPES.includes(type);
+  }
+
+  /**
+   * Enabled payment providers in display order
+   * @returns {Promise<PaymentProvider[]>}
+   */
+  async getProviders() {
+    const now = Date.now();
+    if (this.cache.timestamp && now - this.cache.timestamp < this.cacheMs) {
+      return this.cache.providers;
+    }
+
+    let gateways;
+    try {
+      gateways = await PaymentGateway.find({ provider: { $in: PAYMENT_PROVIDER_TYPES } })
+        .sort({ displayOrder: 1, name: 1 });
+    } catch (error) {
+      logError(error, { context: 'payment_provider_registry' });
+      gateways = [];
+    }
+
+    const configured = new Set(gateways.map(gateway => gateway.provider));
+    let providers = [];
+
+    for (const gateway of gateways) {
+      // One provider per method; the first enabled gateway wins
+      if (gateway.isEnabled && !providers.some(provider => provider.type === gateway.provider)) {
+        providers.push(new PAYMENT_PROVIDER_ADAPTERS[gateway.provider](gateway));
+      }
+    }
+
+    for (const type of PAYMENT_PROVIDER_TYPES) {
+      if (!configured.has(type) && !isTender(type)) {
+        providers.push(new PAYMENT_PROVIDER_ADAPTERS[type]());
+      }
+    }
+
+    // Leave out methods missing the credentials they need
+    providers = providers.filter(provider => provider.isAvailable());
+
+    this.cache = { providers, timestamp: now };
+    return providers;
+  }
+
+  /**
+   * Provider for an enabled payment method
+   * @param {string} type - Payment method type, e.g. 'paypal'
+   * @returns {Promise<PaymentProvider>}
+   * @throws {Error} - statusCode 400 when the method is unknown or disabled
+   */
+  async getProvider(type) {
+    if (isTender(type)) {
+      return new PAYMENT_PROVIDER_ADAPTERS[type]();
+    }
+
+    const providers = await this.getProviders();
+    const provider = providers.find(candidate => candidate.type === type);
+
+    if (!provider) {
+      throw paymentProviderError(`Payment method ${type || '(none)'} is not available`, 400);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Provider an existing order was paid through, for refunds and status
+   * checks. A method disabled since the order was paid still resolves, to
+   * its adapter on environment configuration.
+   * @param {Object} order - Order with paymentMethod.type
+   * @returns {Promise<PaymentProvider>}
+   * @throws {Error} - statusCode 400 when no adapter exists for the type
+   */
+  async getProviderForOrder(order) {
+    const type = order.paymentMethod?.type;
+    const providers = await this.getProviders();
+    const provider = providers.find(candidate => candidate.type === type);
+
+    if (provider) {
+      return provider;
+    }
+
+    if (!this.isKnownType(type)) {
+      throw paymentProviderError(`Payment method ${type || '(none)'} is not supported`, 400);
+    }
+
+    return new PAYMENT_PROVIDER_ADAPTERS[type]();
+  }
+
+  /**
+   * Storefront descriptions of the enabled payment methods
+   * @returns {Promise<Object[]>}
+   */
+  async getAvailableMethods() {
+    const providers = await this.getProviders();
+    return providers.map(provider => provider.describe());
+  }
+
+  // Forget cached gateways after an admin changes them
+  clearCache() {
+    this.cache = { providers: null, timestamp: null };
+  }
+}
+
+export default new PaymentProviderRegistry();
@@ -0,0 +1,69 @@
+import bitcoinService from '../bitcoinService.js';
+import { PaymentProvider, getAmountDue } from './PaymentProvider.js';
+
+/**
+ * On-chain Bitcoin through Blockonomics, an xpub or BTCPay Server (see
+ * bitcoinBackends.js). The order is placed unpaid and the customer pays to
+ * the address shown on the Bitcoin payment page.
+ */
+export class BitcoinPaymentProvider extends PaymentProvider {
+  static type = 'bitcoin';
+
+  static defaults = {
+    name: 'Bitcoin',
+    description: 'Pay with Bitcoin - private and secure',
+    icon: { symbol: '₿', color: 'orange' },
+    instructions: [
+      'You\'ll receive a unique Bitcoin address and exact amount',
+      'Payment must be received within 24 hours',
+      'Order confirmation after 2 network confirmations (~30 minutes)',
+      'Current exchange rate will be locked for 15 minutes'
+    ],
+    checkout: { flow: 'redirect', paymentPath: '/payment/bitcoin/:orderId' },
+    supportsRefunds: false
+  };
+
+  create(order) {
+    return bitcoinService.createBitcoinPayment(getAmountDue(order), { orderId: order._id.toString() });
+  }
+
+  async getStatus(order) {
+    const details = order.paymentDetails || {};
+
+    let update = await bitcoinService.checkPaymentStatus(details);
+    if (!update) {
+      // Blockonomics reports settled and unsettled balances
+      const info = await bitcoinService.getBitcoinAddressInfo(details.bitcoinAddress);
+      const settled = bitcoinService.satoshisToBtc(info.balance);
+      update = {
+        amountReceived: settled + bitcoinService.satoshisToBtc(info.unconfirmedBalance),
+        confirmations: details.bitcoinConfirmations || 0,
+        confirmed: info.unconfirmedBalance === 0 && settled > 0
+      };
+    }
+
+    let status = 'pending';
+    if (update.amountReceived > 0) {
+      if (!bitcoinService.isPaymentSufficient(update.amountReceived, details.bitcoinAmount)) {
+        status = 'underpaid';
+      } else if (update.confirmed || bitcoinService.isPaymentConfirmed(update.confirmations)) {
+        status = 'completed';
+      } else {
+        status = 'awaiting_confirmation';
+      }
+    }
+
+    return {
+      status,
+      amountReceived: update.amountReceived,
+      currency: 'BTC',
+      confirmations: update.confirmations
+    };
+  }
+
+  // Only BTCPay Server signs its webhooks
+  async verifyWebhook({ headers, body, rawBody }) {
+    const { backend } = await bitcoinService.getBackend('btcpay');
+    return backend.verifyWebhookSignature(rawBody || JSON.stringify(body), headers['btcpay-sig']);
+  }
+}
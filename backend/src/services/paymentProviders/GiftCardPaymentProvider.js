@@ -0,0 +1,28 @@
+import { PaymentProvider, paymentProviderError } from './PaymentProvider.js';
+
+/**
+ * Orders paid for entirely with gift cards. The cards are redeemed by
+ * placeOrder before capture, which leaves nothing for this provider to
+ * collect; it only confirms that. Cards that cover part of an order are
+ * redeemed the same way alongside another method.
+ */
+export class GiftCardPaymentProvider extends PaymentProvider {
+  static type = 'gift_card';
+
+  static defaults = {
+    name: 'Gift card',
+    description: 'Pay with a gift card',
+    icon: { symbol: 'GC', color: 'green' },
+    instructions: [],
+    checkout: { flow: 'tender', paymentPath: null },
+    supportsRefunds: false
+  };
+
+  async capture(order) {
+    if (order.totalAmount > 0) {
+      throw paymentProviderError('Gift cards do not cover the order total. Please choose another payment method.', 400);
+    }
+
+    return { paymentDetails: {}, captured: false };
+  }
+}
@@ -0,0 +1,58 @@
+import lightningService from '../lightningService.js';
+import { PaymentProvider, getAmountDue } from './PaymentProvider.js';
+
+// Invoice states as order payment statuses
+const PAYMENT_STATUSES = {
+  open: 'awaiting_confirmation',
+  settled: 'completed',
+  expired: 'pending',
+  cancelled: 'pending'
+};
+
+/**
+ * Bitcoin over the Lightning Network through the merchant's own LND or
+ * Core Lightning node (see lightningBackends.js). The order is placed
+ * unpaid and the customer pays a BOLT11 invoice on the Lightning payment
+ * page; settlement is final, so there are no confirmations to wait for.
+ */
+export class LightningPaymentProvider extends PaymentProvider {
+  static type = 'lightning';
+
+  static defaults = {
+    name: 'Bitcoin Lightning',
+    description: 'Pay instantly with a Lightning wallet - ideal for small orders',
+    icon: { symbol: '⚡', color: 'yellow' },
+    instructions: [
+      'You\'ll receive a Lightning invoice to scan with your wallet',
+      'Payment confirms within seconds, with no network fees to wait on',
+      'Each invoice is valid for up to an hour; a new one is issued if it lapses',
+      'Payment must be made within 24 hours'
+    ],
+    checkout: { flow: 'redirect', paymentPath: '/payment/lightning/:orderId' },
+    supportsRefunds: false
+  };
+
+  // Needs a node to create invoices on
+  isAvailable() {
+    return lightningService.isConfigured(this.gateway?.config);
+  }
+
+  create(order) {
+    return lightningService.createInvoice(getAmountDue(order), {
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      paymentExpiry: order.paymentDetails?.lightningPaymentExpiry
+    });
+  }
+
+  async getStatus(order) {
+    const invoice = await lightningService.checkInvoice(order.paymentDetails || {});
+
+    return {
+      status: PAYMENT_STATUSES[invoice.status] || 'pending',
+      amountReceived: invoice.amountReceived,
+      currency: 'BTC',
+      providerStatus: invoice.status
+    };
+  }
+}
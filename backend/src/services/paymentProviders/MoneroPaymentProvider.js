@@ -0,0 +1,76 @@
+import moneroService from '../moneroService.js';
+import { PaymentProvider, getAmountDue } from './PaymentProvider.js';
+
+// processWebhookNotification statuses as order payment statuses
+const PAYMENT_STATUSES = {
+  confirmed: 'completed',
+  partially_confirmed: 'awaiting_confirmation',
+  underpaid: 'underpaid',
+  failed: 'failed',
+  pending: 'pending'
+};
+
+/**
+ * Monero through GloBee or a merchant-run monero-wallet-rpc. The order is
+ * placed unpaid and the customer pays on the Monero payment page.
+ */
+export class MoneroPaymentProvider extends PaymentProvider {
+  static type = 'monero';
+
+  static defaults = {
+    name: 'Monero',
+    description: 'Pay with Monero - private and untraceable',
+    icon: { symbol: 'ɱ', color: 'orange' },
+    instructions: [
+      'You\'ll receive a unique Monero address and exact XMR amount',
+      'Payment must be received within 24 hours',
+      'Order confirmation after 10 network confirmations (~20 minutes)',
+      'Current exchange rate will be locked for 5 minutes',
+      'Completely private and untraceable payment'
+    ],
+    checkout: { flow: 'redirect', paymentPath: '/payment/monero/:orderId' },
+    supportsRefunds: false
+  };
+
+  async create(order) {
+    const { xmrAmount, exchangeRate, validUntil } = await moneroService.convertGbpToXmr(getAmountDue(order));
+    const request = await moneroService.createPaymentRequest({
+      orderId: order._id.toString(),
+      amount: xmrAmount,
+      currency: 'XMR',
+      customerEmail: order.customerEmail
+    });
+
+    return {
+      globeePaymentId: request.paymentId,
+      moneroAddress: request.address,
+      moneroBackend: request.backend,
+      moneroSubaddressIndex: request.subaddressIndex,
+      xmrAmount,
+      exchangeRate,
+      exchangeRateValidUntil: validUntil,
+      expirationTime: request.expirationTime,
+      paymentUrl: request.paymentUrl
+    };
+  }
+
+  async getStatus(order) {
+    const details = order.paymentDetails || {};
+    const paymentStatus = details.moneroBackend === 'wallet_rpc'
+      ? await moneroService.getWalletPaymentNotification(order)
+      : await moneroService.getPaymentStatus(details.globeePaymentId);
+    const notification = moneroService.processWebhookNotification(paymentStatus);
+
+    return {
+      status: PAYMENT_STATUSES[notification.status] || 'pending',
+      amountReceived: notification.paidAmount || 0,
+      currency: 'XMR',
+      confirmations: notification.confirmations
+    };
+  }
+
+  // GloBee signs the JSON body; wallet RPC payments are polled, not pushed
+  verifyWebhook({ headers, body }) {
+    return Promise.resolve(moneroService.verifyWebhookSignature(JSON.stringify(body), headers['x-globee-signature']));
+  }
+}
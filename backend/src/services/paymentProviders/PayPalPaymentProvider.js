@@ -0,0 +1,164 @@
+import paypalService from '../paypalService.js';
+import { PaymentProvider, paymentProviderError } from './PaymentProvider.js';
+
+// Store orders are charged in GBP
+const PAYPAL_CURRENCY = 'GBP';
+
+/**
+ * PayPal Checkout. The customer approves a PayPal order in the browser,
+ * which usually captures it too, and placeOrder checks it against the
+ * server-computed total, capturing it if the browser did not.
+ */
+export class PayPalPaymentProvider extends PaymentProvider {
+  static type = 'paypal';
+
+  static defaults = {
+    name: 'PayPal',
+    description: 'Pay with your PayPal account',
+    icon: { symbol: 'PP', color: 'blue' },
+    instructions: [],
+    checkout: { flow: 'capture', paymentPath: null },
+    supportsRefunds: true
+  };
+
+  getCheckoutReference({ paypalOrderId } = {}) {
+    return paypalOrderId ? { 'paymentDetails.paypalOrderId': paypalOrderId } : null;
+  }
+
+  async create(order) {
+    const paypalOrder = await paypalService.createOrder(order.totalAmount, PAYPAL_CURRENCY, order.orderNumber);
+    return { paypalOrderId: paypalOrder.id };
+  }
+
+  async getStatus(order) {
+    const paypalOrder = await paypalService.getOrderDetails(order.paymentDetails.paypalOrderId);
+    const captured = paypalService.getCompletedCaptures(paypalOrder);
+
+    let status = 'pending';
+    if (paypalOrder.status === 'COMPLETED' && captured.captures.length > 0) {
+      status = 'completed';
+    } else if (paypalOrder.status === 'VOIDED') {
+      status = 'failed';
+    }
+
+    return {
+      status,
+      amountReceived: captured.amount / 100,
+      currency: captured.currency || PAYPAL_CURRENCY,
+      providerStatus: paypalOrder.status
+    };
+  }
+
+  /**
+   * Check a PayPal order against the order total, capturing it if it has
+   * been approved but not captured yet. Captures that do not pay the total,
+   * whether taken here or in the browser, are refunded before the error is
+   * thrown.
+   */
+  async capture(order, { paypalOrderId } = {}) {
+    if (!paypalOrderId) {
+      throw paymentProviderError('PayPal order is required', 400);
+    }
+
+    const expectedAmount = paypalService.toMinorUnits(order.totalAmount);
+
+    let paypalOrder;
+    try {
+      paypalOrder = await paypalService.getOrderDetails(paypalOrderId);
+    } catch (error) {
+      if (error.statusCode === 404 || error.statusCode === 422) {
+        throw paymentProviderError('Invalid PayPal order', 400);
+      }
+      throw paymentProviderError('Unable to verify PayPal payment. Please try again.', 503);
+    }
+
+    const approved = paypalService.getOrderAmount(paypalOrder);
+    if (approved.currency !== PAYPAL_CURRENCY || approved.amount !== expectedAmount) {
+      if (paypalOrder.status === 'COMPLETED') {
+        await this.refundCaptures(paypalService.getCompletedCaptures(paypalOrder).captures);
+      }
+      throw paymentProviderError('PayPal payment amount does not match the order total', 400);
+    }
+
+    if (paypalOrder.status === 'APPROVED') {
+      try {
+        paypalOrder = await paypalService.captureOrder(paypalOrderId);
+      } catch (error) {
+        throw error.statusCode === 422
+          ? paymentProviderError('PayPal payment could not be captured', 400)
+          : paymentProviderError('Unable to capture PayPal payment. Please try again.', 503);
+      }
+    } else if (paypalOrder.status !== 'COMPLETED') {
+      throw paymentProviderError('PayPal order has not been approved', 400);
+    }
+
+    const completed = paypalService.getCompletedCaptures(paypalOrder);
+    if (completed.currency !== PAYPAL_CURRENCY || completed.amount !== expectedAmount) {
+      await this.refundCaptures(completed.captures);
+      throw paymentProviderError('PayPal payment was not captured in full', 400);
+    }
+
+    const [capture] = completed.captures;
+    const payer = paypalOrder.payer || {};
+
+    // Captured here or in the browser, the money is held either way, so
+    // placeOrder refunds it if the order cannot be saved
+    return {
+      captured: true,
+      paymentDetails: {
+        paypalOrderId,
+        paypalPaymentId: capture.id,
+        paypalTransactionId: capture.id,
+        paypalPayerId: payer.payer_id,
+        paypalPayerEmail: payer.email_address
+      }
+    };
+  }
+
+  async refund(order, { amount } = {}) {
+    const captureId = order.paymentDetails?.paypalTransactionId;
+    if (!captureId) {
+      throw paymentProviderError('Order has no PayPal capture to refund', 400);
+    }
+
+    const refund = await paypalService.refundPayment(captureId, amount, PAYPAL_CURRENCY);
+
+    return {
+      refundId: refund.id,
+      amount: refund.amount?.value ? parseFloat(refund.amount.value) : (amount ?? order.totalAmount),
+      status: refund.status === 'COMPLETED' ? 'succeeded' : 'pending'
+    };
+  }
+
+  // An order the browser captured is refunded; one only approved is left
+  // to expire, as nothing has been taken
+  async releaseCheckout({ paypalOrderId } = {}) {
+    if (!paypalOrderId) {
+      return;
+    }
+
+    try {
+      const paypalOrder = await paypalService.getOrderDetails(paypalOrderId);
+      if (paypalOrder.status === 'COMPLETED') {
+        await this.refundCaptures(paypalService.getCompletedCaptures(paypalOrder).captures);
+      }
+    } catch (releaseError) {
+      console.error('PayPal release error:', releaseError);
+    }
+  }
+
+  // Refund captures taken for an order that could not be placed
+  async refundCaptures(captures) {
+    for (const capture of captures) {
+      try {
+        await paypalService.refundPayment(capture.id);
+      } catch (refundError) {
+        console.error('PayPal refund error:', refundError);
+      }
+    }
+  }
+
+  verifyWebhook({ headers, body }) {
+    return paypalService.verifyWebhookSignature(headers, body, this.gateway?.config?.paypalWebhookId || process.env.PAYPAL_WEBHOOK_ID);
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * Build an error a controller can answer with statusCode
+ * @param {string} message - Message safe to show the customer
+ * @param {number} statusCode - HTTP status for the response
+ * @returns {Error}
+ */
+export const paymentProviderError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * What is left for a payment provider to collect on an order once gift
+ * cards and store credit spent at checkout are taken off
+ * @param {Object} order - Order ({ totalAmount, giftCardAmount, storeCreditAmount })
+ * @returns {number} - GBP
+ */
+export const getAmountDue = order => Math.round(
+  (order.totalAmount - (order.giftCardAmount || 0) - (order.storeCreditAmount || 0)) * 100
+) / 100;
+
+/**
+ * Interface every payment method implements. An adapter extends this class,
+ * sets `type` (the value stored in Order.paymentMethod.type) and `defaults`,
+ * and overrides the operations its provider supports; the rest answer 400.
+ *
+ * Checkout flows, from `defaults.checkout.flow`:
+ * - 'capture': the customer approves the payment before the order exists and
+ *   placeOrder captures it (PayPal).
+ * - 'redirect': the order is placed unpaid and the customer is sent to
+ *   `paymentPath` to pay (crypto).
+ * - 'tender': the order is paid in full with store value redeemed at
+ *   checkout (gift cards, store credit). Tender methods are not listed
+ *   with the store's payment methods; checkout picks one when nothing is
+ *   left to pay.
+ */
+export class PaymentProvider {
+  static type = null;
+
+  static defaults = {
+    name: null,
+    description: '',
+    icon: { symbol: '', color: 'gray' },
+    instructions: [],
+    checkout: { flow: 'redirect', paymentPath: null },
+    supportsRefunds: false
+  };
+
+  /**
+   * @param {Object|null} gateway - PaymentGateway document the provider was
+   *   registered from; null when running on environment configuration
+   */
+  constructor(gateway = null) {
+    this.gateway = gateway;
+  }
+
+  get type() {
+    return this.constructor.type;
+  }
+
+  get name() {
+    return this.gateway?.name || this.constructor.defaults.name;
+  }
+
+  get checkoutFlow() {
+    return this.constructor.defaults.checkout.flow;
+  }
+
+  get supportsRefunds() {
+    return this.gateway?.features?.supportsRefunds ?? this.constructor.defaults.supportsRefunds;
+  }
+
+  /**
+   * Whether the provider has what it needs to take payments; the registry
+   * leaves out providers that do not
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Path the customer pays an order on, for redirect providers
+   * @param {string} orderId - Order ID
+   * @returns {string|null}
+   */
+  getPaymentPath(orderId) {
+    const { paymentPath } = this.constructor.defaults.checkout;
+    return paymentPath ? paymentPath.replace(':orderId', orderId) : null;
+  }
+
+  /**
+   * Describe the method for the storefront, which renders it from this
+   * rather than from its type
+   * @returns {Object}
+   */
+  describe() {
+    const { description, icon, instructions, checkout } = this.constructor.defaults;
+
+    return {
+      id: this.type,
+      type: this.type,
+      name: this.name,
+      description: this.gateway?.customerMessage || this.gateway?.description || description,
+      icon,
+      instructions,
+      checkout: { flow: checkout.flow, ...this.getCheckoutConfig() },
+      enabled: true
+    };
+  }
+
+  /**
+   * Public settings the storefront needs to take the payment, such as a
+   * publishable API key. Never return secrets here.
+   * @returns {Object}
+   */
+  getCheckoutConfig() {
+    return {};
+  }
+
+  /**
+   * Query identifying an existing order already paid with this checkout
+   * payment, so one payment cannot pay for two orders
+   * @param {Object} _paymentData - Payment fields from the checkout request
+   * @returns {Object|null} - Order filter, or null if not applicable
+   */
+  getCheckoutReference(_paymentData) {
+    return null;
+  }
+
+  /**
+   * Start a payment for an order
+   * @param {Object} _order - Order to collect payment for
+   * @returns {Promise<Object>} - Payment details to store on the order
+   */
+  create(_order) {
+    return this.unsupported('creating payments');
+  }
+
+  /**
+   * Ask the provider how an order's payment stands
+   * @param {Object} _order - Order with this provider's paymentDetails
+   * @returns {Promise<{status: string, amountReceived: number, currency: string}>}
+   *   status is one of pending, awaiting_confirmation, completed, underpaid, failed
+   */
+  getStatus(_order) {
+    return this.unsupported('payment status checks');
+  }
+
+  /**
+   * Collect a payment the customer approved at checkout
+   * @param {Object} _order - Order being placed ({ totalAmount } at least)
+   * @param {Object} _paymentData - Payment fields from the checkout request
+   * @returns {Promise<{paymentDetails: Object, captured: boolean}>}
+   */
+  capture(_order, _paymentData) {
+    return this.unsupported('capturing payments');
+  }
+
+  /**
+   * Give back a payment the browser took at checkout for an order that was
+   * not placed. Only methods paid in the browser take money before
+   * placeOrder, so the rest have nothing to give back.
+   * @param {Object} _paymentData - Payment fields from the checkout request
+   * @returns {Promise<void>}
+   */
+  releaseCheckout(_paymentData) {
+    return Promise.resolve();
+  }
+
+  /**
+   * Return money for an order
+   * @param {Object} _order - Paid order
+   * @param {Object} _options - { amount } in GBP; the full payment when omitted
+   * @returns {Promise<{refundId: string, amount: number, status: string}>}
+   */
+  refund(_order, _options = {}) {
+    return this.unsupported('refunds');
+  }
+
+  /**
+   * Check that a webhook request came from the provider
+   * @param {Object} _request - { headers, body, rawBody }
+   * @returns {Promise<boolean>}
+   */
+  verifyWebhook(_request) {
+    return this.unsupported('webhook verification');
+  }
+
+  unsupported(operation) {
+    return Promise.reject(paymentProviderError(`${this.name} does not support ${operation}`, 400));
+  }
+}
@@ -0,0 +1,28 @@
+import { PaymentProvider, paymentProviderError } from './PaymentProvider.js';
+
+/**
+ * Orders paid for entirely with store credit. placeOrder spends the
+ * customer's credit before capture, which leaves nothing for this provider
+ * to collect; it only confirms that. Credit that covers part of an order is
+ * spent the same way alongside another method.
+ */
+export class StoreCreditPaymentProvider extends PaymentProvider {
+  static type = 'store_credit';
+
+  static defaults = {
+    name: 'Store credit',
+    description: 'Pay with your store credit',
+    icon: { symbol: 'SC', color: 'green' },
+    instructions: [],
+    checkout: { flow: 'tender', paymentPath: null },
+    supportsRefunds: false
+  };
+
+  async capture(order) {
+    if (order.totalAmount > 0) {
+      throw paymentProviderError('Your store credit does not cover the order total. Please choose another payment method.', 400);
+    }
+
+    return { paymentDetails: {}, captured: false };
+  }
+}
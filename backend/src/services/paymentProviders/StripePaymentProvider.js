@@ -0,0 +1,174 @@
+import stripeService from '../stripeService.js';
+import { PaymentProvider, paymentProviderError } from './PaymentProvider.js';
+
+// Store orders are charged in GBP
+const STRIPE_CURRENCY = 'gbp';
+
+// PaymentIntent statuses as order payment statuses
+const PAYMENT_STATUSES = {
+  succeeded: 'completed',
+  processing: 'awaiting_confirmation',
+  canceled: 'failed'
+};
+
+// PaymentIntent statuses that can still be canceled
+const CANCELABLE_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action', 'requires_capture'];
+
+/**
+ * Card payments through Stripe Payment Intents. The browser confirms the
+ * PaymentIntent with Stripe.js, which runs any 3-D Secure challenge, and
+ * placeOrder checks the confirmed intent against the server-computed total.
+ */
+export class StripePaymentProvider extends PaymentProvider {
+  static type = 'stripe';
+
+  static defaults = {
+    name: 'Card',
+    description: 'Pay by credit or debit card',
+    icon: { symbol: 'CC', color: 'purple' },
+    instructions: [],
+    checkout: { flow: 'capture', paymentPath: null },
+    supportsRefunds: true
+  };
+
+  get publishableKey() {
+    return this.gateway?.config?.stripePublishableKey || process.env.STRIPE_PUBLISHABLE_KEY;
+  }
+
+  get webhookSecret() {
+    return this.gateway?.config?.stripeWebhookSecret || process.env.STRIPE_WEBHOOK_SECRET;
+  }
+
+  // Cards need the secret key for the API and the publishable key for Stripe.js
+  isAvailable() {
+    return stripeService.isConfigured() && !!this.publishableKey;
+  }
+
+  getCheckoutConfig() {
+    return { publishableKey: this.publishableKey };
+  }
+
+  getCheckoutReference({ stripePaymentIntentId } = {}) {
+    return stripePaymentIntentId ? { 'paymentDetails.stripePaymentIntentId': stripePaymentIntentId } : null;
+  }
+
+  async create(order) {
+    const paymentIntent = await stripeService.createPaymentIntent(order.totalAmount, STRIPE_CURRENCY, {
+      orderNumber: order.orderNumber
+    });
+
+    return {
+      stripePaymentIntentId: paymentIntent.id,
+      clientSecret: paymentIntent.client_secret
+    };
+  }
+
+  async getStatus(order) {
+    const paymentIntent = await stripeService.getPaymentIntent(order.paymentDetails.stripePaymentIntentId);
+
+    return {
+      status: PAYMENT_STATUSES[paymentIntent.status] || 'pending',
+      amountReceived: (paymentIntent.amount_received || 0) / 100,
+      currency: paymentIntent.currency.toUpperCase(),
+      providerStatus: paymentIntent.status
+    };
+  }
+
+  /**
+   * Check a PaymentIntent the browser confirmed against the order total.
+   * The card is charged on confirmation, so the result is reported as
+   * captured: placeOrder refunds it if the order cannot be saved. An intent
+   * charged for the wrong amount is refunded here.
+   */
+  async capture(order, { stripePaymentIntentId } = {}) {
+    if (!stripePaymentIntentId) {
+      throw paymentProviderError('Card payment is required', 400);
+    }
+
+    let paymentIntent;
+    try {
+      paymentIntent = await stripeService.getPaymentIntent(stripePaymentIntentId);
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 404) {
+        throw paymentProviderError('Invalid card payment', 400);
+      }
+      throw paymentProviderError('Unable to verify card payment. Please try again.', 503);
+    }
+
+    if (paymentIntent.currency !== STRIPE_CURRENCY || paymentIntent.amount !== stripeService.toMinorUnits(order.totalAmount)) {
+      if (paymentIntent.status === 'succeeded') {
+        await this.refundQuietly(stripePaymentIntentId);
+      }
+      throw paymentProviderError('Card payment amount does not match the order total', 400);
+    }
+
+    if (paymentIntent.status !== 'succeeded') {
+      throw paymentProviderError('Card payment has not been completed', 400);
+    }
+
+    const charge = stripeService.getLatestCharge(paymentIntent);
+    const card = charge?.payment_method_details?.card || {};
+
+    return {
+      captured: true,
+      paymentDetails: {
+        stripePaymentIntentId,
+        stripeChargeId: charge?.id,
+        cardBrand: card.brand,
+        cardLast4: card.last4
+      }
+    };
+  }
+
+  async refund(order, { amount } = {}) {
+    const paymentIntentId = order.paymentDetails?.stripePaymentIntentId;
+    if (!paymentIntentId) {
+      throw paymentProviderError('Order has no card payment to refund', 400);
+    }
+
+    const refund = await stripeService.refundPayment(paymentIntentId, amount);
+
+    return {
+      refundId: refund.id,
+      amount: refund.amount ? refund.amount / 100 : (amount ?? order.totalAmount),
+      status: refund.status === 'succeeded' || refund.status === 'failed' ? refund.status : 'pending'
+    };
+  }
+
+  // A charged intent is refunded; one the browser has not finished
+  // confirming is canceled so it cannot charge the card afterwards
+  async releaseCheckout({ stripePaymentIntentId } = {}) {
+    if (!stripePaymentIntentId) {
+      return;
+    }
+
+    try {
+      const paymentIntent = await stripeService.getPaymentIntent(stripePaymentIntentId);
+      if (paymentIntent.status === 'succeeded') {
+        await stripeService.refundPayment(stripePaymentIntentId);
+      } else if (CANCELABLE_STATUSES.includes(paymentIntent.status)) {
+        await stripeService.cancelPaymentIntent(stripePaymentIntentId);
+      }
+    } catch (releaseError) {
+      console.error('Stripe release error:', releaseError);
+    }
+  }
+
+  // Refund a charge that no order will reference
+  async refundQuietly(paymentIntentId) {
+    try {
+      await stripeService.refundPayment(paymentIntentId);
+    } catch (refundError) {
+      console.error('Stripe refund error:', refundError);
+    }
+  }
+
+  // Stripe signs the raw request body with the endpoint's signing secret
+  verifyWebhook({ headers, body, rawBody }) {
+    return Promise.resolve(stripeService.verifyWebhookSignature(
+      rawBody || JSON.stringify(body),
+      headers['stripe-signature'],
+      this.webhookSecret
+    ));
+  }
+}
@@ -0,0 +1,27 @@
+import { PayPalPaymentProvider } from './PayPalPaymentProvider.js';
+import { StripePaymentProvider } from './StripePaymentProvider.js';
+import { BitcoinPaymentProvider } from './BitcoinPaymentProvider.js';
+import { LightningPaymentProvider } from './LightningPaymentProvider.js';
+import { MoneroPaymentProvider } from './MoneroPaymentProvider.js';
+import { GiftCardPaymentProvider } from './GiftCardPaymentProvider.js';
+import { StoreCreditPaymentProvider } from './StoreCreditPaymentProvider.js';
+
+export { PaymentProvider, paymentProviderError, getAmountDue } from './PaymentProvider.js';
+
+/**
+ * Adapters by the PaymentGateway `provider` they serve. A new payment
+ * method is an adapter class added here; orders, checkout and the
+ * storefront pick it up from the registry.
+ */
+export const PAYMENT_PROVIDER_ADAPTERS = {
+  [PayPalPaymentProvider.type]: PayPalPaymentProvider,
+  [StripePaymentProvider.type]: StripePaymentProvider,
+  [BitcoinPaymentProvider.type]: BitcoinPaymentProvider,
+  [LightningPaymentProvider.type]: LightningPaymentProvider,
+  [MoneroPaymentProvider.type]: MoneroPaymentProvider,
+  [GiftCardPaymentProvider.type]: GiftCardPaymentProvider,
+  [StoreCreditPaymentProvider.type]: StoreCreditPaymentProvider
+};
+
+// Values Order.paymentMethod.type may take
+export const PAYMENT_PROVIDER_TYPES = Object.keys(PAYMENT_PROVIDER_ADAPTERS);
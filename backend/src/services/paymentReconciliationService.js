@@ -0,0 +1,360 @@
+import Order from '../models/Order.js';
+import PaymentReconciliation from '../models/PaymentReconciliation.js';
+import paypalService from './paypalService.js';
+import bitcoinService from './bitcoinService.js';
+import lightningService from './lightningService.js';
+import moneroService from './moneroService.js';
+import unpaidOrderService from './unpaidOrderService.js';
+import { handleOrderCompletion } from './orderCompletionService.js';
+import { applyBitcoinPaymentUpdate, applyLightningPaymentUpdate, applyMoneroPaymentUpdate } from '../controllers/paymentController.js';
+import logger, { logError, logPaymentEvent } from '../utils/logger.js';
+
+// Payment states a provider can still move on
+const OPEN_PAYMENT_STATUSES = ['pending', 'awaiting_confirmation', 'underpaid'];
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+/**
+ * Scheduled check that each open order's payment status agrees with its
+ * provider. Missed webhooks are applied, crypto payments whose window has
+ * closed are expired and their reserved stock released, and every run is
+ * stored as a PaymentReconciliation report for admins.
+ */
+class PaymentReconciliationService {
+  constructor() {
+    const minutes = parseInt(process.env.PAYMENT_RECONCILIATION_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES;
+    this.intervalMs = minutes * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Run reconciliation every intervalMs until stop() is called
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => logError(error, { context: 'payment_reconciliation_scheduled' }));
+    }, this.intervalMs);
+    // Never keep the process alive just for reconciliation
+    this.timer.unref?.();
+
+    logger.info('Payment reconciliation scheduled', { intervalMinutes: this.intervalMs / 60000 });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Reconcile every order with an open payment
+   * @param {Object} [options] - { trigger: 'scheduled' or 'manual', triggeredBy: admin user ID }
+   * @returns {Promise<Object|null>} - Saved report, or null if a run is already in progress
+   */
+  async run({ trigger = 'scheduled', triggeredBy } = {}) {
+    if (this.running) {
+      return null;
+    }
+    this.running = true;
+
+    const report = new PaymentReconciliation({ trigger, triggeredBy, startedAt: new Date() });
+
+    try {
+      const orders = await Order.find({
+        paymentStatus: { $in: OPEN_PAYMENT_STATUSES },
+        'paymentMethod.type': { $in: ['paypal', 'bitcoin', 'lightning', 'monero'] }
+      }).sort({ orderDate: 1 });
+
+      for (const order of orders) {
+        report.ordersChecked += 1;
+        try {
+          const discrepancy = await this.reconcileOrder(order);
+          if (discrepancy) {
+            report.discrepancies.push(discrepancy);
+          }
+        } catch (error) {
+          logError(error, { context: 'payment_reconciliation_order', orderId: order._id });
+          report.failures.push({
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            paymentMethod: order.paymentMethod.type,
+            message: error.message
+          });
+        }
+      }
+
+      report.status = 'completed';
+    } catch (error) {
+      logError(error, { context: 'payment_reconciliation_run' });
+      report.status = 'failed';
+    } finally {
+      report.completedAt = new Date();
+      this.running = false;
+    }
+
+    await report.save();
+
+    logPaymentEvent('payment_reconciliation_completed', {
+      reportId: report._id,
+      trigger,
+      status: report.status,
+      ...report.getSummary()
+    });
+
+    return report;
+  }
+
+  /**
+   * Compare one order with its provider and bring it into line
+   * @param {Object} order - Order document with an open payment
+   * @returns {Promise<Object|null>} - Discrepancy for the report, or null if the order already agreed
+   */
+  async reconcileOrder(order) {
+    const method = order.paymentMethod.type;
+    const previousStatus = order.paymentStatus;
+
+    const checks = {
+      paypal: () => this.checkPayPalOrder(order),
+      bitcoin: () => this.checkBitcoinOrder(order),
+      lightning: () => this.checkLightningOrder(order),
+      monero: () => this.checkMoneroOrder(order)
+    };
+    const result = await checks[method]();
+
+    // Nothing has been requested from a provider yet
+    if (!result) {
+      return null;
+    }
+
+    const discrepancy = {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      paymentMethod: method,
+      previousStatus,
+      providerStatus: result.providerStatus,
+      amountExpected: result.amountExpected,
+      amountReceived: result.amountReceived,
+      currency: result.currency
+    };
+
+    if (result.needsReview) {
+      return { ...discrepancy, type: 'needs_review', newStatus: previousStatus, note: result.note };
+    }
+
+    const windowClosed = result.expiresAt && new Date() > new Date(result.expiresAt);
+    const paidInFull = result.amountExpected
+      && bitcoinService.isPaymentSufficient(result.amountReceived || 0, result.amountExpected);
+
+    if (result.providerExpired || (windowClosed && !paidInFull && OPEN_PAYMENT_STATUSES.includes(order.paymentStatus))) {
+      const { cancelled, stockReleased } = await this.expirePayment(order);
+      await order.save();
+
+      // Customers who paid part of the order are refunded rather than invited back
+      if (cancelled && !(result.amountReceived > 0)) {
+        await unpaidOrderService.notifyCustomer(order);
+      }
+
+      return {
+        ...discrepancy,
+        type: 'payment_expired',
+        newStatus: order.paymentStatus,
+        stockReleased,
+        note: result.amountReceived > 0 ? 'Partial payment received before expiry; refund the customer' : undefined
+      };
+    }
+
+    if (order.paymentStatus === previousStatus) {
+      return null;
+    }
+
+    await order.save();
+    if (result.completed) {
+      setImmediate(() => handleOrderCompletion(order));
+    }
+
+    logPaymentEvent('payment_reconciliation_order_updated', {
+      orderId: order._id,
+      method,
+      previousStatus,
+      newStatus: order.paymentStatus
+    });
+
+    return { ...discrepancy, type: 'status_updated', newStatus: order.paymentStatus };
+  }
+
+  /**
+   * Apply a PayPal order's captures to a store order
+   */
+  async checkPayPalOrder(order) {
+    const paypalOrderId = order.paymentDetails?.paypalOrderId;
+    if (!paypalOrderId) {
+      return null;
+    }
+
+    let paypalOrder;
+    try {
+      paypalOrder = await paypalService.getOrderDetails(paypalOrderId);
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return {
+          needsReview: true,
+          providerStatus: 'NOT_FOUND',
+          amountExpected: order.getCheckoutAmount(),
+          currency: 'GBP',
+          note: 'PayPal has no record of this order'
+        };
+      }
+      throw error;
+    }
+
+    // PayPal captures what was due at checkout: less any deposit balance,
+    // gift cards and store credit
+    const amountExpected = order.getCheckoutAmount();
+    const captured = paypalService.getCompletedCaptures(paypalOrder);
+    const result = {
+      providerStatus: paypalOrder.status,
+      amountExpected,
+      amountReceived: captured.amount / 100,
+      currency: 'GBP',
+      completed: false
+    };
+
+    if (paypalOrder.status === 'COMPLETED' && captured.captures.length > 0) {
+      if (captured.currency !== 'GBP' || captured.amount !== paypalService.toMinorUnits(amountExpected)) {
+        return { ...result, needsReview: true, note: 'Captured amount does not match the order total' };
+      }
+
+      const [capture] = captured.captures;
+      order.paymentDetails.paypalPaymentId = order.paymentDetails.paypalPaymentId || capture.id;
+      order.paymentDetails.paypalTransactionId = order.paymentDetails.paypalTransactionId || capture.id;
+      order.paymentStatus = 'completed';
+      if (order.status === 'pending') {
+        order.status = 'processing';
+      }
+      result.completed = true;
+    } else if (paypalOrder.status === 'VOIDED') {
+      order.paymentStatus = 'failed';
+    }
+
+    return result;
+  }
+
+  /**
+   * Apply what a Bitcoin address or invoice has received to an order
+   */
+  async checkBitcoinOrder(order) {
+    const details = order.paymentDetails || {};
+    if (!details.bitcoinAddress && !details.bitcoinInvoiceId) {
+      return null;
+    }
+
+    let update;
+    if (details.bitcoinBackend && details.bitcoinBackend !== 'blockonomics') {
+      update = await bitcoinService.checkPaymentStatus(details);
+    } else {
+      // Blockonomics reports settled and unsettled balances rather than
+      // confirmation counts
+      const info = await bitcoinService.getBitcoinAddressInfo(details.bitcoinAddress);
+      const settled = bitcoinService.satoshisToBtc(info.balance);
+      update = {
+        amountReceived: settled + bitcoinService.satoshisToBtc(info.unconfirmedBalance),
+        confirmations: details.bitcoinConfirmations || 0,
+        confirmed: info.unconfirmedBalance === 0 && settled > 0
+      };
+    }
+
+    let completed = false;
+    if (update.amountReceived > 0) {
+      completed = await applyBitcoinPaymentUpdate(order, update);
+    }
+
+    return {
+      providerStatus: update.amountReceived > 0 ? 'received' : 'unpaid',
+      amountExpected: details.bitcoinAmount,
+      amountReceived: update.amountReceived,
+      currency: 'BTC',
+      expiresAt: details.bitcoinPaymentExpiry,
+      completed
+    };
+  }
+
+  /**
+   * Apply a settled Lightning invoice to an order
+   */
+  async checkLightningOrder(order) {
+    const details = order.paymentDetails || {};
+    if (!details.lightningPaymentHash) {
+      return null;
+    }
+
+    const invoice = await lightningService.checkInvoice(details);
+    const completed = await applyLightningPaymentUpdate(order, invoice);
+
+    // A lapsed invoice is re-issued on request until the payment window closes
+    return {
+      providerStatus: invoice.status,
+      amountExpected: details.bitcoinAmount,
+      amountReceived: invoice.amountReceived,
+      currency: 'BTC',
+      expiresAt: details.lightningPaymentExpiry,
+      completed
+    };
+  }
+
+  /**
+   * Apply a Monero payment request's status from GloBee or the wallet to an order
+   */
+  async checkMoneroOrder(order) {
+    const details = order.paymentDetails || {};
+    const isWalletPayment = details.moneroBackend === 'wallet_rpc';
+    if (isWalletPayment ? details.moneroSubaddressIndex === undefined : !details.globeePaymentId) {
+      return null;
+    }
+
+    const paymentStatus = isWalletPayment
+      ? await moneroService.getWalletPaymentNotification(order)
+      : await moneroService.getPaymentStatus(details.globeePaymentId);
+    const notification = moneroService.processWebhookNotification(paymentStatus);
+
+    // GloBee cancels or expires requests itself; that is handled as an expiry
+    const providerExpired = notification.status === 'failed';
+
+    let completed = false;
+    if (notification.status !== 'pending' && !providerExpired) {
+      completed = await applyMoneroPaymentUpdate(order, notification);
+    }
+
+    return {
+      providerStatus: paymentStatus.status,
+      amountExpected: details.xmrAmount,
+      amountReceived: notification.paidAmount || 0,
+      currency: 'XMR',
+      expiresAt: details.expirationTime,
+      providerExpired,
+      completed
+    };
+  }
+
+  /**
+   * Close an unpaid crypto order and return the stock and promotion use it
+   * was holding
+   * @returns {Promise<{cancelled: boolean, stockReleased: boolean}>}
+   */
+  async expirePayment(order) {
+    const result = await unpaidOrderService.cancelExpiredOrder(order);
+
+    logPaymentEvent('payment_reconciliation_expired', {
+      orderId: order._id,
+      method: order.paymentMethod.type,
+      stockReleased: result.stockReleased
+    });
+
+    return result;
+  }
+}
+
+export default new PaymentReconciliationService();
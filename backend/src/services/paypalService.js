@@ -5,9 +5,9 @@ class PayPalService {
   constructor() {
     this.clientId = process.env.PAYPAL_CLIENT_ID;
     this.clientSecret = process.env.PAYPAL_CLIENT_SECRET;
-    this.baseURL = process.env.NODE_ENV === 'production' 
+    this.baseURL = process.env.PAYPAL_API_BASE_URL || (process.env.NODE_ENV === 'production' 
       ? 'https://api-m.paypal.com' 
-      : 'https://api-m.sandbox.paypal.com';
+      : 'https://api-m.sandbox.paypal.com');
     this.accessToken = null;
     this.tokenExpiry = null;
   }
@@ -100,7 +100,9 @@ class PayPalService {
       return response.data;
     } catch (error) {
       logError(error, { context: 'paypal_capture_order', orderId: paypalOrderId });
-      throw new Error('Failed to capture PayPal order');
+      const captureError = new Error('Failed to capture PayPal order');
+      captureError.statusCode = error.response?.status;
+      throw captureError;
     }
   }
 
@@ -150,10 +152,41 @@ class PayPalService {
       return response.data;
     } catch (error) {
       logError(error, { context: 'paypal_get_order', orderId });
-      throw new Error('Failed to get PayPal order details');
+      const detailsError = new Error('Failed to get PayPal order details');
+      detailsError.statusCode = error.response?.status;
+      throw detailsError;
     }
   }
 
+  toMinorUnits(value) {
+    return Math.round(parseFloat(value) * 100);
+  }
+
+  // Total the buyer approved across purchase units, in minor units
+  getOrderAmount(paypalOrder) {
+    const amounts = (paypalOrder.purchase_units || []).map(unit => unit.amount || {});
+    const currencies = new Set(amounts.map(amount => amount.currency_code));
+
+    return {
+      amount: amounts.reduce((total, amount) => total + this.toMinorUnits(amount.value || 0), 0),
+      currency: currencies.size === 1 ? [...currencies][0] : null
+    };
+  }
+
+  // Completed captures on an order and their total, in minor units
+  getCompletedCaptures(paypalOrder) {
+    const captures = (paypalOrder.purchase_units || [])
+      .flatMap(unit => unit.payments?.captures || [])
+      .filter(capture => capture.status === 'COMPLETED');
+    const currencies = new Set(captures.map(capture => capture.amount?.currency_code));
+
+    return {
+      captures,
+      amount: captures.reduce((total, capture) => total + this.toMinorUnits(capture.amount?.value || 0), 0),
+      currency: currencies.size === 1 ? [...currencies][0] : null
+    };
+  }
+
   async verifyWebhookSignature(headers, body, webhookId) {
     try {
       const accessToken = await this.getAccessToken();
@@ -0,0 +1,382 @@
+import crypto from 'crypto';
+import Product from '../models/Product.js';
+import ProductAlert, { PRODUCT_ALERT_TYPES } from '../models/ProductAlert.js';
+import emailService from './emailService.js';
+import logger, { logError } from '../utils/logger.js';
+
+const CONFIRMATION_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_INTERVAL_MINUTES = 5;
+const DEFAULT_BATCH_SIZE = 50;
+
+// Failed sends are retried on later sweeps, then given up until the next change
+const MAX_SEND_ATTEMPTS = 3;
+
+const statusError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const TOKEN_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Back-in-stock and price-drop alerts. Subscribing is opt-in per product;
+ * guests confirm their email first. Product changes only queue the alerts
+ * they make due, and a scheduled sweep sends them in batches, each email
+ * carrying a one-click unsubscribe link.
+ */
+class ProductAlertService {
+  constructor() {
+    const minutes = parseInt(process.env.PRODUCT_ALERT_SWEEP_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES;
+    this.intervalMs = minutes * 60 * 1000;
+    this.batchSize = parseInt(process.env.PRODUCT_ALERT_BATCH_SIZE, 10) || DEFAULT_BATCH_SIZE;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Sweep every intervalMs until stop() is called
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => logError(error, { context: 'product_alert_sweep_scheduled' }));
+    }, this.intervalMs);
+    // Never keep the process alive just for the sweep
+    this.timer.unref?.();
+
+    logger.info('Product alert sweep scheduled', { intervalMinutes: this.intervalMs / 60000 });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Price a product is offered at: its sale price while one is set
+   */
+  getEffectivePrice(product) {
+    return product.salePrice ?? product.price;
+  }
+
+  /**
+   * The fields handleProductChange compares, taken before a product is
+   * changed in place
+   */
+  snapshot(product) {
+    return {
+      price: product.price,
+      salePrice: product.salePrice,
+      stockQuantity: product.stockQuantity,
+      stockStatus: product.stockStatus
+    };
+  }
+
+  /**
+   * Whether a product can be bought right now
+   */
+  isAvailable(product) {
+    return product.stockQuantity > 0 && product.stockStatus !== 'out_of_stock';
+  }
+
+  getProductUrl(product) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:5173'}/products/${product.slug}`;
+  }
+
+  getConfirmUrl(token) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:5173'}/alerts/confirm/${token}`;
+  }
+
+  getUnsubscribeUrl(alert) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:5173'}/alerts/unsubscribe/${alert.unsubscribeToken}`;
+  }
+
+  /**
+   * Subscribe an email to a product's alerts. Signed-in customers use their
+   * account email and are subscribed at once; guests are sent a link to
+   * confirm first.
+   * @param {string} productId
+   * @param {Object} details - type, and email for guests
+   * @param {Object|null} user - the signed-in customer, if any
+   * @returns {Promise<{alert: Object, requiresConfirmation: boolean}>}
+   * @throws {Error} - with statusCode for invalid input
+   */
+  async subscribe(productId, { type, email }, user = null) {
+    if (!PRODUCT_ALERT_TYPES.includes(type)) {
+      throw statusError(`Alert type must be one of: ${PRODUCT_ALERT_TYPES.join(', ')}`, 400);
+    }
+
+    const address = (user ? user.email : email)?.trim().toLowerCase();
+    if (!address || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+      throw statusError('A valid email address is required', 400);
+    }
+
+    const product = await Product.findOne({ _id: productId, isActive: true, status: { $ne: 'archived' }, privateFor: null });
+    if (!product) {
+      throw statusError('Product not found', 404);
+    }
+
+    if (type === 'back_in_stock' && this.isAvailable(product)) {
+      throw statusError('This product is in stock', 400);
+    }
+
+    let alert = await ProductAlert.findOne({ productId: product._id, type, email: address });
+    if (alert?.status === 'active') {
+      return { alert, requiresConfirmation: false };
+    }
+
+    if (!alert) {
+      alert = new ProductAlert({
+        productId: product._id,
+        type,
+        email: address,
+        unsubscribeToken: crypto.randomBytes(32).toString('hex')
+      });
+    }
+
+    alert.referencePrice = this.getEffectivePrice(product);
+    alert.queuedAt = null;
+    alert.sendAttempts = 0;
+    alert.unsubscribedAt = undefined;
+
+    if (user) {
+      alert.userId = user._id;
+      alert.status = 'active';
+      alert.confirmedAt = new Date();
+      alert.confirmationTokenHash = undefined;
+      alert.confirmationExpires = undefined;
+      await alert.save();
+
+      return { alert, requiresConfirmation: false };
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    alert.status = 'pending';
+    alert.confirmationTokenHash = this.hashToken(token);
+    alert.confirmationExpires = new Date(Date.now() + CONFIRMATION_EXPIRY_MS);
+    await alert.save();
+
+    const result = await emailService.sendProductAlertConfirmationEmail(alert, product, this.getConfirmUrl(token));
+    if (result?.success === false) {
+      logger.warn('Product alert confirmation email not sent', { alertId: alert._id, error: result.error });
+    }
+
+    return { alert, requiresConfirmation: true };
+  }
+
+  /**
+   * Activate a guest's alert from the link in their confirmation email
+   * @returns {Promise<Object|null>} - The alert with its product, or null if the link is invalid or expired
+   */
+  async confirm(token) {
+    if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) {
+      return null;
+    }
+
+    const alert = await ProductAlert.findOne({
+      confirmationTokenHash: this.hashToken(token),
+      status: 'pending',
+      confirmationExpires: { $gt: new Date() }
+    }).populate('productId', 'name slug');
+    if (!alert) {
+      return null;
+    }
+
+    alert.status = 'active';
+    alert.confirmedAt = new Date();
+    alert.confirmationTokenHash = undefined;
+    alert.confirmationExpires = undefined;
+    await alert.save();
+
+    return alert;
+  }
+
+  /**
+   * Stop an alert from the link in any alert email. Unsubscribing twice is
+   * not an error.
+   * @returns {Promise<Object|null>} - The alert with its product, or null if the link is invalid
+   */
+  async unsubscribe(token) {
+    if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) {
+      return null;
+    }
+
+    const alert = await ProductAlert.findOne({ unsubscribeToken: token }).populate('productId', 'name slug');
+    if (!alert) {
+      return null;
+    }
+
+    if (alert.status !== 'unsubscribed') {
+      alert.status = 'unsubscribed';
+      alert.unsubscribedAt = new Date();
+      alert.queuedAt = null;
+      await alert.save();
+    }
+
+    return alert;
+  }
+
+  /**
+   * A signed-in customer's active alerts for a product
+   */
+  async getUserAlerts(productId, user) {
+    return ProductAlert.find({ productId, email: user.email.toLowerCase(), status: 'active' });
+  }
+
+  /**
+   * Queue the alerts a product change makes due: back-in-stock alerts when it
+   * becomes available again, price-drop alerts when its price falls below
+   * the price the subscriber last saw. Never throws, so a failure here
+   * cannot undo the change itself.
+   * @param {Object} before - the product before the change
+   * @param {Object} after - the product after the change
+   * @returns {Promise<{backInStock: number, priceDrop: number}>} - Alerts queued
+   */
+  async handleProductChange(before, after) {
+    const queued = { backInStock: 0, priceDrop: 0 };
+    if (!after || !after.isActive || after.status === 'archived') {
+      return queued;
+    }
+
+    try {
+      const now = new Date();
+
+      if (!this.isAvailable(before) && this.isAvailable(after)) {
+        const { modifiedCount } = await ProductAlert.updateMany(
+          { productId: after._id, type: 'back_in_stock', status: 'active', queuedAt: null },
+          { $set: { queuedAt: now, sendAttempts: 0 } }
+        );
+        queued.backInStock = modifiedCount;
+      }
+
+      const price = this.getEffectivePrice(after);
+      if (price < this.getEffectivePrice(before)) {
+        const { modifiedCount } = await ProductAlert.updateMany(
+          { productId: after._id, type: 'price_drop', status: 'active', queuedAt: null, referencePrice: { $gt: price } },
+          { $set: { queuedAt: now, sendAttempts: 0 } }
+        );
+        queued.priceDrop = modifiedCount;
+      }
+
+      if (queued.backInStock || queued.priceDrop) {
+        logger.info('Product alerts queued', { productId: after._id, ...queued });
+      }
+    } catch (error) {
+      logError(error, { context: 'product_alert_queue', productId: after._id });
+    }
+
+    return queued;
+  }
+
+  /**
+   * Send every queued alert, a batch at a time
+   * @returns {Promise<Object|null>} - Summary of the sweep, or null if one is already in progress
+   */
+  async run() {
+    if (this.running) {
+      return null;
+    }
+    this.running = true;
+
+    const summary = { alertsChecked: 0, notificationsSent: 0, skipped: 0, failures: 0 };
+    // Alerts that failed this sweep wait for the next one
+    const failedIds = [];
+
+    try {
+      let batch;
+      do {
+        batch = await ProductAlert.find({ status: 'active', queuedAt: { $ne: null }, _id: { $nin: failedIds } })
+          .sort({ queuedAt: 1 })
+          .limit(this.batchSize)
+          .populate('productId');
+
+        const results = await Promise.all(batch.map(alert => this.notify(alert)));
+
+        results.forEach((result, index) => {
+          summary.alertsChecked += 1;
+          if (result === 'sent') {
+            summary.notificationsSent += 1;
+          } else if (result === 'skipped') {
+            summary.skipped += 1;
+          } else {
+            summary.failures += 1;
+            failedIds.push(batch[index]._id);
+          }
+        });
+      } while (batch.length === this.batchSize);
+    } finally {
+      this.running = false;
+    }
+
+    logger.info('Product alert sweep completed', summary);
+
+    return summary;
+  }
+
+  /**
+   * Send one queued alert, if the product still warrants it
+   * @returns {Promise<'sent'|'skipped'|'failed'>}
+   */
+  async notify(alert) {
+    const product = alert.productId;
+
+    try {
+      const stillDue = product && product.isActive && product.status !== 'archived' && (
+        alert.type === 'back_in_stock'
+          ? this.isAvailable(product)
+          : this.getEffectivePrice(product) < alert.referencePrice
+      );
+
+      if (!stillDue) {
+        alert.queuedAt = null;
+        alert.sendAttempts = 0;
+        await alert.save();
+        return 'skipped';
+      }
+
+      const unsubscribeUrl = this.getUnsubscribeUrl(alert);
+      const result = alert.type === 'back_in_stock'
+        ? await emailService.sendBackInStockEmail(alert, product, this.getProductUrl(product), unsubscribeUrl)
+        : await emailService.sendPriceDropEmail(alert, product, this.getProductUrl(product), unsubscribeUrl);
+
+      if (result?.success === false) {
+        throw new Error(result.error || 'Email not sent');
+      }
+
+      alert.queuedAt = null;
+      alert.sendAttempts = 0;
+      alert.lastNotifiedAt = new Date();
+      if (alert.type === 'back_in_stock') {
+        alert.status = 'notified';
+      } else {
+        alert.referencePrice = this.getEffectivePrice(product);
+      }
+      await alert.save();
+
+      return 'sent';
+    } catch (error) {
+      logError(error, { context: 'product_alert_send', alertId: alert._id });
+
+      try {
+        alert.sendAttempts += 1;
+        if (alert.sendAttempts >= MAX_SEND_ATTEMPTS) {
+          logger.warn('Product alert given up after repeated failures', { alertId: alert._id });
+          alert.queuedAt = null;
+          alert.sendAttempts = 0;
+        }
+        await alert.save();
+      } catch (saveError) {
+        logError(saveError, { context: 'product_alert_send_attempt', alertId: alert._id });
+      }
+
+      return 'failed';
+    }
+  }
+}
+
+export default new ProductAlertService();
@@ -0,0 +1,422 @@
+import { validationResult } from 'express-validator';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import etsyCatalogService from './etsyCatalogService.js';
+import stockLedgerService from './stockLedgerService.js';
+import productAlertService from './productAlertService.js';
+import { createProductValidation, updateProductValidation } from '../validators/productValidators.js';
+import { toCsv, toXlsx } from '../utils/spreadsheet.js';
+import logger from '../utils/logger.js';
+
+// Column layout shared by the bulk export and import files
+export const PRODUCT_BULK_COLUMNS = [
+  'sku',
+  'parentSku',
+  'name',
+  'price',
+  'salePrice',
+  'stockQuantity',
+  'lowStockThreshold',
+  'status',
+  'condition',
+  'category',
+  'tags',
+  'shortDescription',
+  'longDescription'
+];
+
+// Fields a variant row (one with a parentSku) may change
+const VARIANT_FIELDS = ['price', 'stockQuantity'];
+
+const PRODUCT_STATUSES = ['draft', 'active', 'archived'];
+const PRODUCT_CONDITIONS = ['new', 'excellent', 'good', 'fair'];
+
+// Stock ledger details for stock changed by an import
+const IMPORT_MOVEMENT = { reason: 'import', reference: { kind: 'Import', label: 'Product import' } };
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+class ProductBulkService {
+  /**
+   * Export rows for a product, followed by one row per variant
+   */
+  productToRows(product) {
+    const rows = [{
+      sku: product.sku,
+      parentSku: '',
+      name: product.name,
+      price: product.price,
+      salePrice: product.salePrice ?? '',
+      stockQuantity: product.stockQuantity,
+      lowStockThreshold: product.lowStockThreshold ?? '',
+      status: product.status,
+      condition: product.condition,
+      category: product.category?.slug || '',
+      tags: (product.tags || []).join(','),
+      shortDescription: product.shortDescription || '',
+      longDescription: product.longDescription || ''
+    }];
+
+    for (const variant of product.variants || []) {
+      rows.push({
+        sku: variant.sku,
+        parentSku: product.sku,
+        name: `${product.name} (${variant.options.map(option => option.value).join(' / ')})`,
+        price: variant.price ?? '',
+        stockQuantity: variant.stockQuantity
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Export products matching an admin list query as CSV or XLSX
+   */
+  async exportProducts(query, { format = 'csv' } = {}) {
+    const products = await Product.find(query)
+      .sort({ name: 1 })
+      .populate('category', 'slug')
+      .lean();
+
+    const rows = products.flatMap(product => this.productToRows(product));
+    logger.info('Exported products for bulk edit', { productCount: products.length, format });
+
+    if (format === 'xlsx') {
+      return {
+        content: await toXlsx(PRODUCT_BULK_COLUMNS, rows, 'Products'),
+        contentType: XLSX_CONTENT_TYPE,
+        extension: 'xlsx',
+        count: products.length
+      };
+    }
+
+    return {
+      content: toCsv(PRODUCT_BULK_COLUMNS, rows),
+      contentType: 'text/csv; charset=utf-8',
+      extension: 'csv',
+      count: products.length
+    };
+  }
+
+  /**
+   * Map a parsed row onto known columns, matching headers case-insensitively.
+   * Blank cells are dropped so they leave the stored value unchanged.
+   */
+  normalizeRow(row) {
+    const normalized = {};
+    for (const [header, value] of Object.entries(row)) {
+      const column = PRODUCT_BULK_COLUMNS.find(name => name.toLowerCase() === header.trim().toLowerCase());
+      const text = value === undefined || value === null ? '' : String(value).trim();
+      if (column && text !== '') {
+        normalized[column] = text;
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * Look up a category by slug or name, caching results for the import run
+   */
+  async resolveCategory(value, cache) {
+    const key = value.toLowerCase();
+    if (!cache.has(key)) {
+      const category = await Category.findOne({
+        $or: [{ slug: key }, { name: new RegExp(`^${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }]
+      });
+      cache.set(key, category);
+    }
+    return cache.get(key);
+  }
+
+  /**
+   * Convert row text to typed product fields, collecting per-field errors
+   */
+  async parseFields(row, categoryCache) {
+    const fields = {};
+    const errors = [];
+
+    for (const field of ['price', 'salePrice']) {
+      if (row[field] !== undefined) {
+        const value = Number(row[field]);
+        if (Number.isFinite(value) && value >= 0) {
+          fields[field] = value;
+        } else {
+          errors.push(`${field}: Must be a non-negative number`);
+        }
+      }
+    }
+
+    for (const field of ['stockQuantity', 'lowStockThreshold']) {
+      if (row[field] !== undefined) {
+        const value = Number(row[field]);
+        if (Number.isInteger(value) && value >= 0) {
+          fields[field] = value;
+        } else {
+          errors.push(`${field}: Must be a non-negative whole number`);
+        }
+      }
+    }
+
+    if (row.status !== undefined) {
+      const status = row.status.toLowerCase();
+      if (PRODUCT_STATUSES.includes(status)) {
+        fields.status = status;
+      } else {
+        errors.push(`status: Must be one of ${PRODUCT_STATUSES.join(', ')}`);
+      }
+    }
+
+    if (row.condition !== undefined) {
+      const condition = row.condition.toLowerCase();
+      if (PRODUCT_CONDITIONS.includes(condition)) {
+        fields.condition = condition;
+      } else {
+        errors.push(`condition: Must be one of ${PRODUCT_CONDITIONS.join(', ')}`);
+      }
+    }
+
+    if (row.category !== undefined) {
+      const category = await this.resolveCategory(row.category, categoryCache);
+      if (category) {
+        fields.category = category._id.toString();
+      } else {
+        errors.push(`category: Category "${row.category}" not found`);
+      }
+    }
+
+    if (row.tags !== undefined) {
+      fields.tags = row.tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+    }
+
+    for (const field of ['name', 'shortDescription', 'longDescription']) {
+      if (row[field] !== undefined) {
+        fields[field] = row[field];
+      }
+    }
+
+    return { fields, errors };
+  }
+
+  /**
+   * Run the admin product form validators against an import row
+   */
+  async runProductValidators(fields, sku, existing) {
+    const body = { sku };
+    if (fields.name !== undefined) body.name = fields.name;
+    if (fields.price !== undefined) body.price = fields.price;
+    if (fields.category !== undefined) body.category = fields.category;
+    const description = fields.longDescription ?? fields.shortDescription;
+    if (description !== undefined) body.description = description;
+
+    const req = existing
+      ? { body, params: { productId: existing._id.toString() }, query: {} }
+      : { body, params: {}, query: {} };
+    const validations = existing ? updateProductValidation : createProductValidation;
+
+    await Promise.all(validations.map(validation => validation.run(req)));
+    return validationResult(req).array().map(error => `${error.path}: ${error.msg}`);
+  }
+
+  /**
+   * Compare import fields with stored values and list what would change
+   */
+  diffFields(current, fields) {
+    const changes = [];
+    for (const [field, value] of Object.entries(fields)) {
+      let from = current[field];
+      if (field === 'category') {
+        from = from ? from.toString() : undefined;
+      }
+      const same = Array.isArray(value)
+        ? (from || []).join(',') === value.join(',')
+        : from === value;
+      if (!same) {
+        changes.push({ field, from: from ?? null, to: value });
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Generate a slug that no other product uses
+   */
+  async generateUniqueSlug(name) {
+    const baseSlug = name.toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+
+    let slug = baseSlug;
+    let counter = 1;
+    while (await Product.findOne({ slug })) {
+      slug = `${baseSlug}-${counter}`;
+      counter++;
+    }
+    return slug;
+  }
+
+  /**
+   * Work out the outcome of one import row, applying it unless dry-running
+   */
+  async processRow(row, { dryRun, categoryCache, userId }) {
+    const sku = (row.sku || '').toUpperCase();
+    const item = { sku, action: 'invalid', changes: [], errors: [] };
+
+    const { fields, errors } = await this.parseFields(row, categoryCache);
+    item.errors.push(...errors);
+
+    const product = await Product.findOne({ $or: [{ sku }, { 'variants.sku': sku }] });
+    const variant = product && product.sku !== sku
+      ? product.variants.find(entry => entry.sku === sku)
+      : null;
+
+    if (row.parentSku !== undefined || variant) {
+      return this.processVariantRow({ item, row, fields, product, variant, dryRun, userId });
+    }
+
+    // Existing products are only validated on the values that change
+    const changes = this.diffFields(product || {}, fields);
+    const changedFields = Object.fromEntries(changes.map(change => [change.field, change.to]));
+    item.errors.push(...await this.runProductValidators(product ? changedFields : fields, sku, product));
+
+    if (product && product.hasVariants() && fields.stockQuantity !== undefined
+      && fields.stockQuantity !== product.stockQuantity) {
+      item.errors.push('stockQuantity: Stock for products with variants is set on the variant rows');
+    }
+
+    const price = fields.price ?? product?.price;
+    if (fields.salePrice !== undefined && fields.salePrice >= price) {
+      item.errors.push('salePrice: Sale price must be less than regular price');
+    }
+
+    if (item.errors.length > 0) {
+      return item;
+    }
+
+    item.changes = changes;
+    if (!product) {
+      item.action = 'created';
+      if (!dryRun) {
+        const created = new Product({
+          ...fields,
+          sku,
+          slug: await this.generateUniqueSlug(fields.name),
+          images: [],
+          stockQuantity: fields.stockQuantity ?? 0
+        });
+        created.stockStatus = etsyCatalogService.getStockStatus(created);
+        await created.save();
+        await stockLedgerService.recordProductChange(null, created, { ...IMPORT_MOVEMENT, userId });
+      }
+      return item;
+    }
+
+    if (changes.length === 0) {
+      item.action = 'unchanged';
+      return item;
+    }
+
+    item.action = 'updated';
+    if (!dryRun) {
+      const stockBefore = stockLedgerService.snapshotStock(product);
+      const alertBefore = productAlertService.snapshot(product);
+      Object.assign(product, changedFields);
+      product.stockStatus = etsyCatalogService.getStockStatus(product);
+      await product.save();
+      await stockLedgerService.recordProductChange(stockBefore, product, { ...IMPORT_MOVEMENT, userId });
+      await productAlertService.handleProductChange(alertBefore, product);
+    }
+    return item;
+  }
+
+  /**
+   * Variant rows only carry price and stock; the parent SKU must match
+   */
+  async processVariantRow({ item, row, fields, product, variant, dryRun, userId }) {
+    if (!variant) {
+      item.errors.push(`sku: Variant SKU not found under ${row.parentSku}`);
+      return item;
+    }
+    if (row.parentSku !== undefined && row.parentSku.toUpperCase() !== product.sku) {
+      item.errors.push(`parentSku: Variant belongs to ${product.sku}`);
+    }
+
+    const variantFields = {};
+    for (const field of VARIANT_FIELDS) {
+      if (fields[field] !== undefined) {
+        variantFields[field] = fields[field];
+      }
+    }
+
+    if (item.errors.length > 0) {
+      return item;
+    }
+
+    item.changes = this.diffFields(variant, variantFields);
+    if (item.changes.length === 0) {
+      item.action = 'unchanged';
+      return item;
+    }
+
+    item.action = 'updated';
+    if (!dryRun) {
+      const stockBefore = stockLedgerService.snapshotStock(product);
+      const alertBefore = productAlertService.snapshot(product);
+      for (const change of item.changes) {
+        variant[change.field] = change.to;
+      }
+      product.markModified('variants');
+      product.stockQuantity = product.variants
+        .filter(entry => entry.isActive !== false)
+        .reduce((total, entry) => total + entry.stockQuantity, 0);
+      product.stockStatus = etsyCatalogService.getStockStatus(product);
+      await product.save();
+      await stockLedgerService.recordProductChange(stockBefore, product, { ...IMPORT_MOVEMENT, userId });
+      await productAlertService.handleProductChange(alertBefore, product);
+    }
+    return item;
+  }
+
+  /**
+   * Import parsed spreadsheet rows. With dryRun nothing is saved and the
+   * result is the preview diff; otherwise rows without errors are applied.
+   */
+  async importProducts(rows, { dryRun = true, userId = null } = {}) {
+    const summary = { created: 0, updated: 0, unchanged: 0, invalid: 0, failed: 0 };
+    const items = [];
+    const seenSkus = new Map();
+    const categoryCache = new Map();
+
+    for (const [index, rawRow] of rows.entries()) {
+      // Row 1 is the header line
+      const rowNumber = index + 2;
+      const row = this.normalizeRow(rawRow);
+      const sku = (row.sku || '').toUpperCase();
+      let item;
+
+      if (!sku) {
+        item = { sku, action: 'invalid', changes: [], errors: ['sku: SKU is required'] };
+      } else if (seenSkus.has(sku)) {
+        item = { sku, action: 'invalid', changes: [], errors: [`sku: Duplicate of row ${seenSkus.get(sku)}`] };
+      } else {
+        seenSkus.set(sku, rowNumber);
+        try {
+          item = await this.processRow(row, { dryRun, categoryCache, userId });
+        } catch (error) {
+          const messages = error.name === 'ValidationError'
+            ? Object.values(error.errors).map(err => err.message)
+            : [error.message];
+          item = { sku, action: 'failed', changes: [], errors: messages };
+        }
+      }
+
+      summary[item.action]++;
+      items.push({ row: rowNumber, ...item });
+    }
+
+    logger.info('Processed bulk product import', { ...summary, dryRun });
+    return { dryRun, summary, items };
+  }
+}
+
+export default new ProductBulkService();
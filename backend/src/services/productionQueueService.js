@@ -0,0 +1,136 @@
+import Order from '../models/Order.js';
+
+// Orders still to be shipped
+const OUTSTANDING_STATUSES = ['pending', 'processing'];
+
+const notFound = (message) => Object.assign(new Error(message), { statusCode: 404 });
+const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+/**
+ * Made-to-order items still to be made, and the deposit balances due on the
+ * orders they belong to. An item joins the queue once its order is paid
+ * (in full or by deposit) and leaves it when it is marked made or the order
+ * is cancelled.
+ */
+class ProductionQueueService {
+  /**
+   * Page through outstanding made-to-order items, the soonest due to ship first
+   * @returns {Promise<{items: Array, pagination: Object}>}
+   */
+  async getQueue({ page = 1, limit = 20 } = {}) {
+    const outstandingItem = { availabilityMode: 'made_to_order', producedAt: null };
+
+    const [result] = await Order.aggregate([
+      {
+        $match: {
+          status: { $in: OUTSTANDING_STATUSES },
+          paymentStatus: 'completed',
+          items: { $elemMatch: outstandingItem }
+        }
+      },
+      { $unwind: '$items' },
+      { $match: { 'items.availabilityMode': 'made_to_order', 'items.producedAt': null } },
+      { $sort: { 'items.expectedShipDate': 1, orderDate: 1, _id: 1 } },
+      {
+        $facet: {
+          items: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $project: {
+                _id: 0,
+                orderId: '$_id',
+                orderNumber: 1,
+                orderDate: 1,
+                customerEmail: 1,
+                status: 1,
+                balanceDue: 1,
+                balancePaidAt: 1,
+                itemId: '$items._id',
+                productId: '$items.productId',
+                productName: '$items.productName',
+                productSlug: '$items.productSlug',
+                variantSku: '$items.variantSku',
+                variantOptions: '$items.variantOptions',
+                quantity: '$items.quantity',
+                expectedShipDate: '$items.expectedShipDate'
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result?.total[0]?.count || 0;
+
+    return {
+      items: result?.items || [],
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    };
+  }
+
+  /**
+   * Take a made-to-order item off the queue once it has been made
+   * @throws {Error} - statusCode 404 or 400
+   */
+  async markItemProduced(orderId, itemId) {
+    const order = await Order.findById(orderId);
+    if (!order) {
+      throw notFound('Order not found');
+    }
+
+    const item = order.items.id(itemId);
+    if (!item) {
+      throw notFound('Order item not found');
+    }
+
+    if (item.availabilityMode !== 'made_to_order') {
+      throw badRequest('Only made-to-order items are made for an order');
+    }
+
+    if (!OUTSTANDING_STATUSES.includes(order.status)) {
+      throw badRequest(`Items cannot be marked made on a ${order.status} order`);
+    }
+
+    if (!item.producedAt) {
+      item.producedAt = new Date();
+      await order.save();
+    }
+
+    return { order, item };
+  }
+
+  /**
+   * Record that the balance left after deposits has been paid, so the order
+   * can ship
+   * @throws {Error} - statusCode 404 or 400
+   */
+  async recordBalancePayment(orderId, { reference } = {}) {
+    const order = await Order.findById(orderId);
+    if (!order) {
+      throw notFound('Order not found');
+    }
+
+    if (!order.hasOutstandingBalance()) {
+      throw badRequest('This order has no balance to pay');
+    }
+
+    if (order.status === 'cancelled') {
+      throw badRequest('The balance of a cancelled order cannot be paid');
+    }
+
+    order.balancePaidAt = new Date();
+    order.balancePaymentReference = reference || undefined;
+    await order.save();
+
+    return order;
+  }
+}
+
+export default new ProductionQueueService();
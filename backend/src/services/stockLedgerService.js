@@ -0,0 +1,218 @@
+import Product from '../models/Product.js';
+import StockMovement from '../models/StockMovement.js';
+import etsyCatalogService from './etsyCatalogService.js';
+import productAlertService from './productAlertService.js';
+
+const ADJUSTMENT_REASONS = ['manual_adjustment', 'stock_take'];
+
+const statusError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const variantKey = variant => String(variant._id ?? variant.sku);
+
+/**
+ * Keeps the StockMovement ledger: every change to product stock is
+ * recorded with its reason, and the changes admins make by hand (adjustments
+ * and stock takes) are applied here.
+ */
+class StockLedgerService {
+  /**
+   * Record stock movements, leaving out entries that change nothing
+   * @param {Array} entries - StockMovement fields
+   * @param {Object} options - session to record within a transaction
+   */
+  async record(entries, { session } = {}) {
+    const movements = entries.filter(entry => entry.quantity !== 0);
+    if (movements.length === 0) {
+      return [];
+    }
+
+    return StockMovement.insertMany(movements, { session });
+  }
+
+  /**
+   * Record the stock an order took (sale) or gave back (cancellation)
+   * @param {Object} order
+   * @param {string} reason
+   * @param {number} direction - -1 when stock leaves, 1 when it comes back
+   */
+  async recordOrder(order, reason, direction, options = {}) {
+    if (!order.items || order.items.length === 0) {
+      return [];
+    }
+
+    return StockMovement.recordOrder(order, reason, direction, options);
+  }
+
+  /**
+   * Copy of a product's stock levels, taken before it is changed in place
+   */
+  snapshotStock(product) {
+    return {
+      _id: product._id,
+      name: product.name,
+      sku: product.sku,
+      stockQuantity: product.stockQuantity,
+      variants: (product.variants || []).map(({ _id, sku, stockQuantity }) => ({ _id, sku, stockQuantity }))
+    };
+  }
+
+  /**
+   * Movements that take a product from one stock level to another: one per
+   * variant whose stock changed, or one for the product without variants
+   * @param {Object|null} before - the product before the change, null if new
+   * @param {Object} after - the product after the change
+   */
+  diffStock(before, after) {
+    const beforeVariants = before?.variants || [];
+    const afterVariants = after.variants || [];
+    const productFields = { productId: after._id, productName: after.name };
+
+    if (afterVariants.length === 0 || (before && beforeVariants.length === 0)) {
+      return [{
+        ...productFields,
+        sku: after.sku,
+        quantity: after.stockQuantity - (before?.stockQuantity || 0),
+        quantityAfter: after.stockQuantity
+      }];
+    }
+
+    const previous = new Map(beforeVariants.map(variant => [variantKey(variant), variant]));
+    const entries = afterVariants.map(variant => {
+      const stockBefore = previous.get(variantKey(variant))?.stockQuantity || 0;
+      previous.delete(variantKey(variant));
+      return {
+        ...productFields,
+        variantId: variant._id,
+        sku: variant.sku,
+        quantity: variant.stockQuantity - stockBefore,
+        quantityAfter: variant.stockQuantity
+      };
+    });
+
+    // Stock on variants that were removed leaves with them
+    for (const variant of previous.values()) {
+      entries.push({
+        ...productFields,
+        variantId: variant._id,
+        sku: variant.sku,
+        quantity: -variant.stockQuantity,
+        quantityAfter: 0
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Record the stock changes made by editing or importing a product
+   * @param {Object|null} before
+   * @param {Object} after
+   * @param {Object} details - reason, userId, reference and note for every movement
+   */
+  async recordProductChange(before, after, details, options = {}) {
+    return this.record(this.diffStock(before, after).map(entry => ({ ...entry, ...details })), options);
+  }
+
+  /**
+   * Apply an admin's manual adjustment or stock take to a product or variant.
+   * A stock take sets the counted level; an adjustment adds or removes units.
+   * @returns {Promise<{product: Object, movement: Object|null}>} - no movement
+   * when a stock take matches what is on record
+   * @throws {Error} - with statusCode for invalid input or a concurrent change
+   */
+  async adjustStock(productId, { variantId, reason, quantity, countedQuantity, note }, userId) {
+    if (!ADJUSTMENT_REASONS.includes(reason)) {
+      throw statusError(`Reason must be one of: ${ADJUSTMENT_REASONS.join(', ')}`, 400);
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      throw statusError('Product not found', 404);
+    }
+
+    const variant = variantId ? product.getVariant(variantId) : null;
+    if (variantId && !variant) {
+      throw statusError('Variant not found', 404);
+    }
+    if (!variant && product.hasVariants()) {
+      throw statusError('Stock for products with variants is adjusted per variant', 400);
+    }
+
+    const current = variant ? variant.stockQuantity : product.stockQuantity;
+    let change;
+    if (reason === 'stock_take') {
+      if (!Number.isInteger(countedQuantity) || countedQuantity < 0) {
+        throw statusError('Counted quantity must be a whole number of zero or more', 400);
+      }
+      change = countedQuantity - current;
+    } else {
+      if (!Number.isInteger(quantity) || quantity === 0) {
+        throw statusError('Quantity must be a whole number other than zero', 400);
+      }
+      if (current + quantity < 0) {
+        throw statusError(`Stock cannot go below zero (currently ${current})`, 400);
+      }
+      change = quantity;
+    }
+
+    if (change === 0) {
+      return { product, movement: null };
+    }
+
+    // Only apply the change to the level it was worked out from
+    const filter = variant
+      ? { _id: product._id, variants: { $elemMatch: { _id: variant._id, stockQuantity: current } } }
+      : { _id: product._id, stockQuantity: current };
+    const increment = variant
+      ? { 'variants.$.stockQuantity': change, ...(variant.isActive !== false && { stockQuantity: change }) }
+      : { stockQuantity: change };
+
+    const updated = await Product.findOneAndUpdate(filter, { $inc: increment }, { new: true });
+    if (!updated) {
+      throw statusError('Stock changed while it was being adjusted. Please reload and try again.', 409);
+    }
+
+    // Keep the stock status in line with the new level, as imports do
+    const stockStatus = etsyCatalogService.getStockStatus(updated);
+    if (updated.stockStatus !== stockStatus) {
+      await Product.updateOne({ _id: updated._id }, { $set: { stockStatus } });
+      updated.stockStatus = stockStatus;
+    }
+
+    const [movement] = await this.record([{
+      productId: product._id,
+      variantId: variant ? variant._id : null,
+      productName: product.name,
+      sku: variant ? variant.sku : product.sku,
+      reason,
+      quantity: change,
+      quantityAfter: current + change,
+      userId,
+      note
+    }]);
+
+    // A restock queues back-in-stock alerts for the sweep to send
+    await productAlertService.handleProductChange(product, updated);
+
+    return { product: updated, movement };
+  }
+
+  /**
+   * Page through a product's movements, newest first
+   */
+  async getProductHistory(productId, { variantId, page = 1, limit = 20 } = {}) {
+    const [movements, total] = await StockMovement.findByProduct(productId, { variantId, page, limit });
+
+    return {
+      movements,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    };
+  }
+}
+
+export default new StockLedgerService();
@@ -0,0 +1,245 @@
+import User from '../models/User.js';
+import Order from '../models/Order.js';
+import StoreCreditTransaction from '../models/StoreCreditTransaction.js';
+import logger from '../utils/logger.js';
+
+const statusError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Most an admin can credit or adjust in one go, in GBP
+const MAX_ADMIN_AMOUNT = 1000;
+
+const round = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Store credit: a balance each customer holds and spends at checkout.
+ * Credit comes from referral rewards, return refunds and admin goodwill,
+ * and goes back on the wallet when an order that spent it is cancelled.
+ * The balance lives on the User; every change to it is recorded in the
+ * append-only StoreCreditTransaction ledger in the same write.
+ */
+class StoreCreditService {
+  /**
+   * Change a customer's balance and record it in the ledger. A debit only
+   * applies while the balance covers it, so two checkouts spending the same
+   * credit cannot both succeed.
+   * @param {string} userId
+   * @param {number} amount - Signed change to the balance, in GBP
+   * @param {Object} entry - Ledger fields: type, reference, createdBy, note
+   * @param {Object} options - session to record within a transaction
+   * @returns {Promise<Object>} - The ledger entry
+   * @throws {Error} - statusCode 404 for an unknown customer, 409 when the balance is too low
+   */
+  async applyTransaction(userId, amount, entry, { session = null } = {}) {
+    const change = round(amount);
+    const filter = change < 0
+      ? { _id: userId, storeCreditBalance: { $gte: -change } }
+      : { _id: userId };
+
+    const user = await User.findOneAndUpdate(
+      filter,
+      { $inc: { storeCreditBalance: change } },
+      { new: true, session }
+    ).select('storeCreditBalance');
+
+    if (!user) {
+      if (change < 0 && await User.exists({ _id: userId }).session(session)) {
+        throw statusError('Store credit balance changed. Please try again.', 409);
+      }
+      throw statusError('Customer not found', 404);
+    }
+
+    const [transaction] = await StoreCreditTransaction.create([{
+      ...entry,
+      userId,
+      amount: change,
+      balanceAfter: round(user.storeCreditBalance)
+    }], { session });
+
+    return transaction;
+  }
+
+  /**
+   * Check an amount an admin entered
+   * @throws {Error} - statusCode 400
+   */
+  parseAdminAmount(amount, { allowNegative = false } = {}) {
+    const value = round(Number(amount));
+    if (!Number.isFinite(value) || value === 0 || (!allowNegative && value < 0) || Math.abs(value) > MAX_ADMIN_AMOUNT) {
+      throw statusError(allowNegative
+        ? `Adjustment must be a non-zero amount of up to £${MAX_ADMIN_AMOUNT} either way`
+        : `Amount must be between £0.01 and £${MAX_ADMIN_AMOUNT}`, 400);
+    }
+    return value;
+  }
+
+  /**
+   * Pay a referral reward into the referrer's wallet. The reward is marked
+   * redeemed, as the credit is its redemption.
+   * @returns {Promise<Object>} - The ledger entry
+   */
+  async creditReward(reward) {
+    const transaction = await this.applyTransaction(reward.userId, reward.value, {
+      type: 'referral_reward',
+      reference: { kind: 'Reward', id: reward._id, label: reward.rewardCode },
+      note: reward.description
+    });
+
+    reward.status = 'redeemed';
+    reward.redemptionDate = new Date();
+    reward.redemptionValue = reward.value;
+    reward.usageCount += 1;
+    await reward.save();
+
+    logger.info('Referral reward paid as store credit', { rewardId: reward._id, userId: reward.userId, amount: reward.value });
+
+    return transaction;
+  }
+
+  /**
+   * Refund a return to the customer's wallet rather than the original
+   * payment method. The caller marks the return request refunded.
+   * @returns {Promise<Object>} - The ledger entry
+   * @throws {Error} - statusCode 400 for a guest return or when there is nothing to refund
+   */
+  async creditReturn(returnRequest, adminId, { session = null } = {}) {
+    if (!returnRequest.userId) {
+      throw statusError('Guest returns cannot be refunded to store credit, as there is no account to hold it', 400);
+    }
+    if (!(returnRequest.totalRefundAmount > 0)) {
+      throw statusError('This return has no refund amount to credit', 400);
+    }
+
+    return this.applyTransaction(returnRequest.userId, returnRequest.totalRefundAmount, {
+      type: 'return_refund',
+      reference: {
+        kind: 'ReturnRequest',
+        id: returnRequest._id,
+        label: returnRequest.formattedRequestNumber || returnRequest.returnRequestNumber
+      },
+      createdBy: adminId
+    }, { session });
+  }
+
+  /**
+   * Credit a customer as goodwill, or correct their balance with a signed
+   * adjustment, from the admin pages
+   * @throws {Error} - statusCode 400 for invalid input, 404/409 from applyTransaction
+   */
+  async adminCredit(userId, { type = 'goodwill', amount, note } = {}, adminUser) {
+    if (!['goodwill', 'adjustment'].includes(type)) {
+      throw statusError('Type must be goodwill or adjustment', 400);
+    }
+    if (typeof note !== 'string' || !note.trim()) {
+      throw statusError('A note explaining the credit is required', 400);
+    }
+    if (note.trim().length > 500) {
+      throw statusError('Note cannot exceed 500 characters', 400);
+    }
+
+    const value = this.parseAdminAmount(amount, { allowNegative: type === 'adjustment' });
+    let transaction;
+    try {
+      transaction = await this.applyTransaction(userId, value, {
+        type,
+        createdBy: adminUser._id,
+        note: note.trim()
+      });
+    } catch (error) {
+      if (error.statusCode === 409) {
+        throw statusError('An adjustment cannot take the balance below zero', 400);
+      }
+      throw error;
+    }
+
+    logger.info('Store credit issued by admin', { userId, type, amount: value, adminId: adminUser._id });
+
+    return transaction;
+  }
+
+  /**
+   * Spend a customer's credit on an order, up to amount
+   * @param {string} userId
+   * @param {number} amount - Most the credit may pay, in GBP
+   * @param {Object} options - { orderId, session }
+   * @returns {Promise<number>} - Amount spent, for Order.storeCreditAmount
+   * @throws {Error} - statusCode 400 when the customer has no credit, 409 on a concurrent spend
+   */
+  async spend(userId, amount, { orderId, session = null } = {}) {
+    const user = await User.findById(userId).select('storeCreditBalance').session(session);
+    const balance = user?.storeCreditBalance || 0;
+    if (balance <= 0) {
+      throw statusError('You have no store credit to spend', 400);
+    }
+
+    const spent = round(Math.min(balance, amount));
+    if (spent <= 0) {
+      return 0;
+    }
+
+    await this.applyTransaction(userId, -spent, {
+      type: 'order_payment',
+      reference: { kind: 'Order', id: orderId }
+    }, { session });
+
+    return spent;
+  }
+
+  /**
+   * Put the credit a cancelled or expired order spent back in the wallet,
+   * once. The order is marked as restored here.
+   * @returns {Promise<number>} - Amount restored
+   */
+  async restoreForOrder(order, { userId = null, session = null } = {}) {
+    if (!order.userId || !(order.storeCreditAmount > 0) || order.storeCreditRestoredAt) {
+      return 0;
+    }
+
+    const restoredAt = new Date();
+    const { modifiedCount } = await Order.updateOne(
+      { _id: order._id, storeCreditRestoredAt: null },
+      { $set: { storeCreditRestoredAt: restoredAt } },
+      { session }
+    );
+    order.storeCreditRestoredAt = restoredAt;
+    if (!modifiedCount) {
+      return 0;
+    }
+
+    await this.applyTransaction(order.userId, order.storeCreditAmount, {
+      type: 'order_refund',
+      reference: { kind: 'Order', id: order._id, label: order.orderNumber },
+      createdBy: userId,
+      note: `Order ${order.orderNumber} cancelled`
+    }, { session });
+
+    return order.storeCreditAmount;
+  }
+
+  /**
+   * A customer's balance and a page of their ledger, newest first
+   * @param {Object} options - page, limit; withCreator for admins
+   * @throws {Error} - statusCode 404 for an unknown customer
+   */
+  async getWallet(userId, { page = 1, limit = 20, withCreator = false } = {}) {
+    const user = await User.findById(userId).select('storeCreditBalance');
+    if (!user) {
+      throw statusError('Customer not found', 404);
+    }
+
+    const [transactions, total] = await StoreCreditTransaction.findByUser(userId, { page, limit, withCreator });
+
+    return {
+      balance: round(user.storeCreditBalance || 0),
+      currency: 'GBP',
+      transactions,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    };
+  }
+}
+
+export default new StoreCreditService();
@@ -0,0 +1,174 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import logger, { logError } from '../utils/logger.js';
+
+// Stripe rejects webhook timestamps older than this by default
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+// Flatten nested params into Stripe's form encoding, e.g. metadata[orderId]
+const toFormParams = (params, prefix, form = new URLSearchParams()) => {
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (Array.isArray(value)) {
+      value.forEach(item => form.append(`${name}[]`, item));
+    } else if (typeof value === 'object') {
+      toFormParams(value, name, form);
+    } else {
+      form.append(name, String(value));
+    }
+  }
+  return form;
+};
+
+class StripeService {
+  constructor() {
+    this.secretKey = process.env.STRIPE_SECRET_KEY;
+    // Point STRIPE_API_BASE_URL at stripe-mock (http://localhost:12111) to
+    // run without a Stripe account
+    this.baseURL = process.env.STRIPE_API_BASE_URL || 'https://api.stripe.com';
+  }
+
+  isConfigured() {
+    return !!this.secretKey;
+  }
+
+  async request(method, path, params = {}) {
+    if (!this.isConfigured()) {
+      throw Object.assign(new Error('Stripe is not configured'), { statusCode: 503 });
+    }
+
+    try {
+      // GET parameters go in the query string, the rest in the form body
+      const form = toFormParams(params).toString();
+      const response = await axios({
+        method,
+        url: method === 'get' && form ? `${this.baseURL}${path}?${form}` : `${this.baseURL}${path}`,
+        data: method === 'get' ? undefined : form,
+        headers: {
+          'Authorization': `Bearer ${this.secretKey}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      const stripeError = new Error(error.response?.data?.error?.message || 'Stripe request failed');
+      stripeError.statusCode = error.response?.status;
+      stripeError.code = error.response?.data?.error?.code;
+      throw stripeError;
+    }
+  }
+
+  toMinorUnits(value) {
+    return Math.round(parseFloat(value) * 100);
+  }
+
+  /**
+   * Create a card PaymentIntent the browser confirms with Stripe.js, which
+   * runs any 3-D Secure challenge the card issuer asks for
+   */
+  async createPaymentIntent(amount, currency = 'GBP', metadata = {}) {
+    try {
+      const paymentIntent = await this.request('post', '/v1/payment_intents', {
+        amount: this.toMinorUnits(amount),
+        currency: currency.toLowerCase(),
+        payment_method_types: ['card'],
+        metadata
+      });
+
+      logger.info('Stripe PaymentIntent created', { paymentIntentId: paymentIntent.id });
+      return paymentIntent;
+    } catch (error) {
+      logError(error, { context: 'stripe_create_payment_intent' });
+      throw error;
+    }
+  }
+
+  async getPaymentIntent(paymentIntentId) {
+    try {
+      return await this.request('get', `/v1/payment_intents/${encodeURIComponent(paymentIntentId)}`, {
+        expand: ['latest_charge']
+      });
+    } catch (error) {
+      logError(error, { context: 'stripe_get_payment_intent', paymentIntentId });
+      throw error;
+    }
+  }
+
+  // Refund a PaymentIntent in full, or in part when amount is given
+  async refundPayment(paymentIntentId, amount) {
+    try {
+      const refund = await this.request('post', '/v1/refunds', {
+        payment_intent: paymentIntentId,
+        amount: amount ? this.toMinorUnits(amount) : undefined
+      });
+
+      logger.info('Stripe refund processed', { paymentIntentId, refundId: refund.id });
+      return refund;
+    } catch (error) {
+      logError(error, { context: 'stripe_refund', paymentIntentId });
+      throw new Error('Failed to process Stripe refund');
+    }
+  }
+
+  // Cancel a PaymentIntent so the browser can no longer confirm it
+  async cancelPaymentIntent(paymentIntentId) {
+    try {
+      const paymentIntent = await this.request('post', `/v1/payment_intents/${encodeURIComponent(paymentIntentId)}/cancel`);
+
+      logger.info('Stripe PaymentIntent canceled', { paymentIntentId });
+      return paymentIntent;
+    } catch (error) {
+      logError(error, { context: 'stripe_cancel_payment_intent', paymentIntentId });
+      throw error;
+    }
+  }
+
+  // The charge behind a PaymentIntent, which carries the card details
+  getLatestCharge(paymentIntent) {
+    const charge = paymentIntent.latest_charge;
+    if (charge && typeof charge === 'object') {
+      return charge;
+    }
+    return paymentIntent.charges?.data?.[0] || null;
+  }
+
+  /**
+   * Check a Stripe-Signature header against the raw request body. The
+   * header holds a timestamp and one or more v1 HMAC-SHA256 signatures of
+   * `${timestamp}.${payload}`; old timestamps are refused to stop replays.
+   */
+  verifyWebhookSignature(payload, signatureHeader, secret, toleranceSeconds = WEBHOOK_TOLERANCE_SECONDS) {
+    if (!payload || !signatureHeader || !secret) {
+      return false;
+    }
+
+    const parts = signatureHeader.split(',').map(part => part.trim().split('='));
+    const timestamp = parts.find(([key]) => key === 't')?.[1];
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+    if (!timestamp || signatures.length === 0) {
+      return false;
+    }
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp)) > toleranceSeconds) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${payload}`)
+      .digest();
+
+    return signatures.some(signature => {
+      const received = Buffer.from(signature, 'hex');
+      return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
+  }
+}
+
+export default new StripeService();
@@ -0,0 +1,263 @@
+import Order from '../models/Order.js';
+import Promotion from '../models/Promotion.js';
+import bitcoinService from './bitcoinService.js';
+import moneroService from './moneroService.js';
+import cryptoPaymentService from './cryptoPaymentService.js';
+import emailService from './emailService.js';
+import giftCardService from './giftCardService.js';
+import storeCreditService from './storeCreditService.js';
+import logger, { logError, logPaymentEvent } from '../utils/logger.js';
+
+// Methods paid after the order is placed, holding stock until then
+const CRYPTO_METHODS = ['bitcoin', 'lightning', 'monero'];
+
+// Payment states with nothing received yet; underpaid orders are left to
+// reconciliation and the admin, as the customer needs a refund
+const UNPAID_STATUSES = ['pending', 'awaiting_confirmation'];
+
+const DEFAULT_INTERVAL_MINUTES = 10;
+
+/**
+ * Scheduled sweep that cancels crypto orders whose payment window closed
+ * with nothing paid. Their stock and promotion use are given back and the
+ * customer is emailed a link to put the items back in their cart. A payment
+ * that arrives afterwards is flagged as late on its Payment record.
+ */
+class UnpaidOrderService {
+  constructor() {
+    const minutes = parseInt(process.env.UNPAID_ORDER_SWEEP_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES;
+    this.intervalMs = minutes * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Sweep every intervalMs until stop() is called
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => logError(error, { context: 'unpaid_order_sweep_scheduled' }));
+    }, this.intervalMs);
+    // Never keep the process alive just for the sweep
+    this.timer.unref?.();
+
+    logger.info('Unpaid order sweep scheduled', { intervalMinutes: this.intervalMs / 60000 });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Whether an order's payment window has closed. Orders whose payment was
+   * never started are timed from when they were placed.
+   */
+  isPaymentExpired(order) {
+    const details = order.paymentDetails || {};
+    const placedAt = new Date(order.orderDate || order.createdAt);
+
+    switch (order.paymentMethod.type) {
+    case 'bitcoin':
+      return bitcoinService.isPaymentExpired(
+        details.bitcoinPaymentExpiry || new Date(placedAt.getTime() + bitcoinService.paymentExpiryMs)
+      );
+    case 'lightning':
+      return bitcoinService.isPaymentExpired(
+        details.lightningPaymentExpiry || new Date(placedAt.getTime() + bitcoinService.paymentExpiryMs)
+      );
+    case 'monero':
+      // A payment request made after the order was placed runs to its own expiry
+      return moneroService.isPaymentExpired(placedAt)
+        && (!details.expirationTime || new Date() > new Date(details.expirationTime));
+    default:
+      return false;
+    }
+  }
+
+  getRetryUrl(order) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:5173'}/orders/${order._id}/retry`;
+  }
+
+  /**
+   * Cancel every unpaid crypto order whose payment window has closed
+   * @returns {Promise<Object|null>} - Summary of the sweep, or null if one is already in progress
+   */
+  async run() {
+    if (this.running) {
+      return null;
+    }
+    this.running = true;
+
+    const summary = { ordersChecked: 0, ordersCancelled: 0, failures: 0 };
+
+    try {
+      const orders = await Order.find({
+        status: 'pending',
+        paymentStatus: { $in: UNPAID_STATUSES },
+        'paymentMethod.type': { $in: CRYPTO_METHODS }
+      }).sort({ orderDate: 1 });
+
+      for (const order of orders) {
+        summary.ordersChecked += 1;
+        if (!this.isPaymentExpired(order)) {
+          continue;
+        }
+
+        try {
+          const { cancelled } = await this.cancelExpiredOrder(order);
+          if (cancelled) {
+            await order.save();
+            await this.notifyCustomer(order);
+            summary.ordersCancelled += 1;
+          }
+        } catch (error) {
+          logError(error, { context: 'unpaid_order_cancel', orderId: order._id });
+          summary.failures += 1;
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    logPaymentEvent('unpaid_order_sweep_completed', summary);
+
+    return summary;
+  }
+
+  /**
+   * Cancel an order whose payment window closed, returning its stock,
+   * promotion use and gift card payments. The caller saves the order. Only the first caller to
+   * expire an order does the rest, so the sweep and reconciliation can
+   * overlap safely.
+   * @returns {Promise<{cancelled: boolean, stockReleased: boolean}>}
+   */
+  async cancelExpiredOrder(order) {
+    const method = order.paymentMethod.type;
+
+    const { modifiedCount } = await Order.updateOne(
+      { _id: order._id, paymentStatus: { $ne: 'expired' } },
+      { $set: { paymentStatus: 'expired' } }
+    );
+
+    order.paymentStatus = 'expired';
+    if (order.status === 'pending') {
+      order.status = 'cancelled';
+      order.statusHistory?.push({ status: 'cancelled', timestamp: new Date(), note: 'Payment window expired' });
+    }
+
+    if (!modifiedCount) {
+      return { cancelled: false, stockReleased: false };
+    }
+
+    const stockReleased = await order.releaseStock();
+    await cryptoPaymentService.markExpired(order, method);
+    await this.releasePromotion(order);
+    await this.releaseGiftCards(order);
+    await this.releaseStoreCredit(order);
+
+    logPaymentEvent('unpaid_order_cancelled', {
+      orderId: order._id,
+      method,
+      stockReleased
+    });
+
+    return { cancelled: true, stockReleased };
+  }
+
+  /**
+   * Cancel an unpaid order whose payment failed, returning its stock,
+   * promotion use and gift card payments the way an expired order's are.
+   * Cancelling it stops a later customer or admin cancel from returning
+   * the stock again. The caller saves the order.
+   * @returns {Promise<{cancelled: boolean, stockReleased: boolean}>}
+   */
+  async cancelFailedOrder(order) {
+    const stockReleased = await order.releaseStock();
+    if (order.status !== 'pending') {
+      return { cancelled: false, stockReleased };
+    }
+
+    order.status = 'cancelled';
+    order.statusHistory?.push({ status: 'cancelled', timestamp: new Date(), note: 'Payment failed' });
+    await this.releasePromotion(order);
+    await this.releaseGiftCards(order);
+    await this.releaseStoreCredit(order);
+
+    logPaymentEvent('failed_order_cancelled', {
+      orderId: order._id,
+      method: order.paymentMethod.type,
+      stockReleased
+    });
+
+    return { cancelled: true, stockReleased };
+  }
+
+  /**
+   * Give back the promotion use an order took
+   */
+  async releasePromotion(order) {
+    if (!order.promotionId) {
+      return;
+    }
+
+    try {
+      const promotion = await Promotion.findById(order.promotionId);
+      if (promotion) {
+        await promotion.releaseUsage(order.userId);
+      }
+    } catch (error) {
+      // The order is cancelled either way
+      logError(error, { context: 'unpaid_order_promotion', orderId: order._id });
+    }
+  }
+
+  /**
+   * Put what the order took from gift cards back on them
+   */
+  async releaseGiftCards(order) {
+    if (!order.giftCards?.length) {
+      return;
+    }
+
+    try {
+      await giftCardService.restoreForOrder(order);
+    } catch (error) {
+      // The order is cancelled either way
+      logError(error, { context: 'unpaid_order_gift_cards', orderId: order._id });
+    }
+  }
+
+  /**
+   * Put the store credit the order spent back in the customer's wallet
+   */
+  async releaseStoreCredit(order) {
+    if (!(order.storeCreditAmount > 0)) {
+      return;
+    }
+
+    try {
+      await storeCreditService.restoreForOrder(order);
+    } catch (error) {
+      // The order is cancelled either way
+      logError(error, { context: 'unpaid_order_store_credit', orderId: order._id });
+    }
+  }
+
+  /**
+   * Email the customer that their payment window closed, with a link to
+   * check out again
+   */
+  async notifyCustomer(order) {
+    const result = await emailService.sendPaymentExpiredEmail(order, this.getRetryUrl(order));
+    if (result?.success === false) {
+      logger.warn('Payment expired email not sent', { orderId: order._id, error: result.error });
+    }
+  }
+}
+
+export default new UnpaidOrderService();
@@ -0,0 +1,182 @@
+import WebhookEvent, { PROCESSING_TIMEOUT_MS } from '../models/WebhookEvent.js';
+import { logError, logPaymentEvent } from '../utils/logger.js';
+
+// Request headers that carry credentials and are never stored
+const REDACTED_HEADERS = ['authorization', 'cookie', 'x-api-key'];
+
+// Events in these states are not processed again when redelivered; nor is
+// one still processing, unless it has been for too long
+const SETTLED_STATUSES = ['processed', 'ignored'];
+
+/**
+ * Store of incoming payment webhooks. Each delivery is recorded with its
+ * raw payload, headers and signature result; processing is keyed by the
+ * provider's event ID so redeliveries run once, and failed or abandoned
+ * events can be re-processed by an admin.
+ */
+class WebhookEventService {
+  /**
+   * Record a delivery before processing it
+   * @param {Object} delivery - { provider, eventId, eventType, req, signatureStatus }
+   * @returns {Promise<{event: Object|null, duplicate: boolean}>} - event is null
+   *   if it could not be stored; duplicate is true for an event already handled
+   */
+  async receive({ provider, eventId, eventType, req, signatureStatus = 'not_checked' }) {
+    const rejected = signatureStatus === 'invalid';
+    const fields = {
+      eventType,
+      payload: req.body,
+      rawBody: req.rawBody ? req.rawBody.toString() : JSON.stringify(req.body),
+      headers: this.pickHeaders(req.headers),
+      signatureStatus
+    };
+
+    try {
+      // A forged delivery must not claim or touch the real event's record
+      if (eventId && !rejected) {
+        const existing = await WebhookEvent.findOne({ provider, eventId });
+        if (existing) {
+          const claimed = !SETTLED_STATUSES.includes(existing.status) && await this.claimRetry({ provider, eventId, fields });
+          if (!claimed) {
+            logPaymentEvent('webhook_event_duplicate', { provider, eventId, status: existing.status });
+            return { event: existing, duplicate: true };
+          }
+
+          return { event: claimed, duplicate: false };
+        }
+      }
+
+      const now = new Date();
+      const event = await WebhookEvent.create({
+        provider,
+        eventId: rejected ? undefined : eventId,
+        ...fields,
+        status: rejected ? 'rejected' : 'processing',
+        attempts: rejected ? 0 : 1,
+        receivedAt: now,
+        processingStartedAt: rejected ? undefined : now
+      });
+
+      return { event, duplicate: false };
+    } catch (error) {
+      // Two deliveries of the same event raced; the other one handles it
+      if (error.code === 11000) {
+        return { event: null, duplicate: true };
+      }
+
+      // Losing the record must not lose the payment update
+      logError(error, { context: 'webhook_event_store', provider, eventId });
+      return { event: null, duplicate: false };
+    }
+  }
+
+  /**
+   * Claim a delivery that failed or was abandoned earlier for a retry. The
+   * claim is a single conditional update, so of two redeliveries racing for
+   * the same event only one gets it.
+   * @returns {Promise<Object|null>} - The claimed event, or null if it is
+   *   settled or another delivery is processing it
+   */
+  claimRetry({ provider, eventId, fields }) {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - PROCESSING_TIMEOUT_MS);
+
+    return WebhookEvent.findOneAndUpdate(
+      {
+        provider,
+        eventId,
+        $or: [
+          { status: 'failed' },
+          { status: 'processing', processingStartedAt: { $lt: staleBefore } },
+          { status: 'processing', processingStartedAt: null, receivedAt: { $lt: staleBefore } }
+        ]
+      },
+      {
+        $set: { ...fields, status: 'processing', processingStartedAt: now },
+        $unset: { error: 1 },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Run a processor for a recorded event and store the outcome
+   * @param {Object|null} event - Recorded event (null if it could not be stored)
+   * @param {Function} processor - Returns { status, orderId } or nothing; throws on failure
+   * @returns {Promise<Object>} - The processor's result
+   */
+  async process(event, processor) {
+    try {
+      const result = (await processor()) || {};
+      await this.finish(event, { status: result.status || 'processed', orderId: result.orderId });
+      return result;
+    } catch (error) {
+      await this.finish(event, { status: 'failed', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Re-process a failed or abandoned event with its stored payload
+   * @param {Object} event - WebhookEvent document that canReplay()
+   * @param {Function} processor - Processor for the event's provider, called with the payload
+   * @param {string} adminId - Admin re-processing the event
+   * @returns {Promise<Object>} - Saved event
+   */
+  async replay(event, processor, adminId) {
+    event.status = 'processing';
+    event.processingStartedAt = new Date();
+    event.error = undefined;
+    event.attempts += 1;
+    await event.save();
+
+    let outcome;
+    try {
+      const result = (await processor(event.payload)) || {};
+      outcome = { status: result.status || 'processed', orderId: result.orderId };
+    } catch (error) {
+      outcome = { status: 'failed', error: error.message };
+    }
+
+    event.replays.push({ replayedAt: new Date(), replayedBy: adminId, status: outcome.status, error: outcome.error });
+    await this.finish(event, outcome);
+
+    logPaymentEvent('webhook_event_replayed', {
+      provider: event.provider,
+      eventId: event.eventId,
+      status: outcome.status,
+      adminId
+    });
+
+    return event;
+  }
+
+  async finish(event, { status, orderId, error }) {
+    if (!event) {
+      return;
+    }
+
+    try {
+      event.status = status;
+      event.error = error ? error.substring(0, 1000) : undefined;
+      if (orderId) {
+        event.orderId = orderId;
+      }
+      if (status !== 'failed') {
+        event.processedAt = new Date();
+      }
+      await event.save();
+    } catch (storeError) {
+      logError(storeError, { context: 'webhook_event_store', provider: event.provider, eventId: event.eventId });
+    }
+  }
+
+  pickHeaders(headers = {}) {
+    return Object.fromEntries(
+      Object.entries(headers).filter(([name]) => !REDACTED_HEADERS.includes(name.toLowerCase()))
+    );
+  }
+}
+
+export default new WebhookEventService();
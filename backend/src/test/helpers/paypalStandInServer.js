@@ -0,0 +1,141 @@
+/**
+ * Local stand-in for the PayPal REST API
+ * Serves the order, capture and refund endpoints paypalService calls so
+ * payment verification can be tested over real HTTP without the sandbox.
+ */
+
+import express from 'express';
+
+const toAmount = (value, currency) => ({
+  currency_code: currency,
+  value: Number(value).toFixed(2)
+});
+
+export const createPayPalStandInServer = () => {
+  const app = express();
+  app.use(express.json());
+
+  const orders = new Map();
+  const refunds = [];
+  let server = null;
+  let captureCount = 0;
+
+  const orderResponse = (order) => ({
+    id: order.id,
+    status: order.status,
+    payer: order.payer,
+    purchase_units: [{
+      amount: toAmount(order.amount, order.currency),
+      payments: order.captures.length > 0 ? { captures: order.captures } : undefined
+    }]
+  });
+
+  const notFound = (res) => res.status(404).json({
+    name: 'RESOURCE_NOT_FOUND',
+    message: 'The specified resource does not exist.'
+  });
+
+  app.post('/v1/oauth2/token', (req, res) => {
+    res.json({ access_token: 'stand-in-access-token', token_type: 'Bearer', expires_in: 3600 });
+  });
+
+  app.get('/v2/checkout/orders/:id', (req, res) => {
+    const order = orders.get(req.params.id);
+    if (!order) {
+      return notFound(res);
+    }
+    res.json(orderResponse(order));
+  });
+
+  app.post('/v2/checkout/orders/:id/capture', (req, res) => {
+    const order = orders.get(req.params.id);
+    if (!order) {
+      return notFound(res);
+    }
+    if (order.status !== 'APPROVED') {
+      return res.status(422).json({
+        name: 'UNPROCESSABLE_ENTITY',
+        details: [{ issue: order.status === 'COMPLETED' ? 'ORDER_ALREADY_CAPTURED' : 'ORDER_NOT_APPROVED' }]
+      });
+    }
+
+    captureCount++;
+    order.captures.push({
+      id: `STANDIN-CAPTURE-${captureCount}`,
+      status: order.captureStatus,
+      amount: toAmount(order.captureAmount, order.currency),
+      final_capture: true
+    });
+    order.status = 'COMPLETED';
+    res.status(201).json(orderResponse(order));
+  });
+
+  app.post('/v2/payments/captures/:id/refund', (req, res) => {
+    const captured = [...orders.values()].some(order =>
+      order.captures.some(capture => capture.id === req.params.id)
+    );
+    if (!captured) {
+      return notFound(res);
+    }
+
+    const refund = { id: `STANDIN-REFUND-${refunds.length + 1}`, captureId: req.params.id, status: 'COMPLETED' };
+    refunds.push(refund);
+    res.status(201).json(refund);
+  });
+
+  return {
+    /**
+     * Register an order. Status defaults to APPROVED; captureAmount and
+     * captureStatus control what a capture call records (partial captures).
+     */
+    addOrder({ id, amount, currency = 'GBP', status = 'APPROVED', captureAmount, captureStatus = 'COMPLETED', captures = [] }) {
+      orders.set(id, {
+        id,
+        amount,
+        currency,
+        status,
+        captureAmount: captureAmount ?? amount,
+        captureStatus,
+        captures,
+        payer: { payer_id: 'STANDINPAYER', email_address: 'buyer@example.com' }
+      });
+    },
+
+    getOrder(id) {
+      return orders.get(id);
+    },
+
+    get refunds() {
+      return refunds;
+    },
+
+    reset() {
+      orders.clear();
+      refunds.length = 0;
+      captureCount = 0;
+    },
+
+    /**
+     * Listen on a random local port and resolve with the base URL
+     */
+    start() {
+      return new Promise((resolve) => {
+        server = app.listen(0, '127.0.0.1', () => {
+          resolve(`http://127.0.0.1:${server.address().port}`);
+        });
+      });
+    },
+
+    stop() {
+      return new Promise((resolve) => {
+        if (!server) {
+          return resolve();
+        }
+        server.close(() => resolve());
+        server = null;
+      });
+    }
+  };
+};
+
+export default createPayPalStandInServer;
@@ -0,0 +1,170 @@
+/**
+ * Local stand-in for the Stripe API
+ * Serves the PaymentIntent, cancel and refund endpoints stripeService calls so card
+ * payments can be tested over real HTTP without stripe-mock or an account.
+ */
+
+import express from 'express';
+
+export const createStripeStandInServer = () => {
+  const app = express();
+  // Stripe sends lists as expand[]=...
+  app.set('query parser', 'extended');
+  app.use(express.urlencoded({ extended: true }));
+
+  const paymentIntents = new Map();
+  const refunds = [];
+  const requests = [];
+  let server = null;
+  let intentCount = 0;
+
+  const notFound = (res, id) => res.status(404).json({
+    error: {
+      type: 'invalid_request_error',
+      code: 'resource_missing',
+      message: `No such payment_intent: '${id}'`
+    }
+  });
+
+  const intentResponse = (intent, expand = []) => ({
+    id: intent.id,
+    object: 'payment_intent',
+    amount: intent.amount,
+    amount_received: intent.status === 'succeeded' ? intent.amount : 0,
+    currency: intent.currency,
+    status: intent.status,
+    client_secret: `${intent.id}_secret_standin`,
+    metadata: intent.metadata,
+    latest_charge: expand.includes('latest_charge') ? intent.charge : intent.charge?.id || null
+  });
+
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, authorization: req.headers.authorization });
+    next();
+  });
+
+  app.post('/v1/payment_intents', (req, res) => {
+    intentCount++;
+    const intent = {
+      id: `pi_standin_${intentCount}`,
+      amount: Number(req.body.amount),
+      currency: req.body.currency,
+      status: 'requires_payment_method',
+      metadata: req.body.metadata || {},
+      charge: null
+    };
+    paymentIntents.set(intent.id, intent);
+    res.json(intentResponse(intent));
+  });
+
+  app.get('/v1/payment_intents/:id', (req, res) => {
+    const intent = paymentIntents.get(req.params.id);
+    if (!intent) {
+      return notFound(res, req.params.id);
+    }
+    res.json(intentResponse(intent, req.query.expand || []));
+  });
+
+  app.post('/v1/payment_intents/:id/cancel', (req, res) => {
+    const intent = paymentIntents.get(req.params.id);
+    if (!intent) {
+      return notFound(res, req.params.id);
+    }
+    if (intent.status === 'succeeded' || intent.status === 'canceled') {
+      return res.status(400).json({
+        error: {
+          type: 'invalid_request_error',
+          code: 'payment_intent_unexpected_state',
+          message: `You cannot cancel this PaymentIntent because it has a status of ${intent.status}.`
+        }
+      });
+    }
+
+    intent.status = 'canceled';
+    res.json(intentResponse(intent));
+  });
+
+  app.post('/v1/refunds', (req, res) => {
+    const intent = paymentIntents.get(req.body.payment_intent);
+    if (!intent || intent.status !== 'succeeded') {
+      return res.status(400).json({
+        error: {
+          type: 'invalid_request_error',
+          code: 'charge_not_refundable',
+          message: 'This PaymentIntent does not have a successful charge to refund.'
+        }
+      });
+    }
+
+    const refund = {
+      id: `re_standin_${refunds.length + 1}`,
+      object: 'refund',
+      payment_intent: intent.id,
+      amount: req.body.amount ? Number(req.body.amount) : intent.amount,
+      status: 'succeeded'
+    };
+    refunds.push(refund);
+    res.json(refund);
+  });
+
+  return {
+    /**
+     * Register a PaymentIntent as the browser would leave it. Status
+     * defaults to succeeded with a Visa charge ending 4242.
+     */
+    addPaymentIntent({ id, amount, currency = 'gbp', status = 'succeeded', brand = 'visa', last4 = '4242' }) {
+      paymentIntents.set(id, {
+        id,
+        amount,
+        currency,
+        status,
+        metadata: {},
+        charge: status === 'succeeded'
+          ? { id: `ch_${id}`, object: 'charge', payment_method_details: { card: { brand, last4 } } }
+          : null
+      });
+    },
+
+    getPaymentIntent(id) {
+      return paymentIntents.get(id);
+    },
+
+    get refunds() {
+      return refunds;
+    },
+
+    get requests() {
+      return requests;
+    },
+
+    reset() {
+      paymentIntents.clear();
+      refunds.length = 0;
+      requests.length = 0;
+      intentCount = 0;
+    },
+
+    /**
+     * Listen on a random local port and resolve with the base URL
+     */
+    start() {
+      return new Promise((resolve) => {
+        server = app.listen(0, '127.0.0.1', () => {
+          resolve(`http://127.0.0.1:${server.address().port}`);
+        });
+      });
+    },
+
+    stop() {
+      return new Promise((resolve) => {
+        if (!server) {
+          return resolve();
+        }
+        server.close(() => resolve());
+        server = null;
+      });
+    }
+  };
+};
+
+export default createStripeStandInServer;
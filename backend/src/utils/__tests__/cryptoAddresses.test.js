@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { isValidBitcoinAddress, isValidMoneroAddress } from '../cryptoAddresses.js';
+
+const MONERO_ADDRESS = '44AFFq5kSiGBoZ4NMDwYtN18obc8AemS33DBLWs3H7otXft3XjrpDtQGv7SqSsaBYBb98uNbr2VBBEt7f2wfn3RVGQBEP3A';
+
+describe('Crypto address validation', () => {
+  describe('isValidBitcoinAddress', () => {
+    it('should accept legacy, segwit and taproot mainnet addresses', () => {
+      expect(isValidBitcoinAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2')).toBe(true);
+      expect(isValidBitcoinAddress('3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy')).toBe(true);
+      expect(isValidBitcoinAddress('BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4')).toBe(true);
+      expect(isValidBitcoinAddress('bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0')).toBe(true);
+    });
+
+    it('should reject addresses with a bad checksum or mixed case', () => {
+      expect(isValidBitcoinAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN3')).toBe(false);
+      expect(isValidBitcoinAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5')).toBe(false);
+      expect(isValidBitcoinAddress('BC1QW508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4')).toBe(false);
+      expect(isValidBitcoinAddress(undefined)).toBe(false);
+    });
+
+    it('should only accept addresses for the given network', () => {
+      const testnetAddress = 'tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7';
+
+      expect(isValidBitcoinAddress(testnetAddress, 'testnet')).toBe(true);
+      expect(isValidBitcoinAddress(testnetAddress)).toBe(false);
+      expect(isValidBitcoinAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2', 'testnet')).toBe(false);
+    });
+  });
+
+  describe('isValidMoneroAddress', () => {
+    it('should accept a mainnet address and reject a bad checksum', () => {
+      expect(isValidMoneroAddress(MONERO_ADDRESS)).toBe(true);
+      expect(isValidMoneroAddress(`${MONERO_ADDRESS.slice(0, -1)}B`)).toBe(false);
+    });
+
+    it('should reject other strings', () => {
+      expect(isValidMoneroAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2')).toBe(false);
+      expect(isValidMoneroAddress(null)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { escapeCsvValue, toCsv, parseCsv, toXlsx, parseXlsx, parseSpreadsheet } from '../spreadsheet.js';
+
+describe('Spreadsheet utilities', () => {
+  const columns = ['sku', 'name', 'price'];
+  const rows = [
+    { sku: 'TB-001', name: 'Toolbox, "mini"\nprop', price: 12.5 },
+    { sku: 'TB-002', name: 'Crate', price: '' }
+  ];
+
+  describe('escapeCsvValue', () => {
+    it('should quote values containing separators, quotes or newlines', () => {
+      expect(escapeCsvValue('plain')).toBe('plain');
+      expect(escapeCsvValue('a,b')).toBe('"a,b"');
+      expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+      expect(escapeCsvValue(null)).toBe('');
+      expect(escapeCsvValue(0)).toBe('0');
+    });
+  });
+
+  describe('CSV round trip', () => {
+    it('should parse what toCsv writes', async () => {
+      const csv = toCsv(columns, rows);
+      const parsed = await parseCsv(csv);
+
+      expect(csv.split('\n')[0]).toBe('sku,name,price');
+      expect(parsed).toEqual([
+        { sku: 'TB-001', name: 'Toolbox, "mini"\nprop', price: '12.5' },
+        { sku: 'TB-002', name: 'Crate', price: '' }
+      ]);
+    });
+
+    it('should trim header names', async () => {
+      const parsed = await parseCsv(' sku , price \nTB-001,3\n');
+      expect(parsed).toEqual([{ sku: 'TB-001', price: '3' }]);
+    });
+  });
+
+  describe('XLSX round trip', () => {
+    it('should parse what toXlsx writes as strings keyed by header', async () => {
+      const buffer = await toXlsx(columns, rows, 'Products');
+      const parsed = await parseXlsx(buffer);
+
+      expect(parsed).toEqual([
+        { sku: 'TB-001', name: 'Toolbox, "mini"\nprop', price: '12.5' },
+        { sku: 'TB-002', name: 'Crate', price: '' }
+      ]);
+    });
+  });
+
+  describe('parseSpreadsheet', () => {
+    it('should pick the parser from the file extension', async () => {
+      const xlsxFile = { originalname: 'products.XLSX', buffer: await toXlsx(columns, rows) };
+      const csvFile = { originalname: 'products.csv', buffer: Buffer.from(toCsv(columns, rows)) };
+
+      expect(await parseSpreadsheet(xlsxFile)).toHaveLength(2);
+      expect(await parseSpreadsheet(csvFile)).toHaveLength(2);
+    });
+  });
+});
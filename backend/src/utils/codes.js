@@ -0,0 +1,24 @@
+import crypto from 'crypto';
+
+const ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Generate a code customers type in, such as a reward or gift card code:
+ * the prefix, the current time in base 36 and random characters, all in
+ * upper case
+ * @param {string} prefix - e.g. 'REF'
+ * @param {number} randomLength - Number of random characters
+ * @returns {string}
+ */
+export const generateCode = (prefix, randomLength = 6) => {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Array.from({ length: randomLength }, () => ALPHABET[crypto.randomInt(ALPHABET.length)]).join('');
+  return `${prefix}${timestamp}${random}`;
+};
+
+/**
+ * Tidy a code as typed: spaces and dashes dropped, upper case
+ * @param {string} code
+ * @returns {string}
+ */
+export const normalizeCode = code => (typeof code === 'string' ? code.replace(/[\s-]/g, '').toUpperCase() : '');
@@ -0,0 +1,100 @@
+import { base58xmr, bech32, bech32m, createBase58check } from '@scure/base';
+import { sha256 } from '@noble/hashes/sha256';
+import { keccak_256 } from '@noble/hashes/sha3';
+
+const base58check = createBase58check(sha256);
+
+// Version bytes of legacy (P2PKH, P2SH) addresses and segwit prefixes
+const BITCOIN_NETWORKS = {
+  mainnet: { versions: [0x00, 0x05], prefix: 'bc' },
+  testnet: { versions: [0x6f, 0xc4], prefix: 'tb' },
+  regtest: { versions: [0x6f, 0xc4], prefix: 'bcrt' }
+};
+
+// Mainnet standard, integrated and subaddress prefixes
+const MONERO_PREFIXES = [18, 19, 42];
+
+const isSegwitAddress = (address, prefix) => {
+  // Mixed case is invalid; either case on its own is allowed
+  if (address !== address.toLowerCase() && address !== address.toUpperCase()) {
+    return false;
+  }
+
+  const lower = address.toLowerCase();
+  if (!lower.startsWith(`${prefix}1`)) {
+    return false;
+  }
+
+  // Version 0 uses bech32 and later versions bech32m (BIP350)
+  for (const encoding of [bech32, bech32m]) {
+    const decoded = encoding.decodeUnsafe(lower);
+    if (!decoded || decoded.prefix !== prefix || decoded.words.length === 0) {
+      continue;
+    }
+
+    const [version, ...words] = decoded.words;
+    if ((version === 0) !== (encoding === bech32) || version > 16) {
+      continue;
+    }
+
+    const program = bech32.fromWordsUnsafe(words);
+    if (!program) {
+      continue;
+    }
+
+    return version === 0
+      ? program.length === 20 || program.length === 32
+      : program.length >= 2 && program.length <= 40;
+  }
+
+  return false;
+};
+
+/**
+ * Whether a string is a Bitcoin address on the given network, checking the
+ * checksum of legacy and segwit (bech32/bech32m) addresses
+ * @param {string} address
+ * @param {string} [network] - mainnet, testnet or regtest
+ */
+export const isValidBitcoinAddress = (address, network = 'mainnet') => {
+  const settings = BITCOIN_NETWORKS[network];
+  if (typeof address !== 'string' || !settings) {
+    return false;
+  }
+
+  if (isSegwitAddress(address, settings.prefix)) {
+    return true;
+  }
+
+  try {
+    const payload = base58check.decode(address);
+    return payload.length === 21 && settings.versions.includes(payload[0]);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Whether a string is a mainnet Monero address (standard, integrated or
+ * subaddress), checking its Keccak checksum
+ * @param {string} address
+ */
+export const isValidMoneroAddress = (address) => {
+  if (typeof address !== 'string' || ![95, 106].includes(address.length)) {
+    return false;
+  }
+
+  let bytes;
+  try {
+    bytes = base58xmr.decode(address);
+  } catch {
+    return false;
+  }
+
+  if (!MONERO_PREFIXES.includes(bytes[0]) || ![69, 77].includes(bytes.length)) {
+    return false;
+  }
+
+  const checksum = keccak_256(bytes.slice(0, -4)).slice(0, 4);
+  return checksum.every((byte, index) => byte === bytes[bytes.length - 4 + index]);
+};
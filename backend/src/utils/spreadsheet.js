@@ -0,0 +1,126 @@
+/**
+ * CSV and XLSX helpers for admin catalog imports and exports
+ */
+
+import path from 'path';
+import { Readable } from 'stream';
+import csv from 'csv-parser';
+import ExcelJS from 'exceljs';
+
+/**
+ * Quote a value for CSV output when it contains separators, quotes or newlines
+ */
+export const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build CSV text from column names and row objects
+ */
+export const toCsv = (columns, rows) => {
+  const lines = [columns.map(column => escapeCsvValue(column)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Parse CSV text or a buffer into row objects keyed by header
+ */
+export const parseCsv = (content) => {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from([content.toString()])
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+};
+
+/**
+ * Flatten an ExcelJS cell value (rich text, hyperlinks, formulas) to plain text
+ */
+const cellToString = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) {
+      return value.richText.map(part => part.text).join('');
+    }
+    if (value.text !== undefined) {
+      return cellToString(value.text);
+    }
+    if (value.result !== undefined) {
+      return cellToString(value.result);
+    }
+    return '';
+  }
+  return String(value);
+};
+
+/**
+ * Parse the first worksheet of an XLSX buffer into row objects keyed by header
+ */
+export const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    return [];
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, columnNumber) => {
+    headers[columnNumber] = cellToString(cell.value).trim();
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) {
+      return;
+    }
+    const entry = {};
+    headers.forEach((header, columnNumber) => {
+      if (header) {
+        entry[header] = cellToString(row.getCell(columnNumber).value);
+      }
+    });
+    rows.push(entry);
+  });
+
+  return rows;
+};
+
+/**
+ * Build an XLSX buffer from column names and row objects
+ */
+export const toXlsx = async (columns, rows, sheetName = 'Sheet1') => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  worksheet.addRow(columns);
+  for (const row of rows) {
+    worksheet.addRow(columns.map(column => row[column] ?? ''));
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Parse an uploaded CSV or XLSX file (multer memory storage) into rows
+ */
+export const parseSpreadsheet = (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  return extension === '.xlsx' ? parseXlsx(file.buffer) : parseCsv(file.buffer);
+};
@@ -308,7 +308,7 @@ describe('Order Validators', () => {
       it('should fail with invalid payment method', async () => {
         const req = createMockReq({
           ...validOrderData,
-          paymentMethod: 'stripe'
+          paymentMethod: 'cheque'
         });
         const result = await runValidation(createOrderValidation, req);
         
@@ -1,5 +1,6 @@
 import { body, param } from 'express-validator';
 import { validators } from '../middleware/validation.js';
+import { PAYMENT_PROVIDER_TYPES } from '../services/paymentProviders/index.js';
 
 export const createOrderValidation = [
   body('cartId')
@@ -46,7 +47,7 @@ export const createOrderValidation = [
   body('paymentMethod')
     .trim()
     .notEmpty().withMessage('Payment method is required')
-    .isIn(['paypal', 'bitcoin', 'monero']).withMessage('Invalid payment method')
+    .isIn(PAYMENT_PROVIDER_TYPES).withMessage('Invalid payment method')
 ];
 
 export const updateOrderStatusValidation = [
@@ -15,6 +15,9 @@ import MyOrdersPage from './pages/MyOrdersPage';
 import OrderDetailsPage from './pages/OrderDetailsPage';
 import ReturnHistoryPage from './pages/ReturnHistoryPage';
 import ReturnDetailsPage from './pages/ReturnDetailsPage';
+import MyCommissionsPage from './pages/MyCommissionsPage';
+import CommissionRequestPage from './pages/CommissionRequestPage';
+import CommissionDetailsPage from './pages/CommissionDetailsPage';
 import AdminLoginPage from './pages/AdminLoginPage';
 import AdminDashboardPage from './pages/AdminDashboardPage';
 import AdminOrdersListPage from './pages/AdminOrdersListPage';
@@ -23,11 +26,18 @@ import AdminReturnsListPage from './pages/AdminReturnsListPage';
 import AdminReturnDetailsPage from './pages/AdminReturnDetailsPage';
 import AdminProductsListPage from './pages/AdminProductsListPage';
 import AdminProductFormPage from './pages/AdminProductFormPage';
+import AdminProductStockPage from './pages/AdminProductStockPage';
 import AdminCategoriesListPage from './pages/AdminCategoriesListPage';
 import AdminCategoryFormPage from './pages/AdminCategoryFormPage';
 import AdminUsersListPage from './pages/AdminUsersListPage';
 import AdminUserDetailsPage from './pages/AdminUserDetailsPage';
 import AdminReportsPage from './pages/AdminReportsPage';
+import AdminPaymentReconciliationPage from './pages/AdminPaymentReconciliationPage';
+import AdminWebhookEventsPage from './pages/AdminWebhookEventsPage';
+import AdminProductionQueuePage from './pages/AdminProductionQueuePage';
+import AdminGiftCardsPage from './pages/AdminGiftCardsPage';
+import AdminCommissionsListPage from './pages/AdminCommissionsListPage';
+import AdminCommissionDetailsPage from './pages/AdminCommissionDetailsPage';
 import AdminSettingsPage from './pages/AdminSettingsPage';
 import AdminPromotionsListPage from './pages/AdminPromotionsListPage';
 import AdminPromotionFormPage from './pages/AdminPromotionFormPage';
@@ -36,17 +46,26 @@ import CartPage from './pages/CartPage';
 import CheckoutPage from './pages/CheckoutPage';
 import CheckoutSuccessPage from './pages/CheckoutSuccessPage';
 import OrderConfirmationPage from './pages/OrderConfirmationPage';
+import GuestOrderPage from './pages/GuestOrderPage';
+import GuestOrderLookupPage from './pages/GuestOrderLookupPage';
 import BitcoinPaymentPage from './pages/BitcoinPaymentPage';
 import MoneroPaymentPage from './pages/MoneroPaymentPage';
+import CryptoRefundAddressPage from './pages/CryptoRefundAddressPage';
+import ProductAlertPage from './pages/ProductAlertPage';
+import CartRecoveryPage from './pages/CartRecoveryPage';
+import RetryCheckoutPage from './pages/RetryCheckoutPage';
 import ContactUsPage from './pages/ContactUsPage';
 import WishlistPage from './pages/WishlistPage';
 import CustomerReferralDashboardPage from './pages/CustomerReferralDashboardPage';
+import CustomerStoreCreditPage from './pages/CustomerStoreCreditPage';
 import OrderTrackingDetailPage from './pages/OrderTrackingDetailPage';
 import DebugPage from './pages/DebugPage';
 import SearchBar from './components/SearchBar';
 import CartIcon from './components/CartIcon';
+import CurrencySelector from './components/CurrencySelector';
 import { AuthProvider, useAuth, useLogout } from './contexts/AuthContext';
 import { CartProvider } from './contexts/CartContext';
+import { CurrencyProvider } from './contexts/CurrencyContext';
 import { CheckoutProvider } from './contexts/CheckoutContext';
 //import './App.css';
 import './index.css'; // Import global styles
@@ -122,6 +141,13 @@ const AuthenticatedUserMenu = () => {
           >
             Referral Dashboard
           </Link>
+          <Link
+            to="/store-credit"
+            className="block px-4 py-2 text-sm text-forest-800 hover:bg-forest-50 transition-colors duration-200"
+            onClick={() => setIsDropdownOpen(false)}
+          >
+            Store Credit
+          </Link>
           <Link
             to="/my-account/returns"
             className="block px-4 py-2 text-sm text-forest-800 hover:bg-forest-50 transition-colors duration-200"
@@ -129,6 +155,13 @@ const AuthenticatedUserMenu = () => {
           >
             My Returns
           </Link>
+          <Link
+            to="/commissions"
+            className="block px-4 py-2 text-sm text-forest-800 hover:bg-forest-50 transition-colors duration-200"
+            onClick={() => setIsDropdownOpen(false)}
+          >
+            My Commissions
+          </Link>
           <Link
             to="/contact-us"
             className="block px-4 py-2 text-sm text-forest-800 hover:bg-forest-50 transition-colors duration-200"
@@ -204,6 +237,10 @@ const Header = () => {
                 </Link>
               </li>
               
+              <li>
+                <CurrencySelector />
+              </li>
+
               <li>
                 <CartIcon />
               </li>
@@ -305,6 +342,9 @@ export const AppRoutes = () => {
           
           {/* Referral dashboard page */}
           <Route path="/referrals" element={<CustomerReferralDashboardPage />} />
+
+          {/* Store credit wallet page */}
+          <Route path="/store-credit" element={<CustomerStoreCreditPage />} />
           
           {/* Change password page */}
           <Route path="/change-password" element={<ChangePasswordPage />} />
@@ -329,12 +369,20 @@ export const AppRoutes = () => {
           {/* Order tracking page */}
           <Route path="/orders/:orderId/track" element={<OrderTrackingDetailPage />} />
           
+          {/* Retry checkout for orders cancelled for non-payment */}
+          <Route path="/orders/:orderId/retry" element={<RetryCheckoutPage />} />
+          
           {/* Return history page */}
           <Route path="/my-account/returns" element={<ReturnHistoryPage />} />
           
           {/* Return details page */}
           <Route path="/my-account/returns/:returnRequestId" element={<ReturnDetailsPage />} />
           
+          {/* Commission requests */}
+          <Route path="/commissions" element={<MyCommissionsPage />} />
+          <Route path="/commissions/new" element={<CommissionRequestPage />} />
+          <Route path="/commissions/:commissionId" element={<CommissionDetailsPage />} />
+          
           {/* Cart page */}
           <Route path="/cart" element={<CartPage />} />
           
@@ -346,10 +394,26 @@ export const AppRoutes = () => {
           
           {/* Order confirmation page */}
           <Route path="/order-confirmation/:orderId" element={<OrderConfirmationPage />} />
+
+          {/* Guest orders, reached through the link in the order email */}
+          <Route path="/guest-orders/:token" element={<GuestOrderPage />} />
+          <Route path="/order-lookup" element={<GuestOrderLookupPage />} />
           
           {/* Payment pages */}
           <Route path="/payment/bitcoin/:orderId" element={<BitcoinPaymentPage />} />
+          <Route path="/payment/lightning/:orderId" element={<BitcoinPaymentPage network="lightning" />} />
           <Route path="/payment/monero/:orderId" element={<MoneroPaymentPage />} />
+
+          {/* Crypto refund address, linked from the refund email */}
+          <Route path="/refunds/crypto/:token" element={<CryptoRefundAddressPage />} />
+
+          {/* Product alert links, from the confirmation and alert emails */}
+          <Route path="/alerts/confirm/:token" element={<ProductAlertPage action="confirm" />} />
+          <Route path="/alerts/unsubscribe/:token" element={<ProductAlertPage action="unsubscribe" />} />
+
+          {/* Abandoned cart email links */}
+          <Route path="/cart/restore/:token" element={<CartRecoveryPage action="restore" />} />
+          <Route path="/cart/reminders/unsubscribe/:token" element={<CartRecoveryPage action="unsubscribe" />} />
           
           {/* Contact Us page */}
           <Route path="/contact-us" element={<ContactUsPage />} />
@@ -401,6 +465,11 @@ export const AppRoutes = () => {
               <AdminProductFormPage />
             </AdminRoute>
           } />
+          <Route path="/admin/products/:productId/stock" element={
+            <AdminRoute>
+              <AdminProductStockPage />
+            </AdminRoute>
+          } />
           <Route path="/admin/categories" element={
             <AdminRoute>
               <AdminCategoriesListPage />
@@ -446,6 +515,36 @@ export const AppRoutes = () => {
               <AdminReportsPage />
             </AdminRoute>
           } />
+          <Route path="/admin/payment-reconciliation" element={
+            <AdminRoute>
+              <AdminPaymentReconciliationPage />
+            </AdminRoute>
+          } />
+          <Route path="/admin/webhook-events" element={
+            <AdminRoute>
+              <AdminWebhookEventsPage />
+            </AdminRoute>
+          } />
+          <Route path="/admin/production-queue" element={
+            <AdminRoute>
+              <AdminProductionQueuePage />
+            </AdminRoute>
+          } />
+          <Route path="/admin/gift-cards" element={
+            <AdminRoute>
+              <AdminGiftCardsPage />
+            </AdminRoute>
+          } />
+          <Route path="/admin/commissions" element={
+            <AdminRoute>
+              <AdminCommissionsListPage />
+            </AdminRoute>
+          } />
+          <Route path="/admin/commissions/:commissionId" element={
+            <AdminRoute>
+              <AdminCommissionDetailsPage />
+            </AdminRoute>
+          } />
           <Route path="/admin/settings" element={
             <AdminRoute>
               <AdminSettingsPage />
@@ -470,11 +569,13 @@ function App() {
   return (
     <Router>
       <AuthProvider>
-        <CartProvider>
-          <CheckoutProvider>
-            <AppRoutes />
-          </CheckoutProvider>
-        </CartProvider>
+        <CurrencyProvider>
+          <CartProvider>
+            <CheckoutProvider>
+              <AppRoutes />
+            </CheckoutProvider>
+          </CartProvider>
+        </CurrencyProvider>
       </AuthProvider>
     </Router>
   );
@@ -1,10 +1,16 @@
 import { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
+import { formatAvailability } from '../utils/formatters';
 
 const AddToCartButton = ({
   productId,
   stockStatus,
   stockQuantity,
+  // Stock not held in other customers' checkouts
+  availableStock = stockQuantity,
+  // Pre-order, made-to-order and gift card products are not limited by stock
+  availabilityMode = 'stock',
+  expectedShipDate = null,
   onAddToCart,
   disabled = false,
   isLoading = false,
@@ -29,8 +35,10 @@ const AddToCartButton = ({
     }
   }, [showSuccess]);
 
-  const isOutOfStock = stockStatus === 'out_of_stock' || stockQuantity === 0;
-  const isLowStock = stockStatus === 'low_stock';
+  const isMadeOnDemand = ['preorder', 'made_to_order', 'gift_card'].includes(availabilityMode);
+  const isOutOfStock = !isMadeOnDemand && (stockStatus === 'out_of_stock' || availableStock === 0);
+  const isReserved = !isMadeOnDemand && stockQuantity > 0 && availableStock === 0;
+  const isLowStock = !isMadeOnDemand && stockStatus === 'low_stock';
 
   const handleAddToCart = () => {
     if (!disabled && !isLoading && !isOutOfStock) {
@@ -47,7 +55,7 @@ const AddToCartButton = ({
 
   // Generate quantity options
   const quantityOptions = [];
-  const maxOptions = Math.min(stockQuantity, maxQuantity);
+  const maxOptions = isMadeOnDemand ? maxQuantity : Math.min(availableStock, maxQuantity);
   for (let i = 1; i <= maxOptions; i++) {
     quantityOptions.push(i);
   }
@@ -72,15 +80,18 @@ const AddToCartButton = ({
     if (localShowSuccess) return 'Added to Cart!';
     if (isLoading) return 'Adding...';
     if (isOutOfStock) return outOfStockText;
+    if (availabilityMode === 'preorder') return 'Pre-order';
     return buttonText;
   };
 
   // Get stock status text
   const getStockStatusText = () => {
+    if (isMadeOnDemand) return formatAvailability(availabilityMode, expectedShipDate);
+    if (isReserved) return 'Reserved by another customer at checkout. Check back soon.';
     if (isOutOfStock) return 'Unavailable';
-    if (isLowStock && stockQuantity <= 5) return `${stockQuantity} in stock`;
-    if (stockQuantity > 10) return 'In Stock';
-    return `${stockQuantity} in stock`;
+    if (isLowStock && availableStock <= 5) return `${availableStock} in stock`;
+    if (availableStock > 10) return 'In Stock';
+    return `${availableStock} in stock`;
   };
 
   // Get icon based on state
@@ -168,9 +179,9 @@ const AddToCartButton = ({
       </div>
 
       {/* Low Stock Warning */}
-      {isLowStock && stockQuantity <= 5 && stockQuantity > 0 && (
+      {isLowStock && availableStock <= 5 && availableStock > 0 && (
         <div className="text-sm text-amber-600 font-medium">
-          Hurry! Only {stockQuantity} left in stock!
+          Hurry! Only {availableStock} left in stock!
         </div>
       )}
 
@@ -188,6 +199,9 @@ AddToCartButton.propTypes = {
   productId: PropTypes.string.isRequired,
   stockStatus: PropTypes.oneOf(['in_stock', 'low_stock', 'out_of_stock']).isRequired,
   stockQuantity: PropTypes.number.isRequired,
+  availableStock: PropTypes.number,
+  availabilityMode: PropTypes.oneOf(['stock', 'preorder', 'made_to_order', 'gift_card']),
+  expectedShipDate: PropTypes.string,
   onAddToCart: PropTypes.func.isRequired,
   disabled: PropTypes.bool,
   isLoading: PropTypes.bool,
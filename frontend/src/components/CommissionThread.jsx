@@ -0,0 +1,89 @@
+import React from 'react';
+import { formatCommissionStatus } from '../services/commissionService';
+
+const IMAGE_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000';
+
+const formatDateTime = (dateString) => {
+  return new Date(dateString).toLocaleString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+export const CommissionImages = ({ images = [], label }) => {
+  if (images.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="grid grid-cols-3 md:grid-cols-5 gap-2 mt-2">
+      {images.map((image, index) => (
+        <a key={image.url} href={`${IMAGE_BASE_URL}${image.url}`} target="_blank" rel="noopener noreferrer">
+          <img
+            src={`${IMAGE_BASE_URL}${image.thumbnailUrl || image.url}`}
+            alt={`${label} ${index + 1}`}
+            className="w-full h-20 object-cover rounded border border-gray-200"
+          />
+        </a>
+      ))}
+    </div>
+  );
+};
+
+// Message thread and status history of a commission request, seen from
+// the customer's or the admin's side
+const CommissionThread = ({ commission, viewer = 'customer' }) => {
+  const messages = commission.messages || [];
+  const statusHistory = commission.statusHistory || [];
+
+  const getAuthorLabel = (author) => {
+    if (author === viewer) return 'You';
+    return author === 'admin' ? 'RDJCustoms' : commission.customerName || 'Customer';
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Messages</h2>
+        {messages.length === 0 ? (
+          <p className="text-gray-500 text-sm">No messages yet.</p>
+        ) : (
+          <ul className="space-y-4">
+            {messages.map((message) => (
+              <li
+                key={message._id}
+                data-testid="commission-message"
+                className={`rounded-lg p-4 ${message.author === viewer ? 'bg-blue-50 ml-8' : 'bg-gray-50 mr-8'}`}
+              >
+                <div className="flex justify-between text-xs text-gray-500 mb-1">
+                  <span className="font-medium text-gray-700">{getAuthorLabel(message.author)}</span>
+                  <span>{formatDateTime(message.createdAt)}</span>
+                </div>
+                <p className="text-sm text-gray-800 whitespace-pre-line">{message.body}</p>
+                <CommissionImages images={message.images} label="Message image" />
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Status History</h2>
+        <ul className="space-y-2">
+          {statusHistory.map((entry, index) => (
+            <li key={index} data-testid="commission-history" className="text-sm text-gray-700">
+              <span className="font-medium">{formatCommissionStatus(entry.status)}</span>
+              <span className="text-gray-500"> - {formatDateTime(entry.timestamp)}</span>
+              {entry.note && <span className="block text-gray-500">{entry.note}</span>}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default CommissionThread;
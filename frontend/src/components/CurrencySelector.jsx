@@ -0,0 +1,28 @@
+import React from 'react';
+import { useCurrency } from '../contexts/CurrencyContext';
+
+const CurrencySelector = () => {
+  const { currencies, currency, setCurrency } = useCurrency();
+
+  if (currencies.length < 2) {
+    return null;
+  }
+
+  return (
+    <select
+      value={currency.code}
+      onChange={(e) => setCurrency(e.target.value)}
+      className="text-sm text-forest-900 bg-transparent border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      aria-label="Currency"
+      data-testid="currency-selector"
+    >
+      {currencies.map(entry => (
+        <option key={entry.code} value={entry.code}>
+          {entry.symbol ? `${entry.symbol} ${entry.code}` : entry.code}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default CurrencySelector;
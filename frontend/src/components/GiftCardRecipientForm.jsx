@@ -0,0 +1,112 @@
+import PropTypes from 'prop-types';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Who a gift card is for and when it is emailed to them. Every card bought
+ * in one go goes to the same recipient; leaving the date empty sends it as
+ * soon as the order is paid.
+ */
+const GiftCardRecipientForm = ({ value, onChange, error = '' }) => {
+  const handleChange = (e) => {
+    onChange({ ...value, [e.target.name]: e.target.value });
+  };
+
+  const inputClasses = 'w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <fieldset className="space-y-3" data-testid="gift-card-recipient-form">
+      <legend className="text-sm font-medium text-gray-900 mb-1">Who is it for?</legend>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div>
+          <label htmlFor="gift-card-recipient-name" className="block text-sm font-medium text-gray-700 mb-1">
+            Recipient name
+          </label>
+          <input
+            id="gift-card-recipient-name"
+            name="recipientName"
+            type="text"
+            maxLength={100}
+            value={value.recipientName || ''}
+            onChange={handleChange}
+            className={inputClasses}
+          />
+        </div>
+        <div>
+          <label htmlFor="gift-card-recipient-email" className="block text-sm font-medium text-gray-700 mb-1">
+            Recipient email *
+          </label>
+          <input
+            id="gift-card-recipient-email"
+            name="recipientEmail"
+            type="email"
+            value={value.recipientEmail || ''}
+            onChange={handleChange}
+            placeholder="them@example.com"
+            className={inputClasses}
+          />
+        </div>
+        <div>
+          <label htmlFor="gift-card-sender-name" className="block text-sm font-medium text-gray-700 mb-1">
+            From
+          </label>
+          <input
+            id="gift-card-sender-name"
+            name="senderName"
+            type="text"
+            maxLength={100}
+            value={value.senderName || ''}
+            onChange={handleChange}
+            className={inputClasses}
+          />
+        </div>
+        <div>
+          <label htmlFor="gift-card-delivery-date" className="block text-sm font-medium text-gray-700 mb-1">
+            Send on
+          </label>
+          <input
+            id="gift-card-delivery-date"
+            name="deliveryDate"
+            type="date"
+            min={today()}
+            value={value.deliveryDate || ''}
+            onChange={handleChange}
+            className={inputClasses}
+          />
+        </div>
+      </div>
+      <div>
+        <label htmlFor="gift-card-message" className="block text-sm font-medium text-gray-700 mb-1">
+          Message
+        </label>
+        <textarea
+          id="gift-card-message"
+          name="message"
+          rows={3}
+          maxLength={500}
+          value={value.message || ''}
+          onChange={handleChange}
+          className={inputClasses}
+        />
+      </div>
+      <p className="text-xs text-gray-500">
+        Leave the date empty to send the gift card as soon as your order is paid.
+      </p>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </fieldset>
+  );
+};
+
+GiftCardRecipientForm.propTypes = {
+  value: PropTypes.shape({
+    recipientName: PropTypes.string,
+    recipientEmail: PropTypes.string,
+    senderName: PropTypes.string,
+    message: PropTypes.string,
+    deliveryDate: PropTypes.string
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  error: PropTypes.string
+};
+
+export default GiftCardRecipientForm;
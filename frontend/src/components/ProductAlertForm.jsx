@@ -0,0 +1,105 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { subscribeToProductAlert, getMyProductAlerts } from '../services/productAlertService';
+
+/**
+ * Opt-in back-in-stock and price-drop alerts for a product. Guests give an
+ * email address and confirm it from the email we send; signed-in customers
+ * are subscribed with their account email.
+ */
+const ProductAlertForm = ({ productId, inStock }) => {
+  const { isAuthenticated } = useAuth();
+  const [email, setEmail] = useState('');
+  const [subscribedTypes, setSubscribedTypes] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadAlerts = async () => {
+      if (!isAuthenticated || !productId) return;
+
+      try {
+        const result = await getMyProductAlerts(productId);
+        setSubscribedTypes((result?.data?.alerts || []).map(alert => alert.type));
+      } catch {
+        // Without them the customer can still subscribe
+      }
+    };
+
+    loadAlerts();
+  }, [productId, isAuthenticated]);
+
+  const handleSubscribe = async (type) => {
+    if (!isAuthenticated && !email.trim()) {
+      setError('Please enter your email address');
+      return;
+    }
+
+    setSubmitting(true);
+    setMessage('');
+    setError('');
+
+    try {
+      const result = await subscribeToProductAlert(productId, {
+        type,
+        ...(!isAuthenticated && { email: email.trim() })
+      });
+      setMessage(result.message);
+      if (!result.data?.requiresConfirmation) {
+        setSubscribedTypes(prev => [...prev, type]);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to subscribe to alert');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderButton = (type, label) => (
+    subscribedTypes.includes(type) ? (
+      <p className="text-sm text-green-700">
+        {type === 'back_in_stock'
+          ? 'We\'ll email you when this is back in stock.'
+          : 'We\'ll email you if the price drops.'}
+      </p>
+    ) : (
+      <button
+        type="button"
+        onClick={() => handleSubscribe(type)}
+        disabled={submitting}
+        className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+      >
+        {label}
+      </button>
+    )
+  );
+
+  return (
+    <div className="mt-4 space-y-3" data-testid="product-alert-form">
+      {!isAuthenticated && (
+        <div>
+          <label htmlFor="product-alert-email" className="block text-sm font-medium text-gray-700 mb-1">
+            {inStock ? 'Get price drop alerts' : 'Get notified when it\'s back'}
+          </label>
+          <input
+            id="product-alert-email"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="you@example.com"
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+      )}
+      <div className="flex flex-wrap gap-3">
+        {!inStock && renderButton('back_in_stock', 'Email me when back in stock')}
+        {renderButton('price_drop', 'Email me if the price drops')}
+      </div>
+      {message && <p className="text-sm text-green-700">{message}</p>}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default ProductAlertForm;
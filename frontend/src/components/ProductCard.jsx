@@ -2,6 +2,7 @@ import PropTypes from 'prop-types';
 import { Link } from 'react-router-dom';
 import { useState } from 'react';
 import { useCart } from '../contexts/CartContext';
+import { useCurrency } from '../contexts/CurrencyContext';
 import { SafeContent, SafeImage } from './hoc/withXSSProtection';
 
 const ProductCard = ({ product }) => {
@@ -15,26 +16,32 @@ const ProductCard = ({ product }) => {
     images,
     condition,
     stockStatus,
-    stockQuantity
+    stockQuantity,
+    availableStock = stockQuantity,
+    availabilityMode
   } = product;
 
+  // Pre-order, made-to-order and gift card products are not limited by stock
+  const madeOnDemandLabel = { preorder: 'Pre-order', made_to_order: 'Made to order', gift_card: 'Gift card' }[availabilityMode];
+  // Gift cards need a recipient, chosen on the product page
+  const isGiftCard = availabilityMode === 'gift_card';
+  // Stock held in other customers' checkouts cannot be added until released
+  const isReserved = !madeOnDemandLabel && stockQuantity > 0 && availableStock === 0;
+  const isUnavailable = !madeOnDemandLabel && (stockStatus === 'out_of_stock' || availableStock === 0);
+
   const [isAddingToCart, setIsAddingToCart] = useState(false);
   const { addToCart } = useCart();
+  const { formatPrice } = useCurrency();
 
   // Get the main image or placeholder
   const mainImage = images && images.length > 0 ? images[0] : '/placeholder-product.jpg';
 
-  // Format price in GBP
-  const formatPrice = (price) => {
-    return `£${price.toFixed(2)}`;
-  };
-
   // Handle add to cart
   const handleAddToCart = async (e) => {
     e.preventDefault(); // Prevent navigation if button is inside a link
     e.stopPropagation();
     
-    if (stockStatus === 'out_of_stock' || stockQuantity === 0 || isAddingToCart) {
+    if (isUnavailable || isAddingToCart) {
       return;
     }
 
@@ -142,12 +149,20 @@ const ProductCard = ({ product }) => {
             data-testid="product-price"
             className="text-xl font-bold text-forest-900"
           >
-            {formatPrice(price)}
+            {formatPrice(price, product.priceOverrides)}
           </span>
           <div className="flex items-center gap-2">
-            {stockQuantity > 0 ? (
+            {madeOnDemandLabel ? (
+              <span className="text-sm font-medium text-forest-600" data-testid="product-made-on-demand">
+                {madeOnDemandLabel}
+              </span>
+            ) : availableStock > 0 ? (
               <span className={`text-sm font-medium ${stockStatus === 'low_stock' ? 'text-sand-dark' : 'text-forest-600'}`}>
-                {stockQuantity} available
+                {availableStock} available
+              </span>
+            ) : isReserved ? (
+              <span className="text-sm font-medium text-sand-dark" data-testid="product-reserved">
+                Reserved
               </span>
             ) : (
               <span className={`text-sm font-medium ${stockStatus_.className}`}>
@@ -159,18 +174,20 @@ const ProductCard = ({ product }) => {
 
         {/* Action Buttons */}
         <div className="space-y-2">
-          <button
-            data-testid="add-to-cart-button"
-            onClick={handleAddToCart}
-            disabled={stockStatus === 'out_of_stock' || stockQuantity === 0 || isAddingToCart}
-            className={`w-full py-2 px-4 rounded-md font-medium text-sm transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2 ${
-              stockStatus === 'out_of_stock' || stockQuantity === 0
-                ? 'bg-muted text-muted-foreground cursor-not-allowed'
-                : 'bg-forest-600 hover:bg-forest-700 focus:ring-forest-500 animate-wave'
-            }`}
-          >
-            {isAddingToCart ? 'Adding...' : stockStatus === 'out_of_stock' || stockQuantity === 0 ? 'Out of Stock' : 'Add to Cart'}
-          </button>
+          {!isGiftCard && (
+            <button
+              data-testid="add-to-cart-button"
+              onClick={handleAddToCart}
+              disabled={isUnavailable || isAddingToCart}
+              className={`w-full py-2 px-4 rounded-md font-medium text-sm transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2 ${
+                isUnavailable
+                  ? 'bg-muted text-muted-foreground cursor-not-allowed'
+                  : 'bg-forest-600 hover:bg-forest-700 focus:ring-forest-500 animate-wave'
+              }`}
+            >
+              {isAddingToCart ? 'Adding...' : isUnavailable ? (isReserved ? 'Reserved' : 'Out of Stock') : 'Add to Cart'}
+            </button>
+          )}
           
           <Link
             to={`/products/${slug}`}
@@ -196,6 +213,8 @@ ProductCard.propTypes = {
     condition: PropTypes.oneOf(['new', 'excellent', 'good', 'fair']).isRequired,
     stockStatus: PropTypes.oneOf(['in_stock', 'low_stock', 'out_of_stock']).isRequired,
     stockQuantity: PropTypes.number,
+    availableStock: PropTypes.number,
+    availabilityMode: PropTypes.oneOf(['stock', 'preorder', 'made_to_order', 'gift_card']),
     category: PropTypes.shape({
       _id: PropTypes.string,
       name: PropTypes.string,
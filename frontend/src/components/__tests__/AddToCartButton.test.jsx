@@ -56,6 +56,38 @@ describe('AddToCartButton', () => {
     expect(screen.getByText(/hurry! only 3 left in stock!/i)).toBeInTheDocument();
   });
 
+  it('should not offer stock held at another checkout', () => {
+    render(
+      <AddToCartButton 
+        {...defaultProps} 
+        stockStatus="low_stock" 
+        stockQuantity={1} 
+        availableStock={0} 
+      />
+    );
+    
+    expect(screen.getByRole('button', { name: /out of stock/i })).toBeDisabled();
+    expect(screen.getByText('Reserved by another customer at checkout. Check back soon.')).toBeInTheDocument();
+  });
+
+  it('should take pre-orders whatever the stock level', () => {
+    render(
+      <AddToCartButton
+        {...defaultProps}
+        stockStatus="out_of_stock"
+        stockQuantity={0}
+        availableStock={null}
+        availabilityMode="preorder"
+        expectedShipDate="2026-12-01T00:00:00Z"
+        showQuantitySelector={true}
+      />
+    );
+
+    expect(screen.getByRole('button', { name: /pre-order/i })).not.toBeDisabled();
+    expect(screen.getByText(/Pre-order - expected to ship by/)).toBeInTheDocument();
+    expect(screen.getAllByRole('option')).toHaveLength(10);
+  });
+
   it('should call onAddToCart when clicked', async () => {
     const user = userEvent.setup();
     const mockOnAddToCart = vi.fn();
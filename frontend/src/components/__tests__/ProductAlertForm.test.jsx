@@ -0,0 +1,94 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import ProductAlertForm from '../ProductAlertForm';
+import { useAuth } from '../../contexts/AuthContext';
+import * as productAlertService from '../../services/productAlertService';
+
+vi.mock('../../services/productAlertService', () => ({
+  subscribeToProductAlert: vi.fn(),
+  getMyProductAlerts: vi.fn()
+}));
+
+vi.mock('../../contexts/AuthContext', () => ({
+  useAuth: vi.fn()
+}));
+
+const renderWithAuth = (props, isAuthenticated = false) => {
+  useAuth.mockReturnValue({ isAuthenticated, user: isAuthenticated ? { email: 'customer@example.com' } : null });
+  return render(<ProductAlertForm productId="product123" {...props} />);
+};
+
+describe('ProductAlertForm', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should offer both alerts for an out-of-stock product', () => {
+    renderWithAuth({ inStock: false });
+
+    expect(screen.getByText('Email me when back in stock')).toBeInTheDocument();
+    expect(screen.getByText('Email me if the price drops')).toBeInTheDocument();
+    expect(screen.getByLabelText('Get notified when it\'s back')).toBeInTheDocument();
+  });
+
+  it('should only offer price drop alerts for a product in stock', () => {
+    renderWithAuth({ inStock: true });
+
+    expect(screen.queryByText('Email me when back in stock')).not.toBeInTheDocument();
+    expect(screen.getByText('Email me if the price drops')).toBeInTheDocument();
+  });
+
+  it('should ask a guest for their email and to confirm it', async () => {
+    productAlertService.subscribeToProductAlert.mockResolvedValue({
+      success: true,
+      message: 'Check your email to confirm your alert',
+      data: { requiresConfirmation: true }
+    });
+    renderWithAuth({ inStock: false });
+
+    fireEvent.click(screen.getByText('Email me when back in stock'));
+    expect(screen.getByText('Please enter your email address')).toBeInTheDocument();
+    expect(productAlertService.subscribeToProductAlert).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText('Get notified when it\'s back'), { target: { value: ' guest@example.com ' } });
+    fireEvent.click(screen.getByText('Email me when back in stock'));
+
+    expect(await screen.findByText('Check your email to confirm your alert')).toBeInTheDocument();
+    expect(productAlertService.subscribeToProductAlert).toHaveBeenCalledWith('product123', {
+      type: 'back_in_stock',
+      email: 'guest@example.com'
+    });
+    // Not subscribed until the guest confirms
+    expect(screen.getByText('Email me when back in stock')).toBeInTheDocument();
+  });
+
+  it('should subscribe a signed-in customer without asking for an email', async () => {
+    productAlertService.getMyProductAlerts.mockResolvedValue({ success: true, data: { alerts: [] } });
+    productAlertService.subscribeToProductAlert.mockResolvedValue({
+      success: true,
+      message: 'We\'ll email you when this happens',
+      data: { requiresConfirmation: false }
+    });
+    renderWithAuth({ inStock: true }, true);
+
+    expect(screen.queryByRole('textbox')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByText('Email me if the price drops'));
+
+    expect(await screen.findByText('We\'ll email you if the price drops.')).toBeInTheDocument();
+    expect(productAlertService.subscribeToProductAlert).toHaveBeenCalledWith('product123', { type: 'price_drop' });
+  });
+
+  it('should show alerts a signed-in customer already has', async () => {
+    productAlertService.getMyProductAlerts.mockResolvedValue({
+      success: true,
+      data: { alerts: [{ type: 'back_in_stock', status: 'active' }] }
+    });
+    renderWithAuth({ inStock: false }, true);
+
+    await waitFor(() => {
+      expect(screen.getByText('We\'ll email you when this is back in stock.')).toBeInTheDocument();
+    });
+    expect(screen.queryByText('Email me when back in stock')).not.toBeInTheDocument();
+  });
+});
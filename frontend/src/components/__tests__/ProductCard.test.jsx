@@ -1,8 +1,9 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import ProductCard from '../ProductCard';
 import { CartProvider } from '../../contexts/CartContext';
+import { CurrencyProvider } from '../../contexts/CurrencyContext';
 
 // Mock the CartContext
 const mockAddToCart = vi.fn();
@@ -13,6 +14,12 @@ vi.mock('../../contexts/CartContext', () => ({
   })
 }));
 
+vi.mock('../../services/currencyService', () => ({
+  getCurrencies: vi.fn()
+}));
+
+import { getCurrencies } from '../../services/currencyService';
+
 // Test wrapper component
 const TestWrapper = ({ children }) => (
   <BrowserRouter>
@@ -99,6 +106,24 @@ describe('ProductCard', () => {
     expect(addToCartButton).toBeDisabled();
   });
 
+  it('shows stock held at another checkout as reserved', () => {
+    const reservedProduct = {
+      ...mockProduct,
+      stockStatus: 'low_stock',
+      stockQuantity: 1,
+      availableStock: 0
+    };
+
+    render(
+      <TestWrapper>
+        <ProductCard product={reservedProduct} />
+      </TestWrapper>
+    );
+
+    expect(screen.getByTestId('product-reserved')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /reserved/i })).toBeDisabled();
+  });
+
   it('shows low stock status correctly', () => {
     const lowStockProduct = {
       ...mockProduct,
@@ -309,6 +334,50 @@ describe('ProductCard', () => {
     expect(screen.getByText('£599.50')).toBeInTheDocument();
   });
 
+  describe('in another currency', () => {
+    beforeEach(() => {
+      localStorage.setItem('currency', 'EUR');
+      getCurrencies.mockResolvedValue({
+        success: true,
+        data: {
+          settlementCurrency: 'GBP',
+          currencies: [
+            { code: 'GBP', name: 'British Pound', symbol: '£', exchangeRate: 1, decimalPlaces: 2 },
+            { code: 'EUR', name: 'Euro', symbol: '€', exchangeRate: 1.15, decimalPlaces: 2 }
+          ]
+        }
+      });
+    });
+
+    afterEach(() => {
+      localStorage.removeItem('currency');
+    });
+
+    it('converts the GBP price', async () => {
+      render(
+        <TestWrapper>
+          <CurrencyProvider>
+            <ProductCard product={mockProduct} />
+          </CurrencyProvider>
+        </TestWrapper>
+      );
+
+      expect(await screen.findByText('€689.99')).toBeInTheDocument();
+    });
+
+    it('shows the price set for the currency', async () => {
+      render(
+        <TestWrapper>
+          <CurrencyProvider>
+            <ProductCard product={{ ...mockProduct, priceOverrides: [{ currency: 'EUR', price: 649 }] }} />
+          </CurrencyProvider>
+        </TestWrapper>
+      );
+
+      expect(await screen.findByText('€649.00')).toBeInTheDocument();
+    });
+  });
+
   it('has proper semantic HTML structure', () => {
     render(
       <TestWrapper>
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { useCheckout } from '../../contexts/CheckoutContext';
+import { useAuth } from '../../contexts/AuthContext';
 import { addUserAddress, updateUserAddress } from '../../services/addressService';
 import AddressForm from '../AddressForm';
 
@@ -67,6 +68,7 @@ const BillingAddressSection = () => {
     setUseSameAsShipping,
     refreshAddresses
   } = useCheckout();
+  const { isAuthenticated } = useAuth();
 
   const [showAddForm, setShowAddForm] = useState(false);
   const [showEditForm, setShowEditForm] = useState(false);
@@ -110,6 +112,13 @@ const BillingAddressSection = () => {
       setFormLoading(true);
       setFormError('');
 
+      // Guests have no address book; the address is only used for this order
+      if (!isAuthenticated) {
+        setBillingAddress(formData);
+        setShowAddForm(false);
+        return;
+      }
+
       let savedAddress;
       if (editingAddress) {
         // Update existing address
@@ -250,7 +259,7 @@ const BillingAddressSection = () => {
                     />
                   ))}
                 </div>
-              ) : (
+              ) : isAuthenticated && (
                 <div className="text-center py-8 mb-6">
                   <div className="text-6xl mb-4">📍</div>
                   <h4 className="text-lg font-medium text-gray-700 mb-2">No Addresses Found</h4>
@@ -266,7 +275,7 @@ const BillingAddressSection = () => {
                   onClick={handleAddNewAddress}
                   className="w-full py-3 px-4 border-2 border-dashed border-gray-300 text-gray-600 hover:border-blue-400 hover:text-blue-600 transition-colors rounded-lg font-medium"
                 >
-                  + Add New Billing Address
+                  {isAuthenticated ? '+ Add New Billing Address' : checkoutState.billingAddress ? 'Change Billing Address' : '+ Enter Billing Address'}
                 </button>
               </div>
 
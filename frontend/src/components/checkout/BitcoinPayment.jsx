@@ -127,6 +127,13 @@ const BitcoinPayment = ({ orderId, orderTotal, onPaymentStatusChange }) => {
           message: 'Payment confirmed! Your order is being processed.'
         };
       case 'underpaid':
+        // The address stays open so the rest can be sent at the quoted rate
+        if (paymentStatus.bitcoinAmountDue > 0) {
+          return {
+            type: 'warning',
+            message: `Partial payment received. Send the remaining ${formatBitcoinAmount(paymentStatus.bitcoinAmountDue)} BTC to the same address.`
+          };
+        }
         return {
           type: 'error',
           message: `Insufficient payment received. Expected: ${formatBitcoinAmount(paymentData.bitcoinAmount)} BTC`
@@ -286,6 +293,18 @@ const BitcoinPayment = ({ orderId, orderTotal, onPaymentStatusChange }) => {
             <p>Exchange Rate: £{paymentData.exchangeRate?.toLocaleString()} per BTC</p>
             <p>Rate Valid Until: {new Date(paymentData.exchangeRateTimestamp).toLocaleTimeString()}</p>
           </div>
+
+          {/* BTCPay Server hosted checkout */}
+          {paymentData.checkoutUrl && (
+            <a
+              href={paymentData.checkoutUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-block text-sm font-medium text-blue-600 hover:text-blue-800"
+            >
+              Open payment page
+            </a>
+          )}
         </div>
       </div>
 
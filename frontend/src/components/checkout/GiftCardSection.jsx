@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { useCheckout } from '../../contexts/CheckoutContext';
+import { formatCurrency } from '../../services/paymentService';
+
+// Gift card codes entered at checkout. Cards pay towards the order in the
+// order they are applied; anything left is paid with the chosen method.
+const GiftCardSection = () => {
+  const { giftCards, applyGiftCard, removeGiftCard, orderSummary } = useCheckout();
+  const [code, setCode] = useState('');
+  const [applying, setApplying] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleApply = async (e) => {
+    e.preventDefault();
+    setApplying(true);
+    setError('');
+
+    const result = await applyGiftCard(code);
+    if (result.success) {
+      setCode('');
+    } else {
+      setError(result.error);
+    }
+    setApplying(false);
+  };
+
+  return (
+    <div data-testid="gift-card-section" className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+      <h2 className="text-lg font-medium text-gray-900 mb-4">Gift Cards</h2>
+
+      {giftCards.length > 0 && (
+        <ul className="space-y-2 mb-4">
+          {giftCards.map(card => (
+            <li key={card.code} className="flex items-center justify-between text-sm bg-gray-50 rounded p-3">
+              <span>
+                <span className="font-mono">{card.code}</span>
+                <span className="text-gray-500 ml-2">{formatCurrency(card.balance)} available</span>
+              </span>
+              <button
+                type="button"
+                onClick={() => removeGiftCard(card.code)}
+                className="text-red-600 hover:text-red-800"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleApply} noValidate className="flex gap-3">
+        <label htmlFor="gift-card-code" className="sr-only">Gift card code</label>
+        <input
+          id="gift-card-code"
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder="Gift card code"
+          autoComplete="off"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm font-mono uppercase"
+        />
+        <button
+          type="submit"
+          disabled={applying || !code.trim()}
+          className="px-4 py-2 bg-gray-800 text-white rounded-md text-sm hover:bg-gray-900 disabled:opacity-50"
+        >
+          {applying ? 'Checking...' : 'Apply'}
+        </button>
+      </form>
+      {error && <p className="text-sm text-red-600 mt-2" role="alert">{error}</p>}
+
+      {orderSummary.giftCardAmount > 0 && (
+        <p className="text-sm text-gray-700 mt-4" data-testid="gift-card-applied">
+          Gift cards pay {formatCurrency(orderSummary.giftCardAmount)} of this order.
+          {orderSummary.amountDueNow > 0 && ` The remaining ${formatCurrency(orderSummary.amountDueNow)} is paid below.`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default GiftCardSection;
@@ -0,0 +1,263 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { ClipboardIcon, CheckIcon, ExclamationTriangleIcon, ClockIcon } from '@heroicons/react/24/outline';
+import {
+  initializeLightningPayment,
+  getLightningPaymentStatus,
+  formatBitcoinAmount,
+  getLightningQRData,
+  formatCurrency
+} from '../../services/paymentService';
+
+// Lightning settles in seconds, so poll far more often than on-chain
+const POLL_INTERVAL_MS = 5000;
+
+const LightningPayment = ({ orderId, orderTotal, onPaymentStatusChange }) => {
+  const [paymentData, setPaymentData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [timeRemaining, setTimeRemaining] = useState(null);
+
+  const initializePayment = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await initializeLightningPayment(orderId);
+      setPaymentData(response.data);
+
+      if (onPaymentStatusChange) {
+        onPaymentStatusChange(response.data.paymentStatus);
+      }
+
+    } catch (err) {
+      console.error('Error initializing Lightning payment:', err);
+      setError(err.message || 'Failed to initialize Lightning payment');
+    } finally {
+      setLoading(false);
+    }
+  }, [orderId, onPaymentStatusChange]);
+
+  const checkPaymentStatus = useCallback(async () => {
+    try {
+      const response = await getLightningPaymentStatus(orderId);
+      const status = response.data;
+
+      // A lapsed invoice is replaced while the payment window is still open
+      if (status.paymentStatus === 'awaiting_confirmation' && status.isInvoiceExpired && !status.isExpired) {
+        await initializePayment();
+        return;
+      }
+
+      setPaymentData(status);
+
+      if (onPaymentStatusChange) {
+        onPaymentStatusChange(status.paymentStatus);
+      }
+
+    } catch (err) {
+      console.error('Error checking Lightning payment status:', err);
+    }
+  }, [orderId, onPaymentStatusChange, initializePayment]);
+
+  // Issue the invoice when the component mounts
+  useEffect(() => {
+    if (orderId && !paymentData) {
+      initializePayment();
+    }
+  }, [orderId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Poll for settlement while the invoice is open
+  useEffect(() => {
+    if (paymentData?.paymentStatus !== 'awaiting_confirmation') return;
+
+    const interval = setInterval(() => {
+      checkPaymentStatus();
+    }, POLL_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+  }, [paymentData?.paymentStatus, checkPaymentStatus]);
+
+  // Count down to the invoice expiry
+  useEffect(() => {
+    if (!paymentData?.invoiceExpiry) return;
+
+    const updateTimer = () => {
+      const remaining = new Date(paymentData.invoiceExpiry) - new Date();
+
+      if (remaining <= 0) {
+        setTimeRemaining('Expired');
+      } else {
+        const minutes = Math.floor(remaining / (1000 * 60));
+        const seconds = Math.floor((remaining % (1000 * 60)) / 1000);
+        setTimeRemaining(`${minutes}m ${String(seconds).padStart(2, '0')}s`);
+      }
+    };
+
+    updateTimer();
+    const timer = setInterval(updateTimer, 1000);
+
+    return () => clearInterval(timer);
+  }, [paymentData?.invoiceExpiry]);
+
+  const copyInvoice = async () => {
+    try {
+      await navigator.clipboard.writeText(paymentData.lightningInvoice);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy to clipboard:', err);
+    }
+  };
+
+  if (loading && !paymentData) {
+    return (
+      <div className="bg-white border border-gray-200 rounded-lg p-6">
+        <div className="flex items-center justify-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-yellow-500"></div>
+          <span className="ml-3 text-gray-600">Generating Lightning invoice...</span>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-6" data-testid="lightning-payment-error">
+        <div className="flex items-center">
+          <ExclamationTriangleIcon className="h-5 w-5 text-red-500" />
+          <span className="ml-2 text-red-700 font-medium">Payment Error</span>
+        </div>
+        <p className="text-red-600 text-sm mt-2">{error}</p>
+        <button
+          onClick={initializePayment}
+          className="mt-3 text-sm text-red-600 hover:text-red-800 underline"
+        >
+          Try Again
+        </button>
+      </div>
+    );
+  }
+
+  if (!paymentData) {
+    return null;
+  }
+
+  if (paymentData.paymentStatus === 'completed') {
+    return (
+      <div className="bg-green-50 border border-green-200 rounded-lg p-6" data-testid="lightning-payment-complete">
+        <p className="text-sm font-medium text-green-800">
+          Payment received! Your order is being processed.
+        </p>
+      </div>
+    );
+  }
+
+  if (paymentData.paymentStatus === 'expired' || paymentData.isExpired) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-6" data-testid="lightning-payment-expired">
+        <p className="text-sm font-medium text-red-800">
+          Payment window has expired. Please create a new order.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center">
+          <div className="h-8 w-8 bg-yellow-500 rounded-full flex items-center justify-center">
+            <span className="text-white text-sm font-bold">⚡</span>
+          </div>
+          <h3 className="ml-3 text-lg font-medium text-gray-900">Lightning Invoice</h3>
+        </div>
+
+        {timeRemaining && (
+          <div className="flex items-center text-sm text-gray-600" data-testid="lightning-invoice-countdown">
+            <ClockIcon className="h-4 w-4 mr-1" />
+            <span>{timeRemaining}</span>
+          </div>
+        )}
+      </div>
+
+      <div className="mb-6 p-4 rounded-lg bg-blue-50 border border-blue-200">
+        <p className="text-sm font-medium text-blue-800">Waiting for payment...</p>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        {/* QR Code */}
+        <div className="text-center">
+          <a
+            href={getLightningQRData(paymentData.lightningInvoice)}
+            className="bg-white p-4 rounded-lg border-2 border-gray-200 inline-block"
+            data-testid="lightning-qr-code"
+          >
+            <QRCodeSVG
+              value={getLightningQRData(paymentData.lightningInvoice).toUpperCase()}
+              size={220}
+              level="M"
+              includeMargin={true}
+            />
+          </a>
+          <p className="text-sm text-gray-600 mt-2">Scan or tap to open your Lightning wallet</p>
+        </div>
+
+        {/* Payment Details */}
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Lightning Invoice
+            </label>
+            <div className="flex">
+              <input
+                type="text"
+                value={paymentData.lightningInvoice}
+                readOnly
+                data-testid="lightning-invoice"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-l-md bg-gray-50 text-sm font-mono"
+              />
+              <button
+                onClick={copyInvoice}
+                className="px-3 py-2 border border-l-0 border-gray-300 rounded-r-md bg-white hover:bg-gray-50 transition-colors"
+              >
+                {copied ? (
+                  <CheckIcon className="h-4 w-4 text-green-500" />
+                ) : (
+                  <ClipboardIcon className="h-4 w-4 text-gray-500" />
+                )}
+              </button>
+            </div>
+          </div>
+
+          <div className="text-sm text-gray-600 space-y-1">
+            <p data-testid="lightning-amount">
+              Amount: <strong>{paymentData.lightningAmountSats?.toLocaleString()} sats</strong> ({formatBitcoinAmount(paymentData.bitcoinAmount)} BTC)
+            </p>
+            <p>Order Total: {formatCurrency(orderTotal)}</p>
+            <p>Exchange Rate: £{paymentData.exchangeRate?.toLocaleString()} per BTC</p>
+          </div>
+        </div>
+      </div>
+
+      {/* Instructions */}
+      <div className="mt-6 bg-gray-50 p-4 rounded-lg">
+        <h4 className="text-sm font-medium text-gray-900 mb-2">Payment Instructions</h4>
+        <ol className="text-sm text-gray-700 space-y-1 list-decimal list-inside">
+          <li>Scan the QR code or paste the invoice into a Lightning wallet</li>
+          <li>The invoice is for the exact amount, so there is nothing to type in</li>
+          <li>If the invoice expires unpaid, a new one is issued at the current rate</li>
+          <li>Your order is confirmed as soon as the payment settles</li>
+        </ol>
+      </div>
+
+      <div className="mt-4 text-xs text-gray-500 text-center">
+        Payment status updates automatically every few seconds
+      </div>
+    </div>
+  );
+};
+
+export default LightningPayment;
@@ -8,6 +8,7 @@ const MoneroPayment = ({ paymentData, onPaymentUpdate, onError }) => {
   const [timeRemaining, setTimeRemaining] = useState('');
   const [paymentStatus, setPaymentStatus] = useState('pending');
   const [confirmations, setConfirmations] = useState(0);
+  const [amountDue, setAmountDue] = useState(0);
   const [pollingInterval, setPollingInterval] = useState(null);
   const [qrCodeUrl, setQrCodeUrl] = useState('');
   const qrCodeRef = useRef(null);
@@ -93,6 +94,7 @@ const MoneroPayment = ({ paymentData, onPaymentUpdate, onError }) => {
           if (data.success) {
             setPaymentStatus(data.data.paymentStatus);
             setConfirmations(data.data.confirmations || 0);
+            setAmountDue(data.data.amountDue || 0);
 
             // Update parent component
             if (onPaymentUpdate) {
@@ -158,7 +160,9 @@ const MoneroPayment = ({ paymentData, onPaymentUpdate, onError }) => {
       case 'partially_confirmed':
         return `Awaiting Confirmations (${confirmations}/${paymentData?.requiredConfirmations || 10})`;
       case 'underpaid':
-        return 'Payment Underpaid - Please send the full amount';
+        return amountDue > 0
+          ? `Payment Underpaid - Send the remaining ${formatXmrAmount(amountDue)} XMR to the same address`
+          : 'Payment Underpaid - Please send the full amount';
       case 'failed':
         return 'Payment Failed';
       default:
@@ -5,6 +5,8 @@ import { formatCurrency } from '../../services/paymentService';
 const PayPalPayment = ({ orderSummary, onPaymentSuccess, onPaymentError, onPaymentCancel }) => {
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState(null);
+  // Only the deposit is taken now on pre-order and made-to-order items
+  const amountDueNow = orderSummary?.amountDueNow ?? orderSummary?.orderTotal;
 
   // PayPal configuration
   const paypalOptions = {
@@ -30,7 +32,7 @@ const PayPalPayment = ({ orderSummary, onPaymentSuccess, onPaymentError, onPayme
         purchase_units: [{
           amount: {
             currency_code: "GBP",
-            value: orderSummary.orderTotal.toFixed(2)
+            value: amountDueNow.toFixed(2)
           },
           description: `Order from RDJCustoms - ${orderSummary.items?.length || 0} item(s)`,
           custom_id: `order_${Date.now()}`,
@@ -69,7 +71,8 @@ const PayPalPayment = ({ orderSummary, onPaymentSuccess, onPaymentError, onPayme
           orderId: data.orderID,
           payerId: data.payerID,
           paymentDetails: details,
-          paymentMethod: 'paypal'
+          paymentMethod: 'paypal',
+          checkoutReference: { paypalOrderId: data.orderID }
         });
       }
     } catch (err) {
@@ -124,6 +127,23 @@ const PayPalPayment = ({ orderSummary, onPaymentSuccess, onPaymentError, onPayme
             {formatCurrency(orderSummary.orderTotal)}
           </span>
         </div>
+
+        {orderSummary.balanceDue > 0 && (
+          <p data-testid="paypal-balance-due" className="mb-3 text-sm text-gray-600">
+            Paying {formatCurrency(amountDueNow)} today. The remaining {formatCurrency(orderSummary.balanceDue)} is
+            due before your made-on-demand items ship.
+          </p>
+        )}
+        {orderSummary.giftCardAmount > 0 && (
+          <p data-testid="paypal-gift-cards" className="mb-3 text-sm text-gray-600">
+            Gift cards pay {formatCurrency(orderSummary.giftCardAmount)}, leaving {formatCurrency(amountDueNow)} to pay now.
+          </p>
+        )}
+        {orderSummary.storeCreditAmount > 0 && (
+          <p data-testid="paypal-store-credit" className="mb-3 text-sm text-gray-600">
+            Store credit pays {formatCurrency(orderSummary.storeCreditAmount)}, leaving {formatCurrency(amountDueNow)} to pay now.
+          </p>
+        )}
         
         {/* Order items summary */}
         {orderSummary.items && orderSummary.items.length > 0 && (
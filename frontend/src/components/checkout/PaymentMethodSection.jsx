@@ -3,7 +3,30 @@ import { ShieldCheckIcon, LockClosedIcon } from '@heroicons/react/24/outline';
 import { getPaymentMethods, formatCurrency } from '../../services/paymentService';
 import { useCheckout } from '../../contexts/CheckoutContext';
 import PayPalPayment from './PayPalPayment';
-import MoneroPayment from './MoneroPayment';
+import StripePayment from './StripePayment';
+
+// Components that take payment inside checkout, for methods whose checkout
+// flow is 'capture'. Redirect-flow methods are paid after the order is placed.
+const CHECKOUT_PAYMENT_COMPONENTS = {
+  paypal: PayPalPayment,
+  stripe: StripePayment
+};
+
+// Full class names so Tailwind keeps them in the build
+const ICON_COLORS = {
+  blue: 'bg-blue-600',
+  orange: 'bg-orange-500',
+  purple: 'bg-purple-600',
+  green: 'bg-green-600',
+  yellow: 'bg-yellow-500',
+  gray: 'bg-gray-500'
+};
+
+const PaymentMethodIcon = ({ icon, size = 'h-6 w-6', textSize = 'text-xs' }) => (
+  <div className={`${size} ${ICON_COLORS[icon?.color] || ICON_COLORS.gray} rounded flex items-center justify-center`}>
+    <span className={`text-white ${textSize} font-bold`}>{icon?.symbol}</span>
+  </div>
+);
 
 const PaymentMethodSection = ({ isActive, isCompleted, onValidationChange }) => {
   const { 
@@ -11,13 +34,15 @@ const PaymentMethodSection = ({ isActive, isCompleted, onValidationChange }) =>
     setPaymentMethod,
     paymentState: _paymentState,
     setPaymentState,
-    orderSummary 
+    orderSummary,
+    coveredByGiftCards,
+    coveredByStoreValue
   } = useCheckout();
   
   const [availablePaymentMethods, setAvailablePaymentMethods] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [paypalError, setPaypalError] = useState(null);
+  const [paymentError, setPaymentError] = useState(null);
 
   // Load payment methods
   useEffect(() => {
@@ -29,12 +54,9 @@ const PaymentMethodSection = ({ isActive, isCompleted, onValidationChange }) =>
         const methods = await getPaymentMethods();
         setAvailablePaymentMethods(methods.paymentMethods || []);
         
-        // Set default payment method to PayPal if none selected
+        // Default to the first method in the store's display order
         if (!paymentMethod && methods.paymentMethods?.length > 0) {
-          const paypalMethod = methods.paymentMethods.find(method => method.type === 'paypal');
-          if (paypalMethod) {
-            setPaymentMethod(paypalMethod);
-          }
+          setPaymentMethod(methods.paymentMethods[0]);
         }
         
       } catch (err) {
@@ -51,38 +73,19 @@ const PaymentMethodSection = ({ isActive, isCompleted, onValidationChange }) =>
 
   // Update validation state based on payment method and readiness
   useEffect(() => {
-    if (paymentMethod?.type === 'paypal') {
-      // PayPal is always ready once selected (no additional validation needed)
-      const isValid = !paypalError;
-      
-      if (onValidationChange) {
-        onValidationChange({
-          isValid,
-          error: paypalError
-        });
-      }
-    } else if (paymentMethod?.type === 'bitcoin') {
-      // Bitcoin is always ready once selected (payment happens externally)
-      if (onValidationChange) {
-        onValidationChange({
-          isValid: true,
-          error: null
-        });
-      }
-    } else if (paymentMethod?.type === 'monero') {
-      // Monero is always ready once selected (payment happens externally)
-      if (onValidationChange) {
-        onValidationChange({
-          isValid: true,
-          error: null
-        });
-      }
+    // A method is ready once selected; methods paid inside checkout stay
+    // invalid while their payment component reports an error
+    if (paymentMethod && onValidationChange) {
+      onValidationChange({
+        isValid: !paymentError,
+        error: paymentError
+      });
     }
-  }, [paymentMethod, paypalError, onValidationChange]);
+  }, [paymentMethod, paymentError, onValidationChange]);
 
   const handlePaymentMethodSelect = (method) => {
     setPaymentMethod(method);
-    setPaypalError(null);
+    setPaymentError(null);
     
     // Reset payment state when changing methods
     setPaymentState({
@@ -91,8 +94,8 @@ const PaymentMethodSection = ({ isActive, isCompleted, onValidationChange }) =>
     });
   };
 
-  const handlePayPalSuccess = (paymentData) => {
-    console.log('PayPal payment successful:', paymentData);
+  const handlePaymentSuccess = (paymentData) => {
+    console.log(`${paymentMethod?.name} payment successful:`, paymentData);
     setPaymentState({
       isProcessing: false,
       error: null,
@@ -100,23 +103,27 @@ const PaymentMethodSection = ({ isActive, isCompleted, onValidationChange }) =>
     });
   };
 
-  const handlePayPalError = (error) => {
-    console.error('PayPal payment error:', error);
-    setPaypalError(error.message || 'PayPal payment failed');
+  const handlePaymentError = (error) => {
+    console.error(`${paymentMethod?.name} payment error:`, error);
+    setPaymentError(error.message || `${paymentMethod?.name} payment failed`);
     setPaymentState({
       isProcessing: false,
-      error: error.message || 'PayPal payment failed'
+      error: error.message || `${paymentMethod?.name} payment failed`
     });
   };
 
-  const handlePayPalCancel = () => {
-    console.log('PayPal payment cancelled');
+  const handlePaymentCancel = () => {
+    console.log(`${paymentMethod?.name} payment cancelled`);
     setPaymentState({
       isProcessing: false,
       error: null
     });
   };
 
+  const CheckoutPaymentComponent = paymentMethod?.checkout?.flow === 'capture'
+    ? CHECKOUT_PAYMENT_COMPONENTS[paymentMethod.type]
+    : null;
+
   if (loading) {
     return (
       <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
@@ -176,133 +183,100 @@ const PaymentMethodSection = ({ isActive, isCompleted, onValidationChange }) =>
       {isActive && (
         <div className="space-y-4">
           
+          {/* Nothing left to pay once gift cards or store credit cover the order */}
+          {coveredByStoreValue && (
+            <div data-testid="payment-covered-by-gift-cards" className="bg-green-50 border border-green-200 rounded-lg p-4 text-sm text-green-800">
+              {coveredByGiftCards
+                ? 'Your gift cards cover this order, so no other payment is needed.'
+                : 'Your store credit covers this order, so no other payment is needed.'}
+            </div>
+          )}
+
           {/* Payment Method Selection */}
-          <div 
-            data-testid="payment-methods-accordion"
-            className="space-y-3"
-          >
-            {availablePaymentMethods.map((method) => (
-              <label
-                key={method.id}
-                data-testid={`payment-method-${method.type}`}
-                className={`flex items-center p-4 border rounded-lg cursor-pointer transition-colors ${
-                  paymentMethod?.id === method.id
-                    ? 'border-blue-500 bg-blue-50'
-                    : 'border-gray-200 hover:border-gray-300'
-                }`}
-              >
-                <input
-                  type="radio"
-                  name="paymentMethod"
-                  value={method.id}
-                  checked={paymentMethod?.id === method.id}
-                  onChange={() => handlePaymentMethodSelect(method)}
-                  className="sr-only"
-                />
+          {!coveredByStoreValue && (
+            <div 
+              data-testid="payment-methods-accordion"
+              className="space-y-3"
+            >
+              {availablePaymentMethods.map((method) => (
+                <label
+                  key={method.id}
+                  data-testid={`payment-method-${method.type}`}
+                  className={`flex items-center p-4 border rounded-lg cursor-pointer transition-colors ${
+                    paymentMethod?.id === method.id
+                      ? 'border-blue-500 bg-blue-50'
+                      : 'border-gray-200 hover:border-gray-300'
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="paymentMethod"
+                    value={method.id}
+                    checked={paymentMethod?.id === method.id}
+                    onChange={() => handlePaymentMethodSelect(method)}
+                    className="sr-only"
+                  />
                 
-                <div className="flex items-center flex-1">
-                  {/* Payment Method Icon */}
-                  <div className="flex-shrink-0 w-10 h-10 flex items-center justify-center">
-                    {method.type === 'paypal' ? (
-                      <div className="h-6 w-6 bg-blue-600 rounded flex items-center justify-center">
-                        <span className="text-white text-xs font-bold">PP</span>
-                      </div>
-                    ) : method.type === 'bitcoin' ? (
-                      <div className="h-6 w-6 bg-orange-500 rounded flex items-center justify-center">
-                        <span className="text-white text-xs font-bold">₿</span>
-                      </div>
-                    ) : method.type === 'monero' ? (
-                      <div className="h-6 w-6 bg-orange-600 rounded flex items-center justify-center">
-                        <span className="text-white text-xs font-bold">ɱ</span>
-                      </div>
-                    ) : (
-                      <div className="h-6 w-6 bg-gray-400 rounded"></div>
-                    )}
-                  </div>
+                  <div className="flex items-center flex-1">
+                    {/* Payment Method Icon */}
+                    <div className="flex-shrink-0 w-10 h-10 flex items-center justify-center">
+                      <PaymentMethodIcon icon={method.icon} />
+                    </div>
 
-                  {/* Payment Method Details */}
-                  <div className="ml-4 flex-1">
-                    <div className="flex items-center justify-between">
-                      <p className="text-sm font-medium text-gray-900">{method.name}</p>
-                      <div className={`w-4 h-4 rounded-full border-2 ${
-                        paymentMethod?.id === method.id
-                          ? 'border-blue-500 bg-blue-500'
-                          : 'border-gray-300'
-                      }`}>
-                        {paymentMethod?.id === method.id && (
-                          <div className="w-full h-full rounded-full bg-white scale-50"></div>
-                        )}
+                    {/* Payment Method Details */}
+                    <div className="ml-4 flex-1">
+                      <div className="flex items-center justify-between">
+                        <p className="text-sm font-medium text-gray-900">{method.name}</p>
+                        <div className={`w-4 h-4 rounded-full border-2 ${
+                          paymentMethod?.id === method.id
+                            ? 'border-blue-500 bg-blue-500'
+                            : 'border-gray-300'
+                        }`}>
+                          {paymentMethod?.id === method.id && (
+                            <div className="w-full h-full rounded-full bg-white scale-50"></div>
+                          )}
+                        </div>
                       </div>
+                      <p className="text-sm text-gray-500 mt-1">{method.description}</p>
                     </div>
-                    <p className="text-sm text-gray-500 mt-1">{method.description}</p>
                   </div>
-                </div>
-              </label>
-            ))}
-          </div>
+                </label>
+              ))}
+            </div>
+          )}
 
-          {/* PayPal Payment Component */}
-          {paymentMethod?.type === 'paypal' && orderSummary && (
+          {/* Payment taken inside checkout */}
+          {CheckoutPaymentComponent && orderSummary && (
             <div 
-              data-testid="paypal-checkout-section"
+              data-testid={`${paymentMethod.type}-checkout-section`}
               className="mt-6 border-t pt-6"
             >
-              <PayPalPayment
+              <CheckoutPaymentComponent
                 orderSummary={orderSummary}
-                onPaymentSuccess={handlePayPalSuccess}
-                onPaymentError={handlePayPalError}
-                onPaymentCancel={handlePayPalCancel}
+                paymentMethod={paymentMethod}
+                onPaymentSuccess={handlePaymentSuccess}
+                onPaymentError={handlePaymentError}
+                onPaymentCancel={handlePaymentCancel}
               />
             </div>
           )}
 
-          {/* Bitcoin Payment Information */}
-          {paymentMethod?.type === 'bitcoin' && (
+          {/* How payment works for methods paid after the order is placed */}
+          {paymentMethod?.instructions?.length > 0 && (
             <div className="mt-6 border-t pt-6">
               <div className="bg-orange-50 border border-orange-200 rounded-lg p-4">
                 <div className="flex items-start">
                   <div className="flex-shrink-0">
-                    <div className="h-8 w-8 bg-orange-500 rounded-full flex items-center justify-center">
-                      <span className="text-white text-sm font-bold">₿</span>
-                    </div>
+                    <PaymentMethodIcon icon={paymentMethod.icon} size="h-8 w-8" textSize="text-sm" />
                   </div>
                   <div className="ml-3">
-                    <h4 className="text-sm font-medium text-gray-900">Bitcoin Payment Process</h4>
+                    <h4 className="text-sm font-medium text-gray-900">{paymentMethod.name} Payment Process</h4>
                     <div className="mt-2 text-sm text-gray-700">
                       <p className="mb-2">When you proceed to checkout:</p>
                       <ul className="list-disc list-inside space-y-1 text-xs">
-                        <li>You'll receive a unique Bitcoin address and exact amount</li>
-                        <li>Payment must be received within 24 hours</li>
-                        <li>Order confirmation after 2 network confirmations (~30 minutes)</li>
-                        <li>Current exchange rate will be locked for 15 minutes</li>
-                      </ul>
-                    </div>
-                  </div>
-                </div>
-              </div>
-            </div>
-          )}
-
-          {/* Monero Payment Information */}
-          {paymentMethod?.type === 'monero' && (
-            <div className="mt-6 border-t pt-6">
-              <div className="bg-orange-50 border border-orange-200 rounded-lg p-4">
-                <div className="flex items-start">
-                  <div className="flex-shrink-0">
-                    <div className="h-8 w-8 bg-orange-600 rounded-full flex items-center justify-center">
-                      <span className="text-white text-sm font-bold">ɱ</span>
-                    </div>
-                  </div>
-                  <div className="ml-3">
-                    <h4 className="text-sm font-medium text-gray-900">Monero Payment Process</h4>
-                    <div className="mt-2 text-sm text-gray-700">
-                      <p className="mb-2">When you proceed to checkout:</p>
-                      <ul className="list-disc list-inside space-y-1 text-xs">
-                        <li>You'll receive a unique Monero address and exact XMR amount</li>
-                        <li>Payment must be received within 24 hours</li>
-                        <li>Order confirmation after 10 network confirmations (~20 minutes)</li>
-                        <li>Current exchange rate will be locked for 5 minutes</li>
-                        <li>Completely private and untraceable payment</li>
+                        {paymentMethod.instructions.map((instruction) => (
+                          <li key={instruction}>{instruction}</li>
+                        ))}
                       </ul>
                     </div>
                   </div>
@@ -340,10 +314,28 @@ const PaymentMethodSection = ({ isActive, isCompleted, onValidationChange }) =>
                   <span className="text-gray-600">Shipping:</span>
                   <span className="font-medium">{formatCurrency(orderSummary.shippingCost || 0)}</span>
                 </div>
+                {orderSummary.discountAmount > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Discount ({orderSummary.promotionCode}):</span>
+                    <span className="font-medium text-green-700">-{formatCurrency(orderSummary.discountAmount)}</span>
+                  </div>
+                )}
                 <div className="border-t pt-2 flex justify-between">
                   <span className="font-medium text-gray-900">Total:</span>
                   <span className="font-bold text-lg">{formatCurrency(orderSummary.orderTotal || 0)}</span>
                 </div>
+                {orderSummary.giftCardAmount > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Gift cards:</span>
+                    <span className="font-medium text-green-700">-{formatCurrency(orderSummary.giftCardAmount)}</span>
+                  </div>
+                )}
+                {orderSummary.storeCreditAmount > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Store credit:</span>
+                    <span className="font-medium text-green-700">-{formatCurrency(orderSummary.storeCreditAmount)}</span>
+                  </div>
+                )}
               </div>
             </div>
           )}
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { useCheckout } from '../../contexts/CheckoutContext';
+import { useAuth } from '../../contexts/AuthContext';
 import { addUserAddress, updateUserAddress } from '../../services/addressService';
 import AddressForm from '../AddressForm';
 import ShippingMethodSection from './ShippingMethodSection';
@@ -69,6 +70,7 @@ const ShippingAddressSection = () => {
     canProceedToPayment,
     refreshAddresses
   } = useCheckout();
+  const { isAuthenticated } = useAuth();
 
   const [showAddForm, setShowAddForm] = useState(false);
   const [showEditForm, setShowEditForm] = useState(false);
@@ -99,6 +101,13 @@ const ShippingAddressSection = () => {
       setFormLoading(true);
       setFormError('');
 
+      // Guests have no address book; the address is only used for this order
+      if (!isAuthenticated) {
+        setShippingAddress(formData);
+        setShowAddForm(false);
+        return;
+      }
+
       let savedAddress;
       if (editingAddress) {
         // Update existing address
@@ -209,7 +218,7 @@ const ShippingAddressSection = () => {
                 />
               ))}
             </div>
-          ) : (
+          ) : isAuthenticated && (
             <div className="text-center py-8 mb-6">
               <div className="text-6xl mb-4">📍</div>
               <h3 className="text-lg font-medium text-gray-700 mb-2">No Addresses Found</h3>
@@ -226,7 +235,7 @@ const ShippingAddressSection = () => {
               data-testid="add-address-button"
               className="w-full py-3 px-4 border-2 border-dashed border-gray-300 text-gray-600 hover:border-blue-400 hover:text-blue-600 transition-colors rounded-lg font-medium"
             >
-              + Add New Address
+              {isAuthenticated ? '+ Add New Address' : checkoutState.shippingAddress ? 'Change Address' : '+ Enter Shipping Address'}
             </button>
           </div>
 
@@ -0,0 +1,42 @@
+import React from 'react';
+import { useCheckout } from '../../contexts/CheckoutContext';
+import { formatCurrency } from '../../services/paymentService';
+
+// Lets a signed-in customer put their store credit towards the order. It
+// pays what any gift cards leave; anything still due is paid with the
+// chosen method.
+const StoreCreditSection = () => {
+  const { storeCreditBalance, useStoreCredit, setUseStoreCredit, orderSummary } = useCheckout();
+
+  if (!(storeCreditBalance > 0)) {
+    return null;
+  }
+
+  return (
+    <div data-testid="store-credit-section" className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+      <h2 className="text-lg font-medium text-gray-900 mb-4">Store Credit</h2>
+
+      <label className="flex items-center gap-3 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={useStoreCredit}
+          onChange={(e) => setUseStoreCredit(e.target.checked)}
+          className="h-4 w-4 rounded border-gray-300"
+        />
+        <span>
+          Use my store credit
+          <span className="text-gray-500 ml-2">{formatCurrency(storeCreditBalance)} available</span>
+        </span>
+      </label>
+
+      {orderSummary.storeCreditAmount > 0 && (
+        <p className="text-sm text-gray-700 mt-4" data-testid="store-credit-applied">
+          Store credit pays {formatCurrency(orderSummary.storeCreditAmount)} of this order.
+          {orderSummary.amountDueNow > 0 && ` The remaining ${formatCurrency(orderSummary.amountDueNow)} is paid below.`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default StoreCreditSection;
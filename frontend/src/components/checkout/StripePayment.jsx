@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { createStripePaymentIntent, loadStripe, formatCurrency } from '../../services/paymentService';
+
+const StripePayment = ({ orderSummary, paymentMethod, onPaymentSuccess, onPaymentError }) => {
+  const [stripe, setStripe] = useState(null);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [isPaid, setIsPaid] = useState(false);
+  const [error, setError] = useState(null);
+  const cardElementRef = useRef(null);
+  const cardRef = useRef(null);
+
+  const publishableKey = paymentMethod?.checkout?.publishableKey;
+  // Only the deposit is taken now on pre-order and made-to-order items
+  const amountDueNow = orderSummary?.amountDueNow ?? orderSummary?.orderTotal;
+
+  // Mount Stripe's card field; card details go straight to Stripe
+  useEffect(() => {
+    let card = null;
+    let cancelled = false;
+
+    const mountCardElement = async () => {
+      try {
+        const stripeClient = await loadStripe(publishableKey);
+        if (cancelled) return;
+
+        card = stripeClient.elements().create('card', { hidePostalCode: true });
+        card.mount(cardElementRef.current);
+        card.on('change', (event) => setError(event.error ? event.error.message : null));
+
+        cardRef.current = card;
+        setStripe(stripeClient);
+      } catch (err) {
+        console.error('Error loading Stripe:', err);
+        setError(err.message);
+      }
+    };
+
+    if (publishableKey) {
+      mountCardElement();
+    }
+
+    return () => {
+      cancelled = true;
+      if (card) {
+        card.destroy();
+      }
+    };
+  }, [publishableKey]);
+
+  // Charge the card. Stripe.js shows the bank's 3-D Secure challenge when
+  // the card needs one and resolves once it is done.
+  const handlePay = async () => {
+    try {
+      setIsProcessing(true);
+      setError(null);
+
+      const { paymentIntentId, clientSecret } = await createStripePaymentIntent(amountDueNow);
+
+      const result = await stripe.confirmCardPayment(clientSecret, {
+        payment_method: { card: cardRef.current }
+      });
+
+      if (result.error) {
+        throw new Error(result.error.message);
+      }
+
+      if (result.paymentIntent.status !== 'succeeded') {
+        throw new Error('Card payment was not completed. Please try again.');
+      }
+
+      setIsPaid(true);
+
+      if (onPaymentSuccess) {
+        onPaymentSuccess({
+          paymentMethod: 'stripe',
+          checkoutReference: { stripePaymentIntentId: paymentIntentId }
+        });
+      }
+    } catch (err) {
+      console.error('Stripe payment error:', err);
+      setError(err.message || 'Card payment failed. Please try again.');
+
+      if (onPaymentError) {
+        onPaymentError(err);
+      }
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  if (!orderSummary) {
+    return (
+      <div className="text-center py-4">
+        <p className="text-gray-500">Loading payment information...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {/* Order total */}
+      <div className="bg-gray-50 p-4 rounded-lg">
+        <div className="flex justify-between items-center text-lg font-semibold">
+          <span>Total:</span>
+          <span data-testid="stripe-order-total">
+            {formatCurrency(orderSummary.orderTotal)}
+          </span>
+        </div>
+        {orderSummary.balanceDue > 0 && (
+          <p data-testid="stripe-balance-due" className="mt-2 text-sm text-gray-600">
+            Paying {formatCurrency(amountDueNow)} today. The remaining {formatCurrency(orderSummary.balanceDue)} is
+            due before your made-on-demand items ship.
+          </p>
+        )}
+        {orderSummary.giftCardAmount > 0 && (
+          <p data-testid="stripe-gift-cards" className="mt-2 text-sm text-gray-600">
+            Gift cards pay {formatCurrency(orderSummary.giftCardAmount)}, leaving {formatCurrency(amountDueNow)} to pay now.
+          </p>
+        )}
+        {orderSummary.storeCreditAmount > 0 && (
+          <p data-testid="stripe-store-credit" className="mt-2 text-sm text-gray-600">
+            Store credit pays {formatCurrency(orderSummary.storeCreditAmount)}, leaving {formatCurrency(amountDueNow)} to pay now.
+          </p>
+        )}
+      </div>
+
+      {/* Error message */}
+      {error && (
+        <div
+          data-testid="payment-error"
+          className="bg-red-50 border border-red-200 rounded-lg p-4"
+        >
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {isPaid ? (
+        <div
+          data-testid="stripe-payment-complete"
+          className="bg-green-50 border border-green-200 rounded-lg p-4"
+        >
+          <p className="text-sm text-green-800">
+            Card payment approved. Place your order to finish checking out.
+          </p>
+        </div>
+      ) : (
+        <>
+          {/* Stripe card field */}
+          <div
+            ref={cardElementRef}
+            data-testid="stripe-card-element"
+            className="p-3 border border-gray-300 rounded-lg bg-white"
+          />
+
+          <button
+            type="button"
+            data-testid="stripe-pay-button"
+            onClick={handlePay}
+            disabled={!stripe || isProcessing}
+            className="w-full py-3 px-4 rounded-lg text-white font-medium bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isProcessing ? 'Processing payment...' : `Pay ${formatCurrency(amountDueNow)}`}
+          </button>
+        </>
+      )}
+
+      {/* Card information */}
+      <div className="bg-blue-50 p-3 rounded-lg">
+        <div className="text-sm text-blue-800">
+          <p className="font-medium">Secure Card Payment</p>
+          <p className="text-blue-700">
+            Card details are sent directly to Stripe and never stored by us.
+            Your bank may ask you to confirm the payment.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StripePayment;
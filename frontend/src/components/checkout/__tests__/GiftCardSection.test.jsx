@@ -0,0 +1,117 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { vi } from 'vitest';
+import GiftCardSection from '../GiftCardSection';
+import { CheckoutProvider, useCheckout } from '../../../contexts/CheckoutContext';
+import { checkGiftCardBalance } from '../../../services/giftCardService';
+
+vi.mock('../../../services/giftCardService', () => ({
+  checkGiftCardBalance: vi.fn()
+}));
+
+vi.mock('../../../services/addressService', () => ({
+  getUserAddresses: vi.fn()
+}));
+
+vi.mock('../../../services/shippingService', () => ({
+  calculateShippingRates: vi.fn()
+}));
+
+vi.mock('../../../contexts/AuthContext', () => ({
+  useAuth: () => ({ isAuthenticated: false })
+}));
+
+vi.mock('../../../contexts/CartContext', () => ({
+  useCart: () => ({ cart: { items: [], totalAmount: 40, balanceDue: 0 } })
+}));
+
+// Shows what the rest of checkout sees once cards are applied
+const CheckoutTotals = () => {
+  const { orderSummary, paymentMethod, coveredByGiftCards } = useCheckout();
+  return (
+    <div>
+      <div data-testid="amount-due-now">{orderSummary.amountDueNow}</div>
+      <div data-testid="payment-method">{paymentMethod?.type || 'None'}</div>
+      <div data-testid="covered">{coveredByGiftCards.toString()}</div>
+    </div>
+  );
+};
+
+const renderComponent = () => {
+  return render(
+    <CheckoutProvider>
+      <GiftCardSection />
+      <CheckoutTotals />
+    </CheckoutProvider>
+  );
+};
+
+const applyCode = (code) => {
+  fireEvent.change(screen.getByLabelText('Gift card code'), { target: { value: code } });
+  fireEvent.click(screen.getByText('Apply'));
+};
+
+describe('GiftCardSection', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('applies a gift card towards the order', async () => {
+    checkGiftCardBalance.mockResolvedValue({
+      success: true,
+      data: { giftCard: { code: 'GCAB-CD12', balance: 15, status: 'active' } }
+    });
+
+    renderComponent();
+    applyCode('gcab-cd12');
+
+    expect(await screen.findByText('GCAB-CD12')).toBeInTheDocument();
+    expect(checkGiftCardBalance).toHaveBeenCalledWith('gcab-cd12');
+    expect(screen.getByTestId('gift-card-applied')).toHaveTextContent('Gift cards pay £15.00 of this order.');
+    expect(screen.getByTestId('amount-due-now')).toHaveTextContent('25');
+    expect(screen.getByTestId('covered')).toHaveTextContent('false');
+  });
+
+  it('pays with the gift card method when cards cover the order', async () => {
+    checkGiftCardBalance.mockResolvedValue({
+      success: true,
+      data: { giftCard: { code: 'GCAB-CD12', balance: 100, status: 'active' } }
+    });
+
+    renderComponent();
+    applyCode('GCAB-CD12');
+
+    await screen.findByText('GCAB-CD12');
+    expect(screen.getByTestId('amount-due-now')).toHaveTextContent('0');
+    expect(screen.getByTestId('payment-method')).toHaveTextContent('gift_card');
+    expect(screen.getByTestId('covered')).toHaveTextContent('true');
+
+    fireEvent.click(screen.getByText('Remove'));
+
+    expect(screen.queryByText('GCAB-CD12')).not.toBeInTheDocument();
+    expect(screen.getByTestId('amount-due-now')).toHaveTextContent('40');
+    expect(screen.getByTestId('payment-method')).toHaveTextContent('None');
+  });
+
+  it('does not apply an expired gift card', async () => {
+    checkGiftCardBalance.mockResolvedValue({
+      success: true,
+      data: { giftCard: { code: 'GCAB-CD12', balance: 15, status: 'expired' } }
+    });
+
+    renderComponent();
+    applyCode('GCAB-CD12');
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('This gift card has expired');
+    expect(screen.getByTestId('amount-due-now')).toHaveTextContent('40');
+  });
+
+  it('shows why a code could not be checked', async () => {
+    checkGiftCardBalance.mockRejectedValue(new Error('Gift card not found'));
+
+    renderComponent();
+    applyCode('NOPE');
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Gift card not found');
+  });
+});
@@ -0,0 +1,115 @@
+import React from 'react';
+import { render, screen, waitFor, act } from '@testing-library/react';
+import { vi } from 'vitest';
+import LightningPayment from '../LightningPayment';
+
+// Mock payment service
+vi.mock('../../../services/paymentService', () => ({
+  initializeLightningPayment: vi.fn(),
+  getLightningPaymentStatus: vi.fn(),
+  formatBitcoinAmount: vi.fn((amount) => amount),
+  getLightningQRData: vi.fn((invoice) => `lightning:${invoice}`),
+  formatCurrency: vi.fn((amount) => `£${amount.toFixed(2)}`)
+}));
+
+import { initializeLightningPayment, getLightningPaymentStatus } from '../../../services/paymentService';
+
+const invoiceData = (overrides = {}) => ({
+  orderId: 'order123',
+  paymentStatus: 'awaiting_confirmation',
+  lightningInvoice: 'lnbc450u1pfirst',
+  lightningAmountSats: 45000,
+  bitcoinAmount: 0.00045,
+  exchangeRate: 100000,
+  invoiceExpiry: new Date(Date.now() + 30 * 60 * 1000).toISOString(),
+  paymentExpiry: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+  isInvoiceExpired: false,
+  isExpired: false,
+  ...overrides
+});
+
+describe('LightningPayment Component', () => {
+  let onPaymentStatusChange;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    onPaymentStatusChange = vi.fn();
+    initializeLightningPayment.mockResolvedValue({ success: true, data: invoiceData() });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const renderPayment = () => render(
+    <LightningPayment orderId="order123" orderTotal={45} onPaymentStatusChange={onPaymentStatusChange} />
+  );
+
+  it('should show the invoice as a QR code with its amount in sats', async () => {
+    renderPayment();
+
+    await waitFor(() => {
+      expect(screen.getByTestId('lightning-invoice')).toHaveValue('lnbc450u1pfirst');
+    });
+    expect(initializeLightningPayment).toHaveBeenCalledWith('order123');
+    expect(screen.getByTestId('lightning-qr-code')).toHaveAttribute('href', 'lightning:lnbc450u1pfirst');
+    expect(screen.getByTestId('lightning-amount')).toHaveTextContent('45,000 sats');
+    expect(screen.getByTestId('lightning-invoice-countdown')).toHaveTextContent(/^(29|30)m/);
+  });
+
+  it('should report settlement found while polling', async () => {
+    getLightningPaymentStatus.mockResolvedValue({ success: true, data: invoiceData({ paymentStatus: 'completed' }) });
+    renderPayment();
+
+    await waitFor(() => {
+      expect(screen.getByTestId('lightning-invoice')).toBeInTheDocument();
+    });
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(5000);
+    });
+
+    expect(screen.getByTestId('lightning-payment-complete')).toBeInTheDocument();
+    expect(onPaymentStatusChange).toHaveBeenLastCalledWith('completed');
+  });
+
+  it('should fetch a new invoice when the current one lapses unpaid', async () => {
+    getLightningPaymentStatus.mockResolvedValue({ success: true, data: invoiceData({ isInvoiceExpired: true }) });
+    initializeLightningPayment
+      .mockResolvedValueOnce({ success: true, data: invoiceData() })
+      .mockResolvedValueOnce({ success: true, data: invoiceData({ lightningInvoice: 'lnbc450u1psecond' }) });
+    renderPayment();
+
+    await waitFor(() => {
+      expect(screen.getByTestId('lightning-invoice')).toHaveValue('lnbc450u1pfirst');
+    });
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(5000);
+    });
+
+    expect(initializeLightningPayment).toHaveBeenCalledTimes(2);
+    expect(screen.getByTestId('lightning-invoice')).toHaveValue('lnbc450u1psecond');
+  });
+
+  it('should show that the payment window has closed', async () => {
+    initializeLightningPayment.mockResolvedValue({
+      success: true,
+      data: invoiceData({ paymentStatus: 'expired', isExpired: true })
+    });
+    renderPayment();
+
+    await waitFor(() => {
+      expect(screen.getByTestId('lightning-payment-expired')).toBeInTheDocument();
+    });
+  });
+
+  it('should show the error when no invoice can be issued', async () => {
+    initializeLightningPayment.mockRejectedValue(new Error('Lightning payments are not available'));
+    renderPayment();
+
+    await waitFor(() => {
+      expect(screen.getByTestId('lightning-payment-error')).toHaveTextContent('Lightning payments are not available');
+    });
+  });
+});
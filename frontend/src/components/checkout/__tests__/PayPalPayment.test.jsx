@@ -147,7 +147,8 @@ describe('PayPalPayment Component', () => {
           status: 'COMPLETED',
           payer: { email_address: 'test@example.com' }
         },
-        paymentMethod: 'paypal'
+        paymentMethod: 'paypal',
+        checkoutReference: { paypalOrderId: 'MOCK_ORDER_123' }
       });
     });
   });
@@ -0,0 +1,124 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { vi } from 'vitest';
+import PaymentMethodSection from '../PaymentMethodSection';
+
+vi.mock('../../../services/paymentService', () => ({
+  getPaymentMethods: vi.fn(),
+  formatCurrency: vi.fn((amount) => `£${amount.toFixed(2)}`)
+}));
+
+vi.mock('../PayPalPayment', () => ({
+  default: () => <div data-testid="paypal-payment">PayPal buttons</div>
+}));
+
+const mockCheckout = {
+  paymentMethod: null,
+  setPaymentMethod: vi.fn(),
+  setPaymentState: vi.fn(),
+  orderSummary: { cartTotal: 40, shippingCost: 5, orderTotal: 45 }
+};
+
+vi.mock('../../../contexts/CheckoutContext', () => ({
+  useCheckout: () => mockCheckout
+}));
+
+import { getPaymentMethods } from '../../../services/paymentService';
+
+const paypal = {
+  id: 'paypal',
+  type: 'paypal',
+  name: 'PayPal',
+  description: 'Pay with your PayPal account',
+  icon: { symbol: 'PP', color: 'blue' },
+  instructions: [],
+  checkout: { flow: 'capture' },
+  enabled: true
+};
+
+const litecoin = {
+  id: 'litecoin',
+  type: 'litecoin',
+  name: 'Litecoin',
+  description: 'Pay with Litecoin',
+  icon: { symbol: 'Ł', color: 'gray' },
+  instructions: ['You\'ll receive a unique Litecoin address'],
+  checkout: { flow: 'redirect' },
+  enabled: true
+};
+
+describe('PaymentMethodSection', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockCheckout.paymentMethod = null;
+    mockCheckout.orderSummary = { cartTotal: 40, shippingCost: 5, orderTotal: 45 };
+    getPaymentMethods.mockResolvedValue({ paymentMethods: [litecoin, paypal] });
+  });
+
+  it('should list the methods the store offers and select the first by default', async () => {
+    render(<PaymentMethodSection isActive />);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('payment-method-litecoin')).toBeInTheDocument();
+    });
+    expect(screen.getByTestId('payment-method-paypal')).toBeInTheDocument();
+    expect(mockCheckout.setPaymentMethod).toHaveBeenCalledWith(litecoin);
+  });
+
+  it('should show the instructions of a method paid after the order is placed', async () => {
+    mockCheckout.paymentMethod = litecoin;
+    const onValidationChange = vi.fn();
+
+    render(<PaymentMethodSection isActive onValidationChange={onValidationChange} />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Litecoin Payment Process')).toBeInTheDocument();
+    });
+    expect(screen.getByText('You\'ll receive a unique Litecoin address')).toBeInTheDocument();
+    expect(screen.queryByTestId('paypal-payment')).not.toBeInTheDocument();
+    expect(onValidationChange).toHaveBeenCalledWith({ isValid: true, error: null });
+  });
+
+  it('should render the checkout component of a method paid inside checkout', async () => {
+    mockCheckout.paymentMethod = paypal;
+
+    render(<PaymentMethodSection isActive />);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('paypal-checkout-section')).toBeInTheDocument();
+    });
+    expect(screen.getByTestId('paypal-payment')).toBeInTheDocument();
+  });
+
+  it('should select a method when it is clicked', async () => {
+    mockCheckout.paymentMethod = litecoin;
+
+    render(<PaymentMethodSection isActive />);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('payment-method-paypal')).toBeInTheDocument();
+    });
+    fireEvent.click(screen.getByTestId('payment-method-paypal'));
+
+    expect(mockCheckout.setPaymentMethod).toHaveBeenCalledWith(paypal);
+  });
+
+  it('should show the cart promotion in the order summary', async () => {
+    mockCheckout.paymentMethod = litecoin;
+    mockCheckout.orderSummary = {
+      cartTotal: 40,
+      shippingCost: 5,
+      discountAmount: 4,
+      promotionCode: 'CART-AB12CD34',
+      orderTotal: 41
+    };
+
+    render(<PaymentMethodSection isActive />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Discount (CART-AB12CD34):')).toBeInTheDocument();
+    });
+    expect(screen.getByText('-£4.00')).toBeInTheDocument();
+    expect(screen.getByText('£41.00')).toBeInTheDocument();
+  });
+});
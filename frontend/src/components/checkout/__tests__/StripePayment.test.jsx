@@ -0,0 +1,105 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { vi } from 'vitest';
+import StripePayment from '../StripePayment';
+
+// Mock payment service and Stripe.js
+vi.mock('../../../services/paymentService', () => ({
+  createStripePaymentIntent: vi.fn(),
+  loadStripe: vi.fn(),
+  formatCurrency: vi.fn((amount) => `£${amount.toFixed(2)}`)
+}));
+
+import { createStripePaymentIntent, loadStripe } from '../../../services/paymentService';
+
+describe('StripePayment Component', () => {
+  const orderSummary = { cartTotal: 40, shippingCost: 5, orderTotal: 45 };
+  const paymentMethod = {
+    type: 'stripe',
+    name: 'Card',
+    checkout: { flow: 'capture', publishableKey: 'pk_test_123' }
+  };
+
+  let card, stripe, callbacks;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    card = { mount: vi.fn(), on: vi.fn(), destroy: vi.fn() };
+    stripe = {
+      elements: vi.fn(() => ({ create: vi.fn(() => card) })),
+      confirmCardPayment: vi.fn()
+    };
+    callbacks = { onPaymentSuccess: vi.fn(), onPaymentError: vi.fn() };
+
+    loadStripe.mockResolvedValue(stripe);
+    createStripePaymentIntent.mockResolvedValue({ paymentIntentId: 'pi_123', clientSecret: 'pi_123_secret' });
+  });
+
+  const renderPayment = () => render(
+    <StripePayment orderSummary={orderSummary} paymentMethod={paymentMethod} {...callbacks} />
+  );
+
+  it('should mount the card field with the store\'s publishable key', async () => {
+    renderPayment();
+
+    await waitFor(() => {
+      expect(screen.getByTestId('stripe-pay-button')).not.toBeDisabled();
+    });
+    expect(loadStripe).toHaveBeenCalledWith('pk_test_123');
+    expect(card.mount).toHaveBeenCalledWith(screen.getByTestId('stripe-card-element'));
+    expect(screen.getByTestId('stripe-order-total')).toHaveTextContent('£45.00');
+  });
+
+  it('should confirm the card payment and report the PaymentIntent to checkout', async () => {
+    stripe.confirmCardPayment.mockResolvedValue({ paymentIntent: { id: 'pi_123', status: 'succeeded' } });
+    renderPayment();
+
+    await waitFor(() => {
+      expect(screen.getByTestId('stripe-pay-button')).not.toBeDisabled();
+    });
+    fireEvent.click(screen.getByTestId('stripe-pay-button'));
+
+    await waitFor(() => {
+      expect(screen.getByTestId('stripe-payment-complete')).toBeInTheDocument();
+    });
+    expect(createStripePaymentIntent).toHaveBeenCalledWith(45);
+    expect(stripe.confirmCardPayment).toHaveBeenCalledWith('pi_123_secret', {
+      payment_method: { card }
+    });
+    expect(callbacks.onPaymentSuccess).toHaveBeenCalledWith({
+      paymentMethod: 'stripe',
+      checkoutReference: { stripePaymentIntentId: 'pi_123' }
+    });
+  });
+
+  it('should show the error when the card is declined or authentication fails', async () => {
+    stripe.confirmCardPayment.mockResolvedValue({
+      error: { message: 'We are unable to authenticate your payment method.' }
+    });
+    renderPayment();
+
+    await waitFor(() => {
+      expect(screen.getByTestId('stripe-pay-button')).not.toBeDisabled();
+    });
+    fireEvent.click(screen.getByTestId('stripe-pay-button'));
+
+    await waitFor(() => {
+      expect(screen.getByTestId('payment-error')).toHaveTextContent('We are unable to authenticate your payment method.');
+    });
+    expect(callbacks.onPaymentSuccess).not.toHaveBeenCalled();
+    expect(callbacks.onPaymentError).toHaveBeenCalled();
+    expect(screen.getByTestId('stripe-pay-button')).toBeInTheDocument();
+  });
+
+  it('should show an error when Stripe.js cannot be loaded', async () => {
+    loadStripe.mockRejectedValue(new Error('Failed to load Stripe.js'));
+    renderPayment();
+
+    await waitFor(() => {
+      expect(screen.getByTestId('payment-error')).toHaveTextContent('Failed to load Stripe.js');
+    });
+    expect(screen.getByTestId('stripe-pay-button')).toBeDisabled();
+  });
+});
@@ -0,0 +1,481 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const emptyForm = {
+  code: '',
+  name: '',
+  symbol: '',
+  exchangeRate: '',
+  rateSource: 'manual',
+  decimalPlaces: 2,
+  isActive: true
+};
+
+// Settings requests report the server's error message on failure
+const request = async (url, { method = 'GET', body } = {}) => {
+  const token = localStorage.getItem('adminToken');
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    ...(body && { body: JSON.stringify(body) })
+  });
+
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || 'Request failed');
+  }
+  return data;
+};
+
+const CurrencySettings = ({ onMessage }) => {
+  const [currencies, setCurrencies] = useState([]);
+  const [rateSourceName, setRateSourceName] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [showModal, setShowModal] = useState(false);
+  const [editingCurrency, setEditingCurrency] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [errors, setErrors] = useState({});
+
+  const loadCurrencies = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await request('/api/admin/settings/currencies');
+      setCurrencies(data.data.currencies || []);
+      setRateSourceName(data.data.rateSource || '');
+    } catch (error) {
+      console.error('Load currencies error:', error);
+      onMessage('Failed to load currencies', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [onMessage]);
+
+  useEffect(() => {
+    loadCurrencies();
+  }, [loadCurrencies]);
+
+  const openModal = (currency = null) => {
+    setEditingCurrency(currency);
+    setFormData(currency ? {
+      code: currency.code,
+      name: currency.name || '',
+      symbol: currency.symbol || '',
+      exchangeRate: currency.exchangeRate ?? '',
+      rateSource: currency.rateSource || 'manual',
+      decimalPlaces: currency.decimalPlaces ?? 2,
+      isActive: currency.isActive !== false
+    } : emptyForm);
+    setErrors({});
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingCurrency(null);
+    setFormData(emptyForm);
+    setErrors({});
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!/^[A-Z]{3}$/.test(formData.code)) {
+      newErrors.code = 'Enter a three-letter ISO currency code';
+    } else if (formData.code === 'GBP') {
+      newErrors.code = 'GBP is the settlement currency and is always available';
+    }
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Name is required';
+    }
+
+    if (!(parseFloat(formData.exchangeRate) > 0)) {
+      newErrors.exchangeRate = 'Exchange rate must be greater than zero';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      onMessage('Please fix the validation errors', 'error');
+      return;
+    }
+
+    try {
+      const submitData = {
+        ...formData,
+        exchangeRate: parseFloat(formData.exchangeRate),
+        decimalPlaces: parseInt(formData.decimalPlaces)
+      };
+
+      if (editingCurrency) {
+        await request(`/api/admin/settings/currencies/${editingCurrency._id}`, { method: 'PUT', body: submitData });
+      } else {
+        await request('/api/admin/settings/currencies', { method: 'POST', body: submitData });
+      }
+
+      onMessage(`Currency ${editingCurrency ? 'updated' : 'created'} successfully`);
+      closeModal();
+      loadCurrencies();
+    } catch (error) {
+      console.error('Save currency error:', error);
+      onMessage(error.message || 'Failed to save currency', 'error');
+    }
+  };
+
+  const handleDelete = async (currencyId) => {
+    if (!window.confirm('Are you sure you want to deactivate this currency?')) {
+      return;
+    }
+
+    try {
+      await request(`/api/admin/settings/currencies/${currencyId}`, { method: 'DELETE' });
+      onMessage('Currency deactivated successfully');
+      loadCurrencies();
+    } catch (error) {
+      console.error('Delete currency error:', error);
+      onMessage(error.message || 'Failed to delete currency', 'error');
+    }
+  };
+
+  const handleRefresh = async () => {
+    try {
+      setRefreshing(true);
+      const data = await request('/api/admin/settings/currencies/refresh', { method: 'POST' });
+      const missing = data.data.missing || [];
+      onMessage(
+        missing.length > 0 ? `${data.message}. No rate found for ${missing.join(', ')}` : data.message,
+        missing.length > 0 ? 'error' : 'success'
+      );
+      loadCurrencies();
+    } catch (error) {
+      console.error('Refresh exchange rates error:', error);
+      onMessage(error.message || 'Failed to refresh exchange rates', 'error');
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value
+    }));
+
+    // Clear error when user starts typing
+    if (errors[field]) {
+      setErrors(prev => ({
+        ...prev,
+        [field]: undefined
+      }));
+    }
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'N/A';
+    return new Date(dateString).toLocaleString('en-GB');
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading currencies...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const inputClass = (field) => `w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+    errors[field] ? 'border-red-300' : 'border-gray-300'
+  }`;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Currencies</h3>
+          <p className="text-sm text-gray-600">
+            Customers can browse and check out in these currencies. Payments are always taken in GBP.
+          </p>
+        </div>
+        <div className="flex space-x-3">
+          <button
+            onClick={handleRefresh}
+            disabled={refreshing}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md shadow-sm text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          >
+            {refreshing ? 'Refreshing...' : 'Refresh Automatic Rates'}
+          </button>
+          <button
+            onClick={() => openModal()}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          >
+            <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+            </svg>
+            Add Currency
+          </button>
+        </div>
+      </div>
+
+      {/* Currencies Table */}
+      <div className="bg-white overflow-hidden shadow rounded-lg">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Currency
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Rate per £1
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Rate Source
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Last Updated
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Status
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {currencies.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
+                    No currencies yet. Prices are shown in GBP only.
+                  </td>
+                </tr>
+              ) : (
+                currencies.map((currency) => (
+                  <tr key={currency._id} data-testid={`currency-row-${currency.code}`}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">
+                        {currency.code} {currency.symbol && `(${currency.symbol})`}
+                      </div>
+                      <div className="text-sm text-gray-500">{currency.name}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {currency.exchangeRate}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {currency.rateSource === 'automatic' ? `Automatic (${rateSourceName})` : 'Manual'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {formatDate(currency.rateUpdatedAt)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                        currency.isActive
+                          ? 'bg-green-100 text-green-800'
+                          : 'bg-red-100 text-red-800'
+                      }`}>
+                        {currency.isActive ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
+                      <button
+                        onClick={() => openModal(currency)}
+                        className="text-blue-600 hover:text-blue-900"
+                      >
+                        Edit
+                      </button>
+                      {currency.isActive && (
+                        <button
+                          onClick={() => handleDelete(currency._id)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          Deactivate
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-3/4 lg:w-1/2 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-medium text-gray-900">
+                  {editingCurrency ? 'Edit Currency' : 'Add Currency'}
+                </h3>
+                <button
+                  onClick={closeModal}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </div>
+
+              <form onSubmit={handleSubmit} className="space-y-6">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label htmlFor="currency-code" className="block text-sm font-medium text-gray-700 mb-2">
+                      Code *
+                    </label>
+                    <input
+                      id="currency-code"
+                      type="text"
+                      value={formData.code}
+                      onChange={(e) => handleInputChange('code', e.target.value.toUpperCase())}
+                      disabled={!!editingCurrency}
+                      maxLength={3}
+                      className={`${inputClass('code')} disabled:bg-gray-100`}
+                      placeholder="EUR"
+                    />
+                    {errors.code && (
+                      <p className="mt-1 text-sm text-red-600">{errors.code}</p>
+                    )}
+                  </div>
+
+                  <div>
+                    <label htmlFor="currency-name" className="block text-sm font-medium text-gray-700 mb-2">
+                      Name *
+                    </label>
+                    <input
+                      id="currency-name"
+                      type="text"
+                      value={formData.name}
+                      onChange={(e) => handleInputChange('name', e.target.value)}
+                      className={inputClass('name')}
+                      placeholder="Euro"
+                    />
+                    {errors.name && (
+                      <p className="mt-1 text-sm text-red-600">{errors.name}</p>
+                    )}
+                  </div>
+
+                  <div>
+                    <label htmlFor="currency-symbol" className="block text-sm font-medium text-gray-700 mb-2">
+                      Symbol
+                    </label>
+                    <input
+                      id="currency-symbol"
+                      type="text"
+                      value={formData.symbol}
+                      onChange={(e) => handleInputChange('symbol', e.target.value)}
+                      maxLength={5}
+                      className={inputClass('symbol')}
+                      placeholder="€"
+                    />
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label htmlFor="currency-rate-source" className="block text-sm font-medium text-gray-700 mb-2">
+                      Rate Source
+                    </label>
+                    <select
+                      id="currency-rate-source"
+                      value={formData.rateSource}
+                      onChange={(e) => handleInputChange('rateSource', e.target.value)}
+                      className={inputClass('rateSource')}
+                    >
+                      <option value="manual">Manual</option>
+                      <option value="automatic">Automatic</option>
+                    </select>
+                  </div>
+
+                  <div>
+                    <label htmlFor="currency-rate" className="block text-sm font-medium text-gray-700 mb-2">
+                      Rate per £1 *
+                    </label>
+                    <input
+                      id="currency-rate"
+                      type="number"
+                      step="0.000001"
+                      min="0"
+                      value={formData.exchangeRate}
+                      onChange={(e) => handleInputChange('exchangeRate', e.target.value)}
+                      className={inputClass('exchangeRate')}
+                      placeholder="1.17"
+                    />
+                    {formData.rateSource === 'automatic' && (
+                      <p className="mt-1 text-xs text-gray-500">Replaced on the next automatic refresh</p>
+                    )}
+                    {errors.exchangeRate && (
+                      <p className="mt-1 text-sm text-red-600">{errors.exchangeRate}</p>
+                    )}
+                  </div>
+
+                  <div>
+                    <label htmlFor="currency-decimals" className="block text-sm font-medium text-gray-700 mb-2">
+                      Decimal Places
+                    </label>
+                    <select
+                      id="currency-decimals"
+                      value={formData.decimalPlaces}
+                      onChange={(e) => handleInputChange('decimalPlaces', e.target.value)}
+                      className={inputClass('decimalPlaces')}
+                    >
+                      {[0, 1, 2, 3].map(places => (
+                        <option key={places} value={places}>{places}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                {/* Active Status */}
+                <div className="flex items-center">
+                  <input
+                    id="currency-active"
+                    type="checkbox"
+                    checked={formData.isActive}
+                    onChange={(e) => handleInputChange('isActive', e.target.checked)}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <label htmlFor="currency-active" className="ml-2 block text-sm text-gray-900">
+                    Active
+                  </label>
+                </div>
+
+                {/* Submit Buttons */}
+                <div className="flex justify-end space-x-3">
+                  <button
+                    type="button"
+                    onClick={closeModal}
+                    className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                  >
+                    {editingCurrency ? 'Update' : 'Create'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CurrencySettings;
@@ -58,6 +58,7 @@ const PaymentSettings = ({ onMessage }) => {
     { value: 'square', label: 'Square' },
     { value: 'adyen', label: 'Adyen' },
     { value: 'bitcoin', label: 'Bitcoin' },
+    { value: 'lightning', label: 'Bitcoin Lightning' },
     { value: 'monero', label: 'Monero' },
     { value: 'other', label: 'Other' }
   ];
@@ -365,15 +366,51 @@ const PaymentSettings = ({ onMessage }) => {
     handleInputChange(field, newArray);
   };
 
-  const getConfigFields = (provider) => {
+  const bitcoinBackends = [
+    { value: 'blockonomics', label: 'Blockonomics' },
+    { value: 'xpub', label: 'Own wallet (xpub + Esplora)' },
+    { value: 'btcpay', label: 'BTCPay Server' }
+  ];
+
+  const bitcoinNetworks = [
+    { value: 'mainnet', label: 'Mainnet' },
+    { value: 'testnet', label: 'Testnet' },
+    { value: 'regtest', label: 'Regtest' }
+  ];
+
+  const lightningBackends = [
+    { value: 'lnd', label: 'LND' },
+    { value: 'cln', label: 'Core Lightning' }
+  ];
+
+  const moneroBackends = [
+    { value: 'globee', label: 'GloBee' },
+    { value: 'wallet_rpc', label: 'Own wallet (monero-wallet-rpc)' }
+  ];
+
+  const getConfigFields = (provider, config = {}) => {
     switch (provider) {
       case 'stripe':
         return ['stripePublishableKey'];
       case 'paypal':
         return ['paypalClientId'];
       case 'bitcoin':
+        // The BTCPay API key is read from BTCPAY_API_KEY on the server
+        if (config.bitcoinBackend === 'xpub') {
+          return ['bitcoinExtendedPublicKey', 'bitcoinEsploraUrl'];
+        }
+        if (config.bitcoinBackend === 'btcpay') {
+          return ['btcpayUrl', 'btcpayStoreId'];
+        }
         return ['bitcoinApiKey'];
+      case 'lightning':
+        // The macaroon or rune is read from LND_MACAROON/CLN_RUNE on the server
+        return config.lightningBackend === 'cln' ? ['clnRestUrl'] : ['lndRestUrl'];
       case 'monero':
+        // Wallet RPC login is read from MONERO_WALLET_RPC_USERNAME/PASSWORD on the server
+        if (config.moneroBackend === 'wallet_rpc') {
+          return ['moneroWalletRpcUrl', 'moneroAccountIndex'];
+        }
         return ['moneroApiKey'];
       default:
         return [];
@@ -603,8 +640,92 @@ const PaymentSettings = ({ onMessage }) => {
                   </div>
                 </div>
 
+                {/* Bitcoin Backend */}
+                {formData.provider === 'bitcoin' && (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label htmlFor="bitcoin-backend" className="block text-sm font-medium text-gray-700 mb-2">
+                        Bitcoin Backend
+                      </label>
+                      <select
+                        id="bitcoin-backend"
+                        value={formData.config.bitcoinBackend || 'blockonomics'}
+                        onChange={(e) => handleInputChange('config.bitcoinBackend', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {bitcoinBackends.map(backend => (
+                          <option key={backend.value} value={backend.value}>
+                            {backend.label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    {formData.config.bitcoinBackend === 'xpub' && (
+                      <div>
+                        <label htmlFor="bitcoin-network" className="block text-sm font-medium text-gray-700 mb-2">
+                          Network
+                        </label>
+                        <select
+                          id="bitcoin-network"
+                          value={formData.config.bitcoinNetwork || 'mainnet'}
+                          onChange={(e) => handleInputChange('config.bitcoinNetwork', e.target.value)}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          {bitcoinNetworks.map(network => (
+                            <option key={network.value} value={network.value}>
+                              {network.label}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {/* Lightning Node */}
+                {formData.provider === 'lightning' && (
+                  <div>
+                    <label htmlFor="lightning-backend" className="block text-sm font-medium text-gray-700 mb-2">
+                      Lightning Node
+                    </label>
+                    <select
+                      id="lightning-backend"
+                      value={formData.config.lightningBackend || 'lnd'}
+                      onChange={(e) => handleInputChange('config.lightningBackend', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {lightningBackends.map(backend => (
+                        <option key={backend.value} value={backend.value}>
+                          {backend.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                {/* Monero Backend */}
+                {formData.provider === 'monero' && (
+                  <div>
+                    <label htmlFor="monero-backend" className="block text-sm font-medium text-gray-700 mb-2">
+                      Monero Backend
+                    </label>
+                    <select
+                      id="monero-backend"
+                      value={formData.config.moneroBackend || 'globee'}
+                      onChange={(e) => handleInputChange('config.moneroBackend', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {moneroBackends.map(backend => (
+                        <option key={backend.value} value={backend.value}>
+                          {backend.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
                 {/* Configuration Fields */}
-                {getConfigFields(formData.provider).map(field => (
+                {getConfigFields(formData.provider, formData.config).map(field => (
                   <div key={field}>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
                       {field.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}
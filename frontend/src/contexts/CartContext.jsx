@@ -7,6 +7,7 @@ import {
   clearCart as clearCartService
 } from '../services/cartService';
 import { useAuth } from './AuthContext';
+import { useCurrency } from './CurrencyContext';
 
 export const CartContext = createContext();
 
@@ -29,12 +30,14 @@ export const CartProvider = ({ children }) => {
   const [error, setError] = useState('');
   
   const { isAuthenticated } = useAuth();
+  const { currency } = useCurrency();
+  const currencyCode = currency.code;
 
   const loadCart = useCallback(async () => {
     try {
       setLoading(true);
       setError('');
-      const response = await getCart();
+      const response = await getCart(currencyCode);
       setCart(response.data.cart);
     } catch (err) {
       setError(err.message || 'Failed to load cart');
@@ -42,19 +45,19 @@ export const CartProvider = ({ children }) => {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [currencyCode]);
 
-  // Load cart on mount and when authentication changes
+  // Load cart on mount and when authentication or currency changes
   useEffect(() => {
     loadCart();
   }, [isAuthenticated, loadCart]);
 
-  const addToCart = async (productId, quantity = 1) => {
+  const addToCart = async (productId, quantity = 1, variantId = null, giftCard = null) => {
     try {
       setLoading(true);
       setError('');
       
-      const response = await addToCartService(productId, quantity);
+      const response = await addToCartService(productId, quantity, variantId, giftCard);
       
       // Update cart state with new totals
       setCart(prevCart => ({
@@ -84,12 +87,12 @@ export const CartProvider = ({ children }) => {
     }
   };
 
-  const updateCartItem = async (productId, quantity) => {
+  const updateCartItem = async (productId, quantity, variantId = null) => {
     try {
       setLoading(true);
       setError('');
       
-      const response = await updateCartItemService(productId, quantity);
+      const response = await updateCartItemService(productId, quantity, variantId);
       
       // Reload cart to get updated state
       await loadCart();
@@ -110,12 +113,12 @@ export const CartProvider = ({ children }) => {
     }
   };
 
-  const removeFromCart = async (productId) => {
+  const removeFromCart = async (productId, variantId = null) => {
     try {
       setLoading(true);
       setError('');
       
-      const response = await removeFromCartService(productId);
+      const response = await removeFromCartService(productId, variantId);
       
       // Reload cart to get updated state
       await loadCart();
@@ -1,11 +1,33 @@
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { getUserAddresses } from '../services/addressService';
 import { calculateShippingRates } from '../services/shippingService';
+import { checkGiftCardBalance } from '../services/giftCardService';
+import { getStoreCredit } from '../services/storeCreditService';
 import { useAuth } from './AuthContext';
 import { useCart } from './CartContext';
 
 const CheckoutContext = createContext();
 
+// Paid for when the gift cards applied cover everything due at checkout
+const GIFT_CARD_PAYMENT_METHOD = {
+  id: 'gift_card',
+  type: 'gift_card',
+  name: 'Gift card',
+  checkout: { flow: 'tender' }
+};
+
+// Paid for when store credit, with any gift cards, covers everything due
+const STORE_CREDIT_PAYMENT_METHOD = {
+  id: 'store_credit',
+  type: 'store_credit',
+  name: 'Store credit',
+  checkout: { flow: 'tender' }
+};
+
+const MAX_GIFT_CARDS = 5;
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
 export const useCheckout = () => {
   const context = useContext(CheckoutContext);
   if (!context) {
@@ -39,6 +61,13 @@ export const CheckoutProvider = ({ children }) => {
   const [shippingRates, setShippingRates] = useState([]);
   const [shippingRatesLoading, setShippingRatesLoading] = useState(false);
   const [shippingRatesError, setShippingRatesError] = useState('');
+
+  // Gift cards applied to this order, with the balance each had when checked
+  const [giftCards, setGiftCards] = useState([]);
+
+  // Signed-in customers can put their store credit towards the order
+  const [storeCreditBalance, setStoreCreditBalance] = useState(0);
+  const [useStoreCredit, setUseStoreCredit] = useState(false);
   
   const { isAuthenticated } = useAuth();
   const { cart } = useCart();
@@ -72,6 +101,25 @@ export const CheckoutProvider = ({ children }) => {
     }
   }, [isAuthenticated, loadAddresses]);
 
+  // Checkout goes ahead without store credit if the balance cannot be loaded
+  const loadStoreCredit = useCallback(async () => {
+    try {
+      const response = await getStoreCredit({ limit: 1 });
+      setStoreCreditBalance(response.data.balance || 0);
+    } catch {
+      setStoreCreditBalance(0);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadStoreCredit();
+    } else {
+      setStoreCreditBalance(0);
+      setUseStoreCredit(false);
+    }
+  }, [isAuthenticated, loadStoreCredit]);
+
   const setShippingAddress = (address) => {
     setCheckoutState(prev => ({
       ...prev,
@@ -111,6 +159,44 @@ export const CheckoutProvider = ({ children }) => {
     }));
   };
 
+  // Check a gift card's balance and apply it to the order
+  const applyGiftCard = async (code) => {
+    const trimmed = (code || '').trim();
+    if (!trimmed) {
+      return { success: false, error: 'Please enter a gift card code' };
+    }
+    if (giftCards.length >= MAX_GIFT_CARDS) {
+      return { success: false, error: `No more than ${MAX_GIFT_CARDS} gift cards can be used on one order` };
+    }
+
+    try {
+      const response = await checkGiftCardBalance(trimmed);
+      const giftCard = response.data.giftCard;
+
+      if (giftCard.status === 'expired') {
+        return { success: false, error: 'This gift card has expired' };
+      }
+      if (giftCard.status !== 'active') {
+        return { success: false, error: 'This gift card has been cancelled' };
+      }
+      if (giftCard.balance <= 0) {
+        return { success: false, error: 'This gift card has no balance left' };
+      }
+      if (giftCards.some(card => card.code === giftCard.code)) {
+        return { success: false, error: 'This gift card is already applied' };
+      }
+
+      setGiftCards(prev => [...prev, { code: giftCard.code, balance: giftCard.balance }]);
+      return { success: true, giftCard };
+    } catch (err) {
+      return { success: false, error: err.message || 'Failed to check gift card' };
+    }
+  };
+
+  const removeGiftCard = (code) => {
+    setGiftCards(prev => prev.filter(card => card.code !== code));
+  };
+
   const goToStep = (step) => {
     setCheckoutState(prev => ({
       ...prev,
@@ -151,6 +237,12 @@ export const CheckoutProvider = ({ children }) => {
       paymentData: null
     });
     setShippingRates([]);
+    setGiftCards([]);
+    setUseStoreCredit(false);
+    // An order just placed may have spent some of it
+    if (isAuthenticated) {
+      loadStoreCredit();
+    }
   };
 
   const setShippingMethod = (method) => {
@@ -213,6 +305,38 @@ export const CheckoutProvider = ({ children }) => {
     loadShippingRates();
   };
 
+  // A promotion on the cart comes off the total the way the server takes it
+  // off the order; free shipping covers whichever method is chosen
+  const promotion = cart.promotion || null;
+  let discountAmount = 0;
+  if (promotion) {
+    discountAmount = promotion.freeShipping
+      ? parseFloat(checkoutState.shippingCost || 0)
+      : parseFloat(promotion.discountAmount || 0);
+  }
+  const orderTotal = roundAmount(
+    parseFloat(cart.totalAmount || 0) + parseFloat(checkoutState.shippingCost || 0) - discountAmount
+  );
+  // Deposits on pre-order and made-to-order items are only taken by card or
+  // PayPal; a discount larger than the deposits comes off the balance
+  const balanceDue = Math.min(parseFloat(cart.balanceDue || 0), orderTotal);
+  // Gift cards pay towards what is due now, in the order they were applied
+  const giftCardAmount = roundAmount(Math.min(
+    giftCards.reduce((sum, card) => sum + card.balance, 0),
+    orderTotal - balanceDue
+  ));
+  // Store credit pays what the gift cards leave
+  const storeCreditAmount = useStoreCredit
+    ? roundAmount(Math.max(0, Math.min(storeCreditBalance, orderTotal - balanceDue - giftCardAmount)))
+    : 0;
+  const amountDueNow = roundAmount(orderTotal - balanceDue - giftCardAmount - storeCreditAmount);
+  const coveredByGiftCards = giftCardAmount > 0 && amountDueNow + storeCreditAmount <= 0;
+  const coveredByStoreValue = giftCardAmount + storeCreditAmount > 0 && amountDueNow <= 0;
+  let paymentMethod = checkoutState.paymentMethod;
+  if (coveredByStoreValue) {
+    paymentMethod = giftCardAmount > 0 ? GIFT_CARD_PAYMENT_METHOD : STORE_CREDIT_PAYMENT_METHOD;
+  }
+
   const contextValue = {
     // State
     checkoutState,
@@ -238,11 +362,14 @@ export const CheckoutProvider = ({ children }) => {
     resetCheckout,
     refreshAddresses,
     refreshShippingRates,
+    applyGiftCard,
+    removeGiftCard,
+    setUseStoreCredit,
     
     // Computed values
     canProceedToPayment: !!checkoutState.shippingAddress && !!checkoutState.shippingMethod,
     canProceedToReview: !!checkoutState.shippingAddress && !!checkoutState.shippingMethod &&
-      !!checkoutState.paymentMethod && paymentState.isReady &&
+      !!paymentMethod && (coveredByStoreValue || paymentState.isReady) &&
       (checkoutState.useSameAsShipping || !!checkoutState.billingAddress),
     isShippingStep: checkoutState.step === 'shipping',
     isPaymentStep: checkoutState.step === 'payment',
@@ -251,11 +378,17 @@ export const CheckoutProvider = ({ children }) => {
     // Order totals and summary
     subtotal: parseFloat(cart.totalAmount || 0),
     shippingCost: parseFloat(checkoutState.shippingCost || 0),
-    orderTotal: parseFloat(cart.totalAmount || 0) + parseFloat(checkoutState.shippingCost || 0),
+    orderTotal,
     orderSummary: {
       cartTotal: parseFloat(cart.totalAmount || 0),
       shippingCost: parseFloat(checkoutState.shippingCost || 0),
-      orderTotal: parseFloat(cart.totalAmount || 0) + parseFloat(checkoutState.shippingCost || 0),
+      discountAmount,
+      promotionCode: promotion?.code || null,
+      orderTotal,
+      balanceDue,
+      giftCardAmount,
+      storeCreditAmount,
+      amountDueNow,
       currency: 'GBP',
       items: cart.items || [],
       shippingMethod: checkoutState.shippingMethod,
@@ -267,7 +400,12 @@ export const CheckoutProvider = ({ children }) => {
     shippingAddress: checkoutState.shippingAddress,
     billingAddress: checkoutState.useSameAsShipping ? checkoutState.shippingAddress : checkoutState.billingAddress,
     shippingMethod: checkoutState.shippingMethod,
-    paymentMethod: checkoutState.paymentMethod,
+    paymentMethod,
+    giftCards,
+    coveredByGiftCards,
+    storeCreditBalance,
+    useStoreCredit,
+    coveredByStoreValue,
     useSameAsShipping: checkoutState.useSameAsShipping,
     orderNotes: checkoutState.orderNotes
   };
@@ -0,0 +1,97 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { getCurrencies } from '../services/currencyService';
+
+// Orders are always paid in GBP; other currencies are for display
+export const SETTLEMENT_CURRENCY = {
+  code: 'GBP',
+  name: 'British Pound',
+  symbol: '£',
+  exchangeRate: 1,
+  decimalPlaces: 2
+};
+
+const STORAGE_KEY = 'currency';
+
+export const formatMoney = (amount, currency = SETTLEMENT_CURRENCY) => {
+  return new Intl.NumberFormat('en-GB', {
+    style: 'currency',
+    currency: currency.code,
+    minimumFractionDigits: currency.decimalPlaces,
+    maximumFractionDigits: currency.decimalPlaces
+  }).format(amount);
+};
+
+// Same rounding as the server, so shown prices match the order
+const convertAmount = (amount, currency) => {
+  const factor = 10 ** currency.decimalPlaces;
+  return Math.round(amount * currency.exchangeRate * factor) / factor;
+};
+
+const createCurrencyValue = (currencies, currency, setCurrency) => {
+  const findCurrency = code => currencies.find(entry => entry.code === code)
+    || { ...SETTLEMENT_CURRENCY, code, exchangeRate: 1 };
+
+  // A product's price in the selected currency: its override if it has
+  // one, else the GBP price converted
+  const getDisplayPrice = (price, priceOverrides = []) => {
+    const override = priceOverrides.find(entry => entry.currency === currency.code);
+    return override ? override.price : convertAmount(price, currency);
+  };
+
+  return {
+    currencies,
+    currency,
+    setCurrency,
+    isSettlementCurrency: currency.code === SETTLEMENT_CURRENCY.code,
+    getDisplayPrice,
+    formatPrice: (price, priceOverrides) => formatMoney(getDisplayPrice(price, priceOverrides), currency),
+    // Format an amount the server has already priced in the given currency
+    formatAmount: (amount, code = currency.code) => formatMoney(amount, findCurrency(code))
+  };
+};
+
+// Components rendered outside a CurrencyProvider price everything in GBP
+export const CurrencyContext = createContext(
+  createCurrencyValue([SETTLEMENT_CURRENCY], SETTLEMENT_CURRENCY, () => {})
+);
+
+export const useCurrency = () => useContext(CurrencyContext);
+
+export const CurrencyProvider = ({ children }) => {
+  const [currencies, setCurrencies] = useState([SETTLEMENT_CURRENCY]);
+  const [currencyCode, setCurrencyCode] = useState(
+    () => localStorage.getItem(STORAGE_KEY) || SETTLEMENT_CURRENCY.code
+  );
+
+  useEffect(() => {
+    const loadCurrencies = async () => {
+      try {
+        const response = await getCurrencies();
+        setCurrencies(response.data.currencies);
+      } catch {
+        // Keep showing GBP prices
+      }
+    };
+
+    loadCurrencies();
+  }, []);
+
+  const setCurrency = useCallback((code) => {
+    localStorage.setItem(STORAGE_KEY, code);
+    setCurrencyCode(code);
+  }, []);
+
+  // A remembered currency the store no longer offers falls back to GBP
+  const currency = currencies.find(entry => entry.code === currencyCode) || SETTLEMENT_CURRENCY;
+
+  const contextValue = useMemo(
+    () => createCurrencyValue(currencies, currency, setCurrency),
+    [currencies, currency, setCurrency]
+  );
+
+  return (
+    <CurrencyContext.Provider value={contextValue}>
+      {children}
+    </CurrencyContext.Provider>
+  );
+};
@@ -0,0 +1,132 @@
+import React from 'react';
+import { render, screen, waitFor, act } from '@testing-library/react';
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import { CurrencyProvider, useCurrency } from '../CurrencyContext';
+
+vi.mock('../../services/currencyService', () => ({
+  getCurrencies: vi.fn()
+}));
+
+import { getCurrencies } from '../../services/currencyService';
+
+const currencies = [
+  { code: 'GBP', name: 'British Pound', symbol: '£', exchangeRate: 1, decimalPlaces: 2 },
+  { code: 'EUR', name: 'Euro', symbol: '€', exchangeRate: 1.15, decimalPlaces: 2 },
+  { code: 'JPY', name: 'Japanese Yen', symbol: '¥', exchangeRate: 190.456, decimalPlaces: 0 }
+];
+
+const overrides = [{ currency: 'EUR', price: 22 }];
+
+const TestComponent = () => {
+  const { currencies: available, currency, setCurrency, formatPrice, formatAmount, isSettlementCurrency } = useCurrency();
+
+  return (
+    <div>
+      <div data-testid="currency-count">{available.length}</div>
+      <div data-testid="currency">{currency.code}</div>
+      <div data-testid="settlement">{isSettlementCurrency.toString()}</div>
+      <div data-testid="converted-price">{formatPrice(19.99)}</div>
+      <div data-testid="override-price">{formatPrice(19.99, overrides)}</div>
+      <div data-testid="order-amount">{formatAmount(51.75, 'EUR')}</div>
+      <button onClick={() => setCurrency('EUR')}>Euros</button>
+      <button onClick={() => setCurrency('JPY')}>Yen</button>
+    </div>
+  );
+};
+
+describe('CurrencyContext', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    getCurrencies.mockResolvedValue({ success: true, data: { settlementCurrency: 'GBP', currencies } });
+  });
+
+  it('prices in GBP outside a provider', () => {
+    render(<TestComponent />);
+
+    expect(screen.getByTestId('currency')).toHaveTextContent('GBP');
+    expect(screen.getByTestId('converted-price')).toHaveTextContent('£19.99');
+    expect(screen.getByTestId('override-price')).toHaveTextContent('£19.99');
+    expect(getCurrencies).not.toHaveBeenCalled();
+  });
+
+  it('loads the available currencies', async () => {
+    render(
+      <CurrencyProvider>
+        <TestComponent />
+      </CurrencyProvider>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByTestId('currency-count')).toHaveTextContent('3');
+    });
+    expect(screen.getByTestId('settlement')).toHaveTextContent('true');
+  });
+
+  it('converts prices and prefers overrides in the selected currency', async () => {
+    render(
+      <CurrencyProvider>
+        <TestComponent />
+      </CurrencyProvider>
+    );
+    await waitFor(() => expect(screen.getByTestId('currency-count')).toHaveTextContent('3'));
+
+    act(() => {
+      screen.getByText('Euros').click();
+    });
+
+    expect(screen.getByTestId('currency')).toHaveTextContent('EUR');
+    expect(screen.getByTestId('settlement')).toHaveTextContent('false');
+    expect(screen.getByTestId('converted-price')).toHaveTextContent('€22.99');
+    expect(screen.getByTestId('override-price')).toHaveTextContent('€22.00');
+    expect(screen.getByTestId('order-amount')).toHaveTextContent('€51.75');
+    expect(localStorage.getItem('currency')).toBe('EUR');
+
+    act(() => {
+      screen.getByText('Yen').click();
+    });
+
+    expect(screen.getByTestId('converted-price')).toHaveTextContent('¥3,807');
+  });
+
+  it('restores the remembered currency', async () => {
+    localStorage.setItem('currency', 'EUR');
+
+    render(
+      <CurrencyProvider>
+        <TestComponent />
+      </CurrencyProvider>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByTestId('currency')).toHaveTextContent('EUR');
+    });
+  });
+
+  it('falls back to GBP when the remembered currency is no longer offered', async () => {
+    localStorage.setItem('currency', 'CHF');
+
+    render(
+      <CurrencyProvider>
+        <TestComponent />
+      </CurrencyProvider>
+    );
+
+    await waitFor(() => expect(screen.getByTestId('currency-count')).toHaveTextContent('3'));
+    expect(screen.getByTestId('currency')).toHaveTextContent('GBP');
+  });
+
+  it('keeps GBP prices when currencies cannot be loaded', async () => {
+    getCurrencies.mockRejectedValue(new Error('Network error'));
+
+    render(
+      <CurrencyProvider>
+        <TestComponent />
+      </CurrencyProvider>
+    );
+
+    await waitFor(() => expect(getCurrencies).toHaveBeenCalled());
+    expect(screen.getByTestId('currency-count')).toHaveTextContent('1');
+    expect(screen.getByTestId('converted-price')).toHaveTextContent('£19.99');
+  });
+});
@@ -0,0 +1,310 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import {
+  getCommissionRequest,
+  replyToCommissionRequest,
+  quoteCommissionRequest,
+  rejectCommissionRequest,
+  formatCurrency
+} from '../services/adminService';
+import { formatCommissionStatus, getCommissionStatusColorClass, isCommissionOpen } from '../services/commissionService';
+import CommissionThread, { CommissionImages } from '../components/CommissionThread';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+// Statuses a quote can be sent or revised from
+const QUOTABLE_STATUSES = ['submitted', 'quoted', 'declined'];
+
+const emptyQuote = { price: '', description: '', leadTimeDays: '', validUntil: '' };
+
+const AdminCommissionDetailsPage = () => {
+  const { commissionId } = useParams();
+  const [commission, setCommission] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [reply, setReply] = useState('');
+  const [replyImages, setReplyImages] = useState([]);
+  const [quoteForm, setQuoteForm] = useState(emptyQuote);
+  const [rejectReason, setRejectReason] = useState('');
+
+  const fetchCommission = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await getCommissionRequest(commissionId);
+      setCommission(response.data.commission);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch commission request');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchCommission();
+  }, [commissionId]);
+
+  // Runs an action that returns the updated commission request
+  const runAction = async (action, onSuccess) => {
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+
+      const response = await action();
+      setCommission(response.data.commission);
+      setMessage(response.message);
+      if (onSuccess) {
+        onSuccess();
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReply = (e) => {
+    e.preventDefault();
+    if (!reply.trim()) {
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('message', reply.trim());
+    replyImages.forEach(image => formData.append('images', image));
+
+    runAction(() => replyToCommissionRequest(commissionId, formData), () => {
+      setReply('');
+      setReplyImages([]);
+    });
+  };
+
+  const handleQuoteChange = (e) => {
+    const { name, value } = e.target;
+    setQuoteForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleQuote = (e) => {
+    e.preventDefault();
+
+    const price = parseFloat(quoteForm.price);
+    if (isNaN(price) || price <= 0) {
+      setError('Quoted price must be greater than zero');
+      return;
+    }
+
+    const quote = { price };
+    if (quoteForm.description.trim()) quote.description = quoteForm.description.trim();
+    if (quoteForm.leadTimeDays !== '') quote.leadTimeDays = parseInt(quoteForm.leadTimeDays, 10);
+    if (quoteForm.validUntil) quote.validUntil = quoteForm.validUntil;
+
+    runAction(() => quoteCommissionRequest(commissionId, quote), () => setQuoteForm(emptyQuote));
+  };
+
+  const handleReject = () => {
+    if (!window.confirm('Turn down this commission request? The customer will not be able to reply.')) {
+      return;
+    }
+    runAction(() => rejectCommissionRequest(commissionId, rejectReason.trim() || undefined), () => setRejectReason(''));
+  };
+
+  if (loading && !commission) {
+    return <LoadingSpinner />;
+  }
+
+  if (!commission) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-md p-4">
+        <p className="text-sm text-red-800">{error || 'Commission request not found'}</p>
+      </div>
+    );
+  }
+
+  const canQuote = QUOTABLE_STATUSES.includes(commission.status);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <Link to="/admin/commissions" className="text-sm text-blue-600 hover:text-blue-900">
+          &larr; Commission Requests
+        </Link>
+        <div className="mt-2 flex items-center gap-3">
+          <h1 className="text-2xl font-semibold text-gray-900">{commission.title}</h1>
+          <span className={`px-2 py-1 rounded-full text-xs font-medium ${getCommissionStatusColorClass(commission.status)}`}>
+            {formatCommissionStatus(commission.status)}
+          </span>
+        </div>
+        <p className="mt-1 text-sm text-gray-700">
+          {commission.requestNumber} from {commission.customerName} ({commission.customerEmail})
+        </p>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-4">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-50 border border-green-200 rounded-md p-4">
+          <p className="text-sm text-green-800">{message}</p>
+        </div>
+      )}
+
+      <div className="bg-white shadow rounded-lg p-6">
+        <h2 className="text-lg font-medium text-gray-900 mb-2">Brief</h2>
+        <p className="text-sm text-gray-700 whitespace-pre-line">{commission.brief}</p>
+        <p className="text-sm text-gray-600 mt-2">
+          Budget: {commission.budget !== undefined && commission.budget !== null ? formatCurrency(commission.budget) : 'Not given'}
+        </p>
+        <CommissionImages images={commission.referenceImages} label="Reference image" />
+      </div>
+
+      {commission.quote?.price && (
+        <div data-testid="admin-commission-quote" className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-lg font-medium text-gray-900 mb-2">Current Quote</h2>
+          <p className="text-sm text-gray-900 font-medium">{formatCurrency(commission.quote.price)}</p>
+          {commission.quote.description && (
+            <p className="text-sm text-gray-700 mt-1 whitespace-pre-line">{commission.quote.description}</p>
+          )}
+          {commission.quote.validUntil && (
+            <p className="text-sm text-gray-600 mt-1">
+              Valid until {new Date(commission.quote.validUntil).toLocaleDateString('en-GB')}
+            </p>
+          )}
+          {commission.productId && (
+            <Link to={`/admin/products/edit/${commission.productId}`} className="text-sm text-blue-600 hover:text-blue-900 mt-2 inline-block">
+              View commission product
+            </Link>
+          )}
+        </div>
+      )}
+
+      {canQuote && (
+        <form onSubmit={handleQuote} className="bg-white shadow rounded-lg p-6 space-y-4">
+          <h2 className="text-lg font-medium text-gray-900">
+            {commission.quote?.price ? 'Revise Quote' : 'Send Quote'}
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label htmlFor="price" className="block text-sm font-medium text-gray-700 mb-1">Price (£) *</label>
+              <input
+                type="number"
+                id="price"
+                name="price"
+                min="0.01"
+                step="0.01"
+                value={quoteForm.price}
+                onChange={handleQuoteChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label htmlFor="leadTimeDays" className="block text-sm font-medium text-gray-700 mb-1">Lead time (days)</label>
+              <input
+                type="number"
+                id="leadTimeDays"
+                name="leadTimeDays"
+                min="0"
+                max="365"
+                value={quoteForm.leadTimeDays}
+                onChange={handleQuoteChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label htmlFor="validUntil" className="block text-sm font-medium text-gray-700 mb-1">Valid until</label>
+              <input
+                type="date"
+                id="validUntil"
+                name="validUntil"
+                value={quoteForm.validUntil}
+                onChange={handleQuoteChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md"
+              />
+            </div>
+          </div>
+          <div>
+            <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1">What the quote covers</label>
+            <textarea
+              id="description"
+              name="description"
+              rows={3}
+              maxLength={2000}
+              value={quoteForm.description}
+              onChange={handleQuoteChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Send Quote
+          </button>
+        </form>
+      )}
+
+      <CommissionThread commission={commission} viewer="admin" />
+
+      {isCommissionOpen(commission) && (
+        <form onSubmit={handleReply} className="bg-white shadow rounded-lg p-6 space-y-3">
+          <label htmlFor="reply" className="block text-lg font-medium text-gray-900">Reply to customer</label>
+          <textarea
+            id="reply"
+            rows={4}
+            maxLength={2000}
+            value={reply}
+            onChange={(e) => setReply(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <input
+            type="file"
+            aria-label="Attach images"
+            multiple
+            accept="image/jpeg,image/jpg,image/png,image/webp"
+            onChange={(e) => setReplyImages(Array.from(e.target.files))}
+            className="w-full text-sm text-gray-700"
+          />
+          <button
+            type="submit"
+            disabled={saving || !reply.trim()}
+            className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Send Reply
+          </button>
+        </form>
+      )}
+
+      {isCommissionOpen(commission) && commission.status !== 'accepted' && (
+        <div className="bg-white shadow rounded-lg p-6 space-y-3">
+          <label htmlFor="rejectReason" className="block text-lg font-medium text-gray-900">Turn down request</label>
+          <textarea
+            id="rejectReason"
+            rows={2}
+            maxLength={500}
+            placeholder="Reason sent to the customer (optional)"
+            value={rejectReason}
+            onChange={(e) => setRejectReason(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <button
+            type="button"
+            onClick={handleReject}
+            disabled={saving}
+            className="px-4 py-2 bg-red-600 text-white text-sm font-medium rounded-md hover:bg-red-700 disabled:opacity-50"
+          >
+            Turn Down
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminCommissionDetailsPage;
@@ -0,0 +1,159 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getCommissionRequests, formatCurrency } from '../services/adminService';
+import { formatCommissionStatus, getCommissionStatusColorClass } from '../services/commissionService';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const STATUS_OPTIONS = ['submitted', 'quoted', 'declined', 'accepted', 'rejected', 'cancelled'];
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('en-GB', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+const AdminCommissionsListPage = () => {
+  const [commissions, setCommissions] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [page, setPage] = useState(1);
+  const [status, setStatus] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchCommissions = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await getCommissionRequests(page, 20, status);
+      setCommissions(response.data.commissions);
+      setPagination(response.pagination);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch commission requests');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchCommissions();
+  }, [page, status]);
+
+  const handleStatusChange = (e) => {
+    setStatus(e.target.value);
+    setPage(1);
+  };
+
+  if (loading && commissions.length === 0 && !error) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="sm:flex sm:items-end sm:justify-between">
+        <div>
+          <h1 className="text-2xl font-semibold text-gray-900">Commission Requests</h1>
+          <p className="mt-2 text-sm text-gray-700">
+            Custom work customers have asked for. Reply, quote or turn requests down.
+          </p>
+        </div>
+        <div className="mt-4 sm:mt-0">
+          <label htmlFor="status" className="sr-only">Status</label>
+          <select
+            id="status"
+            value={status}
+            onChange={handleStatusChange}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">All statuses</option>
+            {STATUS_OPTIONS.map(option => (
+              <option key={option} value={option}>{formatCommissionStatus(option)}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-4">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {commissions.length === 0 ? (
+          <div className="px-4 py-8 text-center text-sm text-gray-500">No commission requests found.</div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Request</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Budget</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quote</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Updated</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {commissions.map(commission => (
+                <tr key={commission._id} data-testid="admin-commission-row">
+                  <td className="px-4 py-3 text-sm text-gray-900">
+                    <Link to={`/admin/commissions/${commission._id}`} className="text-blue-600 hover:text-blue-900">
+                      {commission.title}
+                    </Link>
+                    <span className="block text-xs text-gray-500">{commission.requestNumber}</span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {commission.customerName}
+                    <span className="block text-xs text-gray-500">{commission.customerEmail}</span>
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${getCommissionStatusColorClass(commission.status)}`}>
+                      {formatCommissionStatus(commission.status)}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {commission.budget !== undefined && commission.budget !== null ? formatCurrency(commission.budget) : '—'}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {commission.quote?.price ? formatCurrency(commission.quote.price) : '—'}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{formatDate(commission.updatedAt)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between border-t border-gray-200 px-4 py-3">
+            <button
+              type="button"
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="text-sm text-gray-700 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-700">
+              Page {pagination.currentPage} of {pagination.totalPages}
+            </span>
+            <button
+              type="button"
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pagination.totalPages}
+              className="text-sm text-gray-700 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminCommissionsListPage;
@@ -436,6 +436,81 @@ const AdminDashboardPage = () => {
                   <p className="text-gray-600 text-sm">View sales, product performance, and business analytics</p>
                 </Link>
                 
+                <Link 
+                  to="/admin/payment-reconciliation"
+                  className="bg-white p-6 rounded-lg shadow-lg border border-gray-200 hover:shadow-xl transition-shadow block"
+                >
+                  <div className="flex items-center mb-4">
+                    <div className="p-3 bg-amber-50 text-amber-600 rounded-lg">
+                      <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                      </svg>
+                    </div>
+                    <h3 className="ml-4 text-lg font-medium text-gray-900">Payment Reconciliation</h3>
+                  </div>
+                  <p className="text-gray-600 text-sm">Review payments corrected or expired after checking with providers</p>
+                </Link>
+                
+                <Link 
+                  to="/admin/webhook-events"
+                  className="bg-white p-6 rounded-lg shadow-lg border border-gray-200 hover:shadow-xl transition-shadow block"
+                >
+                  <div className="flex items-center mb-4">
+                    <div className="p-3 bg-cyan-50 text-cyan-600 rounded-lg">
+                      <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
+                      </svg>
+                    </div>
+                    <h3 className="ml-4 text-lg font-medium text-gray-900">Webhook Events</h3>
+                  </div>
+                  <p className="text-gray-600 text-sm">Inspect payment provider notifications and re-process failed ones</p>
+                </Link>
+                
+                <Link 
+                  to="/admin/production-queue"
+                  className="bg-white p-6 rounded-lg shadow-lg border border-gray-200 hover:shadow-xl transition-shadow block"
+                >
+                  <div className="flex items-center mb-4">
+                    <div className="p-3 bg-lime-50 text-lime-600 rounded-lg">
+                      <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+                      </svg>
+                    </div>
+                    <h3 className="ml-4 text-lg font-medium text-gray-900">Production Queue</h3>
+                  </div>
+                  <p className="text-gray-600 text-sm">Track made-to-order items still to be made and mark them done</p>
+                </Link>
+
+                <Link 
+                  to="/admin/gift-cards"
+                  className="bg-white p-6 rounded-lg shadow-lg border border-gray-200 hover:shadow-xl transition-shadow block"
+                >
+                  <div className="flex items-center mb-4">
+                    <div className="p-3 bg-rose-50 text-rose-600 rounded-lg">
+                      <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v13m0-13V6a2 2 0 112 2h-2zm0 0V5.5A2.5 2.5 0 109.5 8H12zm-7 4h14M5 12a2 2 0 110-4h14a2 2 0 110 4M5 12v7a2 2 0 002 2h10a2 2 0 002-2v-7" />
+                      </svg>
+                    </div>
+                    <h3 className="ml-4 text-lg font-medium text-gray-900">Gift Cards</h3>
+                  </div>
+                  <p className="text-gray-600 text-sm">Issue, look up and void gift cards and follow their balances</p>
+                </Link>
+
+                <Link 
+                  to="/admin/commissions"
+                  className="bg-white p-6 rounded-lg shadow-lg border border-gray-200 hover:shadow-xl transition-shadow block"
+                >
+                  <div className="flex items-center mb-4">
+                    <div className="p-3 bg-fuchsia-50 text-fuchsia-600 rounded-lg">
+                      <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z" />
+                      </svg>
+                    </div>
+                    <h3 className="ml-4 text-lg font-medium text-gray-900">Commission Requests</h3>
+                  </div>
+                  <p className="text-gray-600 text-sm">Reply to custom work requests and send customers quotes</p>
+                </Link>
+                
                 <Link 
                   to="/admin/settings"
                   className="bg-white p-6 rounded-lg shadow-lg border border-gray-200 hover:shadow-xl transition-shadow block"
@@ -0,0 +1,417 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getGiftCards, lookupGiftCard, issueGiftCard, voidGiftCard, formatCurrency } from '../services/adminService';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const formatDate = (dateString) => {
+  if (!dateString) return '—';
+  return new Date(dateString).toLocaleDateString('en-GB', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+const TRANSACTION_LABELS = {
+  issue: 'Issued',
+  redeem: 'Spent',
+  refund: 'Restored',
+  void: 'Voided'
+};
+
+const EMPTY_ISSUE_FORM = {
+  amount: '',
+  recipientName: '',
+  recipientEmail: '',
+  message: '',
+  deliveryDate: '',
+  expiresAt: '',
+  note: ''
+};
+
+const isExpired = (giftCard) => giftCard.expiresAt && new Date(giftCard.expiresAt) <= new Date();
+
+const getStatusLabel = (giftCard) => {
+  if (giftCard.status === 'voided') return 'Voided';
+  if (isExpired(giftCard)) return 'Expired';
+  return 'Active';
+};
+
+const getDeliveryLabel = (giftCard) => {
+  if (!giftCard.delivery?.recipientEmail) return 'Not emailed';
+  if (giftCard.deliveredAt) return `Sent ${formatDate(giftCard.deliveredAt)}`;
+  if (giftCard.delivery.deliveryDate) return `Due ${formatDate(giftCard.delivery.deliveryDate)}`;
+  return 'Sending';
+};
+
+const AdminGiftCardsPage = () => {
+  const [giftCards, setGiftCards] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState({ status: '', search: '' });
+  const [searchInput, setSearchInput] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const [issueForm, setIssueForm] = useState(EMPTY_ISSUE_FORM);
+  const [issuing, setIssuing] = useState(false);
+
+  const [lookupCode, setLookupCode] = useState('');
+  const [selectedCard, setSelectedCard] = useState(null);
+  const [voidingId, setVoidingId] = useState(null);
+
+  const fetchGiftCards = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await getGiftCards(page, 20, filters);
+      setGiftCards(response.data.giftCards);
+      setPagination(response.pagination);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch gift cards');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchGiftCards();
+  }, [page, filters]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setFilters(prev => ({ ...prev, search: searchInput.trim() }));
+  };
+
+  const handleStatusChange = (e) => {
+    setPage(1);
+    setFilters(prev => ({ ...prev, status: e.target.value }));
+  };
+
+  const handleLookup = async (code) => {
+    if (!code.trim()) return;
+
+    try {
+      setError('');
+      const response = await lookupGiftCard(code.trim());
+      setSelectedCard(response.data.giftCard);
+    } catch (err) {
+      setSelectedCard(null);
+      setError(err.message || 'Failed to look up gift card');
+    }
+  };
+
+  const handleIssueChange = (e) => {
+    setIssueForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleIssue = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIssuing(true);
+      setError('');
+      setMessage('');
+
+      const { amount, recipientName, recipientEmail, message: giftMessage, deliveryDate, expiresAt, note } = issueForm;
+      const response = await issueGiftCard({
+        amount: parseFloat(amount),
+        expiresAt: expiresAt || null,
+        note,
+        recipient: recipientEmail.trim()
+          ? { recipientName, recipientEmail, message: giftMessage, deliveryDate: deliveryDate || null }
+          : null
+      });
+
+      setMessage(`Gift card ${response.data.giftCard.code} issued`);
+      setIssueForm(EMPTY_ISSUE_FORM);
+      await fetchGiftCards();
+    } catch (err) {
+      setError(err.message || 'Failed to issue gift card');
+    } finally {
+      setIssuing(false);
+    }
+  };
+
+  const handleVoid = async (giftCard) => {
+    const reason = window.prompt(`Void gift card ${giftCard.code}? Its remaining ${formatCurrency(giftCard.balance)} will be written off. Reason (optional):`);
+    if (reason === null) return;
+
+    try {
+      setVoidingId(giftCard._id);
+      setError('');
+      setMessage('');
+
+      const response = await voidGiftCard(giftCard._id, reason);
+      setMessage(response.message);
+      if (selectedCard?._id === giftCard._id) {
+        await handleLookup(giftCard.code);
+      }
+      await fetchGiftCards();
+    } catch (err) {
+      setError(err.message || 'Failed to void gift card');
+    } finally {
+      setVoidingId(null);
+    }
+  };
+
+  if (loading && giftCards.length === 0 && !error) {
+    return <LoadingSpinner />;
+  }
+
+  const inputClasses = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500';
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-semibold text-gray-900">Gift Cards</h1>
+        <p className="mt-2 text-sm text-gray-700">
+          Gift cards bought in the shop or issued here, with what is left on each.
+        </p>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-4">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-50 border border-green-200 rounded-md p-4">
+          <p className="text-sm text-green-800">{message}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Issue */}
+        <form onSubmit={handleIssue} className="bg-white shadow rounded-lg p-6 space-y-4" data-testid="issue-gift-card-form">
+          <h2 className="text-lg font-medium text-gray-900">Issue a Gift Card</h2>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="amount" className="block text-sm font-medium text-gray-700 mb-1">Value (£) *</label>
+              <input id="amount" name="amount" type="number" min="1" max="1000" step="0.01" required
+                value={issueForm.amount} onChange={handleIssueChange} className={inputClasses} />
+            </div>
+            <div>
+              <label htmlFor="expiresAt" className="block text-sm font-medium text-gray-700 mb-1">Expires</label>
+              <input id="expiresAt" name="expiresAt" type="date"
+                value={issueForm.expiresAt} onChange={handleIssueChange} className={inputClasses} />
+            </div>
+            <div>
+              <label htmlFor="recipientName" className="block text-sm font-medium text-gray-700 mb-1">Recipient name</label>
+              <input id="recipientName" name="recipientName" type="text"
+                value={issueForm.recipientName} onChange={handleIssueChange} className={inputClasses} />
+            </div>
+            <div>
+              <label htmlFor="recipientEmail" className="block text-sm font-medium text-gray-700 mb-1">Recipient email</label>
+              <input id="recipientEmail" name="recipientEmail" type="email"
+                value={issueForm.recipientEmail} onChange={handleIssueChange} className={inputClasses} />
+            </div>
+            <div>
+              <label htmlFor="deliveryDate" className="block text-sm font-medium text-gray-700 mb-1">Send on</label>
+              <input id="deliveryDate" name="deliveryDate" type="date"
+                value={issueForm.deliveryDate} onChange={handleIssueChange} className={inputClasses} />
+            </div>
+            <div>
+              <label htmlFor="note" className="block text-sm font-medium text-gray-700 mb-1">Internal note</label>
+              <input id="note" name="note" type="text"
+                value={issueForm.note} onChange={handleIssueChange} className={inputClasses} />
+            </div>
+          </div>
+          <div>
+            <label htmlFor="message" className="block text-sm font-medium text-gray-700 mb-1">Message to recipient</label>
+            <textarea id="message" name="message" rows={2} maxLength={500}
+              value={issueForm.message} onChange={handleIssueChange} className={inputClasses} />
+          </div>
+          <p className="text-xs text-gray-500">
+            Without a recipient email the card is not emailed; pass the code on yourself.
+          </p>
+          <button
+            type="submit"
+            disabled={issuing || !issueForm.amount}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            {issuing ? 'Issuing...' : 'Issue Gift Card'}
+          </button>
+        </form>
+
+        {/* Lookup */}
+        <div className="bg-white shadow rounded-lg p-6 space-y-4" data-testid="gift-card-lookup">
+          <h2 className="text-lg font-medium text-gray-900">Look Up a Code</h2>
+          <form
+            onSubmit={(e) => { e.preventDefault(); handleLookup(lookupCode); }}
+            className="flex gap-3"
+          >
+            <label htmlFor="lookupCode" className="sr-only">Gift card code</label>
+            <input id="lookupCode" type="text" value={lookupCode} onChange={(e) => setLookupCode(e.target.value)}
+              placeholder="Gift card code" className={`${inputClasses} font-mono uppercase`} />
+            <button type="submit" className="px-4 py-2 bg-gray-800 text-white rounded-md text-sm hover:bg-gray-900">
+              Look Up
+            </button>
+          </form>
+
+          {selectedCard && (
+            <div className="space-y-3 text-sm" data-testid="gift-card-details">
+              <div className="flex justify-between">
+                <span className="font-mono font-medium">{selectedCard.code}</span>
+                <span>{getStatusLabel(selectedCard)}</span>
+              </div>
+              <div className="text-gray-700">
+                {formatCurrency(selectedCard.balance)} of {formatCurrency(selectedCard.initialValue)} left
+                {selectedCard.expiresAt && <> · expires {formatDate(selectedCard.expiresAt)}</>}
+              </div>
+              {selectedCard.orderId && (
+                <div className="text-gray-700">
+                  Bought on order{' '}
+                  <Link to={`/admin/orders/${selectedCard.orderId._id}`} className="text-blue-600 hover:text-blue-900">
+                    {selectedCard.orderId.orderNumber}
+                  </Link>
+                </div>
+              )}
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead>
+                  <tr>
+                    <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                    <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Entry</th>
+                    <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+                    <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {(selectedCard.transactions || []).map((entry, index) => (
+                    <tr key={entry._id || index}>
+                      <td className="py-2 text-gray-700">{formatDate(entry.createdAt)}</td>
+                      <td className="py-2 text-gray-700">
+                        {TRANSACTION_LABELS[entry.type] || entry.type}
+                        {entry.orderId?.orderNumber && (
+                          <Link to={`/admin/orders/${entry.orderId._id}`} className="ml-1 text-blue-600 hover:text-blue-900">
+                            {entry.orderId.orderNumber}
+                          </Link>
+                        )}
+                        {entry.note && <span className="block text-xs text-gray-500">{entry.note}</span>}
+                      </td>
+                      <td className="py-2 text-right text-gray-700">{formatCurrency(entry.amount)}</td>
+                      <td className="py-2 text-right text-gray-700">{formatCurrency(entry.balanceAfter)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap gap-3 items-end">
+        <div>
+          <label htmlFor="status" className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+          <select id="status" value={filters.status} onChange={handleStatusChange}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm">
+            <option value="">All</option>
+            <option value="active">Active</option>
+            <option value="voided">Voided</option>
+          </select>
+        </div>
+        <form onSubmit={handleSearch} className="flex gap-2">
+          <div>
+            <label htmlFor="search" className="block text-sm font-medium text-gray-700 mb-1">Code or recipient email</label>
+            <input id="search" type="text" value={searchInput} onChange={(e) => setSearchInput(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm" />
+          </div>
+          <button type="submit" className="self-end px-4 py-2 bg-gray-200 text-gray-800 rounded-md text-sm hover:bg-gray-300">
+            Search
+          </button>
+        </form>
+      </div>
+
+      {/* Gift cards */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {giftCards.length === 0 ? (
+          <div className="px-4 py-8 text-center text-sm text-gray-500">No gift cards found.</div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Code</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recipient</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {giftCards.map(giftCard => (
+                <tr key={giftCard._id} data-testid="gift-card-row">
+                  <td className="px-4 py-3 text-sm">
+                    <button type="button" onClick={() => handleLookup(giftCard.code)}
+                      className="font-mono text-blue-600 hover:text-blue-900">
+                      {giftCard.code}
+                    </button>
+                    <span className="block text-xs text-gray-500">
+                      {giftCard.source === 'admin' ? 'Issued' : 'Bought'} {formatDate(giftCard.createdAt)}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {formatCurrency(giftCard.balance)}
+                    <span className="block text-xs text-gray-500">of {formatCurrency(giftCard.initialValue)}</span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {giftCard.delivery?.recipientName || giftCard.delivery?.recipientEmail || '—'}
+                    {giftCard.delivery?.recipientName && (
+                      <span className="block text-xs text-gray-500">{giftCard.delivery.recipientEmail}</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{getDeliveryLabel(giftCard)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{getStatusLabel(giftCard)}</td>
+                  <td className="px-4 py-3 text-right text-sm whitespace-nowrap">
+                    {giftCard.status === 'active' && (
+                      <button
+                        type="button"
+                        onClick={() => handleVoid(giftCard)}
+                        disabled={voidingId === giftCard._id}
+                        className="text-red-600 hover:text-red-900 disabled:opacity-50"
+                      >
+                        {voidingId === giftCard._id ? 'Voiding...' : 'Void'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between border-t border-gray-200 px-4 py-3">
+            <button
+              type="button"
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="text-sm text-gray-700 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-700">
+              Page {pagination.currentPage} of {pagination.totalPages}
+            </span>
+            <button
+              type="button"
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pagination.totalPages}
+              className="text-sm text-gray-700 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminGiftCardsPage;
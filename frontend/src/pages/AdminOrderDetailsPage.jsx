@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useParams, useNavigate } from 'react-router-dom';
-import { getOrderById, isAdminAuthenticated, formatCurrency, updateOrderStatus, issueRefund } from '../services/adminService';
+import { getOrderById, isAdminAuthenticated, formatCurrency, updateOrderStatus, issueRefund, getOrderPayments, resolveOrderPayment, recordCryptoRefundTransaction, resendCryptoRefundAddressRequest, recordBalancePayment } from '../services/adminService';
+import { formatAvailability } from '../utils/formatters';
 
 const AdminOrderDetailsPage = () => {
   const [order, setOrder] = useState(null);
@@ -15,6 +16,17 @@ const AdminOrderDetailsPage = () => {
   const [refundAmount, setRefundAmount] = useState('');
   const [refundReason, setRefundReason] = useState('');
   const [refundLoading, setRefundLoading] = useState(false);
+  const [refundRateBasis, setRefundRateBasis] = useState('');
+  const [cryptoRefundTxids, setCryptoRefundTxids] = useState({});
+  const [cryptoRefundActionId, setCryptoRefundActionId] = useState(null);
+  const [cryptoRefundMessage, setCryptoRefundMessage] = useState('');
+  const [cryptoRefundError, setCryptoRefundError] = useState('');
+  const [payments, setPayments] = useState([]);
+  const [refundTransactionIds, setRefundTransactionIds] = useState({});
+  const [resolvingPaymentId, setResolvingPaymentId] = useState(null);
+  const [balanceReference, setBalanceReference] = useState('');
+  const [balanceLoading, setBalanceLoading] = useState(false);
+  const [balanceMessage, setBalanceMessage] = useState('');
   const { orderId } = useParams();
   const navigate = useNavigate();
 
@@ -42,6 +54,7 @@ const AdminOrderDetailsPage = () => {
       
       const response = await getOrderById(orderId);
       setOrder(response.data.order);
+      await loadPayments();
     } catch (err) {
       setError(err.message || 'Failed to load order details');
     } finally {
@@ -49,6 +62,104 @@ const AdminOrderDetailsPage = () => {
     }
   };
 
+  // Crypto rate quotes are shown alongside the order; the page works without them
+  const loadPayments = async () => {
+    try {
+      const response = await getOrderPayments(orderId);
+      setPayments((response.data.payments || []).filter(payment => payment.rateQuote?.cryptoAmount));
+    } catch (err) {
+      console.error('Failed to load order payments:', err);
+      setPayments([]);
+    }
+  };
+
+  const handleResolvePayment = async (payment, action) => {
+    const refundTransactionId = (refundTransactionIds[payment._id] || '').trim();
+    if (action === 'refund' && !refundTransactionId) {
+      setError('Enter the transaction ID of the refund you sent');
+      return;
+    }
+
+    try {
+      setResolvingPaymentId(payment._id);
+      setError('');
+
+      await resolveOrderPayment(orderId, payment._id, action === 'refund' ? { action, refundTransactionId } : { action });
+
+      setRefundTransactionIds(prev => ({ ...prev, [payment._id]: '' }));
+      await loadOrderDetails();
+    } catch (err) {
+      setError(err.message || 'Failed to resolve payment');
+    } finally {
+      setResolvingPaymentId(null);
+    }
+  };
+
+  const handleRecordCryptoRefund = async (refund) => {
+    const transactionId = (cryptoRefundTxids[refund.refundId] || '').trim();
+    if (!/^[0-9a-f]{64}$/i.test(transactionId)) {
+      setCryptoRefundError('Enter the 64 character transaction ID the refund was sent in');
+      return;
+    }
+
+    try {
+      setCryptoRefundActionId(refund.refundId);
+      setCryptoRefundError('');
+      setCryptoRefundMessage('');
+
+      await recordCryptoRefundTransaction(orderId, refund.refundId, transactionId);
+
+      setCryptoRefundTxids(prev => ({ ...prev, [refund.refundId]: '' }));
+      await loadOrderDetails();
+    } catch (err) {
+      setCryptoRefundError(err.message || 'Failed to record refund transaction');
+    } finally {
+      setCryptoRefundActionId(null);
+    }
+  };
+
+  const handleResendCryptoRefundLink = async (refund) => {
+    try {
+      setCryptoRefundActionId(refund.refundId);
+      setCryptoRefundError('');
+      setCryptoRefundMessage('');
+
+      const response = await resendCryptoRefundAddressRequest(orderId, refund.refundId);
+      setCryptoRefundMessage(response.message);
+      await loadOrderDetails();
+    } catch (err) {
+      setCryptoRefundError(err.message || 'Failed to send refund address link');
+    } finally {
+      setCryptoRefundActionId(null);
+    }
+  };
+
+  const handleRecordBalancePayment = async () => {
+    try {
+      setBalanceLoading(true);
+      setError('');
+      setBalanceMessage('');
+
+      const response = await recordBalancePayment(orderId, balanceReference.trim());
+      setBalanceMessage(response.message);
+      setBalanceReference('');
+      await loadOrderDetails();
+    } catch (err) {
+      setError(err.message || 'Failed to record balance payment');
+    } finally {
+      setBalanceLoading(false);
+    }
+  };
+
+  // A deposit balance is paid outside checkout, so only the checkout payment can be refunded
+  const getRefundableAmount = (order) =>
+    order.totalAmount - (order.balanceDue || 0) - (order.totalRefundedAmount || 0);
+
+  const formatCryptoAmount = (amount, currency) => {
+    const decimals = currency === 'XMR' ? 12 : 8;
+    return `${parseFloat((amount || 0).toFixed(decimals))} ${currency}`;
+  };
+
   const formatDate = (dateString) => {
     return new Intl.DateTimeFormat('en-GB', {
       year: 'numeric',
@@ -76,20 +187,16 @@ const AdminOrderDetailsPage = () => {
     return status.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase());
   };
 
-  const formatPaymentMethod = (paymentMethod) => {
+  const formatPaymentMethod = (paymentMethod, paymentDetails) => {
     if (!paymentMethod) return 'Not specified';
     
-    if (paymentMethod.type === 'card') {
-      return `Card ending in ${paymentMethod.last4 || '****'}`;
-    } else if (paymentMethod.type === 'paypal') {
-      return 'PayPal';
-    } else if (paymentMethod.type === 'bitcoin') {
-      return 'Bitcoin';
-    } else if (paymentMethod.type === 'monero') {
-      return 'Monero';
+    const last4 = paymentMethod.last4 || paymentDetails?.cardLast4;
+    if (last4) {
+      return `${paymentDetails?.cardBrand ? paymentDetails.cardBrand.toUpperCase() : paymentMethod.name || 'Card'} ending in ${last4}`;
     }
-    
-    return paymentMethod.type || 'Unknown';
+
+    // Orders record the name of the provider they were paid through
+    return paymentMethod.name || paymentMethod.type || 'Unknown';
   };
 
   const getValidNextStatuses = (currentStatus) => {
@@ -179,7 +286,7 @@ const AdminOrderDetailsPage = () => {
         return;
       }
       
-      const maxRefundable = order.totalAmount - (order.totalRefundedAmount || 0);
+      const maxRefundable = getRefundableAmount(order);
       
       if (refundAmountNum > maxRefundable) {
         setError(`Refund amount cannot exceed ${formatCurrency(maxRefundable)}`);
@@ -190,6 +297,9 @@ const AdminOrderDetailsPage = () => {
         refundAmount: refundAmountNum,
         refundReason: refundReason.trim()
       };
+      if (refundRateBasis) {
+        refundData.rateBasis = refundRateBasis;
+      }
       
       await issueRefund(orderId, refundData);
       
@@ -197,6 +307,7 @@ const AdminOrderDetailsPage = () => {
       setShowRefundModal(false);
       setRefundAmount('');
       setRefundReason('');
+      setRefundRateBasis('');
       
       // Reload order details to show updated refund info
       await loadOrderDetails();
@@ -211,6 +322,7 @@ const AdminOrderDetailsPage = () => {
     setShowRefundModal(false);
     setRefundAmount('');
     setRefundReason('');
+    setRefundRateBasis('');
     setError('');
   };
 
@@ -338,6 +450,59 @@ const AdminOrderDetailsPage = () => {
               </div>
             </div>
 
+            {/* Deposit Balance */}
+            {order?.balanceDue > 0 && (
+              <div className="bg-white rounded-lg shadow-sm border border-gray-200" data-testid="order-balance">
+                <div className="px-6 py-4 border-b border-gray-200">
+                  <h2 className="text-lg font-medium text-gray-900">Deposit Balance</h2>
+                </div>
+                <div className="px-6 py-4 space-y-3">
+                  <p className="text-sm text-gray-600">
+                    Paid at checkout: <span className="font-medium">{formatCurrency(order.totalAmount - order.balanceDue)}</span>
+                  </p>
+                  {order.balancePaidAt ? (
+                    <p className="text-sm text-green-700">
+                      Balance of {formatCurrency(order.balanceDue)} paid on {formatDate(order.balancePaidAt)}
+                      {order.balancePaymentReference && ` (ref. ${order.balancePaymentReference})`}
+                    </p>
+                  ) : (
+                    <>
+                      <p className="text-sm text-gray-600">
+                        Balance due before shipping: <span className="font-medium text-red-600">{formatCurrency(order.balanceDue)}</span>
+                      </p>
+                      {order.status !== 'cancelled' && (
+                        <div className="flex flex-wrap items-center gap-2">
+                          <input
+                            type="text"
+                            aria-label="Balance payment reference"
+                            value={balanceReference}
+                            onChange={(e) => setBalanceReference(e.target.value)}
+                            placeholder="Payment reference (optional)"
+                            maxLength={100}
+                            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+                          />
+                          <button
+                            type="button"
+                            onClick={handleRecordBalancePayment}
+                            disabled={balanceLoading}
+                            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                          >
+                            {balanceLoading ? 'Recording...' : 'Record Balance Payment'}
+                          </button>
+                        </div>
+                      )}
+                    </>
+                  )}
+                  {balanceMessage && <p className="text-sm text-green-700">{balanceMessage}</p>}
+                  {order.estimatedDeliveryDate && (
+                    <p className="text-sm text-gray-600">
+                      Estimated delivery: <span className="font-medium">{formatDate(order.estimatedDeliveryDate)}</span>
+                    </p>
+                  )}
+                </div>
+              </div>
+            )}
+
             {/* Status Update Section */}
             {order && getValidNextStatuses(order.status).length > 0 && (
               <div className="bg-white rounded-lg shadow-sm border border-gray-200">
@@ -410,8 +575,99 @@ const AdminOrderDetailsPage = () => {
               </div>
             )}
 
+            {/* Crypto Payment Section */}
+            {payments.map(payment => {
+              const { rateQuote, resolution } = payment;
+              return (
+                <div key={payment._id} className="bg-white rounded-lg shadow-sm border border-gray-200">
+                  <div className="px-6 py-4 border-b border-gray-200">
+                    <h2 className="text-lg font-medium text-gray-900">Crypto Payment</h2>
+                  </div>
+                  <div className="px-6 py-4">
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                      <div>
+                        <p className="text-sm font-medium text-gray-500">Quoted</p>
+                        <p className="mt-1 text-sm text-gray-900 font-mono">
+                          {formatCryptoAmount(rateQuote.cryptoAmount, rateQuote.cryptoCurrency)}
+                        </p>
+                      </div>
+                      <div>
+                        <p className="text-sm font-medium text-gray-500">Received</p>
+                        <p className="mt-1 text-sm text-gray-900 font-mono">
+                          {formatCryptoAmount(payment.paidAmount, rateQuote.cryptoCurrency)}
+                        </p>
+                      </div>
+                      <div>
+                        <p className="text-sm font-medium text-gray-500">Rate</p>
+                        <p className="mt-1 text-sm text-gray-900">
+                          {rateQuote.rate ? `${formatCurrency(rateQuote.rate)} / ${rateQuote.cryptoCurrency}` : 'Unknown'}
+                        </p>
+                        {rateQuote.source && (
+                          <p className="mt-1 text-xs text-gray-500">via {rateQuote.source}</p>
+                        )}
+                      </div>
+                      <div>
+                        <p className="text-sm font-medium text-gray-500">Quote Expires</p>
+                        <p className="mt-1 text-sm text-gray-900">
+                          {rateQuote.expiresAt ? formatDate(rateQuote.expiresAt) : 'Never'}
+                        </p>
+                      </div>
+                    </div>
+
+                    {resolution?.status === 'open' && (
+                      <div className="mt-4 bg-yellow-50 border border-yellow-200 rounded-md p-4">
+                        <p className="text-sm text-yellow-800">
+                          {resolution.reason === 'late_payment'
+                            ? `Received after the quote expired. Refund ${formatCryptoAmount(resolution.excessAmount, rateQuote.cryptoCurrency)} or accept the payment to complete the order.`
+                            : `Overpaid by ${formatCryptoAmount(resolution.excessAmount, rateQuote.cryptoCurrency)}. Refund the excess or keep it.`}
+                        </p>
+                        <div className="mt-3 flex flex-col md:flex-row gap-2">
+                          <input
+                            type="text"
+                            aria-label="Refund transaction ID"
+                            value={refundTransactionIds[payment._id] || ''}
+                            onChange={(e) => setRefundTransactionIds(prev => ({ ...prev, [payment._id]: e.target.value }))}
+                            placeholder="Refund transaction ID"
+                            className="flex-1 px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                          />
+                          <button
+                            onClick={() => handleResolvePayment(payment, 'refund')}
+                            disabled={resolvingPaymentId === payment._id}
+                            className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            Record Refund
+                          </button>
+                          <button
+                            onClick={() => handleResolvePayment(payment, 'accept')}
+                            disabled={resolvingPaymentId === payment._id}
+                            className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            {resolution.reason === 'late_payment' ? 'Accept Payment' : 'Keep Excess'}
+                          </button>
+                        </div>
+                        {error && (
+                          <p className="mt-2 text-sm text-red-600">{error}</p>
+                        )}
+                      </div>
+                    )}
+
+                    {resolution && resolution.status !== 'open' && (
+                      <p className="mt-4 text-sm text-gray-600">
+                        {resolution.reason === 'late_payment' ? 'Late payment' : 'Overpayment'} {resolution.status}
+                        {resolution.resolvedAt && ` on ${formatDate(resolution.resolvedAt)}`}
+                        {payment.refundTransactionId && (
+                          <span className="font-mono"> ({payment.refundTransactionId})</span>
+                        )}
+                      </p>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+
             {/* Refund Section */}
-            {order && order.paymentStatus === 'completed' && (
+            {/* Fully refunded orders stay listed while crypto refunds wait to be sent */}
+            {order && ['completed', 'refunded'].includes(order.paymentStatus) && (
               <div className="bg-white rounded-lg shadow-sm border border-gray-200">
                 <div className="px-6 py-4 border-b border-gray-200">
                   <h2 className="text-lg font-medium text-gray-900">Issue Refund</h2>
@@ -430,7 +686,7 @@ const AdminOrderDetailsPage = () => {
                     )}
                     <p className="text-sm text-gray-600">
                       Available to Refund: <span className="font-medium text-green-600">
-                        {formatCurrency(order.totalAmount - (order.totalRefundedAmount || 0))}
+                        {formatCurrency(getRefundableAmount(order))}
                       </span>
                     </p>
                   </div>
@@ -440,25 +696,80 @@ const AdminOrderDetailsPage = () => {
                       <h3 className="text-sm font-medium text-gray-900 mb-2">Refund History</h3>
                       <div className="bg-gray-50 rounded-md p-3">
                         {order.refundHistory.map((refund, index) => (
-                          <div key={index} className="flex justify-between items-center py-1 text-sm">
-                            <span className="text-gray-600">
-                              {new Date(refund.date).toLocaleDateString()} - {refund.reason}
-                            </span>
-                            <span className={`font-medium ${
-                              refund.status === 'succeeded' ? 'text-green-600' : 
-                              refund.status === 'failed' ? 'text-red-600' : 'text-yellow-600'
-                            }`}>
-                              {formatCurrency(refund.amount)} ({refund.status})
-                            </span>
+                          <div key={index} className="py-1 text-sm">
+                            <div className="flex justify-between items-center">
+                              <span className="text-gray-600">
+                                {new Date(refund.date).toLocaleDateString()} - {refund.reason}
+                              </span>
+                              <span className={`font-medium ${
+                                refund.status === 'succeeded' ? 'text-green-600' : 
+                                refund.status === 'failed' ? 'text-red-600' : 'text-yellow-600'
+                              }`}>
+                                {formatCurrency(refund.amount)} ({refund.status})
+                              </span>
+                            </div>
+                            {refund.crypto?.currency && (
+                              <div className="mt-1 pl-4 text-xs text-gray-600 space-y-1" data-testid="crypto-refund-details">
+                                {refund.crypto.refundAddress ? (
+                                  <>
+                                    <p>
+                                      {formatCryptoAmount(refund.crypto.cryptoAmount, refund.crypto.currency)} at {formatCurrency(refund.crypto.exchangeRate)} per {refund.crypto.currency} ({refund.crypto.rateBasis === 'locked' ? 'locked rate' : 'current rate'})
+                                    </p>
+                                    <p className="font-mono break-all">To {refund.crypto.refundAddress}</p>
+                                  </>
+                                ) : (
+                                  <p>
+                                    Waiting for the customer's {refund.crypto.currency} address ({refund.crypto.rateBasis === 'locked' ? 'locked rate' : 'current rate'}), link expires {formatDate(refund.crypto.addressRequestExpires)}
+                                  </p>
+                                )}
+                                {refund.crypto.transactionId && (
+                                  <p className="font-mono break-all">Transaction {refund.crypto.transactionId}</p>
+                                )}
+                                {refund.status === 'pending' && refund.crypto.refundAddress && (
+                                  <div className="flex flex-col md:flex-row gap-2 pt-1">
+                                    <input
+                                      type="text"
+                                      aria-label="Crypto refund transaction ID"
+                                      value={cryptoRefundTxids[refund.refundId] || ''}
+                                      onChange={(e) => setCryptoRefundTxids(prev => ({ ...prev, [refund.refundId]: e.target.value }))}
+                                      placeholder="Transaction ID"
+                                      className="flex-1 px-2 py-1 border border-gray-300 rounded-md font-mono text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                                    />
+                                    <button
+                                      onClick={() => handleRecordCryptoRefund(refund)}
+                                      disabled={cryptoRefundActionId === refund.refundId}
+                                      className="bg-red-600 text-white px-3 py-1 rounded-md hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                      Record Transaction
+                                    </button>
+                                  </div>
+                                )}
+                                {refund.status === 'pending' && !refund.crypto.refundAddress && (
+                                  <button
+                                    onClick={() => handleResendCryptoRefundLink(refund)}
+                                    disabled={cryptoRefundActionId === refund.refundId}
+                                    className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                                  >
+                                    Resend Address Link
+                                  </button>
+                                )}
+                              </div>
+                            )}
                           </div>
                         ))}
                       </div>
+                      {cryptoRefundMessage && (
+                        <p className="mt-2 text-sm text-green-600">{cryptoRefundMessage}</p>
+                      )}
+                      {cryptoRefundError && (
+                        <p className="mt-2 text-sm text-red-600">{cryptoRefundError}</p>
+                      )}
                     </div>
                   )}
 
                   <button
                     onClick={() => {
-                      const maxRefundable = order.totalAmount - (order.totalRefundedAmount || 0);
+                      const maxRefundable = getRefundableAmount(order);
                       if (maxRefundable > 0) {
                         setRefundAmount(maxRefundable.toString());
                         setRefundReason('');
@@ -519,6 +830,12 @@ const AdminOrderDetailsPage = () => {
                               <div className="text-sm text-gray-500">
                                 SKU: {item.slug}
                               </div>
+                              {formatAvailability(item.availabilityMode) && (
+                                <div className="text-sm text-amber-700">
+                                  {formatAvailability(item.availabilityMode, item.expectedShipDate)}
+                                  {item.availabilityMode === 'made_to_order' && (item.producedAt ? ' (made)' : ' (not yet made)')}
+                                </div>
+                              )}
                             </div>
                           </div>
                         </td>
@@ -670,7 +987,7 @@ const AdminOrderDetailsPage = () => {
                 <div>
                   <p className="text-sm font-medium text-gray-500">Payment Method</p>
                   <p className="mt-1 text-sm text-gray-900">
-                    {formatPaymentMethod(order?.paymentMethod)}
+                    {formatPaymentMethod(order?.paymentMethod, order?.paymentDetails)}
                   </p>
                   {order?.paymentIntentId && (
                     <p className="mt-1 text-xs text-gray-500">
@@ -816,7 +1133,7 @@ const AdminOrderDetailsPage = () => {
                     id="refund-amount"
                     step="0.01"
                     min="0"
-                    max={order ? order.totalAmount - (order.totalRefundedAmount || 0) : 0}
+                    max={order ? getRefundableAmount(order) : 0}
                     value={refundAmount}
                     onChange={(e) => setRefundAmount(e.target.value)}
                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500"
@@ -824,7 +1141,7 @@ const AdminOrderDetailsPage = () => {
                   />
                   {order && (
                     <p className="text-xs text-gray-500 mt-1">
-                      Maximum refundable: {formatCurrency(order.totalAmount - (order.totalRefundedAmount || 0))}
+                      Maximum refundable: {formatCurrency(getRefundableAmount(order))}
                     </p>
                   )}
                 </div>
@@ -850,6 +1167,27 @@ const AdminOrderDetailsPage = () => {
                   </select>
                 </div>
 
+                {['bitcoin', 'lightning', 'monero'].includes(order?.paymentMethod?.type) && (
+                  <div>
+                    <label htmlFor="refund-rate-basis" className="block text-sm font-medium text-gray-700 mb-2">
+                      Exchange Rate
+                    </label>
+                    <select
+                      id="refund-rate-basis"
+                      value={refundRateBasis}
+                      onChange={(e) => setRefundRateBasis(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                    >
+                      <option value="">Store policy</option>
+                      <option value="locked">Rate when the order was paid</option>
+                      <option value="current">Rate when the customer confirms their address</option>
+                    </select>
+                    <p className="text-xs text-gray-500 mt-1">
+                      The customer is emailed a link to give their refund address.
+                    </p>
+                  </div>
+                )}
+
                 {error && (
                   <div className="bg-red-50 border border-red-200 rounded-md p-3">
                     <p className="text-sm text-red-800">{error}</p>
@@ -0,0 +1,284 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getPaymentReconciliations, getPaymentReconciliation, runPaymentReconciliation } from '../services/adminService';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const DISCREPANCY_LABELS = {
+  status_updated: 'Status updated',
+  payment_expired: 'Payment expired',
+  needs_review: 'Needs review'
+};
+
+const getDiscrepancyBadgeClass = (type) => {
+  const baseClasses = 'px-2 py-1 text-xs font-medium rounded-full';
+  switch (type) {
+    case 'status_updated':
+      return `${baseClasses} bg-blue-100 text-blue-800`;
+    case 'payment_expired':
+      return `${baseClasses} bg-yellow-100 text-yellow-800`;
+    case 'needs_review':
+      return `${baseClasses} bg-red-100 text-red-800`;
+    default:
+      return `${baseClasses} bg-gray-100 text-gray-800`;
+  }
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return '—';
+  return new Date(dateString).toLocaleDateString('en-GB', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const formatStatus = (status) => {
+  if (!status) return '—';
+  return status.split('_').map(word =>
+    word.charAt(0).toUpperCase() + word.slice(1)
+  ).join(' ');
+};
+
+const formatAmount = (amount, currency) => {
+  if (amount === undefined || amount === null) return '—';
+  return `${amount} ${currency || ''}`.trim();
+};
+
+const AdminPaymentReconciliationPage = () => {
+  const [reports, setReports] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [page, setPage] = useState(1);
+  const [selectedReport, setSelectedReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchReports = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await getPaymentReconciliations(page);
+      setReports(response.data.reports);
+      setPagination(response.data.pagination);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch reconciliation reports');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchReports();
+  }, [page]);
+
+  const handleViewReport = async (reportId) => {
+    try {
+      setError('');
+      const response = await getPaymentReconciliation(reportId);
+      setSelectedReport(response.data.report);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch reconciliation report');
+    }
+  };
+
+  const handleRunNow = async () => {
+    try {
+      setRunning(true);
+      setError('');
+      const response = await runPaymentReconciliation();
+      setSelectedReport(response.data.report);
+      if (page === 1) {
+        await fetchReports();
+      } else {
+        setPage(1);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to run payment reconciliation');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  if (loading && reports.length === 0) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="sm:flex sm:items-center">
+        <div className="sm:flex-auto">
+          <h1 className="text-2xl font-semibold text-gray-900">Payment Reconciliation</h1>
+          <p className="mt-2 text-sm text-gray-700">
+            Checks of open orders against PayPal, Bitcoin and Monero, with what was corrected and what needs attention.
+          </p>
+        </div>
+        <div className="mt-4 sm:mt-0 sm:ml-16 sm:flex-none">
+          <button
+            type="button"
+            onClick={handleRunNow}
+            disabled={running}
+            className="inline-flex items-center justify-center rounded-md border border-transparent bg-blue-600 px-4 py-2 text-sm font-medium text-white shadow-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            {running ? 'Running...' : 'Run Now'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-4">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {/* Reports */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {reports.length === 0 ? (
+          <div className="px-4 py-8 text-center text-sm text-gray-500">No reconciliation runs yet.</div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Started</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Trigger</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Checked</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Updated</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expired</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Needs Review</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Failures</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {reports.map(report => (
+                <tr key={report._id} className={selectedReport?._id === report._id ? 'bg-blue-50' : ''}>
+                  <td className="px-4 py-3 text-sm text-gray-900">{formatDate(report.startedAt)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{formatStatus(report.trigger)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{formatStatus(report.status)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{report.summary.ordersChecked}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{report.summary.ordersUpdated}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{report.summary.ordersExpired}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{report.summary.needsReview}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{report.summary.failures}</td>
+                  <td className="px-4 py-3 text-right text-sm">
+                    <button
+                      type="button"
+                      onClick={() => handleViewReport(report._id)}
+                      className="text-blue-600 hover:text-blue-900"
+                    >
+                      View
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between border-t border-gray-200 px-4 py-3">
+            <button
+              type="button"
+              onClick={() => setPage(page - 1)}
+              disabled={!pagination.hasPrevPage}
+              className="text-sm text-gray-700 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-700">
+              Page {pagination.currentPage} of {pagination.totalPages}
+            </span>
+            <button
+              type="button"
+              onClick={() => setPage(page + 1)}
+              disabled={!pagination.hasNextPage}
+              className="text-sm text-gray-700 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Selected report */}
+      {selectedReport && (
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <div className="px-4 py-5 sm:px-6 border-b border-gray-200">
+            <h2 className="text-lg font-medium text-gray-900">
+              Run of {formatDate(selectedReport.startedAt)}
+            </h2>
+            <p className="mt-1 text-sm text-gray-500">
+              {selectedReport.summary.ordersChecked} orders checked
+              {selectedReport.triggeredBy?.email && ` · started by ${selectedReport.triggeredBy.email}`}
+            </p>
+          </div>
+
+          {selectedReport.discrepancies.length === 0 ? (
+            <div className="px-4 py-6 text-sm text-gray-500">Every open order agreed with its provider.</div>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Method</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Finding</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Payment Status</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Provider</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Received / Expected</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Notes</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {selectedReport.discrepancies.map(discrepancy => (
+                  <tr key={`${discrepancy.orderId}-${discrepancy.type}`}>
+                    <td className="px-4 py-3 text-sm">
+                      <Link to={`/admin/orders/${discrepancy.orderId}`} className="text-blue-600 hover:text-blue-900">
+                        {discrepancy.orderNumber || discrepancy.orderId}
+                      </Link>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">{formatStatus(discrepancy.paymentMethod)}</td>
+                    <td className="px-4 py-3 text-sm">
+                      <span className={getDiscrepancyBadgeClass(discrepancy.type)}>
+                        {DISCREPANCY_LABELS[discrepancy.type] || discrepancy.type}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {formatStatus(discrepancy.previousStatus)} → {formatStatus(discrepancy.newStatus)}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">{discrepancy.providerStatus || '—'}</td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {formatAmount(discrepancy.amountReceived, discrepancy.currency)} / {formatAmount(discrepancy.amountExpected, discrepancy.currency)}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {discrepancy.note}
+                      {discrepancy.stockReleased && <span className="block text-gray-500">Reserved stock released</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {selectedReport.failures.length > 0 && (
+            <div className="px-4 py-4 border-t border-gray-200">
+              <h3 className="text-sm font-medium text-gray-900">Could not check</h3>
+              <ul className="mt-2 space-y-1 text-sm text-gray-700">
+                {selectedReport.failures.map(failure => (
+                  <li key={failure.orderId}>
+                    {failure.orderNumber || failure.orderId} ({formatStatus(failure.paymentMethod)}): {failure.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminPaymentReconciliationPage;
@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { getProductById, createProduct, updateProduct, deleteProduct } from '../services/adminService';
 import LoadingSpinner from '../components/LoadingSpinner';
+import { useCurrency } from '../contexts/CurrencyContext';
 
 function AdminProductFormPage() {
   const { productId } = useParams();
@@ -28,9 +29,19 @@ function AdminProductFormPage() {
     tags: '',
     status: 'draft',
     condition: 'new',
-    stockStatus: 'in_stock'
+    stockStatus: 'in_stock',
+    availabilityMode: 'stock',
+    leadTimeDays: '',
+    expectedShipDate: '',
+    depositPercent: ''
   });
 
+  // Prices set by hand for presentment currencies, keyed by currency code;
+  // currencies left blank use the GBP price converted
+  const [priceOverrides, setPriceOverrides] = useState({});
+  const { currencies } = useCurrency();
+  const presentmentCurrencies = currencies.filter(currency => currency.code !== 'GBP');
+
   const [selectedImages, setSelectedImages] = useState([]);
   const [imagePreviews, setImagePreviews] = useState([]);
   const [existingImages, setExistingImages] = useState([]);
@@ -76,8 +87,15 @@ function AdminProductFormPage() {
           tags: Array.isArray(product.tags) ? product.tags.join(', ') : '',
           status: product.status || 'draft',
           condition: product.condition || 'new',
-          stockStatus: product.stockStatus || 'in_stock'
+          stockStatus: product.stockStatus || 'in_stock',
+          availabilityMode: product.availabilityMode || 'stock',
+          leadTimeDays: product.leadTimeDays ? product.leadTimeDays.toString() : '',
+          expectedShipDate: product.expectedShipDate ? new Date(product.expectedShipDate).toISOString().split('T')[0] : '',
+          depositPercent: product.depositPercent ? product.depositPercent.toString() : ''
         });
+        setPriceOverrides(Object.fromEntries(
+          (product.priceOverrides || []).map(override => [override.currency, override.price.toString()])
+        ));
         
         // Set existing images
         if (product.images && product.images.length > 0) {
@@ -118,10 +136,38 @@ function AdminProductFormPage() {
       newErrors.lowStockThreshold = 'Low stock threshold must be a valid number';
     }
 
+    if (formData.leadTimeDays && (isNaN(parseInt(formData.leadTimeDays)) || parseInt(formData.leadTimeDays) < 0 || parseInt(formData.leadTimeDays) > 365)) {
+      newErrors.leadTimeDays = 'Lead time must be between 0 and 365 days';
+    }
+
+    if (formData.depositPercent && (isNaN(parseFloat(formData.depositPercent)) || parseFloat(formData.depositPercent) < 0 || parseFloat(formData.depositPercent) > 100)) {
+      newErrors.depositPercent = 'Deposit must be between 0 and 100 percent';
+    }
+
+    Object.entries(priceOverrides).forEach(([currency, price]) => {
+      if (price !== '' && (isNaN(parseFloat(price)) || parseFloat(price) < 0)) {
+        newErrors[`priceOverride-${currency}`] = `Price in ${currency} must be a valid number`;
+      }
+    });
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
+  const handlePriceOverrideChange = (currency, value) => {
+    setPriceOverrides(prev => ({
+      ...prev,
+      [currency]: value
+    }));
+
+    if (errors[`priceOverride-${currency}`]) {
+      setErrors(prev => ({
+        ...prev,
+        [`priceOverride-${currency}`]: ''
+      }));
+    }
+  };
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -230,6 +276,16 @@ function AdminProductFormPage() {
       formDataToSubmit.append('status', formData.status);
       formDataToSubmit.append('stockStatus', formData.stockStatus);
       formDataToSubmit.append('tags', formData.tags || '');
+      formDataToSubmit.append('availabilityMode', formData.availabilityMode);
+      formDataToSubmit.append('leadTimeDays', formData.leadTimeDays ? parseInt(formData.leadTimeDays) : 0);
+      formDataToSubmit.append('expectedShipDate', formData.expectedShipDate || '');
+      formDataToSubmit.append('depositPercent', formData.depositPercent ? parseFloat(formData.depositPercent) : 0);
+      
+      formDataToSubmit.append('priceOverrides', JSON.stringify(
+        Object.entries(priceOverrides)
+          .filter(([, price]) => price !== '')
+          .map(([currency, price]) => ({ currency, price: parseFloat(price) }))
+      ));
       
       if (formData.salePrice) {
         formDataToSubmit.append('salePrice', parseFloat(formData.salePrice));
@@ -449,6 +505,39 @@ function AdminProductFormPage() {
                   {errors.salePrice && <p className="mt-1 text-sm text-red-600">{errors.salePrice}</p>}
                 </div>
               </div>
+
+              {presentmentCurrencies.length > 0 && (
+                <div className="mt-6" data-testid="price-overrides">
+                  <h4 className="text-sm font-medium text-gray-900 mb-1">Prices in Other Currencies</h4>
+                  <p className="text-sm text-gray-500 mb-3">
+                    Leave blank to convert the GBP price at the current exchange rate.
+                  </p>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    {presentmentCurrencies.map(currency => (
+                      <div key={currency.code}>
+                        <label htmlFor={`priceOverride-${currency.code}`} className="block text-sm font-medium text-gray-700 mb-2">
+                          Price ({currency.code})
+                        </label>
+                        <input
+                          type="number"
+                          id={`priceOverride-${currency.code}`}
+                          step="0.01"
+                          min="0"
+                          value={priceOverrides[currency.code] || ''}
+                          onChange={(e) => handlePriceOverrideChange(currency.code, e.target.value)}
+                          className={`w-full px-3 py-2 border rounded-md focus:ring-blue-500 focus:border-blue-500 ${
+                            errors[`priceOverride-${currency.code}`] ? 'border-red-300' : 'border-gray-300'
+                          }`}
+                          placeholder={formData.price ? (parseFloat(formData.price) * currency.exchangeRate).toFixed(currency.decimalPlaces) : ''}
+                        />
+                        {errors[`priceOverride-${currency.code}`] && (
+                          <p className="mt-1 text-sm text-red-600">{errors[`priceOverride-${currency.code}`]}</p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
 
             {/* Inventory */}
@@ -512,6 +601,96 @@ function AdminProductFormPage() {
               </div>
             </div>
 
+            {/* Availability */}
+            <div>
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Availability</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label htmlFor="availabilityMode" className="block text-sm font-medium text-gray-700 mb-2">
+                    Sold As
+                  </label>
+                  <select
+                    id="availabilityMode"
+                    name="availabilityMode"
+                    value={formData.availabilityMode}
+                    onChange={handleInputChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="stock">From stock</option>
+                    <option value="preorder">Pre-order</option>
+                    <option value="made_to_order">Made to order</option>
+                    <option value="gift_card">Gift card</option>
+                  </select>
+                  {formData.availabilityMode === 'gift_card' && (
+                    <p className="mt-1 text-sm text-gray-500">
+                      Each one bought is emailed to the buyer's chosen recipient as a gift card worth the price.
+                    </p>
+                  )}
+                </div>
+
+                {(formData.availabilityMode === 'preorder' || formData.availabilityMode === 'made_to_order') && (
+                  <>
+                    <div>
+                      <label htmlFor="leadTimeDays" className="block text-sm font-medium text-gray-700 mb-2">
+                        Lead Time (days)
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="365"
+                        id="leadTimeDays"
+                        name="leadTimeDays"
+                        value={formData.leadTimeDays}
+                        onChange={handleInputChange}
+                        className={`w-full px-3 py-2 border rounded-md focus:ring-blue-500 focus:border-blue-500 ${
+                          errors.leadTimeDays ? 'border-red-300' : 'border-gray-300'
+                        }`}
+                        placeholder="0"
+                      />
+                      {errors.leadTimeDays && <p className="mt-1 text-sm text-red-600">{errors.leadTimeDays}</p>}
+                    </div>
+
+                    {formData.availabilityMode === 'preorder' && (
+                      <div>
+                        <label htmlFor="expectedShipDate" className="block text-sm font-medium text-gray-700 mb-2">
+                          Expected Ship Date
+                        </label>
+                        <input
+                          type="date"
+                          id="expectedShipDate"
+                          name="expectedShipDate"
+                          value={formData.expectedShipDate}
+                          onChange={handleInputChange}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                        />
+                        <p className="mt-1 text-sm text-gray-500">Orders placed after this date ship after the lead time instead.</p>
+                      </div>
+                    )}
+
+                    <div>
+                      <label htmlFor="depositPercent" className="block text-sm font-medium text-gray-700 mb-2">
+                        Deposit (%)
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        id="depositPercent"
+                        name="depositPercent"
+                        value={formData.depositPercent}
+                        onChange={handleInputChange}
+                        className={`w-full px-3 py-2 border rounded-md focus:ring-blue-500 focus:border-blue-500 ${
+                          errors.depositPercent ? 'border-red-300' : 'border-gray-300'
+                        }`}
+                        placeholder="Leave empty to take full payment"
+                      />
+                      {errors.depositPercent && <p className="mt-1 text-sm text-red-600">{errors.depositPercent}</p>}
+                    </div>
+                  </>
+                )}
+              </div>
+            </div>
+
             {/* Product Details */}
             <div>
               <h3 className="text-lg font-medium text-gray-900 mb-4">Product Details</h3>
@@ -0,0 +1,299 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { getProductStockMovements, adjustProductStock } from '../services/adminService';
+import { formatDateTime, formatStockMovementReason } from '../utils/formatters';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const ADJUSTMENT_REASONS = ['stock_take', 'manual_adjustment'];
+
+const initialForm = { reason: 'stock_take', variantId: '', quantity: '', note: '' };
+
+const formatChange = (quantity) => (quantity > 0 ? `+${quantity}` : `${quantity}`);
+
+const formatVariant = (variant) => {
+  const options = (variant.options || []).map(option => option.value).join(' / ');
+  return options ? `${variant.sku} (${options})` : variant.sku;
+};
+
+const formatUser = (user) => {
+  if (!user) return 'System';
+  const name = [user.firstName, user.lastName].filter(Boolean).join(' ');
+  return name || user.email;
+};
+
+const AdminProductStockPage = () => {
+  const { productId } = useParams();
+
+  const [product, setProduct] = useState(null);
+  const [movements, setMovements] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [page, setPage] = useState(1);
+  const [form, setForm] = useState(initialForm);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchMovements = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await getProductStockMovements(productId, { page });
+      setProduct(response.data.product);
+      setMovements(response.data.movements);
+      setPagination(response.pagination);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch stock movements');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    document.title = 'Stock History - Admin - RDJCustoms';
+  }, []);
+
+  useEffect(() => {
+    fetchMovements();
+  }, [productId, page]);
+
+  const variants = product?.variants || [];
+  const isStockTake = form.reason === 'stock_take';
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+
+      const response = await adjustProductStock(productId, {
+        reason: form.reason,
+        ...(form.variantId && { variantId: form.variantId }),
+        ...(isStockTake ? { countedQuantity: Number(form.quantity) } : { quantity: Number(form.quantity) }),
+        ...(form.note.trim() && { note: form.note.trim() })
+      });
+
+      setMessage(response.message);
+      setForm(prev => ({ ...initialForm, reason: prev.reason, variantId: prev.variantId }));
+      if (page === 1) {
+        await fetchMovements();
+      } else {
+        setPage(1);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to adjust stock');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading && !product && !error) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <Link to="/admin/products" className="text-sm text-blue-600 hover:text-blue-900">
+          &larr; Back to products
+        </Link>
+        <h1 className="mt-2 text-2xl font-semibold text-gray-900">
+          Stock History{product && `: ${product.name}`}
+        </h1>
+        {product && (
+          <p className="mt-2 text-sm text-gray-700">
+            {product.sku} · {product.stockQuantity} in stock
+          </p>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-4">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-50 border border-green-200 rounded-md p-4">
+          <p className="text-sm text-green-800">{message}</p>
+        </div>
+      )}
+
+      {/* Variant stock */}
+      {variants.length > 0 && (
+        <div className="bg-white shadow rounded-lg p-4">
+          <h2 className="text-lg font-medium text-gray-900 mb-2">Variants</h2>
+          <ul className="divide-y divide-gray-200 text-sm">
+            {variants.map(variant => (
+              <li key={variant._id} className="py-2 flex justify-between">
+                <span className="text-gray-900">
+                  {formatVariant(variant)}
+                  {variant.isActive === false && <span className="ml-2 text-gray-500">(inactive)</span>}
+                </span>
+                <span className="text-gray-700">{variant.stockQuantity} in stock</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Adjustment */}
+      {product && (
+        <form onSubmit={handleSubmit} className="bg-white shadow rounded-lg p-4 space-y-4">
+          <h2 className="text-lg font-medium text-gray-900">Adjust Stock</h2>
+          <div className="flex flex-wrap gap-4">
+            <div>
+              <label htmlFor="reason" className="block text-sm font-medium text-gray-700">Type</label>
+              <select
+                id="reason"
+                name="reason"
+                value={form.reason}
+                onChange={handleChange}
+                className="mt-1 block rounded-md border-gray-300 text-sm"
+              >
+                {ADJUSTMENT_REASONS.map(reason => (
+                  <option key={reason} value={reason}>{formatStockMovementReason(reason)}</option>
+                ))}
+              </select>
+            </div>
+            {variants.length > 0 && (
+              <div>
+                <label htmlFor="variantId" className="block text-sm font-medium text-gray-700">Variant</label>
+                <select
+                  id="variantId"
+                  name="variantId"
+                  value={form.variantId}
+                  onChange={handleChange}
+                  required
+                  className="mt-1 block rounded-md border-gray-300 text-sm"
+                >
+                  <option value="">Select a variant</option>
+                  {variants.map(variant => (
+                    <option key={variant._id} value={variant._id}>{formatVariant(variant)}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div>
+              <label htmlFor="quantity" className="block text-sm font-medium text-gray-700">
+                {isStockTake ? 'Counted quantity' : 'Change (+/-)'}
+              </label>
+              <input
+                id="quantity"
+                name="quantity"
+                type="number"
+                step="1"
+                min={isStockTake ? 0 : undefined}
+                value={form.quantity}
+                onChange={handleChange}
+                required
+                className="mt-1 block w-32 rounded-md border-gray-300 text-sm"
+              />
+            </div>
+            <div className="flex-1 min-w-[12rem]">
+              <label htmlFor="note" className="block text-sm font-medium text-gray-700">Note</label>
+              <input
+                id="note"
+                name="note"
+                type="text"
+                maxLength={500}
+                value={form.note}
+                onChange={handleChange}
+                placeholder={isStockTake ? 'e.g. Quarterly count' : 'e.g. Damaged in workshop'}
+                className="mt-1 block w-full rounded-md border-gray-300 text-sm"
+              />
+            </div>
+          </div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : isStockTake ? 'Record Stock Take' : 'Record Adjustment'}
+          </button>
+        </form>
+      )}
+
+      {/* Movements */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {movements.length === 0 ? (
+          <div className="px-4 py-8 text-center text-sm text-gray-500">No stock movements recorded yet.</div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">SKU</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Change</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Stock After</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reference</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">By</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Note</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {movements.map(movement => (
+                <tr key={movement._id}>
+                  <td className="px-4 py-3 text-sm text-gray-900 whitespace-nowrap">{formatDateTime(movement.createdAt)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{formatStockMovementReason(movement.reason)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{movement.sku || '—'}</td>
+                  <td className={`px-4 py-3 text-sm font-medium ${movement.quantity > 0 ? 'text-green-700' : 'text-red-700'}`}>
+                    {formatChange(movement.quantity)}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{movement.quantityAfter ?? '—'}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {movement.reference?.kind === 'Order' && movement.reference.id ? (
+                      <Link to={`/admin/orders/${movement.reference.id}`} className="text-blue-600 hover:text-blue-900">
+                        {movement.reference.label || 'Order'}
+                      </Link>
+                    ) : (
+                      movement.reference?.label || '—'
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{formatUser(movement.userId)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-500">{movement.note}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between border-t border-gray-200 px-4 py-3">
+            <button
+              type="button"
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="text-sm text-gray-700 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-700">
+              Page {pagination.currentPage} of {pagination.totalPages}
+            </span>
+            <button
+              type="button"
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pagination.totalPages}
+              className="text-sm text-gray-700 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminProductStockPage;
@@ -0,0 +1,173 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getProductionQueue, markOrderItemProduced, formatCurrency } from '../services/adminService';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const formatDate = (dateString) => {
+  if (!dateString) return '—';
+  return new Date(dateString).toLocaleDateString('en-GB', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+const formatVariantOptions = (item) =>
+  (item.variantOptions || []).map(option => `${option.name}: ${option.value}`).join(', ');
+
+const isOverdue = (item) => item.expectedShipDate && new Date(item.expectedShipDate) < new Date();
+
+const AdminProductionQueuePage = () => {
+  const [items, setItems] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [producingId, setProducingId] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchQueue = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await getProductionQueue(page);
+      setItems(response.data.items);
+      setPagination(response.pagination);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch production queue');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchQueue();
+  }, [page]);
+
+  const handleMarkProduced = async (item) => {
+    try {
+      setProducingId(item.itemId);
+      setError('');
+      setMessage('');
+      const response = await markOrderItemProduced(item.orderId, item.itemId);
+      setMessage(response.message);
+      await fetchQueue();
+    } catch (err) {
+      setError(err.message || 'Failed to mark item as made');
+    } finally {
+      setProducingId(null);
+    }
+  };
+
+  if (loading && items.length === 0 && !error) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-semibold text-gray-900">Production Queue</h1>
+        <p className="mt-2 text-sm text-gray-700">
+          Made-to-order items on paid orders that are still to be made, the soonest due to ship first.
+        </p>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-4">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-50 border border-green-200 rounded-md p-4">
+          <p className="text-sm text-green-800">{message}</p>
+        </div>
+      )}
+
+      {/* Queue */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {items.length === 0 ? (
+          <div className="px-4 py-8 text-center text-sm text-gray-500">Nothing is waiting to be made.</div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Ship By</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Item</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {items.map(item => (
+                <tr key={item.itemId} data-testid="production-queue-item">
+                  <td className={`px-4 py-3 text-sm ${isOverdue(item) ? 'text-red-700 font-medium' : 'text-gray-900'}`}>
+                    {formatDate(item.expectedShipDate)}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-900">
+                    {item.productName}
+                    {item.variantOptions?.length > 0 && (
+                      <span className="block text-xs text-gray-500">{formatVariantOptions(item)}</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{item.quantity}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    <Link to={`/admin/orders/${item.orderId}`} className="text-blue-600 hover:text-blue-900">
+                      {item.orderNumber}
+                    </Link>
+                    <span className="block text-xs text-gray-500">{formatDate(item.orderDate)}</span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {item.balanceDue > 0 && !item.balancePaidAt
+                      ? `${formatCurrency(item.balanceDue)} due`
+                      : 'Paid'}
+                  </td>
+                  <td className="px-4 py-3 text-right text-sm whitespace-nowrap">
+                    <button
+                      type="button"
+                      onClick={() => handleMarkProduced(item)}
+                      disabled={producingId === item.itemId}
+                      className="text-green-600 hover:text-green-900 disabled:opacity-50"
+                    >
+                      {producingId === item.itemId ? 'Saving...' : 'Mark made'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between border-t border-gray-200 px-4 py-3">
+            <button
+              type="button"
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="text-sm text-gray-700 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-700">
+              Page {pagination.currentPage} of {pagination.totalPages}
+            </span>
+            <button
+              type="button"
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pagination.totalPages}
+              className="text-sm text-gray-700 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminProductionQueuePage;
@@ -1,6 +1,6 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
-import { getProducts, deleteProduct, formatCurrency } from '../services/adminService';
+import { getProducts, deleteProduct, exportProducts, importProducts, formatCurrency } from '../services/adminService';
 import LoadingSpinner from '../components/LoadingSpinner';
 import Pagination from '../components/Pagination';
 
@@ -37,6 +37,13 @@ function AdminProductsListPage() {
   const [deleting, setDeleting] = useState(false);
   const [success, setSuccess] = useState(null);
 
+  // Bulk import/export state
+  const fileInputRef = useRef(null);
+  const [exporting, setExporting] = useState(false);
+  const [importFile, setImportFile] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+  const [importing, setImporting] = useState(false);
+
   useEffect(() => {
     fetchProducts();
   }, [currentPage, searchQuery, filters, sortBy, sortOrder]);
@@ -128,6 +135,97 @@ function AdminProductsListPage() {
     }
   };
 
+  const handleExport = async (format) => {
+    try {
+      setExporting(true);
+      setError(null);
+
+      const { blob, filename } = await exportProducts({ searchQuery, ...filters }, format);
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message || 'Failed to export products');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleImportFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      setImporting(true);
+      setError(null);
+      setImportFile(file);
+
+      const response = await importProducts(file);
+      setImportResult(response.data);
+    } catch (err) {
+      setError(err.message || 'Failed to read import file');
+      setImportFile(null);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleApplyImport = async () => {
+    try {
+      setImporting(true);
+      setError(null);
+
+      const response = await importProducts(importFile, { commit: true });
+      const { summary } = response.data;
+
+      setImportResult(response.data);
+      setImportFile(null);
+      setSuccess(`Import applied: ${summary.updated} updated, ${summary.created} created`);
+      setTimeout(() => setSuccess(null), 3000);
+      fetchProducts();
+    } catch (err) {
+      setError(err.message || 'Failed to apply import');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const closeImport = () => {
+    setImportFile(null);
+    setImportResult(null);
+  };
+
+  const formatChangeValue = (value) => {
+    if (value === null || value === undefined || value === '') {
+      return '—';
+    }
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  };
+
+  const getImportActionBadge = (action) => {
+    const actionColors = {
+      created: 'bg-blue-100 text-blue-800',
+      updated: 'bg-green-100 text-green-800',
+      invalid: 'bg-red-100 text-red-800',
+      failed: 'bg-red-100 text-red-800'
+    };
+
+    return (
+      <span className={`px-2 py-1 text-xs font-semibold rounded-full ${actionColors[action] || 'bg-gray-100 text-gray-800'}`}>
+        {action}
+      </span>
+    );
+  };
+
   const confirmDelete = (product) => {
     setDeleteConfirm(product);
   };
@@ -175,13 +273,47 @@ function AdminProductsListPage() {
         <div className="bg-white shadow-sm rounded-lg p-6 mb-6">
           <div className="flex justify-between items-center">
             <h1 className="text-2xl font-bold text-gray-900">Manage Products</h1>
-            <Link
-              to="/admin/products/new"
-              className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition duration-300"
-            >
-              Add New Product
-            </Link>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => handleExport('csv')}
+                disabled={exporting}
+                className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition duration-300 disabled:opacity-50"
+              >
+                Export CSV
+              </button>
+              <button
+                onClick={() => handleExport('xlsx')}
+                disabled={exporting}
+                className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition duration-300 disabled:opacity-50"
+              >
+                Export XLSX
+              </button>
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                disabled={importing}
+                className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition duration-300 disabled:opacity-50"
+              >
+                {importing && !importResult ? 'Checking...' : 'Import'}
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,.xlsx"
+                onChange={handleImportFileChange}
+                className="hidden"
+                data-testid="product-import-input"
+              />
+              <Link
+                to="/admin/products/new"
+                className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition duration-300"
+              >
+                Add New Product
+              </Link>
+            </div>
           </div>
+          <p className="mt-2 text-sm text-gray-500">
+            Export the filtered list, edit prices or stock in a spreadsheet, then import it to review and apply the changes.
+          </p>
         </div>
 
         {/* Search and Filters */}
@@ -275,6 +407,85 @@ function AdminProductsListPage() {
           </div>
         )}
 
+        {/* Import Preview */}
+        {importResult && (
+          <div className="bg-white shadow-sm rounded-lg p-6 mb-6">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-lg font-semibold text-gray-900">
+                {importResult.dryRun ? `Import preview: ${importFile?.name}` : 'Import results'}
+              </h2>
+              <div className="flex space-x-2">
+                {importResult.dryRun && (
+                  <button
+                    onClick={handleApplyImport}
+                    disabled={importing || importResult.summary.created + importResult.summary.updated === 0}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {importing ? 'Applying...' : `Apply ${importResult.summary.created + importResult.summary.updated} changes`}
+                  </button>
+                )}
+                <button
+                  onClick={closeImport}
+                  disabled={importing}
+                  className="px-4 py-2 text-sm text-gray-600 border border-gray-300 rounded-md hover:bg-gray-50 transition duration-300"
+                >
+                  {importResult.dryRun ? 'Cancel' : 'Close'}
+                </button>
+              </div>
+            </div>
+
+            <div className="flex flex-wrap gap-4 text-sm text-gray-700 mb-4">
+              <span>Created: {importResult.summary.created}</span>
+              <span>Updated: {importResult.summary.updated}</span>
+              <span>Unchanged: {importResult.summary.unchanged}</span>
+              <span className={importResult.summary.invalid > 0 ? 'text-red-600' : ''}>
+                Errors: {importResult.summary.invalid}
+              </span>
+              {importResult.summary.failed > 0 && (
+                <span className="text-red-600">Failed: {importResult.summary.failed}</span>
+              )}
+            </div>
+
+            {importResult.dryRun && importResult.summary.invalid > 0 && (
+              <p className="text-sm text-yellow-700 mb-4">
+                Rows with errors will be skipped. Fix them in the file and import it again to include them.
+              </p>
+            )}
+
+            <div className="overflow-x-auto max-h-96">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">SKU</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Result</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {importResult.items.filter(item => item.action !== 'unchanged').map((item) => (
+                    <tr key={item.row}>
+                      <td className="px-4 py-2 text-gray-500">{item.row}</td>
+                      <td className="px-4 py-2 text-gray-900">{item.sku || '—'}</td>
+                      <td className="px-4 py-2">{getImportActionBadge(item.action)}</td>
+                      <td className="px-4 py-2">
+                        {item.errors.map((message) => (
+                          <div key={message} className="text-red-600">{message}</div>
+                        ))}
+                        {item.errors.length === 0 && item.changes.map((change) => (
+                          <div key={change.field} className="text-gray-700">
+                            {change.field}: {formatChangeValue(change.from)} → {formatChangeValue(change.to)}
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
         {/* Products Table */}
         <div className="bg-white shadow-sm rounded-lg overflow-hidden">
           {products.length === 0 ? (
@@ -369,6 +580,12 @@ function AdminProductsListPage() {
                           >
                             Edit
                           </Link>
+                          <Link
+                            to={`/admin/products/${product._id}/stock`}
+                            className="text-green-600 hover:text-green-900"
+                          >
+                            Stock
+                          </Link>
                           <button
                             onClick={() => confirmDelete(product)}
                             className="text-red-600 hover:text-red-900"
@@ -1,11 +1,12 @@
 import { useState, useEffect } from 'react';
-import { getSalesReport, getProductPerformanceReport, getCustomerReport, getInventoryReport } from '../services/adminService';
+import { getSalesReport, getProductPerformanceReport, getCustomerReport, getInventoryReport, getAbandonedCartReport } from '../services/adminService';
 import LoadingSpinner from '../components/LoadingSpinner';
+import { formatDateTime, formatStockMovementReason } from '../utils/formatters';
 
-const formatCurrency = (amount) => {
+const formatCurrency = (amount, currency = 'GBP') => {
   return new Intl.NumberFormat('en-GB', {
     style: 'currency',
-    currency: 'GBP'
+    currency
   }).format(amount || 0);
 };
 
@@ -17,6 +18,7 @@ const AdminReportsPage = () => {
   const [productData, setProductData] = useState(null);
   const [customerData, setCustomerData] = useState(null);
   const [inventoryData, setInventoryData] = useState(null);
+  const [cartRecoveryData, setCartRecoveryData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
@@ -62,17 +64,19 @@ const AdminReportsPage = () => {
     try {
       const { startDate, endDate } = getDateRange();
       
-      const [sales, products, customers, inventory] = await Promise.all([
+      const [sales, products, customers, inventory, cartRecovery] = await Promise.all([
         getSalesReport(startDate, endDate),
         getProductPerformanceReport(startDate, endDate),
         getCustomerReport(startDate, endDate),
-        getInventoryReport()
+        getInventoryReport(startDate, endDate),
+        getAbandonedCartReport(startDate, endDate)
       ]);
 
       setSalesData(sales);
       setProductData(products);
       setCustomerData(customers);
       setInventoryData(inventory);
+      setCartRecoveryData(cartRecovery);
     } catch (err) {
       setError('Failed to fetch reports');
       console.error('Error fetching reports:', err);
@@ -154,6 +158,31 @@ const AdminReportsPage = () => {
             </div>
           </div>
         )}
+        {salesData?.byCurrency?.length > 0 && (
+          <div className="mt-6 overflow-x-auto" data-testid="sales-by-currency">
+            <h3 className="text-md font-medium text-gray-700 mb-2">Sales by Currency</h3>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Currency</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Orders</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Presentment Total</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Settled (GBP)</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {salesData.byCurrency.map((row) => (
+                  <tr key={row.currency}>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{row.currency}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{row.orderCount}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{formatCurrency(row.presentmentTotal, row.currency)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{formatCurrency(row.settlementTotal)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
       </div>
 
       {/* Product Performance */}
@@ -222,6 +251,61 @@ const AdminReportsPage = () => {
         )}
       </div>
 
+      {/* Abandoned Cart Recovery */}
+      <div className="bg-white shadow rounded-lg p-6 mb-6">
+        <h2 className="text-lg font-medium text-gray-900 mb-4">Abandoned Cart Recovery</h2>
+        {cartRecoveryData && (
+          <div data-testid="abandoned-cart-report">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div className="bg-gray-50 p-4 rounded">
+                <p className="text-sm text-gray-600">Carts Reminded</p>
+                <p className="text-2xl font-bold text-gray-900">{cartRecoveryData.cartsReminded || 0}</p>
+              </div>
+              <div className="bg-gray-50 p-4 rounded">
+                <p className="text-sm text-gray-600">Recovered</p>
+                <p className="text-2xl font-bold text-gray-900">{cartRecoveryData.recovered || 0}</p>
+              </div>
+              <div className="bg-gray-50 p-4 rounded">
+                <p className="text-sm text-gray-600">Recovery Rate</p>
+                <p className="text-2xl font-bold text-gray-900">{cartRecoveryData.recoveryRate || 0}%</p>
+              </div>
+              <div className="bg-gray-50 p-4 rounded">
+                <p className="text-sm text-gray-600">Recovered Revenue</p>
+                <p className="text-2xl font-bold text-gray-900">{formatCurrency(cartRecoveryData.recoveredRevenue || 0)}</p>
+              </div>
+            </div>
+            <p className="mt-4 text-sm text-gray-500">
+              {cartRecoveryData.remindersSent || 0} reminders sent for {formatCurrency(cartRecoveryData.abandonedValue || 0)} of
+              abandoned carts; {cartRecoveryData.linksFollowed || 0} opened, {cartRecoveryData.discountsOffered || 0} offered
+              a discount and {cartRecoveryData.unsubscribed || 0} unsubscribed.
+            </p>
+
+            {cartRecoveryData.recoveredByReminder?.length > 0 && (
+              <table className="min-w-full divide-y divide-gray-200 mt-4">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recovered After</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Orders</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Revenue</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {cartRecoveryData.recoveredByReminder.map(row => (
+                    <tr key={row.reminder}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {row.reminder} {row.reminder === 1 ? 'reminder' : 'reminders'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{row.recovered}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatCurrency(row.recoveredRevenue)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+      </div>
+
       {/* Inventory Summary */}
       <div className="bg-white shadow rounded-lg p-6">
         <h2 className="text-lg font-medium text-gray-900 mb-4">Inventory Summary</h2>
@@ -241,6 +325,51 @@ const AdminReportsPage = () => {
             </div>
           </div>
         )}
+
+        {inventoryData?.movements && (
+          <div className="mt-6" data-testid="stock-movements-report">
+            <h3 className="text-md font-medium text-gray-900 mb-3">Stock Movements</h3>
+            {inventoryData.movements.byReason.length === 0 ? (
+              <p className="text-sm text-gray-500">No stock movements in this period.</p>
+            ) : (
+              <>
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Movements</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Units In</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Units Out</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {inventoryData.movements.byReason.map(row => (
+                      <tr key={row.reason}>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatStockMovementReason(row.reason)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{row.movementCount}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{row.unitsIn}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{row.unitsOut}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <h4 className="text-sm font-medium text-gray-700 mt-6 mb-2">Latest Movements</h4>
+                <ul className="divide-y divide-gray-200 text-sm">
+                  {inventoryData.movements.recent.map(movement => (
+                    <li key={movement._id} className="py-2 flex justify-between">
+                      <span className="text-gray-900">
+                        {movement.productName || movement.sku}: {movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}
+                        {' '}({formatStockMovementReason(movement.reason)})
+                      </span>
+                      <span className="text-gray-500">{formatDateTime(movement.createdAt)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -14,6 +14,7 @@ const AdminReturnDetailsPage = () => {
   const [selectedStatus, setSelectedStatus] = useState('');
   const [rejectionReason, setRejectionReason] = useState('');
   const [adminNotes, setAdminNotes] = useState('');
+  const [refundToStoreCredit, setRefundToStoreCredit] = useState(false);
 
   const statusOptions = [
     { value: 'pending_review', label: 'Pending Review' },
@@ -61,12 +62,17 @@ const AdminReturnDetailsPage = () => {
         updateData.rejectionReason = rejectionReason.trim();
       }
 
+      if (selectedStatus === 'refunded' && refundToStoreCredit) {
+        updateData.refundToStoreCredit = true;
+      }
+
       const response = await updateReturnRequestStatus(returnRequestId, updateData);
       setReturnRequest(response.data.returnRequest);
       setShowStatusModal(false);
       setSelectedStatus('');
       setRejectionReason('');
       setAdminNotes('');
+      setRefundToStoreCredit(false);
     } catch (err) {
       console.error('Error updating return request status:', err);
       setError(err.message || 'Failed to update return request status');
@@ -233,6 +239,12 @@ const AdminReturnDetailsPage = () => {
                     {formatCurrency(returnRequest.totalRefundAmount)}
                   </dd>
                 </div>
+                {returnRequest.refundMethod === 'store_credit' && (
+                  <div>
+                    <dt className="text-sm font-medium text-gray-500">Refunded To</dt>
+                    <dd className="mt-1 text-sm text-gray-900">Store credit</dd>
+                  </div>
+                )}
                 <div>
                   <dt className="text-sm font-medium text-gray-500">Customer</dt>
                   <dd className="mt-1 text-sm text-gray-900">
@@ -494,6 +506,22 @@ const AdminReturnDetailsPage = () => {
                   </div>
                 )}
 
+                {selectedStatus === 'refunded' && returnRequest.customer && returnRequest.refundStatus !== 'succeeded' && (
+                  <div className="flex items-start">
+                    <input
+                      id="refundToStoreCredit"
+                      type="checkbox"
+                      checked={refundToStoreCredit}
+                      onChange={(e) => setRefundToStoreCredit(e.target.checked)}
+                      className="mt-1 h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    <label htmlFor="refundToStoreCredit" className="ml-2 text-sm text-gray-700">
+                      Refund {formatCurrency(returnRequest.totalRefundAmount)} to the customer's store credit
+                      instead of their original payment method
+                    </label>
+                  </div>
+                )}
+
                 <div>
                   <label htmlFor="adminNotes" className="block text-sm font-medium text-gray-700">
                     Admin Notes
@@ -517,6 +545,7 @@ const AdminReturnDetailsPage = () => {
                     setSelectedStatus('');
                     setRejectionReason('');
                     setAdminNotes('');
+                    setRefundToStoreCredit(false);
                   }}
                   className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-md hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500"
                 >
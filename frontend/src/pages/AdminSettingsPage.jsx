@@ -5,6 +5,7 @@ import GeneralSettings from '../components/settings/GeneralSettings';
 import ShippingSettings from '../components/settings/ShippingSettings';
 import TaxSettings from '../components/settings/TaxSettings';
 import PaymentSettings from '../components/settings/PaymentSettings';
+import CurrencySettings from '../components/settings/CurrencySettings';
 
 const AdminSettingsPage = () => {
   const [activeTab, setActiveTab] = useState('general');
@@ -63,6 +64,15 @@ const AdminSettingsPage = () => {
         </svg>
       )
     },
+    {
+      id: 'currencies',
+      label: 'Currencies',
+      icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+        </svg>
+      )
+    },
     {
       id: 'payments',
       label: 'Payments',
@@ -82,6 +92,8 @@ const AdminSettingsPage = () => {
         return <ShippingSettings onMessage={showMessage} />;
       case 'tax':
         return <TaxSettings onMessage={showMessage} />;
+      case 'currencies':
+        return <CurrencySettings onMessage={showMessage} />;
       case 'payments':
         return <PaymentSettings onMessage={showMessage} />;
       default:
@@ -1,8 +1,202 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
-import { getUserById, updateUserStatus, formatCurrency } from '../services/adminService';
+import { getUserById, updateUserStatus, getUserStoreCredit, issueStoreCredit, formatCurrency } from '../services/adminService';
+import { getStoreCreditTransactionLabel } from '../services/storeCreditService';
 import LoadingSpinner from '../components/LoadingSpinner';
 
+// Customer's store credit balance and ledger, with a form to credit goodwill
+// or correct the balance
+function StoreCreditPanel({ userId }) {
+  const [wallet, setWallet] = useState(null);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [form, setForm] = useState({ type: 'goodwill', amount: '', note: '' });
+
+  const loadWallet = async () => {
+    try {
+      setError(null);
+      const response = await getUserStoreCredit(userId);
+      if (response.success) {
+        setWallet(response.data);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to load store credit');
+    }
+  };
+
+  useEffect(() => {
+    loadWallet();
+  }, [userId]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setError(null);
+
+      const response = await issueStoreCredit(userId, {
+        type: form.type,
+        amount: parseFloat(form.amount),
+        note: form.note
+      });
+
+      setSuccess(response.message || 'Store credit updated');
+      setForm({ type: 'goodwill', amount: '', note: '' });
+      await loadWallet();
+
+      // Clear success message after 3 seconds
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      setError(err.message || 'Failed to issue store credit');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const transactions = wallet?.transactions || [];
+
+  return (
+    <div className="bg-white shadow-sm rounded-lg p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-medium text-gray-900">Store Credit</h2>
+        <p className="text-lg font-semibold text-gray-900" data-testid="admin-store-credit-balance">
+          {formatCurrency(wallet?.balance || 0)}
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-3">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+      {success && (
+        <div className="mb-4 bg-green-50 border border-green-200 rounded-md p-3">
+          <p className="text-sm text-green-800">{success}</p>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+        <div>
+          <label htmlFor="storeCreditType" className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+          <select
+            id="storeCreditType"
+            name="type"
+            value={form.type}
+            onChange={handleChange}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            <option value="goodwill">Goodwill credit</option>
+            <option value="adjustment">Adjustment</option>
+          </select>
+        </div>
+        <div>
+          <label htmlFor="storeCreditAmount" className="block text-sm font-medium text-gray-700 mb-1">Amount (£)</label>
+          <input
+            id="storeCreditAmount"
+            name="amount"
+            type="number"
+            step="0.01"
+            min={form.type === 'goodwill' ? '0.01' : undefined}
+            value={form.amount}
+            onChange={handleChange}
+            required
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+          {form.type === 'adjustment' && (
+            <p className="text-xs text-gray-500 mt-1">Use a negative amount to reduce the balance</p>
+          )}
+        </div>
+        <div className="md:col-span-2">
+          <label htmlFor="storeCreditNote" className="block text-sm font-medium text-gray-700 mb-1">Note</label>
+          <div className="flex gap-2">
+            <input
+              id="storeCreditNote"
+              name="note"
+              type="text"
+              maxLength={500}
+              value={form.note}
+              onChange={handleChange}
+              required
+              placeholder="Reason shown to the customer"
+              className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+            <button
+              type="submit"
+              disabled={submitting}
+              className="bg-blue-600 text-white px-4 py-2 rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+            >
+              {submitting ? 'Saving...' : 'Apply'}
+            </button>
+          </div>
+        </div>
+      </form>
+
+      {transactions.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {transactions.map(transaction => (
+                <tr key={transaction._id}>
+                  <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600">
+                    {new Date(transaction.createdAt).toLocaleDateString('en-GB')}
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
+                    {getStoreCreditTransactionLabel(transaction.type)}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-600">
+                    {transaction.reference?.kind === 'Order' && (
+                      <Link to={`/admin/orders/${transaction.reference.id}`} className="text-blue-600 hover:text-blue-800">
+                        {transaction.reference.label || 'View order'}
+                      </Link>
+                    )}
+                    {transaction.reference?.kind === 'ReturnRequest' && (
+                      <Link to={`/admin/returns/${transaction.reference.id}`} className="text-blue-600 hover:text-blue-800">
+                        {transaction.reference.label || 'View return'}
+                      </Link>
+                    )}
+                    {transaction.reference?.kind === 'Reward' && transaction.reference.label}
+                    {transaction.note && <span className="block">{transaction.note}</span>}
+                    {transaction.createdBy && (
+                      <span className="block text-xs text-gray-500">
+                        By {transaction.createdBy.firstName} {transaction.createdBy.lastName}
+                      </span>
+                    )}
+                  </td>
+                  <td className={`px-4 py-2 whitespace-nowrap text-sm text-right font-medium ${
+                    transaction.amount > 0 ? 'text-green-700' : 'text-red-700'
+                  }`}>
+                    {transaction.amount > 0 ? '+' : '-'}{formatCurrency(Math.abs(transaction.amount))}
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap text-sm text-right text-gray-600">
+                    {formatCurrency(transaction.balanceAfter)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">No store credit transactions yet</p>
+      )}
+    </div>
+  );
+}
+
 function AdminUserDetailsPage() {
   const { userId } = useParams();
   const navigate = useNavigate();
@@ -238,6 +432,9 @@ function AdminUserDetailsPage() {
           </div>
         </div>
 
+        {/* Store Credit */}
+        <StoreCreditPanel userId={userId} />
+
         {/* Shipping Addresses */}
         {user?.shippingAddresses && user.shippingAddresses.length > 0 && (
           <div className="bg-white shadow-sm rounded-lg p-6 mb-6">
@@ -0,0 +1,319 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getWebhookEvents, getWebhookEvent, replayWebhookEvent } from '../services/adminService';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const PROVIDER_LABELS = {
+  paypal: 'PayPal',
+  stripe: 'Stripe',
+  blockonomics: 'Blockonomics',
+  btcpay: 'BTCPay Server',
+  globee: 'GloBee'
+};
+
+const STATUS_OPTIONS = ['processing', 'processed', 'ignored', 'failed', 'rejected'];
+
+const getStatusBadgeClass = (status) => {
+  const baseClasses = 'px-2 py-1 text-xs font-medium rounded-full';
+  switch (status) {
+    case 'processed':
+      return `${baseClasses} bg-green-100 text-green-800`;
+    case 'processing':
+      return `${baseClasses} bg-blue-100 text-blue-800`;
+    case 'failed':
+      return `${baseClasses} bg-red-100 text-red-800`;
+    case 'rejected':
+      return `${baseClasses} bg-yellow-100 text-yellow-800`;
+    default:
+      return `${baseClasses} bg-gray-100 text-gray-800`;
+  }
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return '—';
+  return new Date(dateString).toLocaleDateString('en-GB', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+};
+
+const formatStatus = (status) => {
+  if (!status) return '—';
+  return status.split('_').map(word =>
+    word.charAt(0).toUpperCase() + word.slice(1)
+  ).join(' ');
+};
+
+const AdminWebhookEventsPage = () => {
+  const [events, setEvents] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [filters, setFilters] = useState({ provider: '', status: '' });
+  const [page, setPage] = useState(1);
+  const [selectedEvent, setSelectedEvent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [replayingId, setReplayingId] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchEvents = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await getWebhookEvents(filters, page);
+      setEvents(response.data.events);
+      setPagination(response.data.pagination);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch webhook events');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchEvents();
+  }, [filters, page]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
+
+  const handleViewEvent = async (eventId) => {
+    try {
+      setError('');
+      const response = await getWebhookEvent(eventId);
+      setSelectedEvent(response.data.event);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch webhook event');
+    }
+  };
+
+  const handleReplay = async (eventId) => {
+    try {
+      setReplayingId(eventId);
+      setError('');
+      setMessage('');
+      const response = await replayWebhookEvent(eventId);
+      setMessage(response.message);
+      if (selectedEvent?._id === eventId) {
+        setSelectedEvent(response.data.event);
+      }
+      await fetchEvents();
+    } catch (err) {
+      setError(err.message || 'Failed to re-process webhook event');
+    } finally {
+      setReplayingId(null);
+    }
+  };
+
+  if (loading && events.length === 0 && !error) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-semibold text-gray-900">Webhook Events</h1>
+        <p className="mt-2 text-sm text-gray-700">
+          Notifications received from PayPal, Bitcoin and Monero payment providers, and how each was handled.
+        </p>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white shadow rounded-lg p-4 flex flex-wrap gap-4">
+        <div>
+          <label htmlFor="provider" className="block text-sm font-medium text-gray-700">Provider</label>
+          <select
+            id="provider"
+            name="provider"
+            value={filters.provider}
+            onChange={handleFilterChange}
+            className="mt-1 block rounded-md border-gray-300 text-sm"
+          >
+            <option value="">All providers</option>
+            {Object.entries(PROVIDER_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="status" className="block text-sm font-medium text-gray-700">Status</label>
+          <select
+            id="status"
+            name="status"
+            value={filters.status}
+            onChange={handleFilterChange}
+            className="mt-1 block rounded-md border-gray-300 text-sm"
+          >
+            <option value="">All statuses</option>
+            {STATUS_OPTIONS.map(status => (
+              <option key={status} value={status}>{formatStatus(status)}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-4">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-50 border border-green-200 rounded-md p-4">
+          <p className="text-sm text-green-800">{message}</p>
+        </div>
+      )}
+
+      {/* Events */}
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {events.length === 0 ? (
+          <div className="px-4 py-8 text-center text-sm text-gray-500">No webhook events found.</div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Received</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Provider</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Event</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Signature</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Attempts</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Error</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {events.map(event => (
+                <tr key={event._id} className={selectedEvent?._id === event._id ? 'bg-blue-50' : ''}>
+                  <td className="px-4 py-3 text-sm text-gray-900">{formatDate(event.receivedAt)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{PROVIDER_LABELS[event.provider] || event.provider}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {event.eventType || '—'}
+                    {event.eventId && <span className="block text-xs text-gray-500 break-all">{event.eventId}</span>}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{formatStatus(event.signatureStatus)}</td>
+                  <td className="px-4 py-3 text-sm">
+                    <span className={getStatusBadgeClass(event.status)}>{formatStatus(event.status)}</span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{event.attempts}</td>
+                  <td className="px-4 py-3 text-sm text-red-700">{event.error}</td>
+                  <td className="px-4 py-3 text-right text-sm space-x-3 whitespace-nowrap">
+                    <button
+                      type="button"
+                      onClick={() => handleViewEvent(event._id)}
+                      className="text-blue-600 hover:text-blue-900"
+                    >
+                      View
+                    </button>
+                    {event.canReplay && (
+                      <button
+                        type="button"
+                        onClick={() => handleReplay(event._id)}
+                        disabled={replayingId === event._id}
+                        className="text-orange-600 hover:text-orange-900 disabled:opacity-50"
+                      >
+                        {replayingId === event._id ? 'Re-processing...' : 'Re-process'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between border-t border-gray-200 px-4 py-3">
+            <button
+              type="button"
+              onClick={() => setPage(page - 1)}
+              disabled={!pagination.hasPrevPage}
+              className="text-sm text-gray-700 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-700">
+              Page {pagination.currentPage} of {pagination.totalPages}
+            </span>
+            <button
+              type="button"
+              onClick={() => setPage(page + 1)}
+              disabled={!pagination.hasNextPage}
+              className="text-sm text-gray-700 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Selected event */}
+      {selectedEvent && (
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <div className="px-4 py-5 sm:px-6 border-b border-gray-200">
+            <h2 className="text-lg font-medium text-gray-900">
+              {PROVIDER_LABELS[selectedEvent.provider] || selectedEvent.provider} event of {formatDate(selectedEvent.receivedAt)}
+            </h2>
+            <p className="mt-1 text-sm text-gray-500">
+              {formatStatus(selectedEvent.status)}
+              {selectedEvent.processedAt && ` · processed ${formatDate(selectedEvent.processedAt)}`}
+              {selectedEvent.orderId && (
+                <>
+                  {' · '}
+                  <Link to={`/admin/orders/${selectedEvent.orderId}`} className="text-blue-600 hover:text-blue-900">
+                    View order
+                  </Link>
+                </>
+              )}
+            </p>
+          </div>
+
+          <div className="px-4 py-4 space-y-4">
+            {selectedEvent.error && (
+              <p className="text-sm text-red-700">{selectedEvent.error}</p>
+            )}
+
+            <div>
+              <h3 className="text-sm font-medium text-gray-900">Payload</h3>
+              <pre className="mt-2 p-3 bg-gray-50 rounded text-xs text-gray-800 overflow-x-auto">
+                {JSON.stringify(selectedEvent.payload, null, 2)}
+              </pre>
+            </div>
+
+            <div>
+              <h3 className="text-sm font-medium text-gray-900">Headers</h3>
+              <pre className="mt-2 p-3 bg-gray-50 rounded text-xs text-gray-800 overflow-x-auto">
+                {JSON.stringify(selectedEvent.headers, null, 2)}
+              </pre>
+            </div>
+
+            {selectedEvent.replays?.length > 0 && (
+              <div>
+                <h3 className="text-sm font-medium text-gray-900">Re-processing history</h3>
+                <ul className="mt-2 space-y-1 text-sm text-gray-700">
+                  {selectedEvent.replays.map(replay => (
+                    <li key={replay._id || replay.replayedAt}>
+                      {formatDate(replay.replayedAt)}
+                      {replay.replayedBy?.email && ` by ${replay.replayedBy.email}`}: {formatStatus(replay.status)}
+                      {replay.error && ` (${replay.error})`}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminWebhookEventsPage;
@@ -1,19 +1,51 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useParams, useNavigate, useLocation, Link } from 'react-router-dom';
 import { ArrowLeftIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
 import BitcoinPayment from '../components/checkout/BitcoinPayment';
-import { getBitcoinPaymentStatus } from '../services/paymentService';
+import LightningPayment from '../components/checkout/LightningPayment';
+import { getBitcoinPaymentStatus, getLightningPaymentStatus } from '../services/paymentService';
 
-const BitcoinPaymentPage = () => {
+// The same page serves on-chain payments and the Lightning variant
+const NETWORKS = {
+  bitcoin: {
+    title: 'Bitcoin Payment',
+    methodName: 'Bitcoin',
+    getPaymentStatus: getBitcoinPaymentStatus,
+    PaymentComponent: BitcoinPayment,
+    confirmedMessage: 'Your Bitcoin payment has been confirmed with 2+ network confirmations.',
+    help: [
+      'Make sure to send the exact amount displayed above',
+      'Double-check the Bitcoin address before sending',
+      'Payment must be received within 24 hours'
+    ]
+  },
+  lightning: {
+    title: 'Lightning Payment',
+    methodName: 'Bitcoin Lightning',
+    getPaymentStatus: getLightningPaymentStatus,
+    PaymentComponent: LightningPayment,
+    confirmedMessage: 'Your Lightning payment has settled.',
+    help: [
+      'Pay from a Lightning wallet, not an on-chain Bitcoin address',
+      'Each invoice lasts up to an hour; a new one appears if it lapses',
+      'Payment must be made within 24 hours of placing the order'
+    ]
+  }
+};
+
+const BitcoinPaymentPage = ({ network = 'bitcoin' }) => {
+  const { title, methodName, getPaymentStatus, PaymentComponent, confirmedMessage, help } = NETWORKS[network];
   const { orderId } = useParams();
   const navigate = useNavigate();
+  // Guests arrive from checkout with the link to their order
+  const guestOrderToken = useLocation().state?.guestOrderToken;
   const [paymentStatus, setPaymentStatus] = useState('awaiting_confirmation');
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
   useEffect(() => {
-    document.title = 'Bitcoin Payment - RDJCustoms';
+    document.title = `${title} - RDJCustoms`;
     
     if (orderId) {
       loadOrderDetails();
@@ -28,7 +60,7 @@ const BitcoinPaymentPage = () => {
       setLoading(true);
       setError(null);
 
-      const response = await getBitcoinPaymentStatus(orderId);
+      const response = await getPaymentStatus(orderId);
       setOrder(response.data);
       setPaymentStatus(response.data.paymentStatus);
 
@@ -46,7 +78,7 @@ const BitcoinPaymentPage = () => {
     // If payment is completed, redirect to order confirmation after a delay
     if (newStatus === 'completed') {
       setTimeout(() => {
-        navigate(`/order-confirmation/${orderId}`);
+        navigate(guestOrderToken ? `/guest-orders/${guestOrderToken}` : `/order-confirmation/${orderId}`);
       }, 3000);
     }
   };
@@ -120,7 +152,7 @@ const BitcoinPaymentPage = () => {
           </Link>
           <div className="flex items-center justify-between">
             <div>
-              <h1 className="text-2xl font-bold text-gray-900">Bitcoin Payment</h1>
+              <h1 className="text-2xl font-bold text-gray-900">{title}</h1>
               {order && (
                 <p className="text-gray-600 mt-1">
                   Order #{order.orderNumber || orderId}
@@ -145,8 +177,7 @@ const BitcoinPaymentPage = () => {
               <div className="ml-4">
                 <h3 className="text-lg font-medium text-green-900">Payment Confirmed!</h3>
                 <p className="text-green-700 mt-1">
-                  Your Bitcoin payment has been confirmed with 2+ network confirmations. 
-                  Your order is now being processed.
+                  {confirmedMessage} Your order is now being processed.
                 </p>
                 <p className="text-green-600 text-sm mt-2">
                   Redirecting to order confirmation in a few seconds...
@@ -156,8 +187,8 @@ const BitcoinPaymentPage = () => {
           </div>
         )}
 
-        {/* Bitcoin Payment Component */}
-        <BitcoinPayment
+        {/* Payment Component */}
+        <PaymentComponent
           orderId={orderId}
           orderTotal={order?.orderTotal || 0}
           onPaymentStatusChange={handlePaymentStatusChange}
@@ -174,7 +205,7 @@ const BitcoinPaymentPage = () => {
               </div>
               <div className="flex justify-between text-sm mt-2">
                 <span className="text-gray-600">Payment Method:</span>
-                <span className="font-medium">Bitcoin</span>
+                <span className="font-medium">{methodName}</span>
               </div>
               <div className="flex justify-between text-sm mt-2">
                 <span className="text-gray-600">Status:</span>
@@ -195,9 +226,9 @@ const BitcoinPaymentPage = () => {
         <div className="mt-8 bg-blue-50 border border-blue-200 rounded-lg p-6">
           <h3 className="text-lg font-medium text-blue-900 mb-3">Need Help?</h3>
           <div className="space-y-2 text-sm text-blue-800">
-            <p>• Make sure to send the exact amount displayed above</p>
-            <p>• Double-check the Bitcoin address before sending</p>
-            <p>• Payment must be received within 24 hours</p>
+            {help.map(line => (
+              <p key={line}>• {line}</p>
+            ))}
             <p>• Contact support if you experience any issues</p>
           </div>
           <div className="mt-4">
@@ -1,7 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useCart } from '../contexts/CartContext';
+import { useCurrency } from '../contexts/CurrencyContext';
 import { formatCurrency } from '../services/cartService';
+import { formatAvailability, formatGiftCardRecipient } from '../utils/formatters';
+
+const formatVariantOptions = (item) =>
+  (item.variantOptions || []).map(option => `${option.name}: ${option.value}`).join(', ');
 
 const QuantitySelector = ({ item, onUpdateQuantity, isUpdating }) => {
   const [quantity, setQuantity] = useState(item.quantity);
@@ -12,7 +17,7 @@ const QuantitySelector = ({ item, onUpdateQuantity, isUpdating }) => {
     }
     
     setQuantity(newQuantity);
-    await onUpdateQuantity(item.productId, newQuantity);
+    await onUpdateQuantity(item.productId, newQuantity, item.variantId);
   };
 
   const handleInputChange = (e) => {
@@ -70,12 +75,14 @@ const QuantitySelector = ({ item, onUpdateQuantity, isUpdating }) => {
 
 const CartItem = ({ item, onUpdateQuantity, onRemoveItem, isUpdating }) => {
   const [isRemoving, setIsRemoving] = useState(false);
+  const { cart } = useCart();
+  const { formatAmount } = useCurrency();
 
   const handleRemove = async () => {
     if (window.confirm('Are you sure you want to remove this item from your cart?')) {
       setIsRemoving(true);
       try {
-        await onRemoveItem(item.productId);
+        await onRemoveItem(item.productId, item.variantId);
       } finally {
         setIsRemoving(false);
       }
@@ -107,8 +114,19 @@ const CartItem = ({ item, onUpdateQuantity, onRemoveItem, isUpdating }) => {
         >
           {item.productName}
         </Link>
+        {item.variantOptions?.length > 0 && (
+          <div className="text-sm text-gray-600 mt-1">{formatVariantOptions(item)}</div>
+        )}
+        {formatAvailability(item.availabilityMode) && (
+          <div className="text-sm text-amber-700 mt-1">
+            {formatAvailability(item.availabilityMode, item.expectedShipDate)}
+          </div>
+        )}
+        {item.giftCard && (
+          <div className="text-sm text-gray-600 mt-1">{formatGiftCardRecipient(item.giftCard)}</div>
+        )}
         <div className="text-sm text-gray-500 mt-1">
-          {formatCurrency(item.unitPrice)} each
+          {formatAmount(item.presentmentUnitPrice ?? item.unitPrice, cart.currency)} each
         </div>
       </div>
 
@@ -124,7 +142,7 @@ const CartItem = ({ item, onUpdateQuantity, onRemoveItem, isUpdating }) => {
       {/* Subtotal */}
       <div className="flex-shrink-0 w-24 text-right">
         <div className="text-lg font-medium text-gray-900">
-          {formatCurrency(item.subtotal)}
+          {formatAmount(item.presentmentSubtotal ?? item.subtotal, cart.currency)}
         </div>
       </div>
 
@@ -153,6 +171,7 @@ const CartItem = ({ item, onUpdateQuantity, onRemoveItem, isUpdating }) => {
 
 const CartPage = () => {
   const { cart, loading, error, updateCartItem, removeFromCart, clearCart, clearError, refreshCart: _refreshCart } = useCart();
+  const { formatAmount } = useCurrency();
   const [isUpdating, setIsUpdating] = useState(false);
   const navigate = useNavigate();
 
@@ -160,19 +179,19 @@ const CartPage = () => {
     document.title = 'Shopping Cart - RDJCustoms';
   }, []);
 
-  const handleUpdateQuantity = async (productId, quantity) => {
+  const handleUpdateQuantity = async (productId, quantity, variantId) => {
     setIsUpdating(true);
     try {
-      await updateCartItem(productId, quantity);
+      await updateCartItem(productId, quantity, variantId);
     } finally {
       setIsUpdating(false);
     }
   };
 
-  const handleRemoveItem = async (productId) => {
+  const handleRemoveItem = async (productId, variantId) => {
     setIsUpdating(true);
     try {
-      await removeFromCart(productId);
+      await removeFromCart(productId, variantId);
     } finally {
       setIsUpdating(false);
     }
@@ -317,8 +336,19 @@ const CartPage = () => {
                             >
                               {item.productName}
                             </Link>
+                            {item.variantOptions?.length > 0 && (
+                              <div className="text-sm text-gray-600">{formatVariantOptions(item)}</div>
+                            )}
+                            {formatAvailability(item.availabilityMode) && (
+                              <div className="text-sm text-amber-700">
+                                {formatAvailability(item.availabilityMode, item.expectedShipDate)}
+                              </div>
+                            )}
+                            {item.giftCard && (
+                              <div className="text-sm text-gray-600">{formatGiftCardRecipient(item.giftCard)}</div>
+                            )}
                             <div className="text-sm text-gray-500">
-                              {formatCurrency(item.unitPrice)} each
+                              {formatAmount(item.presentmentUnitPrice ?? item.unitPrice, cart.currency)} each
                             </div>
                           </div>
                         </div>
@@ -334,20 +364,20 @@ const CartPage = () => {
 
                         {/* Unit Price */}
                         <div className="col-span-2 text-right">
-                          <span className="text-gray-900">{formatCurrency(item.unitPrice)}</span>
+                          <span className="text-gray-900">{formatAmount(item.presentmentUnitPrice ?? item.unitPrice, cart.currency)}</span>
                         </div>
 
                         {/* Subtotal */}
                         <div className="col-span-2 text-right">
                           <span className="text-lg font-medium text-gray-900">
-                            {formatCurrency(item.subtotal)}
+                            {formatAmount(item.presentmentSubtotal ?? item.subtotal, cart.currency)}
                           </span>
                         </div>
 
                         {/* Remove Button */}
                         <div className="col-span-1 flex justify-center">
                           <button
-                            onClick={() => handleRemoveItem(item.productId)}
+                            onClick={() => handleRemoveItem(item.productId, item.variantId)}
                             disabled={isUpdating}
                             className="text-red-600 hover:text-red-800 disabled:text-gray-400 disabled:cursor-not-allowed p-2"
                             aria-label="Remove item"
@@ -372,7 +402,7 @@ const CartPage = () => {
                 <div className="space-y-3 mb-6">
                   <div className="flex justify-between">
                     <span className="text-gray-600">Subtotal ({cart.totalItems})</span>
-                    <span className="text-gray-900">{formatCurrency(cart.totalAmount)}</span>
+                    <span className="text-gray-900">{formatAmount(cart.presentmentTotal ?? cart.totalAmount, cart.currency)}</span>
                   </div>
                   
                   
@@ -385,10 +415,23 @@ const CartPage = () => {
                     <div className="flex justify-between text-lg font-semibold">
                       <span className="text-gray-900">Total</span>
                       <span className="text-gray-900">
-                        {formatCurrency(cart.finalTotal || cart.totalAmount)}
+                        {formatAmount(cart.presentmentTotal ?? (cart.finalTotal || cart.totalAmount), cart.currency)}
                       </span>
                     </div>
                   </div>
+
+                  {cart.currency && cart.currency !== 'GBP' && (
+                    <p className="text-sm text-gray-600" data-testid="cart-settlement-total">
+                      Payment is taken in GBP: {formatCurrency(cart.finalTotal || cart.totalAmount)}
+                    </p>
+                  )}
+
+                  {cart.balanceDue > 0 && (
+                    <p className="text-sm text-gray-600" data-testid="cart-balance-due">
+                      Pay {formatCurrency((cart.finalTotal || cart.totalAmount) - cart.balanceDue)} today by card or PayPal
+                      and {formatCurrency(cart.balanceDue)} before your made-on-demand items ship.
+                    </p>
+                  )}
                 </div>
 
 
@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useCart } from '../contexts/CartContext';
+import { restoreAbandonedCart, unsubscribeFromCartReminders } from '../services/cartService';
+
+const ACTIONS = {
+  restore: {
+    title: 'Your Cart',
+    request: restoreAbandonedCart
+  },
+  unsubscribe: {
+    title: 'Unsubscribe',
+    request: unsubscribeFromCartReminders
+  }
+};
+
+const linkClass = 'inline-block text-sm text-blue-600 hover:text-blue-500';
+
+const RestoreResult = ({ data }) => {
+  if (data.requiresLogin) {
+    return (
+      <>
+        <p className="text-lg font-medium text-gray-900">This cart is saved to an account</p>
+        <p className="text-sm text-gray-600">Log in to pick up where you left off.</p>
+        <Link to="/login" className={linkClass}>Log in</Link>
+      </>
+    );
+  }
+
+  if (!data.restored) {
+    return (
+      <>
+        <p className="text-lg font-medium text-gray-900">This cart has been emptied</p>
+        <p className="text-sm text-gray-600">It may already have been checked out.</p>
+        <Link to="/products" className={linkClass}>Browse products</Link>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <p className="text-lg font-medium text-gray-900">
+        Your cart is back with {data.totalItems} {data.totalItems === 1 ? 'item' : 'items'}
+      </p>
+      {data.promotionCode && (
+        <p className="text-sm text-gray-600" data-testid="cart-recovery-discount">
+          Discount code <span className="font-mono font-semibold">{data.promotionCode}</span> has been applied.
+        </p>
+      )}
+      <Link to="/cart" className={linkClass}>Go to Cart</Link>
+    </>
+  );
+};
+
+// Landing page for the restore and unsubscribe links in abandoned cart emails
+const CartRecoveryPage = ({ action }) => {
+  const { token } = useParams();
+  const { refreshCart } = useCart();
+  const { title, request } = ACTIONS[action];
+
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const sentToken = useRef(null);
+
+  useEffect(() => {
+    document.title = `${title} - RDJCustoms`;
+  }, [title]);
+
+  useEffect(() => {
+    if (sentToken.current === token) return;
+    sentToken.current = token;
+
+    const submit = async () => {
+      try {
+        const response = await request(token);
+        setResult(response);
+        if (action === 'restore' && response.data?.restored) {
+          refreshCart();
+        }
+      } catch (err) {
+        setError(err.message || 'This link is not valid');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    submit();
+  }, [token, request, action, refreshCart]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-lg">
+        <h1 className="mt-6 text-center text-3xl font-bold text-gray-900">{title}</h1>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-lg">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10 space-y-4">
+          {error ? (
+            <>
+              <div className="bg-red-50 border border-red-200 rounded-md p-4" data-testid="cart-recovery-error">
+                <div className="text-sm text-red-600">{error}</div>
+              </div>
+              <Link to="/products" className={linkClass}>Browse products</Link>
+            </>
+          ) : action === 'restore' ? (
+            <div className="space-y-2" data-testid="cart-recovery-result">
+              <RestoreResult data={result.data} />
+            </div>
+          ) : (
+            <div className="space-y-2" data-testid="cart-recovery-result">
+              <p className="text-lg font-medium text-gray-900">{result.message}</p>
+              <p className="text-sm text-gray-600">
+                Emails about your orders will still be sent as usual.
+              </p>
+              <Link to="/products" className={linkClass}>Browse products</Link>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CartRecoveryPage;
@@ -1,13 +1,19 @@
 import React, { useEffect, useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useCart } from '../contexts/CartContext';
+import { useCurrency } from '../contexts/CurrencyContext';
 import { useCheckout } from '../contexts/CheckoutContext';
 import { useAuth } from '../contexts/AuthContext';
-import { formatCurrency } from '../services/cartService';
+import { formatCurrency, reserveCheckoutStock, releaseCheckoutStock, saveCheckoutContact } from '../services/cartService';
 import ShippingAddressSection from '../components/checkout/ShippingAddressSection';
 import BillingAddressSection from '../components/checkout/BillingAddressSection';
 import PaymentMethodSection from '../components/checkout/PaymentMethodSection';
+import GiftCardSection from '../components/checkout/GiftCardSection';
+import StoreCreditSection from '../components/checkout/StoreCreditSection';
 import { placeOrder, validateOrderData } from '../services/orderService';
+import { placeGuestOrder } from '../services/guestOrderService';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 const CheckoutSteps = ({ currentStep }) => {
   const steps = [
@@ -47,7 +53,13 @@ const CheckoutSteps = ({ currentStep }) => {
 
 const CartSummary = () => {
   const { cart } = useCart();
-  const { checkoutState, shippingCost, orderTotal } = useCheckout();
+  const { checkoutState, shippingCost, orderTotal, orderSummary } = useCheckout();
+  const { formatAmount, getDisplayPrice, isSettlementCurrency } = useCurrency();
+  // Lines come priced in the cart's currency; shipping is converted the way the server does
+  const presentmentDiscount = cart.promotion?.freeShipping
+    ? getDisplayPrice(shippingCost)
+    : (cart.promotion?.presentmentDiscountAmount ?? 0);
+  const presentmentTotal = (cart.presentmentTotal ?? cart.totalAmount) + getDisplayPrice(shippingCost) - presentmentDiscount;
 
   return (
     <div 
@@ -81,11 +93,11 @@ const CartSummary = () => {
                 {item.productName}
               </div>
               <div className="text-sm text-gray-500">
-                Qty: {item.quantity} × {formatCurrency(item.unitPrice)}
+                Qty: {item.quantity} × {formatAmount(item.presentmentUnitPrice ?? item.unitPrice, cart.currency)}
               </div>
             </div>
             <div className="text-sm font-medium text-gray-900">
-              {formatCurrency(item.subtotal)}
+              {formatAmount(item.presentmentSubtotal ?? item.subtotal, cart.currency)}
             </div>
           </div>
         ))}
@@ -94,7 +106,7 @@ const CartSummary = () => {
       <div className="space-y-3 border-t pt-4">
         <div className="flex justify-between">
           <span className="text-gray-600">Subtotal ({cart.totalItems} items)</span>
-          <span className="text-gray-900">{formatCurrency(cart.totalAmount)}</span>
+          <span className="text-gray-900">{formatAmount(cart.presentmentTotal ?? cart.totalAmount, cart.currency)}</span>
         </div>
         <div className="flex justify-between">
           <span className="text-gray-600">Shipping</span>
@@ -103,7 +115,7 @@ const CartSummary = () => {
               checkoutState.shippingMethod.isFreeShipping ? (
                 <span className="text-green-600 font-medium">FREE</span>
               ) : (
-                formatCurrency(shippingCost)
+                formatAmount(getDisplayPrice(shippingCost), cart.currency)
               )
             ) : (
               'Calculated at next step'
@@ -115,6 +127,12 @@ const CartSummary = () => {
             via {checkoutState.shippingMethod.name}
           </div>
         )}
+        {presentmentDiscount > 0 && (
+          <div className="flex justify-between" data-testid="order-discount">
+            <span className="text-gray-600">Discount ({cart.promotion.code})</span>
+            <span className="text-green-700">-{formatAmount(presentmentDiscount, cart.currency)}</span>
+          </div>
+        )}
         <div className="border-t pt-3">
           <div className="flex justify-between text-lg font-semibold">
             <span className="text-gray-900">Total</span>
@@ -122,9 +140,34 @@ const CartSummary = () => {
               data-testid="order-total"
               className="text-gray-900"
             >
-              {formatCurrency(orderTotal)}
+              {formatAmount(presentmentTotal, cart.currency)}
             </span>
           </div>
+          {!isSettlementCurrency && (
+            <p className="mt-2 text-sm text-gray-600" data-testid="order-settlement-total">
+              Payment is taken in GBP: {formatCurrency(orderTotal)}
+            </p>
+          )}
+          {(orderSummary?.giftCardAmount > 0 || orderSummary?.storeCreditAmount > 0) && (
+            <div className="mt-2 space-y-1 text-sm" data-testid="order-gift-cards">
+              {orderSummary.giftCardAmount > 0 && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Gift cards</span>
+                  <span className="text-green-700">-{formatCurrency(orderSummary.giftCardAmount)}</span>
+                </div>
+              )}
+              {orderSummary.storeCreditAmount > 0 && (
+                <div className="flex justify-between" data-testid="order-store-credit">
+                  <span className="text-gray-600">Store credit</span>
+                  <span className="text-green-700">-{formatCurrency(orderSummary.storeCreditAmount)}</span>
+                </div>
+              )}
+              <div className="flex justify-between font-medium">
+                <span className="text-gray-900">To pay now</span>
+                <span className="text-gray-900">{formatCurrency(orderSummary.amountDueNow)}</span>
+              </div>
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -146,6 +189,10 @@ const PaymentSection = () => {
     >
       {/* Billing Address Section */}
       <BillingAddressSection />
+
+      <GiftCardSection />
+
+      <StoreCreditSection />
       
       {/* Payment Method Section */}
       <div className="bg-white rounded-lg shadow p-6">
@@ -180,20 +227,23 @@ const PaymentSection = () => {
   );
 };
 
-const ReviewSection = () => {
+const ReviewSection = ({ guestEmail }) => {
   const { 
     checkoutState, 
-    paymentState: _paymentState, 
+    paymentState, 
     shippingAddress, 
     billingAddress, 
     shippingMethod, 
     paymentMethod, 
     useSameAsShipping,
+    giftCards,
+    useStoreCredit,
     orderSummary: _orderSummary,
     prevStep,
     resetCheckout
   } = useCheckout();
   const { cart, clearCart } = useCart();
+  const { currency, formatAmount, getDisplayPrice } = useCurrency();
   const [isProcessing, setIsProcessing] = useState(false);
   const [orderError, setOrderError] = useState(null);
 
@@ -209,76 +259,50 @@ const ReviewSection = () => {
         throw new Error('Please complete all required fields before proceeding.');
       }
 
-      if (paymentMethod.type === 'paypal') {
-        // For PayPal, we don't place the order here - PayPal handles the payment
-        // and redirects to our success page which then creates the order
-        setOrderError('Please use the PayPal button above to complete your payment.');
+      // Methods paid inside checkout must be paid before the order is
+      // placed; the server checks the payment against the order total
+      const paidAtCheckout = paymentMethod.checkout?.flow === 'capture';
+      const checkoutReference = paymentState?.paymentData?.checkoutReference;
+      if (paidAtCheckout && !checkoutReference) {
+        setOrderError(`Please use the ${paymentMethod.name} button above to complete your payment.`);
         return;
       }
 
-      if (paymentMethod.type === 'bitcoin') {
-        // For Bitcoin, create the order first, then redirect to Bitcoin payment page
-        const orderData = {
-          shippingAddress,
-          billingAddress: useSameAsShipping ? shippingAddress : billingAddress,
-          shippingMethod,
-          paymentMethod,
-          items: cart.items
-        };
-
-        // Validate order data
-        const validation = validateOrderData(orderData);
-        if (!validation.isValid) {
-          throw new Error(validation.errors.join(', '));
-        }
-
-        // Create the order
-        const orderResponse = await placeOrder(orderData);
-        
-        if (orderResponse.success) {
-          // Clear cart and redirect to Bitcoin payment page
-          clearCart();
-          resetCheckout();
-          navigate(`/payment/bitcoin/${orderResponse.data.order._id}`);
-        } else {
-          throw new Error(orderResponse.error || 'Failed to create order');
-        }
-        return;
+      // Other methods create the order first, then take the customer to
+      // the page where it is paid
+      const orderData = {
+        shippingAddress,
+        billingAddress: useSameAsShipping ? shippingAddress : billingAddress,
+        useSameAsShipping,
+        shippingMethodId: shippingMethod._id || shippingMethod.id,
+        paymentMethod: paymentMethod.type,
+        currency: currency.code,
+        ...(giftCards.length > 0 && { giftCardCodes: giftCards.map(card => card.code) }),
+        ...(useStoreCredit && { useStoreCredit: true }),
+        ...(paidAtCheckout ? checkoutReference : {})
+      };
+
+      // Validate order data
+      const validation = validateOrderData(orderData);
+      if (!validation.isValid) {
+        throw new Error(validation.errors.join(', '));
       }
 
-      if (paymentMethod.type === 'monero') {
-        // For Monero, create the order first, then redirect to Monero payment page
-        const orderData = {
-          shippingAddress,
-          billingAddress: useSameAsShipping ? shippingAddress : billingAddress,
-          shippingMethod,
-          paymentMethod,
-          items: cart.items
-        };
-
-        // Validate order data
-        const validation = validateOrderData(orderData);
-        if (!validation.isValid) {
-          throw new Error(validation.errors.join(', '));
-        }
-
-        // Create the order
-        const orderResponse = await placeOrder(orderData);
-        
-        if (orderResponse.success) {
-          // Clear cart and redirect to Monero payment page
-          clearCart();
-          resetCheckout();
-          navigate(`/payment/monero/${orderResponse.data.order._id}`);
-        } else {
-          throw new Error(orderResponse.error || 'Failed to create order');
-        }
-        return;
+      // Guests get a link to their order in place of an account
+      const order = guestEmail
+        ? await placeGuestOrder({ ...orderData, email: guestEmail })
+        : await placeOrder(orderData);
+
+      clearCart();
+      resetCheckout();
+      if (order.guestOrderToken) {
+        navigate(order.paymentPath || `/guest-orders/${order.guestOrderToken}`, {
+          state: { guestOrderToken: order.guestOrderToken }
+        });
+      } else {
+        navigate(order.paymentPath || `/order-confirmation/${order.orderId}`);
       }
 
-      // If we add other payment methods in the future, handle them here
-      throw new Error('Selected payment method is not supported.');
-
     } catch (error) {
       console.error('Order validation error:', error);
       setOrderError(error.message);
@@ -388,7 +412,7 @@ const ReviewSection = () => {
                   <span className="text-lg font-semibold text-green-600">FREE</span>
                 ) : (
                   <span className="text-lg font-semibold text-gray-900">
-                    {formatCurrency(checkoutState.shippingMethod.cost)}
+                    {formatAmount(getDisplayPrice(checkoutState.shippingMethod.cost), cart.currency)}
                   </span>
                 )}
               </div>
@@ -419,11 +443,11 @@ const ReviewSection = () => {
               <div className="flex-1">
                 <div className="font-medium text-gray-900">{item.productName}</div>
                 <div className="text-sm text-gray-600">
-                  Quantity: {item.quantity} × {formatCurrency(item.unitPrice)}
+                  Quantity: {item.quantity} × {formatAmount(item.presentmentUnitPrice ?? item.unitPrice, cart.currency)}
                 </div>
               </div>
               <div className="text-lg font-medium text-gray-900">
-                {formatCurrency(item.subtotal)}
+                {formatAmount(item.presentmentSubtotal ?? item.subtotal, cart.currency)}
               </div>
             </div>
           ))}
@@ -481,15 +505,149 @@ const ReviewSection = () => {
   );
 };
 
+// Shoppers without an account log in or check out with just their email
+const GuestCheckoutPrompt = ({ onContinue }) => {
+  const [email, setEmail] = useState('');
+  const [marketingOptIn, setMarketingOptIn] = useState(false);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!EMAIL_PATTERN.test(email.trim())) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    const guestEmail = email.trim().toLowerCase();
+    setSaving(true);
+    try {
+      await saveCheckoutContact(guestEmail, marketingOptIn);
+    } catch {
+      // Only used to follow up an unfinished cart, so checkout goes on without it
+    } finally {
+      setSaving(false);
+    }
+
+    onContinue(guestEmail);
+  };
+
+  return (
+    <div className="checkout-page">
+      <div className="container mx-auto px-4 py-8">
+        <h1 className="text-3xl font-bold text-gray-800 mb-8 text-center">Checkout</h1>
+        <div className="grid md:grid-cols-2 gap-8 max-w-3xl mx-auto">
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-xl font-semibold text-gray-800 mb-4">Returning Customer</h2>
+            <p className="text-gray-600 mb-6">
+              Log in to use your saved addresses and keep this order in your account.
+            </p>
+            <Link
+              to="/login"
+              state={{ from: '/checkout' }}
+              className="inline-flex items-center px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Login to Continue
+            </Link>
+          </div>
+
+          <form onSubmit={handleSubmit} noValidate className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-xl font-semibold text-gray-800 mb-4">Checkout as a Guest</h2>
+            <p className="text-gray-600 mb-4">
+              No account needed. We'll email your confirmation and a link to track your order.
+            </p>
+            <label htmlFor="guestEmail" className="block text-sm font-medium text-gray-700 mb-1">
+              Email Address
+            </label>
+            <input
+              type="email"
+              id="guestEmail"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md mb-2"
+            />
+            {error && (
+              <p className="text-sm text-red-600 mb-2" role="alert">{error}</p>
+            )}
+            <label className="flex items-start text-sm text-gray-600 mt-2">
+              <input
+                type="checkbox"
+                checked={marketingOptIn}
+                onChange={(e) => setMarketingOptIn(e.target.checked)}
+                className="mt-1 mr-2"
+              />
+              Email me offers, including a reminder if I leave items in my cart
+            </label>
+            <button
+              type="submit"
+              disabled={saving}
+              className="mt-4 px-6 py-3 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors disabled:opacity-50"
+            >
+              Continue as Guest
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 const CheckoutPage = () => {
   const { cart, loading: cartLoading } = useCart();
   const { checkoutState } = useCheckout();
   const { isAuthenticated, isLoading: authLoading } = useAuth();
+  const [reservation, setReservation] = useState(null);
+  const [unavailableItems, setUnavailableItems] = useState([]);
+  const [guestEmail, setGuestEmail] = useState('');
+  const canCheckOut = isAuthenticated || Boolean(guestEmail);
+
+  // The hold is renewed whenever the cart changes
+  const cartItemsKey = (cart?.items || [])
+    .map(item => `${item.productId}:${item.variantId || ''}:${item.quantity}`)
+    .join(',');
 
   useEffect(() => {
     document.title = 'Checkout - RDJCustoms';
   }, []);
 
+  // Hold the cart's stock so no one else can buy it while the customer pays
+  useEffect(() => {
+    if (!canCheckOut || !cartItemsKey) {
+      return;
+    }
+
+    const holdStock = async () => {
+      try {
+        const response = await reserveCheckoutStock();
+        setReservation(response.data);
+        setUnavailableItems([]);
+      } catch (error) {
+        // Checkout carries on without a hold; stock is checked again when
+        // the order is placed
+        setReservation(null);
+        setUnavailableItems(error.unavailableItems || []);
+      }
+    };
+
+    holdStock();
+  }, [canCheckOut, cartItemsKey]);
+
+  // Release the hold when the customer leaves checkout
+  useEffect(() => {
+    const releaseHold = async () => {
+      try {
+        await releaseCheckoutStock();
+      } catch {
+        // An unreleased hold lapses on its own
+      }
+    };
+
+    return () => {
+      releaseHold();
+    };
+  }, []);
+
   // Show loading while checking authentication
   if (authLoading || cartLoading) {
     return (
@@ -504,28 +662,9 @@ const CheckoutPage = () => {
     );
   }
 
-  // Redirect to login if not authenticated
-  if (!isAuthenticated) {
-    return (
-      <div className="checkout-page">
-        <div className="container mx-auto px-4 py-8">
-          <div className="text-center max-w-md mx-auto">
-            <div className="text-6xl mb-4">🔒</div>
-            <h1 className="text-2xl font-semibold text-gray-800 mb-4">Login Required</h1>
-            <p className="text-gray-600 mb-6">
-              You need to be logged in to proceed with checkout.
-            </p>
-            <Link
-              to="/login"
-              state={{ from: '/checkout' }}
-              className="inline-flex items-center px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
-            >
-              Login to Continue
-            </Link>
-          </div>
-        </div>
-      </div>
-    );
+  // Ask for a login or a guest email first
+  if (!canCheckOut) {
+    return <GuestCheckoutPrompt onContinue={setGuestEmail} />;
   }
 
   // Show empty cart message
@@ -558,7 +697,7 @@ const CheckoutPage = () => {
       case 'payment':
         return <PaymentSection />;
       case 'review':
-        return <ReviewSection />;
+        return <ReviewSection guestEmail={isAuthenticated ? null : guestEmail} />;
       default:
         return <ShippingAddressSection />;
     }
@@ -577,9 +716,42 @@ const CheckoutPage = () => {
           </nav>
         </div>
 
+        {!isAuthenticated && (
+          <p className="mb-6 text-sm text-gray-600" data-testid="guest-checkout-email">
+            Checking out as a guest with {guestEmail}.{' '}
+            <button type="button" onClick={() => setGuestEmail('')} className="text-blue-600 hover:text-blue-800">
+              Change
+            </button>
+          </p>
+        )}
+
         {/* Checkout Steps */}
         <CheckoutSteps currentStep={checkoutState.step} />
 
+        {/* Stock Hold */}
+        {unavailableItems.length > 0 && (
+          <div className="mb-6 bg-red-50 border border-red-200 rounded-lg p-4" data-testid="checkout-stock-unavailable">
+            <p className="text-sm font-medium text-red-700">
+              Some items in your cart are no longer available in the quantity you want:
+            </p>
+            <ul className="mt-2 list-disc list-inside text-sm text-red-700">
+              {unavailableItems.map(item => (
+                <li key={`${item.productId}:${item.variantId || ''}`}>
+                  {item.productName}: {item.available} available, {item.requested} in your cart
+                </li>
+              ))}
+            </ul>
+            <Link to="/cart" className="mt-3 inline-block text-sm text-blue-600 hover:text-blue-800">
+              Update your cart
+            </Link>
+          </div>
+        )}
+        {reservation?.expiresAt && (
+          <p className="mb-6 text-sm text-gray-600" data-testid="checkout-stock-held">
+            Your items are held for you until {new Date(reservation.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.
+          </p>
+        )}
+
         {/* Main Content */}
         <div className="grid lg:grid-cols-3 gap-8">
           {/* Checkout Form */}
@@ -0,0 +1,307 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useCart } from '../contexts/CartContext';
+import {
+  getCommissionRequest,
+  sendCommissionMessage,
+  acceptCommissionQuote,
+  declineCommissionQuote,
+  cancelCommissionRequest,
+  formatCommissionStatus,
+  getCommissionStatusColorClass,
+  isCommissionOpen
+} from '../services/commissionService';
+import { formatCurrency } from '../services/orderService';
+import CommissionThread, { CommissionImages } from '../components/CommissionThread';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const CommissionDetailsPage = () => {
+  const { commissionId } = useParams();
+  const { cart, addToCart, refreshCart } = useCart();
+  const [commission, setCommission] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [actionMessage, setActionMessage] = useState('');
+  const [actionLoading, setActionLoading] = useState(false);
+  const [message, setMessage] = useState('');
+  const [messageImages, setMessageImages] = useState([]);
+  const [showDeclineForm, setShowDeclineForm] = useState(false);
+  const [declineReason, setDeclineReason] = useState('');
+
+  useEffect(() => {
+    loadCommission();
+  }, [commissionId]);
+
+  useEffect(() => {
+    if (commission) {
+      document.title = `${commission.title} - RDJCustoms`;
+    }
+  }, [commission]);
+
+  const loadCommission = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await getCommissionRequest(commissionId);
+      setCommission(response.data.commission);
+    } catch (err) {
+      setError(err.message || 'Failed to load commission request');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Runs an action that returns the updated commission request
+  const runAction = async (action, onSuccess) => {
+    try {
+      setActionLoading(true);
+      setError('');
+      setActionMessage('');
+
+      const response = await action();
+      setCommission(response.data.commission);
+      setActionMessage(response.message);
+      if (onSuccess) {
+        onSuccess(response);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleSendMessage = (e) => {
+    e.preventDefault();
+    if (!message.trim()) {
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('message', message.trim());
+    messageImages.forEach(image => formData.append('images', image));
+
+    runAction(() => sendCommissionMessage(commissionId, formData), () => {
+      setMessage('');
+      setMessageImages([]);
+    });
+  };
+
+  const handleAccept = () => {
+    runAction(() => acceptCommissionQuote(commissionId), refreshCart);
+  };
+
+  const handleDecline = (e) => {
+    e.preventDefault();
+    runAction(() => declineCommissionQuote(commissionId, declineReason.trim() || undefined), () => {
+      setShowDeclineForm(false);
+      setDeclineReason('');
+    });
+  };
+
+  const handleCancel = () => {
+    if (!window.confirm('Cancel this commission request?')) {
+      return;
+    }
+    runAction(() => cancelCommissionRequest(commissionId));
+  };
+
+  const handleAddToCart = async () => {
+    const result = await addToCart(commission.productId, 1);
+    if (result.success) {
+      setActionMessage('Added to your cart');
+    } else {
+      setError(result.error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <div className="container mx-auto px-4 py-8">
+          <LoadingSpinner />
+        </div>
+      </div>
+    );
+  }
+
+  if (!commission) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <div className="container mx-auto px-4 py-8 text-center">
+          <p className="text-red-700 mb-4">{error || 'Commission request not found'}</p>
+          <Link to="/commissions" className="text-blue-600 hover:underline">Back to My Commissions</Link>
+        </div>
+      </div>
+    );
+  }
+
+  const quote = commission.quote;
+  const quoteExpired = Boolean(quote?.validUntil) && new Date(quote.validUntil) < new Date();
+  const inCart = (cart?.items || []).some(item => item.productId === commission.productId);
+  const canCancel = ['submitted', 'quoted', 'declined'].includes(commission.status);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="container mx-auto px-4 py-8 max-w-4xl">
+        <nav className="breadcrumb mb-4">
+          <Link to="/commissions" className="breadcrumb-link">My Commissions</Link>
+          <span className="breadcrumb-separator">/</span>
+          <span>{commission.requestNumber}</span>
+        </nav>
+
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3 mb-6">
+          <h1 className="text-3xl font-bold text-gray-900">{commission.title}</h1>
+          <span className={`px-2 py-1 rounded-full text-xs font-medium ${getCommissionStatusColorClass(commission.status)}`}>
+            {formatCommissionStatus(commission.status)}
+          </span>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        )}
+        {actionMessage && (
+          <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6">
+            <p className="text-sm text-green-700">{actionMessage}</p>
+          </div>
+        )}
+
+        {quote?.price && (
+          <div data-testid="commission-quote" className="bg-white rounded-lg shadow p-6 mb-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-2">Quote</h2>
+            <p className="text-2xl font-bold text-gray-900">{formatCurrency(quote.price)}</p>
+            {quote.description && <p className="text-sm text-gray-700 mt-2 whitespace-pre-line">{quote.description}</p>}
+            {quote.leadTimeDays !== undefined && quote.leadTimeDays !== null && (
+              <p className="text-sm text-gray-600 mt-2">Made within {quote.leadTimeDays} days of payment</p>
+            )}
+            {quote.validUntil && (
+              <p className={`text-sm mt-1 ${quoteExpired ? 'text-red-600' : 'text-gray-600'}`}>
+                {quoteExpired ? 'Expired' : 'Valid until'} {new Date(quote.validUntil).toLocaleDateString('en-GB')}
+              </p>
+            )}
+
+            {commission.status === 'quoted' && !quoteExpired && (
+              <div className="mt-4 flex flex-wrap gap-3">
+                <button
+                  onClick={handleAccept}
+                  disabled={actionLoading}
+                  className="px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 disabled:opacity-50"
+                >
+                  Accept Quote
+                </button>
+                <button
+                  onClick={() => setShowDeclineForm(!showDeclineForm)}
+                  disabled={actionLoading}
+                  className="px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                >
+                  Decline Quote
+                </button>
+              </div>
+            )}
+
+            {showDeclineForm && (
+              <form onSubmit={handleDecline} className="mt-4 space-y-3">
+                <label htmlFor="declineReason" className="block text-sm font-medium text-gray-700">
+                  Let us know why (optional)
+                </label>
+                <textarea
+                  id="declineReason"
+                  rows={3}
+                  maxLength={500}
+                  value={declineReason}
+                  onChange={(e) => setDeclineReason(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                />
+                <button
+                  type="submit"
+                  disabled={actionLoading}
+                  className="px-4 py-2 bg-red-600 text-white text-sm font-medium rounded-lg hover:bg-red-700 disabled:opacity-50"
+                >
+                  Confirm Decline
+                </button>
+              </form>
+            )}
+
+            {commission.status === 'accepted' && (
+              <div className="mt-4 flex flex-wrap gap-3">
+                {!inCart && (
+                  <button
+                    onClick={handleAddToCart}
+                    className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700"
+                  >
+                    Add to Cart
+                  </button>
+                )}
+                <Link
+                  to="/cart"
+                  className="px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200"
+                >
+                  Go to Cart
+                </Link>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-2">Your Brief</h2>
+          <p className="text-sm text-gray-700 whitespace-pre-line">{commission.brief}</p>
+          {commission.budget !== undefined && commission.budget !== null && (
+            <p className="text-sm text-gray-600 mt-2">Budget: {formatCurrency(commission.budget)}</p>
+          )}
+          <CommissionImages images={commission.referenceImages} label="Reference image" />
+        </div>
+
+        <CommissionThread commission={commission} viewer="customer" />
+
+        {isCommissionOpen(commission) && (
+          <form onSubmit={handleSendMessage} className="bg-white rounded-lg shadow p-6 mt-6 space-y-3">
+            <label htmlFor="message" className="block text-sm font-medium text-gray-700">
+              Send a message
+            </label>
+            <textarea
+              id="message"
+              rows={4}
+              maxLength={2000}
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+            <input
+              type="file"
+              aria-label="Attach images"
+              multiple
+              accept="image/jpeg,image/jpg,image/png,image/webp"
+              onChange={(e) => setMessageImages(Array.from(e.target.files))}
+              className="w-full text-sm text-gray-700"
+            />
+            <div className="flex justify-between">
+              {canCancel ? (
+                <button
+                  type="button"
+                  onClick={handleCancel}
+                  disabled={actionLoading}
+                  className="px-4 py-2 text-sm font-medium text-red-600 hover:text-red-800 disabled:opacity-50"
+                >
+                  Cancel Request
+                </button>
+              ) : <span />}
+              <button
+                type="submit"
+                disabled={actionLoading || !message.trim()}
+                className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                Send
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CommissionDetailsPage;
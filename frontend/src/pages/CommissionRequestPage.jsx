@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { submitCommissionRequest } from '../services/commissionService';
+
+const MAX_IMAGES = 10;
+
+const CommissionRequestPage = () => {
+  const navigate = useNavigate();
+  const { isAuthenticated } = useAuth();
+  const [formData, setFormData] = useState({ title: '', brief: '', budget: '' });
+  const [images, setImages] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    document.title = 'Request a Commission - RDJCustoms';
+  }, []);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const handleImageChange = (e) => {
+    setImages(Array.from(e.target.files));
+    setErrors(prev => ({ ...prev, images: '' }));
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.title.trim()) {
+      newErrors.title = 'Give your commission a title';
+    }
+    if (!formData.brief.trim()) {
+      newErrors.brief = 'Tell us what you would like made';
+    }
+    if (formData.budget && (isNaN(formData.budget) || parseFloat(formData.budget) < 0)) {
+      newErrors.budget = 'Budget must be a positive amount';
+    }
+    if (images.length > MAX_IMAGES) {
+      newErrors.images = `You can attach up to ${MAX_IMAGES} images`;
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError('');
+
+      const submitData = new FormData();
+      submitData.append('title', formData.title.trim());
+      submitData.append('brief', formData.brief.trim());
+      if (formData.budget) {
+        submitData.append('budget', formData.budget);
+      }
+      images.forEach(image => submitData.append('images', image));
+
+      const response = await submitCommissionRequest(submitData);
+      navigate(`/commissions/${response.data.commission._id}`);
+    } catch (err) {
+      setError(err.message || 'Failed to submit commission request');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!isAuthenticated) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 py-8">
+        <div className="text-center">
+          <h1 className="text-3xl font-bold text-gray-900 mb-4">Request a Commission</h1>
+          <p className="text-gray-600 mb-6">Please log in to request a commission.</p>
+          <Link
+            to="/login"
+            className="inline-flex items-center px-4 py-2 border border-transparent text-base font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+          >
+            Log In
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="container mx-auto px-4 py-8 max-w-3xl">
+        <nav className="breadcrumb mb-4">
+          <Link to="/commissions" className="breadcrumb-link">My Commissions</Link>
+          <span className="breadcrumb-separator">/</span>
+          <span>New Request</span>
+        </nav>
+
+        <h1 className="text-3xl font-bold text-gray-900">Request a Commission</h1>
+        <p className="text-gray-600 mt-2 mb-6">
+          Describe the piece you have in mind and attach any reference images. We&apos;ll reply with a quote.
+        </p>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 space-y-6" noValidate>
+          <div>
+            <label htmlFor="title" className="block text-sm font-medium text-gray-700 mb-2">
+              Title *
+            </label>
+            <input
+              type="text"
+              id="title"
+              name="title"
+              value={formData.title}
+              onChange={handleInputChange}
+              maxLength={120}
+              className={`w-full px-3 py-2 border rounded-md focus:ring-blue-500 focus:border-blue-500 ${errors.title ? 'border-red-500' : 'border-gray-300'}`}
+              placeholder="e.g. Painted dragon figurine"
+            />
+            {errors.title && <p className="mt-1 text-sm text-red-600">{errors.title}</p>}
+          </div>
+
+          <div>
+            <label htmlFor="brief" className="block text-sm font-medium text-gray-700 mb-2">
+              Brief *
+            </label>
+            <textarea
+              id="brief"
+              name="brief"
+              rows={8}
+              value={formData.brief}
+              onChange={handleInputChange}
+              maxLength={5000}
+              className={`w-full px-3 py-2 border rounded-md focus:ring-blue-500 focus:border-blue-500 ${errors.brief ? 'border-red-500' : 'border-gray-300'}`}
+              placeholder="Size, colours, materials, deadline and anything else we should know"
+            />
+            {errors.brief && <p className="mt-1 text-sm text-red-600">{errors.brief}</p>}
+          </div>
+
+          <div>
+            <label htmlFor="budget" className="block text-sm font-medium text-gray-700 mb-2">
+              Budget (£)
+            </label>
+            <input
+              type="number"
+              id="budget"
+              name="budget"
+              min="0"
+              step="0.01"
+              value={formData.budget}
+              onChange={handleInputChange}
+              className={`w-full px-3 py-2 border rounded-md focus:ring-blue-500 focus:border-blue-500 ${errors.budget ? 'border-red-500' : 'border-gray-300'}`}
+            />
+            {errors.budget && <p className="mt-1 text-sm text-red-600">{errors.budget}</p>}
+          </div>
+
+          <div>
+            <label htmlFor="images" className="block text-sm font-medium text-gray-700 mb-2">
+              Reference Images
+            </label>
+            <input
+              type="file"
+              id="images"
+              name="images"
+              multiple
+              accept="image/jpeg,image/jpg,image/png,image/webp"
+              onChange={handleImageChange}
+              className="w-full text-sm text-gray-700"
+            />
+            <p className="mt-1 text-sm text-gray-500">Up to {MAX_IMAGES} JPEG, PNG or WebP images, 5MB each</p>
+            {errors.images && <p className="mt-1 text-sm text-red-600">{errors.images}</p>}
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <Link
+              to="/commissions"
+              className="px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200"
+            >
+              Cancel
+            </Link>
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {submitting ? 'Sending...' : 'Send Request'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CommissionRequestPage;
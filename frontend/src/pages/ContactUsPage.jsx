@@ -1,4 +1,5 @@
 import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
 import { submitContactForm } from "../services/supportService";
 
@@ -177,6 +178,13 @@ const ContactUsPage = () => {
             Have a question or need help? We're here to assist you. Fill out the
             form below and we'll get back to you as soon as possible.
           </p>
+          <p className="text-forest-700 mb-8">
+            Looking for something custom made?{" "}
+            <Link to="/commissions/new" className="text-forest-800 font-medium underline">
+              Request a commission
+            </Link>{" "}
+            with your brief and reference images and we'll send you a quote.
+          </p>
 
           <form onSubmit={handleSubmit} className="space-y-6">
             {errors.submit && (
@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { getCryptoRefund, submitCryptoRefundAddress, formatCurrency } from '../services/paymentService';
+
+const CURRENCY_NAMES = {
+  BTC: 'Bitcoin',
+  XMR: 'Monero'
+};
+
+const RATE_BASIS_TEXT = {
+  locked: 'the exchange rate at the time of your order',
+  current: 'the exchange rate when you confirm your address'
+};
+
+const CryptoRefundAddressPage = () => {
+  const { token } = useParams();
+
+  const [refund, setRefund] = useState(null);
+  const [formData, setFormData] = useState({
+    address: '',
+    confirmAddress: ''
+  });
+  const [loading, setLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [formError, setFormError] = useState('');
+
+  // Set page title
+  useEffect(() => {
+    document.title = 'Refund Address - RDJCustoms';
+  }, []);
+
+  useEffect(() => {
+    const loadRefund = async () => {
+      try {
+        const response = await getCryptoRefund(token);
+        setRefund(response.data);
+      } catch (err) {
+        setError(err.message || 'Failed to load refund');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadRefund();
+  }, [token]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    if (formError) {
+      setFormError('');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.address.trim()) {
+      setFormError('Refund address is required');
+      return;
+    }
+
+    if (formData.address.trim() !== formData.confirmAddress.trim()) {
+      setFormError('Addresses do not match');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setFormError('');
+
+    try {
+      const response = await submitCryptoRefundAddress(token, formData);
+      setRefund(response.data);
+    } catch (err) {
+      setFormError(err.message || 'Failed to confirm refund address');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const currencyName = refund ? CURRENCY_NAMES[refund.currency] : '';
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-lg">
+        <h1 className="mt-6 text-center text-3xl font-bold text-gray-900">
+          Refund Address
+        </h1>
+        {refund && (
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Order {refund.orderNumber}
+          </p>
+        )}
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-lg">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10 space-y-6">
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-md p-4" data-testid="crypto-refund-error">
+              <div className="text-sm text-red-600">{error}</div>
+            </div>
+          )}
+
+          {refund && (
+            <>
+              <dl className="grid grid-cols-2 gap-3 text-sm">
+                <dt className="text-gray-600">Refund Amount</dt>
+                <dd className="font-medium text-gray-900 text-right">{formatCurrency(refund.amount)}</dd>
+                {refund.cryptoAmount && (
+                  <>
+                    <dt className="text-gray-600">Amount to Send</dt>
+                    <dd className="font-medium text-gray-900 text-right" data-testid="crypto-refund-amount">
+                      {refund.cryptoAmount} {refund.currency}
+                    </dd>
+                    <dt className="text-gray-600">Exchange Rate</dt>
+                    <dd className="text-gray-900 text-right">
+                      {formatCurrency(refund.exchangeRate)} per {refund.currency}
+                    </dd>
+                  </>
+                )}
+              </dl>
+
+              {refund.awaitingAddress && (
+                <form className="space-y-4" onSubmit={handleSubmit}>
+                  <p className="text-sm text-gray-600">
+                    Your refund will be sent in {currencyName} at {RATE_BASIS_TEXT[refund.rateBasis]}.
+                    Please enter the {currencyName} address you'd like to receive it at, twice to confirm it.
+                    Once confirmed, the address cannot be changed.
+                  </p>
+
+                  {formError && (
+                    <div className="bg-red-50 border border-red-200 rounded-md p-4">
+                      <div className="text-sm text-red-600">{formError}</div>
+                    </div>
+                  )}
+
+                  <div>
+                    <label htmlFor="address" className="block text-sm font-medium text-gray-700">
+                      {currencyName} Address *
+                    </label>
+                    <input
+                      id="address"
+                      name="address"
+                      type="text"
+                      autoComplete="off"
+                      spellCheck="false"
+                      disabled={isSubmitting}
+                      value={formData.address}
+                      onChange={handleInputChange}
+                      className="mt-1 appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm font-mono text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+
+                  <div>
+                    <label htmlFor="confirmAddress" className="block text-sm font-medium text-gray-700">
+                      Confirm {currencyName} Address *
+                    </label>
+                    <input
+                      id="confirmAddress"
+                      name="confirmAddress"
+                      type="text"
+                      autoComplete="off"
+                      spellCheck="false"
+                      disabled={isSubmitting}
+                      value={formData.confirmAddress}
+                      onChange={handleInputChange}
+                      onPaste={(e) => e.preventDefault()}
+                      className="mt-1 appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm font-mono text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+
+                  <button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className={`w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white ${
+                      isSubmitting ? 'bg-gray-400 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'
+                    }`}
+                  >
+                    {isSubmitting ? 'Confirming...' : 'Confirm Refund Address'}
+                  </button>
+
+                  <p className="text-xs text-gray-500">
+                    This link expires on {new Date(refund.addressRequestExpires).toLocaleDateString()}.
+                  </p>
+                </form>
+              )}
+
+              {!refund.awaitingAddress && refund.refundAddress && (
+                <div className="bg-green-50 border border-green-200 rounded-md p-4 space-y-2" data-testid="crypto-refund-confirmed">
+                  <p className="text-sm text-green-700">
+                    {refund.transactionId
+                      ? 'Your refund has been sent.'
+                      : 'Your refund address is confirmed. We\'ll email you once the refund has been sent.'}
+                  </p>
+                  <p className="text-xs text-gray-700 font-mono break-all">{refund.refundAddress}</p>
+                  {refund.transactionId && (
+                    <p className="text-xs text-gray-700 font-mono break-all">
+                      Transaction: {refund.transactionId}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {!refund.awaitingAddress && !refund.refundAddress && (
+                <div className="bg-yellow-50 border border-yellow-200 rounded-md p-4" data-testid="crypto-refund-expired">
+                  <p className="text-sm text-yellow-700">
+                    This refund link has expired. Please contact our support team for a new one.
+                  </p>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CryptoRefundAddressPage;
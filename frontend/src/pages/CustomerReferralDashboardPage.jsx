@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import {
   getReferralDashboard,
@@ -148,6 +148,14 @@ const CustomerReferralDashboardPage = () => {
         <p className="text-forest-600">
           Invite friends and earn rewards when they make their first purchase
         </p>
+        {programSettings?.rewardType === 'store_credit' && (
+          <p className="text-sm text-forest-600 mt-2">
+            Rewards are paid into your{' '}
+            <Link to="/store-credit" className="text-forest-700 underline hover:text-forest-900">
+              store credit wallet
+            </Link>
+          </p>
+        )}
       </div>
 
       {/* Messages */}
@@ -320,7 +328,7 @@ const CustomerReferralDashboardPage = () => {
                       <span className="text-forest-700 font-bold">3</span>
                     </div>
                     <h4 className="font-medium text-forest-900 mb-2">Earn Rewards</h4>
-                    <p className="text-sm text-forest-600">Get {programSettings?.rewardValue || '10'}% discount on your next order</p>
+                    <p className="text-sm text-forest-600">Get {programSettings?.rewardDescription || '10% discount on your next order'}</p>
                   </div>
                 </div>
               </div>
@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { getStoreCredit, getStoreCreditTransactionLabel } from '../services/storeCreditService';
+import { formatCurrency, formatDate } from '../utils/formatters';
+
+const PAGE_SIZE = 20;
+
+// Where a transaction came from, linked when the customer can open it
+const TransactionReference = ({ transaction }) => {
+  const { reference } = transaction;
+  if (!reference?.kind) {
+    return null;
+  }
+
+  if (reference.kind === 'Order') {
+    return (
+      <Link to={`/orders/${reference.id}`} className="text-forest-700 underline hover:text-forest-900">
+        {reference.label || 'View order'}
+      </Link>
+    );
+  }
+
+  if (reference.kind === 'ReturnRequest') {
+    return (
+      <Link to={`/my-account/returns/${reference.id}`} className="text-forest-700 underline hover:text-forest-900">
+        {reference.label || 'View return'}
+      </Link>
+    );
+  }
+
+  return <span>{reference.label}</span>;
+};
+
+const CustomerStoreCreditPage = () => {
+  const { user, isLoading: authLoading } = useAuth();
+  const navigate = useNavigate();
+
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [wallet, setWallet] = useState(null);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+
+  // Set page title
+  useEffect(() => {
+    document.title = 'Store Credit - RDJCustoms';
+  }, []);
+
+  // Redirect to login if not authenticated
+  useEffect(() => {
+    if (!authLoading && !user) {
+      navigate('/login');
+    }
+  }, [authLoading, user, navigate]);
+
+  useEffect(() => {
+    const loadWallet = async () => {
+      if (!user) return;
+
+      try {
+        setIsLoading(true);
+        setError('');
+
+        const response = await getStoreCredit({ page, limit: PAGE_SIZE });
+        setWallet(response.data);
+        setPagination(response.pagination);
+      } catch (err) {
+        setError(err.message || 'Failed to load store credit');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadWallet();
+  }, [user, page]);
+
+  if (authLoading || (isLoading && !wallet)) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex items-center justify-center min-h-96">
+          <div
+            role="status"
+            aria-label="Loading"
+            className="animate-spin rounded-full h-12 w-12 border-b-2 border-forest-700"
+          ></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error && !wallet) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="bg-red-50 border border-red-200 rounded-lg p-6 text-center">
+          <h2 className="text-xl font-semibold text-red-800 mb-2">Error Loading Store Credit</h2>
+          <p className="text-red-600">{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const transactions = wallet?.transactions || [];
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      {/* Page Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-forest-900 mb-2">Store Credit</h1>
+        <p className="text-forest-600">
+          Credit from referral rewards, refunds and goodwill gestures, ready to spend at checkout
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-6 bg-red-50 border border-red-200 rounded-lg p-4">
+          <p className="text-red-800">{error}</p>
+        </div>
+      )}
+
+      {/* Balance */}
+      <div className="bg-white rounded-lg shadow-md p-6 border border-forest-100 mb-8 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h2 className="text-sm font-medium text-forest-600 mb-2">Available Balance</h2>
+          <p className="text-4xl font-bold text-forest-900" data-testid="store-credit-balance">
+            {formatCurrency(wallet?.balance || 0)}
+          </p>
+        </div>
+        <div className="text-sm text-forest-600 md:text-right">
+          <p>Use your credit at checkout; it can cover all or part of an order.</p>
+          <Link to="/referrals" className="text-forest-700 underline hover:text-forest-900">
+            Earn more by referring friends
+          </Link>
+        </div>
+      </div>
+
+      {/* History */}
+      <div className="bg-white rounded-lg shadow-md border border-forest-100">
+        <div className="p-6 border-b border-forest-100">
+          <h2 className="text-xl font-semibold text-forest-900">History</h2>
+        </div>
+
+        {transactions.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-forest-100">
+              <thead className="bg-forest-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-forest-600 uppercase tracking-wider">Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-forest-600 uppercase tracking-wider">Description</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-forest-600 uppercase tracking-wider">Amount</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-forest-600 uppercase tracking-wider">Balance</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-forest-100">
+                {transactions.map(transaction => (
+                  <tr key={transaction._id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-forest-700">
+                      {formatDate(transaction.createdAt)}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-forest-900">
+                      <p className="font-medium">{getStoreCreditTransactionLabel(transaction.type)}</p>
+                      <p className="text-forest-600">
+                        <TransactionReference transaction={transaction} />
+                        {transaction.note && transaction.type !== 'referral_reward' && (
+                          <span className="block">{transaction.note}</span>
+                        )}
+                      </p>
+                    </td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm text-right font-medium ${
+                      transaction.amount > 0 ? 'text-green-700' : 'text-red-700'
+                    }`}>
+                      {transaction.amount > 0 ? '+' : '-'}{formatCurrency(Math.abs(transaction.amount))}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-forest-700">
+                      {formatCurrency(transaction.balanceAfter)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="text-center py-8">
+            <h3 className="text-lg font-medium text-forest-900 mb-2">No Store Credit Yet</h3>
+            <p className="text-forest-600">Credit you receive and spend will appear here</p>
+          </div>
+        )}
+
+        {pagination?.totalPages > 1 && (
+          <div className="flex items-center justify-between p-6 border-t border-forest-100 text-sm">
+            <button
+              type="button"
+              onClick={() => setPage(current => current - 1)}
+              disabled={page <= 1 || isLoading}
+              className="px-4 py-2 border border-forest-300 rounded-lg text-forest-700 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-forest-600">
+              Page {pagination.currentPage} of {pagination.totalPages}
+            </span>
+            <button
+              type="button"
+              onClick={() => setPage(current => current + 1)}
+              disabled={page >= pagination.totalPages || isLoading}
+              className="px-4 py-2 border border-forest-300 rounded-lg text-forest-700 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CustomerStoreCreditPage;
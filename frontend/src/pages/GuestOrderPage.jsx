@@ -0,0 +1,492 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useLogin } from '../contexts/AuthContext';
+import {
+  getGuestOrder,
+  getGuestOrderTracking,
+  getGuestEligibleReturnItems,
+  submitGuestReturnRequest,
+  createAccountFromGuestOrder
+} from '../services/guestOrderService';
+import { formatCurrency, formatOrderDate, getOrderStatusColor } from '../services/orderService';
+
+const RETURN_REASONS = [
+  { value: 'damaged_received', label: 'Item arrived damaged' },
+  { value: 'wrong_item_sent', label: 'Wrong item sent' },
+  { value: 'not_as_described', label: 'Not as described' },
+  { value: 'changed_mind', label: 'Changed my mind' },
+  { value: 'wrong_size', label: 'Wrong size' },
+  { value: 'quality_issues', label: 'Quality issues' },
+  { value: 'defective_item', label: 'Defective item' },
+  { value: 'other', label: 'Other reason' }
+];
+
+// Tracking for the order, loaded on demand
+const TrackingPanel = ({ token }) => {
+  const [tracking, setTracking] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleLoad = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await getGuestOrderTracking(token);
+      setTracking(response.data.tracking);
+    } catch (err) {
+      setError(err.message || 'Failed to load tracking information');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!tracking) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 mb-8">
+        <h2 className="text-xl font-semibold text-gray-800 mb-4">Tracking</h2>
+        {error && <p className="text-red-600 text-sm mb-3">{error}</p>}
+        <button
+          type="button"
+          onClick={handleLoad}
+          disabled={loading}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {loading ? 'Loading...' : 'Show Tracking'}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div data-testid="guest-order-tracking" className="bg-white rounded-lg shadow p-6 mb-8">
+      <h2 className="text-xl font-semibold text-gray-800 mb-4">Tracking</h2>
+      <p className="text-gray-700 mb-2">
+        Status: <span className="font-semibold">{tracking.currentStatus}</span>
+      </p>
+      {tracking.trackingUrl && (
+        <a
+          href={tracking.trackingUrl}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-blue-600 hover:text-blue-800 text-sm"
+        >
+          Track with {tracking.carrier}
+        </a>
+      )}
+      {tracking.trackingHistory.length > 0 && (
+        <ul className="mt-4 space-y-2">
+          {[...tracking.trackingHistory].reverse().map((event, index) => (
+            <li key={index} className="text-sm text-gray-600">
+              <span className="font-medium text-gray-800">{event.status}</span>
+              {event.location && ` - ${event.location}`}
+              {event.timestamp && ` (${formatOrderDate(event.timestamp)})`}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Return request for a delivered order
+const ReturnPanel = ({ token, onSubmitted }) => {
+  const [eligibleItems, setEligibleItems] = useState(null);
+  const [selections, setSelections] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleStart = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await getGuestEligibleReturnItems(token);
+      setEligibleItems(response.data.eligibleItems);
+    } catch (err) {
+      setError(err.message || 'Failed to load items for return');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateSelection = (productId, changes) => {
+    setSelections(prev => ({
+      ...prev,
+      [productId]: { quantity: 0, reason: '', ...prev[productId], ...changes }
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const items = Object.entries(selections)
+      .filter(([, selection]) => selection.quantity > 0)
+      .map(([productId, selection]) => ({
+        productId,
+        quantity: selection.quantity,
+        reason: selection.reason
+      }));
+
+    if (items.length === 0) {
+      setError('Choose at least one item to return');
+      return;
+    }
+
+    if (items.some(item => !item.reason)) {
+      setError('Choose a reason for each item you are returning');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await submitGuestReturnRequest(token, { items });
+      onSubmitted(response.data);
+    } catch (err) {
+      setError(err.message || 'Failed to submit return request');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!eligibleItems) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 mb-8">
+        <h2 className="text-xl font-semibold text-gray-800 mb-4">Returns</h2>
+        {error && <p className="text-red-600 text-sm mb-3">{error}</p>}
+        <button
+          type="button"
+          onClick={handleStart}
+          disabled={loading}
+          className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 disabled:opacity-50"
+        >
+          {loading ? 'Loading...' : 'Request a Return'}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 mb-8">
+      <h2 className="text-xl font-semibold text-gray-800 mb-4">Request a Return</h2>
+      <div className="space-y-4">
+        {eligibleItems.map(item => {
+          const selection = selections[item.productId] || { quantity: 0, reason: '' };
+
+          return (
+            <div key={item.productId} className="border-b border-gray-200 pb-4 last:border-b-0">
+              <p className="font-semibold text-gray-800">{item.productName}</p>
+              <div className="mt-2 flex flex-col sm:flex-row gap-3">
+                <label className="text-sm text-gray-600">
+                  Quantity to return
+                  <select
+                    value={selection.quantity}
+                    onChange={(e) => updateSelection(item.productId, { quantity: Number(e.target.value) })}
+                    className="ml-2 border border-gray-300 rounded px-2 py-1"
+                  >
+                    {Array.from({ length: item.quantity + 1 }, (_, count) => (
+                      <option key={count} value={count}>{count}</option>
+                    ))}
+                  </select>
+                </label>
+                {selection.quantity > 0 && (
+                  <label className="text-sm text-gray-600">
+                    Reason
+                    <select
+                      value={selection.reason}
+                      onChange={(e) => updateSelection(item.productId, { reason: e.target.value })}
+                      className="ml-2 border border-gray-300 rounded px-2 py-1"
+                    >
+                      <option value="">Select a reason</option>
+                      {RETURN_REASONS.map(reason => (
+                        <option key={reason.value} value={reason.value}>{reason.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      {error && <p className="text-red-600 text-sm mt-4">{error}</p>}
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="mt-4 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+      >
+        {isSubmitting ? 'Submitting...' : 'Submit Return Request'}
+      </button>
+    </form>
+  );
+};
+
+// Turn the guest order into an account; only works from the emailed link
+const CreateAccountPanel = ({ token, onCreated }) => {
+  const login = useLogin();
+  const [formData, setFormData] = useState({
+    firstName: '',
+    lastName: '',
+    password: '',
+    confirmPassword: ''
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await createAccountFromGuestOrder(token, formData);
+      login(response.data.user);
+      onCreated(response.message);
+    } catch (err) {
+      setError(err.message || 'Failed to create account');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-blue-50 border border-blue-200 rounded-lg p-6 mb-8">
+      <h2 className="text-lg font-semibold text-blue-800 mb-2">Create an Account</h2>
+      <p className="text-blue-700 text-sm mb-4">
+        Set a password to keep this order, and any other orders placed with this email address, in one place.
+      </p>
+      <div className="grid sm:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="firstName" className="block text-sm font-medium text-gray-700 mb-1">First Name</label>
+          <input
+            id="firstName"
+            name="firstName"
+            value={formData.firstName}
+            onChange={handleInputChange}
+            required
+            className="w-full border border-gray-300 rounded px-3 py-2"
+          />
+        </div>
+        <div>
+          <label htmlFor="lastName" className="block text-sm font-medium text-gray-700 mb-1">Last Name</label>
+          <input
+            id="lastName"
+            name="lastName"
+            value={formData.lastName}
+            onChange={handleInputChange}
+            required
+            className="w-full border border-gray-300 rounded px-3 py-2"
+          />
+        </div>
+        <div>
+          <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+          <input
+            id="password"
+            name="password"
+            type="password"
+            value={formData.password}
+            onChange={handleInputChange}
+            required
+            className="w-full border border-gray-300 rounded px-3 py-2"
+          />
+        </div>
+        <div>
+          <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-1">Confirm Password</label>
+          <input
+            id="confirmPassword"
+            name="confirmPassword"
+            type="password"
+            value={formData.confirmPassword}
+            onChange={handleInputChange}
+            required
+            className="w-full border border-gray-300 rounded px-3 py-2"
+          />
+        </div>
+      </div>
+      {error && <p className="text-red-600 text-sm mt-4">{error}</p>}
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="mt-4 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+      >
+        {isSubmitting ? 'Creating Account...' : 'Create Account'}
+      </button>
+    </form>
+  );
+};
+
+const GuestOrderPage = () => {
+  const { token } = useParams();
+
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [returnRequest, setReturnRequest] = useState(null);
+  const [accountMessage, setAccountMessage] = useState('');
+
+  useEffect(() => {
+    document.title = 'Your Order - RDJCustoms';
+  }, []);
+
+  useEffect(() => {
+    const loadOrder = async () => {
+      try {
+        const response = await getGuestOrder(token);
+        setOrder(response.data.order);
+      } catch (err) {
+        setError(err.message || 'Failed to load order');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadOrder();
+  }, [token]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mb-4"></div>
+          <p className="text-gray-600">Loading order details...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !order) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center max-w-md mx-auto px-6">
+          <h1 className="text-2xl font-semibold text-gray-800 mb-4">Order Not Found</h1>
+          <p className="text-gray-600 mb-6">
+            {error || 'The order you are looking for could not be found.'}
+          </p>
+          <Link
+            to="/order-lookup"
+            className="inline-flex items-center px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Email Me a New Link
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const canReturn = order.status === 'delivered';
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="container mx-auto px-4 max-w-4xl">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">Order #{order.orderNumber}</h1>
+          <div className="flex items-center gap-3">
+            <span className={`px-3 py-1 rounded-full text-sm font-semibold ${getOrderStatusColor(order.status)}`}>
+              {order.statusDisplay || order.status}
+            </span>
+            <span className="text-gray-600">Placed {formatOrderDate(order.orderDate)}</span>
+          </div>
+        </div>
+
+        {accountMessage && (
+          <div data-testid="guest-account-created" className="bg-green-50 border border-green-200 rounded-lg p-4 mb-8">
+            <p className="text-green-800">{accountMessage}</p>
+            <Link to="/orders" className="text-green-700 font-medium hover:text-green-900">
+              Go to My Orders
+            </Link>
+          </div>
+        )}
+
+        {!order.hasAccount && !accountMessage && (
+          <CreateAccountPanel token={token} onCreated={setAccountMessage} />
+        )}
+
+        <div className="grid lg:grid-cols-2 gap-8 mb-8">
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-xl font-semibold text-gray-800 mb-4">Order Summary</h2>
+            <div className="space-y-2">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Subtotal:</span>
+                <span>{formatCurrency(order.subtotal)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Shipping:</span>
+                <span>{formatCurrency(order.shipping)}</span>
+              </div>
+              {order.tax > 0 && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Tax:</span>
+                  <span>{formatCurrency(order.tax)}</span>
+                </div>
+              )}
+              <div className="border-t pt-2 flex justify-between text-lg font-semibold">
+                <span>Total:</span>
+                <span data-testid="order-total">{formatCurrency(order.totalAmount)}</span>
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-xl font-semibold text-gray-800 mb-4">Shipping Address</h2>
+            <div className="text-sm text-gray-600">
+              <div className="font-semibold text-gray-800">{order.shippingAddress.fullName}</div>
+              <div>{order.shippingAddress.addressLine1}</div>
+              {order.shippingAddress.addressLine2 && (
+                <div>{order.shippingAddress.addressLine2}</div>
+              )}
+              <div>
+                {order.shippingAddress.city}, {order.shippingAddress.stateProvince} {order.shippingAddress.postalCode}
+              </div>
+              <div>{order.shippingAddress.country}</div>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-6 mb-8">
+          <h2 className="text-xl font-semibold text-gray-800 mb-4">Items</h2>
+          <div className="space-y-4">
+            {order.items.map(item => (
+              <div key={item._id || item.productId} className="flex justify-between pb-4 border-b border-gray-200 last:border-b-0">
+                <div>
+                  <h3 className="font-semibold text-gray-800">{item.productName}</h3>
+                  <p className="text-sm text-gray-600">
+                    Quantity: {item.quantity} × {formatCurrency(item.unitPrice)}
+                  </p>
+                </div>
+                <span className="font-semibold text-gray-800">{formatCurrency(item.totalPrice)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {order.trackingNumber && <TrackingPanel token={token} />}
+
+        {returnRequest ? (
+          <div data-testid="guest-return-submitted" className="bg-green-50 border border-green-200 rounded-lg p-4 mb-8">
+            <p className="text-green-800">
+              Return request {returnRequest.formattedRequestNumber} submitted. We&apos;ll email you with next steps.
+            </p>
+          </div>
+        ) : canReturn && (
+          <ReturnPanel token={token} onSubmitted={setReturnRequest} />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GuestOrderPage;
@@ -270,6 +270,15 @@ const LoginPage = () => {
                 Create Account
               </Link>
             </div>
+            <div className="mt-2 text-center text-sm text-forest-600">
+              Ordered as a guest?{' '}
+              <Link
+                to="/order-lookup"
+                className="font-medium text-forest-600 hover:text-forest-700 transition-colors"
+              >
+                Find your order
+              </Link>
+            </div>
           </div>
         </div>
       </div>
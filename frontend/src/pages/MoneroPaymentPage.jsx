@@ -1,11 +1,13 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useParams, useNavigate, useLocation, Link } from 'react-router-dom';
 import { ArrowLeftIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
 import MoneroPayment from '../components/checkout/MoneroPayment';
 
 const MoneroPaymentPage = () => {
   const { orderId } = useParams();
   const navigate = useNavigate();
+  // Guests arrive from checkout with the link to their order
+  const guestOrderToken = useLocation().state?.guestOrderToken;
   const [paymentStatus, setPaymentStatus] = useState('pending');
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -58,7 +60,7 @@ const MoneroPaymentPage = () => {
     // If payment is completed, redirect to order confirmation after a delay
     if (statusData.status === 'confirmed') {
       setTimeout(() => {
-        navigate(`/order-confirmation/${orderId}`);
+        navigate(guestOrderToken ? `/guest-orders/${guestOrderToken}` : `/order-confirmation/${orderId}`);
       }, 3000);
     }
   };
@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { getMyCommissionRequests, formatCommissionStatus, getCommissionStatusColorClass } from '../services/commissionService';
+import { formatCurrency } from '../services/orderService';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const MyCommissionsPage = () => {
+  const { isAuthenticated } = useAuth();
+  const [commissions, setCommissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [pagination, setPagination] = useState({});
+  const [currentPage, setCurrentPage] = useState(1);
+
+  useEffect(() => {
+    document.title = 'My Commissions - RDJCustoms';
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadCommissions();
+    }
+  }, [currentPage, isAuthenticated]);
+
+  const loadCommissions = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await getMyCommissionRequests({ page: currentPage, limit: 10 });
+      setCommissions(response.data.commissions);
+      setPagination(response.pagination);
+    } catch (err) {
+      setError(err.message || 'Failed to load commission requests');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!isAuthenticated) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 py-8">
+        <div className="text-center">
+          <h1 className="text-3xl font-bold text-gray-900 mb-4">My Commissions</h1>
+          <p className="text-gray-600 mb-6">Please log in to view your commission requests.</p>
+          <Link
+            to="/login"
+            className="inline-flex items-center px-4 py-2 border border-transparent text-base font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+          >
+            Log In
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (loading && currentPage === 1) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <div className="container mx-auto px-4 py-8">
+          <LoadingSpinner />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="container mx-auto px-4 py-8">
+        <div className="mb-8 flex flex-col sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">My Commissions</h1>
+            <p className="text-gray-600 mt-2">Custom pieces you&apos;ve asked us to make</p>
+          </div>
+          <Link
+            to="/commissions/new"
+            className="mt-4 sm:mt-0 inline-flex items-center justify-center px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700"
+          >
+            Request a Commission
+          </Link>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        )}
+
+        {!loading && commissions.length === 0 ? (
+          <div className="bg-white rounded-lg shadow text-center py-16">
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4">No Commission Requests</h2>
+            <p className="text-gray-600">You haven&apos;t asked us to make anything yet.</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {commissions.map((commission) => (
+              <div key={commission._id} data-testid="commission-row" className="bg-white rounded-lg shadow p-6">
+                <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between">
+                  <div className="flex-1">
+                    <div className="flex flex-col sm:flex-row sm:items-center gap-2 mb-2">
+                      <h3 className="text-lg font-semibold text-gray-900">{commission.title}</h3>
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${getCommissionStatusColorClass(commission.status)}`}>
+                        {formatCommissionStatus(commission.status)}
+                      </span>
+                    </div>
+                    <div className="text-sm text-gray-600 space-y-1">
+                      <p>
+                        <span className="font-medium">Request:</span> {commission.requestNumber}
+                      </p>
+                      <p>
+                        <span className="font-medium">Submitted:</span> {new Date(commission.createdAt).toLocaleDateString('en-GB')}
+                      </p>
+                      {commission.quote?.price && (
+                        <p>
+                          <span className="font-medium">Quote:</span> {formatCurrency(commission.quote.price)}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                  <Link
+                    to={`/commissions/${commission._id}`}
+                    className="mt-4 lg:mt-0 lg:ml-6 inline-flex items-center justify-center px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700"
+                  >
+                    View Details
+                  </Link>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {pagination.totalPages > 1 && (
+          <div className="mt-8 flex justify-center items-center space-x-2">
+            <button
+              onClick={() => setCurrentPage(currentPage - 1)}
+              disabled={currentPage === 1}
+              className="px-3 py-2 rounded-lg text-sm font-medium bg-white text-gray-700 border border-gray-300 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">
+              Page {pagination.currentPage} of {pagination.totalPages}
+            </span>
+            <button
+              onClick={() => setCurrentPage(currentPage + 1)}
+              disabled={currentPage === pagination.totalPages}
+              className="px-3 py-2 rounded-lg text-sm font-medium bg-white text-gray-700 border border-gray-300 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MyCommissionsPage;
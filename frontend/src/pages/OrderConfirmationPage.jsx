@@ -2,9 +2,11 @@ import React, { useEffect, useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { CheckCircleIcon, ShoppingBagIcon, EnvelopeIcon } from '@heroicons/react/24/outline';
 import { getUserOrderDetails, formatCurrency, formatOrderDate } from '../services/orderService';
+import { useCurrency } from '../contexts/CurrencyContext';
 
 const OrderConfirmationPage = () => {
   const { orderId } = useParams();
+  const { formatAmount } = useCurrency();
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -224,6 +226,12 @@ const OrderConfirmationPage = () => {
                   <span>Total:</span>
                   <span>{formatCurrency(order.totalAmount)}</span>
                 </div>
+                {order.currency && order.currency !== 'GBP' && order.presentment && (
+                  <div className="flex justify-between text-sm text-gray-600 mt-1" data-testid="order-presentment-total">
+                    <span>Total in {order.currency}:</span>
+                    <span>{formatAmount(order.presentment.totalAmount, order.currency)}</span>
+                  </div>
+                )}
               </div>
             </div>
           </div>
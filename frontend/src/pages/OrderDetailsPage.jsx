@@ -3,9 +3,12 @@ import { useParams, Link } from 'react-router-dom';
 import { getUserOrderDetails, formatCurrency, cancelOrder } from '../services/orderService';
 import { getUserReturnRequests, formatReturnStatus, getReturnStatusColorClass } from '../services/returnService';
 import OrderStatusTimeline from '../components/OrderStatusTimeline';
+import { formatAvailability, formatDate } from '../utils/formatters';
+import { useCurrency } from '../contexts/CurrencyContext';
 
 const OrderDetailsPage = () => {
   const { orderId } = useParams();
+  const { formatAmount } = useCurrency();
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -243,6 +246,11 @@ const OrderDetailsPage = () => {
                         <div className="order-item-quantity mt-1">
                           Quantity: {item.quantity}
                         </div>
+                        {formatAvailability(item.availabilityMode) && (
+                          <div className="text-sm text-amber-700 mt-1">
+                            {formatAvailability(item.availabilityMode, item.expectedShipDate)}
+                          </div>
+                        )}
                       </div>
                       <div className="order-item-price">
                         <div className="order-item-total">
@@ -499,6 +507,46 @@ const OrderDetailsPage = () => {
                     <span className="order-summary-value">{formatCurrency(order.totalAmount)}</span>
                   </div>
                 </div>
+                {order.currency && order.currency !== 'GBP' && order.presentment && (
+                  <div className="order-summary-line" data-testid="order-presentment-total">
+                    <span className="order-summary-label">Total in {order.currency}</span>
+                    <span className="order-summary-value">
+                      {formatAmount(order.presentment.totalAmount, order.currency)}
+                    </span>
+                  </div>
+                )}
+                {order.giftCardAmount > 0 && (
+                  <div className="order-summary-line" data-testid="order-gift-card-amount">
+                    <span className="order-summary-label">Paid by gift card</span>
+                    <span className="order-summary-value">{formatCurrency(order.giftCardAmount)}</span>
+                  </div>
+                )}
+                {order.storeCreditAmount > 0 && (
+                  <div className="order-summary-line" data-testid="order-store-credit-amount">
+                    <span className="order-summary-label">Paid with store credit</span>
+                    <span className="order-summary-value">{formatCurrency(order.storeCreditAmount)}</span>
+                  </div>
+                )}
+                {order.balanceDue > 0 && (
+                  <>
+                    <div className="order-summary-line">
+                      <span className="order-summary-label">Paid at checkout</span>
+                      <span className="order-summary-value">{formatCurrency(order.totalAmount - order.balanceDue)}</span>
+                    </div>
+                    <div className="order-summary-line" data-testid="order-balance-due">
+                      <span className="order-summary-label">
+                        {order.balancePaidAt ? 'Balance paid' : 'Balance due before shipping'}
+                      </span>
+                      <span className="order-summary-value">{formatCurrency(order.balanceDue)}</span>
+                    </div>
+                  </>
+                )}
+                {order.estimatedDeliveryDate && (
+                  <div className="order-summary-line">
+                    <span className="order-summary-label">Estimated delivery</span>
+                    <span className="order-summary-value">{formatDate(order.estimatedDeliveryDate)}</span>
+                  </div>
+                )}
               </div>
             </div>
 
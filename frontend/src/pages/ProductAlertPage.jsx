@@ -0,0 +1,103 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { confirmProductAlert, unsubscribeFromProductAlert } from '../services/productAlertService';
+
+const ALERT_DESCRIPTIONS = {
+  back_in_stock: 'when it is back in stock',
+  price_drop: 'if its price drops'
+};
+
+const ACTIONS = {
+  confirm: {
+    title: 'Confirm Alert',
+    request: confirmProductAlert,
+    describe: (product, type) => `We'll email you about ${product} ${ALERT_DESCRIPTIONS[type]}.`
+  },
+  unsubscribe: {
+    title: 'Unsubscribe',
+    request: unsubscribeFromProductAlert,
+    describe: (product, type) => `You won't get any more emails about ${product} ${ALERT_DESCRIPTIONS[type]}.`
+  }
+};
+
+// Landing page for the confirm and one-click unsubscribe links in product alert emails
+const ProductAlertPage = ({ action }) => {
+  const { token } = useParams();
+  const { title, request, describe } = ACTIONS[action];
+
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // Each link works once, so it must only be sent once
+  const sentToken = useRef(null);
+
+  useEffect(() => {
+    document.title = `${title} - RDJCustoms`;
+  }, [title]);
+
+  useEffect(() => {
+    if (sentToken.current === token) return;
+    sentToken.current = token;
+
+    const submit = async () => {
+      try {
+        const response = await request(token);
+        setResult(response);
+      } catch (err) {
+        setError(err.message || 'This link is not valid');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    submit();
+  }, [token, request]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const alert = result?.data?.alert;
+  const productName = alert?.product?.name || 'this product';
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-lg">
+        <h1 className="mt-6 text-center text-3xl font-bold text-gray-900">{title}</h1>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-lg">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10 space-y-4">
+          {error ? (
+            <div className="bg-red-50 border border-red-200 rounded-md p-4" data-testid="product-alert-error">
+              <div className="text-sm text-red-600">{error}</div>
+            </div>
+          ) : (
+            <div data-testid="product-alert-result">
+              <p className="text-lg font-medium text-gray-900">{result?.message}</p>
+              {alert && (
+                <p className="mt-2 text-sm text-gray-600">{describe(productName, alert.type)}</p>
+              )}
+            </div>
+          )}
+
+          {alert?.product?.slug ? (
+            <Link to={`/products/${alert.product.slug}`} className="inline-block text-sm text-blue-600 hover:text-blue-500">
+              View {productName}
+            </Link>
+          ) : (
+            <Link to="/products" className="inline-block text-sm text-blue-600 hover:text-blue-500">
+              Browse products
+            </Link>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProductAlertPage;
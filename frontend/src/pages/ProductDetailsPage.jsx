@@ -1,14 +1,54 @@
 import { useParams, Link } from 'react-router-dom';
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
 import useProductDetails from '../hooks/useProductDetails';
 import ImageGallery from '../components/ImageGallery';
 import AddToCartButton from '../components/AddToCartButton';
+import ProductAlertForm from '../components/ProductAlertForm';
+import GiftCardRecipientForm from '../components/GiftCardRecipientForm';
 import { useCart } from '../contexts/CartContext';
+import { useCurrency } from '../contexts/CurrencyContext';
 
 const ProductDetailsPage = () => {
   const { slug } = useParams();
   const { product, loading, error, refetch } = useProductDetails(slug);
   const { addToCart } = useCart();
+  const { formatPrice } = useCurrency();
+  const [selectedOptions, setSelectedOptions] = useState({});
+  const [giftCardRecipient, setGiftCardRecipient] = useState({});
+  const [giftCardError, setGiftCardError] = useState('');
+
+  // Reset option choices when navigating to another product
+  useEffect(() => {
+    setSelectedOptions({});
+    setGiftCardRecipient({});
+    setGiftCardError('');
+  }, [slug]);
+
+  const productOptions = product?.options || [];
+  const hasVariants = (product?.variants || []).length > 0;
+  const isMadeOnDemand = product?.availabilityMode === 'preorder' || product?.availabilityMode === 'made_to_order';
+  const isGiftCard = product?.availabilityMode === 'gift_card';
+  const allOptionsSelected = productOptions.every(option => selectedOptions[option.name]);
+  const selectedVariant = hasVariants && allOptionsSelected
+    ? product.variants.find(variant =>
+      variant.options.every(option => selectedOptions[option.name] === option.value)
+    ) || null
+    : null;
+
+  // Option values that exist in at least one variant given the other choices
+  const isOptionValueAvailable = (optionName, value) => {
+    return product.variants.some(variant =>
+      variant.options.every(option =>
+        option.name === optionName
+          ? option.value === value
+          : !selectedOptions[option.name] || selectedOptions[option.name] === option.value
+      )
+    );
+  };
+
+  const handleOptionChange = (optionName, value) => {
+    setSelectedOptions(prev => ({ ...prev, [optionName]: value }));
+  };
 
   // Set page title when product loads
   useEffect(() => {
@@ -27,12 +67,25 @@ const ProductDetailsPage = () => {
       return;
     }
     
+    if (isGiftCard) {
+      if (!giftCardRecipient.recipientEmail?.trim()) {
+        setGiftCardError('Please enter the recipient\'s email address');
+        return;
+      }
+      setGiftCardError('');
+    }
+
     try {
-      const result = await addToCart(productId, quantity);
+      const result = isGiftCard
+        ? await addToCart(productId, quantity, null, giftCardRecipient)
+        : await addToCart(productId, quantity, selectedVariant?._id || null);
       if (result.success) {
         console.log('Product added to cart successfully:', result.addedItem);
       } else {
         console.error('Failed to add to cart:', result.error);
+        if (isGiftCard) {
+          setGiftCardError(result.error);
+        }
       }
     } catch (error) {
       console.error('Error adding to cart:', error);
@@ -56,10 +109,6 @@ const ProductDetailsPage = () => {
     }
   };
 
-  const formatPrice = (price) => {
-    return `£${price.toFixed(2)}`;
-  };
-
   if (loading) {
     return (
       <main className="container mx-auto px-4 py-8">
@@ -115,6 +164,12 @@ const ProductDetailsPage = () => {
     );
   }
 
+  // Variants with their own price have no overrides and are converted
+  const displayPrice = formatPrice(
+    selectedVariant?.price ?? product.price,
+    (selectedVariant || product).priceOverrides
+  );
+
   return (
     <main className="container mx-auto px-4 py-8">
       {/* Breadcrumb Navigation */}
@@ -166,7 +221,7 @@ const ProductDetailsPage = () => {
           data-testid="image-section"
         >
           <ImageGallery 
-            images={product.images || []} 
+            images={selectedVariant?.images?.length > 0 ? selectedVariant.images : (product.images || [])} 
             alt={`${product.name} product images`}
           />
         </div>
@@ -201,9 +256,9 @@ const ProductDetailsPage = () => {
             <div className="flex items-center gap-4 mb-6">
               <span 
                 className="text-3xl font-bold text-blue-600"
-                aria-label={`Price: ${formatPrice(product.price)}`}
+                aria-label={`Price: ${displayPrice}`}
               >
-                {formatPrice(product.price)}
+                {displayPrice}
               </span>
               
               {product.category && (
@@ -214,16 +269,87 @@ const ProductDetailsPage = () => {
             </div>
           </div>
 
+          {/* Product Options */}
+          {hasVariants && productOptions.length > 0 && (
+            <div className="border-t border-gray-200 pt-6 space-y-4" data-testid="product-options">
+              {productOptions.map(option => (
+                <div key={option.name}>
+                  <label
+                    htmlFor={`option-${option.name}`}
+                    className="block text-sm font-medium text-gray-700 mb-1"
+                  >
+                    {option.name}
+                  </label>
+                  <select
+                    id={`option-${option.name}`}
+                    value={selectedOptions[option.name] || ''}
+                    onChange={(e) => handleOptionChange(option.name, e.target.value)}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">Select {option.name}</option>
+                    {option.values.map(value => (
+                      <option
+                        key={value}
+                        value={value}
+                        disabled={!isOptionValueAvailable(option.name, value)}
+                      >
+                        {value}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+              {allOptionsSelected && !selectedVariant && (
+                <p className="text-sm text-red-600">This combination is not available.</p>
+              )}
+            </div>
+          )}
+
           {/* Add to Cart Section */}
           {product._id && (
             <div className="border-t border-gray-200 pt-6">
-              <AddToCartButton
-                productId={product._id}
-                stockStatus={product.stockStatus}
-                stockQuantity={product.stockQuantity}
-                onAddToCart={handleAddToCart}
-                showQuantitySelector={true}
-              />
+              {isGiftCard && (
+                <div className="mb-6">
+                  <GiftCardRecipientForm
+                    value={giftCardRecipient}
+                    onChange={setGiftCardRecipient}
+                    error={giftCardError}
+                  />
+                </div>
+              )}
+              {hasVariants && !selectedVariant ? (
+                <p className="text-sm text-gray-600" data-testid="select-options-message">
+                  Please select {productOptions.map(option => option.name.toLowerCase()).join(' and ')} to add this item to your cart.
+                </p>
+              ) : (
+                <AddToCartButton
+                  key={selectedVariant?._id || product._id}
+                  productId={product._id}
+                  stockStatus={selectedVariant
+                    ? (selectedVariant.stockQuantity > 0 ? 'in_stock' : 'out_of_stock')
+                    : product.stockStatus}
+                  stockQuantity={selectedVariant ? selectedVariant.stockQuantity : product.stockQuantity}
+                  availableStock={selectedVariant ? selectedVariant.availableStock : product.availableStock}
+                  availabilityMode={product.availabilityMode}
+                  expectedShipDate={product.expectedShipDate}
+                  onAddToCart={handleAddToCart}
+                  showQuantitySelector={true}
+                />
+              )}
+              {selectedVariant?.sku && (
+                <p className="text-xs text-gray-500 mt-2">SKU: {selectedVariant.sku}</p>
+              )}
+              {isMadeOnDemand && product.depositPercent > 0 && product.depositPercent < 100 && (
+                <p className="text-sm text-gray-600 mt-2" data-testid="deposit-message">
+                  Pay a {product.depositPercent}% deposit by card or PayPal today and the balance before it ships.
+                </p>
+              )}
+              {!isGiftCard && (
+                <ProductAlertForm
+                  productId={product._id}
+                  inStock={isMadeOnDemand || (product.stockQuantity > 0 && product.stockStatus !== 'out_of_stock')}
+                />
+              )}
             </div>
           )}
 
@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { retryExpiredOrder } from '../services/orderService';
+import { useCart } from '../contexts/CartContext';
+
+const RetryCheckoutPage = () => {
+  const { orderId } = useParams();
+  const { refreshCart } = useCart();
+
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Set page title
+  useEffect(() => {
+    document.title = 'Retry Checkout - RDJCustoms';
+  }, []);
+
+  useEffect(() => {
+    const restoreItems = async () => {
+      try {
+        const response = await retryExpiredOrder(orderId);
+        setResult(response.data);
+        refreshCart();
+      } catch (err) {
+        setError(err.message || 'Failed to restore order items');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    restoreItems();
+  }, [orderId]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-lg">
+        <h1 className="mt-6 text-center text-3xl font-bold text-gray-900">
+          Retry Checkout
+        </h1>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-lg">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10 space-y-6">
+          {error && (
+            <>
+              <div className="bg-red-50 border border-red-200 rounded-md p-4" data-testid="retry-checkout-error">
+                <div className="text-sm text-red-600">{error}</div>
+              </div>
+              <p className="text-sm text-gray-600">
+                Please make sure you're signed in to the account you placed the order with.
+              </p>
+              <div className="flex justify-center space-x-4">
+                <Link to="/login" className="text-blue-600 hover:text-blue-800 text-sm font-medium">
+                  Sign In
+                </Link>
+                <Link to="/orders" className="text-blue-600 hover:text-blue-800 text-sm font-medium">
+                  My Orders
+                </Link>
+              </div>
+            </>
+          )}
+
+          {result && (
+            <>
+              <p className="text-sm text-gray-600">
+                {result.cart.itemCount > 0
+                  ? 'The items from your expired order are back in your cart.'
+                  : 'None of the items from your expired order are available any more.'}
+              </p>
+
+              {result.unavailableItems.length > 0 && (
+                <div className="bg-yellow-50 border border-yellow-200 rounded-md p-4" data-testid="retry-checkout-unavailable">
+                  <p className="text-sm text-yellow-700">
+                    These items are no longer available in the quantity you ordered and were not added:
+                  </p>
+                  <ul className="mt-2 list-disc list-inside text-sm text-yellow-700">
+                    {result.unavailableItems.map(name => (
+                      <li key={name}>{name}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <Link
+                to="/cart"
+                className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+              >
+                Go to Cart
+              </Link>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RetryCheckoutPage;
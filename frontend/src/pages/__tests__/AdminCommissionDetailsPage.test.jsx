@@ -0,0 +1,132 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { vi } from 'vitest';
+import AdminCommissionDetailsPage from '../AdminCommissionDetailsPage';
+import * as adminService from '../../services/adminService';
+
+// Mock the admin service
+vi.mock('../../services/adminService', () => ({
+  getCommissionRequest: vi.fn(),
+  replyToCommissionRequest: vi.fn(),
+  quoteCommissionRequest: vi.fn(),
+  rejectCommissionRequest: vi.fn(),
+  formatCurrency: (amount) => `£${Number(amount).toFixed(2)}`
+}));
+
+const commission = {
+  _id: 'commission1',
+  requestNumber: 'COM-12345678-001',
+  title: 'Dragon figurine',
+  brief: 'A green dragon on a rock',
+  budget: 120,
+  customerName: 'Jo Bloggs',
+  customerEmail: 'jo@example.com',
+  status: 'submitted',
+  referenceImages: [],
+  messages: [
+    { _id: 'm1', author: 'customer', body: 'Any size works', images: [], createdAt: '2026-10-01T10:00:00Z' }
+  ],
+  statusHistory: [
+    { status: 'submitted', timestamp: '2026-10-01T09:00:00Z', note: 'Request submitted' }
+  ]
+};
+
+const renderComponent = () => {
+  return render(
+    <MemoryRouter initialEntries={['/admin/commissions/commission1']}>
+      <Routes>
+        <Route path="/admin/commissions/:commissionId" element={<AdminCommissionDetailsPage />} />
+      </Routes>
+    </MemoryRouter>
+  );
+};
+
+describe('AdminCommissionDetailsPage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    adminService.getCommissionRequest.mockResolvedValue({
+      success: true,
+      data: { commission }
+    });
+  });
+
+  it('shows the request with the customer\'s messages', async () => {
+    renderComponent();
+
+    expect(await screen.findByText('Dragon figurine')).toBeInTheDocument();
+    expect(screen.getByText('COM-12345678-001 from Jo Bloggs (jo@example.com)')).toBeInTheDocument();
+    expect(screen.getByText('Budget: £120.00')).toBeInTheDocument();
+    expect(screen.getByText('Jo Bloggs')).toBeInTheDocument();
+    expect(screen.getByText('Any size works')).toBeInTheDocument();
+  });
+
+  it('sends a quote', async () => {
+    adminService.quoteCommissionRequest.mockResolvedValue({
+      success: true,
+      message: 'Quote sent',
+      data: { commission: { ...commission, status: 'quoted', quote: { price: 150, description: '20cm tall' } } }
+    });
+
+    renderComponent();
+
+    fireEvent.change(await screen.findByLabelText('Price (£) *'), { target: { value: '150' } });
+    fireEvent.change(screen.getByLabelText('Lead time (days)'), { target: { value: '21' } });
+    fireEvent.change(screen.getByLabelText('What the quote covers'), { target: { value: '20cm tall' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Send Quote' }));
+
+    expect(await screen.findByText('Quote sent')).toBeInTheDocument();
+    expect(adminService.quoteCommissionRequest).toHaveBeenCalledWith('commission1', {
+      price: 150,
+      description: '20cm tall',
+      leadTimeDays: 21
+    });
+    expect(screen.getByTestId('admin-commission-quote')).toHaveTextContent('£150.00');
+    expect(screen.getByText('Revise Quote')).toBeInTheDocument();
+  });
+
+  it('does not send a quote without a price', async () => {
+    renderComponent();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Send Quote' }));
+
+    expect(await screen.findByText('Quoted price must be greater than zero')).toBeInTheDocument();
+    expect(adminService.quoteCommissionRequest).not.toHaveBeenCalled();
+  });
+
+  it('replies to the customer', async () => {
+    adminService.replyToCommissionRequest.mockResolvedValue({
+      success: true,
+      message: 'Reply sent',
+      data: { commission }
+    });
+
+    renderComponent();
+
+    fireEvent.change(await screen.findByLabelText('Reply to customer'), { target: { value: 'What size?' } });
+    fireEvent.click(screen.getByText('Send Reply'));
+
+    expect(await screen.findByText('Reply sent')).toBeInTheDocument();
+    const [id, formData] = adminService.replyToCommissionRequest.mock.calls[0];
+    expect(id).toBe('commission1');
+    expect(formData.get('message')).toBe('What size?');
+  });
+
+  it('turns the request down with a reason', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    adminService.rejectCommissionRequest.mockResolvedValue({
+      success: true,
+      message: 'Commission request turned down',
+      data: { commission: { ...commission, status: 'rejected' } }
+    });
+
+    renderComponent();
+
+    fireEvent.change(await screen.findByLabelText('Turn down request'), { target: { value: 'Outside what we make' } });
+    fireEvent.click(screen.getByText('Turn Down'));
+
+    expect(await screen.findByText('Commission request turned down')).toBeInTheDocument();
+    expect(adminService.rejectCommissionRequest).toHaveBeenCalledWith('commission1', 'Outside what we make');
+    await waitFor(() => expect(screen.queryByLabelText('Reply to customer')).not.toBeInTheDocument());
+  });
+});
@@ -0,0 +1,129 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import { vi } from 'vitest';
+import AdminGiftCardsPage from '../AdminGiftCardsPage';
+import * as adminService from '../../services/adminService';
+
+// Mock the admin service
+vi.mock('../../services/adminService', () => ({
+  getGiftCards: vi.fn(),
+  lookupGiftCard: vi.fn(),
+  issueGiftCard: vi.fn(),
+  voidGiftCard: vi.fn(),
+  formatCurrency: (amount) => `£${Number(amount).toFixed(2)}`
+}));
+
+const boughtCard = {
+  _id: 'card-1',
+  code: 'GCABCD1234EFGH',
+  initialValue: 50,
+  balance: 20,
+  status: 'active',
+  source: 'purchase',
+  createdAt: '2026-09-01T10:00:00Z',
+  delivery: { recipientName: 'Sam', recipientEmail: 'sam@example.com', deliveryDate: null },
+  deliveredAt: '2026-09-01T10:05:00Z'
+};
+
+const voidedCard = {
+  _id: 'card-2',
+  code: 'GCWXYZ9876STUV',
+  initialValue: 25,
+  balance: 0,
+  status: 'voided',
+  source: 'admin',
+  createdAt: '2026-09-02T10:00:00Z',
+  delivery: null
+};
+
+const renderComponent = () => {
+  return render(
+    <BrowserRouter>
+      <AdminGiftCardsPage />
+    </BrowserRouter>
+  );
+};
+
+describe('AdminGiftCardsPage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    adminService.getGiftCards.mockResolvedValue({
+      success: true,
+      data: { giftCards: [boughtCard, voidedCard] },
+      pagination: { currentPage: 1, totalPages: 1, totalItems: 2, itemsPerPage: 20 }
+    });
+  });
+
+  it('lists gift cards with their balance, recipient and status', async () => {
+    renderComponent();
+
+    expect(await screen.findByText('GCABCD1234EFGH')).toBeInTheDocument();
+    expect(screen.getAllByTestId('gift-card-row')).toHaveLength(2);
+    expect(screen.getByText('£20.00')).toBeInTheDocument();
+    expect(screen.getByText('sam@example.com')).toBeInTheDocument();
+    expect(screen.getByText('Not emailed')).toBeInTheDocument();
+    expect(within(screen.getAllByTestId('gift-card-row')[1]).getByText('Voided')).toBeInTheDocument();
+    expect(screen.getAllByText('Void')).toHaveLength(1);
+    expect(adminService.getGiftCards).toHaveBeenCalledWith(1, 20, { status: '', search: '' });
+  });
+
+  it('issues a gift card to a recipient', async () => {
+    adminService.issueGiftCard.mockResolvedValue({ success: true, data: { giftCard: { code: 'GCNEW' } } });
+
+    renderComponent();
+
+    await screen.findByText('GCABCD1234EFGH');
+    fireEvent.change(screen.getByLabelText('Value (£) *'), { target: { value: '30' } });
+    fireEvent.change(screen.getByLabelText('Recipient email'), { target: { value: 'jo@example.com' } });
+    fireEvent.click(screen.getByText('Issue Gift Card'));
+
+    expect(await screen.findByText('Gift card GCNEW issued')).toBeInTheDocument();
+    expect(adminService.issueGiftCard).toHaveBeenCalledWith({
+      amount: 30,
+      expiresAt: null,
+      note: '',
+      recipient: { recipientName: '', recipientEmail: 'jo@example.com', message: '', deliveryDate: null }
+    });
+    await waitFor(() => expect(adminService.getGiftCards).toHaveBeenCalledTimes(2));
+  });
+
+  it('shows a card\'s ledger when looked up', async () => {
+    adminService.lookupGiftCard.mockResolvedValue({
+      success: true,
+      data: {
+        giftCard: {
+          ...boughtCard,
+          orderId: { _id: 'order-1', orderNumber: 'ORD-1001' },
+          transactions: [
+            { type: 'issue', amount: 50, balanceAfter: 50, createdAt: '2026-09-01T10:00:00Z' },
+            { type: 'redeem', amount: -30, balanceAfter: 20, orderId: { _id: 'order-2', orderNumber: 'ORD-1002' }, createdAt: '2026-09-10T10:00:00Z' }
+          ]
+        }
+      }
+    });
+
+    renderComponent();
+
+    fireEvent.click(await screen.findByText('GCABCD1234EFGH'));
+
+    expect(await screen.findByTestId('gift-card-details')).toBeInTheDocument();
+    expect(adminService.lookupGiftCard).toHaveBeenCalledWith('GCABCD1234EFGH');
+    expect(screen.getByText('£20.00 of £50.00 left')).toBeInTheDocument();
+    expect(screen.getByText('Spent')).toBeInTheDocument();
+    expect(screen.getByText('ORD-1002')).toHaveAttribute('href', '/admin/orders/order-2');
+  });
+
+  it('voids a card with a reason', async () => {
+    vi.spyOn(window, 'prompt').mockReturnValue('Lost in post');
+    adminService.voidGiftCard.mockResolvedValue({ success: true, message: 'Gift card voided' });
+
+    renderComponent();
+
+    await screen.findByText('GCABCD1234EFGH');
+    fireEvent.click(screen.getByText('Void'));
+
+    expect(await screen.findByText('Gift card voided')).toBeInTheDocument();
+    expect(adminService.voidGiftCard).toHaveBeenCalledWith('card-1', 'Lost in post');
+  });
+});
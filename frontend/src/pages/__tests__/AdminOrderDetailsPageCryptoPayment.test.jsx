@@ -0,0 +1,211 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import { vi } from 'vitest';
+import AdminOrderDetailsPage from '../AdminOrderDetailsPage';
+import * as adminService from '../../services/adminService';
+
+// Mock the admin service
+vi.mock('../../services/adminService', () => ({
+  getOrderById: vi.fn(),
+  isAdminAuthenticated: vi.fn(),
+  formatCurrency: vi.fn((amount) => `£${amount}`),
+  updateOrderStatus: vi.fn(),
+  issueRefund: vi.fn(),
+  getOrderPayments: vi.fn(),
+  resolveOrderPayment: vi.fn(),
+  recordCryptoRefundTransaction: vi.fn(),
+  resendCryptoRefundAddressRequest: vi.fn()
+}));
+
+const mockNavigate = vi.fn();
+vi.mock('react-router-dom', async () => {
+  const actual = await vi.importActual('react-router-dom');
+  return {
+    ...actual,
+    useNavigate: () => mockNavigate,
+    useParams: () => ({ orderId: 'test-order-id' })
+  };
+});
+
+const mockOrder = {
+  _id: 'test-order-id',
+  orderNumber: 'ORD-123456',
+  status: 'pending',
+  totalAmount: 45,
+  subtotalAmount: 45,
+  createdAt: '2024-01-15T10:00:00Z',
+  updatedAt: '2024-01-15T10:00:00Z',
+  items: [],
+  paymentMethod: { type: 'bitcoin' },
+  paymentStatus: 'expired'
+};
+
+const createPayment = (resolution) => ({
+  _id: 'payment-1',
+  paidAmount: 0.0015,
+  rateQuote: {
+    cryptoAmount: 0.001,
+    cryptoCurrency: 'BTC',
+    rate: 45000,
+    source: 'coingecko',
+    expiresAt: '2024-01-16T10:00:00Z'
+  },
+  resolution
+});
+
+const renderComponent = () => {
+  return render(
+    <BrowserRouter>
+      <AdminOrderDetailsPage />
+    </BrowserRouter>
+  );
+};
+
+describe('AdminOrderDetailsPage - Crypto Payment', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    adminService.isAdminAuthenticated.mockReturnValue(true);
+    adminService.getOrderById.mockResolvedValue({
+      data: { order: mockOrder }
+    });
+  });
+
+  test('should show the locked rate quote and what was received', async () => {
+    adminService.getOrderPayments.mockResolvedValue({
+      data: { payments: [createPayment()] }
+    });
+
+    renderComponent();
+
+    await waitFor(() => {
+      expect(screen.getByText('Crypto Payment')).toBeInTheDocument();
+    });
+    expect(screen.getByText('0.001 BTC')).toBeInTheDocument();
+    expect(screen.getByText('0.0015 BTC')).toBeInTheDocument();
+    expect(screen.getByText('£45000 / BTC')).toBeInTheDocument();
+    expect(screen.getByText('via coingecko')).toBeInTheDocument();
+  });
+
+  test('should still load the order when payments cannot be fetched', async () => {
+    adminService.getOrderPayments.mockRejectedValue(new Error('Network error'));
+
+    renderComponent();
+
+    await waitFor(() => {
+      expect(screen.getByText('Order #ORD-123456')).toBeInTheDocument();
+    });
+    expect(screen.queryByText('Crypto Payment')).not.toBeInTheDocument();
+  });
+
+  test('should record a refund for an overpayment', async () => {
+    adminService.getOrderPayments.mockResolvedValue({
+      data: { payments: [createPayment({ reason: 'overpayment', status: 'open', excessAmount: 0.0005 })] }
+    });
+    adminService.resolveOrderPayment.mockResolvedValue({ success: true });
+
+    renderComponent();
+
+    await waitFor(() => {
+      expect(screen.getByText(/Overpaid by 0.0005 BTC/)).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByText('Record Refund'));
+    expect(await screen.findByText('Enter the transaction ID of the refund you sent')).toBeInTheDocument();
+    expect(adminService.resolveOrderPayment).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText('Refund transaction ID'), { target: { value: 'refund-tx' } });
+    fireEvent.click(screen.getByText('Record Refund'));
+
+    await waitFor(() => {
+      expect(adminService.resolveOrderPayment).toHaveBeenCalledWith('test-order-id', 'payment-1', {
+        action: 'refund',
+        refundTransactionId: 'refund-tx'
+      });
+    });
+  });
+
+  test('should accept a late payment', async () => {
+    adminService.getOrderPayments.mockResolvedValue({
+      data: { payments: [createPayment({ reason: 'late_payment', status: 'open', excessAmount: 0.0015 })] }
+    });
+    adminService.resolveOrderPayment.mockResolvedValue({ success: true });
+
+    renderComponent();
+
+    await waitFor(() => {
+      expect(screen.getByText(/Received after the quote expired/)).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByText('Accept Payment'));
+
+    await waitFor(() => {
+      expect(adminService.resolveOrderPayment).toHaveBeenCalledWith('test-order-id', 'payment-1', { action: 'accept' });
+    });
+  });
+
+  describe('crypto refunds', () => {
+    const refundedOrder = (crypto) => ({
+      ...mockOrder,
+      status: 'delivered',
+      paymentStatus: 'refunded',
+      totalRefundedAmount: 45,
+      refundHistory: [{
+        refundId: 'refund_1',
+        amount: 45,
+        date: '2024-01-20T10:00:00Z',
+        reason: 'Damaged item',
+        status: 'pending',
+        crypto: { currency: 'BTC', rateBasis: 'locked', addressRequestExpires: '2024-01-27T10:00:00Z', ...crypto }
+      }]
+    });
+
+    beforeEach(() => {
+      adminService.getOrderPayments.mockResolvedValue({ data: { payments: [] } });
+    });
+
+    test('should offer to resend the link while the customer has not given an address', async () => {
+      adminService.getOrderById.mockResolvedValue({ data: { order: refundedOrder() } });
+      adminService.resendCryptoRefundAddressRequest.mockResolvedValue({ success: true, message: 'Refund address link sent to the customer' });
+
+      renderComponent();
+
+      expect(await screen.findByText(/Waiting for the customer's BTC address/)).toBeInTheDocument();
+      fireEvent.click(screen.getByText('Resend Address Link'));
+
+      expect(await screen.findByText('Refund address link sent to the customer')).toBeInTheDocument();
+      expect(adminService.resendCryptoRefundAddressRequest).toHaveBeenCalledWith('test-order-id', 'refund_1');
+    });
+
+    test('should record the transaction a confirmed refund was sent in', async () => {
+      const txid = 'ab'.repeat(32);
+      adminService.getOrderById.mockResolvedValue({
+        data: {
+          order: refundedOrder({
+            refundAddress: 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4',
+            addressConfirmedAt: '2024-01-21T10:00:00Z',
+            exchangeRate: 30000,
+            cryptoAmount: 0.0015
+          })
+        }
+      });
+      adminService.recordCryptoRefundTransaction.mockResolvedValue({ success: true });
+
+      renderComponent();
+
+      expect(await screen.findByText(/0.0015 BTC at £30000 per BTC \(locked rate\)/)).toBeInTheDocument();
+      expect(screen.getByText('To bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4')).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText('Crypto refund transaction ID'), { target: { value: 'not-a-txid' } });
+      fireEvent.click(screen.getByText('Record Transaction'));
+      expect(await screen.findByText('Enter the 64 character transaction ID the refund was sent in')).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText('Crypto refund transaction ID'), { target: { value: txid } });
+      fireEvent.click(screen.getByText('Record Transaction'));
+
+      await waitFor(() => {
+        expect(adminService.recordCryptoRefundTransaction).toHaveBeenCalledWith('test-order-id', 'refund_1', txid);
+      });
+    });
+  });
+});
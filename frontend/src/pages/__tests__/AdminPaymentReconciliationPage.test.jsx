@@ -0,0 +1,147 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import { vi } from 'vitest';
+import AdminPaymentReconciliationPage from '../AdminPaymentReconciliationPage';
+import * as adminService from '../../services/adminService';
+
+// Mock the admin service
+vi.mock('../../services/adminService', () => ({
+  getPaymentReconciliations: vi.fn(),
+  getPaymentReconciliation: vi.fn(),
+  runPaymentReconciliation: vi.fn()
+}));
+
+const summary = { ordersChecked: 4, ordersUpdated: 1, ordersExpired: 1, needsReview: 1, failures: 1 };
+
+const reportListItem = {
+  _id: 'report-1',
+  trigger: 'scheduled',
+  status: 'completed',
+  startedAt: '2024-01-15T10:00:00Z',
+  completedAt: '2024-01-15T10:00:05Z',
+  summary
+};
+
+const fullReport = {
+  ...reportListItem,
+  discrepancies: [
+    {
+      orderId: 'order-1',
+      orderNumber: 'ORD-1',
+      paymentMethod: 'bitcoin',
+      type: 'payment_expired',
+      previousStatus: 'awaiting_confirmation',
+      newStatus: 'expired',
+      providerStatus: 'unpaid',
+      amountExpected: 0.001,
+      amountReceived: 0,
+      currency: 'BTC',
+      stockReleased: true
+    },
+    {
+      orderId: 'order-2',
+      orderNumber: 'ORD-2',
+      paymentMethod: 'paypal',
+      type: 'needs_review',
+      previousStatus: 'pending',
+      newStatus: 'pending',
+      providerStatus: 'COMPLETED',
+      amountExpected: 45,
+      amountReceived: 40,
+      currency: 'GBP',
+      note: 'Captured amount does not match the order total'
+    }
+  ],
+  failures: [
+    { orderId: 'order-3', orderNumber: 'ORD-3', paymentMethod: 'monero', message: 'Unable to fetch payment status: timeout' }
+  ]
+};
+
+const renderComponent = () => {
+  return render(
+    <BrowserRouter>
+      <AdminPaymentReconciliationPage />
+    </BrowserRouter>
+  );
+};
+
+describe('AdminPaymentReconciliationPage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    adminService.getPaymentReconciliations.mockResolvedValue({
+      success: true,
+      data: {
+        reports: [reportListItem],
+        pagination: { currentPage: 1, totalPages: 1, totalReports: 1, hasNextPage: false, hasPrevPage: false }
+      }
+    });
+  });
+
+  it('lists reconciliation runs with their summaries', async () => {
+    renderComponent();
+
+    await waitFor(() => {
+      expect(screen.getByText('Payment Reconciliation')).toBeInTheDocument();
+    });
+
+    expect(adminService.getPaymentReconciliations).toHaveBeenCalledWith(1);
+    expect(screen.getByText('Scheduled')).toBeInTheDocument();
+    expect(screen.getByText('4')).toBeInTheDocument();
+  });
+
+  it('shows the discrepancies and failures of a selected run', async () => {
+    adminService.getPaymentReconciliation.mockResolvedValue({ success: true, data: { report: fullReport } });
+    renderComponent();
+
+    await waitFor(() => {
+      expect(screen.getByText('View')).toBeInTheDocument();
+    });
+    fireEvent.click(screen.getByText('View'));
+
+    await waitFor(() => {
+      expect(screen.getByText('ORD-1')).toBeInTheDocument();
+    });
+
+    expect(adminService.getPaymentReconciliation).toHaveBeenCalledWith('report-1');
+    expect(screen.getByText('Payment expired')).toBeInTheDocument();
+    expect(screen.getByText('Reserved stock released')).toBeInTheDocument();
+    expect(screen.getByText('Needs review')).toBeInTheDocument();
+    expect(screen.getByText('Captured amount does not match the order total')).toBeInTheDocument();
+    expect(screen.getByText(/Unable to fetch payment status: timeout/)).toBeInTheDocument();
+  });
+
+  it('runs reconciliation on demand and shows the new report', async () => {
+    adminService.runPaymentReconciliation.mockResolvedValue({
+      success: true,
+      data: { report: { ...fullReport, trigger: 'manual', discrepancies: [], failures: [] } }
+    });
+    renderComponent();
+
+    await waitFor(() => {
+      expect(screen.getByText('Run Now')).toBeInTheDocument();
+    });
+    fireEvent.click(screen.getByText('Run Now'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Every open order agreed with its provider.')).toBeInTheDocument();
+    });
+
+    expect(adminService.runPaymentReconciliation).toHaveBeenCalled();
+    expect(adminService.getPaymentReconciliations).toHaveBeenCalledTimes(2);
+  });
+
+  it('shows an error when a run is already in progress', async () => {
+    adminService.runPaymentReconciliation.mockRejectedValue(new Error('A reconciliation run is already in progress'));
+    renderComponent();
+
+    await waitFor(() => {
+      expect(screen.getByText('Run Now')).toBeInTheDocument();
+    });
+    fireEvent.click(screen.getByText('Run Now'));
+
+    await waitFor(() => {
+      expect(screen.getByText('A reconciliation run is already in progress')).toBeInTheDocument();
+    });
+  });
+});
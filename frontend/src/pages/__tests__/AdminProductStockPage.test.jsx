@@ -0,0 +1,131 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { vi } from 'vitest';
+import AdminProductStockPage from '../AdminProductStockPage';
+import * as adminService from '../../services/adminService';
+
+vi.mock('react-router-dom', async () => {
+  const actual = await vi.importActual('react-router-dom');
+  return {
+    ...actual,
+    useParams: () => ({ productId: 'product1' })
+  };
+});
+
+vi.mock('../../services/adminService', () => ({
+  getProductStockMovements: vi.fn(),
+  adjustProductStock: vi.fn()
+}));
+
+const saleMovement = {
+  _id: 'movement1',
+  sku: 'OCB-001',
+  reason: 'sale',
+  quantity: -1,
+  userId: { firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com' },
+  reference: { kind: 'Order', id: 'order1', label: 'ORD-1001' },
+  createdAt: '2024-01-15T10:00:00Z'
+};
+
+const stockTakeMovement = {
+  _id: 'movement2',
+  sku: 'OCB-001',
+  reason: 'stock_take',
+  quantity: 2,
+  quantityAfter: 5,
+  userId: { firstName: 'Admin', lastName: 'User', email: 'admin@example.com' },
+  note: 'Shelf count',
+  createdAt: '2024-01-16T10:00:00Z'
+};
+
+const mockResponse = (overrides = {}) => ({
+  success: true,
+  data: {
+    product: { _id: 'product1', name: 'One-off Custom Build', sku: 'OCB-001', stockQuantity: 5, variants: [] },
+    movements: [stockTakeMovement, saleMovement],
+    ...overrides
+  },
+  pagination: { currentPage: 1, totalPages: 1, totalItems: 2, itemsPerPage: 20 }
+});
+
+const renderComponent = () => {
+  return render(
+    <MemoryRouter>
+      <AdminProductStockPage />
+    </MemoryRouter>
+  );
+};
+
+describe('AdminProductStockPage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    adminService.getProductStockMovements.mockResolvedValue(mockResponse());
+  });
+
+  it('lists the movements with their reason and reference', async () => {
+    renderComponent();
+
+    expect(await screen.findByText('Stock History: One-off Custom Build')).toBeInTheDocument();
+    expect(adminService.getProductStockMovements).toHaveBeenCalledWith('product1', { page: 1 });
+    expect(screen.getByText('+2')).toBeInTheDocument();
+    expect(screen.getByText('-1')).toBeInTheDocument();
+    expect(screen.getByText('Shelf count')).toBeInTheDocument();
+    expect(screen.getByText('ORD-1001')).toHaveAttribute('href', '/admin/orders/order1');
+  });
+
+  it('records a stock take and reloads the history', async () => {
+    adminService.adjustProductStock.mockResolvedValue({ success: true, message: 'Stock updated' });
+    renderComponent();
+
+    fireEvent.change(await screen.findByLabelText('Counted quantity'), { target: { value: '3' } });
+    fireEvent.change(screen.getByLabelText('Note'), { target: { value: 'Quarterly count' } });
+    fireEvent.click(screen.getByText('Record Stock Take'));
+
+    expect(await screen.findByText('Stock updated')).toBeInTheDocument();
+    expect(adminService.adjustProductStock).toHaveBeenCalledWith('product1', {
+      reason: 'stock_take',
+      countedQuantity: 3,
+      note: 'Quarterly count'
+    });
+    expect(adminService.getProductStockMovements).toHaveBeenCalledTimes(2);
+  });
+
+  it('adjusts a chosen variant by a signed quantity', async () => {
+    adminService.getProductStockMovements.mockResolvedValue(mockResponse({
+      product: {
+        _id: 'product1',
+        name: 'One-off Custom Build',
+        sku: 'OCB-001',
+        stockQuantity: 2,
+        variants: [{ _id: 'red', sku: 'OCB-RED', stockQuantity: 2, options: [{ name: 'Colour', value: 'Red' }] }]
+      }
+    }));
+    adminService.adjustProductStock.mockResolvedValue({ success: true, message: 'Stock updated' });
+    renderComponent();
+
+    fireEvent.change(await screen.findByLabelText('Type'), { target: { value: 'manual_adjustment' } });
+    fireEvent.change(screen.getByLabelText('Variant'), { target: { value: 'red' } });
+    fireEvent.change(screen.getByLabelText('Change (+/-)'), { target: { value: '-1' } });
+    fireEvent.click(screen.getByText('Record Adjustment'));
+
+    await waitFor(() => {
+      expect(adminService.adjustProductStock).toHaveBeenCalledWith('product1', {
+        reason: 'manual_adjustment',
+        variantId: 'red',
+        quantity: -1
+      });
+    });
+  });
+
+  it('shows why an adjustment was refused', async () => {
+    adminService.adjustProductStock.mockRejectedValue(new Error('Stock cannot go below zero (currently 5)'));
+    renderComponent();
+
+    fireEvent.change(await screen.findByLabelText('Type'), { target: { value: 'manual_adjustment' } });
+    fireEvent.change(screen.getByLabelText('Change (+/-)'), { target: { value: '-9' } });
+    fireEvent.click(screen.getByText('Record Adjustment'));
+
+    expect(await screen.findByText('Stock cannot go below zero (currently 5)')).toBeInTheDocument();
+    expect(adminService.getProductStockMovements).toHaveBeenCalledTimes(1);
+  });
+});
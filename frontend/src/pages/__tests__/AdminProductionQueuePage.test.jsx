@@ -0,0 +1,93 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import { vi } from 'vitest';
+import AdminProductionQueuePage from '../AdminProductionQueuePage';
+import * as adminService from '../../services/adminService';
+
+// Mock the admin service
+vi.mock('../../services/adminService', () => ({
+  getProductionQueue: vi.fn(),
+  markOrderItemProduced: vi.fn(),
+  formatCurrency: (amount) => `£${Number(amount).toFixed(2)}`
+}));
+
+const depositItem = {
+  orderId: 'order-1',
+  orderNumber: 'ORD-1001',
+  orderDate: '2026-09-01T10:00:00Z',
+  balanceDue: 120,
+  balancePaidAt: null,
+  itemId: 'item-1',
+  productName: 'Painted Bust',
+  variantOptions: [{ name: 'Finish', value: 'Bronze' }],
+  quantity: 2,
+  expectedShipDate: '2026-10-01T10:00:00Z'
+};
+
+const paidItem = {
+  orderId: 'order-2',
+  orderNumber: 'ORD-1002',
+  orderDate: '2026-09-05T10:00:00Z',
+  balanceDue: 0,
+  itemId: 'item-2',
+  productName: 'Custom Keycap',
+  quantity: 1,
+  expectedShipDate: '2026-11-01T10:00:00Z'
+};
+
+const renderComponent = () => {
+  return render(
+    <BrowserRouter>
+      <AdminProductionQueuePage />
+    </BrowserRouter>
+  );
+};
+
+describe('AdminProductionQueuePage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    adminService.getProductionQueue.mockResolvedValue({
+      success: true,
+      data: { items: [depositItem, paidItem] },
+      pagination: { currentPage: 1, totalPages: 1, totalItems: 2, itemsPerPage: 20 }
+    });
+  });
+
+  it('lists items still to be made with their order and balance', async () => {
+    renderComponent();
+
+    expect(await screen.findByText('Painted Bust')).toBeInTheDocument();
+    expect(screen.getAllByTestId('production-queue-item')).toHaveLength(2);
+    expect(screen.getByText('Finish: Bronze')).toBeInTheDocument();
+    expect(screen.getByText('ORD-1001')).toHaveAttribute('href', '/admin/orders/order-1');
+    expect(screen.getByText('£120.00 due')).toBeInTheDocument();
+    expect(screen.getByText('Paid')).toBeInTheDocument();
+    expect(adminService.getProductionQueue).toHaveBeenCalledWith(1);
+  });
+
+  it('marks an item made and refreshes the queue', async () => {
+    adminService.markOrderItemProduced.mockResolvedValue({ success: true, message: 'Painted Bust marked as made' });
+
+    renderComponent();
+
+    await screen.findByText('Painted Bust');
+    fireEvent.click(screen.getAllByText('Mark made')[0]);
+
+    expect(await screen.findByText('Painted Bust marked as made')).toBeInTheDocument();
+    expect(adminService.markOrderItemProduced).toHaveBeenCalledWith('order-1', 'item-1');
+    await waitFor(() => expect(adminService.getProductionQueue).toHaveBeenCalledTimes(2));
+  });
+
+  it('shows an empty queue', async () => {
+    adminService.getProductionQueue.mockResolvedValue({
+      success: true,
+      data: { items: [] },
+      pagination: { currentPage: 1, totalPages: 0, totalItems: 0, itemsPerPage: 20 }
+    });
+
+    renderComponent();
+
+    expect(await screen.findByText('Nothing is waiting to be made.')).toBeInTheDocument();
+  });
+});
@@ -290,4 +290,68 @@ describe('AdminProductsListPage', () => {
     expect(editLinks[0]).toHaveAttribute('href', '/admin/products/edit/1');
     expect(editLinks[1]).toHaveAttribute('href', '/admin/products/edit/2');
   });
-});
\ No newline at end of file
+
+  test('previews an import file and applies it on confirmation', async () => {
+    const preview = {
+      dryRun: true,
+      summary: { created: 0, updated: 1, unchanged: 1, invalid: 1, failed: 0 },
+      items: [
+        { row: 2, sku: 'GP7-001', action: 'updated', changes: [{ field: 'price', from: 599, to: 549 }], errors: [] },
+        { row: 3, sku: 'GP7P-001', action: 'unchanged', changes: [], errors: [] },
+        { row: 4, sku: 'BAD-1', action: 'invalid', changes: [], errors: ['price: Must be a non-negative number'] }
+      ]
+    };
+    adminService.getProducts.mockResolvedValue(mockResponse);
+    adminService.importProducts
+      .mockResolvedValueOnce({ success: true, data: preview })
+      .mockResolvedValueOnce({ success: true, data: { ...preview, dryRun: false } });
+    renderComponent();
+
+    await waitFor(() => {
+      expect(screen.getByText('Manage Products')).toBeInTheDocument();
+    });
+
+    const file = new File(['sku,price\nGP7-001,549\n'], 'products.csv', { type: 'text/csv' });
+    fireEvent.change(screen.getByTestId('product-import-input'), { target: { files: [file] } });
+
+    await waitFor(() => {
+      expect(screen.getByText('Import preview: products.csv')).toBeInTheDocument();
+    });
+    expect(adminService.importProducts).toHaveBeenCalledWith(file);
+    expect(screen.getByText('price: 599 → 549')).toBeInTheDocument();
+    expect(screen.getByText('price: Must be a non-negative number')).toBeInTheDocument();
+    expect(screen.queryByText('GP7P-001', { selector: 'td.px-4' })).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Apply 1 changes'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Import applied: 1 updated, 0 created')).toBeInTheDocument();
+    });
+    expect(adminService.importProducts).toHaveBeenLastCalledWith(file, { commit: true });
+  });
+
+  test('exports the filtered product list', async () => {
+    adminService.getProducts.mockResolvedValue(mockResponse);
+    adminService.exportProducts.mockResolvedValue({ blob: new Blob(['sku\n']), filename: 'products-2024-01-01.csv' });
+    URL.createObjectURL = vi.fn(() => 'blob:products');
+    URL.revokeObjectURL = vi.fn();
+    const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    renderComponent();
+
+    await waitFor(() => {
+      expect(screen.getByText('Manage Products')).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByText('Export XLSX'));
+
+    await waitFor(() => {
+      expect(adminService.exportProducts).toHaveBeenCalledWith(
+        expect.objectContaining({ searchQuery: '', status: '' }),
+        'xlsx'
+      );
+    });
+    expect(clickSpy).toHaveBeenCalled();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:products');
+    clickSpy.mockRestore();
+  });
+});
@@ -9,7 +9,8 @@ vi.mock('../../services/adminService', () => ({
   getSalesReport: vi.fn(),
   getProductPerformanceReport: vi.fn(),
   getCustomerReport: vi.fn(),
-  getInventoryReport: vi.fn()
+  getInventoryReport: vi.fn(),
+  getAbandonedCartReport: vi.fn()
 }));
 
 // Mock the LoadingSpinner component
@@ -17,7 +18,7 @@ vi.mock('../../components/LoadingSpinner', () => ({
   default: () => <div>Loading...</div>
 }));
 
-import { getSalesReport, getProductPerformanceReport, getCustomerReport, getInventoryReport } from '../../services/adminService';
+import { getSalesReport, getProductPerformanceReport, getCustomerReport, getInventoryReport, getAbandonedCartReport } from '../../services/adminService';
 
 const mockSalesData = {
   totalRevenue: 25000,
@@ -46,6 +47,22 @@ const mockInventoryData = {
   lowStockCount: 8
 };
 
+const mockAbandonedCartData = {
+  cartsReminded: 12,
+  remindersSent: 20,
+  abandonedValue: 1200,
+  linksFollowed: 6,
+  discountsOffered: 4,
+  unsubscribed: 1,
+  recovered: 4,
+  recoveredRevenue: 360,
+  recoveryRate: 33.3,
+  recoveredByReminder: [
+    { reminder: 1, recovered: 3, recoveredRevenue: 300 },
+    { reminder: 2, recovered: 1, recoveredRevenue: 60 }
+  ]
+};
+
 const renderAdminReportsPage = () => {
   return render(
     <BrowserRouter>
@@ -63,6 +80,7 @@ describe('AdminReportsPage', () => {
     getProductPerformanceReport.mockResolvedValue(mockProductData);
     getCustomerReport.mockResolvedValue(mockCustomerData);
     getInventoryReport.mockResolvedValue(mockInventoryData);
+    getAbandonedCartReport.mockResolvedValue(mockAbandonedCartData);
   });
 
   it('should render page title and date range picker', async () => {
@@ -123,6 +141,7 @@ describe('AdminReportsPage', () => {
       expect(adminService.getProductPerformanceReport).toHaveBeenCalledTimes(2);
       expect(adminService.getCustomerReport).toHaveBeenCalledTimes(2);
       expect(adminService.getInventoryReport).toHaveBeenCalledTimes(2);
+      expect(adminService.getAbandonedCartReport).toHaveBeenCalledTimes(2);
     });
   });
 
@@ -201,4 +220,40 @@ describe('AdminReportsPage', () => {
       expect(lowStockSection).toHaveTextContent('5');
     });
   });
-});
\ No newline at end of file
+
+  it('should display abandoned cart recovery', async () => {
+    renderAdminReportsPage();
+
+    const report = await screen.findByTestId('abandoned-cart-report');
+    expect(screen.getByText('Abandoned Cart Recovery')).toBeInTheDocument();
+    expect(report).toHaveTextContent('Carts Reminded12');
+    expect(report).toHaveTextContent('Recovery Rate33.3%');
+    expect(report).toHaveTextContent('Recovered Revenue£360.00');
+    expect(report).toHaveTextContent('20 reminders sent for £1,200.00 of abandoned carts; 6 opened, 4 offered a discount and 1 unsubscribed.');
+    expect(screen.getByText('2 reminders')).toBeInTheDocument();
+    expect(screen.getByText('£300.00')).toBeInTheDocument();
+  });
+
+  it('should display sales by presentment currency', async () => {
+    getSalesReport.mockResolvedValue({
+      ...mockSalesData,
+      byCurrency: [
+        { currency: 'GBP', orderCount: 40, presentmentTotal: 20000, settlementTotal: 20000 },
+        { currency: 'EUR', orderCount: 10, presentmentTotal: 5750, settlementTotal: 5000 }
+      ]
+    });
+
+    renderAdminReportsPage();
+
+    const table = await screen.findByTestId('sales-by-currency');
+    expect(table).toHaveTextContent('EUR10€5,750.00£5,000.00');
+    expect(table).toHaveTextContent('GBP40£20,000.00£20,000.00');
+  });
+
+  it('should hide sales by currency when the report has none', async () => {
+    renderAdminReportsPage();
+
+    await screen.findByText('Sales Summary');
+    expect(screen.queryByTestId('sales-by-currency')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,124 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import { vi } from 'vitest';
+import AdminWebhookEventsPage from '../AdminWebhookEventsPage';
+import * as adminService from '../../services/adminService';
+
+// Mock the admin service
+vi.mock('../../services/adminService', () => ({
+  getWebhookEvents: vi.fn(),
+  getWebhookEvent: vi.fn(),
+  replayWebhookEvent: vi.fn()
+}));
+
+const failedEvent = {
+  _id: 'event-1',
+  provider: 'btcpay',
+  eventId: 'DEL-1',
+  eventType: 'InvoiceSettled',
+  signatureStatus: 'valid',
+  status: 'failed',
+  attempts: 1,
+  error: 'Order not found for this BTCPay invoice',
+  receivedAt: '2024-01-15T10:00:00Z',
+  canReplay: true
+};
+
+const processedEvent = {
+  _id: 'event-2',
+  provider: 'paypal',
+  eventId: 'WH-1',
+  eventType: 'PAYMENT.CAPTURE.COMPLETED',
+  signatureStatus: 'not_checked',
+  status: 'processed',
+  attempts: 1,
+  receivedAt: '2024-01-15T09:00:00Z',
+  canReplay: false
+};
+
+const renderComponent = () => {
+  return render(
+    <BrowserRouter>
+      <AdminWebhookEventsPage />
+    </BrowserRouter>
+  );
+};
+
+describe('AdminWebhookEventsPage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    adminService.getWebhookEvents.mockResolvedValue({
+      success: true,
+      data: {
+        events: [failedEvent, processedEvent],
+        pagination: { currentPage: 1, totalPages: 1, totalEvents: 2, hasNextPage: false, hasPrevPage: false }
+      }
+    });
+  });
+
+  it('lists events and offers re-processing only for failed ones', async () => {
+    renderComponent();
+
+    await waitFor(() => {
+      expect(screen.getByText('InvoiceSettled')).toBeInTheDocument();
+    });
+
+    expect(screen.getByText('Order not found for this BTCPay invoice')).toBeInTheDocument();
+    expect(screen.getByText('PAYMENT.CAPTURE.COMPLETED')).toBeInTheDocument();
+    expect(screen.getAllByText('Re-process')).toHaveLength(1);
+  });
+
+  it('filters events by provider', async () => {
+    renderComponent();
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Provider')).toBeInTheDocument();
+    });
+    fireEvent.change(screen.getByLabelText('Provider'), { target: { value: 'btcpay' } });
+
+    await waitFor(() => {
+      expect(adminService.getWebhookEvents).toHaveBeenLastCalledWith({ provider: 'btcpay', status: '' }, 1);
+    });
+  });
+
+  it('shows the payload of a selected event', async () => {
+    adminService.getWebhookEvent.mockResolvedValue({
+      success: true,
+      data: { event: { ...failedEvent, payload: { invoiceId: 'INV-42' }, headers: { 'content-type': 'application/json' } } }
+    });
+    renderComponent();
+
+    await waitFor(() => {
+      expect(screen.getAllByText('View')).toHaveLength(2);
+    });
+    fireEvent.click(screen.getAllByText('View')[0]);
+
+    await waitFor(() => {
+      expect(screen.getByText(/INV-42/)).toBeInTheDocument();
+    });
+
+    expect(adminService.getWebhookEvent).toHaveBeenCalledWith('event-1');
+  });
+
+  it('re-processes a failed event and refreshes the list', async () => {
+    adminService.replayWebhookEvent.mockResolvedValue({
+      success: true,
+      message: 'Webhook event re-processed',
+      data: { event: { ...failedEvent, status: 'processed' } }
+    });
+    renderComponent();
+
+    await waitFor(() => {
+      expect(screen.getByText('Re-process')).toBeInTheDocument();
+    });
+    fireEvent.click(screen.getByText('Re-process'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Webhook event re-processed')).toBeInTheDocument();
+    });
+
+    expect(adminService.replayWebhookEvent).toHaveBeenCalledWith('event-1');
+    expect(adminService.getWebhookEvents).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,100 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import { vi } from 'vitest';
+import CartRecoveryPage from '../CartRecoveryPage';
+import * as cartService from '../../services/cartService';
+
+const mockRefreshCart = vi.fn();
+
+vi.mock('../../services/cartService', () => ({
+  restoreAbandonedCart: vi.fn(),
+  unsubscribeFromCartReminders: vi.fn()
+}));
+
+vi.mock('../../contexts/CartContext', () => ({
+  useCart: () => ({ refreshCart: mockRefreshCart })
+}));
+
+vi.mock('react-router-dom', async () => {
+  const actual = await vi.importActual('react-router-dom');
+  return {
+    ...actual,
+    useParams: () => ({ token: 'cart-token' })
+  };
+});
+
+const renderComponent = (action) => {
+  return render(
+    <BrowserRouter>
+      <CartRecoveryPage action={action} />
+    </BrowserRouter>
+  );
+};
+
+describe('CartRecoveryPage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('should restore the cart with its discount', async () => {
+    cartService.restoreAbandonedCart.mockResolvedValue({
+      success: true,
+      data: { restored: true, requiresLogin: false, promotionCode: 'CART-1A2B3C4D', totalItems: 2 }
+    });
+
+    renderComponent('restore');
+
+    expect(await screen.findByText('Your cart is back with 2 items')).toBeInTheDocument();
+    expect(cartService.restoreAbandonedCart).toHaveBeenCalledTimes(1);
+    expect(cartService.restoreAbandonedCart).toHaveBeenCalledWith('cart-token');
+    expect(screen.getByTestId('cart-recovery-discount')).toHaveTextContent('Discount code CART-1A2B3C4D has been applied.');
+    expect(screen.getByText('Go to Cart')).toHaveAttribute('href', '/cart');
+    expect(mockRefreshCart).toHaveBeenCalled();
+  });
+
+  test('should ask for a login to restore an account cart', async () => {
+    cartService.restoreAbandonedCart.mockResolvedValue({
+      success: true,
+      data: { restored: false, requiresLogin: true, promotionCode: null, totalItems: 0 }
+    });
+
+    renderComponent('restore');
+
+    expect(await screen.findByText('This cart is saved to an account')).toBeInTheDocument();
+    expect(screen.getByText('Log in')).toHaveAttribute('href', '/login');
+    expect(mockRefreshCart).not.toHaveBeenCalled();
+  });
+
+  test('should explain a cart that has been emptied', async () => {
+    cartService.restoreAbandonedCart.mockResolvedValue({
+      success: true,
+      data: { restored: false, requiresLogin: false, promotionCode: null, totalItems: 0 }
+    });
+
+    renderComponent('restore');
+
+    expect(await screen.findByText('This cart has been emptied')).toBeInTheDocument();
+  });
+
+  test('should unsubscribe in one click', async () => {
+    cartService.unsubscribeFromCartReminders.mockResolvedValue({
+      success: true,
+      message: 'You will no longer receive cart reminders or marketing email'
+    });
+
+    renderComponent('unsubscribe');
+
+    expect(await screen.findByText('You will no longer receive cart reminders or marketing email')).toBeInTheDocument();
+    expect(cartService.unsubscribeFromCartReminders).toHaveBeenCalledWith('cart-token');
+    expect(cartService.restoreAbandonedCart).not.toHaveBeenCalled();
+  });
+
+  test('should explain an invalid link', async () => {
+    cartService.restoreAbandonedCart.mockRejectedValue(new Error('This cart link is invalid'));
+
+    renderComponent('restore');
+
+    expect(await screen.findByTestId('cart-recovery-error')).toHaveTextContent('This cart link is invalid');
+  });
+});
@@ -14,6 +14,8 @@ vi.mock('../../services/addressService', () => ({
 
 vi.mock('../../services/cartService', () => ({
   getCart: vi.fn(),
+  reserveCheckoutStock: vi.fn(() => Promise.resolve({ data: { expiresAt: null } })),
+  releaseCheckoutStock: vi.fn(() => Promise.resolve()),
   formatCurrency: vi.fn((amount) => `£${amount.toFixed(2)}`)
 }));
 
@@ -129,11 +131,11 @@ describe('CheckoutPage', () => {
       expect(screen.getByText('Loading...')).toBeInTheDocument();
     });
 
-    it('should show login prompt for unauthenticated users', () => {
+    it('should offer login or guest checkout to unauthenticated users', () => {
       renderWithProviders({ isAuthenticated: false, isLoading: false, user: null });
       
-      expect(screen.getByText('Login Required')).toBeInTheDocument();
-      expect(screen.getByText('You need to be logged in to proceed with checkout.')).toBeInTheDocument();
+      expect(screen.getByText('Checkout as a Guest')).toBeInTheDocument();
+      expect(screen.getByLabelText('Email Address')).toBeInTheDocument();
       expect(screen.getByRole('link', { name: /login to continue/i })).toBeInTheDocument();
     });
 
@@ -0,0 +1,122 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import { vi } from 'vitest';
+import CheckoutPage from '../CheckoutPage';
+import * as cartService from '../../services/cartService';
+
+const mockCart = {
+  items: [
+    {
+      _id: 'item1',
+      productId: 'prod1',
+      productName: 'Mini Toolbox',
+      unitPrice: 20,
+      quantity: 1,
+      subtotal: 20
+    }
+  ],
+  totalItems: 1,
+  totalAmount: 20
+};
+
+vi.mock('../../services/cartService', () => ({
+  reserveCheckoutStock: vi.fn(),
+  releaseCheckoutStock: vi.fn(),
+  saveCheckoutContact: vi.fn(),
+  formatCurrency: vi.fn((amount) => `£${amount.toFixed(2)}`)
+}));
+
+vi.mock('../../services/orderService', () => ({
+  placeOrder: vi.fn(),
+  validateOrderData: vi.fn()
+}));
+
+vi.mock('../../services/guestOrderService', () => ({
+  placeGuestOrder: vi.fn()
+}));
+
+vi.mock('../../contexts/CartContext', () => ({
+  useCart: () => ({ cart: mockCart, loading: false })
+}));
+
+vi.mock('../../contexts/CheckoutContext', () => ({
+  useCheckout: () => ({
+    checkoutState: { step: 'shipping' },
+    shippingCost: 0,
+    orderTotal: 20
+  })
+}));
+
+vi.mock('../../contexts/AuthContext', () => ({
+  useAuth: () => ({ isAuthenticated: false, isLoading: false })
+}));
+
+vi.mock('../../components/checkout/ShippingAddressSection', () => ({
+  default: () => <div>Shipping Address</div>
+}));
+
+const renderComponent = () => {
+  return render(
+    <BrowserRouter>
+      <CheckoutPage />
+    </BrowserRouter>
+  );
+};
+
+describe('CheckoutPage guest checkout', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    cartService.reserveCheckoutStock.mockResolvedValue({ success: true, data: { expiresAt: null } });
+    cartService.releaseCheckoutStock.mockResolvedValue({ success: true });
+    cartService.saveCheckoutContact.mockResolvedValue({ success: true });
+  });
+
+  test('should ask for a login or an email before checkout', () => {
+    renderComponent();
+
+    expect(screen.getByText('Checkout as a Guest')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: /login to continue/i })).toBeInTheDocument();
+    expect(screen.queryByText('Shipping Address')).not.toBeInTheDocument();
+    expect(cartService.reserveCheckoutStock).not.toHaveBeenCalled();
+  });
+
+  test('should reject an invalid email', () => {
+    renderComponent();
+
+    fireEvent.change(screen.getByLabelText('Email Address'), { target: { value: 'not-an-email' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Continue as Guest' }));
+
+    expect(screen.getByText('Please enter a valid email address')).toBeInTheDocument();
+    expect(screen.queryByText('Shipping Address')).not.toBeInTheDocument();
+    expect(cartService.saveCheckoutContact).not.toHaveBeenCalled();
+  });
+
+  test('should continue to checkout with a guest email', async () => {
+    renderComponent();
+
+    fireEvent.change(screen.getByLabelText('Email Address'), { target: { value: 'guest@example.com' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Continue as Guest' }));
+
+    expect(await screen.findByText('Shipping Address')).toBeInTheDocument();
+    expect(screen.getByTestId('guest-checkout-email')).toHaveTextContent('Checking out as a guest with guest@example.com.');
+    expect(cartService.saveCheckoutContact).toHaveBeenCalledWith('guest@example.com', false);
+    expect(cartService.reserveCheckoutStock).toHaveBeenCalledTimes(1);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Change' }));
+
+    expect(screen.getByText('Checkout as a Guest')).toBeInTheDocument();
+  });
+
+  test('should pass on the marketing choice and continue if saving the email fails', async () => {
+    cartService.saveCheckoutContact.mockRejectedValue(new Error('Network error'));
+    renderComponent();
+
+    fireEvent.change(screen.getByLabelText('Email Address'), { target: { value: 'Guest@Example.com' } });
+    fireEvent.click(screen.getByRole('checkbox', { name: /email me offers/i }));
+    fireEvent.click(screen.getByRole('button', { name: 'Continue as Guest' }));
+
+    expect(await screen.findByText('Shipping Address')).toBeInTheDocument();
+    expect(cartService.saveCheckoutContact).toHaveBeenCalledWith('guest@example.com', true);
+  });
+});
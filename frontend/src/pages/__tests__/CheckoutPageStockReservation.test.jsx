@@ -0,0 +1,106 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import { vi } from 'vitest';
+import CheckoutPage from '../CheckoutPage';
+import * as cartService from '../../services/cartService';
+
+const mockCart = {
+  items: [
+    {
+      _id: 'item1',
+      productId: 'prod1',
+      productName: 'One-off Custom Build',
+      unitPrice: 899.99,
+      quantity: 1,
+      subtotal: 899.99
+    }
+  ],
+  totalItems: 1,
+  totalAmount: 899.99
+};
+
+vi.mock('../../services/cartService', () => ({
+  reserveCheckoutStock: vi.fn(),
+  releaseCheckoutStock: vi.fn(),
+  formatCurrency: vi.fn((amount) => `£${amount.toFixed(2)}`)
+}));
+
+vi.mock('../../services/orderService', () => ({
+  placeOrder: vi.fn(),
+  validateOrderData: vi.fn()
+}));
+
+vi.mock('../../contexts/CartContext', () => ({
+  useCart: () => ({ cart: mockCart, loading: false })
+}));
+
+vi.mock('../../contexts/CheckoutContext', () => ({
+  useCheckout: () => ({
+    checkoutState: { step: 'shipping' },
+    shippingCost: 0,
+    orderTotal: 899.99
+  })
+}));
+
+vi.mock('../../contexts/AuthContext', () => ({
+  useAuth: () => ({ isAuthenticated: true, isLoading: false })
+}));
+
+vi.mock('../../components/checkout/ShippingAddressSection', () => ({
+  default: () => <div>Shipping Address</div>
+}));
+
+const renderComponent = () => {
+  return render(
+    <BrowserRouter>
+      <CheckoutPage />
+    </BrowserRouter>
+  );
+};
+
+describe('CheckoutPage stock reservation', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    cartService.releaseCheckoutStock.mockResolvedValue({ success: true });
+  });
+
+  test('should hold the cart stock and show how long it is held', async () => {
+    cartService.reserveCheckoutStock.mockResolvedValue({
+      success: true,
+      data: { expiresAt: new Date(Date.now() + 15 * 60 * 1000).toISOString() }
+    });
+
+    renderComponent();
+
+    expect(await screen.findByTestId('checkout-stock-held')).toHaveTextContent('Your items are held for you until');
+    expect(cartService.reserveCheckoutStock).toHaveBeenCalledTimes(1);
+    expect(screen.queryByTestId('checkout-stock-unavailable')).not.toBeInTheDocument();
+  });
+
+  test('should list items another customer holds', async () => {
+    cartService.reserveCheckoutStock.mockRejectedValue(Object.assign(new Error('Unavailable'), {
+      unavailableItems: [
+        { productId: 'prod1', variantId: null, productName: 'One-off Custom Build', available: 0, requested: 1 }
+      ]
+    }));
+
+    renderComponent();
+
+    const banner = await screen.findByTestId('checkout-stock-unavailable');
+    expect(banner).toHaveTextContent('One-off Custom Build: 0 available, 1 in your cart');
+    expect(screen.getByText('Update your cart')).toHaveAttribute('href', '/cart');
+    expect(screen.queryByTestId('checkout-stock-held')).not.toBeInTheDocument();
+  });
+
+  test('should release the hold when leaving checkout', async () => {
+    cartService.reserveCheckoutStock.mockResolvedValue({ success: true, data: { expiresAt: null } });
+
+    const { unmount } = renderComponent();
+    await waitFor(() => expect(cartService.reserveCheckoutStock).toHaveBeenCalled());
+
+    unmount();
+
+    expect(cartService.releaseCheckoutStock).toHaveBeenCalledTimes(1);
+  });
+});
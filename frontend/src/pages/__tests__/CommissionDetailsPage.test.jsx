@@ -0,0 +1,173 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { vi } from 'vitest';
+import CommissionDetailsPage from '../CommissionDetailsPage';
+import * as commissionService from '../../services/commissionService';
+
+vi.mock('../../services/commissionService', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    getCommissionRequest: vi.fn(),
+    sendCommissionMessage: vi.fn(),
+    acceptCommissionQuote: vi.fn(),
+    declineCommissionQuote: vi.fn(),
+    cancelCommissionRequest: vi.fn()
+  };
+});
+
+const mockCart = {
+  cart: { items: [] },
+  addToCart: vi.fn(),
+  refreshCart: vi.fn()
+};
+
+vi.mock('../../contexts/CartContext', () => ({
+  useCart: () => mockCart
+}));
+
+const quotedCommission = {
+  _id: 'commission1',
+  requestNumber: 'COM-12345678-001',
+  title: 'Dragon figurine',
+  brief: 'A green dragon on a rock',
+  budget: 120,
+  status: 'quoted',
+  referenceImages: [{ url: '/uploads/products/dragon.jpg', thumbnailUrl: '/uploads/products/thumbnails/dragon.jpg' }],
+  quote: { price: 150, description: 'Hand painted, 20cm tall', leadTimeDays: 21 },
+  messages: [
+    { _id: 'm1', author: 'customer', body: 'Any size works', images: [], createdAt: '2026-10-01T10:00:00Z' },
+    { _id: 'm2', author: 'admin', body: 'We can do 20cm', images: [], createdAt: '2026-10-02T10:00:00Z' }
+  ],
+  statusHistory: [
+    { status: 'submitted', timestamp: '2026-10-01T09:00:00Z', note: 'Request submitted' },
+    { status: 'quoted', timestamp: '2026-10-02T10:00:00Z', note: 'Quoted £150.00' }
+  ],
+  productId: null
+};
+
+const renderComponent = () => {
+  return render(
+    <MemoryRouter initialEntries={['/commissions/commission1']}>
+      <Routes>
+        <Route path="/commissions/:commissionId" element={<CommissionDetailsPage />} />
+      </Routes>
+    </MemoryRouter>
+  );
+};
+
+describe('CommissionDetailsPage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockCart.cart = { items: [] };
+    commissionService.getCommissionRequest.mockResolvedValue({
+      success: true,
+      data: { commission: quotedCommission }
+    });
+  });
+
+  it('shows the brief, quote, thread and status history', async () => {
+    renderComponent();
+
+    expect(await screen.findByText('Dragon figurine')).toBeInTheDocument();
+    expect(commissionService.getCommissionRequest).toHaveBeenCalledWith('commission1');
+    expect(screen.getByTestId('commission-quote')).toHaveTextContent('£150.00');
+    expect(screen.getByText('Made within 21 days of payment')).toBeInTheDocument();
+    expect(screen.getAllByTestId('commission-message')).toHaveLength(2);
+    expect(screen.getByText('You')).toBeInTheDocument();
+    expect(screen.getByText('RDJCustoms')).toBeInTheDocument();
+    expect(screen.getAllByTestId('commission-history')).toHaveLength(2);
+    expect(screen.getByAltText('Reference image 1')).toBeInTheDocument();
+  });
+
+  it('accepts the quote and refreshes the cart', async () => {
+    commissionService.acceptCommissionQuote.mockResolvedValue({
+      success: true,
+      message: 'Quote accepted and added to your cart',
+      data: { commission: { ...quotedCommission, status: 'accepted', productId: 'product1' }, addedToCart: true }
+    });
+
+    renderComponent();
+
+    fireEvent.click(await screen.findByText('Accept Quote'));
+
+    expect(await screen.findByText('Quote accepted and added to your cart')).toBeInTheDocument();
+    expect(commissionService.acceptCommissionQuote).toHaveBeenCalledWith('commission1');
+    expect(mockCart.refreshCart).toHaveBeenCalled();
+    expect(screen.getByText('Go to Cart')).toHaveAttribute('href', '/cart');
+    expect(screen.queryByText('Accept Quote')).not.toBeInTheDocument();
+  });
+
+  it('declines the quote with a reason', async () => {
+    commissionService.declineCommissionQuote.mockResolvedValue({
+      success: true,
+      message: 'Quote declined',
+      data: { commission: { ...quotedCommission, status: 'declined' } }
+    });
+
+    renderComponent();
+
+    fireEvent.click(await screen.findByText('Decline Quote'));
+    fireEvent.change(screen.getByLabelText('Let us know why (optional)'), { target: { value: 'Too dear' } });
+    fireEvent.click(screen.getByText('Confirm Decline'));
+
+    expect(await screen.findByText('Quote declined')).toBeInTheDocument();
+    expect(commissionService.declineCommissionQuote).toHaveBeenCalledWith('commission1', 'Too dear');
+  });
+
+  it('sends a message', async () => {
+    const message = { _id: 'm3', author: 'customer', body: 'Thanks!', images: [], createdAt: '2026-10-03T10:00:00Z' };
+    commissionService.sendCommissionMessage.mockResolvedValue({
+      success: true,
+      message: 'Message sent',
+      data: { commission: { ...quotedCommission, messages: [...quotedCommission.messages, message] }, message }
+    });
+
+    renderComponent();
+
+    fireEvent.change(await screen.findByLabelText('Send a message'), { target: { value: 'Thanks!' } });
+    fireEvent.click(screen.getByText('Send'));
+
+    await waitFor(() => expect(screen.getAllByTestId('commission-message')).toHaveLength(3));
+    const [id, formData] = commissionService.sendCommissionMessage.mock.calls[0];
+    expect(id).toBe('commission1');
+    expect(formData.get('message')).toBe('Thanks!');
+  });
+
+  it('offers to add an accepted commission missing from the cart', async () => {
+    commissionService.getCommissionRequest.mockResolvedValue({
+      success: true,
+      data: { commission: { ...quotedCommission, status: 'accepted', productId: 'product1' } }
+    });
+    mockCart.addToCart.mockResolvedValue({ success: true });
+
+    renderComponent();
+
+    fireEvent.click(await screen.findByText('Add to Cart'));
+
+    expect(await screen.findByText('Added to your cart')).toBeInTheDocument();
+    expect(mockCart.addToCart).toHaveBeenCalledWith('product1', 1);
+  });
+
+  it('hides the message form on a closed request', async () => {
+    commissionService.getCommissionRequest.mockResolvedValue({
+      success: true,
+      data: { commission: { ...quotedCommission, status: 'rejected' } }
+    });
+
+    renderComponent();
+
+    expect(await screen.findByText('Turned Down')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Send a message')).not.toBeInTheDocument();
+    expect(screen.queryByText('Accept Quote')).not.toBeInTheDocument();
+  });
+
+  it('shows an error when the request cannot be loaded', async () => {
+    commissionService.getCommissionRequest.mockRejectedValue(new Error('Commission request not found'));
+
+    renderComponent();
+
+    expect(await screen.findByText('Commission request not found')).toBeInTheDocument();
+  });
+});
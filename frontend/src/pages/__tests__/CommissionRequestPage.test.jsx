@@ -0,0 +1,95 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import { vi } from 'vitest';
+import CommissionRequestPage from '../CommissionRequestPage';
+import * as commissionService from '../../services/commissionService';
+
+vi.mock('../../services/commissionService', () => ({
+  submitCommissionRequest: vi.fn()
+}));
+
+const mockAuth = { isAuthenticated: true };
+
+vi.mock('../../contexts/AuthContext', () => ({
+  useAuth: () => mockAuth
+}));
+
+const mockNavigate = vi.fn();
+
+vi.mock('react-router-dom', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    useNavigate: () => mockNavigate
+  };
+});
+
+const renderComponent = () => {
+  return render(
+    <BrowserRouter>
+      <CommissionRequestPage />
+    </BrowserRouter>
+  );
+};
+
+describe('CommissionRequestPage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockAuth.isAuthenticated = true;
+  });
+
+  it('submits the brief with reference images', async () => {
+    commissionService.submitCommissionRequest.mockResolvedValue({
+      success: true,
+      data: { commission: { _id: 'commission1' } }
+    });
+    const image = new File(['image'], 'dragon.png', { type: 'image/png' });
+
+    renderComponent();
+
+    fireEvent.change(screen.getByLabelText('Title *'), { target: { value: 'Dragon figurine' } });
+    fireEvent.change(screen.getByLabelText('Brief *'), { target: { value: 'A green dragon on a rock' } });
+    fireEvent.change(screen.getByLabelText('Budget (£)'), { target: { value: '120' } });
+    fireEvent.change(screen.getByLabelText('Reference Images'), { target: { files: [image] } });
+    fireEvent.click(screen.getByText('Send Request'));
+
+    await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/commissions/commission1'));
+    const [formData] = commissionService.submitCommissionRequest.mock.calls[0];
+    expect(formData.get('title')).toBe('Dragon figurine');
+    expect(formData.get('brief')).toBe('A green dragon on a rock');
+    expect(formData.get('budget')).toBe('120');
+    expect(formData.getAll('images')).toHaveLength(1);
+  });
+
+  it('requires a title and brief', async () => {
+    renderComponent();
+
+    fireEvent.click(screen.getByText('Send Request'));
+
+    expect(await screen.findByText('Give your commission a title')).toBeInTheDocument();
+    expect(screen.getByText('Tell us what you would like made')).toBeInTheDocument();
+    expect(commissionService.submitCommissionRequest).not.toHaveBeenCalled();
+  });
+
+  it('shows a submission error', async () => {
+    commissionService.submitCommissionRequest.mockRejectedValue(new Error('Only JPEG, PNG, and WebP images are allowed'));
+
+    renderComponent();
+
+    fireEvent.change(screen.getByLabelText('Title *'), { target: { value: 'Dragon figurine' } });
+    fireEvent.change(screen.getByLabelText('Brief *'), { target: { value: 'A green dragon' } });
+    fireEvent.click(screen.getByText('Send Request'));
+
+    expect(await screen.findByText('Only JPEG, PNG, and WebP images are allowed')).toBeInTheDocument();
+  });
+
+  it('asks guests to log in', () => {
+    mockAuth.isAuthenticated = false;
+
+    renderComponent();
+
+    expect(screen.getByText('Please log in to request a commission.')).toBeInTheDocument();
+    expect(screen.getByText('Log In')).toHaveAttribute('href', '/login');
+  });
+});
@@ -1,5 +1,6 @@
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { MemoryRouter } from 'react-router-dom';
 import ContactUsPage from '../ContactUsPage';
 import { AuthProvider } from '../../contexts/AuthContext';
 import * as supportService from '../../services/supportService';
@@ -35,9 +36,11 @@ const MockAuthProvider = ({ children, isAuthenticated = false, user = null }) =>
 
 const renderContactUsPage = (authProps = {}) => {
   return render(
-    <MockAuthProvider {...authProps}>
-      <ContactUsPage />
-    </MockAuthProvider>
+    <MemoryRouter>
+      <MockAuthProvider {...authProps}>
+        <ContactUsPage />
+      </MockAuthProvider>
+    </MemoryRouter>
   );
 };
 
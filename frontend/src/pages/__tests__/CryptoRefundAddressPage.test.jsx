@@ -0,0 +1,140 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import { vi } from 'vitest';
+import CryptoRefundAddressPage from '../CryptoRefundAddressPage';
+import * as paymentService from '../../services/paymentService';
+
+vi.mock('../../services/paymentService', () => ({
+  getCryptoRefund: vi.fn(),
+  submitCryptoRefundAddress: vi.fn(),
+  formatCurrency: vi.fn((amount) => `£${amount.toFixed(2)}`)
+}));
+
+vi.mock('react-router-dom', async () => {
+  const actual = await vi.importActual('react-router-dom');
+  return {
+    ...actual,
+    useParams: () => ({ token: 'refund-token' })
+  };
+});
+
+const ADDRESS = 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4';
+
+const createRefund = (overrides = {}) => ({
+  orderNumber: 'ORD-123456',
+  refundId: 'refund_1',
+  amount: 45,
+  status: 'pending',
+  currency: 'BTC',
+  rateBasis: 'locked',
+  addressRequestExpires: '2024-01-27T10:00:00Z',
+  awaitingAddress: true,
+  ...overrides
+});
+
+const renderComponent = () => {
+  return render(
+    <BrowserRouter>
+      <CryptoRefundAddressPage />
+    </BrowserRouter>
+  );
+};
+
+describe('CryptoRefundAddressPage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('should confirm an address entered twice', async () => {
+    paymentService.getCryptoRefund.mockResolvedValue({ success: true, data: createRefund() });
+    paymentService.submitCryptoRefundAddress.mockResolvedValue({
+      success: true,
+      data: createRefund({
+        awaitingAddress: false,
+        refundAddress: ADDRESS,
+        exchangeRate: 30000,
+        cryptoAmount: 0.0015
+      })
+    });
+
+    renderComponent();
+
+    expect(await screen.findByText(/the exchange rate at the time of your order/)).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Bitcoin Address *'), { target: { value: ADDRESS } });
+    fireEvent.change(screen.getByLabelText('Confirm Bitcoin Address *'), { target: { value: ADDRESS } });
+    fireEvent.click(screen.getByText('Confirm Refund Address'));
+
+    await waitFor(() => {
+      expect(screen.getByTestId('crypto-refund-confirmed')).toHaveTextContent(ADDRESS);
+    });
+    expect(paymentService.submitCryptoRefundAddress).toHaveBeenCalledWith('refund-token', {
+      address: ADDRESS,
+      confirmAddress: ADDRESS
+    });
+    expect(screen.getByTestId('crypto-refund-amount')).toHaveTextContent('0.0015 BTC');
+  });
+
+  test('should not submit addresses that do not match', async () => {
+    paymentService.getCryptoRefund.mockResolvedValue({ success: true, data: createRefund() });
+
+    renderComponent();
+
+    fireEvent.change(await screen.findByLabelText('Bitcoin Address *'), { target: { value: ADDRESS } });
+    fireEvent.change(screen.getByLabelText('Confirm Bitcoin Address *'), { target: { value: `${ADDRESS}x` } });
+    fireEvent.click(screen.getByText('Confirm Refund Address'));
+
+    expect(await screen.findByText('Addresses do not match')).toBeInTheDocument();
+    expect(paymentService.submitCryptoRefundAddress).not.toHaveBeenCalled();
+  });
+
+  test('should show the address the server rejects', async () => {
+    paymentService.getCryptoRefund.mockResolvedValue({ success: true, data: createRefund({ currency: 'XMR' }) });
+    paymentService.submitCryptoRefundAddress.mockRejectedValue(new Error('Not a valid XMR address'));
+
+    renderComponent();
+
+    fireEvent.change(await screen.findByLabelText('Monero Address *'), { target: { value: 'abc' } });
+    fireEvent.change(screen.getByLabelText('Confirm Monero Address *'), { target: { value: 'abc' } });
+    fireEvent.click(screen.getByText('Confirm Refund Address'));
+
+    expect(await screen.findByText('Not a valid XMR address')).toBeInTheDocument();
+  });
+
+  test('should show the transaction once the refund is sent', async () => {
+    paymentService.getCryptoRefund.mockResolvedValue({
+      success: true,
+      data: createRefund({
+        status: 'succeeded',
+        awaitingAddress: false,
+        refundAddress: ADDRESS,
+        exchangeRate: 30000,
+        cryptoAmount: 0.0015,
+        transactionId: 'ab'.repeat(32)
+      })
+    });
+
+    renderComponent();
+
+    expect(await screen.findByText('Your refund has been sent.')).toBeInTheDocument();
+    expect(screen.getByText(`Transaction: ${'ab'.repeat(32)}`)).toBeInTheDocument();
+    expect(screen.queryByText('Confirm Refund Address')).not.toBeInTheDocument();
+  });
+
+  test('should explain an expired link', async () => {
+    paymentService.getCryptoRefund.mockResolvedValue({ success: true, data: createRefund({ awaitingAddress: false }) });
+
+    renderComponent();
+
+    expect(await screen.findByTestId('crypto-refund-expired')).toBeInTheDocument();
+  });
+
+  test('should show an error for an invalid link', async () => {
+    paymentService.getCryptoRefund.mockRejectedValue(new Error('Refund link is invalid'));
+
+    renderComponent();
+
+    expect(await screen.findByTestId('crypto-refund-error')).toHaveTextContent('Refund link is invalid');
+  });
+});
@@ -0,0 +1,155 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import CustomerStoreCreditPage from '../CustomerStoreCreditPage';
+import { useAuth } from '../../contexts/AuthContext';
+import * as storeCreditService from '../../services/storeCreditService';
+
+// Mock the auth context
+vi.mock('../../contexts/AuthContext', () => ({
+  useAuth: vi.fn()
+}));
+
+// Mock the store credit service, keeping the real labels
+vi.mock('../../services/storeCreditService', async () => {
+  const actual = await vi.importActual('../../services/storeCreditService');
+  return {
+    ...actual,
+    getStoreCredit: vi.fn()
+  };
+});
+
+// Mock useNavigate
+const mockNavigate = vi.fn();
+vi.mock('react-router-dom', async () => {
+  const actual = await vi.importActual('react-router-dom');
+  return {
+    ...actual,
+    useNavigate: () => mockNavigate
+  };
+});
+
+// Test wrapper component
+const TestWrapper = ({ children }) => (
+  <BrowserRouter>{children}</BrowserRouter>
+);
+
+describe('CustomerStoreCreditPage', () => {
+  const mockUser = {
+    _id: 'user123',
+    firstName: 'John',
+    lastName: 'Doe',
+    email: 'john@example.com'
+  };
+
+  const mockWallet = {
+    balance: 17.5,
+    currency: 'GBP',
+    transactions: [
+      {
+        _id: 'txn2',
+        type: 'order_payment',
+        amount: -12.5,
+        balanceAfter: 17.5,
+        reference: { kind: 'Order', id: 'order123' },
+        createdAt: '2024-02-10T10:00:00Z'
+      },
+      {
+        _id: 'txn1',
+        type: 'goodwill',
+        amount: 30,
+        balanceAfter: 30,
+        note: 'Sorry for the late delivery',
+        createdAt: '2024-02-01T10:00:00Z'
+      }
+    ]
+  };
+
+  const mockPagination = {
+    currentPage: 1,
+    totalPages: 1,
+    totalItems: 2,
+    itemsPerPage: 20
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useAuth.mockReturnValue({ user: mockUser, isLoading: false });
+    storeCreditService.getStoreCredit.mockResolvedValue({
+      success: true,
+      data: mockWallet,
+      pagination: mockPagination
+    });
+  });
+
+  it('should redirect to login when not authenticated', () => {
+    useAuth.mockReturnValue({ user: null, isLoading: false });
+
+    render(<CustomerStoreCreditPage />, { wrapper: TestWrapper });
+
+    expect(mockNavigate).toHaveBeenCalledWith('/login');
+    expect(storeCreditService.getStoreCredit).not.toHaveBeenCalled();
+  });
+
+  it('should show the balance and transaction history', async () => {
+    render(<CustomerStoreCreditPage />, { wrapper: TestWrapper });
+
+    await waitFor(() => {
+      expect(screen.getByTestId('store-credit-balance')).toHaveTextContent('£17.50');
+    });
+
+    expect(screen.getByText('Spent on order')).toBeInTheDocument();
+    expect(screen.getByText('Goodwill credit')).toBeInTheDocument();
+    expect(screen.getByText('Sorry for the late delivery')).toBeInTheDocument();
+    expect(screen.getByText('+£30.00')).toBeInTheDocument();
+    expect(screen.getByText('-£12.50')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'View order' })).toHaveAttribute('href', '/orders/order123');
+  });
+
+  it('should show an empty state when there is no history', async () => {
+    storeCreditService.getStoreCredit.mockResolvedValue({
+      success: true,
+      data: { balance: 0, currency: 'GBP', transactions: [] },
+      pagination: { ...mockPagination, totalPages: 0, totalItems: 0 }
+    });
+
+    render(<CustomerStoreCreditPage />, { wrapper: TestWrapper });
+
+    await waitFor(() => {
+      expect(screen.getByText('No Store Credit Yet')).toBeInTheDocument();
+    });
+    expect(screen.getByTestId('store-credit-balance')).toHaveTextContent('£0.00');
+  });
+
+  it('should show an error when the wallet fails to load', async () => {
+    storeCreditService.getStoreCredit.mockRejectedValue(new Error('Network error'));
+
+    render(<CustomerStoreCreditPage />, { wrapper: TestWrapper });
+
+    await waitFor(() => {
+      expect(screen.getByText('Error Loading Store Credit')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Network error')).toBeInTheDocument();
+  });
+
+  it('should load the next page of history', async () => {
+    storeCreditService.getStoreCredit.mockResolvedValue({
+      success: true,
+      data: mockWallet,
+      pagination: { ...mockPagination, totalPages: 2, totalItems: 25 }
+    });
+
+    render(<CustomerStoreCreditPage />, { wrapper: TestWrapper });
+
+    await waitFor(() => {
+      expect(screen.getByText('Next')).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByText('Next'));
+
+    await waitFor(() => {
+      expect(storeCreditService.getStoreCredit).toHaveBeenCalledWith({ page: 2, limit: 20 });
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import { vi } from 'vitest';
+import GuestOrderLookupPage from '../GuestOrderLookupPage';
+import * as guestOrderService from '../../services/guestOrderService';
+
+vi.mock('../../services/guestOrderService', () => ({
+  requestGuestOrderLink: vi.fn()
+}));
+
+const renderComponent = () => {
+  return render(
+    <BrowserRouter>
+      <GuestOrderLookupPage />
+    </BrowserRouter>
+  );
+};
+
+describe('GuestOrderLookupPage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('should request an order link and show the response', async () => {
+    guestOrderService.requestGuestOrderLink.mockResolvedValue({
+      success: true,
+      message: 'If that order number matches the email address, we\'ve emailed you a link to it'
+    });
+
+    renderComponent();
+
+    fireEvent.change(screen.getByLabelText('Order number *'), { target: { value: ' ORD-12345678-001 ' } });
+    fireEvent.change(screen.getByLabelText('Email address *'), { target: { value: 'guest@example.com' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Email Me a Link' }));
+
+    expect(await screen.findByText(/we've emailed you a link to it/)).toBeInTheDocument();
+    expect(guestOrderService.requestGuestOrderLink).toHaveBeenCalledWith('ORD-12345678-001', 'guest@example.com');
+  });
+
+  test('should show errors from the lookup', async () => {
+    guestOrderService.requestGuestOrderLink.mockRejectedValue(new Error('Too many order lookups. Please try again later.'));
+
+    renderComponent();
+
+    fireEvent.change(screen.getByLabelText('Order number *'), { target: { value: 'ORD-12345678-001' } });
+    fireEvent.change(screen.getByLabelText('Email address *'), { target: { value: 'guest@example.com' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Email Me a Link' }));
+
+    expect(await screen.findByText('Too many order lookups. Please try again later.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,175 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import { vi } from 'vitest';
+import GuestOrderPage from '../GuestOrderPage';
+import * as guestOrderService from '../../services/guestOrderService';
+
+const mockLogin = vi.fn();
+
+vi.mock('../../services/guestOrderService', () => ({
+  getGuestOrder: vi.fn(),
+  getGuestOrderTracking: vi.fn(),
+  getGuestEligibleReturnItems: vi.fn(),
+  submitGuestReturnRequest: vi.fn(),
+  createAccountFromGuestOrder: vi.fn()
+}));
+
+vi.mock('../../contexts/AuthContext', () => ({
+  useLogin: () => mockLogin
+}));
+
+vi.mock('react-router-dom', async () => {
+  const actual = await vi.importActual('react-router-dom');
+  return {
+    ...actual,
+    useParams: () => ({ token: 'order-token' })
+  };
+});
+
+const createOrder = (overrides = {}) => ({
+  _id: 'order1',
+  orderNumber: 'ORD-12345678-001',
+  status: 'processing',
+  statusDisplay: 'Processing',
+  orderDate: '2026-10-01T10:00:00Z',
+  items: [
+    { _id: 'item1', productId: 'product1', productName: 'Mini Toolbox', quantity: 2, unitPrice: 10, totalPrice: 20 }
+  ],
+  subtotal: 20,
+  shipping: 5,
+  tax: 0,
+  totalAmount: 25,
+  shippingAddress: {
+    fullName: 'Jo Bloggs',
+    addressLine1: '1 Test Street',
+    city: 'London',
+    postalCode: 'SW1A 1AA',
+    country: 'GB'
+  },
+  hasAccount: false,
+  ...overrides
+});
+
+const renderComponent = () => {
+  return render(
+    <BrowserRouter>
+      <GuestOrderPage />
+    </BrowserRouter>
+  );
+};
+
+describe('GuestOrderPage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('should show the order from the link', async () => {
+    guestOrderService.getGuestOrder.mockResolvedValue({ success: true, data: { order: createOrder() } });
+
+    renderComponent();
+
+    expect(await screen.findByText('Order #ORD-12345678-001')).toBeInTheDocument();
+    expect(guestOrderService.getGuestOrder).toHaveBeenCalledWith('order-token');
+    expect(screen.getByText('Mini Toolbox')).toBeInTheDocument();
+    expect(screen.getByTestId('order-total')).toHaveTextContent('£25.00');
+    expect(screen.queryByText('Request a Return')).not.toBeInTheDocument();
+  });
+
+  test('should offer a new link when the token is invalid', async () => {
+    guestOrderService.getGuestOrder.mockRejectedValue(new Error('This order link is invalid or has expired'));
+
+    renderComponent();
+
+    expect(await screen.findByText('This order link is invalid or has expired')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Email Me a New Link' })).toHaveAttribute('href', '/order-lookup');
+  });
+
+  test('should create an account and sign the customer in', async () => {
+    guestOrderService.getGuestOrder.mockResolvedValue({ success: true, data: { order: createOrder() } });
+    guestOrderService.createAccountFromGuestOrder.mockResolvedValue({
+      success: true,
+      message: 'Account created and your order added to it',
+      data: { token: 'auth-token', user: { _id: 'user1', email: 'guest@example.com' }, ordersAttached: 1 }
+    });
+
+    renderComponent();
+
+    await screen.findByText('Create an Account');
+    fireEvent.change(screen.getByLabelText('First Name'), { target: { value: 'Jo' } });
+    fireEvent.change(screen.getByLabelText('Last Name'), { target: { value: 'Bloggs' } });
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'Password1!' } });
+    fireEvent.change(screen.getByLabelText('Confirm Password'), { target: { value: 'Password1!' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Create Account' }));
+
+    expect(await screen.findByTestId('guest-account-created')).toHaveTextContent('Account created and your order added to it');
+    expect(guestOrderService.createAccountFromGuestOrder).toHaveBeenCalledWith('order-token', {
+      firstName: 'Jo',
+      lastName: 'Bloggs',
+      password: 'Password1!',
+      confirmPassword: 'Password1!'
+    });
+    expect(mockLogin).toHaveBeenCalledWith({ _id: 'user1', email: 'guest@example.com' });
+    expect(screen.queryByText('Create an Account')).not.toBeInTheDocument();
+  });
+
+  test('should show why an account could not be created', async () => {
+    guestOrderService.getGuestOrder.mockResolvedValue({ success: true, data: { order: createOrder() } });
+    guestOrderService.createAccountFromGuestOrder.mockRejectedValue(
+      new Error('Open the link in your order confirmation email to create an account')
+    );
+
+    renderComponent();
+
+    await screen.findByText('Create an Account');
+    fireEvent.change(screen.getByLabelText('First Name'), { target: { value: 'Jo' } });
+    fireEvent.change(screen.getByLabelText('Last Name'), { target: { value: 'Bloggs' } });
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'Password1!' } });
+    fireEvent.change(screen.getByLabelText('Confirm Password'), { target: { value: 'Password1!' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Create Account' }));
+
+    expect(await screen.findByText('Open the link in your order confirmation email to create an account')).toBeInTheDocument();
+    expect(mockLogin).not.toHaveBeenCalled();
+  });
+
+  test('should not offer an account once the order has one', async () => {
+    guestOrderService.getGuestOrder.mockResolvedValue({ success: true, data: { order: createOrder({ hasAccount: true }) } });
+
+    renderComponent();
+
+    await screen.findByText('Order #ORD-12345678-001');
+    expect(screen.queryByText('Create an Account')).not.toBeInTheDocument();
+  });
+
+  test('should submit a return for a delivered order', async () => {
+    guestOrderService.getGuestOrder.mockResolvedValue({
+      success: true,
+      data: { order: createOrder({ status: 'delivered', statusDisplay: 'Delivered', hasAccount: true }) }
+    });
+    guestOrderService.getGuestEligibleReturnItems.mockResolvedValue({
+      success: true,
+      data: { eligibleItems: [{ productId: 'product1', productName: 'Mini Toolbox', quantity: 2 }] }
+    });
+    guestOrderService.submitGuestReturnRequest.mockResolvedValue({
+      success: true,
+      data: { formattedRequestNumber: 'RET-001' }
+    });
+
+    renderComponent();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Request a Return' }));
+    fireEvent.change(await screen.findByLabelText('Quantity to return'), { target: { value: '1' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Submit Return Request' }));
+    expect(await screen.findByText('Choose a reason for each item you are returning')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Reason'), { target: { value: 'wrong_size' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Submit Return Request' }));
+
+    await waitFor(() => {
+      expect(guestOrderService.submitGuestReturnRequest).toHaveBeenCalledWith('order-token', {
+        items: [{ productId: 'product1', quantity: 1, reason: 'wrong_size' }]
+      });
+    });
+    expect(await screen.findByTestId('guest-return-submitted')).toHaveTextContent('RET-001');
+  });
+});
@@ -0,0 +1,74 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import { vi } from 'vitest';
+import ProductAlertPage from '../ProductAlertPage';
+import * as productAlertService from '../../services/productAlertService';
+
+vi.mock('../../services/productAlertService', () => ({
+  confirmProductAlert: vi.fn(),
+  unsubscribeFromProductAlert: vi.fn()
+}));
+
+vi.mock('react-router-dom', async () => {
+  const actual = await vi.importActual('react-router-dom');
+  return {
+    ...actual,
+    useParams: () => ({ token: 'alert-token' })
+  };
+});
+
+const product = { name: 'One-off Custom Build', slug: 'one-off-custom-build' };
+
+const renderComponent = (action) => {
+  return render(
+    <BrowserRouter>
+      <ProductAlertPage action={action} />
+    </BrowserRouter>
+  );
+};
+
+describe('ProductAlertPage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('should confirm a guest\'s alert', async () => {
+    productAlertService.confirmProductAlert.mockResolvedValue({
+      success: true,
+      message: 'Alert confirmed',
+      data: { alert: { type: 'back_in_stock', status: 'active', product } }
+    });
+
+    renderComponent('confirm');
+
+    expect(await screen.findByText('Alert confirmed')).toBeInTheDocument();
+    expect(productAlertService.confirmProductAlert).toHaveBeenCalledTimes(1);
+    expect(productAlertService.confirmProductAlert).toHaveBeenCalledWith('alert-token');
+    expect(screen.getByText('We\'ll email you about One-off Custom Build when it is back in stock.')).toBeInTheDocument();
+    expect(screen.getByText('View One-off Custom Build')).toHaveAttribute('href', '/products/one-off-custom-build');
+  });
+
+  test('should unsubscribe in one click', async () => {
+    productAlertService.unsubscribeFromProductAlert.mockResolvedValue({
+      success: true,
+      message: 'You have been unsubscribed',
+      data: { alert: { type: 'price_drop', status: 'unsubscribed', product } }
+    });
+
+    renderComponent('unsubscribe');
+
+    expect(await screen.findByText('You have been unsubscribed')).toBeInTheDocument();
+    expect(screen.getByText('You won\'t get any more emails about One-off Custom Build if its price drops.')).toBeInTheDocument();
+    expect(productAlertService.confirmProductAlert).not.toHaveBeenCalled();
+  });
+
+  test('should explain an invalid link', async () => {
+    productAlertService.confirmProductAlert.mockRejectedValue(new Error('Confirmation link is invalid or has expired'));
+
+    renderComponent('confirm');
+
+    expect(await screen.findByTestId('product-alert-error')).toHaveTextContent('Confirmation link is invalid or has expired');
+    expect(screen.getByText('Browse products')).toHaveAttribute('href', '/products');
+  });
+});
@@ -0,0 +1,75 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import { vi } from 'vitest';
+import RetryCheckoutPage from '../RetryCheckoutPage';
+import * as orderService from '../../services/orderService';
+
+const mockRefreshCart = vi.fn();
+
+vi.mock('../../services/orderService', () => ({
+  retryExpiredOrder: vi.fn()
+}));
+
+vi.mock('../../contexts/CartContext', () => ({
+  useCart: () => ({ refreshCart: mockRefreshCart })
+}));
+
+vi.mock('react-router-dom', async () => {
+  const actual = await vi.importActual('react-router-dom');
+  return {
+    ...actual,
+    useParams: () => ({ orderId: 'order123' })
+  };
+});
+
+const renderComponent = () => {
+  return render(
+    <BrowserRouter>
+      <RetryCheckoutPage />
+    </BrowserRouter>
+  );
+};
+
+describe('RetryCheckoutPage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('should put the order items back in the cart', async () => {
+    orderService.retryExpiredOrder.mockResolvedValue({
+      success: true,
+      data: { cart: { totalItems: 3, totalAmount: 45, itemCount: 2 }, unavailableItems: [] }
+    });
+
+    renderComponent();
+
+    expect(await screen.findByText('The items from your expired order are back in your cart.')).toBeInTheDocument();
+    expect(orderService.retryExpiredOrder).toHaveBeenCalledWith('order123');
+    expect(mockRefreshCart).toHaveBeenCalled();
+    expect(screen.getByText('Go to Cart')).toHaveAttribute('href', '/cart');
+    expect(screen.queryByTestId('retry-checkout-unavailable')).not.toBeInTheDocument();
+  });
+
+  test('should list the items that could not be restored', async () => {
+    orderService.retryExpiredOrder.mockResolvedValue({
+      success: true,
+      data: { cart: { totalItems: 1, totalAmount: 15, itemCount: 1 }, unavailableItems: ['Pixel Case'] }
+    });
+
+    renderComponent();
+
+    expect(await screen.findByTestId('retry-checkout-unavailable')).toHaveTextContent('Pixel Case');
+  });
+
+  test('should show an error when the order cannot be retried', async () => {
+    orderService.retryExpiredOrder.mockRejectedValue(new Error('Order not found'));
+
+    renderComponent();
+
+    expect(await screen.findByTestId('retry-checkout-error')).toHaveTextContent('Order not found');
+    expect(screen.getByText('Sign In')).toHaveAttribute('href', '/login');
+    expect(mockRefreshCart).not.toHaveBeenCalled();
+  });
+});
@@ -329,6 +329,753 @@ export const issueRefund = async (orderId, refundData) => {
   }
 };
 
+// Get payment records (crypto rate quotes and open issues) for an order (admin only)
+export const getOrderPayments = async (orderId) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/orders/${orderId}/payments`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to fetch order payments');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Get order payments error:', error);
+    throw error;
+  }
+};
+
+// Refund or accept an over- or late crypto payment (admin only)
+export const resolveOrderPayment = async (orderId, paymentId, resolutionData) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/orders/${orderId}/payments/${paymentId}/resolve`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(resolutionData)
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to resolve payment');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Resolve order payment error:', error);
+    throw error;
+  }
+};
+
+// Record the transaction a crypto refund was sent in (admin only)
+export const recordCryptoRefundTransaction = async (orderId, refundId, transactionId) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/orders/${orderId}/refunds/${refundId}/transaction`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ transactionId })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to record refund transaction');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Record crypto refund transaction error:', error);
+    throw error;
+  }
+};
+
+// Email the customer a new refund address link (admin only)
+export const resendCryptoRefundAddressRequest = async (orderId, refundId) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/orders/${orderId}/refunds/${refundId}/address-request`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to send refund address link');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Resend crypto refund address request error:', error);
+    throw error;
+  }
+};
+
+// Record payment of the balance left on an order after deposits
+export const recordBalancePayment = async (orderId, reference) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/orders/${orderId}/balance-payment`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(reference ? { reference } : {})
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to record balance payment');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Record balance payment error:', error);
+    throw error;
+  }
+};
+
+// Get made-to-order items still to be made, the soonest due to ship first
+export const getProductionQueue = async (page = 1, limit = 20) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const params = new URLSearchParams({
+      page: page.toString(),
+      limit: limit.toString()
+    });
+
+    const response = await fetch(`${ADMIN_API_BASE}/production-queue?${params}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to fetch production queue');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Get production queue error:', error);
+    throw error;
+  }
+};
+
+// Mark a made-to-order item as made
+export const markOrderItemProduced = async (orderId, itemId) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/orders/${orderId}/items/${itemId}/produced`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to mark item as made');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Mark item produced error:', error);
+    throw error;
+  }
+};
+
+// Get commission requests, most recently updated first, optionally by status (admin only)
+export const getCommissionRequests = async (page = 1, limit = 20, status = '') => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const params = new URLSearchParams({
+      page: page.toString(),
+      limit: limit.toString()
+    });
+    if (status) {
+      params.append('status', status);
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/commissions?${params}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to fetch commission requests');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Get commission requests error:', error);
+    throw error;
+  }
+};
+
+// Get a commission request with its message thread and status history (admin only)
+export const getCommissionRequest = async (commissionId) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/commissions/${commissionId}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to fetch commission request');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Get commission request error:', error);
+    throw error;
+  }
+};
+
+// Reply to the customer on a commission request; formData holds the message and any images
+export const replyToCommissionRequest = async (commissionId, formData) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/commissions/${commissionId}/messages`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      },
+      body: formData
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to send reply');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Reply to commission request error:', error);
+    throw error;
+  }
+};
+
+// Send the customer a priced quote for their commission request
+export const quoteCommissionRequest = async (commissionId, quote) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/commissions/${commissionId}/quote`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(quote)
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to send quote');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Quote commission request error:', error);
+    throw error;
+  }
+};
+
+// Turn down a commission request, optionally telling the customer why
+export const rejectCommissionRequest = async (commissionId, reason) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/commissions/${commissionId}/reject`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ reason })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to turn down commission request');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Reject commission request error:', error);
+    throw error;
+  }
+};
+
+// Get gift cards, newest first, optionally by status or a code/recipient search (admin only)
+export const getGiftCards = async (page = 1, limit = 20, filters = {}) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const params = new URLSearchParams({
+      page: page.toString(),
+      limit: limit.toString()
+    });
+    if (filters.status) {
+      params.append('status', filters.status);
+    }
+    if (filters.search) {
+      params.append('search', filters.search);
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/gift-cards?${params}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to fetch gift cards');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Get gift cards error:', error);
+    throw error;
+  }
+};
+
+// Look up a gift card by its code, with its balance ledger (admin only)
+export const lookupGiftCard = async (code) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/gift-cards/lookup/${encodeURIComponent(code)}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to look up gift card');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Lookup gift card error:', error);
+    throw error;
+  }
+};
+
+// Issue a gift card; giftCardData holds amount, expiresAt, note and an optional recipient
+export const issueGiftCard = async (giftCardData) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/gift-cards`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(giftCardData)
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to issue gift card');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Issue gift card error:', error);
+    throw error;
+  }
+};
+
+// Void a gift card, writing off what is left on it
+export const voidGiftCard = async (giftCardId, reason) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/gift-cards/${giftCardId}/void`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ reason })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to void gift card');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Void gift card error:', error);
+    throw error;
+  }
+};
+
+// Get payment reconciliation reports, newest first (admin only)
+export const getPaymentReconciliations = async (page = 1, limit = 20) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const params = new URLSearchParams({
+      page: page.toString(),
+      limit: limit.toString()
+    });
+
+    const response = await fetch(`${ADMIN_API_BASE}/payment-reconciliations?${params}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to fetch reconciliation reports');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Get payment reconciliations error:', error);
+    throw error;
+  }
+};
+
+// Get one payment reconciliation report with its discrepancies (admin only)
+export const getPaymentReconciliation = async (reportId) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/payment-reconciliations/${reportId}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to fetch reconciliation report');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Get payment reconciliation error:', error);
+    throw error;
+  }
+};
+
+// Reconcile open payments with their providers now (admin only)
+export const runPaymentReconciliation = async () => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/payment-reconciliations`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to run payment reconciliation');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Run payment reconciliation error:', error);
+    throw error;
+  }
+};
+
+// Get received payment webhook events (admin only)
+export const getWebhookEvents = async (filters = {}, page = 1, limit = 20) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const params = new URLSearchParams({
+      page: page.toString(),
+      limit: limit.toString()
+    });
+    if (filters.provider) params.append('provider', filters.provider);
+    if (filters.status) params.append('status', filters.status);
+
+    const response = await fetch(`${ADMIN_API_BASE}/webhook-events?${params}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to fetch webhook events');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Get webhook events error:', error);
+    throw error;
+  }
+};
+
+// Get one webhook event with its payload and headers (admin only)
+export const getWebhookEvent = async (eventId) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/webhook-events/${eventId}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to fetch webhook event');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Get webhook event error:', error);
+    throw error;
+  }
+};
+
+// Re-process a failed webhook event (admin only)
+export const replayWebhookEvent = async (eventId) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/webhook-events/${eventId}/replay`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to re-process webhook event');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Replay webhook event error:', error);
+    throw error;
+  }
+};
+
 // Get all return requests (admin only)
 export const getAllReturnRequests = async (filters = {}) => {
   try {
@@ -659,6 +1406,155 @@ export const deleteProduct = async (productId) => {
   }
 };
 
+// Export products matching the list filters as a CSV or XLSX file
+export const exportProducts = async (filters = {}, format = 'csv') => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const queryParams = new URLSearchParams();
+    Object.entries({ ...filters, format }).forEach(([key, value]) => {
+      if (value !== '' && value !== undefined && value !== null) {
+        queryParams.append(key, value);
+      }
+    });
+
+    const response = await fetch(`${ADMIN_API_BASE}/products/export?${queryParams.toString()}`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to export products');
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filenameMatch = disposition.match(/filename="([^"]+)"/);
+
+    return {
+      blob: await response.blob(),
+      filename: filenameMatch ? filenameMatch[1] : `products.${format}`
+    };
+  } catch (error) {
+    console.error('Export products error:', error);
+    throw error;
+  }
+};
+
+// Upload a product CSV/XLSX file. Returns a preview unless commit is true.
+export const importProducts = async (file, { commit = false } = {}) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    const response = await fetch(`${ADMIN_API_BASE}/products/import${commit ? '?commit=true' : ''}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      },
+      body: formData
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to import products');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Import products error:', error);
+    throw error;
+  }
+};
+
+// Get a product's stock movement history, newest first
+export const getProductStockMovements = async (productId, { variantId, page = 1, limit = 20 } = {}) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const params = new URLSearchParams({
+      page: page.toString(),
+      limit: limit.toString()
+    });
+    if (variantId) params.append('variantId', variantId);
+
+    const response = await fetch(`${ADMIN_API_BASE}/products/${productId}/stock-movements?${params}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to fetch stock movements');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Get stock movements error:', error);
+    throw error;
+  }
+};
+
+// Record a manual stock adjustment or stock take for a product or variant
+export const adjustProductStock = async (productId, adjustment) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/products/${productId}/stock-adjustments`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(adjustment)
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to adjust stock');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Adjust stock error:', error);
+    throw error;
+  }
+};
+
 // Get all users with filters
 export const getAllUsers = async (params = {}) => {
   try {
@@ -769,6 +1665,76 @@ export const updateUserStatus = async (userId, statusData) => {
   }
 };
 
+// Get a customer's store credit balance and transaction history (admin only)
+export const getUserStoreCredit = async (userId, page = 1, limit = 20) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const params = new URLSearchParams({
+      page: page.toString(),
+      limit: limit.toString()
+    });
+
+    const response = await fetch(`${ADMIN_API_BASE}/users/${userId}/store-credit?${params}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to fetch store credit');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Get user store credit error:', error);
+    throw error;
+  }
+};
+
+// Credit a customer as goodwill, or adjust their balance (admin only)
+export const issueStoreCredit = async (userId, creditData) => {
+  try {
+    const token = getAdminToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await fetch(`${ADMIN_API_BASE}/users/${userId}/store-credit`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(creditData)
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        adminLogout();
+      }
+      throw new Error(data.error || 'Failed to issue store credit');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Issue store credit error:', error);
+    throw error;
+  }
+};
+
 export default {
   adminLogin,
   getDashboardMetrics,
@@ -791,6 +1757,8 @@ export default {
   createProduct,
   updateProduct,
   deleteProduct,
+  exportProducts,
+  importProducts,
   getAllUsers,
   getUserById,
   updateUserStatus
@@ -904,8 +1872,8 @@ export const getCustomerReport = async (startDate, endDate) => {
   }
 };
 
-// Inventory Report
-export const getInventoryReport = async () => {
+// Inventory Report. Stock movements are included for a date range.
+export const getInventoryReport = async (startDate, endDate) => {
   try {
     const token = localStorage.getItem('adminToken');
     
@@ -913,7 +1881,8 @@ export const getInventoryReport = async () => {
       throw new Error('No authentication token found');
     }
 
-    const response = await fetch(`${ADMIN_API_BASE}/reports/inventory-summary`, {
+    const params = startDate && endDate ? `?${new URLSearchParams({ startDate, endDate })}` : '';
+    const response = await fetch(`${ADMIN_API_BASE}/reports/inventory-summary${params}`, {
       method: 'GET',
       headers: {
         'Content-Type': 'application/json',
@@ -939,6 +1908,42 @@ export const getInventoryReport = async () => {
   }
 };
 
+// Abandoned Cart Report: reminder emails sent and the orders they won back
+export const getAbandonedCartReport = async (startDate, endDate) => {
+  try {
+    const token = localStorage.getItem('adminToken');
+    
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const params = new URLSearchParams({ startDate, endDate });
+    const response = await fetch(`${ADMIN_API_BASE}/reports/abandoned-carts?${params}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        localStorage.removeItem('adminToken');
+        localStorage.removeItem('adminUser');
+        window.location.href = '/admin/login';
+      }
+      throw new Error(data.error || 'Failed to fetch abandoned cart report');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Get abandoned cart report error:', error);
+    throw error;
+  }
+};
+
 // Promotions Management
 
 // Get all promotions
@@ -6,7 +6,7 @@ const getAuthToken = () => {
 };
 
 // Fetch cart contents
-export const getCart = async () => {
+export const getCart = async (currency = null) => {
   try {
     const token = getAuthToken();
     const headers = {
@@ -17,7 +17,9 @@ export const getCart = async () => {
       headers['Authorization'] = `Bearer ${token}`;
     }
 
-    const response = await fetch(`${API_BASE_URL}/cart`, {
+    // Line prices are also returned in the shopper's presentment currency
+    const query = currency ? `?currency=${currency}` : '';
+    const response = await fetch(`${API_BASE_URL}/cart${query}`, {
       method: 'GET',
       headers,
       credentials: 'include', // Include cookies for guest cart sessions
@@ -36,8 +38,8 @@ export const getCart = async () => {
   }
 };
 
-// Add product to cart
-export const addToCart = async (productId, quantity = 1) => {
+// Add product to cart; giftCard holds the recipient details when the product is a gift card
+export const addToCart = async (productId, quantity = 1, variantId = null, giftCard = null) => {
   try {
     const token = getAuthToken();
     const headers = {
@@ -52,7 +54,12 @@ export const addToCart = async (productId, quantity = 1) => {
       method: 'POST',
       headers,
       credentials: 'include', // Include cookies for guest cart sessions
-      body: JSON.stringify({ productId, quantity }),
+      body: JSON.stringify({
+        productId,
+        quantity,
+        ...(variantId && { variantId }),
+        ...(giftCard && { giftCard })
+      }),
     });
 
     const data = await response.json();
@@ -69,7 +76,7 @@ export const addToCart = async (productId, quantity = 1) => {
 };
 
 // Update item quantity in cart
-export const updateCartItem = async (productId, quantity) => {
+export const updateCartItem = async (productId, quantity, variantId = null) => {
   try {
     const token = getAuthToken();
     const headers = {
@@ -84,7 +91,7 @@ export const updateCartItem = async (productId, quantity) => {
       method: 'PUT',
       headers,
       credentials: 'include',
-      body: JSON.stringify({ quantity }),
+      body: JSON.stringify(variantId ? { quantity, variantId } : { quantity }),
     });
 
     const data = await response.json();
@@ -101,7 +108,7 @@ export const updateCartItem = async (productId, quantity) => {
 };
 
 // Remove item from cart
-export const removeFromCart = async (productId) => {
+export const removeFromCart = async (productId, variantId = null) => {
   try {
     const token = getAuthToken();
     const headers = {
@@ -112,7 +119,8 @@ export const removeFromCart = async (productId) => {
       headers['Authorization'] = `Bearer ${token}`;
     }
 
-    const response = await fetch(`${API_BASE_URL}/cart/item/${productId}`, {
+    const query = variantId ? `?variantId=${encodeURIComponent(variantId)}` : '';
+    const response = await fetch(`${API_BASE_URL}/cart/item/${productId}${query}`, {
       method: 'DELETE',
       headers,
       credentials: 'include',
@@ -162,6 +170,151 @@ export const clearCart = async () => {
   }
 };
 
+// Hold the cart's items while the customer checks out. A 409 lists the
+// items other customers hold or have bought as error.unavailableItems
+export const reserveCheckoutStock = async () => {
+  try {
+    const token = getAuthToken();
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+    
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const response = await fetch(`${API_BASE_URL}/cart/reservation`, {
+      method: 'POST',
+      headers,
+      credentials: 'include',
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      const error = new Error(data.error || 'Failed to reserve stock');
+      error.unavailableItems = data.unavailableItems || [];
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Reserve checkout stock error:', error);
+    throw error;
+  }
+};
+
+// Release the cart's hold when the customer leaves checkout
+export const releaseCheckoutStock = async () => {
+  try {
+    const token = getAuthToken();
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+    
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const response = await fetch(`${API_BASE_URL}/cart/reservation`, {
+      method: 'DELETE',
+      headers,
+      credentials: 'include',
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to release stock');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Release checkout stock error:', error);
+    throw error;
+  }
+};
+
+// Record a guest's checkout email, and whether they agreed to marketing
+// email, so an unfinished cart can be followed up
+export const saveCheckoutContact = async (email, marketingOptIn = false) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/cart/contact`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      credentials: 'include',
+      body: JSON.stringify({ email, marketingOptIn }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to save checkout email');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Save checkout contact error:', error);
+    throw error;
+  }
+};
+
+// Bring back a cart from the link in a reminder email
+export const restoreAbandonedCart = async (token) => {
+  try {
+    const authToken = getAuthToken();
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+    
+    if (authToken) {
+      headers['Authorization'] = `Bearer ${authToken}`;
+    }
+
+    const response = await fetch(`${API_BASE_URL}/cart/restore/${token}`, {
+      method: 'POST',
+      headers,
+      credentials: 'include',
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to restore cart');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Restore abandoned cart error:', error);
+    throw error;
+  }
+};
+
+// Stop cart reminders from the link in a reminder email
+export const unsubscribeFromCartReminders = async (token) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/cart/reminders/unsubscribe/${token}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      credentials: 'include',
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to unsubscribe');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Unsubscribe from cart reminders error:', error);
+    throw error;
+  }
+};
 
 // Format currency amount for display
 export const formatCurrency = (amount) => {
@@ -0,0 +1,159 @@
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000/api';
+
+// Get authentication token
+const getAuthToken = () => {
+  return localStorage.getItem('authToken');
+};
+
+// Content-Type is left to the browser when sending images as FormData
+const getHeaders = (json = true) => {
+  const token = getAuthToken();
+  const headers = {};
+
+  if (json) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  return headers;
+};
+
+const request = async (path, { method = 'GET', body, errorMessage }) => {
+  const isFormData = body instanceof FormData;
+  const response = await fetch(`${API_BASE_URL}/user/commissions${path}`, {
+    method,
+    headers: getHeaders(!isFormData),
+    ...(body !== undefined && { body: isFormData ? body : JSON.stringify(body) })
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || errorMessage);
+  }
+
+  return data;
+};
+
+// Submit a commission request; formData holds title, brief, budget and any reference images
+export const submitCommissionRequest = async (formData) => {
+  try {
+    return await request('', { method: 'POST', body: formData, errorMessage: 'Failed to submit commission request' });
+  } catch (error) {
+    console.error('Submit commission request error:', error);
+    throw error;
+  }
+};
+
+// Get the customer's commission requests with pagination
+export const getMyCommissionRequests = async (params = {}) => {
+  try {
+    const queryParams = new URLSearchParams();
+
+    if (params.page) queryParams.append('page', params.page);
+    if (params.limit) queryParams.append('limit', params.limit);
+
+    const query = queryParams.toString();
+    return await request(query ? `?${query}` : '', { errorMessage: 'Failed to fetch commission requests' });
+  } catch (error) {
+    console.error('Get commission requests error:', error);
+    throw error;
+  }
+};
+
+// Get a commission request with its message thread and status history
+export const getCommissionRequest = async (commissionId) => {
+  try {
+    return await request(`/${commissionId}`, { errorMessage: 'Failed to fetch commission request' });
+  } catch (error) {
+    console.error('Get commission request error:', error);
+    throw error;
+  }
+};
+
+// Send a message on a commission request; formData holds the message and any images
+export const sendCommissionMessage = async (commissionId, formData) => {
+  try {
+    return await request(`/${commissionId}/messages`, { method: 'POST', body: formData, errorMessage: 'Failed to send message' });
+  } catch (error) {
+    console.error('Send commission message error:', error);
+    throw error;
+  }
+};
+
+// Accept the quote, adding the commission to the cart
+export const acceptCommissionQuote = async (commissionId) => {
+  try {
+    return await request(`/${commissionId}/accept`, { method: 'POST', body: {}, errorMessage: 'Failed to accept quote' });
+  } catch (error) {
+    console.error('Accept commission quote error:', error);
+    throw error;
+  }
+};
+
+// Decline the quote, optionally saying why
+export const declineCommissionQuote = async (commissionId, reason) => {
+  try {
+    return await request(`/${commissionId}/decline`, { method: 'POST', body: { reason }, errorMessage: 'Failed to decline quote' });
+  } catch (error) {
+    console.error('Decline commission quote error:', error);
+    throw error;
+  }
+};
+
+// Withdraw a commission request
+export const cancelCommissionRequest = async (commissionId) => {
+  try {
+    return await request(`/${commissionId}/cancel`, { method: 'POST', body: {}, errorMessage: 'Failed to cancel commission request' });
+  } catch (error) {
+    console.error('Cancel commission request error:', error);
+    throw error;
+  }
+};
+
+// Format commission request status for display
+export const formatCommissionStatus = (status) => {
+  const statusMap = {
+    submitted: 'Awaiting Quote',
+    quoted: 'Quoted',
+    accepted: 'Accepted',
+    declined: 'Quote Declined',
+    rejected: 'Turned Down',
+    cancelled: 'Cancelled'
+  };
+  return statusMap[status] || status;
+};
+
+// Get commission status color class for UI
+export const getCommissionStatusColorClass = (status) => {
+  const colorMap = {
+    submitted: 'text-yellow-600 bg-yellow-50',
+    quoted: 'text-blue-600 bg-blue-50',
+    accepted: 'text-green-600 bg-green-50',
+    declined: 'text-purple-600 bg-purple-50',
+    rejected: 'text-red-600 bg-red-50',
+    cancelled: 'text-gray-600 bg-gray-50'
+  };
+  return colorMap[status] || 'text-gray-600 bg-gray-50';
+};
+
+// Check if more can be said on a commission request
+export const isCommissionOpen = (commission) => {
+  return Boolean(commission) && !['rejected', 'cancelled'].includes(commission.status);
+};
+
+export default {
+  submitCommissionRequest,
+  getMyCommissionRequests,
+  getCommissionRequest,
+  sendCommissionMessage,
+  acceptCommissionQuote,
+  declineCommissionQuote,
+  cancelCommissionRequest,
+  formatCommissionStatus,
+  getCommissionStatusColorClass,
+  isCommissionOpen
+};
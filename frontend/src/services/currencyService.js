@@ -0,0 +1,24 @@
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000/api';
+
+// Currencies shoppers can browse and check out in; GBP is always first
+export const getCurrencies = async () => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/currencies`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to fetch currencies');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Get currencies error:', error);
+    throw error;
+  }
+};
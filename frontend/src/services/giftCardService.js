@@ -0,0 +1,25 @@
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000/api';
+
+// Check what is left on a gift card by its code
+export const checkGiftCardBalance = async (code) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/gift-cards/balance`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ code }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to check gift card balance');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Check gift card balance error:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,114 @@
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000/api';
+
+// Guest orders are reached through the signed link in the order email;
+// the token in it stands in for an account
+
+const request = async (path, { method = 'GET', body, errorMessage }) => {
+  const response = await fetch(`${API_BASE_URL}/guest-orders${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    credentials: 'include',
+    ...(body !== undefined && { body: JSON.stringify(body) })
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || errorMessage);
+  }
+
+  return data;
+};
+
+// Place an order as a guest; orderData carries the guest's email
+export const placeGuestOrder = async (orderData) => {
+  try {
+    const data = await request('', {
+      method: 'POST',
+      body: orderData,
+      errorMessage: 'Failed to place order'
+    });
+
+    return data.data;
+  } catch (error) {
+    console.error('Error placing guest order:', error);
+    throw error;
+  }
+};
+
+// Ask for the order link to be emailed again
+export const requestGuestOrderLink = async (orderNumber, email) => {
+  try {
+    return await request('/lookup', {
+      method: 'POST',
+      body: { orderNumber, email },
+      errorMessage: 'Failed to look up order'
+    });
+  } catch (error) {
+    console.error('Guest order lookup error:', error);
+    throw error;
+  }
+};
+
+export const getGuestOrder = async (token) => {
+  try {
+    return await request(`/${token}`, { errorMessage: 'Failed to fetch order' });
+  } catch (error) {
+    console.error('Get guest order error:', error);
+    throw error;
+  }
+};
+
+export const getGuestOrderTracking = async (token) => {
+  try {
+    return await request(`/${token}/tracking`, { errorMessage: 'Failed to fetch tracking information' });
+  } catch (error) {
+    console.error('Get guest order tracking error:', error);
+    throw error;
+  }
+};
+
+export const getGuestEligibleReturnItems = async (token) => {
+  try {
+    return await request(`/${token}/eligible-returns`, { errorMessage: 'Failed to fetch eligible return items' });
+  } catch (error) {
+    console.error('Get guest eligible return items error:', error);
+    throw error;
+  }
+};
+
+// returnData: { items: [{ productId, quantity, reason, reasonDescription }] }
+export const submitGuestReturnRequest = async (token, returnData) => {
+  try {
+    return await request(`/${token}/returns`, {
+      method: 'POST',
+      body: returnData,
+      errorMessage: 'Failed to submit return request'
+    });
+  } catch (error) {
+    console.error('Submit guest return request error:', error);
+    throw error;
+  }
+};
+
+// Create an account from the order and sign in with it
+export const createAccountFromGuestOrder = async (token, accountData) => {
+  try {
+    const data = await request(`/${token}/account`, {
+      method: 'POST',
+      body: accountData,
+      errorMessage: 'Failed to create account'
+    });
+
+    if (data.data?.token) {
+      localStorage.setItem('authToken', data.data.token);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Create account from guest order error:', error);
+    throw error;
+  }
+};
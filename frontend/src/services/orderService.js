@@ -137,8 +137,8 @@ export const validateOrderData = (orderData) => {
     errors.push('Shipping method is required');
   }
 
-  if (!orderData.paymentIntentId) {
-    errors.push('Payment intent is required');
+  if (!orderData.paymentMethod) {
+    errors.push('Payment method is required');
   }
 
   // Validate shipping address fields
@@ -224,6 +224,34 @@ export const cancelOrder = async (orderId) => {
   }
 };
 
+// Put the items of an order cancelled for non-payment back in the cart
+export const retryExpiredOrder = async (orderId) => {
+  try {
+    if (!orderId) {
+      throw new Error('Order ID is required');
+    }
+
+    const response = await fetch(`${API_BASE_URL}/user/orders/${orderId}/retry`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      credentials: 'include'
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to restore order items');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Retry order error:', error);
+    throw error;
+  }
+};
+
 // Get order tracking information
 export const getOrderTracking = async (orderId) => {
   try {
@@ -119,6 +119,60 @@ export const capturePayPalPayment = async ({ paypalOrderId, payerId }) => {
   }
 };
 
+// Stripe card payment functions
+
+// Create a Stripe PaymentIntent for the order total
+export const createStripePaymentIntent = async (amount) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/payment/stripe/create-intent`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      credentials: 'include',
+      body: JSON.stringify({ amount })
+    });
+
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to start card payment');
+    }
+
+    return data.data;
+  } catch (error) {
+    console.error('Error creating Stripe payment intent:', error);
+    throw error;
+  }
+};
+
+// Load Stripe.js once from Stripe's CDN, as Stripe requires for PCI
+// compliance, and create a client for the publishable key
+let stripeScriptPromise = null;
+
+export const loadStripe = async (publishableKey) => {
+  if (!stripeScriptPromise) {
+    stripeScriptPromise = new Promise((resolve, reject) => {
+      if (window.Stripe) {
+        return resolve();
+      }
+
+      const script = document.createElement('script');
+      script.src = 'https://js.stripe.com/v3/';
+      script.async = true;
+      script.onload = () => resolve();
+      script.onerror = () => {
+        stripeScriptPromise = null;
+        reject(new Error('Failed to load card payments'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+
+  await stripeScriptPromise;
+  return window.Stripe(publishableKey);
+};
+
 // Bitcoin payment functions
 
 // Initialize Bitcoin payment
@@ -170,6 +224,106 @@ export const getBitcoinPaymentStatus = async (orderId) => {
   }
 };
 
+// Lightning payment functions
+
+// Issue (or fetch the open) Lightning invoice for an order
+export const initializeLightningPayment = async (orderId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/payment/lightning/initialize`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      credentials: 'include',
+      body: JSON.stringify({ orderId })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to initialize Lightning payment');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error initializing Lightning payment:', error);
+    throw error;
+  }
+};
+
+// Get Lightning payment status
+export const getLightningPaymentStatus = async (orderId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/payment/lightning/status/${orderId}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      credentials: 'include'
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to get Lightning payment status');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error getting Lightning payment status:', error);
+    throw error;
+  }
+};
+
+// Crypto refund functions
+
+// Get the refund an emailed address link belongs to
+export const getCryptoRefund = async (token) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/payment/refunds/crypto/${token}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to get refund');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error getting crypto refund:', error);
+    throw error;
+  }
+};
+
+// Give and confirm the address a crypto refund is sent to
+export const submitCryptoRefundAddress = async (token, { address, confirmAddress }) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/payment/refunds/crypto/${token}/address`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ address, confirmAddress })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to confirm refund address');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error confirming crypto refund address:', error);
+    throw error;
+  }
+};
+
 // Helper function to format Bitcoin amount
 export const formatBitcoinAmount = (amount) => {
   return parseFloat(amount.toFixed(8));
@@ -178,4 +332,9 @@ export const formatBitcoinAmount = (amount) => {
 // Helper function to generate Bitcoin payment QR code data
 export const getBitcoinQRData = (address, amount) => {
   return `bitcoin:${address}?amount=${amount}`;
+};
+
+// Helper function to generate Lightning invoice QR code data
+export const getLightningQRData = (invoice) => {
+  return `lightning:${invoice}`;
 };
\ No newline at end of file
@@ -0,0 +1,108 @@
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000/api';
+
+// Get authentication token
+const getAuthToken = () => {
+  return localStorage.getItem('authToken');
+};
+
+const getHeaders = () => {
+  const token = getAuthToken();
+  const headers = {
+    'Content-Type': 'application/json',
+  };
+
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  return headers;
+};
+
+// Subscribe to a product's back-in-stock or price-drop alerts; guests give an email to confirm
+export const subscribeToProductAlert = async (productId, { type, email }) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/products/${productId}/alerts`, {
+      method: 'POST',
+      headers: getHeaders(),
+      body: JSON.stringify({ type, email })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to subscribe to alert');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Subscribe to product alert error:', error);
+    throw error;
+  }
+};
+
+// Get the signed-in customer's active alerts for a product
+export const getMyProductAlerts = async (productId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/products/${productId}/alerts`, {
+      method: 'GET',
+      headers: getHeaders()
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to fetch alerts');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Get product alerts error:', error);
+    throw error;
+  }
+};
+
+// Confirm a guest's alert from the link in their email
+export const confirmProductAlert = async (token) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/products/alerts/confirm/${token}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to confirm alert');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Confirm product alert error:', error);
+    throw error;
+  }
+};
+
+// Unsubscribe from an alert with the link in any alert email
+export const unsubscribeFromProductAlert = async (token) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/products/alerts/unsubscribe/${token}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to unsubscribe');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Unsubscribe from product alert error:', error);
+    throw error;
+  }
+};
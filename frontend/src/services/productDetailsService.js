@@ -10,11 +10,19 @@ export const getProductBySlug = async (slug) => {
   }
 
   try {
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+
+    // Signed-in customers can also see commissions made for them
+    const token = localStorage.getItem('authToken');
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
     const response = await fetch(`${API_BASE_URL}/api/products/${slug}`, {
       method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
+      headers,
     });
 
     if (!response.ok) {
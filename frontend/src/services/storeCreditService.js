@@ -0,0 +1,43 @@
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000/api';
+
+// Get the signed-in customer's store credit balance and a page of its history
+export const getStoreCredit = async (params = {}) => {
+  try {
+    const token = localStorage.getItem('authToken');
+    const queryParams = new URLSearchParams();
+
+    if (params.page) queryParams.append('page', params.page);
+    if (params.limit) queryParams.append('limit', params.limit);
+
+    const query = queryParams.toString();
+    const response = await fetch(`${API_BASE_URL}/user/store-credit${query ? `?${query}` : ''}`, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to fetch store credit');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Get store credit error:', error);
+    throw error;
+  }
+};
+
+// How each kind of store credit transaction is described to the customer
+export const STORE_CREDIT_TRANSACTION_LABELS = {
+  referral_reward: 'Referral reward',
+  return_refund: 'Return refund',
+  goodwill: 'Goodwill credit',
+  adjustment: 'Balance adjustment',
+  order_payment: 'Spent on order',
+  order_refund: 'Returned from cancelled order'
+};
+
+export const getStoreCreditTransactionLabel = (type) => STORE_CREDIT_TRANSACTION_LABELS[type] || type;
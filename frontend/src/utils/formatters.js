@@ -60,4 +60,38 @@ export const formatRelativeTime = (dateString) => {
   } else {
     return formatDate(dateString);
   }
-};
\ No newline at end of file
+};
+const STOCK_MOVEMENT_REASONS = {
+  sale: 'Sale',
+  cancellation: 'Cancellation',
+  return_restock: 'Return restock',
+  manual_adjustment: 'Manual adjustment',
+  import: 'Import',
+  stock_take: 'Stock take'
+};
+
+// Format a stock ledger movement reason for display
+export const formatStockMovementReason = (reason) => STOCK_MOVEMENT_REASONS[reason] || reason;
+
+const AVAILABILITY_MODES = {
+  preorder: 'Pre-order',
+  made_to_order: 'Made to order',
+  gift_card: 'Gift card - sent by email'
+};
+
+// Describe a pre-order or made-to-order item and when it is expected to ship;
+// empty for items shipped from stock
+export const formatAvailability = (availabilityMode, expectedShipDate) => {
+  const label = AVAILABILITY_MODES[availabilityMode];
+  if (!label) return '';
+  return expectedShipDate ? `${label} - expected to ship by ${formatDate(expectedShipDate)}` : label;
+};
+
+// Describe who a gift card line is for and when it is emailed
+export const formatGiftCardRecipient = (giftCard) => {
+  if (!giftCard?.recipientEmail) return '';
+  const recipient = giftCard.recipientName || giftCard.recipientEmail;
+  return giftCard.deliveryDate
+    ? `For ${recipient}, sent on ${formatDate(giftCard.deliveryDate)}`
+    : `For ${recipient}, sent when paid`;
+};